@@ -7,11 +7,13 @@
 import { RouterProvider } from 'react-router-dom'
 import { router } from './router'
 import { NetworkStatusMonitor } from './components/NetworkStatusMonitor'
+import { RuntimeOutboxSync } from './components/RuntimeOutboxSync'
 
 function App() {
   return (
     <>
       <NetworkStatusMonitor />
+      <RuntimeOutboxSync />
       <RouterProvider router={router} />
     </>
   )
@@ -8,13 +8,22 @@
  *
  * Renders a full-screen spinner while the bootstrap is in progress
  * so that ProtectedRoute never flickers to the login page.
+ *
+ * Also keeps the auth slice in step with other tabs: a logout elsewhere
+ * ends this tab's session, and a refresh elsewhere is adopted here.
  */
 
 import { useCallback, useEffect, useRef } from 'react'
-import { useDispatch, useSelector } from 'react-redux'
-import { setLoading, selectAuthStatus } from '../../store/slices/authSlice.js'
+import { useDispatch, useSelector, useStore } from 'react-redux'
+import {
+  setLoading,
+  clearCredentials,
+  tokenRefreshed,
+  selectAuthStatus,
+} from '../../store/slices/authSlice.js'
 import { useLazyGetMeQuery } from '../../store/api/authApi.js'
 import { hasRefreshToken } from '../../utils/tokenStorage.js'
+import { SESSION_EVENT_TYPES, subscribeToSessionEvents } from '../../utils/sessionSync.js'
 import { Spinner } from '../../components/Spinner'
 import './AppInit.css'
 
@@ -22,6 +31,7 @@ const SESSION_REVALIDATION_COOLDOWN_MS = 30_000
 
 export function AppInit({ children }) {
   const dispatch = useDispatch()
+  const store = useStore()
   const status = useSelector(selectAuthStatus)
   const [triggerGetMe] = useLazyGetMeQuery()
   const bootstrapped = useRef(false)
@@ -50,6 +60,20 @@ export function AppInit({ children }) {
     // If no refresh token, status stays 'idle' → ProtectedRoute will redirect
   }, [dispatch, status, triggerGetMe])
 
+  useEffect(
+    () =>
+      subscribeToSessionEvents((event) => {
+        if (event.type === SESSION_EVENT_TYPES.LOGOUT) {
+          dispatch(clearCredentials())
+          return
+        }
+        if (event.type === SESSION_EVENT_TYPES.TOKENS_REFRESHED) {
+          dispatch(tokenRefreshed({ accessToken: event.accessToken }))
+        }
+      }, { getUserId: () => store.getState().auth.user?.id }),
+    [dispatch, store],
+  )
+
   useEffect(() => {
     if (status === 'loading') return undefined
 
@@ -1,6 +1,7 @@
 import { MdCheckCircle, MdInfoOutline, MdOutlineWarningAmber } from 'react-icons/md'
 import { Button } from '../Button'
 import { Dialog } from '../Dialog'
+import { useI18n } from '../I18nProvider'
 import './ConfirmationDialog.css'
 
 const getConfirmButtonVariant = (variant) => {
@@ -24,18 +25,22 @@ export function ConfirmationDialog({
   title,
   message,
   detail,
-  eyebrow = 'Confirmation',
-  confirmLabel = 'Confirm',
-  cancelLabel = 'Cancel',
+  eyebrow,
+  confirmLabel,
+  cancelLabel,
   variant = 'default',
   loading = false,
   onCancel,
   onConfirm,
 }) {
-  const normalizedTitle = String(title || 'Confirm action').trim()
-  const normalizedMessage = String(message || 'Confirm this action before continuing.').trim()
+  const { t } = useI18n()
+  const normalizedTitle = String(title || t('confirmation.title')).trim()
+  const normalizedMessage = String(message || t('confirmation.message')).trim()
   const normalizedDetail = String(detail || '').trim()
-  const normalizedEyebrow = String(eyebrow || '').trim()
+  // An explicit empty eyebrow hides it
+  const normalizedEyebrow = String(eyebrow ?? t('confirmation.eyebrow')).trim()
+  const resolvedConfirmLabel = confirmLabel ?? t('common.confirm')
+  const resolvedCancelLabel = cancelLabel ?? t('common.cancel')
   const confirmVariant = getConfirmButtonVariant(variant)
 
   return (
@@ -74,18 +79,18 @@ export function ConfirmationDialog({
           disabled={loading}
           onClick={onCancel}
         >
-          {cancelLabel}
+          {resolvedCancelLabel}
         </Button>
         <Button
           type="button"
           variant={confirmVariant}
           size="sm"
-          aria-label={confirmLabel}
+          aria-label={resolvedConfirmLabel}
           loading={loading}
           disabled={loading}
           onClick={onConfirm}
         >
-          {confirmLabel}
+          {resolvedConfirmLabel}
         </Button>
       </Dialog.Footer>
     </Dialog>
@@ -19,6 +19,7 @@
 
 import { useState, useCallback, useEffect, useRef, useId } from 'react'
 import { MdExpandMore, MdExpandLess } from 'react-icons/md'
+import { useI18n } from '../I18nProvider'
 import { Spinner } from '../Spinner'
 import './CustomSelect.css'
 
@@ -40,13 +41,14 @@ export function CustomSelect({
   onChange,
   options = [],
   actions = [],
-  placeholder = 'Select…',
+  placeholder,
   icon = null,
   ariaLabel,
   disabled = false,
   loading = false,
   className = '',
 }) {
+  const { t } = useI18n()
   const [isOpen, setIsOpen] = useState(false)
   const [activeIndex, setActiveIndex] = useState(-1)
   const containerRef = useRef(null)
@@ -58,7 +60,7 @@ export function CustomSelect({
 
   // Resolve display label
   const selectedOption = options.find((o) => o.value === value)
-  const displayLabel = selectedOption?.label ?? placeholder
+  const displayLabel = selectedOption?.label ?? placeholder ?? t('common.selectPlaceholder')
 
   /* ---- Click outside ---- */
   useEffect(() => {
@@ -7,6 +7,7 @@
 
 import { useRef, useEffect } from 'react'
 import { MdClose } from 'react-icons/md'
+import { useI18n } from '../I18nProvider'
 import './Dialog.css'
 
 /**
@@ -76,6 +77,7 @@ export function Dialog({
   className = '',
   ...props
 }) {
+  const { t } = useI18n()
   const dialogRef = useRef(null)
   const backdropPointerDownRef = useRef(false)
 
@@ -167,7 +169,7 @@ export function Dialog({
             type="button"
             className="dialog__close"
             onClick={handleCloseClick}
-            aria-label="Close dialog"
+            aria-label={t('dialog.close')}
           >
             <MdClose size={24} aria-hidden="true" focusable="false" />
           </button>
@@ -7,13 +7,23 @@
  *   - Rate-limit countdown (seconds remaining until retry)
  *   - Request ID correlation reference for support tickets
  *   - "Report Issue" button that copies a diagnostic payload to clipboard
+ *   - Session recording: start a capture, then export the redacted
+ *     request/response log as a file to attach to the ticket
  *
  * @param {{ error: import('../../utils/errors.js').AppError|null, context?: string, retryRemainingSeconds?: number }} props
  */
 
+import { useState } from 'react'
 import { Button } from '../Button'
 import { useToaster } from '../Toaster'
 import { formatRetryAfter, isRateLimitError } from '../../utils/errors.js'
+import {
+  downloadApiCapture,
+  getApiCaptureEntries,
+  isApiCaptureActive,
+  startApiCapture,
+  stopApiCapture,
+} from '../../utils/apiCapture.js'
 import './ErrorSupportPanel.css'
 export function ErrorSupportPanel({
   error,
@@ -21,9 +31,43 @@ export function ErrorSupportPanel({
   retryRemainingSeconds = 0,
 }) {
   const { addToast } = useToaster()
+  const [capturing, setCapturing] = useState(isApiCaptureActive)
 
   if (!error) return null
 
+  const handleStartCapture = () => {
+    startApiCapture()
+    setCapturing(true)
+    addToast({
+      title: 'Session recording started',
+      description: 'Reproduce the problem, then export the recording from this panel.',
+      variant: 'info',
+    })
+  }
+
+  const handleStopCapture = () => {
+    stopApiCapture()
+    setCapturing(false)
+  }
+
+  const handleExportCapture = () => {
+    if (getApiCaptureEntries().length === 0) {
+      addToast({
+        title: 'Nothing recorded yet',
+        description: 'Reproduce the problem first, then export the recording.',
+        variant: 'warning',
+      })
+      return
+    }
+
+    const filename = downloadApiCapture()
+    addToast({
+      title: 'Recording exported',
+      description: `Attach ${filename} to your support ticket. Tokens and personal details are redacted.`,
+      variant: 'success',
+    })
+  }
+
   const handleReportIssue = async () => {
     const payload = {
       context,
@@ -75,6 +119,20 @@ export function ErrorSupportPanel({
       )}
 
       <div className="error-support__actions">
+        {capturing ? (
+          <>
+            <Button type="button" variant="ghost" size="sm" onClick={handleStopCapture}>
+              Stop Recording
+            </Button>
+            <Button type="button" variant="ghost" size="sm" onClick={handleExportCapture}>
+              Export Recording
+            </Button>
+          </>
+        ) : (
+          <Button type="button" variant="ghost" size="sm" onClick={handleStartCapture}>
+            Record Session
+          </Button>
+        )}
         <Button
           type="button"
           variant="ghost"
@@ -1,11 +1,18 @@
-import { describe, expect, it, vi, beforeEach } from 'vitest'
-import { render, screen } from '@testing-library/react'
+import { afterEach, describe, expect, it, vi, beforeEach } from 'vitest'
+import { act, fireEvent, render, screen } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import { ToasterProvider } from '../Toaster'
 import { ErrorSupportPanel } from './ErrorSupportPanel'
+import {
+  getApiCaptureEntries,
+  isApiCaptureActive,
+  recordApiExchange,
+  stopApiCapture,
+} from '../../utils/apiCapture.js'
 
 describe('ErrorSupportPanel', () => {
   beforeEach(() => vi.restoreAllMocks())
+  afterEach(() => vi.useRealTimers())
 
   it('renders nothing when error is null', () => {
     const { container } = render(
@@ -133,4 +140,50 @@ describe('ErrorSupportPanel', () => {
       configurable: true,
     })
   })
+
+  it('starts a session recording and exports it as a file', () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+    const { createObjectURL: originalCreateObjectURL, revokeObjectURL: originalRevokeObjectURL } = URL
+    const createObjectURL = vi.fn(() => 'blob:recording')
+    const revokeObjectURL = vi.fn()
+    URL.createObjectURL = createObjectURL
+    URL.revokeObjectURL = revokeObjectURL
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    stopApiCapture()
+
+    render(
+      <ToasterProvider>
+        <ErrorSupportPanel error={{ code: 'SERVER_ERROR', message: 'Fail', status: 500 }} />
+      </ToasterProvider>,
+    )
+
+    fireEvent.click(screen.getByRole('button', { name: /record session/i }))
+    expect(isApiCaptureActive()).toBe(true)
+    expect(screen.getByText(/session recording started/i)).toBeInTheDocument()
+
+    recordApiExchange({
+      args: '/customers',
+      result: { data: { data: [] }, meta: { response: { status: 200 } } },
+      startedAt: Date.now(),
+    })
+    fireEvent.click(screen.getByRole('button', { name: /export recording/i }))
+
+    expect(createObjectURL).toHaveBeenCalledTimes(1)
+    expect(clickSpy).toHaveBeenCalledTimes(1)
+    expect(screen.getByText(/recording exported/i)).toBeInTheDocument()
+
+    // The object URL is revoked after a delay, while the stubs are still installed
+    expect(revokeObjectURL).not.toHaveBeenCalled()
+    act(() => {
+      vi.runOnlyPendingTimers()
+    })
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:recording')
+
+    fireEvent.click(screen.getByRole('button', { name: /stop recording/i }))
+    expect(isApiCaptureActive()).toBe(false)
+    expect(getApiCaptureEntries()).toHaveLength(0)
+
+    URL.createObjectURL = originalCreateObjectURL
+    URL.revokeObjectURL = originalRevokeObjectURL
+  })
 })
@@ -6,14 +6,16 @@
 
 import { useEffect, useState } from 'react'
 import { DateTime } from '../DateTime'
+import { useI18n } from '../I18nProvider'
 import './Footer.css'
 
 export function Footer({
   className = '',
   ...props
 }) {
+  const { t } = useI18n()
   const currentYear = new Date().getFullYear()
-  const [versionLabel, setVersionLabel] = useState('Version unavailable')
+  const [versionLabel, setVersionLabel] = useState(null)
 
   function formatBuiltAtLocal(isoString) {
     if (typeof isoString !== 'string') return null
@@ -55,7 +57,7 @@ export function Footer({
         }
       } catch {
         if (isMounted) {
-          setVersionLabel('Version unavailable')
+          setVersionLabel(null)
         }
       }
     }
@@ -77,10 +79,10 @@ export function Footer({
               dateFormat="yyyy-MM-dd"
               timeFormat="HH:mm"
             />
-            <p className="footer__version">{versionLabel}</p>
+            <p className="footer__version">{versionLabel ?? t('footer.versionUnavailable')}</p>
           </div>
           <p className="footer__copyright">
-            © {currentYear} StoryLineOS. All rights reserved.
+            {t('footer.copyright', { year: currentYear })}
           </p>
         </div>
       </div>
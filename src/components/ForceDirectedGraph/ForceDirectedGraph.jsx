@@ -205,6 +205,8 @@ export function ForceDirectedGraph({
   emptyMessage = 'No graph relationships are available.',
   links = [],
   nodes = [],
+  nodeOpenLabel = 'Open',
+  onNodeOpen,
 }) {
   const descriptionId = useId()
   const svgRef = useRef(null)
@@ -219,12 +221,14 @@ export function ForceDirectedGraph({
   const initialGraph = useMemo(() => buildInitialGraph(normalizedGraph), [normalizedGraph])
   const graphDataKey = useMemo(() => JSON.stringify({
     links: normalizedGraph.links.map((link) => ({
+      flagged: Boolean(link.flagged),
       id: link.id,
       label: link.label,
       source: link.source,
       target: link.target,
     })),
     nodes: normalizedGraph.nodes.map((node) => ({
+      flagged: Boolean(node.flagged),
       id: node.id,
       label: node.label,
       meta: node.meta,
@@ -560,7 +564,11 @@ export function ForceDirectedGraph({
 
                 return (
                   <line
-                    className={`force-directed-graph__link${highlighted ? ' force-directed-graph__link--selected' : ''}`}
+                    className={[
+                      'force-directed-graph__link',
+                      highlighted ? 'force-directed-graph__link--selected' : '',
+                      link.flagged ? 'force-directed-graph__link--flagged' : '',
+                    ].filter(Boolean).join(' ')}
                     key={link.id}
                     x1={link.source.x}
                     x2={link.target.x}
@@ -584,6 +592,7 @@ export function ForceDirectedGraph({
                     className={[
                       'force-directed-graph__node',
                       `force-directed-graph__node--${node.type}`,
+                      node.flagged ? 'force-directed-graph__node--flagged' : '',
                       selected ? 'force-directed-graph__node--selected' : '',
                       inspected && !selected ? 'force-directed-graph__node--previewed' : '',
                       connected ? 'force-directed-graph__node--connected' : '',
@@ -636,6 +645,15 @@ export function ForceDirectedGraph({
               </div>
               <h4>{inspectedNode.label}</h4>
               {inspectedNode.meta ? <p>{inspectedNode.meta}</p> : null}
+              {selectedNode && onNodeOpen && selectedNode.openable !== false ? (
+                <button
+                  className="force-directed-graph__detail-action"
+                  onClick={() => onNodeOpen(selectedNode)}
+                  type="button"
+                >
+                  {`${nodeOpenLabel} ${selectedNode.label}`}
+                </button>
+              ) : null}
               <dl>
                 <div>
                   <dt>Links</dt>
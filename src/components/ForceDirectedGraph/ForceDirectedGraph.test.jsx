@@ -1,5 +1,5 @@
 import { fireEvent, render, screen, within } from '@testing-library/react'
-import { describe, expect, it } from 'vitest'
+import { describe, expect, it, vi } from 'vitest'
 import { ForceDirectedGraph } from './ForceDirectedGraph.jsx'
 
 const nodes = [
@@ -176,6 +176,30 @@ describe('ForceDirectedGraph', () => {
     expect(node).not.toHaveClass('force-directed-graph__node--dragging')
   })
 
+  it('flags nodes and links and opens the selected node on request', () => {
+    const onNodeOpen = vi.fn()
+    const { container } = render(
+      <ForceDirectedGraph
+        ariaLabel="Runtime graph"
+        links={links.map((link) => (link.id === 'signal-truth' ? { ...link, flagged: true } : link))}
+        nodes={nodes.map((node) => (node.id === 'signal-1' ? { ...node, flagged: true } : { ...node, openable: false }))}
+        nodeOpenLabel="Edit"
+        onNodeOpen={onNodeOpen}
+      />,
+    )
+
+    const detail = screen.getByRole('complementary', { name: 'Selected graph node' })
+    expect(screen.getByRole('button', { name: /Company Signal/ })).toHaveClass('force-directed-graph__node--flagged')
+    expect(container.querySelectorAll('.force-directed-graph__link--flagged')).toHaveLength(1)
+
+    fireEvent.click(screen.getByRole('button', { name: /Accepted Source/ }))
+    expect(within(detail).queryByRole('button')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: /Company Signal/ }))
+    fireEvent.click(within(detail).getByRole('button', { name: 'Edit Company Signal' }))
+    expect(onNodeOpen).toHaveBeenCalledWith(expect.objectContaining({ id: 'signal-1' }))
+  })
+
   it('renders an honest empty state when no valid links are available', () => {
     render(
       <ForceDirectedGraph
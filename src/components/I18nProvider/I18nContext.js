@@ -0,0 +1,9 @@
+import { createContext } from 'react'
+import { DEFAULT_LOCALE, translate } from '../../i18n'
+
+// Defaults keep shared components rendering English outside the provider
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: (key, values) => translate(key, values, DEFAULT_LOCALE),
+})
@@ -0,0 +1,61 @@
+/**
+ * I18nProvider Component
+ *
+ * Holds the signed-in user's display language and exposes it with a
+ * translator through `useI18n()`:
+ * - `locale` — one of `SUPPORTED_LOCALES`
+ * - `setLocale(locale)` — switch and remember the choice for this user
+ * - `t(key, values)` — translate a catalogue key (see `i18n/`)
+ *
+ * The locale is also made active for utilities outside React (error
+ * normalisation, date formatting) and set as `<html lang>`.
+ *
+ * Usage:
+ * <I18nProvider>
+ *   <App />
+ * </I18nProvider>
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { resolveSupportedLocale, setActiveLocale, translate } from '../../i18n'
+import { selectCurrentUser } from '../../store/slices/authSlice.js'
+import { loadLocalePreference, saveLocalePreference } from '../../utils/localePreference.js'
+import { I18nContext } from './I18nContext'
+
+export function I18nProvider({ children }) {
+  const currentUser = useSelector(selectCurrentUser)
+  const userId = currentUser?.id ?? ''
+  const [preference, setPreference] = useState(() => ({
+    userId,
+    locale: loadLocalePreference(userId),
+  }))
+
+  // Another account signed in on this tab: use their language, not the previous user's
+  if (preference.userId !== userId) {
+    setPreference({ userId, locale: loadLocalePreference(userId) })
+  }
+
+  const { locale } = preference
+  // Before children render, so messages they build outside `t` match
+  setActiveLocale(locale)
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+  }, [locale])
+
+  const setLocale = useCallback((nextLocale) => {
+    const supportedLocale = resolveSupportedLocale(nextLocale)
+    if (!supportedLocale) return
+    saveLocalePreference(userId, supportedLocale)
+    setPreference({ userId, locale: supportedLocale })
+  }, [userId])
+
+  const t = useCallback((key, values) => translate(key, values, locale), [locale])
+
+  const value = useMemo(() => ({ locale, setLocale, t }), [locale, setLocale, t])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export default I18nProvider
@@ -0,0 +1,79 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { Provider } from 'react-redux'
+import { configureStore } from '@reduxjs/toolkit'
+import authReducer, { setCredentials } from '../../store/slices/authSlice.js'
+import { getActiveLocale, setActiveLocale } from '../../i18n'
+import { normalizeError } from '../../utils/errors.js'
+import { LOCALE_STORAGE_KEY } from '../../utils/localePreference.js'
+import { I18nProvider } from './I18nProvider'
+import { useI18n } from './useI18n'
+
+const signIn = (store, id) => store.dispatch(setCredentials({ user: { id, name: id, memberships: [] } }))
+
+const createStore = (userId) => {
+  const store = configureStore({ reducer: { auth: authReducer } })
+  signIn(store, userId)
+  return store
+}
+
+function LanguageProbe() {
+  const { locale, setLocale, t } = useI18n()
+  return (
+    <>
+      <p>Locale: {locale}</p>
+      <p>{t('table.pagination.pageOf', { page: 2, totalPages: 5 })}</p>
+      <button type="button" onClick={() => setLocale('fr')}>French</button>
+    </>
+  )
+}
+
+const renderWithI18n = (store) => render(
+  <Provider store={store}>
+    <I18nProvider>
+      <LanguageProbe />
+    </I18nProvider>
+  </Provider>,
+)
+
+describe('I18nProvider', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    setActiveLocale('en')
+    document.documentElement.removeAttribute('lang')
+  })
+
+  it('starts from the browser language when the user has not chosen one', () => {
+    vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['pt-BR', 'de-CH', 'en'])
+    renderWithI18n(createStore('user-1'))
+
+    expect(screen.getByText('Locale: de')).toBeInTheDocument()
+    expect(screen.getByText('Seite 2 von 5')).toBeInTheDocument()
+    expect(document.documentElement).toHaveAttribute('lang', 'de')
+  })
+
+  it('saves each user\'s choice and makes it active for non-React callers', async () => {
+    localStorage.setItem(`${LOCALE_STORAGE_KEY}:user-2`, 'de')
+    const store = createStore('user-1')
+    renderWithI18n(store)
+
+    await userEvent.setup().click(screen.getByRole('button', { name: 'French' }))
+
+    expect(screen.getByText('Page 2 sur 5')).toBeInTheDocument()
+    expect(localStorage.getItem(`${LOCALE_STORAGE_KEY}:user-1`)).toBe('fr')
+    expect(getActiveLocale()).toBe('fr')
+    expect(normalizeError({ error: 'TypeError: Failed to fetch' }).message)
+      .toBe('Impossible de joindre le serveur. Vérifiez votre connexion.')
+
+    act(() => {
+      signIn(store, 'user-2')
+    })
+
+    expect(screen.getByText('Locale: de')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,4 @@
+export { I18nProvider } from './I18nProvider'
+export { I18nContext } from './I18nContext'
+export { useI18n } from './useI18n'
+export { I18nProvider as default } from './I18nProvider'
@@ -0,0 +1,357 @@
+/**
+ * JsonCodeEditor Component
+ *
+ * JSON field for Runtime Control editors: a plain textarea over a
+ * highlighted copy of its text, so typing, selection, undo and screen
+ * readers keep native behavior.
+ *
+ * Features:
+ * - Syntax highlighting and matching-bracket highlight at the caret
+ * - Inline lint: the first syntax error (and duplicate keys) with line and
+ *   column, marked in the line-number gutter
+ * - Autocomplete inside strings from the Runtime Control registries:
+ *   runtime path keys (`listRuntimePaths`), framework keys
+ *   (`listFrameworkRegistries`) and validation keys
+ *   (`listValidationRegistry`), searched with what is typed (`q`) once the
+ *   field is first focused. Object keys complete the next runtime path
+ *   segment below the object being edited.
+ * - Server field errors for paths inside the value (see
+ *   `getRuntimeControlJsonFieldErrors`) shown as line markers
+ *
+ * `onChange` receives the next text, not an event, because accepting a
+ * completion changes the value without a native input event.
+ *
+ * @example
+ * <JsonCodeEditor
+ *   id="validation-registry-editor-parameter-schema"
+ *   label="Parameter Schema"
+ *   value={parameterSchemaText}
+ *   onChange={setParameterSchemaText}
+ *   root="object"
+ *   completionSources={['runtimePaths', 'validations']}
+ *   fieldErrors={getRuntimeControlJsonFieldErrors(serverErrorDetails, 'parameterSchema')}
+ * />
+ */
+
+import { useLayoutEffect, useMemo, useRef, useState } from 'react'
+import { useDebounce } from '../../hooks/useDebounce.js'
+import {
+  useListFrameworkRegistriesQuery,
+  useListRuntimePathsQuery,
+  useListValidationRegistryQuery,
+} from '../../store/api/runtimeControlApi.js'
+import {
+  JSON_DIAGNOSTIC_SEVERITIES,
+  buildJsonCompletions,
+  findMatchingBracket,
+  getJsonCompletionContext,
+  getJsonFieldErrorMarkers,
+  lintJson,
+  tokenizeJson,
+} from '../../utils/jsonCodeEditor.js'
+import { JSON_CODE_EDITOR_COMPLETION_SOURCES } from './jsonCodeEditorConstants.js'
+import './JsonCodeEditor.css'
+
+const REGISTRY_PAGE_SIZE = 100
+const COMPLETION_SEARCH_DELAY_MS = 250
+const EMPTY_FIELD_ERRORS = Object.freeze({})
+
+const getRows = (response) => (Array.isArray(response?.data) ? response.data : [])
+const toKeys = (rows, field) => [...new Set(rows.map((row) => String(row?.[field] ?? '').trim()).filter(Boolean))]
+
+// Object keys search for runtime paths below the object being edited
+const getCompletionSearch = (context) => {
+  if (!context) return null
+  if (!context.isKey) return context.prefix.trim()
+  return [...context.path.filter((segment) => typeof segment === 'string'), context.prefix].join('.').trim()
+}
+
+export function JsonCodeEditor({
+  id,
+  label,
+  value = '',
+  onChange,
+  error,
+  helperText,
+  rows = 8,
+  disabled = false,
+  required = false,
+  root = 'any',
+  completionSources = [],
+  frameworkKeys = [],
+  fieldErrors = EMPTY_FIELD_ERRORS,
+  fullWidth = true,
+  className = '',
+}) {
+  const textareaRef = useRef(null)
+  const highlightRef = useRef(null)
+  const gutterRef = useRef(null)
+  const pendingCaretRef = useRef(null)
+  const [caret, setCaret] = useState(null)
+  const [completionState, setCompletionState] = useState({ dismissed: false, activeIndex: 0 })
+  // Registries load on first focus, not for every JSON field on the page
+  const [hasFocused, setHasFocused] = useState(false)
+  const text = String(value ?? '')
+  const listboxId = `${id}-completions`
+  const lintId = `${id}-lint`
+  const errorId = `${id}-error`
+  const helperId = `${id}-helper`
+
+  const completionContext = caret === null || disabled ? null : getJsonCompletionContext(text, caret)
+  // The registries are searched for what is typed, not read from their first page
+  const completionSearch = useDebounce(getCompletionSearch(completionContext), COMPLETION_SEARCH_DELAY_MS)
+  const skipCompletionSearch = !hasFocused || completionSearch === null
+  const frameworkKeysParam = (Array.isArray(frameworkKeys) ? frameworkKeys : []).filter(Boolean).join(',')
+  const { data: runtimePathsResponse } = useListRuntimePathsQuery({
+    page: 1,
+    pageSize: REGISTRY_PAGE_SIZE,
+    q: completionSearch ?? '',
+    status: 'ACTIVE',
+    ...(frameworkKeysParam ? { frameworkKeys: frameworkKeysParam } : {}),
+  }, { skip: skipCompletionSearch || !completionSources.includes(JSON_CODE_EDITOR_COMPLETION_SOURCES.RUNTIME_PATHS) })
+  const { data: frameworkRegistryResponse } = useListFrameworkRegistriesQuery({
+    page: 1,
+    pageSize: REGISTRY_PAGE_SIZE,
+    q: completionSearch ?? '',
+    status: 'ACTIVE',
+  }, { skip: skipCompletionSearch || !completionSources.includes(JSON_CODE_EDITOR_COMPLETION_SOURCES.FRAMEWORKS) })
+  const { data: validationRegistryResponse } = useListValidationRegistryQuery({
+    page: 1,
+    pageSize: REGISTRY_PAGE_SIZE,
+    q: completionSearch ?? '',
+    status: 'ACTIVE',
+  }, { skip: skipCompletionSearch || !completionSources.includes(JSON_CODE_EDITOR_COMPLETION_SOURCES.VALIDATIONS) })
+
+  const completionKeys = useMemo(() => ({
+    runtimePathKeys: toKeys(getRows(runtimePathsResponse), 'pathKey'),
+    frameworkKeys: toKeys(getRows(frameworkRegistryResponse), 'frameworkKey'),
+    validationKeys: toKeys(getRows(validationRegistryResponse), 'key'),
+  }), [frameworkRegistryResponse, runtimePathsResponse, validationRegistryResponse])
+
+  const tokens = useMemo(() => tokenizeJson(text), [text])
+  const diagnostics = useMemo(() => lintJson(text, { root }), [root, text])
+  const fieldMarkers = useMemo(() => getJsonFieldErrorMarkers(text, fieldErrors), [fieldErrors, text])
+  const bracketMatch = caret === null ? null : findMatchingBracket(tokens, caret)
+  const completions = completionState.dismissed
+    ? []
+    : buildJsonCompletions(completionContext, completionKeys)
+  const isCompletionOpen = completions.length > 0
+  const activeCompletionIndex = Math.min(completionState.activeIndex, Math.max(completions.length - 1, 0))
+
+  const lineCount = text.split('\n').length
+  const lineMessages = new Map()
+  for (const { line, message, severity } of diagnostics) {
+    lineMessages.set(line, [...(lineMessages.get(line) ?? []), { message, severity }])
+  }
+  for (const { line, message } of fieldMarkers) {
+    lineMessages.set(line, [...(lineMessages.get(line) ?? []), { message, severity: JSON_DIAGNOSTIC_SEVERITIES.ERROR }])
+  }
+
+  useLayoutEffect(() => {
+    if (pendingCaretRef.current === null || !textareaRef.current) return
+    textareaRef.current.setSelectionRange(pendingCaretRef.current, pendingCaretRef.current)
+    pendingCaretRef.current = null
+  }, [text])
+
+  const syncCaret = (event) => {
+    const { selectionStart, selectionEnd } = event.target
+    setCaret(selectionStart === selectionEnd ? selectionStart : null)
+  }
+
+  const handleChange = (event) => {
+    syncCaret(event)
+    setCompletionState({ dismissed: false, activeIndex: 0 })
+    onChange?.(event.target.value)
+  }
+
+  const acceptCompletion = (completion) => {
+    if (!completionContext) return
+    const { replaceStart, replaceEnd, terminated } = completionContext
+    const closingQuote = terminated ? '' : '"'
+    const nextText = `${text.slice(0, replaceStart)}${completion.value}${closingQuote}${text.slice(replaceEnd)}`
+    // Land after the closing quote
+    const nextCaret = replaceStart + completion.value.length + 1
+    pendingCaretRef.current = nextCaret
+    setCaret(nextCaret)
+    setCompletionState({ dismissed: false, activeIndex: 0 })
+    onChange?.(nextText)
+    textareaRef.current?.focus()
+  }
+
+  const handleKeyDown = (event) => {
+    if (!isCompletionOpen) return
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault()
+      const step = event.key === 'ArrowDown' ? 1 : -1
+      setCompletionState((current) => ({
+        ...current,
+        activeIndex: (activeCompletionIndex + step + completions.length) % completions.length,
+      }))
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault()
+      acceptCompletion(completions[activeCompletionIndex])
+    } else if (event.key === 'Escape') {
+      event.preventDefault()
+      setCompletionState({ dismissed: true, activeIndex: 0 })
+    }
+  }
+
+  const handleScroll = (event) => {
+    if (highlightRef.current) {
+      highlightRef.current.scrollTop = event.target.scrollTop
+      highlightRef.current.scrollLeft = event.target.scrollLeft
+    }
+    if (gutterRef.current) gutterRef.current.scrollTop = event.target.scrollTop
+  }
+
+  const hasLintError = diagnostics.some((diagnostic) => diagnostic.severity === JSON_DIAGNOSTIC_SEVERITIES.ERROR)
+  const containerClasses = [
+    'json-code-editor',
+    fullWidth && 'json-code-editor--full-width',
+    (error || hasLintError || fieldMarkers.length > 0) && 'json-code-editor--invalid',
+    disabled && 'json-code-editor--disabled',
+    className,
+  ].filter(Boolean).join(' ')
+
+  return (
+    <div className={containerClasses}>
+      {label ? (
+        <label htmlFor={id} className={['json-code-editor__label', required && 'json-code-editor__label--required'].filter(Boolean).join(' ')}>
+          {label}
+        </label>
+      ) : null}
+      <div className="json-code-editor__frame" style={{ '--json-code-editor-rows': rows }}>
+        <div ref={gutterRef} className="json-code-editor__gutter" aria-hidden="true">
+          {Array.from({ length: lineCount }, (_, index) => {
+            const messages = lineMessages.get(index + 1) ?? []
+            const severity = messages.some((entry) => entry.severity === JSON_DIAGNOSTIC_SEVERITIES.ERROR)
+              ? JSON_DIAGNOSTIC_SEVERITIES.ERROR
+              : messages[0]?.severity
+            return (
+              <span
+                key={index}
+                className={[
+                  'json-code-editor__line-number',
+                  severity && `json-code-editor__line-number--${severity}`,
+                ].filter(Boolean).join(' ')}
+                data-line={index + 1}
+                title={messages.map((entry) => entry.message).join('\n') || undefined}
+              >
+                {index + 1}
+              </span>
+            )
+          })}
+        </div>
+        <div className="json-code-editor__body">
+          <pre ref={highlightRef} className="json-code-editor__highlight" aria-hidden="true">
+            {tokens.map((token) => (
+              <span
+                key={token.start}
+                className={[
+                  `json-code-editor__token--${token.type}`,
+                  bracketMatch && (token.start === bracketMatch.open || token.start === bracketMatch.close)
+                    && 'json-code-editor__token--bracket-match',
+                ].filter(Boolean).join(' ')}
+              >
+                {token.text}
+              </span>
+            ))}
+            {/* Keeps a trailing newline visible so the overlay height matches the textarea */}
+            {'\n'}
+          </pre>
+          <textarea
+            ref={textareaRef}
+            id={id}
+            className="json-code-editor__input"
+            value={text}
+            rows={rows}
+            disabled={disabled}
+            required={required}
+            spellCheck={false}
+            autoCapitalize="off"
+            autoComplete="off"
+            autoCorrect="off"
+            wrap="off"
+            aria-invalid={error || hasLintError ? 'true' : 'false'}
+            aria-autocomplete="list"
+            aria-expanded={isCompletionOpen}
+            aria-controls={isCompletionOpen ? listboxId : undefined}
+            aria-activedescendant={isCompletionOpen ? `${listboxId}-${activeCompletionIndex}` : undefined}
+            aria-describedby={[
+              (diagnostics.length > 0 || fieldMarkers.length > 0) && lintId,
+              error && errorId,
+              helperText && !error && helperId,
+            ].filter(Boolean).join(' ') || undefined}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            onSelect={syncCaret}
+            onClick={syncCaret}
+            onKeyUp={syncCaret}
+            onScroll={handleScroll}
+            onFocus={() => setHasFocused(true)}
+            onBlur={() => setCaret(null)}
+          />
+        </div>
+      </div>
+
+      {isCompletionOpen ? (
+        <ul id={listboxId} className="json-code-editor__completions" role="listbox" aria-label={`${label || 'JSON'} suggestions`}>
+          {completions.map((completion, index) => (
+            <li
+              key={`${completion.kind}:${completion.value}`}
+              id={`${listboxId}-${index}`}
+              role="option"
+              aria-selected={index === activeCompletionIndex}
+              className={[
+                'json-code-editor__completion',
+                index === activeCompletionIndex && 'json-code-editor__completion--active',
+              ].filter(Boolean).join(' ')}
+              onMouseDown={(event) => {
+                // Keep focus (and the caret) in the textarea
+                event.preventDefault()
+                acceptCompletion(completion)
+              }}
+            >
+              <code>{completion.value}</code>
+              <span className="json-code-editor__completion-kind">{completion.kind}</span>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+
+      {diagnostics.length > 0 || fieldMarkers.length > 0 ? (
+        <ul id={lintId} className="json-code-editor__lint" aria-label={`${label || 'JSON'} problems`}>
+          {diagnostics.map((diagnostic) => (
+            <li
+              key={`lint-${diagnostic.offset}-${diagnostic.message}`}
+              className={`json-code-editor__lint-item json-code-editor__lint-item--${diagnostic.severity}`}
+            >
+              Line {diagnostic.line}, column {diagnostic.column}: {diagnostic.message}
+            </li>
+          ))}
+          {fieldMarkers.map((marker) => (
+            <li
+              key={`field-${marker.path}`}
+              className="json-code-editor__lint-item json-code-editor__lint-item--error"
+            >
+              Line {marker.line}{marker.path ? ` (${marker.path})` : ''}: {marker.message}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+
+      {error ? (
+        <div id={errorId} className="json-code-editor__error" role="alert">
+          {error}
+        </div>
+      ) : null}
+      {helperText && !error ? (
+        <div id={helperId} className="json-code-editor__helper">
+          {helperText}
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+export default JsonCodeEditor
@@ -0,0 +1,116 @@
+/**
+ * JsonCodeEditor Component Tests
+ */
+
+import { useState } from 'react'
+import { beforeEach, describe, expect, it } from 'vitest'
+import { fireEvent, render, screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { Provider } from 'react-redux'
+import { JsonCodeEditor } from './JsonCodeEditor'
+import { JSON_CODE_EDITOR_COMPLETION_SOURCES } from './jsonCodeEditorConstants.js'
+import { __mutateRuntimeControlApiStateForTests } from '../../store/api/runtimeControlApi.js'
+import {
+  createRuntimeControlTestStore,
+  setupRuntimeControlTestEnvironment,
+} from '../../test/runtimeControlPageTestUtils.jsx'
+
+function ControlledEditor({ initialValue = '', ...props }) {
+  const [value, setValue] = useState(initialValue)
+  return <JsonCodeEditor id="json-field" label="Parameters" value={value} onChange={setValue} {...props} />
+}
+
+function renderEditor(props) {
+  return render(
+    <Provider store={createRuntimeControlTestStore()}>
+      <ControlledEditor {...props} />
+    </Provider>,
+  )
+}
+
+describe('JsonCodeEditor Component', () => {
+  beforeEach(() => {
+    setupRuntimeControlTestEnvironment()
+  })
+
+  it('highlights tokens and lints syntax errors inline with a gutter marker', () => {
+    const { container } = renderEditor({ initialValue: '{\n  "limit": 3,\n}', root: 'object' })
+
+    expect(screen.getByLabelText('Parameters')).toHaveAttribute('aria-invalid', 'true')
+    expect(container.querySelector('.json-code-editor__token--key')).toHaveTextContent('"limit"')
+    expect(container.querySelector('.json-code-editor__token--number')).toHaveTextContent('3')
+    expect(within(screen.getByRole('list', { name: 'Parameters problems' })).getByText(
+      'Line 3, column 1: Trailing comma before "}".',
+    )).toBeInTheDocument()
+    expect(container.querySelector('[data-line="3"]')).toHaveClass('json-code-editor__line-number--error')
+    expect(container.querySelector('[data-line="1"]')).not.toHaveClass('json-code-editor__line-number--error')
+  })
+
+  it('marks the bracket matching the one at the caret', () => {
+    const { container } = renderEditor({ initialValue: '{"a": [1]}' })
+    const textarea = screen.getByLabelText('Parameters')
+
+    textarea.setSelectionRange(6, 6)
+    fireEvent.select(textarea)
+
+    expect([...container.querySelectorAll('.json-code-editor__token--bracket-match')].map((node) => node.textContent))
+      .toEqual(['[', ']'])
+  })
+
+  it('completes runtime path keys from the registry and accepts with the keyboard', async () => {
+    const user = userEvent.setup()
+    renderEditor({ completionSources: [JSON_CODE_EDITOR_COMPLETION_SOURCES.RUNTIME_PATHS] })
+    const textarea = screen.getByLabelText('Parameters')
+
+    await user.click(textarea)
+    await user.type(textarea, '{{"path": "framework_state.validation.req')
+
+    const listbox = await screen.findByRole('listbox', { name: 'Parameters suggestions' })
+    expect(within(listbox).getAllByRole('option')[0]).toHaveTextContent('framework_state.validation.required_sections')
+    expect(textarea).toHaveAttribute('aria-expanded', 'true')
+
+    await user.keyboard('{Enter}')
+
+    expect(textarea).toHaveValue('{"path": "framework_state.validation.required_sections"')
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument()
+  })
+
+  it('searches the registry with the typed prefix instead of reading only its first page', async () => {
+    __mutateRuntimeControlApiStateForTests((state) => {
+      const [template] = state.runtimePaths.filter((row) => row.status === 'ACTIVE')
+      const fillers = Array.from({ length: 120 }, (_, index) => ({
+        ...template,
+        id: `runtime-path-filler-${index}`,
+        pathKey: `framework_state.filler.entry_${index}`,
+      }))
+      return {
+        ...state,
+        runtimePaths: [
+          ...fillers,
+          ...state.runtimePaths,
+          { ...template, id: 'runtime-path-late', pathKey: 'framework_state.archive.late_entry' },
+        ],
+      }
+    })
+    const user = userEvent.setup()
+    renderEditor({ completionSources: [JSON_CODE_EDITOR_COMPLETION_SOURCES.RUNTIME_PATHS] })
+    const textarea = screen.getByLabelText('Parameters')
+
+    await user.click(textarea)
+    await user.type(textarea, '{{"path": "framework_state.archive.la')
+
+    const listbox = await screen.findByRole('listbox', { name: 'Parameters suggestions' })
+    expect(within(listbox).getByRole('option', { name: /framework_state\.archive\.late_entry/ })).toBeInTheDocument()
+  })
+
+  it('shows server field errors on the line of the path they point at', () => {
+    const { container } = renderEditor({
+      initialValue: '{\n  "properties": {\n    "limit": 3\n  }\n}',
+      fieldErrors: { 'properties.limit': 'Must be a schema object.' },
+    })
+
+    expect(screen.getByText('Line 3 (properties.limit): Must be a schema object.')).toBeInTheDocument()
+    expect(container.querySelector('[data-line="3"]')).toHaveAttribute('title', 'Must be a schema object.')
+    expect(screen.getByLabelText('Parameters')).toHaveAttribute('aria-describedby', 'json-field-lint')
+  })
+})
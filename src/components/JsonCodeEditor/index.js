@@ -0,0 +1,3 @@
+export { JSON_CODE_EDITOR_COMPLETION_SOURCES } from './jsonCodeEditorConstants.js'
+export { JsonCodeEditor } from './JsonCodeEditor'
+export { default } from './JsonCodeEditor'
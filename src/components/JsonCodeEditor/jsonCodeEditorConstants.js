@@ -0,0 +1,6 @@
+// Registries a JsonCodeEditor can draw completions from.
+export const JSON_CODE_EDITOR_COMPLETION_SOURCES = Object.freeze({
+  RUNTIME_PATHS: 'runtimePaths',
+  FRAMEWORKS: 'frameworks',
+  VALIDATIONS: 'validations',
+})
@@ -0,0 +1,113 @@
+/**
+ * LogExportToolbar Component
+ *
+ * Export controls for a log screen, driven by `useLogExport`:
+ *   - Pick CSV or NDJSON and start an export of every page matching the
+ *     screen's current filters
+ *   - Follow progress (rows written of the server total) and cancel
+ *   - See where the rows went once the export finishes, and whether it
+ *     stopped at the page limit before the last page
+ *
+ * @param {Object} props
+ * @param {ReturnType<import('../../hooks/useLogExport.js').useLogExport>} props.logExport - State from `useLogExport`
+ * @param {(format: string) => void} props.onExport - Starts the export with the screen's filters
+ * @param {string} [props.idPrefix='log-export'] - Prefix for form control ids
+ * @param {boolean} [props.disabled=false]
+ * @param {string} [props.className=''] - Additional CSS classes
+ */
+
+import { useState } from 'react'
+import { Button } from '../Button'
+import { ProgressBar } from '../ProgressBar'
+import { Select } from '../Select'
+import { LOG_EXPORT_STATUS } from '../../hooks/useLogExport.js'
+import {
+  LOG_EXPORT_FORMATS,
+  LOG_EXPORT_FORMAT_OPTIONS,
+  LOG_EXPORT_MAX_PAGES,
+  LOG_EXPORT_PART_SIZE_BYTES,
+  canStreamLogExportToDisk,
+} from '../../utils/logExport.js'
+import './LogExportToolbar.css'
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${bytes} B`
+}
+
+export function LogExportToolbar({ logExport, onExport, idPrefix = 'log-export', disabled = false, className = '' }) {
+  const [format, setFormat] = useState(LOG_EXPORT_FORMATS.CSV)
+  const { exportState, isExporting, cancelExport } = logExport
+  const { progress, status } = exportState
+  const progressValue = progress?.total ? (progress.rows / progress.total) * 100 : 0
+
+  return (
+    <div className={['log-export', className].filter(Boolean).join(' ')}>
+      <div className="log-export__controls">
+        <Select
+          id={`${idPrefix}-format`}
+          className="log-export__format"
+          label="Export format"
+          size="sm"
+          value={format}
+          options={LOG_EXPORT_FORMAT_OPTIONS}
+          onChange={(event) => setFormat(event.target.value)}
+          disabled={isExporting}
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          loading={isExporting}
+          disabled={disabled || isExporting}
+          onClick={() => onExport(format)}
+        >
+          Export All Pages
+        </Button>
+        {isExporting ? (
+          <Button variant="ghost" size="sm" onClick={cancelExport}>
+            Cancel Export
+          </Button>
+        ) : null}
+      </div>
+
+      {isExporting ? (
+        <ProgressBar
+          className="log-export__progress"
+          ariaLabel="Export progress"
+          aria-live="polite"
+          label={progress ? `Page ${progress.page} of ${progress.totalPages}` : 'Starting export'}
+          indeterminate={!progress}
+          value={progressValue}
+          valueLabel={progress ? `${progress.rows} / ${progress.total} rows` : ''}
+          size="sm"
+        />
+      ) : null}
+
+      {status === LOG_EXPORT_STATUS.DONE ? (
+        <p className="log-export__message" role="status">
+          Exported {progress?.rows ?? 0} rows ({formatBytes(progress?.bytes ?? 0)}) to {exportState.files.join(', ')}.
+        </p>
+      ) : null}
+      {status === LOG_EXPORT_STATUS.DONE && exportState.truncated ? (
+        <p className="log-export__message log-export__message--warning" role="alert">
+          The export is incomplete: it stopped at the {LOG_EXPORT_MAX_PAGES.toLocaleString()}-page limit
+          before the last page. Narrow the filters and export again to get the remaining rows.
+        </p>
+      ) : null}
+      {status === LOG_EXPORT_STATUS.CANCELLED ? (
+        <p className="log-export__message" role="status">Export cancelled. Nothing was saved.</p>
+      ) : null}
+      {status === LOG_EXPORT_STATUS.FAILED ? (
+        <p className="log-export__message log-export__message--error" role="alert">Export failed: {exportState.error}</p>
+      ) : null}
+      {!canStreamLogExportToDisk() && status === LOG_EXPORT_STATUS.IDLE ? (
+        <p className="log-export__message">
+          This browser can&apos;t save straight to disk, so exports over {formatBytes(LOG_EXPORT_PART_SIZE_BYTES)} download in parts.
+        </p>
+      ) : null}
+    </div>
+  )
+}
+
+export default LogExportToolbar
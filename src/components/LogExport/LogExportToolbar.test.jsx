@@ -0,0 +1,84 @@
+/**
+ * LogExportToolbar Component Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { fireEvent, render, screen } from '@testing-library/react'
+import { LogExportToolbar } from './LogExportToolbar'
+import { LOG_EXPORT_STATUS } from '../../hooks/useLogExport.js'
+
+const createLogExport = (overrides = {}) => ({
+  exportState: {
+    status: LOG_EXPORT_STATUS.IDLE,
+    format: null,
+    sinkKind: null,
+    progress: null,
+    files: [],
+    truncated: false,
+    error: null,
+  },
+  isExporting: false,
+  startExport: vi.fn(),
+  cancelExport: vi.fn(),
+  ...overrides,
+})
+
+describe('LogExportToolbar Component', () => {
+  it('starts an export in the selected format', () => {
+    const onExport = vi.fn()
+    render(<LogExportToolbar logExport={createLogExport()} onExport={onExport} />)
+
+    fireEvent.change(screen.getByLabelText('Export format'), { target: { value: 'ndjson' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Export All Pages' }))
+
+    expect(onExport).toHaveBeenCalledWith('ndjson')
+  })
+
+  it('shows progress and cancels a running export', () => {
+    const logExport = createLogExport({
+      isExporting: true,
+      exportState: {
+        ...createLogExport().exportState,
+        status: LOG_EXPORT_STATUS.RUNNING,
+        progress: { rows: 200, total: 450, page: 1, totalPages: 3, bytes: 4096 },
+      },
+    })
+    render(<LogExportToolbar logExport={logExport} onExport={vi.fn()} />)
+
+    expect(screen.getByText('Page 1 of 3')).toBeInTheDocument()
+    expect(screen.getByText('200 / 450 rows')).toBeInTheDocument()
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel Export' }))
+    expect(logExport.cancelExport).toHaveBeenCalledTimes(1)
+  })
+
+  it('warns when a finished export stopped at the page limit', () => {
+    const finishedState = {
+      ...createLogExport().exportState,
+      status: LOG_EXPORT_STATUS.DONE,
+      progress: { rows: 2000000, total: 2500000, page: 10000, totalPages: 12500, bytes: 4096 },
+      files: ['audit-logs.csv'],
+    }
+    const { rerender } = render(
+      <LogExportToolbar logExport={createLogExport({ exportState: finishedState })} onExport={vi.fn()} />,
+    )
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+
+    rerender(
+      <LogExportToolbar logExport={createLogExport({ exportState: { ...finishedState, truncated: true } })} onExport={vi.fn()} />,
+    )
+
+    expect(screen.getByRole('status')).toHaveTextContent('Exported 2000000 rows (4.0 KB) to audit-logs.csv.')
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'The export is incomplete: it stopped at the 10,000-page limit before the last page.',
+    )
+  })
+
+  it('reports a failed export', () => {
+    const logExport = createLogExport({
+      exportState: { ...createLogExport().exportState, status: LOG_EXPORT_STATUS.FAILED, error: 'Network error' },
+    })
+    render(<LogExportToolbar logExport={logExport} onExport={vi.fn()} />)
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Export failed: Network error')
+  })
+})
@@ -0,0 +1,2 @@
+export { LogExportToolbar } from './LogExportToolbar'
+export { default } from './LogExportToolbar'
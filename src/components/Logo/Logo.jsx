@@ -1,30 +1,43 @@
 /**
  * Logo Component
  *
- * StoryLineOS brand logo component
+ * StoryLineOS brand logo component. When the active customer has a logo
+ * in their branding, it replaces the StoryLineOS logo; if that image fails
+ * to load the StoryLineOS logo is shown again.
  *
  * @example
  * <Logo />
  * <Logo size="large" />
+ * <Logo allowCustomerLogo={false} />
  */
 
+import { useState } from 'react'
 import storylineLogo from '../../assets/images/logos/storylineOS-Logo-CyB9Luth-green.png'
+import { useTheme } from '../ThemeProvider'
 import './Logo.css'
 
 export function Logo({
   size = 'medium',
   alt = 'StoryLineOS Logo',
+  allowCustomerLogo = true,
   className = '',
   ...props
 }) {
-  const logoClasses = ['logo', `logo--${size}`, className].filter(Boolean).join(' ')
+  const { branding } = useTheme()
+  const [failedLogoUrl, setFailedLogoUrl] = useState('')
+  const customerLogoUrl = allowCustomerLogo ? branding?.logoUrl ?? '' : ''
+  const showCustomerLogo = Boolean(customerLogoUrl) && customerLogoUrl !== failedLogoUrl
+  const logoClasses = ['logo', `logo--${size}`, showCustomerLogo && 'logo--customer', className]
+    .filter(Boolean)
+    .join(' ')
 
   return (
     <div className={logoClasses} {...props}>
       <img
-        src={storylineLogo}
-        alt={alt}
+        src={showCustomerLogo ? customerLogoUrl : storylineLogo}
+        alt={showCustomerLogo ? 'Customer Logo' : alt}
         className="logo__image"
+        onError={showCustomerLogo ? () => setFailedLogoUrl(customerLogoUrl) : undefined}
       />
     </div>
   )
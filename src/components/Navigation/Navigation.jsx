@@ -10,6 +10,8 @@ import { NavLink, useLocation, useNavigate } from 'react-router-dom'
 import { useSelector } from 'react-redux'
 import { MdExpandMore } from 'react-icons/md'
 import { Avatar } from '../Avatar'
+import { useI18n } from '../I18nProvider'
+import { useTheme } from '../ThemeProvider'
 import { useAuth } from '../../hooks/useAuth.js'
 import { useTenantContext } from '../../hooks/useTenantContext.js'
 import { selectCurrentUser, selectIsAuthenticated, selectResolvedPermissions } from '../../store/slices/authSlice.js'
@@ -24,6 +26,8 @@ import {
   hasCustomerPermission,
 } from '../../utils/authorization.js'
 import { getPhase1aSuperAdminNavigationEntries } from '../../constants/superAdminNavigation.js'
+import { SUPPORTED_LOCALES } from '../../i18n'
+import { COLOR_SCHEME_PREFERENCES } from '../../utils/colorSchemePreference.js'
 import './Navigation.css'
 
 function Navigation({ isOpen = false, onLinkClick = () => {} }) {
@@ -32,6 +36,8 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
   const location = useLocation()
   const navigate = useNavigate()
   const { logout, logoutResult } = useAuth()
+  const { colorScheme, setColorScheme } = useTheme()
+  const { locale, setLocale, t } = useI18n()
   const {
     customerId: selectedCustomerId,
     selectedCustomerTopology,
@@ -109,7 +115,7 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
     const email = typeof user?.email === 'string' ? user.email.trim() : ''
     if (email) return email
 
-    return 'Account'
+    return ''
   }, [user])
   const userEmail = useMemo(() => {
     const email = typeof user?.email === 'string' ? user.email.trim() : ''
@@ -132,7 +138,7 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
           ? [
               {
                 key: 'manage-users',
-                label: 'Manage Users',
+                label: t('nav.manageUsers'),
                 to: '/app/administration/edit-users',
               },
             ]
@@ -141,7 +147,7 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
           ? [
               {
                 key: 'manage-tenants',
-                label: 'Manage Tenants',
+                label: t('nav.manageTenants'),
                 to: '/app/administration/maintain-tenants',
               },
             ]
@@ -152,7 +158,7 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
         entries.push({
           type: 'group',
           key: 'admin',
-          label: 'Admin',
+          label: t('nav.admin'),
           links: adminLinks,
         })
       }
@@ -162,21 +168,21 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
       entries.push({
         type: 'group',
         key: 'system-health',
-        label: 'System Health',
+        label: t('nav.systemHealth'),
         links: [
           {
             key: 'monitoring',
-            label: 'Monitoring',
+            label: t('nav.monitoring'),
             to: isSuperAdmin
               ? '/super-admin/system-monitoring'
               : '/app/administration/system-monitoring',
           },
           ...(isSuperAdmin
             ? [
-                { key: 'audit-logs', label: 'Audit Logs', to: '/super-admin/audit-logs' },
+                { key: 'audit-logs', label: t('nav.auditLogs'), to: '/super-admin/audit-logs' },
                 {
                   key: 'denied-access',
-                  label: 'Denied Access',
+                  label: t('nav.deniedAccess'),
                   to: '/super-admin/denied-access-logs',
                 },
               ]
@@ -188,19 +194,22 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
     entries.push({
       type: 'user-menu',
       key: 'account',
-      label: userDisplayName,
+      label: userDisplayName || t('nav.account'),
+      menuLabel: userDisplayName
+        ? t('nav.userAccountMenu', { name: userDisplayName })
+        : t('nav.accountMenu'),
       secondaryLabel: userEmail,
       links: [
         {
           key: 'help',
-          label: 'Help',
+          label: t('nav.help'),
           to: '/help',
         },
       ],
       actions: [
         {
           key: 'sign-out',
-          label: 'Sign Out',
+          label: t('nav.signOut'),
         },
       ],
     })
@@ -212,6 +221,7 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
     canViewSystemHealth,
     isAuthenticated,
     isSuperAdmin,
+    t,
     userDisplayName,
     userEmail,
   ])
@@ -278,11 +288,11 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
     <nav
       className={navClasses}
       role="navigation"
-      aria-label="Main navigation"
+      aria-label={t('nav.main')}
       id="mobile-navigation"
     >
       <div className="nav__container">
-        <ul className="nav__links" aria-label="Primary menu">
+        <ul className="nav__links" aria-label={t('nav.primaryMenu')}>
           {menuEntries.map((entry) => {
             if (entry.type === 'link') {
               return (
@@ -319,9 +329,6 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
               const isOpenGroup = openMenuKey === entry.key
               const activeGroup = isGroupActive(entry.links)
               const submenuId = `nav-submenu-${entry.key}`
-              const accountMenuLabel = entry.label === 'Account'
-                ? 'Account menu'
-                : `${entry.label} account menu`
 
               const groupClasses = ['nav__item', 'nav__item--group', 'nav__item--user', activeGroup && 'nav__item--active']
                 .filter(Boolean)
@@ -338,7 +345,7 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
                     onClick={() => toggleMenuGroup(entry.key)}
                     aria-expanded={isOpenGroup}
                     aria-controls={submenuId}
-                    aria-label={accountMenuLabel}
+                    aria-label={entry.menuLabel}
                   >
                     <Avatar
                       name={entry.label}
@@ -379,6 +386,47 @@ function Navigation({ isOpen = false, onLinkClick = () => {} }) {
                       </div>
                     </div>
 
+                    <div className="nav__appearance" role="group" aria-label={t('preferences.appearance')}>
+                      <p className="nav__submenu-title">{t('preferences.appearance')}</p>
+                      <div className="nav__appearance-options">
+                        {COLOR_SCHEME_PREFERENCES.map((option) => (
+                          <button
+                            key={option}
+                            type="button"
+                            className={[
+                              'nav__appearance-option',
+                              colorScheme === option && 'nav__appearance-option--active',
+                            ].filter(Boolean).join(' ')}
+                            aria-pressed={colorScheme === option}
+                            onClick={() => setColorScheme(option)}
+                          >
+                            {t(`preferences.colorScheme.${option}`)}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="nav__appearance" role="group" aria-label={t('preferences.language')}>
+                      <p className="nav__submenu-title">{t('preferences.language')}</p>
+                      <div className="nav__appearance-options">
+                        {SUPPORTED_LOCALES.map((option) => (
+                          <button
+                            key={option.value}
+                            type="button"
+                            lang={option.value}
+                            className={[
+                              'nav__appearance-option',
+                              locale === option.value && 'nav__appearance-option--active',
+                            ].filter(Boolean).join(' ')}
+                            aria-pressed={locale === option.value}
+                            onClick={() => setLocale(option.value)}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
                     <ul className="nav__submenu">
                       {entry.links.map((link) => (
                         <li key={link.key} className="nav__submenu-item">
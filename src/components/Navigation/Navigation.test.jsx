@@ -15,6 +15,10 @@ import tenantContextReducer from '../../store/slices/tenantContextSlice.js'
 import { baseApi } from '../../store/api/baseApi.js'
 import { useAuth } from '../../hooks/useAuth.js'
 import { useListTenantsQuery } from '../../store/api/tenantApi.js'
+import { ThemeContext } from '../ThemeProvider'
+import { I18nProvider } from '../I18nProvider'
+import { setActiveLocale } from '../../i18n'
+import { LOCALE_STORAGE_KEY } from '../../utils/localePreference.js'
 
 vi.mock('../../hooks/useAuth.js', () => ({
   useAuth: vi.fn(),
@@ -547,6 +551,57 @@ describe('Navigation', () => {
     expect(mockLogout).toHaveBeenCalledTimes(1)
   })
 
+  it('switches the colour scheme from the account menu', async () => {
+    const user = userEvent.setup()
+    const setColorScheme = vi.fn()
+    const store = createTestStore(basicUser)
+    render(
+      <Provider store={store}>
+        <ThemeContext.Provider
+          value={{ branding: null, colorScheme: 'system', resolvedColorScheme: 'dark', setColorScheme }}
+        >
+          <MemoryRouter>
+            <Navigation />
+          </MemoryRouter>
+        </ThemeContext.Provider>
+      </Provider>,
+    )
+
+    await user.click(screen.getByRole('button', { name: /basic account menu/i }))
+    const appearance = screen.getByRole('group', { name: /appearance/i })
+    expect(within(appearance).getByRole('button', { name: 'System' })).toHaveAttribute('aria-pressed', 'true')
+
+    await user.click(within(appearance).getByRole('button', { name: 'Light' }))
+    expect(setColorScheme).toHaveBeenCalledWith('light')
+  })
+
+  it('switches the display language from the account menu and remembers it per user', async () => {
+    const user = userEvent.setup()
+    localStorage.clear()
+    const store = createTestStore(basicUser)
+    render(
+      <Provider store={store}>
+        <I18nProvider>
+          <MemoryRouter>
+            <Navigation />
+          </MemoryRouter>
+        </I18nProvider>
+      </Provider>,
+    )
+
+    await user.click(screen.getByRole('button', { name: /basic account menu/i }))
+    const language = screen.getByRole('group', { name: 'Language' })
+    expect(within(language).getByRole('button', { name: 'English' })).toHaveAttribute('aria-pressed', 'true')
+
+    await user.click(within(language).getByRole('button', { name: 'Deutsch' }))
+
+    expect(screen.getByRole('button', { name: 'Abmelden' })).toBeInTheDocument()
+    expect(screen.getByRole('group', { name: 'Darstellung' })).toBeInTheDocument()
+    expect(document.documentElement).toHaveAttribute('lang', 'de')
+    expect(localStorage.getItem(`${LOCALE_STORAGE_KEY}:${basicUser.id}`)).toBe('de')
+    setActiveLocale('en')
+  })
+
   it('shows System Health menu when SYSTEM_HEALTH_VIEW is in platform permissions without CUSTOMER_ADMIN role', async () => {
     const user = userEvent.setup()
     const store = configureStore({
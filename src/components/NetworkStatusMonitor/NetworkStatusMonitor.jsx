@@ -10,17 +10,19 @@
  */
 
 import { useEffect, useRef } from 'react'
+import { useI18n } from '../I18nProvider'
 import { useToaster } from '../Toaster'
 export function NetworkStatusMonitor() {
   const { addToast } = useToaster()
+  const { t } = useI18n()
   const wasOffline = useRef(false)
 
   useEffect(() => {
     const handleOffline = () => {
       wasOffline.current = true
       addToast({
-        title: 'You are offline',
-        description: 'Requests may fail until your connection is restored.',
+        title: t('network.offline.title'),
+        description: t('network.offline.description'),
         variant: 'warning',
         duration: 6000,
       })
@@ -29,8 +31,8 @@ export function NetworkStatusMonitor() {
     const handleOnline = () => {
       if (!wasOffline.current) return
       addToast({
-        title: 'Back online',
-        description: 'Connection restored.',
+        title: t('network.online.title'),
+        description: t('network.online.description'),
         variant: 'success',
       })
       wasOffline.current = false
@@ -43,7 +45,7 @@ export function NetworkStatusMonitor() {
       window.removeEventListener('offline', handleOffline)
       window.removeEventListener('online', handleOnline)
     }
-  }, [addToast])
+  }, [addToast, t])
 
   return null
 }
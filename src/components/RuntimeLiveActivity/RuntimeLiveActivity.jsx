@@ -0,0 +1,78 @@
+/**
+ * RuntimeLiveActivity Component
+ *
+ * Shows the live-update connection for a runtime instance and a progress
+ * bar for every long-running job reported on its event stream (document
+ * extraction, graph rebuilds, Outcome response generation).
+ *
+ * Renders nothing when the event stream is disabled.
+ *
+ * @example
+ * <RuntimeLiveActivity stream={eventStreamState} />
+ */
+
+import { ProgressBar } from '../ProgressBar'
+import { Status } from '../Status'
+import {
+  RUNTIME_EVENT_POLL_INTERVAL_MS,
+  RUNTIME_EVENT_STREAM_CONNECTIONS,
+  selectActiveRuntimeJobs,
+} from '../../store/api/runtimeInstanceEvents.js'
+import { formatRuntimeTokenLabel } from '../../utils/runtimeWorkspace.js'
+import './RuntimeLiveActivity.css'
+
+const RUNTIME_JOB_KIND_LABELS = Object.freeze({
+  DOCUMENT_EXTRACTION: 'Extracting documents',
+  DISCOVERY_INGESTION: 'Ingesting discovery sources',
+  GRAPH_REBUILD: 'Rebuilding intelligence graph',
+  RESPONSE_GENERATION: 'Generating response',
+})
+
+const CONNECTION_STATUS = Object.freeze({
+  [RUNTIME_EVENT_STREAM_CONNECTIONS.CONNECTING]: { variant: 'info', label: 'Connecting to live updates' },
+  [RUNTIME_EVENT_STREAM_CONNECTIONS.LIVE]: { variant: 'success', label: 'Live updates on' },
+  [RUNTIME_EVENT_STREAM_CONNECTIONS.POLLING]: {
+    variant: 'warning',
+    label: `Live updates paused — checking every ${Math.round(RUNTIME_EVENT_POLL_INTERVAL_MS / 1000)}s`,
+  },
+})
+
+const getJobLabel = (job) =>
+  job.label || RUNTIME_JOB_KIND_LABELS[job.kind] || formatRuntimeTokenLabel(job.kind, 'Background job')
+
+export function RuntimeLiveActivity({ stream, className = '' }) {
+  const connectionStatus = CONNECTION_STATUS[stream?.connection]
+  if (!connectionStatus) return null
+
+  const activeJobs = selectActiveRuntimeJobs(stream)
+  const classNames = ['runtime-live-activity', className].filter(Boolean).join(' ')
+
+  return (
+    <section className={classNames} aria-label="Live runtime activity">
+      <Status
+        variant={connectionStatus.variant}
+        size="sm"
+        pulse={stream.connection === RUNTIME_EVENT_STREAM_CONNECTIONS.LIVE && activeJobs.length > 0}
+      >
+        {connectionStatus.label}
+      </Status>
+      {activeJobs.length > 0 ? (
+        <ul className="runtime-live-activity__jobs">
+          {activeJobs.map((job) => (
+            <li key={job.jobId} className="runtime-live-activity__job">
+              <ProgressBar
+                size="sm"
+                label={getJobLabel(job)}
+                indeterminate={job.progress === null}
+                value={job.progress ?? 0}
+                valueLabel={job.progress === null ? '' : `${Math.round(job.progress)}%`}
+              />
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </section>
+  )
+}
+
+export default RuntimeLiveActivity
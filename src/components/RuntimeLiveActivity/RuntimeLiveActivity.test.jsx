@@ -0,0 +1,52 @@
+/**
+ * RuntimeLiveActivity Component Tests
+ */
+
+import { describe, it, expect } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import { RuntimeLiveActivity } from './RuntimeLiveActivity'
+
+const buildStream = (overrides = {}) => ({
+  connection: 'LIVE',
+  lastEventAt: null,
+  lastEventId: null,
+  jobs: {},
+  ...overrides,
+})
+
+describe('RuntimeLiveActivity Component', () => {
+  it('renders nothing when the stream is disabled or missing', () => {
+    const { container, rerender } = render(<RuntimeLiveActivity stream={buildStream({ connection: 'DISABLED' })} />)
+    expect(container).toBeEmptyDOMElement()
+
+    rerender(<RuntimeLiveActivity stream={undefined} />)
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('shows the connection state', () => {
+    const { rerender } = render(<RuntimeLiveActivity stream={buildStream()} />)
+    expect(screen.getByText('Live updates on')).toBeInTheDocument()
+
+    rerender(<RuntimeLiveActivity stream={buildStream({ connection: 'POLLING' })} />)
+    expect(screen.getByText(/Live updates paused/)).toBeInTheDocument()
+  })
+
+  it('renders progress for active jobs only', () => {
+    render(
+      <RuntimeLiveActivity
+        stream={buildStream({
+          jobs: {
+            'job-1': { jobId: 'job-1', kind: 'DOCUMENT_EXTRACTION', label: '', status: 'RUNNING', progress: 42 },
+            'job-2': { jobId: 'job-2', kind: 'RESPONSE_GENERATION', label: '', status: 'RUNNING', progress: null },
+            'job-3': { jobId: 'job-3', kind: 'GRAPH_REBUILD', label: '', status: 'COMPLETED', progress: 100 },
+          },
+        })}
+      />,
+    )
+
+    expect(screen.getByRole('progressbar', { name: 'Extracting documents' })).toHaveAttribute('value', '42')
+    expect(screen.getByText('42%')).toBeInTheDocument()
+    expect(screen.getByRole('progressbar', { name: 'Generating response' })).not.toHaveAttribute('value')
+    expect(screen.queryByRole('progressbar', { name: 'Rebuilding intelligence graph' })).not.toBeInTheDocument()
+  })
+})
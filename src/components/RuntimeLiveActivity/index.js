@@ -0,0 +1,8 @@
+/**
+ * RuntimeLiveActivity Component Barrel Export
+ *
+ * Allows importing as: import { RuntimeLiveActivity } from '@/components/RuntimeLiveActivity'
+ */
+
+export { RuntimeLiveActivity } from './RuntimeLiveActivity'
+export { default } from './RuntimeLiveActivity'
@@ -0,0 +1,63 @@
+/**
+ * RuntimeOutboxSync Component
+ *
+ * Headless global component mounted at the App root next to
+ * `NetworkStatusMonitor`. Once the session is authenticated it loads the
+ * signed-in user's runtime section edits queued while offline and replays
+ * them — on mount, when the user changes and on every `online` event. A toast summarises the outcome so
+ * the user knows their offline typing landed (or needs review).
+ *
+ * Renders `null` — no DOM output.
+ */
+
+import { useCallback, useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useToaster } from '../Toaster'
+import { selectCurrentUser, selectIsAuthenticated } from '../../store/slices/authSlice.js'
+import {
+  hydrateRuntimeOutbox,
+  replayRuntimeOutbox,
+} from '../../store/slices/runtimeOutboxSlice.js'
+
+export function RuntimeOutboxSync() {
+  const dispatch = useDispatch()
+  const isAuthenticated = useSelector(selectIsAuthenticated)
+  const userId = useSelector(selectCurrentUser)?.id
+  const { addToast } = useToaster()
+
+  const replay = useCallback(async () => {
+    await dispatch(hydrateRuntimeOutbox())
+    const { replayed, conflicts, failed } = await dispatch(replayRuntimeOutbox())
+
+    if (conflicts + failed > 0) {
+      addToast({
+        title: 'Some offline edits need review',
+        description: `${conflicts + failed} queued section edit${conflicts + failed === 1 ? '' : 's'} could not be applied. Open the runtime to review.`,
+        variant: 'warning',
+        duration: 8000,
+      })
+      return
+    }
+    if (replayed > 0) {
+      addToast({
+        title: 'Offline edits synced',
+        description: `${replayed} queued section edit${replayed === 1 ? '' : 's'} saved.`,
+        variant: 'success',
+      })
+    }
+  }, [addToast, dispatch])
+
+  useEffect(() => {
+    if (!isAuthenticated || !userId) return undefined
+
+    replay()
+    window.addEventListener('online', replay)
+    return () => {
+      window.removeEventListener('online', replay)
+    }
+  }, [isAuthenticated, replay, userId])
+
+  return null
+}
+
+export default RuntimeOutboxSync
@@ -0,0 +1,82 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { render, waitFor } from '@testing-library/react'
+import { Provider } from 'react-redux'
+import { configureStore } from '@reduxjs/toolkit'
+import authReducer from '../../store/slices/authSlice.js'
+import { RuntimeOutboxSync } from './RuntimeOutboxSync'
+
+const addToastMock = vi.fn()
+const replaySummary = vi.fn()
+
+vi.mock('../Toaster', () => ({
+  useToaster: () => ({
+    addToast: addToastMock,
+  }),
+}))
+
+vi.mock('../../store/slices/runtimeOutboxSlice.js', () => ({
+  hydrateRuntimeOutbox: () => async () => undefined,
+  replayRuntimeOutbox: () => async () => replaySummary(),
+}))
+
+const renderWithAuthStatus = (status) => {
+  const store = configureStore({
+    reducer: { auth: authReducer },
+    preloadedState: {
+      auth: {
+        ...authReducer(undefined, { type: 'init' }),
+        status,
+        user: status === 'authenticated' ? { id: 'user-1' } : null,
+      },
+    },
+  })
+  return render(
+    <Provider store={store}>
+      <RuntimeOutboxSync />
+    </Provider>,
+  )
+}
+
+describe('RuntimeOutboxSync', () => {
+  beforeEach(() => {
+    addToastMock.mockClear()
+    replaySummary.mockReset()
+    replaySummary.mockReturnValue({ replayed: 0, conflicts: 0, failed: 0 })
+  })
+
+  it('renders no DOM output', () => {
+    const { container } = renderWithAuthStatus('authenticated')
+    expect(container.innerHTML).toBe('')
+  })
+
+  it('does not replay before the session is authenticated', () => {
+    renderWithAuthStatus('idle')
+    window.dispatchEvent(new Event('online'))
+    expect(replaySummary).not.toHaveBeenCalled()
+  })
+
+  it('replays on mount and whenever the browser comes back online', async () => {
+    renderWithAuthStatus('authenticated')
+    await waitFor(() => expect(replaySummary).toHaveBeenCalledTimes(1))
+
+    replaySummary.mockReturnValue({ replayed: 2, conflicts: 0, failed: 0 })
+    window.dispatchEvent(new Event('online'))
+
+    await waitFor(() => expect(addToastMock).toHaveBeenCalledWith(
+      expect.objectContaining({ title: 'Offline edits synced', variant: 'success' }),
+    ))
+  })
+
+  it('warns when queued edits conflict', async () => {
+    replaySummary.mockReturnValue({ replayed: 1, conflicts: 1, failed: 0 })
+    renderWithAuthStatus('authenticated')
+
+    await waitFor(() => expect(addToastMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        title: 'Some offline edits need review',
+        description: expect.stringMatching(/1 queued section edit could not be applied/),
+        variant: 'warning',
+      }),
+    ))
+  })
+})
@@ -0,0 +1,2 @@
+export { RuntimeOutboxSync } from './RuntimeOutboxSync'
+export { default } from './RuntimeOutboxSync'
@@ -0,0 +1,129 @@
+/**
+ * SavedViewsToolbar Component
+ *
+ * Saved-view controls for an admin list screen, driven by `useListView`:
+ *   - Pick a saved view (filters + sort + columns) to apply it
+ *   - Save the current view under a name (same name overwrites)
+ *   - Delete the selected view
+ *   - Copy a link that opens the screen in the current view
+ *   - Show/hide and reorder table columns
+ *
+ * @param {Object} props
+ * @param {ReturnType<import('../../hooks/useListView.js').useListView>} props.listView - State from `useListView`
+ * @param {Array<{key: string, label: ReactNode, hideable?: boolean}>} props.columns - The screen's table columns
+ * @param {string} [props.idPrefix='saved-views'] - Prefix for form control ids
+ * @param {string} [props.className=''] - Additional CSS classes
+ */
+
+import { useState } from 'react'
+import { Button } from '../Button'
+import { Input } from '../Input'
+import { Select } from '../Select'
+import { Table } from '../Table'
+import { useToaster } from '../Toaster'
+import './SavedViewsToolbar.css'
+
+export function SavedViewsToolbar({ listView, columns, idPrefix = 'saved-views', className = '' }) {
+  const { addToast } = useToaster()
+  const [isNaming, setIsNaming] = useState(false)
+  const [viewName, setViewName] = useState('')
+  const { savedViews, activeViewId } = listView
+
+  const viewOptions = [
+    { value: '', label: savedViews.length > 0 ? 'Current view' : 'No saved views' },
+    ...savedViews.map((view) => ({ value: view.id, label: view.name })),
+  ]
+
+  const handleSave = (event) => {
+    event.preventDefault()
+    const name = viewName.trim()
+    if (!name) return
+    listView.saveView(name)
+    setIsNaming(false)
+    setViewName('')
+    addToast({ title: 'View saved', description: `"${name}" is now in your saved views.`, variant: 'success' })
+  }
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(listView.getShareUrl())
+      addToast({
+        title: 'Link copied',
+        description: 'Anyone with access to this screen will see the same filters, sort and columns.',
+        variant: 'success',
+      })
+    } catch {
+      addToast({
+        title: 'Unable to copy link',
+        description: 'Clipboard access was blocked. Copy the address bar instead.',
+        variant: 'error',
+      })
+    }
+  }
+
+  return (
+    <div className={['saved-views', className].filter(Boolean).join(' ')}>
+      <Select
+        id={`${idPrefix}-select`}
+        className="saved-views__select"
+        label="Saved view"
+        size="sm"
+        value={activeViewId}
+        options={viewOptions}
+        disabled={savedViews.length === 0}
+        onChange={(event) => {
+          if (event.target.value) listView.applyView(event.target.value)
+        }}
+      />
+
+      {isNaming ? (
+        <form className="saved-views__save-form" onSubmit={handleSave}>
+          <Input
+            id={`${idPrefix}-name`}
+            label="View name"
+            size="sm"
+            value={viewName}
+            onChange={(event) => setViewName(event.target.value)}
+            autoFocus
+          />
+          <Button type="submit" variant="primary" size="sm" disabled={!viewName.trim()}>
+            Save
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => {
+              setIsNaming(false)
+              setViewName('')
+            }}
+          >
+            Cancel
+          </Button>
+        </form>
+      ) : null}
+
+      <div className="saved-views__actions">
+        {!isNaming ? (
+          <Button variant="outline" size="sm" onClick={() => setIsNaming(true)}>
+            Save View
+          </Button>
+        ) : null}
+        {activeViewId ? (
+          <Button variant="ghost" size="sm" onClick={() => listView.deleteView(activeViewId)}>
+            Delete View
+          </Button>
+        ) : null}
+        <Button variant="outline" size="sm" onClick={handleCopyLink}>
+          Copy Link
+        </Button>
+        <Table.ColumnSettings
+          columns={columns}
+          columnConfig={listView.columnConfig}
+          onChange={listView.setColumnConfig}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default SavedViewsToolbar
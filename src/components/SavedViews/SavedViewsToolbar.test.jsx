@@ -0,0 +1,111 @@
+import { describe, expect, it, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { ToasterProvider } from '../Toaster'
+import { SavedViewsToolbar } from './SavedViewsToolbar'
+
+const columns = [
+  { key: 'name', label: 'Name', hideable: false },
+  { key: 'status', label: 'Status' },
+]
+
+const savedViews = [
+  { id: 'view-1', name: 'Disabled users', filters: { status: 'disabled' }, sort: null, columnConfig: {} },
+  { id: 'view-2', name: 'Newest first', filters: {}, sort: { column: 'createdAt', direction: 'desc' }, columnConfig: {} },
+]
+
+function createListView(overrides = {}) {
+  return {
+    savedViews,
+    activeViewId: '',
+    columnConfig: {},
+    setColumnConfig: vi.fn(),
+    saveView: vi.fn(),
+    applyView: vi.fn(),
+    deleteView: vi.fn(),
+    getShareUrl: vi.fn(() => 'http://localhost/app/users?f.status=disabled'),
+    ...overrides,
+  }
+}
+
+function renderToolbar(listView) {
+  return render(
+    <ToasterProvider>
+      <SavedViewsToolbar listView={listView} columns={columns} idPrefix="user-views" />
+    </ToasterProvider>,
+  )
+}
+
+describe('SavedViewsToolbar', () => {
+  it('applies a saved view picked from the list', async () => {
+    const user = userEvent.setup()
+    const listView = createListView()
+    renderToolbar(listView)
+
+    await user.selectOptions(screen.getByLabelText('Saved view'), 'Newest first')
+
+    expect(listView.applyView).toHaveBeenCalledWith('view-2')
+    expect(screen.queryByRole('button', { name: 'Delete View' })).not.toBeInTheDocument()
+  })
+
+  it('disables the picker when nothing has been saved', () => {
+    renderToolbar(createListView({ savedViews: [] }))
+
+    expect(screen.getByLabelText('Saved view')).toBeDisabled()
+    expect(screen.getByRole('option', { name: 'No saved views' })).toBeInTheDocument()
+  })
+
+  it('saves the current view under a name', async () => {
+    const user = userEvent.setup()
+    const listView = createListView()
+    renderToolbar(listView)
+
+    await user.click(screen.getByRole('button', { name: 'Save View' }))
+    expect(screen.getByRole('button', { name: 'Save' })).toBeDisabled()
+
+    await user.type(screen.getByLabelText('View name'), 'Disabled this month{Enter}')
+
+    expect(listView.saveView).toHaveBeenCalledWith('Disabled this month')
+    expect(screen.getByText('View saved')).toBeInTheDocument()
+    expect(screen.queryByLabelText('View name')).not.toBeInTheDocument()
+  })
+
+  it('deletes the active view', async () => {
+    const user = userEvent.setup()
+    const listView = createListView({ activeViewId: 'view-1' })
+    renderToolbar(listView)
+
+    expect(screen.getByLabelText('Saved view')).toHaveValue('view-1')
+    await user.click(screen.getByRole('button', { name: 'Delete View' }))
+
+    expect(listView.deleteView).toHaveBeenCalledWith('view-1')
+  })
+
+  it('copies a share link and reports blocked clipboard access', async () => {
+    const user = userEvent.setup()
+    const original = navigator.clipboard
+    const writeText = vi.fn()
+      .mockResolvedValueOnce(undefined)
+      .mockRejectedValueOnce(new Error('blocked'))
+    Object.defineProperty(navigator, 'clipboard', {
+      value: { writeText },
+      writable: true,
+      configurable: true,
+    })
+
+    renderToolbar(createListView())
+
+    await user.click(screen.getByRole('button', { name: 'Copy Link' }))
+    expect(writeText).toHaveBeenCalledWith('http://localhost/app/users?f.status=disabled')
+    expect(screen.getByText('Link copied')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Copy Link' }))
+    expect(screen.getByText('Unable to copy link')).toBeInTheDocument()
+
+    Object.defineProperty(navigator, 'clipboard', {
+      value: original,
+      writable: true,
+      configurable: true,
+    })
+  })
+})
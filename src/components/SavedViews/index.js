@@ -0,0 +1,2 @@
+export { SavedViewsToolbar } from './SavedViewsToolbar'
+export { default } from './SavedViewsToolbar'
@@ -12,9 +12,16 @@
  * - Compact and hoverable modes
  * - Hybrid API: JSX compound components OR props-based
  * - Full accessibility support (ARIA, keyboard navigation)
+ * - Column filters (in-memory, or reported to the server)
+ * - Server-side mode: one page of already sorted/filtered rows, with
+ *   offset or cursor pagination and selection that survives page changes
+ *   (including "select all matching rows", minus unticked exclusions, for
+ *   bulk actions)
+ * - Row virtualization and sticky headers for thousands of rows
+ * - User column preferences: show/hide, reorder and drag-to-resize
  *
  * @param {Object} props - Component props
- * @param {Array<{key: string, label: string, sortable?: boolean, width?: string, align?: string, render?: function}>} [props.columns] - Column definitions (props-based API)
+ * @param {Array<{key: string, label: string, sortable?: boolean, filterable?: boolean, filterPlaceholder?: string, hideable?: boolean, width?: string, align?: string, render?: function}>} [props.columns] - Column definitions (props-based API)
  * @param {Array<Object>} [props.data] - Row data (props-based API)
  * @param {ReactNode} [props.children] - JSX content (JSX-based API)
  * @param {'default'|'striped'|'bordered'} [props.variant='default'] - Visual variant
@@ -29,9 +36,29 @@
  * @param {Set<string|number>} [props.selectedRows] - Controlled: selected row IDs
  * @param {Array<string|number>} [props.defaultSelectedRows=[]] - Uncontrolled: initial selected rows
  * @param {Function} [props.onSelectChange] - Callback when selection changes: (Set<id>) => void
+ * @param {boolean} [props.serverSide=false] - `data` is one server page: skip in-memory sort/filter and keep selection across pages
+ * @param {Object<string, string>} [props.filters] - Controlled: column filter values keyed by column key
+ * @param {Object<string, string>} [props.defaultFilters={}] - Uncontrolled: initial column filter values
+ * @param {Function} [props.onFilterChange] - Callback when a column filter changes: (filters) => void
+ * @param {Object} [props.pagination] - Server pagination, rendered below the table (see `TablePagination` props)
+ * @param {boolean} [props.allMatchingSelected] - Controlled: every row matching the query is selected, not just loaded ones
+ * @param {boolean} [props.defaultAllMatchingSelected=false] - Uncontrolled: initial "all matching" state
+ * @param {Function} [props.onAllMatchingSelectedChange] - Callback when "all matching" changes: (boolean) => void
+ * @param {Set<string|number>} [props.excludedRows] - Controlled: rows unticked while "all matching" is on
+ * @param {Array<string|number>} [props.defaultExcludedRows=[]] - Uncontrolled: initial excluded rows
+ * @param {Function} [props.onExcludedRowsChange] - Callback when exclusions change: (Set<id>) => void
+ * @param {boolean} [props.virtualized=false] - Render only the rows in view (fixed row height)
+ * @param {number} [props.rowHeight=48] - Virtualized: row height in px
+ * @param {number} [props.viewportHeight=480] - Virtualized: scroll viewport height in px
+ * @param {number} [props.overscan=6] - Virtualized: extra rows rendered above and below the viewport
+ * @param {boolean} [props.stickyHeader=false] - Keep the header visible while the rows scroll
+ * @param {import('./tableColumns.js').TableColumnConfig} [props.columnConfig] - Controlled: column order, hidden columns and widths
+ * @param {import('./tableColumns.js').TableColumnConfig} [props.defaultColumnConfig] - Uncontrolled: initial column config
+ * @param {Function} [props.onColumnConfigChange] - Callback when columns are resized: (config) => void
+ * @param {boolean} [props.resizableColumns=false] - Show drag (and arrow-key) resize handles on headers
  * @param {Array<{label: string, onClick?: function, icon?: ReactNode, variant?: string, disabled?: boolean|function}>} [props.actions] - Action buttons (props API only)
  * @param {Function} [props.onRowAction] - Callback when action clicked: (label, row) => void
- * @param {string} [props.emptyMessage='No data available'] - Message when data is empty
+ * @param {string} [props.emptyMessage] - Message when data is empty (default: "No data available", translated)
  * @param {ReactNode} [props.emptyComponent] - Custom empty state component
  * @param {boolean} [props.loading=false] - Show loading skeleton
  * @param {number} [props.loadingRows=5] - Number of skeleton rows
@@ -50,6 +77,22 @@
  * />
  *
  * @example
+ * // Server-side API
+ * <Table
+ *   serverSide
+ *   selectable
+ *   virtualized
+ *   stickyHeader
+ *   columns={[{ key: 'email', label: 'Email', sortable: true, filterable: true }]}
+ *   data={page.rows}
+ *   onSort={(column, direction) => setSort({ column, direction })}
+ *   onFilterChange={setFilters}
+ *   pagination={{ page, totalPages, total, onPageChange: setPage }}
+ *   onAllMatchingSelectedChange={setBulkTargetsAllMatching}
+ *   onExcludedRowsChange={setBulkExclusions}
+ * />
+ *
+ * @example
  * // JSX-based API
  * <Table variant="striped" selectable>
  *   <Table.Head>
@@ -65,11 +108,24 @@
  * </Table>
  */
 
-import { useState, useCallback, useMemo, createContext, useContext, forwardRef, useImperativeHandle, Children } from 'react'
+import { useState, useCallback, useEffect, useMemo, useRef, createContext, useContext, forwardRef, useImperativeHandle } from 'react'
 import { Tickbox } from '../Tickbox/Tickbox'
 import { Button } from '../Button/Button'
+import { useI18n } from '../I18nProvider'
+import { TablePagination } from './TablePagination'
+import { TableColumnSettings } from './TableColumnSettings'
+import {
+  DEFAULT_VIRTUAL_OVERSCAN,
+  DEFAULT_VIRTUAL_ROW_HEIGHT,
+  DEFAULT_VIRTUAL_VIEWPORT_HEIGHT,
+  getVirtualRowWindow,
+} from './tableVirtualization'
+import { applyColumnConfig, resizeColumn } from './tableColumns'
 import './Table.css'
 
+// Keyboard resize step for column widths (px)
+const COLUMN_RESIZE_STEP = 16
+
 // Context for sharing state between Table and sub-components
 const TableContext = createContext(null)
 
@@ -98,12 +154,38 @@ export const Table = forwardRef(function Table({
   defaultSelectedRows = [],
   onSelectChange,
 
+  // Server-side data source
+  serverSide = false,
+  filters,
+  defaultFilters = {},
+  onFilterChange,
+  pagination,
+  allMatchingSelected,
+  defaultAllMatchingSelected = false,
+  onAllMatchingSelectedChange,
+  excludedRows,
+  defaultExcludedRows = [],
+  onExcludedRowsChange,
+
+  // Large data sets
+  virtualized = false,
+  rowHeight = DEFAULT_VIRTUAL_ROW_HEIGHT,
+  viewportHeight = DEFAULT_VIRTUAL_VIEWPORT_HEIGHT,
+  overscan = DEFAULT_VIRTUAL_OVERSCAN,
+  stickyHeader = false,
+
+  // Column preferences
+  columnConfig,
+  defaultColumnConfig,
+  onColumnConfigChange,
+  resizableColumns = false,
+
   // Row actions (props-based API only)
   actions,
   onRowAction,
 
   // Empty/loading states
-  emptyMessage = 'No data available',
+  emptyMessage,
   emptyComponent,
   loading = false,
   loadingRows = 5,
@@ -117,19 +199,41 @@ export const Table = forwardRef(function Table({
   children,
   ...props
 }, ref) {
+  const { t } = useI18n()
+
   // Internal state (uncontrolled)
   const [sortCol, setSortCol] = useState(defaultSortColumn)
   const [sortDir, setSortDir] = useState(defaultSortDirection)
   const [selected, setSelected] = useState(new Set(defaultSelectedRows))
+  const [filterValues, setFilterValues] = useState(defaultFilters)
+  const [allMatching, setAllMatching] = useState(defaultAllMatchingSelected)
+  const [excluded, setExcluded] = useState(new Set(defaultExcludedRows))
+  const [scrollTop, setScrollTop] = useState(0)
+  const [columnPrefs, setColumnPrefs] = useState(defaultColumnConfig)
+  const viewportRef = useRef(null)
 
   // Use controlled props if provided, otherwise internal state
-  const currentSortColumn = sortColumn ?? sortCol
-  const currentSortDirection = sortDirection ?? sortDir
+  // Sort is controlled whenever the prop is passed, even as null (unsorted)
+  const currentSortColumn = sortColumn !== undefined ? sortColumn : sortCol
+  const currentSortDirection = sortDirection !== undefined ? sortDirection : sortDir
   const currentSelectedRows = selectedRows ?? selected
+  const currentFilters = filters ?? filterValues
+  const currentColumnConfig = columnConfig ?? columnPrefs
+  const isAllMatchingSelected = allMatchingSelected ?? allMatching
+  const currentExcludedRows = excludedRows ?? excluded
 
   // API detection
   const isPropsAPI = columns != null && data != null
   const isJSXAPI = children != null && !isPropsAPI
+  const visibleColumns = useMemo(
+    () => (isPropsAPI ? applyColumnConfig(columns, currentColumnConfig) : columns),
+    [columns, currentColumnConfig, isPropsAPI],
+  )
+
+  const handleColumnConfigChange = useCallback((nextConfig) => {
+    if (!columnConfig) setColumnPrefs(nextConfig)
+    onColumnConfigChange?.(nextConfig)
+  }, [columnConfig, onColumnConfigChange])
 
   // Handle sorting
   const handleSort = useCallback((columnKey) => {
@@ -141,22 +245,76 @@ export const Table = forwardRef(function Table({
         newDirection = 'desc'
       } else if (currentSortDirection === 'desc') {
         newDirection = null
-        if (!sortColumn) setSortCol(null)
+        if (sortColumn === undefined) setSortCol(null)
       } else {
         newDirection = 'asc'
       }
     } else {
       // Different column: start with ascending
       newDirection = 'asc'
-      if (!sortColumn) setSortCol(columnKey)
+      if (sortColumn === undefined) setSortCol(columnKey)
     }
 
-    if (!sortDirection) setSortDir(newDirection)
+    if (sortDirection === undefined) setSortDir(newDirection)
     onSort?.(columnKey, newDirection)
   }, [currentSortColumn, currentSortDirection, onSort, sortColumn, sortDirection])
 
+  const commitSelection = useCallback((nextSelection) => {
+    if (!selectedRows) setSelected(nextSelection)
+    onSelectChange?.(nextSelection)
+  }, [selectedRows, onSelectChange])
+
+  const commitExclusions = useCallback((nextExclusions) => {
+    if (!excludedRows) setExcluded(nextExclusions)
+    onExcludedRowsChange?.(nextExclusions)
+  }, [excludedRows, onExcludedRowsChange])
+
+  // Entering or leaving "all matching" always starts from no exclusions
+  const updateAllMatching = useCallback((nextAllMatching) => {
+    if (allMatchingSelected == null) setAllMatching(nextAllMatching)
+    onAllMatchingSelectedChange?.(nextAllMatching)
+    if (currentExcludedRows.size > 0) commitExclusions(new Set())
+  }, [allMatchingSelected, onAllMatchingSelectedChange, currentExcludedRows, commitExclusions])
+
+  // Handle column filters
+  const handleFilterChange = useCallback((columnKey, value) => {
+    const nextFilters = { ...currentFilters, [columnKey]: value }
+    if (!filters) setFilterValues(nextFilters)
+    onFilterChange?.(nextFilters)
+  }, [currentFilters, filters, onFilterChange])
+
+  // Filter data in memory (props-based API, client-side mode only)
+  const filteredData = useMemo(() => {
+    if (!isPropsAPI || serverSide) return data
+
+    const activeFilters = Object.entries(currentFilters)
+      .map(([key, value]) => [key, String(value ?? '').trim().toLowerCase()])
+      .filter(([, value]) => value)
+    if (activeFilters.length === 0) return data
+
+    return data.filter((row) =>
+      activeFilters.every(([key, value]) => String(row[key] ?? '').toLowerCase().includes(value)))
+  }, [data, currentFilters, isPropsAPI, serverSide])
+
+  const pageRowIds = useMemo(
+    () => (isPropsAPI ? filteredData.map((row, idx) => row.id ?? idx) : []),
+    [filteredData, isPropsAPI],
+  )
+
   // Handle row selection
   const handleSelectRow = useCallback((rowId) => {
+    if (isAllMatchingSelected) {
+      // Still "all matching": the row is excluded (or re-included)
+      const nextExclusions = new Set(currentExcludedRows)
+      if (nextExclusions.has(rowId)) {
+        nextExclusions.delete(rowId)
+      } else {
+        nextExclusions.add(rowId)
+      }
+      commitExclusions(nextExclusions)
+      return
+    }
+
     if (!selectedRows) {
       setSelected(prev => {
         const newSet = new Set(prev)
@@ -177,16 +335,36 @@ export const Table = forwardRef(function Table({
       }
       onSelectChange?.(newSet)
     }
-  }, [currentSelectedRows, selectedRows, onSelectChange])
+  }, [currentSelectedRows, selectedRows, onSelectChange, isAllMatchingSelected, currentExcludedRows, commitExclusions])
+
+  const isRowSelected = (rowId) => (isAllMatchingSelected
+    ? !currentExcludedRows.has(rowId)
+    : currentSelectedRows.has(rowId))
 
-  // Calculate selection state
-  const totalRows = isPropsAPI ? data.length : 0 // For JSX API, we can't easily count
-  const selectedCount = currentSelectedRows.size
-  const isAllSelected = totalRows > 0 && selectedCount === totalRows
-  const isIndeterminate = selectedCount > 0 && selectedCount < totalRows
+  // Calculate selection state. Server-side selection may hold rows from
+  // other pages, so only the loaded page decides the header checkbox.
+  const totalRows = pageRowIds.length // For JSX API, we can't easily count
+  const selectedCount = serverSide
+    ? pageRowIds.filter(isRowSelected).length
+    : currentSelectedRows.size
+  const isAllSelected = totalRows > 0 ? selectedCount === totalRows : isAllMatchingSelected
+  const isIndeterminate = !isAllSelected && selectedCount > 0 && selectedCount < totalRows
 
   // Handle select all
   const handleSelectAll = useCallback(() => {
+    if (isAllMatchingSelected) {
+      updateAllMatching(false)
+      commitSelection(new Set())
+      return
+    }
+
+    if (serverSide) {
+      const nextSelection = new Set(currentSelectedRows)
+      pageRowIds.forEach((id) => (isAllSelected ? nextSelection.delete(id) : nextSelection.add(id)))
+      commitSelection(nextSelection)
+      return
+    }
+
     if (isAllSelected) {
       if (!selectedRows) {
         setSelected(new Set())
@@ -195,7 +373,7 @@ export const Table = forwardRef(function Table({
         onSelectChange?.(new Set())
       }
     } else {
-      const allIds = new Set(data.map((row, idx) => row.id ?? idx))
+      const allIds = new Set(pageRowIds)
       if (!selectedRows) {
         setSelected(allIds)
         onSelectChange?.(allIds)
@@ -203,13 +381,13 @@ export const Table = forwardRef(function Table({
         onSelectChange?.(allIds)
       }
     }
-  }, [isAllSelected, data, selectedRows, onSelectChange])
+  }, [isAllSelected, pageRowIds, selectedRows, onSelectChange, isAllMatchingSelected, updateAllMatching, commitSelection, serverSide, currentSelectedRows])
 
-  // Sort data (for props-based API only)
+  // Sort data (props-based API, client-side mode only)
   const sortedData = useMemo(() => {
-    if (!isPropsAPI || !currentSortColumn || !currentSortDirection) return data
+    if (!isPropsAPI || serverSide || !currentSortColumn || !currentSortDirection) return filteredData
 
-    return [...data].sort((a, b) => {
+    return [...filteredData].sort((a, b) => {
       const aVal = a[currentSortColumn]
       const bVal = b[currentSortColumn]
 
@@ -228,7 +406,22 @@ export const Table = forwardRef(function Table({
 
       return currentSortDirection === 'asc' ? comparison : -comparison
     })
-  }, [data, currentSortColumn, currentSortDirection, isPropsAPI])
+  }, [filteredData, currentSortColumn, currentSortDirection, isPropsAPI, serverSide])
+
+  // A new server page starts at the top of the virtual viewport
+  const paginationPage = pagination?.page
+  const [scrolledPage, setScrolledPage] = useState(paginationPage)
+  if (virtualized && scrolledPage !== paginationPage) {
+    setScrolledPage(paginationPage)
+    setScrollTop(0)
+  }
+  useEffect(() => {
+    if (virtualized && viewportRef.current) viewportRef.current.scrollTop = 0
+  }, [paginationPage, virtualized])
+
+  const virtualWindow = virtualized && isPropsAPI && !loading
+    ? getVirtualRowWindow({ rowCount: sortedData.length, scrollTop, rowHeight, viewportHeight, overscan })
+    : null
 
   // Expose imperative methods via ref
   useImperativeHandle(ref, () => ({
@@ -236,9 +429,10 @@ export const Table = forwardRef(function Table({
     setSortState: (col, dir) => { setSortCol(col); setSortDir(dir) },
     getSelectedRows: () => Array.from(currentSelectedRows),
     setSelectedRows: (ids) => setSelected(new Set(ids)),
-    clearSelection: () => setSelected(new Set()),
-    selectAll: () => handleSelectAll()
-  }), [currentSortColumn, currentSortDirection, currentSelectedRows, handleSelectAll])
+    clearSelection: () => { setSelected(new Set()); setAllMatching(false); setExcluded(new Set()) },
+    selectAll: () => handleSelectAll(),
+    isAllMatchingSelected: () => isAllMatchingSelected,
+  }), [currentSortColumn, currentSortDirection, currentSelectedRows, handleSelectAll, isAllMatchingSelected])
 
   // Context value
   const contextValue = {
@@ -257,7 +451,7 @@ export const Table = forwardRef(function Table({
 
   // Calculate colspan for empty state
   const calculateColSpan = () => {
-    let count = columns.length
+    let count = visibleColumns.length
     if (selectable) count++
     if (actions) count++
     return count
@@ -289,12 +483,12 @@ export const Table = forwardRef(function Table({
     return Array.from({ length: count }, (_, idx) => (
       <tr key={`skeleton-${idx}`} className="table__row table__row--loading">
         {selectable && <td className="table__cell table__cell--checkbox"><div className="table__skeleton" /></td>}
-        {columns.map(col => (
+        {visibleColumns.map(col => (
           <td key={col.key} className="table__cell" data-label={col.label}>
             <div className="table__skeleton" />
           </td>
         ))}
-        {actions && <td className="table__cell table__cell--actions" data-label="Actions"><div className="table__skeleton" /></td>}
+        {actions && <td className="table__cell table__cell--actions" data-label={t('table.actions')}><div className="table__skeleton" /></td>}
       </tr>
     ))
   }
@@ -307,10 +501,42 @@ export const Table = forwardRef(function Table({
     }
   }
 
+  // Drag a header edge to resize; widths are committed as the pointer moves
+  const handleResizePointerDown = (columnKey) => (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    const startX = e.clientX
+    const startWidth = e.currentTarget.closest('th')?.getBoundingClientRect().width ?? 0
+    const configAtStart = currentColumnConfig
+
+    const handlePointerMove = (moveEvent) => {
+      handleColumnConfigChange(resizeColumn(configAtStart, columnKey, startWidth + moveEvent.clientX - startX))
+    }
+    const handlePointerUp = () => {
+      window.removeEventListener('pointermove', handlePointerMove)
+      window.removeEventListener('pointerup', handlePointerUp)
+    }
+    window.addEventListener('pointermove', handlePointerMove)
+    window.addEventListener('pointerup', handlePointerUp)
+  }
+
+  // Keyboard resize: arrow keys step the width
+  const handleResizeKeyDown = (columnKey) => (e) => {
+    e.stopPropagation()
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return
+    e.preventDefault()
+    const currentWidth = currentColumnConfig?.widths?.[columnKey]
+      ?? e.currentTarget.closest('th')?.getBoundingClientRect().width
+      ?? 0
+    handleColumnConfigChange(
+      resizeColumn(currentColumnConfig, columnKey, currentWidth + (e.key === 'ArrowRight' ? COLUMN_RESIZE_STEP : -COLUMN_RESIZE_STEP)),
+    )
+  }
+
   // Get row classes
   const getRowClasses = (rowId) => {
     const classes = ['table__row']
-    if (currentSelectedRows.has(rowId)) classes.push('table__row--selected')
+    if (isRowSelected(rowId)) classes.push('table__row--selected')
     return classes.join(' ')
   }
 
@@ -333,10 +559,84 @@ export const Table = forwardRef(function Table({
     return ''
   }
 
+  const hasFilterRow = isPropsAPI && visibleColumns.some((col) => col.filterable)
+  const headerRowCount = hasFilterRow ? 2 : 1
+  const matchingTotal = Number(pagination?.total) || 0
+
+  // Offer "all matching" once the whole loaded page is ticked, and keep
+  // the banner (with the exclusion count) for as long as it is on
+  const renderSelectionBanner = () => {
+    if (!selectable || !serverSide) return null
+    if (!isAllMatchingSelected && (!isAllSelected || matchingTotal <= totalRows)) return null
+
+    return (
+      <div className="table__selection-banner" role="status">
+        {isAllMatchingSelected ? (
+          <>
+            <span>
+              {currentExcludedRows.size > 0
+                ? t('table.selection.allMatchingExcept', {
+                  count: Math.max(0, matchingTotal - currentExcludedRows.size),
+                  excluded: currentExcludedRows.size,
+                })
+                : t('table.selection.allMatching', { count: matchingTotal })}
+            </span>
+            <Button variant="ghost" size="sm" onClick={handleSelectAll}>{t('table.selection.clear')}</Button>
+          </>
+        ) : (
+          <>
+            <span>{t('table.selection.allOnPage', { count: totalRows })}</span>
+            <Button variant="ghost" size="sm" onClick={() => updateAllMatching(true)}>
+              {t('table.selection.selectAllMatching', { count: matchingTotal })}
+            </Button>
+          </>
+        )}
+      </div>
+    )
+  }
+
+  const renderFilterRow = () => (
+    <tr className="table__row table__row--filters">
+      {selectable && <th className="table__header table__header--checkbox" aria-hidden="true" />}
+      {visibleColumns.map(col => (
+        <th key={col.key} className="table__header table__header--filter">
+          {col.filterable ? (
+            <input
+              type="search"
+              className="table__filter-input"
+              value={currentFilters[col.key] ?? ''}
+              onChange={(event) => handleFilterChange(col.key, event.target.value)}
+              placeholder={col.filterPlaceholder ?? t('table.filterPlaceholder')}
+              aria-label={t('table.filterColumn', { column: getColumnDataLabel(col) })}
+            />
+          ) : null}
+        </th>
+      ))}
+      {actions && <th className="table__header table__header--actions" aria-hidden="true" />}
+    </tr>
+  )
+
+  const renderSpacerRow = (key, height) => (
+    height > 0 ? (
+      <tr key={key} className="table__spacer" aria-hidden="true">
+        <td colSpan={calculateColSpan()} style={{ height }} />
+      </tr>
+    ) : null
+  )
+
   // Render props-based table
   const renderPropsBasedTable = () => {
+    const rowOffset = virtualWindow?.start ?? 0
+    const renderedRows = virtualWindow ? sortedData.slice(virtualWindow.start, virtualWindow.end) : sortedData
+
     return (
-      <table className={tableClasses} role="table" aria-label={ariaLabel} {...props}>
+      <table
+        className={tableClasses}
+        role="table"
+        aria-label={ariaLabel}
+        aria-rowcount={virtualWindow ? sortedData.length + headerRowCount : undefined}
+        {...props}
+      >
         {caption && <caption className="table__caption">{caption}</caption>}
 
         <thead className="table__head">
@@ -347,11 +647,11 @@ export const Table = forwardRef(function Table({
                   checked={isAllSelected}
                   indeterminate={isIndeterminate}
                   onChange={handleSelectAll}
-                  aria-label="Select all rows"
+                  aria-label={t('table.selectAllRows')}
                 />
               </th>
             )}
-            {columns.map(col => (
+            {visibleColumns.map(col => (
               <th
                 key={col.key}
                 className={getHeaderClasses(col)}
@@ -366,10 +666,24 @@ export const Table = forwardRef(function Table({
                   {col.label}
                   {col.sortable && renderSortIcon(currentSortColumn === col.key, currentSortDirection)}
                 </span>
+                {resizableColumns && (
+                  <span
+                    className="table__resize-handle"
+                    role="separator"
+                    aria-orientation="vertical"
+                    aria-label={t('table.resizeColumn', { column: getColumnDataLabel(col) })}
+                    aria-valuenow={currentColumnConfig?.widths?.[col.key]}
+                    tabIndex={0}
+                    onPointerDown={handleResizePointerDown(col.key)}
+                    onKeyDown={handleResizeKeyDown(col.key)}
+                    onClick={(e) => e.stopPropagation()}
+                  />
+                )}
               </th>
             ))}
-            {actions && <th className="table__header table__header--actions">Actions</th>}
+            {actions && <th className="table__header table__header--actions">{t('table.actions')}</th>}
           </tr>
+          {hasFilterRow && renderFilterRow()}
         </thead>
 
         <tbody className="table__body">
@@ -378,78 +692,85 @@ export const Table = forwardRef(function Table({
           ) : sortedData.length === 0 ? (
             <tr className="table__row table__row--empty">
               <td colSpan={calculateColSpan()} className="table__cell table__cell--empty">
-                {emptyComponent || <p className="table__empty-message">{emptyMessage}</p>}
+                {emptyComponent || <p className="table__empty-message">{emptyMessage ?? t('table.empty')}</p>}
               </td>
             </tr>
           ) : (
-            sortedData.map((row, index) => {
-              const rowId = row.id ?? index
-              return (
-                <tr
-                  key={rowId}
-                  className={getRowClasses(rowId)}
-                  role="row"
-                  aria-selected={selectable ? currentSelectedRows.has(rowId) : undefined}
-                >
-                  {selectable && (
-                    <td className="table__cell table__cell--checkbox" data-label="">
-                      <Tickbox
-                        checked={currentSelectedRows.has(rowId)}
-                        onChange={() => handleSelectRow(rowId)}
-                        aria-label={`Select row ${rowId}`}
-                      />
-                    </td>
-                  )}
-                  {columns.map(col => {
-                    const cellClasses = [
-                      'table__cell',
-                      col.align === 'center' && 'table__cell--align-center',
-                      col.align === 'right' && 'table__cell--align-right',
-                    ].filter(Boolean).join(' ')
-
-                    return (
-                    <td
-                      key={col.key}
-                      className={cellClasses}
-                      data-label={getColumnDataLabel(col)}
-                      role="cell"
-                    >
-                      {col.render ? col.render(row[col.key], row) : row[col.key]}
-                    </td>
-                    )
-                  })}
-                  {actions && (
-                    <td className="table__cell table__cell--actions" data-label="Actions">
-                      <div className="table__actions">
-                        {actions.map((action, idx) => {
-                          const isActionDisabled = typeof action.disabled === 'function'
-                            ? action.disabled(row)
-                            : Boolean(action.disabled)
-
-                          return (
-                            <Button
-                              key={idx}
-                              variant={action.variant || 'ghost'}
-                              size="sm"
-                              disabled={isActionDisabled}
-                              onClick={() => {
-                                if (isActionDisabled) return
-                                action.onClick?.(row)
-                                onRowAction?.(action.label, row)
-                              }}
-                              leftIcon={action.icon}
-                              aria-label={`${action.label} ${row.name || row.id || ''}`}
-                            >
-                              {action.label}
-                            </Button>
-                          )
-                        })}
-                      </div>
-                    </td>
-                  )}
-                </tr>
-              )
-            })
+            <>
+              {virtualWindow && renderSpacerRow('spacer-top', virtualWindow.paddingTop)}
+              {renderedRows.map((row, renderedIndex) => {
+                const index = rowOffset + renderedIndex
+                const rowId = row.id ?? index
+                return (
+                  <tr
+                    key={rowId}
+                    className={getRowClasses(rowId)}
+                    role="row"
+                    aria-selected={selectable ? isRowSelected(rowId) : undefined}
+                    aria-rowindex={virtualWindow ? index + headerRowCount + 1 : undefined}
+                    style={virtualWindow ? { height: rowHeight } : undefined}
+                  >
+                    {selectable && (
+                      <td className="table__cell table__cell--checkbox" data-label="">
+                        <Tickbox
+                          checked={isRowSelected(rowId)}
+                          onChange={() => handleSelectRow(rowId)}
+                          aria-label={t('table.selectRow', { rowId })}
+                        />
+                      </td>
+                    )}
+                    {visibleColumns.map(col => {
+                      const cellClasses = [
+                        'table__cell',
+                        col.align === 'center' && 'table__cell--align-center',
+                        col.align === 'right' && 'table__cell--align-right',
+                      ].filter(Boolean).join(' ')
+
+                      return (
+                      <td
+                        key={col.key}
+                        className={cellClasses}
+                        data-label={getColumnDataLabel(col)}
+                        role="cell"
+                      >
+                        {col.render ? col.render(row[col.key], row) : row[col.key]}
+                      </td>
+                      )
+                    })}
+                    {actions && (
+                      <td className="table__cell table__cell--actions" data-label={t('table.actions')}>
+                        <div className="table__actions">
+                          {actions.map((action, idx) => {
+                            const isActionDisabled = typeof action.disabled === 'function'
+                              ? action.disabled(row)
+                              : Boolean(action.disabled)
+
+                            return (
+                              <Button
+                                key={idx}
+                                variant={action.variant || 'ghost'}
+                                size="sm"
+                                disabled={isActionDisabled}
+                                onClick={() => {
+                                  if (isActionDisabled) return
+                                  action.onClick?.(row)
+                                  onRowAction?.(action.label, row)
+                                }}
+                                leftIcon={action.icon}
+                                aria-label={`${action.label} ${row.name || row.id || ''}`}
+                              >
+                                {action.label}
+                              </Button>
+                            )
+                          })}
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                )
+              })}
+              {virtualWindow && renderSpacerRow('spacer-bottom', virtualWindow.paddingBottom)}
+            </>
           )}
         </tbody>
       </table>
@@ -472,6 +793,9 @@ export const Table = forwardRef(function Table({
     `table--${variant}`,
     `table--${size}`,
     hoverable && 'table--hoverable',
+    stickyHeader && 'table--sticky-header',
+    resizableColumns && 'table--resizable',
+    virtualized && 'table--virtualized',
     className
   ].filter(Boolean).join(' ')
 
@@ -481,15 +805,40 @@ export const Table = forwardRef(function Table({
     return null
   }
 
+  if (!isPropsAPI) {
+    return (
+      <TableContext.Provider value={contextValue}>
+        {renderJSXBasedTable()}
+      </TableContext.Provider>
+    )
+  }
+
   return (
     <TableContext.Provider value={contextValue}>
-      {isPropsAPI ? renderPropsBasedTable() : renderJSXBasedTable()}
+      {renderSelectionBanner()}
+      {virtualized ? (
+        <div
+          ref={viewportRef}
+          className="table-viewport"
+          style={{ maxHeight: viewportHeight }}
+          onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+        >
+          {renderPropsBasedTable()}
+        </div>
+      ) : renderPropsBasedTable()}
+      {pagination ? <TablePagination {...pagination} /> : null}
     </TableContext.Provider>
   )
 })
 
 Table.displayName = 'Table'
 
+// Table.Pagination - Server pagination controls (see TablePagination.jsx)
+Table.Pagination = TablePagination
+
+// Table.ColumnSettings - Show/hide and reorder menu (see TableColumnSettings.jsx)
+Table.ColumnSettings = TableColumnSettings
+
 // Table.Head - Container for header row
 Table.Head = function TableHead({ children, className = '', ...props }) {
   return (
@@ -658,6 +1007,7 @@ Table.Cell.displayName = 'Table.Cell'
 // Table.SelectAllHeader - Helper for select-all checkbox
 Table.SelectAllHeader = function TableSelectAllHeader() {
   const context = useContext(TableContext)
+  const { t } = useI18n()
   if (!context) {
     throw new Error('Table.SelectAllHeader must be used within Table')
   }
@@ -670,7 +1020,7 @@ Table.SelectAllHeader = function TableSelectAllHeader() {
         checked={isAllSelected}
         indeterminate={isIndeterminate}
         onChange={handleSelectAll}
-        aria-label="Select all rows"
+        aria-label={t('table.selectAllRows')}
       />
     </th>
   )
@@ -681,6 +1031,7 @@ Table.SelectAllHeader.displayName = 'Table.SelectAllHeader'
 // Table.CheckboxCell - Helper for row selection checkbox
 Table.CheckboxCell = function TableCheckboxCell({ rowId }) {
   const context = useContext(TableContext)
+  const { t } = useI18n()
   if (!context) {
     throw new Error('Table.CheckboxCell must be used within Table')
   }
@@ -692,7 +1043,7 @@ Table.CheckboxCell = function TableCheckboxCell({ rowId }) {
       <Tickbox
         checked={selectedRows.has(rowId)}
         onChange={() => handleSelectRow(rowId)}
-        aria-label={`Select row ${rowId}`}
+        aria-label={t('table.selectRow', { rowId })}
       />
     </td>
   )
@@ -1,8 +1,10 @@
 import { describe, it, expect, vi } from 'vitest'
-import { render, screen } from '@testing-library/react'
+import { fireEvent, render, screen, within } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import { Table } from './Table'
 import { DEFAULT_TABLE_PAGE_SIZE } from './tableConstants.js'
+import { applyColumnConfig, moveColumn, resizeColumn, toggleColumnHidden } from './tableColumns'
+import { getVirtualRowWindow } from './tableVirtualization'
 
 // Sample test data
 const columns = [
@@ -674,4 +676,303 @@ describe('Table Component', () => {
       expect(skeletons.length).toBeGreaterThan(0)
     })
   })
+  // ===========================
+  // 10. SERVER-SIDE DATA SOURCE
+  // ===========================
+  describe('Server-Side Data Source', () => {
+    const pageOne = data.slice(0, 2)
+    const pageTwo = [{ id: 4, name: 'Dana White', email: 'dana@example.com', role: 'User' }]
+
+    it('should leave sorting and filtering to the server', async () => {
+      const user = userEvent.setup()
+      const handleSort = vi.fn()
+      const handleFilterChange = vi.fn()
+      const filterableColumns = [{ ...columns[0], filterable: true }, columns[1]]
+      const unsorted = [data[2], data[0]]
+
+      render(
+        <Table
+          serverSide
+          columns={filterableColumns}
+          data={unsorted}
+          onSort={handleSort}
+          onFilterChange={handleFilterChange}
+        />
+      )
+
+      await user.click(screen.getByText('Name'))
+      expect(handleSort).toHaveBeenCalledWith('name', 'asc')
+
+      await user.type(screen.getByLabelText('Filter Name'), 'b')
+      expect(handleFilterChange).toHaveBeenLastCalledWith({ name: 'b' })
+
+      const bodyRows = screen.getAllByRole('row').slice(2)
+      expect(within(bodyRows[0]).getByText('Charlie Brown')).toBeInTheDocument()
+      expect(within(bodyRows[1]).getByText('Alice Johnson')).toBeInTheDocument()
+    })
+
+    it('should filter in memory when not server-side', async () => {
+      const user = userEvent.setup()
+      render(<Table columns={[{ ...columns[0], filterable: true }, columns[1]]} data={data} />)
+
+      await user.type(screen.getByLabelText('Filter Name'), 'bob')
+
+      expect(screen.getByText('Bob Smith')).toBeInTheDocument()
+      expect(screen.queryByText('Alice Johnson')).not.toBeInTheDocument()
+    })
+
+    it('should render offset pagination and report page changes', async () => {
+      const user = userEvent.setup()
+      const handlePageChange = vi.fn()
+
+      render(
+        <Table
+          serverSide
+          columns={columns}
+          data={pageOne}
+          pagination={{ page: 1, totalPages: 3, total: 5, itemLabel: 'users', onPageChange: handlePageChange }}
+        />
+      )
+
+      expect(screen.getByText('Page 1 of 3 (5 users)')).toBeInTheDocument()
+      expect(screen.getByRole('button', { name: 'First' })).toBeDisabled()
+
+      await user.click(screen.getByRole('button', { name: 'Last' }))
+      expect(handlePageChange).toHaveBeenCalledWith(3)
+    })
+
+    it('should render cursor pagination', async () => {
+      const user = userEvent.setup()
+      const handleNextPage = vi.fn()
+
+      render(
+        <Table.Pagination mode="cursor" page={1} hasNextPage onNextPage={handleNextPage} />
+      )
+
+      expect(screen.queryByRole('button', { name: 'Last' })).not.toBeInTheDocument()
+      expect(screen.getByRole('button', { name: 'Previous' })).toBeDisabled()
+
+      await user.click(screen.getByRole('button', { name: 'Next' }))
+      expect(handleNextPage).toHaveBeenCalledTimes(1)
+    })
+
+    it('should keep selection across pages', async () => {
+      const user = userEvent.setup()
+      const handleSelectChange = vi.fn()
+      const { rerender } = render(
+        <Table serverSide selectable columns={columns} data={pageOne} onSelectChange={handleSelectChange} />
+      )
+
+      await user.click(screen.getByLabelText('Select row 1'))
+      rerender(<Table serverSide selectable columns={columns} data={pageTwo} onSelectChange={handleSelectChange} />)
+
+      expect(screen.getByLabelText('Select all rows')).not.toBeChecked()
+      await user.click(screen.getByLabelText('Select all rows'))
+
+      expect(handleSelectChange).toHaveBeenLastCalledWith(new Set([1, 4]))
+    })
+
+    it('should offer selecting every matching row and track rows unticked from it', async () => {
+      const user = userEvent.setup()
+      const handleAllMatchingChange = vi.fn()
+      const handleExcludedChange = vi.fn()
+
+      render(
+        <Table
+          serverSide
+          selectable
+          columns={columns}
+          data={pageOne}
+          pagination={{ page: 1, totalPages: 3, total: 5, onPageChange: vi.fn() }}
+          onAllMatchingSelectedChange={handleAllMatchingChange}
+          onExcludedRowsChange={handleExcludedChange}
+        />
+      )
+
+      await user.click(screen.getByLabelText('Select all rows'))
+      expect(screen.getByText('All 2 rows on this page are selected.')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Select all 5 matching rows' }))
+      expect(handleAllMatchingChange).toHaveBeenLastCalledWith(true)
+      expect(screen.getByText('All 5 matching rows are selected.')).toBeInTheDocument()
+
+      await user.click(screen.getByLabelText('Select row 2'))
+      expect(handleAllMatchingChange).toHaveBeenCalledTimes(1)
+      expect(handleExcludedChange).toHaveBeenLastCalledWith(new Set([2]))
+      expect(screen.getByLabelText('Select row 1')).toBeChecked()
+      expect(screen.getByLabelText('Select row 2')).not.toBeChecked()
+      expect(screen.getByText('4 matching rows are selected, 1 excluded.')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Clear selection' }))
+      expect(handleAllMatchingChange).toHaveBeenLastCalledWith(false)
+      expect(handleExcludedChange).toHaveBeenLastCalledWith(new Set())
+      expect(screen.getByLabelText('Select row 1')).not.toBeChecked()
+    })
+  })
+
+  // ===========================
+  // 11. VIRTUALIZATION
+  // ===========================
+  describe('Virtualization', () => {
+    const manyRows = Array.from({ length: 2000 }, (_, idx) => ({
+      id: idx + 1,
+      name: `User ${idx + 1}`,
+      email: `user${idx + 1}@example.com`,
+      role: 'User',
+    }))
+
+    it('should compute the rendered window and spacer heights', () => {
+      expect(getVirtualRowWindow({
+        rowCount: 2000,
+        scrollTop: 4800,
+        rowHeight: 48,
+        viewportHeight: 480,
+        overscan: 5,
+      })).toEqual({ start: 95, end: 115, paddingTop: 4560, paddingBottom: 90480 })
+    })
+
+    it('should render only the rows in view and follow scrolling', () => {
+      const { container } = render(
+        <Table virtualized columns={columns} data={manyRows} rowHeight={40} viewportHeight={400} overscan={2} />
+      )
+
+      expect(screen.getByRole('table')).toHaveAttribute('aria-rowcount', '2001')
+      expect(screen.getByText('User 1')).toBeInTheDocument()
+      expect(screen.queryByText('User 50')).not.toBeInTheDocument()
+      expect(container.querySelectorAll('tbody .table__row')).toHaveLength(12)
+
+      fireEvent.scroll(container.querySelector('.table-viewport'), { target: { scrollTop: 2000 } })
+
+      expect(screen.getByText('User 51')).toBeInTheDocument()
+      expect(screen.queryByText('User 1')).not.toBeInTheDocument()
+      expect(screen.getByText('User 51').closest('tr')).toHaveAttribute('aria-rowindex', '52')
+      expect(container.querySelectorAll('tbody .table__row')).toHaveLength(14)
+    })
+
+    it('should window a large server-side page and start each new page at the top', () => {
+      const pagination = { page: 1, totalPages: 5, total: 10000, onPageChange: vi.fn() }
+      const { container, rerender } = render(
+        <Table serverSide virtualized columns={columns} data={manyRows} pagination={pagination} />
+      )
+      const viewport = container.querySelector('.table-viewport')
+
+      expect(container.querySelectorAll('tbody .table__row')).toHaveLength(16)
+
+      fireEvent.scroll(viewport, { target: { scrollTop: 48 * 1000 } })
+      expect(screen.getByText('User 1001')).toBeInTheDocument()
+
+      rerender(
+        <Table serverSide virtualized columns={columns} data={manyRows} pagination={{ ...pagination, page: 2 }} />
+      )
+
+      expect(viewport.scrollTop).toBe(0)
+      expect(screen.getByText('User 1')).toBeInTheDocument()
+      expect(screen.queryByText('User 1001')).not.toBeInTheDocument()
+    })
+
+    it('should keep the header stuck to the top of the viewport while the rows scroll', () => {
+      const { container } = render(
+        <Table virtualized stickyHeader columns={columns} data={manyRows} viewportHeight={400} />
+      )
+      const viewport = container.querySelector('.table-viewport')
+      const head = container.querySelector('thead')
+
+      fireEvent.scroll(viewport, { target: { scrollTop: 2000 } })
+
+      expect(screen.getByRole('table')).toHaveClass('table--sticky-header')
+      expect(viewport).toHaveStyle({ maxHeight: '400px' })
+      expect(window.getComputedStyle(viewport).overflowY).toBe('auto')
+      expect(window.getComputedStyle(head).position).toBe('sticky')
+      expect(window.getComputedStyle(head).top).toBe('0px')
+      expect(viewport).toContainElement(head)
+      expect(screen.getAllByRole('columnheader').map((header) => header.textContent)).toContain('Name')
+    })
+  })
+
+  // ===========================
+  // 12. COLUMN PREFERENCES
+  // ===========================
+  describe('Column Preferences', () => {
+    const headerLabels = () => screen.getAllByRole('columnheader').map((header) => header.textContent)
+
+    it('should hide, reorder and resize columns from a config', () => {
+      const config = resizeColumn(
+        moveColumn(toggleColumnHidden({}, 'role'), columns, 'email', -1),
+        'name',
+        20,
+      )
+
+      expect(config).toEqual({ hidden: ['role'], order: ['email', 'name', 'role'], widths: { name: 64 } })
+      expect(applyColumnConfig(columns, config).map((column) => column.key)).toEqual(['email', 'name'])
+
+      render(<Table columns={columns} data={data} columnConfig={config} />)
+
+      expect(headerLabels()).toEqual(['Email', 'Name'])
+      expect(screen.getByRole('columnheader', { name: /name/i })).toHaveStyle({ width: '64px' })
+    })
+
+    it('should keep columns that opt out of hiding', () => {
+      const pinnedColumns = [{ ...columns[0], hideable: false }, columns[1]]
+      expect(applyColumnConfig(pinnedColumns, { hidden: ['name', 'email'] }).map((column) => column.key))
+        .toEqual(['name'])
+    })
+
+    it('should manage columns through Table.ColumnSettings', async () => {
+      const user = userEvent.setup()
+      const onChange = vi.fn()
+      render(
+        <Table.ColumnSettings
+          columns={[{ ...columns[0], hideable: false }, columns[1], columns[2]]}
+          columnConfig={{}}
+          onChange={onChange}
+        />
+      )
+
+      await user.click(screen.getByRole('button', { name: 'Columns' }))
+      const panel = screen.getByRole('group', { name: 'Column settings' })
+
+      expect(within(panel).getByLabelText('Name')).toBeDisabled()
+      await user.click(within(panel).getByLabelText('Role'))
+      expect(onChange).toHaveBeenLastCalledWith({ hidden: ['role'] })
+
+      await user.click(within(panel).getByRole('button', { name: 'Move Email later' }))
+      expect(onChange).toHaveBeenLastCalledWith({ order: ['name', 'role', 'email'] })
+
+      await user.click(within(panel).getByRole('button', { name: 'Reset Columns' }))
+      expect(onChange).toHaveBeenLastCalledWith({})
+
+      await user.keyboard('{Escape}')
+      expect(screen.queryByRole('group', { name: 'Column settings' })).not.toBeInTheDocument()
+    })
+
+    it('should resize columns with the keyboard without sorting', () => {
+      const onColumnConfigChange = vi.fn()
+      const onSort = vi.fn()
+      render(
+        <Table
+          columns={columns}
+          data={data}
+          resizableColumns
+          defaultColumnConfig={{ widths: { name: 200 } }}
+          onColumnConfigChange={onColumnConfigChange}
+          onSort={onSort}
+        />
+      )
+
+      const handle = screen.getByRole('separator', { name: 'Resize Name column' })
+      fireEvent.keyDown(handle, { key: 'ArrowRight' })
+
+      expect(onColumnConfigChange).toHaveBeenLastCalledWith({ widths: { name: 216 } })
+      expect(screen.getByRole('columnheader', { name: /name/i })).toHaveStyle({ width: '216px' })
+      expect(onSort).not.toHaveBeenCalled()
+    })
+
+    it('should treat a null controlled sort as unsorted', () => {
+      render(<Table columns={columns} data={[...data].reverse()} sortColumn={null} sortDirection={null} onSort={vi.fn()} />)
+
+      fireEvent.click(screen.getByRole('columnheader', { name: /name/i }))
+      const firstRow = screen.getAllByRole('row')[1]
+      expect(within(firstRow).getByText('Charlie Brown')).toBeInTheDocument()
+    })
+  })
 })
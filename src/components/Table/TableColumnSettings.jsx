@@ -0,0 +1,130 @@
+/**
+ * Table Column Settings
+ *
+ * "Columns" menu for props-based tables: show/hide and reorder columns.
+ * Edits a `TableColumnConfig` (see `tableColumns.js`), so it pairs with
+ * `Table`'s `columnConfig` / `onColumnConfigChange` props. Available as
+ * `Table.ColumnSettings`.
+ *
+ * @param {Object} props
+ * @param {Array<{key: string, label: ReactNode, hideable?: boolean}>} props.columns - The table's column definitions
+ * @param {import('./tableColumns.js').TableColumnConfig} [props.columnConfig] - Current column config
+ * @param {Function} props.onChange - Called with the next config: (config) => void
+ * @param {string} [props.label] - Trigger button label (default: "Columns", translated)
+ * @param {string} [props.className=''] - Additional CSS classes
+ * @returns {JSX.Element}
+ */
+
+import { useEffect, useId, useRef, useState } from 'react'
+import { MdArrowDownward, MdArrowUpward } from 'react-icons/md'
+import { Button } from '../Button/Button'
+import { useI18n } from '../I18nProvider'
+import { Tickbox } from '../Tickbox/Tickbox'
+import { isColumnHideable, moveColumn, orderColumns, toggleColumnHidden } from './tableColumns'
+
+const getColumnName = (column) =>
+  (typeof column.label === 'string' && column.label.trim() ? column.label : column.key)
+
+export function TableColumnSettings({
+  columns,
+  columnConfig,
+  onChange,
+  label,
+  className = '',
+}) {
+  const { t } = useI18n()
+  const panelId = useId()
+  const containerRef = useRef(null)
+  const [isOpen, setIsOpen] = useState(false)
+  const config = columnConfig ?? {}
+  const hidden = new Set(config.hidden ?? [])
+
+  useEffect(() => {
+    if (!isOpen) return undefined
+
+    const handleDocumentPointerDown = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    const handleDocumentKeyDown = (event) => {
+      if (event.key === 'Escape') setIsOpen(false)
+    }
+
+    document.addEventListener('mousedown', handleDocumentPointerDown)
+    document.addEventListener('keydown', handleDocumentKeyDown)
+
+    return () => {
+      document.removeEventListener('mousedown', handleDocumentPointerDown)
+      document.removeEventListener('keydown', handleDocumentKeyDown)
+    }
+  }, [isOpen])
+
+  const orderedColumns = orderColumns(columns, config)
+
+  return (
+    <div className={['table-column-settings', className].filter(Boolean).join(' ')} ref={containerRef}>
+      <Button
+        variant="outline"
+        size="sm"
+        aria-expanded={isOpen}
+        aria-controls={panelId}
+        onClick={() => setIsOpen((current) => !current)}
+      >
+        {label ?? t('table.columns')}
+      </Button>
+
+      {isOpen ? (
+        <div id={panelId} className="table-column-settings__panel" role="group" aria-label={t('table.columnSettings')}>
+          <ul className="table-column-settings__list">
+            {orderedColumns.map((column, index) => {
+              const columnName = getColumnName(column)
+              return (
+                <li key={column.key} className="table-column-settings__item">
+                  <Tickbox
+                    id={`${panelId}-${column.key}`}
+                    label={columnName}
+                    size="sm"
+                    checked={!hidden.has(column.key) || !isColumnHideable(column)}
+                    disabled={!isColumnHideable(column)}
+                    onChange={() => onChange(toggleColumnHidden(config, column.key))}
+                  />
+                  <span className="table-column-settings__moves">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      iconOnly
+                      disabled={index === 0}
+                      aria-label={t('table.moveColumnEarlier', { column: columnName })}
+                      onClick={() => onChange(moveColumn(config, columns, column.key, -1))}
+                    >
+                      <MdArrowUpward aria-hidden="true" focusable="false" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      iconOnly
+                      disabled={index === orderedColumns.length - 1}
+                      aria-label={t('table.moveColumnLater', { column: columnName })}
+                      onClick={() => onChange(moveColumn(config, columns, column.key, 1))}
+                    >
+                      <MdArrowDownward aria-hidden="true" focusable="false" />
+                    </Button>
+                  </span>
+                </li>
+              )
+            })}
+          </ul>
+          <Button variant="ghost" size="sm" onClick={() => onChange({})}>
+            {t('table.resetColumns')}
+          </Button>
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+TableColumnSettings.displayName = 'Table.ColumnSettings'
+
+export default TableColumnSettings
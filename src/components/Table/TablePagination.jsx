@@ -0,0 +1,110 @@
+/**
+ * Table Pagination
+ *
+ * Paging controls for server-paginated tables. Used by `Table` when it is
+ * given a `pagination` prop, or standalone as `Table.Pagination` when a
+ * view places the controls outside its scroll container.
+ *
+ * Modes:
+ * - `offset` (default): First / Previous / Next / Last with "Page X of Y"
+ * - `cursor`: Previous / Next driven by `hasPreviousPage` / `hasNextPage`
+ *
+ * @param {Object} props
+ * @param {'offset'|'cursor'} [props.mode='offset'] - Pagination strategy
+ * @param {number} [props.page=1] - Offset mode: current 1-based page
+ * @param {number} [props.totalPages=1] - Offset mode: total page count
+ * @param {Function} [props.onPageChange] - Offset mode: (page) => void
+ * @param {boolean} [props.hasNextPage=false] - Cursor mode: a next page exists
+ * @param {boolean} [props.hasPreviousPage=false] - Cursor mode: a previous page exists
+ * @param {Function} [props.onNextPage] - Cursor mode: () => void
+ * @param {Function} [props.onPreviousPage] - Cursor mode: () => void
+ * @param {number} [props.total] - Total matching rows, shown next to the page info
+ * @param {string} [props.itemLabel] - Noun used with `total` (default: "row"/"rows", translated)
+ * @param {boolean} [props.busy=false] - Disable controls while a page is loading
+ * @param {string} [props.ariaLabel] - Accessible label for the nav (default: "Table pagination", translated)
+ * @param {string} [props.className=''] - Additional CSS classes
+ * @returns {JSX.Element|null} Pagination controls, or null when there is one page
+ */
+
+import { Button } from '../Button/Button'
+import { useI18n } from '../I18nProvider'
+
+export function TablePagination({
+  mode = 'offset',
+  page = 1,
+  totalPages = 1,
+  onPageChange,
+  hasNextPage = false,
+  hasPreviousPage = false,
+  onNextPage,
+  onPreviousPage,
+  total,
+  itemLabel,
+  busy = false,
+  ariaLabel,
+  className = '',
+}) {
+  const { t } = useI18n()
+  const isCursorMode = mode === 'cursor'
+  const canGoBack = isCursorMode ? hasPreviousPage : page > 1
+  const canGoForward = isCursorMode ? hasNextPage : page < totalPages
+
+  if (!canGoBack && !canGoForward) return null
+
+  const totalLabel = Number(total) > 0
+    ? itemLabel
+      ? t('table.pagination.total', { total: Number(total), itemLabel })
+      : t('table.pagination.totalRows', { total: Number(total) })
+    : ''
+  const goToPage = (nextPage) => onPageChange?.(Math.min(Math.max(1, nextPage), totalPages))
+
+  return (
+    <nav
+      className={['table-pagination', className].filter(Boolean).join(' ')}
+      aria-label={ariaLabel ?? t('table.pagination.label')}
+    >
+      <div className="table-pagination__controls">
+        {!isCursorMode ? (
+          <Button variant="outline" size="sm" disabled={!canGoBack || busy} onClick={() => goToPage(1)}>
+            {t('table.pagination.first')}
+          </Button>
+        ) : null}
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={!canGoBack || busy}
+          onClick={() => (isCursorMode ? onPreviousPage?.() : goToPage(page - 1))}
+        >
+          {t('table.pagination.previous')}
+        </Button>
+      </div>
+
+      <p className="table-pagination__info">
+        {isCursorMode
+          ? t('table.pagination.page', { page })
+          : t('table.pagination.pageOf', { page, totalPages })}
+        {totalLabel}
+      </p>
+
+      <div className="table-pagination__controls">
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={!canGoForward || busy}
+          onClick={() => (isCursorMode ? onNextPage?.() : goToPage(page + 1))}
+        >
+          {t('table.pagination.next')}
+        </Button>
+        {!isCursorMode ? (
+          <Button variant="outline" size="sm" disabled={!canGoForward || busy} onClick={() => goToPage(totalPages)}>
+            {t('table.pagination.last')}
+          </Button>
+        ) : null}
+      </div>
+    </nav>
+  )
+}
+
+TablePagination.displayName = 'Table.Pagination'
+
+export default TablePagination
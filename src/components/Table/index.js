@@ -1,3 +1,6 @@
 export { DEFAULT_TABLE_PAGE_SIZE } from './tableConstants.js'
 export { Table } from './Table'
+export { TablePagination } from './TablePagination'
+export { TableColumnSettings } from './TableColumnSettings'
+export { applyColumnConfig } from './tableColumns.js'
 export { default } from './Table'
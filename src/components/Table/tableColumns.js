@@ -0,0 +1,100 @@
+// User column preferences (order / visibility / width) for props-based tables.
+
+export const MIN_COLUMN_WIDTH = 64
+
+/**
+ * @typedef {Object} TableColumnConfig
+ * @property {string[]} [order]  - Column keys in display order; unknown keys are ignored
+ * @property {string[]} [hidden] - Column keys the user has hidden
+ * @property {Object<string, number>} [widths] - User-resized widths in px
+ */
+
+/** A column can be hidden unless it opts out with `hideable: false`. */
+export const isColumnHideable = (column) => column?.hideable !== false
+
+/**
+ * Columns in the user's order, all included (hidden ones too), so settings
+ * menus can list them. Columns missing from `order` keep their default
+ * position at the end.
+ *
+ * @param {Array<{key: string}>} columns
+ * @param {TableColumnConfig} [config]
+ * @returns {Array<{key: string}>}
+ */
+export const orderColumns = (columns, config) => {
+  const order = Array.isArray(config?.order) ? config.order : []
+  const rank = new Map(order.map((key, index) => [key, index]))
+
+  return columns
+    .map((column, index) => ({ column, index }))
+    .sort((left, right) => {
+      const leftRank = rank.get(left.column.key) ?? order.length + left.index
+      const rightRank = rank.get(right.column.key) ?? order.length + right.index
+      return leftRank - rightRank
+    })
+    .map(({ column }) => column)
+}
+
+/**
+ * Visible columns in the user's order, with user widths applied.
+ * @param {Array<{key: string, width?: string}>} columns
+ * @param {TableColumnConfig} [config]
+ * @returns {Array<{key: string, width?: string}>}
+ */
+export const applyColumnConfig = (columns, config) => {
+  if (!config) return columns
+  const hidden = new Set(config.hidden ?? [])
+  const widths = config.widths ?? {}
+
+  return orderColumns(columns, config)
+    .filter((column) => !hidden.has(column.key) || !isColumnHideable(column))
+    .map((column) => (
+      Number(widths[column.key]) > 0 ? { ...column, width: `${widths[column.key]}px` } : column
+    ))
+}
+
+/**
+ * Config with one column shown or hidden.
+ * @param {TableColumnConfig} config
+ * @param {string} columnKey
+ * @returns {TableColumnConfig}
+ */
+export const toggleColumnHidden = (config, columnKey) => {
+  const hidden = new Set(config?.hidden ?? [])
+  if (hidden.has(columnKey)) {
+    hidden.delete(columnKey)
+  } else {
+    hidden.add(columnKey)
+  }
+  return { ...config, hidden: [...hidden] }
+}
+
+/**
+ * Config with one column moved `offset` places (negative moves left).
+ * @param {TableColumnConfig} config
+ * @param {Array<{key: string}>} columns
+ * @param {string} columnKey
+ * @param {number} offset
+ * @returns {TableColumnConfig}
+ */
+export const moveColumn = (config, columns, columnKey, offset) => {
+  const order = orderColumns(columns, config).map((column) => column.key)
+  const from = order.indexOf(columnKey)
+  const to = from + offset
+  if (from < 0 || to < 0 || to >= order.length) return config
+
+  order.splice(to, 0, order.splice(from, 1)[0])
+  return { ...config, order }
+}
+
+/**
+ * Config with one column resized (never below `MIN_COLUMN_WIDTH`).
+ * @param {TableColumnConfig} config
+ * @param {string} columnKey
+ * @param {number} width - px
+ * @returns {TableColumnConfig}
+ */
+export const resizeColumn = (config, columnKey, width) => ({
+  ...config,
+  widths: { ...config?.widths, [columnKey]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)) },
+})
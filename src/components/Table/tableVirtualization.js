@@ -0,0 +1,37 @@
+// Fixed-row-height windowing for virtualized tables.
+
+export const DEFAULT_VIRTUAL_ROW_HEIGHT = 48
+export const DEFAULT_VIRTUAL_VIEWPORT_HEIGHT = 480
+export const DEFAULT_VIRTUAL_OVERSCAN = 6
+
+/**
+ * Slice of rows to render for the current scroll position, plus the
+ * spacer heights that stand in for the rows above and below it.
+ *
+ * @param {Object} options
+ * @param {number} options.rowCount - Total rows in the data set
+ * @param {number} options.scrollTop - Viewport scroll offset in px
+ * @param {number} [options.rowHeight] - Fixed row height in px
+ * @param {number} [options.viewportHeight] - Visible height in px
+ * @param {number} [options.overscan] - Extra rows rendered on each side
+ * @returns {{ start: number, end: number, paddingTop: number, paddingBottom: number }}
+ */
+export const getVirtualRowWindow = ({
+  rowCount,
+  scrollTop,
+  rowHeight = DEFAULT_VIRTUAL_ROW_HEIGHT,
+  viewportHeight = DEFAULT_VIRTUAL_VIEWPORT_HEIGHT,
+  overscan = DEFAULT_VIRTUAL_OVERSCAN,
+}) => {
+  const firstVisible = Math.floor(Math.max(0, scrollTop) / rowHeight)
+  const visibleCount = Math.ceil(viewportHeight / rowHeight)
+  const start = Math.min(rowCount, Math.max(0, firstVisible - overscan))
+  const end = Math.min(rowCount, firstVisible + visibleCount + overscan)
+
+  return {
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: (rowCount - end) * rowHeight,
+  }
+}
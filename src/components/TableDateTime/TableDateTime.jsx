@@ -1,4 +1,5 @@
 import { formatDateTimeParts } from '../../utils/dateTime.js'
+import { useI18n } from '../I18nProvider'
 import './TableDateTime.css'
 
 export function TableDateTime({
@@ -6,7 +7,8 @@ export function TableDateTime({
   fallback = '--',
   className = '',
 }) {
-  const parts = formatDateTimeParts(value)
+  const { locale } = useI18n()
+  const parts = formatDateTimeParts(value, locale)
   if (!parts) return fallback
 
   const classes = ['table-date-time', className].filter(Boolean).join(' ')
@@ -20,4 +22,3 @@ export function TableDateTime({
 }
 
 export default TableDateTime
-
@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest'
 import { render, screen } from '@testing-library/react'
+import { I18nContext } from '../I18nProvider'
 import { TableDateTime } from './TableDateTime'
 
 describe('TableDateTime', () => {
@@ -17,5 +18,15 @@ describe('TableDateTime', () => {
     render(<TableDateTime value="invalid" fallback="N/A" />)
     expect(screen.getByText('N/A')).toBeInTheDocument()
   })
-})
 
+  it('uses the reader\'s locale for the date', () => {
+    render(
+      <I18nContext.Provider value={{ locale: 'de', setLocale: () => {}, t: (key) => key }}>
+        <TableDateTime value={new Date(2026, 2, 5, 14, 30)} />
+      </I18nContext.Provider>,
+    )
+
+    expect(screen.getByText('05.03.2026')).toBeInTheDocument()
+    expect(screen.getByText('14:30')).toBeInTheDocument()
+  })
+})
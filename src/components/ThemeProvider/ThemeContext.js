@@ -0,0 +1,9 @@
+import { createContext } from 'react'
+
+// Defaults keep `Logo`, `VMFNavbar` and `Navigation` usable outside the provider
+export const ThemeContext = createContext({
+  branding: null,
+  colorScheme: 'system',
+  resolvedColorScheme: 'dark',
+  setColorScheme: () => {},
+})
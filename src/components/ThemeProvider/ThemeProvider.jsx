@@ -0,0 +1,134 @@
+/**
+ * ThemeProvider Component
+ *
+ * Applies the white-label theme to `<html>`:
+ * - `data-theme` — the active customer's brand (`brand-*` from
+ *   `styles/brands/`, or `brand-custom` with a generated palette set inline)
+ * - `data-color-scheme` — `light` or `dark`, from the signed-in user's
+ *   preference, following the OS when it is `system`
+ *
+ * The brand comes from the customer scope returned at login: the selected
+ * customer's scope, or the only scope when the user belongs to one
+ * customer. `useTheme()` exposes the branding (for the logo override) and
+ * the colour scheme preference with its setter.
+ *
+ * Usage:
+ * <ThemeProvider>
+ *   <App />
+ * </ThemeProvider>
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { selectCurrentUser, selectCustomerScopes } from '../../store/slices/authSlice.js'
+import { selectSelectedCustomerId } from '../../store/slices/tenantContextSlice.js'
+import {
+  CUSTOM_BRAND_THEME,
+  CUSTOM_BRAND_VARIABLE_NAMES,
+  getCustomBrandVariables,
+  normalizeCustomerBranding,
+} from '../../utils/brandPalette.js'
+import {
+  COLOR_SCHEME_PREFERENCES,
+  loadColorSchemePreference,
+  saveColorSchemePreference,
+} from '../../utils/colorSchemePreference.js'
+import { ThemeContext } from './ThemeContext'
+
+const LIGHT_SCHEME_QUERY = '(prefers-color-scheme: light)'
+
+const getSystemColorScheme = () => {
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+    return 'dark'
+  }
+
+  return window.matchMedia(LIGHT_SCHEME_QUERY).matches ? 'light' : 'dark'
+}
+
+function useSystemColorScheme() {
+  const [systemColorScheme, setSystemColorScheme] = useState(getSystemColorScheme)
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+      return undefined
+    }
+
+    const mediaQuery = window.matchMedia(LIGHT_SCHEME_QUERY)
+    const handleChange = (event) => {
+      setSystemColorScheme(event.matches ? 'light' : 'dark')
+    }
+
+    if (typeof mediaQuery.addEventListener === 'function') {
+      mediaQuery.addEventListener('change', handleChange)
+      return () => mediaQuery.removeEventListener('change', handleChange)
+    }
+
+    mediaQuery.addListener(handleChange)
+    return () => mediaQuery.removeListener(handleChange)
+  }, [])
+
+  return systemColorScheme
+}
+
+const getActiveCustomerScope = (customerScopes, customerId) => {
+  if (!Array.isArray(customerScopes) || customerScopes.length === 0) return null
+  if (customerId) {
+    return customerScopes.find((scope) => String(scope?.customerId ?? '') === String(customerId)) ?? null
+  }
+  return customerScopes.length === 1 ? customerScopes[0] : null
+}
+
+export function ThemeProvider({ children }) {
+  const currentUser = useSelector(selectCurrentUser)
+  const customerScopes = useSelector(selectCustomerScopes)
+  const selectedCustomerId = useSelector(selectSelectedCustomerId)
+  const systemColorScheme = useSystemColorScheme()
+  const userId = currentUser?.id ?? ''
+  const [preference, setPreference] = useState(() => ({
+    userId,
+    colorScheme: loadColorSchemePreference(userId),
+  }))
+
+  // Another account signed in on this tab: use their preference, not the previous user's
+  if (preference.userId !== userId) {
+    setPreference({ userId, colorScheme: loadColorSchemePreference(userId) })
+  }
+
+  const branding = useMemo(
+    () => normalizeCustomerBranding(getActiveCustomerScope(customerScopes, selectedCustomerId)),
+    [customerScopes, selectedCustomerId],
+  )
+  const resolvedColorScheme = preference.colorScheme === 'system' ? systemColorScheme : preference.colorScheme
+
+  useEffect(() => {
+    const root = document.documentElement
+    const variables = branding?.theme === CUSTOM_BRAND_THEME
+      ? getCustomBrandVariables(branding.primaryColor, resolvedColorScheme)
+      : {}
+
+    if (branding?.theme) root.setAttribute('data-theme', branding.theme)
+    else root.removeAttribute('data-theme')
+    root.setAttribute('data-color-scheme', resolvedColorScheme)
+    CUSTOM_BRAND_VARIABLE_NAMES.forEach((name) => {
+      if (variables[name]) root.style.setProperty(name, variables[name])
+      else root.style.removeProperty(name)
+    })
+  }, [branding, resolvedColorScheme])
+
+  const setColorScheme = useCallback((colorScheme) => {
+    if (!COLOR_SCHEME_PREFERENCES.includes(colorScheme)) return
+    saveColorSchemePreference(userId, colorScheme)
+    setPreference({ userId, colorScheme })
+  }, [userId])
+
+  const value = useMemo(() => ({
+    branding,
+    colorScheme: preference.colorScheme,
+    resolvedColorScheme,
+    setColorScheme,
+  }), [branding, preference.colorScheme, resolvedColorScheme, setColorScheme])
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+}
+
+export default ThemeProvider
@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, fireEvent, render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { Provider } from 'react-redux'
+import { configureStore } from '@reduxjs/toolkit'
+import authReducer, { clearCredentials, setCredentials } from '../../store/slices/authSlice.js'
+import tenantContextReducer from '../../store/slices/tenantContextSlice.js'
+import { COLOR_SCHEME_STORAGE_KEY } from '../../utils/colorSchemePreference.js'
+import { Logo } from '../Logo'
+import { ThemeProvider } from './ThemeProvider'
+import { useTheme } from './useTheme'
+
+const user = { id: 'user-1', name: 'Ada', memberships: [{ customerId: 'cust-1', roles: ['USER'] }] }
+
+const createStore = (branding) => {
+  const store = configureStore({ reducer: { auth: authReducer, tenantContext: tenantContextReducer } })
+  store.dispatch(setCredentials({ user, customerScopes: [{ customerId: 'cust-1', branding }] }))
+  return store
+}
+
+let systemPrefersLight = false
+let mediaListeners = []
+
+function SchemeButtons() {
+  const { colorScheme, setColorScheme } = useTheme()
+  return (
+    <>
+      <p>Preference: {colorScheme}</p>
+      <button type="button" onClick={() => setColorScheme('light')}>Light</button>
+    </>
+  )
+}
+
+const renderWithTheme = (store) => render(
+  <Provider store={store}>
+    <ThemeProvider>
+      <Logo />
+      <SchemeButtons />
+    </ThemeProvider>
+  </Provider>,
+)
+
+describe('ThemeProvider', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    systemPrefersLight = false
+    mediaListeners = []
+    window.matchMedia = vi.fn().mockImplementation(() => ({
+      get matches() {
+        return systemPrefersLight
+      },
+      addEventListener: (event, listener) => mediaListeners.push(listener),
+      removeEventListener: (event, listener) => {
+        mediaListeners = mediaListeners.filter((candidate) => candidate !== listener)
+      },
+    }))
+  })
+
+  afterEach(() => {
+    document.documentElement.removeAttribute('data-theme')
+    document.documentElement.removeAttribute('data-color-scheme')
+    document.documentElement.removeAttribute('style')
+  })
+
+  it('applies the customer brand and logo from the login scope', () => {
+    const store = createStore({ theme: 'brand-emerald', logoUrl: 'https://cdn.acme.example/logo.svg' })
+    renderWithTheme(store)
+
+    expect(document.documentElement).toHaveAttribute('data-theme', 'brand-emerald')
+    expect(document.documentElement).toHaveAttribute('data-color-scheme', 'dark')
+    const logo = screen.getByRole('img', { name: 'Customer Logo' })
+    expect(logo).toHaveAttribute('src', 'https://cdn.acme.example/logo.svg')
+
+    fireEvent.error(logo)
+    expect(screen.getByRole('img', { name: 'StoryLineOS Logo' })).toBeInTheDocument()
+
+    act(() => {
+      store.dispatch(clearCredentials())
+    })
+    expect(document.documentElement).not.toHaveAttribute('data-theme')
+  })
+
+  it('sets the generated palette for the scheme the OS asks for', () => {
+    renderWithTheme(createStore({ theme: 'brand-custom', primaryColor: '#0f766e' }))
+
+    const { style } = document.documentElement
+    expect(document.documentElement).toHaveAttribute('data-theme', 'brand-custom')
+    expect(style.getPropertyValue('--color-primary-500')).toBe('#0f766e')
+    const darkAction = style.getPropertyValue('--color-action-primary')
+
+    act(() => {
+      systemPrefersLight = true
+      mediaListeners.forEach((listener) => listener({ matches: true }))
+    })
+
+    expect(document.documentElement).toHaveAttribute('data-color-scheme', 'light')
+    expect(style.getPropertyValue('--color-action-primary')).not.toBe(darkAction)
+  })
+
+  it('keeps each user\'s light/dark/system choice', async () => {
+    localStorage.setItem(`${COLOR_SCHEME_STORAGE_KEY}:user-1`, 'dark')
+    systemPrefersLight = true
+    renderWithTheme(createStore(null))
+
+    expect(screen.getByText('Preference: dark')).toBeInTheDocument()
+    expect(document.documentElement).toHaveAttribute('data-color-scheme', 'dark')
+    expect(document.documentElement).not.toHaveAttribute('data-theme')
+
+    await userEvent.setup().click(screen.getByRole('button', { name: 'Light' }))
+
+    expect(document.documentElement).toHaveAttribute('data-color-scheme', 'light')
+    expect(localStorage.getItem(`${COLOR_SCHEME_STORAGE_KEY}:user-1`)).toBe('light')
+    expect(localStorage.getItem(`${COLOR_SCHEME_STORAGE_KEY}:anonymous`)).toBeNull()
+  })
+})
@@ -0,0 +1,4 @@
+export { ThemeProvider } from './ThemeProvider'
+export { ThemeContext } from './ThemeContext'
+export { useTheme } from './useTheme'
+export { ThemeProvider as default } from './ThemeProvider'
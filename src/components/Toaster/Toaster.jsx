@@ -15,6 +15,7 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { createPortal } from 'react-dom'
 import { MdClose } from 'react-icons/md'
+import { useI18n } from '../I18nProvider'
 import { ToasterContext } from './ToasterContext'
 import './Toaster.css'
 
@@ -38,6 +39,7 @@ export function ToasterProvider({
   duration = 4000,
   max = 4
 }) {
+  const { t } = useI18n()
   const allowedPositions = ['top-left', 'top-right', 'bottom-left', 'bottom-right']
   const resolvedPosition = allowedPositions.includes(position) ? position : 'top-right'
   const [toasts, setToasts] = useState([])
@@ -149,7 +151,7 @@ export function ToasterProvider({
           <button
             type="button"
             className="toast__close"
-            aria-label="Dismiss notification"
+            aria-label={t('toaster.dismiss')}
             onClick={() => removeToast(toast.id)}
           >
             <MdClose className="toast__close-icon" aria-hidden="true" focusable="false" />
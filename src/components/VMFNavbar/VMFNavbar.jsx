@@ -8,7 +8,7 @@
  * - Progressive navigation (unlock pages sequentially by clicking)
  * - Responsive design with mobile-friendly layout
  * - Accessible navigation with proper ARIA labels
- * - Theme-aware styling
+ * - Theme-aware styling, with the customer's logo when their branding has one
  *
  * @example
  * <VMFNavbar />
@@ -17,6 +17,8 @@
 import { useEffect, useMemo, useState } from 'react'
 import { NavLink, useLocation } from 'react-router-dom'
 import { Fieldset } from '../Fieldset/Fieldset'
+import { Logo } from '../Logo'
+import { useTheme } from '../ThemeProvider'
 import { MdLock, MdArrowBack, MdArrowForward } from 'react-icons/md'
 import './VMFNavbar.css'
 
@@ -34,6 +36,7 @@ export function VMFNavbar() {
   ]
 
   const location = useLocation()
+  const { branding } = useTheme()
   const currentIndex = useMemo(() => {
     const match = pages.findIndex((page) => page.to === location.pathname)
     return match >= 0 ? match : 0
@@ -60,6 +63,7 @@ export function VMFNavbar() {
       <Fieldset.Legend>vmf-navigation</Fieldset.Legend>
       <Fieldset.Content>
         <nav className="vmf-navbar" role="navigation" aria-label="VMF navigation">
+          {branding?.logoUrl ? <Logo size="small" className="vmf-navbar__customer-logo" /> : null}
           <ul className="vmf-navbar__links">
             {pages.map((page, index) => {
               const isAccessible = index <= unlockedIndex
@@ -13,6 +13,7 @@ import { describe, it, expect } from 'vitest'
 import { render, screen, fireEvent } from '@testing-library/react'
 import { BrowserRouter, MemoryRouter } from 'react-router-dom'
 import { VMFNavbar } from './VMFNavbar'
+import { ThemeContext } from '../ThemeProvider'
 
 const escapeForRegex = (label) => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
 const getLink = (label) =>
@@ -29,6 +30,24 @@ describe('VMFNavbar Component', () => {
       expect(screen.getByRole('navigation')).toBeInTheDocument()
     })
 
+    it('should show the customer logo when the branding has one', () => {
+      const { rerender } = render(
+        <BrowserRouter>
+          <VMFNavbar />
+        </BrowserRouter>
+      )
+      expect(screen.queryByRole('img')).not.toBeInTheDocument()
+
+      rerender(
+        <ThemeContext.Provider value={{ branding: { theme: null, primaryColor: null, logoUrl: 'https://cdn.acme.example/logo.svg' } }}>
+          <BrowserRouter>
+            <VMFNavbar />
+          </BrowserRouter>
+        </ThemeContext.Provider>
+      )
+      expect(screen.getByRole('img', { name: 'Customer Logo' })).toHaveAttribute('src', 'https://cdn.acme.example/logo.svg')
+    })
+
     it('should render all navigation links', () => {
       render(
         <BrowserRouter>
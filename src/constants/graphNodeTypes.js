@@ -8,6 +8,13 @@ export const GRAPH_NODE_TYPE_CLASS_NAMES = Object.freeze([
   'canonical-truth',
   'output-reference',
   'reasoning-consumer',
+  'framework-package',
+  'runtime-agent',
+  'runtime-skill',
+  'runtime-path',
+  'validation',
+  'workflow-policy',
+  'ui-contract',
   'unknown',
 ])
 
@@ -0,0 +1,121 @@
+/**
+ * useAuditChainVerification Hook
+ *
+ * Recomputes the audit hash chain of downloaded entries in a Web Worker,
+ * so a compliance check over thousands of entries doesn't block the page.
+ * Browsers without `Worker` run the same check on the main thread —
+ * hashing still goes through native SubtleCrypto — and `runner` records
+ * which one produced the result for the verification report.
+ *
+ * `verifyChain` takes the sealing scheme the server reported (see
+ * `resolveAuditChainScheme`) and resolves with the verification, or
+ * `null` when a newer run (or unmount) superseded it. It rejects when
+ * hashing failed.
+ *
+ * Usage:
+ *   const { progress, isVerifying, verifyChain } = useAuditChainVerification()
+ *   const verification = await verifyChain(entries, { scheme, expectContiguous: true })
+ *   if (verification && !verification.intact) { ... verification.firstBreak ... }
+ *
+ * @module hooks/useAuditChainVerification
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { verifyAuditHashChain } from '../utils/auditHashChain.js'
+
+export const AUDIT_CHAIN_RUNNERS = Object.freeze({
+  WORKER: 'web-worker',
+  MAIN_THREAD: 'main-thread',
+})
+
+const createHashChainWorker = () =>
+  new Worker(new URL('../workers/auditHashChain.worker.js', import.meta.url), { type: 'module' })
+
+export function useAuditChainVerification() {
+  const [progress, setProgress] = useState(null)
+  const [isVerifying, setIsVerifying] = useState(false)
+  const workerRef = useRef(null)
+  const requestIdRef = useRef(0)
+  const pendingRef = useRef(null)
+
+  // Drops the in-flight run (its promise resolves null) and its worker
+  const cancelPending = useCallback(() => {
+    if (!pendingRef.current) return
+    pendingRef.current.resolve(null)
+    pendingRef.current = null
+    workerRef.current?.terminate()
+    workerRef.current = null
+  }, [])
+
+  useEffect(() => () => {
+    cancelPending()
+    workerRef.current?.terminate()
+    workerRef.current = null
+  }, [cancelPending])
+
+  const verifyChain = useCallback((entries, { scheme, expectContiguous = false } = {}) => {
+    cancelPending()
+    requestIdRef.current += 1
+    const requestId = requestIdRef.current
+    setProgress({ processed: 0, total: entries.length })
+    setIsVerifying(true)
+
+    return new Promise((resolve, reject) => {
+      pendingRef.current = { requestId, resolve }
+      const isCurrent = () => pendingRef.current?.requestId === requestId
+      const settle = (callback) => {
+        if (!isCurrent()) return
+        pendingRef.current = null
+        setProgress(null)
+        setIsVerifying(false)
+        callback()
+      }
+      const onProgress = (next) => {
+        if (isCurrent()) setProgress({ processed: next.processed, total: next.total })
+      }
+      const runOnMainThread = () => {
+        verifyAuditHashChain(entries, { scheme, expectContiguous, onProgress }).then(
+          (result) => settle(() => resolve({ ...result, runner: AUDIT_CHAIN_RUNNERS.MAIN_THREAD })),
+          (error) => settle(() => reject(error)),
+        )
+      }
+
+      if (typeof Worker === 'undefined') {
+        runOnMainThread()
+        return
+      }
+
+      let worker = workerRef.current
+      try {
+        if (!worker) {
+          worker = createHashChainWorker()
+          workerRef.current = worker
+        }
+      } catch {
+        runOnMainThread()
+        return
+      }
+
+      worker.onmessage = ({ data }) => {
+        if (data?.requestId !== requestId) return
+        if (data.type === 'progress') {
+          onProgress(data)
+        } else if (data.type === 'result') {
+          settle(() => resolve({ ...data.result, runner: AUDIT_CHAIN_RUNNERS.WORKER }))
+        } else if (data.type === 'error') {
+          settle(() => reject(new Error(data.message)))
+        }
+      }
+      worker.onerror = () => {
+        worker.terminate()
+        if (workerRef.current === worker) workerRef.current = null
+        settle(() => reject(new Error('Hash chain verification stopped unexpectedly.')))
+      }
+      worker.postMessage({ requestId, entries, scheme, expectContiguous })
+    })
+  }, [cancelPending])
+
+  return { progress, isVerifying, verifyChain }
+}
+
+export default useAuditChainVerification
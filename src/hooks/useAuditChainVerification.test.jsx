@@ -0,0 +1,76 @@
+/**
+ * useAuditChainVerification Hook Tests
+ *
+ * Covers the worker round trip (with an in-process Worker stand-in) and
+ * the main-thread fallback for browsers without Worker.
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import { resolveAuditChainScheme, runAuditHashChainJob } from '../utils/auditHashChain.js'
+import { AUDIT_CHAIN_V1_DESCRIPTOR, AUDIT_CHAIN_V1_ENTRIES } from '../mocks/auditHashChain.fixtures.js'
+import { AUDIT_CHAIN_RUNNERS, useAuditChainVerification } from './useAuditChainVerification.js'
+
+class InProcessWorker {
+  static instances = []
+
+  constructor() {
+    this.terminated = false
+    InProcessWorker.instances.push(this)
+  }
+
+  postMessage(job) {
+    runAuditHashChainJob(job, (message) => {
+      if (!this.terminated) this.onmessage?.({ data: message })
+    })
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+}
+
+const scheme = resolveAuditChainScheme(AUDIT_CHAIN_V1_DESCRIPTOR)
+const entries = AUDIT_CHAIN_V1_ENTRIES.slice(0, 2)
+
+describe('useAuditChainVerification', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    InProcessWorker.instances = []
+  })
+
+  it('recomputes the chain in a worker', async () => {
+    vi.stubGlobal('Worker', InProcessWorker)
+    const { result } = renderHook(() => useAuditChainVerification())
+
+    let verification
+    await act(async () => {
+      verification = await result.current.verifyChain(entries, { scheme, expectContiguous: true })
+    })
+
+    expect(InProcessWorker.instances).toHaveLength(1)
+    expect(verification).toMatchObject({ intact: true, total: 2, runner: AUDIT_CHAIN_RUNNERS.WORKER })
+    expect(result.current.isVerifying).toBe(false)
+    expect(result.current.progress).toBeNull()
+  })
+
+  it('falls back to the main thread without Worker and resolves superseded runs with null', async () => {
+    vi.stubGlobal('Worker', undefined)
+    const { result } = renderHook(() => useAuditChainVerification())
+
+    let first
+    let second
+    await act(async () => {
+      first = result.current.verifyChain(entries, { scheme })
+      second = result.current.verifyChain([{ ...entries[0], action: 'EDITED' }, entries[1]], { scheme })
+      await Promise.all([first, second])
+    })
+
+    await expect(first).resolves.toBeNull()
+    await expect(second).resolves.toMatchObject({
+      intact: false,
+      runner: AUDIT_CHAIN_RUNNERS.MAIN_THREAD,
+      firstBreak: { kind: 'HASH_MISMATCH', sequence: 1 },
+    })
+  })
+})
@@ -0,0 +1,129 @@
+/**
+ * useChunkedDocumentUploads Hook
+ *
+ * Per-file chunked uploads for a runtime instance's evidence documents
+ * (see `utils/chunkedUpload.js`). Tracks progress for each file and
+ * exposes pause / resume / cancel; a failed upload resumes from the chunks
+ * the server already holds.
+ *
+ * Usage:
+ *   const { uploads, startUploads, pauseUpload, resumeUpload, cancelUpload, resetUploads } =
+ *     useChunkedDocumentUploads({ runtimeInstanceId, assetType: 'CUSTOMER_DOCUMENT' })
+ *
+ * Uploads still running when the component unmounts are cancelled.
+ *
+ * @module hooks/useChunkedDocumentUploads
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import {
+  useCancelRuntimeDocumentUploadMutation,
+  useCompleteRuntimeDocumentUploadMutation,
+  useCreateRuntimeDocumentUploadMutation,
+  useLazyGetRuntimeDocumentUploadQuery,
+  useUploadRuntimeDocumentChunkMutation,
+} from '../store/api/runtimeInstanceApi.js'
+import { CHUNKED_UPLOAD_STATUS, createChunkedUpload } from '../utils/chunkedUpload.js'
+import { getDocumentSourceKey } from './useDocumentPreflight.js'
+
+/**
+ * @typedef {import('../utils/chunkedUpload.js').ChunkedUploadState & {
+ *   key: string,
+ *   fileName: string,
+ * }} DocumentUpload
+ */
+
+const getPayload = (response) => response?.data ?? response
+
+/**
+ * @param {Object} options
+ * @param {string} options.runtimeInstanceId
+ * @param {string} options.assetType - CUSTOMER_DOCUMENT or SECTION_SUPPORTING_FILE
+ */
+export function useChunkedDocumentUploads({ runtimeInstanceId, assetType }) {
+  const [createDocumentUpload] = useCreateRuntimeDocumentUploadMutation()
+  const [getDocumentUpload] = useLazyGetRuntimeDocumentUploadQuery()
+  const [uploadDocumentChunk] = useUploadRuntimeDocumentChunkMutation()
+  const [completeDocumentUpload] = useCompleteRuntimeDocumentUploadMutation()
+  const [cancelDocumentUpload] = useCancelRuntimeDocumentUploadMutation()
+  const [uploads, setUploads] = useState([])
+  const controllersRef = useRef(new Map())
+
+  useEffect(() => {
+    const controllers = controllersRef.current
+    return () => {
+      controllers.forEach((controller) => {
+        if (controller.getState().status !== CHUNKED_UPLOAD_STATUS.COMPLETE) controller.cancel()
+      })
+      controllers.clear()
+    }
+  }, [])
+
+  const startUploads = useCallback((files) => {
+    const transport = {
+      create: async (body) =>
+        getPayload(await createDocumentUpload({ runtimeInstanceId, body }).unwrap()),
+      getStatus: async (uploadId) =>
+        getPayload(await getDocumentUpload({ runtimeInstanceId, uploadId }).unwrap()),
+      uploadChunk: (uploadId, chunk) =>
+        uploadDocumentChunk({ runtimeInstanceId, uploadId, index: chunk.index, body: chunk }).unwrap(),
+      complete: (uploadId) => completeDocumentUpload({ runtimeInstanceId, uploadId }).unwrap(),
+      cancel: (uploadId) => cancelDocumentUpload({ runtimeInstanceId, uploadId }).unwrap(),
+    }
+
+    const started = Array.from(files ?? []).map((file) => {
+      const key = getDocumentSourceKey(file)
+      const controller = createChunkedUpload({
+        file,
+        metadata: { assetType },
+        transport,
+        onChange: (state) => {
+          setUploads((current) => current.map((upload) => (upload.key === key ? { ...upload, ...state } : upload)))
+        },
+      })
+      controllersRef.current.set(key, controller)
+      return { key, fileName: file.name, ...controller.getState() }
+    })
+    if (started.length === 0) return
+
+    const startedKeys = new Set(started.map((upload) => upload.key))
+    setUploads((current) => [...current.filter((upload) => !startedKeys.has(upload.key)), ...started])
+    startedKeys.forEach((key) => controllersRef.current.get(key).start())
+  }, [
+    assetType,
+    cancelDocumentUpload,
+    completeDocumentUpload,
+    createDocumentUpload,
+    getDocumentUpload,
+    runtimeInstanceId,
+    uploadDocumentChunk,
+  ])
+
+  const pauseUpload = useCallback((key) => {
+    controllersRef.current.get(key)?.pause()
+  }, [])
+
+  const resumeUpload = useCallback((key) => {
+    controllersRef.current.get(key)?.resume()
+  }, [])
+
+  const cancelUpload = useCallback((key) => {
+    controllersRef.current.get(key)?.cancel()
+    controllersRef.current.delete(key)
+    setUploads((current) => current.filter((upload) => upload.key !== key))
+  }, [])
+
+  /**
+   * Forget every upload. By default the server sessions are discarded
+   * too; pass `{ discard: false }` once the uploads have been submitted.
+   */
+  const resetUploads = useCallback(({ discard = true } = {}) => {
+    if (discard) controllersRef.current.forEach((controller) => controller.cancel())
+    controllersRef.current.clear()
+    setUploads([])
+  }, [])
+
+  return { uploads, startUploads, pauseUpload, resumeUpload, cancelUpload, resetUploads }
+}
+
+export default useChunkedDocumentUploads
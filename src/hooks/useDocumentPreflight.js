@@ -0,0 +1,157 @@
+/**
+ * useDocumentPreflight Hook
+ *
+ * Client-side pre-flight for documents about to be uploaded: extracts the
+ * text layer in a Web Worker and reports a preview per file, so unreadable
+ * files (scanned PDFs, text-less decks) are flagged before the upload. A
+ * flagged file is a warning, not a block: the user can still upload it and
+ * let the server decide.
+ *
+ * Previews fill in incrementally while the worker runs. `runPreflight`
+ * resolves with the final previews, or `null` when a newer run (or a
+ * reset) superseded it. Browsers without `Worker` skip the check
+ * (`isSupported` is false) and the server stays the only gate.
+ *
+ * Usage:
+ *   const { isSupported, previews, runPreflight, resetPreflight } = useDocumentPreflight()
+ *   const results = await runPreflight(files)
+ *   if (results?.some((preview) => preview.status === DOCUMENT_PREFLIGHT_STATUS.WARNING)) { ... }
+ *
+ * @module hooks/useDocumentPreflight
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+export const DOCUMENT_PREFLIGHT_STATUS = Object.freeze({
+  CHECKING: 'checking',
+  READY: 'ready',
+  WARNING: 'warning',
+  FAILED: 'failed',
+})
+
+/**
+ * @typedef {Object} DocumentPreflightPreview
+ * @property {string} key - `${fileName}-${sizeBytes}`
+ * @property {string} fileName
+ * @property {number} sizeBytes
+ * @property {string} status - one of DOCUMENT_PREFLIGHT_STATUS
+ * @property {{ processed: number, total: number, unit: string }|null} progress
+ * @property {import('../utils/documentTextExtraction.js').DocumentTextExtraction|null} result
+ * @property {string} [error] - set when extraction failed (the file is not flagged)
+ */
+
+// Matches a selected File to its staged document source, preview and upload
+export const getDocumentSourceKey = (file) => `${file?.name ?? file?.fileName}-${file?.size ?? file?.sizeBytes}`
+
+const createExtractionWorker = () =>
+  new Worker(new URL('../workers/documentTextExtraction.worker.js', import.meta.url), { type: 'module' })
+
+export function useDocumentPreflight() {
+  const isSupported = typeof Worker !== 'undefined'
+  const [previews, setPreviews] = useState([])
+  const workerRef = useRef(null)
+  const requestIdRef = useRef(0)
+  const pendingRef = useRef(null)
+
+  // Drops the in-flight run (its promise resolves null) and its worker
+  const cancelPending = useCallback(() => {
+    if (!pendingRef.current) return
+    pendingRef.current.resolve(null)
+    pendingRef.current = null
+    workerRef.current?.terminate()
+    workerRef.current = null
+  }, [])
+
+  useEffect(() => () => {
+    cancelPending()
+    workerRef.current?.terminate()
+    workerRef.current = null
+  }, [cancelPending])
+
+  const runPreflight = useCallback((files) => {
+    const fileList = Array.from(files ?? [])
+    cancelPending()
+    if (!isSupported || fileList.length === 0) {
+      setPreviews([])
+      return Promise.resolve([])
+    }
+
+    requestIdRef.current += 1
+    const requestId = requestIdRef.current
+    let current = fileList.map((file) => ({
+      key: getDocumentSourceKey(file),
+      fileName: file.name,
+      sizeBytes: file.size,
+      status: DOCUMENT_PREFLIGHT_STATUS.CHECKING,
+      progress: null,
+      result: null,
+    }))
+    setPreviews(current)
+
+    return new Promise((resolve) => {
+      pendingRef.current = { requestId, resolve }
+
+      const update = (predicate, patch) => {
+        current = current.map((preview, index) => (predicate(preview, index) ? { ...preview, ...patch } : preview))
+        setPreviews(current)
+      }
+      const finish = () => {
+        if (pendingRef.current?.requestId !== requestId) return
+        pendingRef.current = null
+        resolve(current)
+      }
+      const failRemaining = (message) => {
+        update(
+          (preview) => preview.status === DOCUMENT_PREFLIGHT_STATUS.CHECKING,
+          { status: DOCUMENT_PREFLIGHT_STATUS.FAILED, progress: null, error: message },
+        )
+        finish()
+      }
+
+      let worker = workerRef.current
+      try {
+        if (!worker) {
+          worker = createExtractionWorker()
+          workerRef.current = worker
+        }
+      } catch {
+        failRemaining('Text preview is unavailable in this browser.')
+        return
+      }
+
+      worker.onmessage = ({ data }) => {
+        if (data?.requestId !== requestId) return
+        const isTarget = (preview, index) => index === data.index
+
+        if (data.type === 'progress') {
+          update(isTarget, { progress: { processed: data.processed, total: data.total, unit: data.unit } })
+        } else if (data.type === 'result') {
+          update(isTarget, {
+            status: data.result?.issue ? DOCUMENT_PREFLIGHT_STATUS.WARNING : DOCUMENT_PREFLIGHT_STATUS.READY,
+            progress: null,
+            result: data.result,
+          })
+        } else if (data.type === 'error') {
+          update(isTarget, { status: DOCUMENT_PREFLIGHT_STATUS.FAILED, progress: null, error: data.message })
+        } else if (data.type === 'done') {
+          finish()
+        }
+      }
+      worker.onerror = () => {
+        worker.terminate()
+        if (workerRef.current === worker) workerRef.current = null
+        failRemaining('Text preview stopped unexpectedly.')
+      }
+      worker.postMessage({ requestId, files: fileList })
+    })
+  }, [cancelPending, isSupported])
+
+  const resetPreflight = useCallback(() => {
+    cancelPending()
+    setPreviews([])
+  }, [cancelPending])
+
+  return { isSupported, previews, runPreflight, resetPreflight }
+}
+
+export default useDocumentPreflight
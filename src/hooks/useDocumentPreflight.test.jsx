@@ -0,0 +1,102 @@
+/**
+ * useDocumentPreflight Hook Tests
+ *
+ * Covers the worker round trip (with an in-process Worker stand-in),
+ * blocked / failed statuses, superseded runs and browsers without Worker.
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import { runDocumentTextExtractionJob } from '../utils/documentTextExtraction.js'
+import { DOCUMENT_PREFLIGHT_STATUS, useDocumentPreflight } from './useDocumentPreflight.js'
+
+class InProcessWorker {
+  static instances = []
+
+  constructor() {
+    this.terminated = false
+    InProcessWorker.instances.push(this)
+  }
+
+  postMessage(job) {
+    runDocumentTextExtractionJob(job, (message) => {
+      if (!this.terminated) this.onmessage?.({ data: message })
+    })
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+}
+
+describe('useDocumentPreflight', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    InProcessWorker.instances = []
+  })
+
+  it('previews readable files and flags text-less ones', async () => {
+    vi.stubGlobal('Worker', InProcessWorker)
+    const { result } = renderHook(() => useDocumentPreflight())
+    const files = [
+      new File(['name,region\nAcme,EU'], 'accounts.csv', { type: 'text/csv' }),
+      new File([' \n'], 'blank.txt', { type: 'text/plain' }),
+    ]
+
+    let previews
+    await act(async () => {
+      previews = await result.current.runPreflight(files)
+    })
+
+    expect(result.current.isSupported).toBe(true)
+    expect(previews.map((preview) => preview.status)).toEqual([
+      DOCUMENT_PREFLIGHT_STATUS.READY,
+      DOCUMENT_PREFLIGHT_STATUS.WARNING,
+    ])
+    expect(previews[0]).toMatchObject({ key: `accounts.csv-${files[0].size}`, result: { rowCount: 1 } })
+    expect(result.current.previews).toEqual(previews)
+  })
+
+  it('marks files failed when the worker cannot extract them', async () => {
+    vi.stubGlobal('Worker', InProcessWorker)
+    const { result } = renderHook(() => useDocumentPreflight())
+
+    let previews
+    await act(async () => {
+      previews = await result.current.runPreflight([new File(['x'], 'image.png', { type: 'image/png' })])
+    })
+
+    expect(previews[0]).toMatchObject({
+      status: DOCUMENT_PREFLIGHT_STATUS.FAILED,
+      error: 'image.png is not a supported document type.',
+    })
+  })
+
+  it('resolves a superseded run with null and terminates its worker', async () => {
+    vi.stubGlobal('Worker', InProcessWorker)
+    const { result } = renderHook(() => useDocumentPreflight())
+
+    let firstRun
+    act(() => {
+      firstRun = result.current.runPreflight([new File(['first'], 'first.txt')])
+      result.current.resetPreflight()
+    })
+
+    await expect(firstRun).resolves.toBeNull()
+    expect(InProcessWorker.instances[0].terminated).toBe(true)
+    expect(result.current.previews).toEqual([])
+  })
+
+  it('skips the check when Worker is unavailable', async () => {
+    vi.stubGlobal('Worker', undefined)
+    const { result } = renderHook(() => useDocumentPreflight())
+
+    let previews
+    await act(async () => {
+      previews = await result.current.runPreflight([new File(['hello'], 'notes.txt')])
+    })
+
+    expect(result.current.isSupported).toBe(false)
+    expect(previews).toEqual([])
+  })
+})
@@ -0,0 +1,173 @@
+/**
+ * useListView Hook
+ *
+ * Saved views for admin list screens: keeps a screen's filters, sort and
+ * column preferences in the URL (so a view can be shared as a link and
+ * survives navigation), and stores named presets per signed-in user.
+ *
+ * The screen keeps owning its filter state; the hook reads it through
+ * `filters` and pushes URL / saved-view filters back through
+ * `onFiltersChange`. Sort and column preferences live in the hook and
+ * feed straight into `Table`.
+ *
+ * @example
+ * const listView = useListView({
+ *   viewKey: 'tenants',
+ *   defaultFilters: { q: '', status: '' },
+ *   filters: { q: searchInput, status: statusFilter },
+ *   onFiltersChange: ({ q, status }) => { setSearchInput(q); setStatusFilter(status); setPage(1) },
+ * })
+ *
+ * @module hooks/useListView
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { useSearchParams } from 'react-router-dom'
+import { selectCurrentUser } from '../store/slices/authSlice.js'
+import {
+  deleteSavedListView,
+  getListViewSignature,
+  loadSavedListViews,
+  readListViewParams,
+  saveListView,
+  writeListViewParams,
+} from '../utils/savedListViews.js'
+
+/**
+ * @param {Object} options
+ * @param {string} options.viewKey - Identifies the list screen in storage
+ * @param {Object<string, string>} options.defaultFilters - Every filter key with its reset value
+ * @param {Object<string, string>} options.filters - The screen's current filter values
+ * @param {(filters: Object<string, string>) => void} options.onFiltersChange - Apply filters from a URL or saved view
+ * @param {string} [options.paramPrefix=''] - URL parameter prefix when another list shares the URL
+ * @returns {{
+ *   sort: { column: string, direction: 'asc'|'desc' }|null,
+ *   onSort: (column: string, direction: 'asc'|'desc'|null) => void,
+ *   columnConfig: import('../components/Table/tableColumns.js').TableColumnConfig,
+ *   setColumnConfig: Function,
+ *   savedViews: import('../utils/savedListViews.js').SavedListView[],
+ *   activeViewId: string,
+ *   saveView: (name: string) => void,
+ *   applyView: (viewId: string) => void,
+ *   deleteView: (viewId: string) => void,
+ *   getShareUrl: () => string,
+ *   tableProps: Object,
+ * }}
+ */
+export function useListView({ viewKey, defaultFilters, filters, onFiltersChange, paramPrefix = '' }) {
+  const currentUser = useSelector(selectCurrentUser)
+  const userId = currentUser?.id ?? ''
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [initialUrlState] = useState(() => readListViewParams(searchParams, Object.keys(defaultFilters), paramPrefix))
+  const [sort, setSort] = useState(initialUrlState?.sort ?? null)
+  const [columnConfig, setColumnConfig] = useState(initialUrlState?.columnConfig ?? {})
+  const [savedViewState, setSavedViewState] = useState(() => ({
+    userId,
+    viewKey,
+    views: loadSavedListViews(userId, viewKey),
+  }))
+  const onFiltersChangeRef = useRef(onFiltersChange)
+  const skipNextUrlWriteRef = useRef(Object.keys(initialUrlState?.filters ?? {}).length > 0)
+
+  // The user loaded after mount or another account signed in: use their views
+  if (savedViewState.userId !== userId || savedViewState.viewKey !== viewKey) {
+    setSavedViewState({ userId, viewKey, views: loadSavedListViews(userId, viewKey) })
+  }
+  const savedViews = savedViewState.views
+
+  const currentState = useMemo(
+    () => ({ filters, sort, columnConfig }),
+    [filters, sort, columnConfig],
+  )
+  const signature = getListViewSignature(currentState, defaultFilters)
+  // Screens pass fresh filter objects every render; effects key on `signature`
+  const latestViewRef = useRef({ currentState, defaultFilters })
+
+  useEffect(() => {
+    onFiltersChangeRef.current = onFiltersChange
+    latestViewRef.current = { currentState, defaultFilters }
+  }, [currentState, defaultFilters, onFiltersChange])
+
+  // A shared link wins over the screen's defaults on first render
+  useEffect(() => {
+    if (!skipNextUrlWriteRef.current) return
+    onFiltersChangeRef.current({ ...latestViewRef.current.defaultFilters, ...initialUrlState.filters })
+  }, [initialUrlState])
+
+  // Mirror the view into the URL so it can be bookmarked or shared
+  useEffect(() => {
+    if (skipNextUrlWriteRef.current) {
+      skipNextUrlWriteRef.current = false
+      return
+    }
+    const { currentState: viewState, defaultFilters: viewDefaults } = latestViewRef.current
+    setSearchParams(
+      (current) => writeListViewParams(current, viewState, viewDefaults, paramPrefix),
+      { replace: true },
+    )
+  }, [signature, paramPrefix, setSearchParams])
+
+  const activeViewId = useMemo(
+    () => savedViews.find((view) => getListViewSignature(view, defaultFilters) === signature)?.id ?? '',
+    [defaultFilters, savedViews, signature],
+  )
+
+  const onSort = useCallback((column, direction) => {
+    setSort(direction ? { column, direction } : null)
+  }, [])
+
+  const saveView = useCallback((name) => {
+    if (!String(name ?? '').trim()) return
+    setSavedViewState({ userId, viewKey, views: saveListView(userId, viewKey, name, currentState) })
+  }, [currentState, userId, viewKey])
+
+  const applyView = useCallback((viewId) => {
+    const view = savedViews.find((candidate) => candidate.id === viewId)
+    if (!view) return
+    onFiltersChangeRef.current({ ...defaultFilters, ...view.filters })
+    setSort(view.sort ?? null)
+    setColumnConfig(view.columnConfig ?? {})
+  }, [defaultFilters, savedViews])
+
+  const deleteView = useCallback((viewId) => {
+    setSavedViewState({ userId, viewKey, views: deleteSavedListView(userId, viewKey, viewId) })
+  }, [userId, viewKey])
+
+  const getShareUrl = useCallback(() => {
+    const params = writeListViewParams(
+      new URLSearchParams(window.location.search),
+      currentState,
+      defaultFilters,
+      paramPrefix,
+    )
+    const query = params.toString()
+    return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`
+  }, [currentState, defaultFilters, paramPrefix])
+
+  // Spread onto the screen's <Table> for controlled sort and column prefs
+  const tableProps = useMemo(() => ({
+    sortColumn: sort?.column ?? null,
+    sortDirection: sort?.direction ?? null,
+    onSort,
+    columnConfig,
+    onColumnConfigChange: setColumnConfig,
+    resizableColumns: true,
+  }), [columnConfig, onSort, sort])
+
+  return {
+    sort,
+    onSort,
+    columnConfig,
+    setColumnConfig,
+    savedViews,
+    activeViewId,
+    saveView,
+    applyView,
+    deleteView,
+    getShareUrl,
+    tableProps,
+  }
+}
+
+export default useListView
@@ -0,0 +1,183 @@
+/**
+ * useListView Hook Tests
+ *
+ * Covers saved views for list screens: URL state on load, URL mirroring,
+ * saving / applying / deleting named views per user, and the props handed
+ * to `Table`. Uses renderHook with a real Redux store and MemoryRouter.
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import { useCallback, useEffect, useState } from 'react'
+import { Provider } from 'react-redux'
+import { configureStore } from '@reduxjs/toolkit'
+import { MemoryRouter, useLocation } from 'react-router-dom'
+import authReducer, { setCredentials } from '../store/slices/authSlice.js'
+import { loadSavedListViews, saveListView } from '../utils/savedListViews.js'
+import { useListView } from './useListView.js'
+
+const DEFAULT_FILTERS = { q: '', status: '' }
+
+const currentUser = {
+  id: 'user-1',
+  email: 'lead@example.com',
+  name: 'Team Lead',
+  isActive: true,
+  memberships: [],
+}
+
+let currentLocation = null
+
+const createStore = (user = currentUser) => configureStore({
+  reducer: { auth: authReducer },
+  preloadedState: { auth: { user, status: user ? 'authenticated' : 'idle' } },
+})
+
+function LocationProbe() {
+  const location = useLocation()
+  useEffect(() => {
+    currentLocation = location
+  }, [location])
+  return null
+}
+
+function createWrapper(initialEntry = '/app/users', store = createStore()) {
+
+  return function Wrapper({ children }) {
+    return (
+      <Provider store={store}>
+        <MemoryRouter initialEntries={[initialEntry]}>
+          <LocationProbe />
+          {children}
+        </MemoryRouter>
+      </Provider>
+    )
+  }
+}
+
+// Mirrors how list screens own their filters and hand them to the hook
+function useUsersScreen() {
+  const [filters, setFilters] = useState(DEFAULT_FILTERS)
+  const onFiltersChange = useCallback((next) => setFilters(next), [])
+  const listView = useListView({
+    viewKey: 'users',
+    defaultFilters: DEFAULT_FILTERS,
+    filters,
+    onFiltersChange,
+  })
+  return { filters, setFilters, listView }
+}
+
+const getSearchParams = () => new URLSearchParams(currentLocation.search)
+
+describe('useListView', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    currentLocation = null
+  })
+
+  it('applies a shared link on load', () => {
+    const { result } = renderHook(() => useUsersScreen(), {
+      wrapper: createWrapper('/app/users?f.status=disabled&sort=name:desc&hide=roles'),
+    })
+
+    expect(result.current.filters).toEqual({ q: '', status: 'disabled' })
+    expect(result.current.listView.sort).toEqual({ column: 'name', direction: 'desc' })
+    expect(result.current.listView.columnConfig).toEqual({ hidden: ['roles'] })
+    expect(result.current.listView.tableProps).toMatchObject({
+      sortColumn: 'name',
+      sortDirection: 'desc',
+      columnConfig: { hidden: ['roles'] },
+      resizableColumns: true,
+    })
+    expect(getSearchParams().get('f.status')).toBe('disabled')
+  })
+
+  it('mirrors filter, sort and column changes into the URL', () => {
+    const { result } = renderHook(() => useUsersScreen(), { wrapper: createWrapper() })
+
+    act(() => {
+      result.current.setFilters({ q: 'ada', status: '' })
+      result.current.listView.onSort('email', 'asc')
+      result.current.listView.setColumnConfig({ widths: { email: 200 } })
+    })
+
+    expect(getSearchParams().get('f.q')).toBe('ada')
+    expect(getSearchParams().has('f.status')).toBe(false)
+    expect(getSearchParams().get('sort')).toBe('email:asc')
+    expect(getSearchParams().get('widths')).toBe('email:200')
+
+    act(() => {
+      result.current.listView.onSort('email', null)
+    })
+
+    expect(getSearchParams().has('sort')).toBe(false)
+  })
+
+  it('saves, applies and deletes named views for the signed-in user', () => {
+    const { result } = renderHook(() => useUsersScreen(), { wrapper: createWrapper() })
+
+    act(() => {
+      result.current.setFilters({ q: '', status: 'disabled' })
+      result.current.listView.onSort('name', 'asc')
+    })
+    act(() => {
+      result.current.listView.saveView('Disabled users')
+    })
+
+    const [savedView] = result.current.listView.savedViews
+    expect(savedView.name).toBe('Disabled users')
+    expect(result.current.listView.activeViewId).toBe(savedView.id)
+    expect(loadSavedListViews('user-1', 'users')).toHaveLength(1)
+
+    act(() => {
+      result.current.setFilters(DEFAULT_FILTERS)
+      result.current.listView.onSort('name', null)
+    })
+    expect(result.current.listView.activeViewId).toBe('')
+
+    act(() => {
+      result.current.listView.applyView(savedView.id)
+    })
+    expect(result.current.filters).toEqual({ q: '', status: 'disabled' })
+    expect(result.current.listView.sort).toEqual({ column: 'name', direction: 'asc' })
+    expect(result.current.listView.activeViewId).toBe(savedView.id)
+
+    act(() => {
+      result.current.listView.deleteView(savedView.id)
+    })
+    expect(result.current.listView.savedViews).toEqual([])
+    expect(loadSavedListViews('user-1', 'users')).toEqual([])
+  })
+
+  it('reloads saved views when the user loads after mount or another user signs in', () => {
+    saveListView('user-1', 'users', 'Mine', { filters: { status: 'disabled' }, sort: null, columnConfig: {} })
+    saveListView('user-2', 'users', 'Theirs', { filters: { q: 'ada' }, sort: null, columnConfig: {} })
+    const store = createStore(null)
+    const { result } = renderHook(() => useUsersScreen(), { wrapper: createWrapper('/app/users', store) })
+
+    expect(result.current.listView.savedViews).toEqual([])
+
+    act(() => {
+      store.dispatch(setCredentials({ user: currentUser }))
+    })
+    expect(result.current.listView.savedViews.map((view) => view.name)).toEqual(['Mine'])
+
+    act(() => {
+      store.dispatch(setCredentials({ user: { ...currentUser, id: 'user-2' } }))
+    })
+    expect(result.current.listView.savedViews.map((view) => view.name)).toEqual(['Theirs'])
+  })
+
+  it('builds a share URL for the current view', () => {
+    const { result } = renderHook(() => useUsersScreen(), { wrapper: createWrapper() })
+
+    act(() => {
+      result.current.setFilters({ q: '', status: 'disabled' })
+    })
+
+    const shareUrl = new URL(result.current.listView.getShareUrl())
+    expect(shareUrl.origin).toBe(window.location.origin)
+    expect(shareUrl.searchParams.get('f.status')).toBe('disabled')
+  })
+})
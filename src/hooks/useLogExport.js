@@ -0,0 +1,109 @@
+/**
+ * useLogExport Hook
+ *
+ * Runs one streaming log export at a time (see `utils/logExport.js`) and
+ * tracks its progress for `LogExportToolbar`. The screen supplies
+ * `fetchPage`, bound to its current filters, so the export always matches
+ * what is on screen.
+ *
+ * Usage:
+ *   const logExport = useLogExport()
+ *   logExport.startExport({
+ *     baseName: 'audit-logs',
+ *     format,
+ *     columns: AUDIT_LOG_EXPORT_COLUMNS,
+ *     fetchPage: (page, pageSize, signal) => fetchAuditLogPage({ ...args, page, pageSize }, signal),
+ *   })
+ *
+ * @module hooks/useLogExport
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { createLogExportSink, runLogExport } from '../utils/logExport.js'
+import { normalizeError } from '../utils/errors.js'
+
+export const LOG_EXPORT_STATUS = Object.freeze({
+  IDLE: 'idle',
+  RUNNING: 'running',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+})
+
+const IDLE_STATE = Object.freeze({
+  status: LOG_EXPORT_STATUS.IDLE,
+  format: '',
+  sinkKind: '',
+  progress: null,
+  files: [],
+  truncated: false,
+  error: '',
+})
+
+/**
+ * @returns {{
+ *   exportState: { status: string, format: string, sinkKind: string, progress: import('../utils/logExport.js').LogExportProgress|null, files: string[], truncated: boolean, error: string },
+ *   isExporting: boolean,
+ *   startExport: (options: { baseName: string, format: string, columns?: import('../utils/logExport.js').LogExportColumn[], fetchPage: Function }) => Promise<Object|null>,
+ *   cancelExport: () => void,
+ * }}
+ */
+export function useLogExport() {
+  const [exportState, setExportState] = useState(IDLE_STATE)
+  const controllerRef = useRef(null)
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const startExport = useCallback(async ({ baseName, format, columns = [], fetchPage }) => {
+    if (controllerRef.current) return null
+    // Claim the slot before the picker opens so a double click can't start two exports
+    const controller = new AbortController()
+    controllerRef.current = controller
+
+    try {
+      const sink = await createLogExportSink({ baseName, format, columns })
+      if (!sink) return null
+
+      setExportState({ ...IDLE_STATE, status: LOG_EXPORT_STATUS.RUNNING, format, sinkKind: sink.kind })
+      const result = await runLogExport({
+        fetchPage,
+        format,
+        columns,
+        sink,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (!controller.signal.aborted) setExportState((current) => ({ ...current, progress }))
+        },
+      })
+      setExportState((current) => ({
+        ...current,
+        status: LOG_EXPORT_STATUS.DONE,
+        files: result.files,
+        truncated: result.truncated,
+      }))
+      return result
+    } catch (error) {
+      if (controller.signal.aborted || error?.name === 'AbortError') {
+        setExportState((current) => ({ ...current, status: LOG_EXPORT_STATUS.CANCELLED }))
+      } else {
+        setExportState((current) => ({ ...current, status: LOG_EXPORT_STATUS.FAILED, error: normalizeError(error).message }))
+      }
+      return null
+    } finally {
+      controllerRef.current = null
+    }
+  }, [])
+
+  const cancelExport = useCallback(() => {
+    controllerRef.current?.abort()
+  }, [])
+
+  return {
+    exportState,
+    isExporting: exportState.status === LOG_EXPORT_STATUS.RUNNING,
+    startExport,
+    cancelExport,
+  }
+}
+
+export default useLogExport
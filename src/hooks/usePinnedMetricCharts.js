@@ -0,0 +1,45 @@
+/**
+ * usePinnedMetricCharts Hook
+ *
+ * The signed-in user's pinned metrics explorer charts, persisted in
+ * `localStorage` so the monitoring dashboard survives reloads.
+ *
+ * @module hooks/usePinnedMetricCharts
+ * @returns {{
+ *   pinnedCharts: import('../utils/pinnedMetricCharts.js').PinnedMetricChart[],
+ *   pinChart: (chart: Object) => void,
+ *   unpinChart: (chartId: string) => void,
+ * }}
+ */
+
+import { useCallback, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { selectCurrentUser } from '../store/slices/authSlice.js'
+import {
+  loadPinnedMetricCharts,
+  pinMetricChart,
+  unpinMetricChart,
+} from '../utils/pinnedMetricCharts.js'
+
+export function usePinnedMetricCharts() {
+  const currentUser = useSelector(selectCurrentUser)
+  const userId = currentUser?.id ?? ''
+  const [pins, setPins] = useState(() => ({ userId, charts: loadPinnedMetricCharts(userId) }))
+
+  // Another account signed in on this tab: show their pins, not the previous user's
+  if (pins.userId !== userId) {
+    setPins({ userId, charts: loadPinnedMetricCharts(userId) })
+  }
+
+  const pinChart = useCallback((chart) => {
+    setPins({ userId, charts: pinMetricChart(userId, chart) })
+  }, [userId])
+
+  const unpinChart = useCallback((chartId) => {
+    setPins({ userId, charts: unpinMetricChart(userId, chartId) })
+  }, [userId])
+
+  return { pinnedCharts: pins.charts, pinChart, unpinChart }
+}
+
+export default usePinnedMetricCharts
@@ -0,0 +1,233 @@
+/**
+ * useRuntimeControlBundles Hook
+ *
+ * Export and import of Runtime Control bundles (see
+ * `utils/runtimeControlBundle.js`) through the existing Runtime Control
+ * endpoints:
+ *   - exportBundle: a framework package, its resolved dependencies and the
+ *     skill roles those skills use, signed and ready to download
+ *   - planImport: verifies a bundle's signature and only then dry-runs it
+ *     against this environment (create / update / unchanged / conflict per
+ *     entity)
+ *   - applyImport: runs the plan through the create/update mutations,
+ *     dependencies first, stopping at the first failure. Created records
+ *     start as drafts.
+ *
+ * Usage:
+ *   const { exportBundle, planImport, applyImport } = useRuntimeControlBundles()
+ *
+ * @module hooks/useRuntimeControlBundles
+ */
+
+import { useCallback } from 'react'
+import { useDispatch } from 'react-redux'
+import { runtimeControlApi } from '../store/api/runtimeControlApi.js'
+import {
+  RUNTIME_CONTROL_BUNDLE_CREATE_STATUS,
+  RUNTIME_CONTROL_BUNDLE_ENTITY_TYPES,
+  RUNTIME_CONTROL_IMPORT_ACTIONS,
+  buildRuntimeControlBundle,
+  buildRuntimeControlImportPlan,
+  getRuntimeControlBundleEntityKey,
+  remapRuntimeControlBundleReferences,
+  signRuntimeControlBundle,
+  toRuntimeControlBundlePayload,
+  verifyRuntimeControlBundleSignature,
+} from '../utils/runtimeControlBundle.js'
+import { normalizeError } from '../utils/errors.js'
+
+const LOOKUP_PAGE_SIZE = 100
+
+// Endpoint names per bundle entity type; `dependencyGroup` is the matching
+// group in the package dependency response
+const BUNDLE_ENDPOINTS = Object.freeze({
+  runtimePaths: {
+    dependencyGroup: 'runtimePaths',
+    list: 'listRuntimePaths',
+    get: 'getRuntimePath',
+    create: 'createRuntimePath',
+    update: 'updateRuntimePath',
+    idArg: 'pathId',
+  },
+  skillRoles: {
+    list: 'listSkillRoles',
+    get: 'getSkillRole',
+    create: 'createSkillRole',
+    update: 'updateSkillRole',
+    idArg: 'roleId',
+  },
+  skills: {
+    dependencyGroup: 'skills',
+    list: 'listRuntimeSkills',
+    get: 'getRuntimeSkill',
+    create: 'createRuntimeSkill',
+    update: 'updateRuntimeSkill',
+    idArg: 'skillId',
+  },
+  agents: {
+    dependencyGroup: 'agents',
+    list: 'listRuntimeAgents',
+    get: 'getRuntimeAgent',
+    create: 'createRuntimeAgent',
+    update: 'updateRuntimeAgent',
+    idArg: 'agentId',
+  },
+  validations: {
+    dependencyGroup: 'validations',
+    list: 'listValidationRegistry',
+    get: 'getValidationRegistry',
+    create: 'createValidationRegistry',
+    update: 'updateValidationRegistry',
+    idArg: 'validationId',
+  },
+  workflowPolicies: {
+    dependencyGroup: 'workflowPolicies',
+    list: 'listWorkflowPolicies',
+    get: 'getWorkflowPolicy',
+    create: 'createWorkflowPolicy',
+    update: 'updateWorkflowPolicy',
+    idArg: 'policyId',
+    wrapCreateBody: true,
+  },
+  uiContracts: {
+    dependencyGroup: 'uiContract',
+    list: 'listUiContracts',
+    get: 'getUiContract',
+    create: 'createUiContract',
+    update: 'updateUiContract',
+    idArg: 'uiContractId',
+  },
+  frameworkPackages: {
+    list: 'listFrameworkPackages',
+    get: 'getFrameworkPackage',
+    create: 'createFrameworkPackage',
+    update: 'updateFrameworkPackage',
+    idArg: 'packageId',
+  },
+})
+
+const getPayload = (result) => result?.data?.data ?? result?.data
+const getRows = (result) => {
+  const payload = getPayload(result)
+  return Array.isArray(payload) ? payload : []
+}
+
+export function useRuntimeControlBundles() {
+  const dispatch = useDispatch()
+
+  const query = useCallback(async (endpointName, arg) => {
+    const result = await dispatch(runtimeControlApi.endpoints[endpointName].initiate(
+      arg,
+      { forceRefetch: true, subscribe: false },
+    ))
+    if (result.error) throw normalizeError(result.error)
+    return result
+  }, [dispatch])
+
+  const getRecord = useCallback(
+    async (type, id) => getPayload(await query(BUNDLE_ENDPOINTS[type].get, id)),
+    [query],
+  )
+
+  // Records here whose natural key matches one of `keys`
+  const findExisting = useCallback(async (type, keys) => {
+    const endpoints = BUNDLE_ENDPOINTS[type]
+    const wanted = new Set(keys)
+    const matches = new Map()
+    for (const key of wanted) {
+      const search = type === 'frameworkPackages'
+        ? { frameworkKey: key.split('@')[0], q: key.split('@')[1], pageSize: LOOKUP_PAGE_SIZE }
+        : { q: key, pageSize: LOOKUP_PAGE_SIZE }
+      const rows = getRows(await query(endpoints.list, search))
+      const match = rows.find((row) => getRuntimeControlBundleEntityKey(type, row) === key)
+      if (match?.id && !matches.has(match.id)) {
+        // List rows can be summaries; compare against the full record
+        matches.set(match.id, await getRecord(type, match.id))
+      }
+    }
+    return [...matches.values()]
+  }, [getRecord, query])
+
+  const exportBundle = useCallback(async (packageId, { exportedBy = '' } = {}) => {
+    const [frameworkPackage, dependencies, dependencyLock] = await Promise.all([
+      query('getFrameworkPackage', packageId).then(getPayload),
+      query('getFrameworkPackageDependencies', packageId).then(getPayload),
+      query('getFrameworkPackageDependencyLock', packageId).then(getPayload),
+    ])
+
+    const entities = {}
+    for (const [type, { dependencyGroup }] of Object.entries(BUNDLE_ENDPOINTS)) {
+      if (!dependencyGroup) continue
+      const group = dependencies?.[dependencyGroup]
+      const rows = (Array.isArray(group) ? group : group ? [group] : [])
+        .filter((row) => row?.id && row.status !== 'MISSING')
+      entities[type] = await Promise.all(rows.map((row) => getRecord(type, row.id)))
+    }
+
+    const roleKeys = [...new Set(entities.skills
+      .map((skill) => String(skill?.skillRoleKey ?? '').trim().toUpperCase())
+      .filter(Boolean))]
+    entities.skillRoles = await findExisting('skillRoles', roleKeys)
+
+    return signRuntimeControlBundle(buildRuntimeControlBundle({
+      frameworkPackage,
+      entities,
+      dependencyLock,
+      exportedBy,
+    }))
+  }, [findExisting, getRecord, query])
+
+  const planImport = useCallback(async (bundle) => {
+    const verification = await verifyRuntimeControlBundleSignature(bundle)
+    if (!verification.valid) return { verification, plan: null }
+
+    const existingByType = {}
+    for (const { type } of RUNTIME_CONTROL_BUNDLE_ENTITY_TYPES) {
+      const keys = (bundle.entities?.[type] ?? [])
+        .map((record) => getRuntimeControlBundleEntityKey(type, record))
+        .filter(Boolean)
+      existingByType[type] = keys.length > 0 ? await findExisting(type, keys) : []
+    }
+
+    return { verification, plan: buildRuntimeControlImportPlan(bundle, existingByType) }
+  }, [findExisting])
+
+  /**
+   * @returns {Promise<{ applied: Object[], failed: { step: Object, message: string }|null }>}
+   */
+  const applyImport = useCallback(async (plan, { onStep } = {}) => {
+    const idMap = new Map(
+      plan.steps.filter((step) => step.sourceId && step.targetId).map((step) => [step.sourceId, step.targetId]),
+    )
+    const applied = []
+
+    for (const step of plan.steps) {
+      if (step.action !== RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE
+        && step.action !== RUNTIME_CONTROL_IMPORT_ACTIONS.UPDATE) continue
+
+      const endpoints = BUNDLE_ENDPOINTS[step.type]
+      const payload = toRuntimeControlBundlePayload(remapRuntimeControlBundleReferences(step.type, step.record, idMap))
+      const createPayload = { ...payload, status: RUNTIME_CONTROL_BUNDLE_CREATE_STATUS }
+      const arg = step.action === RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE
+        ? (endpoints.wrapCreateBody ? { body: createPayload } : createPayload)
+        : { [endpoints.idArg]: step.targetId, ...payload }
+      const endpointName = step.action === RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE ? endpoints.create : endpoints.update
+
+      onStep?.(step)
+      const result = await dispatch(runtimeControlApi.endpoints[endpointName].initiate(arg))
+      if (result.error) {
+        return { applied, failed: { step, message: normalizeError(result.error).message } }
+      }
+
+      const targetId = step.targetId ?? getPayload(result)?.id ?? null
+      if (step.sourceId && targetId) idMap.set(step.sourceId, targetId)
+      applied.push({ ...step, targetId })
+    }
+
+    return { applied, failed: null }
+  }, [dispatch])
+
+  return { exportBundle, planImport, applyImport }
+}
+
+export default useRuntimeControlBundles
@@ -0,0 +1,140 @@
+import { act, renderHook } from '@testing-library/react'
+import { Provider } from 'react-redux'
+import { configureStore } from '@reduxjs/toolkit'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { baseApi } from '../store/api/baseApi.js'
+import {
+  __resetRuntimeControlApiStateForTests,
+  runtimeControlApi,
+} from '../store/api/runtimeControlApi.js'
+import {
+  RUNTIME_CONTROL_IMPORT_ACTIONS,
+  signRuntimeControlBundle,
+} from '../utils/runtimeControlBundle.js'
+import { useRuntimeControlBundles } from './useRuntimeControlBundles.js'
+
+const createTestStore = () =>
+  configureStore({
+    reducer: {
+      [baseApi.reducerPath]: baseApi.reducer,
+    },
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(baseApi.middleware),
+  })
+
+const renderBundlesHook = (store) => renderHook(() => useRuntimeControlBundles(), {
+  wrapper: ({ children }) => <Provider store={store}>{children}</Provider>,
+})
+
+describe('useRuntimeControlBundles', () => {
+  beforeEach(() => {
+    globalThis.__RUNTIME_CONTROL_API_MOCK__ = true
+    __resetRuntimeControlApiStateForTests()
+    vi.stubEnv('VITE_RUNTIME_CONTROL_BUNDLE_SIGNING_KEY', 'bundle-test-key')
+  })
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('exports a signed package bundle that plans as unchanged in the same environment', async () => {
+    const { result } = renderBundlesHook(createTestStore())
+
+    let bundle
+    await act(async () => {
+      bundle = await result.current.exportBundle('pkg-vmf-231', { exportedBy: 'Dev Admin' })
+    })
+
+    expect(bundle.signature).toEqual({ algorithm: 'HMAC-SHA256', value: expect.stringMatching(/^[a-f0-9]{64}$/) })
+    expect(bundle.exportedBy).toBe('Dev Admin')
+    expect(bundle.entities.frameworkPackages[0].id).toBe('pkg-vmf-231')
+    expect(bundle.entities.runtimePaths.length).toBeGreaterThan(0)
+    expect(bundle.dependencyLock).toBeTruthy()
+
+    let planned
+    await act(async () => {
+      planned = await result.current.planImport(bundle)
+    })
+
+    expect(planned.verification.valid).toBe(true)
+    expect(planned.plan.steps.every((step) => step.action === RUNTIME_CONTROL_IMPORT_ACTIONS.UNCHANGED)).toBe(true)
+    expect(planned.plan.canApply).toBe(false)
+  })
+
+  it('refuses to plan a bundle that was changed or signed with another key', async () => {
+    const store = createTestStore()
+    const { result } = renderBundlesHook(store)
+    const listPackages = vi.spyOn(runtimeControlApi.endpoints.listFrameworkPackages, 'initiate')
+
+    let exported
+    let tampered
+    let foreign
+    await act(async () => {
+      exported = await result.current.exportBundle('pkg-vmf-231')
+      listPackages.mockClear()
+      tampered = await result.current.planImport({ ...exported, exportedBy: 'Someone else' })
+      foreign = await result.current.planImport(await signRuntimeControlBundle(exported, 'another-key'))
+    })
+
+    const mismatch = {
+      verification: {
+        valid: false,
+        reason: 'The bundle signature does not match. It was changed after export or signed with a different key.',
+      },
+      plan: null,
+    }
+    expect(tampered).toEqual(mismatch)
+    expect(foreign).toEqual(mismatch)
+    // Rejected before the dry run looked anything up
+    expect(listPackages).not.toHaveBeenCalled()
+    listPackages.mockRestore()
+  })
+
+  it('refuses to export or verify without a configured signing key', async () => {
+    const { result } = renderBundlesHook(createTestStore())
+
+    let exported
+    await act(async () => {
+      exported = await result.current.exportBundle('pkg-vmf-231')
+    })
+    vi.stubEnv('VITE_RUNTIME_CONTROL_BUNDLE_SIGNING_KEY', '')
+
+    await act(async () => {
+      await expect(result.current.exportBundle('pkg-vmf-231')).rejects.toThrow(/Bundle signing is not configured/)
+      await expect(result.current.planImport(exported)).resolves.toMatchObject({ verification: { valid: false }, plan: null })
+    })
+  })
+
+  it('creates a package version that does not exist here through the create mutation', async () => {
+    const store = createTestStore()
+    const { result } = renderBundlesHook(store)
+
+    let applied
+    await act(async () => {
+      const exported = await result.current.exportBundle('pkg-vmf-231')
+      const [sourcePackage] = exported.entities.frameworkPackages
+      const bundle = await signRuntimeControlBundle({
+        ...exported,
+        entities: {
+          ...exported.entities,
+          frameworkPackages: [{ ...sourcePackage, version: '9.0.0', packageKey: 'vmf-imported-900' }],
+        },
+      }, 'bundle-test-key')
+      const { plan } = await result.current.planImport(bundle)
+      expect(plan.steps.at(-1)).toMatchObject({ key: 'VMF@9.0.0', action: RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE })
+      expect(plan.canApply).toBe(true)
+      applied = await result.current.applyImport(plan)
+    })
+
+    expect(applied.failed).toBeNull()
+    expect(applied.applied).toEqual([
+      expect.objectContaining({ type: 'frameworkPackages', targetId: expect.any(String) }),
+    ])
+
+    const listResult = await store.dispatch(
+      runtimeControlApi.endpoints.listFrameworkPackages.initiate({ frameworkKey: 'VMF', q: '9.0.0' }),
+    )
+    expect(listResult.data?.data).toEqual([
+      expect.objectContaining({ version: '9.0.0', packageKey: 'vmf-imported-900', status: 'DRAFT' }),
+    ])
+  })
+})
@@ -0,0 +1,73 @@
+/**
+ * useRuntimeControlRegistries Hook
+ *
+ * Loads whole Runtime Control registries on demand, following list
+ * pagination, for views that analyse the registry graph rather than one
+ * page of it (e.g. runtime path impact analysis).
+ *
+ * Usage:
+ *   const { loadRegistries } = useRuntimeControlRegistries()
+ *   const { skills, agents } = await loadRegistries(['skills', 'agents'])
+ *
+ * @module hooks/useRuntimeControlRegistries
+ */
+
+import { useCallback } from 'react'
+import { useDispatch } from 'react-redux'
+import { runtimeControlApi } from '../store/api/runtimeControlApi.js'
+import { normalizeError } from '../utils/errors.js'
+
+// List endpoint per registry name
+export const RUNTIME_CONTROL_REGISTRY_LIST_ENDPOINTS = Object.freeze({
+  runtimePaths: 'listRuntimePaths',
+  skillRoles: 'listSkillRoles',
+  skills: 'listRuntimeSkills',
+  agents: 'listRuntimeAgents',
+  validations: 'listValidationRegistry',
+  workflowPolicies: 'listWorkflowPolicies',
+  uiContracts: 'listUiContracts',
+  frameworkPackages: 'listFrameworkPackages',
+})
+
+const REGISTRY_PAGE_SIZE = 100
+// Guards against a server that never reports the last page
+const MAX_REGISTRY_PAGES = 50
+
+export function useRuntimeControlRegistries() {
+  const dispatch = useDispatch()
+
+  const loadRegistry = useCallback(async (registry) => {
+    const endpointName = RUNTIME_CONTROL_REGISTRY_LIST_ENDPOINTS[registry]
+    if (!endpointName) throw new Error(`Unknown Runtime Control registry "${registry}".`)
+
+    const rows = []
+    for (let page = 1; page <= MAX_REGISTRY_PAGES; page += 1) {
+      const result = await dispatch(runtimeControlApi.endpoints[endpointName].initiate(
+        { page, pageSize: REGISTRY_PAGE_SIZE },
+        { forceRefetch: true, subscribe: false },
+      ))
+      if (result.error) throw normalizeError(result.error)
+
+      const pageRows = Array.isArray(result.data?.data) ? result.data.data : []
+      rows.push(...pageRows)
+      const totalPages = Number(result.data?.meta?.totalPages) || 1
+      if (page >= totalPages || pageRows.length < REGISTRY_PAGE_SIZE) break
+    }
+    return rows
+  }, [dispatch])
+
+  /**
+   * @param {string[]} [registries] - names from RUNTIME_CONTROL_REGISTRY_LIST_ENDPOINTS; all by default
+   * @returns {Promise<Object<string, Object[]>>} rows by registry name
+   */
+  const loadRegistries = useCallback(async (registries = Object.keys(RUNTIME_CONTROL_REGISTRY_LIST_ENDPOINTS)) => {
+    const entries = await Promise.all(
+      registries.map(async (registry) => [registry, await loadRegistry(registry)]),
+    )
+    return Object.fromEntries(entries)
+  }, [loadRegistry])
+
+  return { loadRegistry, loadRegistries }
+}
+
+export default useRuntimeControlRegistries
@@ -0,0 +1,64 @@
+import { act, renderHook } from '@testing-library/react'
+import { Provider } from 'react-redux'
+import { configureStore } from '@reduxjs/toolkit'
+import { beforeEach, describe, expect, it } from 'vitest'
+import { baseApi } from '../store/api/baseApi.js'
+import {
+  __mutateRuntimeControlApiStateForTests,
+  __resetRuntimeControlApiStateForTests,
+} from '../store/api/runtimeControlApi.js'
+import { useRuntimeControlRegistries } from './useRuntimeControlRegistries.js'
+
+const createTestStore = () =>
+  configureStore({
+    reducer: {
+      [baseApi.reducerPath]: baseApi.reducer,
+    },
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(baseApi.middleware),
+  })
+
+const renderRegistriesHook = () => renderHook(() => useRuntimeControlRegistries(), {
+  wrapper: ({ children }) => <Provider store={createTestStore()}>{children}</Provider>,
+})
+
+describe('useRuntimeControlRegistries', () => {
+  beforeEach(() => {
+    globalThis.__RUNTIME_CONTROL_API_MOCK__ = true
+    __resetRuntimeControlApiStateForTests()
+  })
+
+  it('loads every page of the requested registries', async () => {
+    let expectedSkillCount = 0
+    __mutateRuntimeControlApiStateForTests((state) => {
+      const [template] = state.skills
+      const skills = [
+        ...state.skills,
+        ...Array.from({ length: 120 }, (_, index) => ({
+          ...template,
+          id: `skill-paging-${index}`,
+          key: `paging_skill_${index}`,
+          name: `Paging Skill ${index}`,
+        })),
+      ]
+      expectedSkillCount = skills.length
+      return { ...state, skills }
+    })
+    const { result } = renderRegistriesHook()
+
+    let registries
+    await act(async () => {
+      registries = await result.current.loadRegistries(['skills', 'frameworkPackages'])
+    })
+
+    expect(Object.keys(registries)).toEqual(['skills', 'frameworkPackages'])
+    expect(registries.skills).toHaveLength(expectedSkillCount)
+    expect(new Set(registries.skills.map((skill) => skill.id)).size).toBe(expectedSkillCount)
+    expect(registries.frameworkPackages.length).toBeGreaterThan(0)
+  })
+
+  it('rejects unknown registries', async () => {
+    const { result } = renderRegistriesHook()
+
+    await expect(result.current.loadRegistry('unknown')).rejects.toThrow('Unknown Runtime Control registry "unknown".')
+  })
+})
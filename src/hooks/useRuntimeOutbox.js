@@ -0,0 +1,47 @@
+/**
+ * useRuntimeOutbox Hook
+ *
+ * Facade for the runtimeOutbox Redux slice scoped to one runtime
+ * instance:
+ *   - Per-section outbox status (pending / conflict / failed) by runtime path
+ *   - Queue an edit that could not reach the server
+ *   - Drop queued edits for a path once it has been saved online
+ *
+ * Usage:
+ *   const { statusByPath, queueMutation } = useRuntimeOutbox(runtimeInstanceId)
+ *
+ * @module hooks/useRuntimeOutbox
+ */
+
+import { useCallback, useMemo } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import {
+  discardRuntimeOutboxPath,
+  getRuntimeOutboxStatusByPath,
+  queueRuntimeMutation,
+  selectRuntimeOutboxEntries,
+} from '../store/slices/runtimeOutboxSlice.js'
+
+export function useRuntimeOutbox(runtimeInstanceId) {
+  const dispatch = useDispatch()
+  const entries = useSelector(selectRuntimeOutboxEntries)
+
+  const statusByPath = useMemo(
+    () => getRuntimeOutboxStatusByPath(entries, runtimeInstanceId),
+    [entries, runtimeInstanceId],
+  )
+
+  const queueMutation = useCallback(
+    ({ endpointName, body }) => dispatch(queueRuntimeMutation({ endpointName, runtimeInstanceId, body })),
+    [dispatch, runtimeInstanceId],
+  )
+
+  const discardPath = useCallback(
+    (runtimePath) => dispatch(discardRuntimeOutboxPath({ runtimeInstanceId, runtimePath })),
+    [dispatch, runtimeInstanceId],
+  )
+
+  return { statusByPath, queueMutation, discardPath }
+}
+
+export default useRuntimeOutbox
@@ -7,6 +7,8 @@
  *   - `GET /metrics`                - Prometheus text scrape (SUPER_ADMIN)
  *   - `GET /health/trends`          - bucketed request trends (SUPER_ADMIN)
  *   - `GET /health/alerts`          - alert lifecycle feed (SUPER_ADMIN)
+ *   - `/health/alert-rules`         - threshold rules CRUD (SUPER_ADMIN, opt-in)
+ *   - `/health/alerts/timeline`     - acknowledge / snooze history (SUPER_ADMIN, opt-in)
  *
  * Normalises heterogeneous backend payloads into a stable shape
  * consumed by `SystemHealthIndicator` and `SystemMonitoring`.
@@ -15,11 +17,18 @@
  *   - Polling at configurable interval (default 30 s)
  *   - Admin-only query gating (queries skipped for regular users)
  *   - Optional toast-based alerting for degraded / threshold breaches
+ *   - Optional browser notifications for critical alerts, so they reach the
+ *     user while the page sits in a background tab
+ *   - Optional history of parsed Prometheus scrapes, so counters can be
+ *     charted as rates and histograms as percentiles
  *   - Combined `refetchAll()` for manual refresh
  *
  * @param {Object} [options]
  * @param {boolean} [options.enabled=true] - master toggle
  * @param {boolean} [options.enableAlerts=false] - show toasts on degradation
+ * @param {boolean} [options.enableBrowserNotifications=false] - OS notifications for critical alerts
+ * @param {boolean} [options.includeAlertManagement=false] - load alert rules and timeline
+ * @param {boolean} [options.collectMetricScrapes=false] - keep parsed `/metrics` scrapes for the trend window
  * @param {number} [options.pollingInterval=30000] - poll cadence in ms
  * @returns {{
  *   isAdmin: boolean,
@@ -39,10 +48,17 @@
  *   activeAlerts: Array,
  *   resolvedAlerts: Array,
  *   alertSummary: { activeCount: number, resolvedCount: number, total: number },
+ *   alertRules: Array,
+ *   alertTimeline: Array,
+ *   saveAlertRule: (rule: Object, ruleId?: string) => Promise,
+ *   deleteAlertRule: (ruleId: string) => Promise,
+ *   acknowledgeAlert: (alertId: string, comment: string) => Promise,
+ *   snoozeAlert: (alertId: string, comment: string, durationMinutes: number) => Promise,
  *   trendPoints: Array,
  *   trendWindowMs: number,
  *   trendBucketMs: number,
  *   trendGeneratedAt: string,
+ *   metricScrapes: Array<{ at: number, families: import('../utils/prometheusText.js').PrometheusMetricFamily[] }>,
  *   isLoading: boolean,
  *   isFetching: boolean,
  *   error: unknown,
@@ -50,7 +66,7 @@
  * }}
  */
 
-import { useEffect, useMemo, useRef } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { useToaster } from '../components/Toaster'
 import { useAuthorization } from './useAuthorization.js'
 import {
@@ -59,12 +75,24 @@ import {
   useGetSystemMetricsQuery,
   useGetHealthTrendsQuery,
   useGetHealthAlertsQuery,
+  useGetHealthAlertTimelineQuery,
+  useListHealthAlertRulesQuery,
+  useCreateHealthAlertRuleMutation,
+  useUpdateHealthAlertRuleMutation,
+  useDeleteHealthAlertRuleMutation,
+  useAcknowledgeHealthAlertMutation,
+  useSnoozeHealthAlertMutation,
 } from '../store/api/systemApi.js'
+import { showBrowserNotification } from '../utils/browserNotifications.js'
+import { parsePrometheusText } from '../utils/prometheusText.js'
 
 const DEGRADED_STATES = new Set(['DEGRADED', 'DOWN', 'UNHEALTHY', 'ERROR'])
 const DEFAULT_TREND_WINDOW = '1h'
 const DEFAULT_TREND_BUCKET = '1m'
 const DEFAULT_ALERT_LIMIT = 100
+const DEFAULT_TIMELINE_LIMIT = 50
+const DEFAULT_SCRAPE_WINDOW_MS = 60 * 60 * 1000
+const EMPTY_LIST = []
 const DEFAULT_METRIC_THRESHOLDS = {
   errorRate: 0.05,
   p95ResponseTimeMs: 200,
@@ -149,35 +177,9 @@ function normalizeDependencyEntries(detailedHealth) {
 }
 
 function parsePrometheusMetrics(prometheusText) {
-  if (typeof prometheusText !== 'string' || !prometheusText.trim()) return []
-
-  const entries = []
-  const lines = prometheusText.split('\n')
-  const linePattern =
-    /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{([^}]*)\})?\s+([+-]?(?:\d+(?:\.\d+)?|\.\d+)(?:[eE][+-]?\d+)?)$/
-
-  for (const line of lines) {
-    const trimmed = line.trim()
-    if (!trimmed || trimmed.startsWith('#')) continue
-    const match = trimmed.match(linePattern)
-    if (!match) continue
-
-    const [, metricName, labelsRaw = '', valueRaw] = match
-    const value = Number(valueRaw)
-    if (!Number.isFinite(value)) continue
-
-    const labels = {}
-    const labelPattern = /([a-zA-Z_][a-zA-Z0-9_]*)="([^"]*)"/g
-    let labelMatch = labelPattern.exec(labelsRaw)
-    while (labelMatch) {
-      labels[labelMatch[1]] = labelMatch[2]
-      labelMatch = labelPattern.exec(labelsRaw)
-    }
-
-    entries.push({ name: metricName, labels, value })
-  }
-
-  return entries
+  return parsePrometheusText(prometheusText)
+    .flatMap((family) => family.samples)
+    .filter((sample) => Number.isFinite(sample.value))
 }
 
 function getPrometheusValueBySuffix(entries, suffix) {
@@ -308,6 +310,7 @@ function normalizeLifecycleAlerts(alertsPayload, fallbackStatus = 'active') {
   const items = itemsSource
     .map((alert, index) => {
       const code = String(alert.code ?? alert.id ?? `ALERT_${index}`)
+      const alertId = String(alert.alertId ?? alert.id ?? code)
       const status = String(alert.status ?? fallbackStatus ?? 'active').toLowerCase()
       const value = Number(alert.value)
       const threshold = Number(alert.threshold)
@@ -319,11 +322,12 @@ function normalizeLifecycleAlerts(alertsPayload, fallbackStatus = 'active') {
       }
 
       return {
-        id: `${status}-${code}`,
+        id: `${status}-${alertId}`,
+        alertId,
         code,
         status,
         level: normalizeAlertLevel(alert.severity ?? alert.level),
-        title: humanizeIdentifier(code),
+        title: alert.title ? String(alert.title) : humanizeIdentifier(code),
         description:
           descriptionParts.join(' ').trim() ||
           'Monitoring threshold requires attention.',
@@ -335,6 +339,9 @@ function normalizeLifecycleAlerts(alertsPayload, fallbackStatus = 'active') {
         metric: alert.metric ?? '',
         threshold: Number.isFinite(threshold) ? threshold : null,
         value: Number.isFinite(value) ? value : null,
+        ruleId: alert.ruleId ?? null,
+        acknowledgement: alert.acknowledgement ?? null,
+        snoozedUntil: alert.snoozedUntil ?? null,
       }
     })
     .sort((a, b) => {
@@ -358,9 +365,24 @@ function normalizeLifecycleAlerts(alertsPayload, fallbackStatus = 'active') {
   }
 }
 
+function normalizeCollection(payload) {
+  const source = payload?.data ?? payload
+  if (Array.isArray(source)) return source
+  if (Array.isArray(source?.items)) return source.items
+  return EMPTY_LIST
+}
+
+function isSnoozed(alert, now = Date.now()) {
+  const snoozedUntil = Date.parse(alert?.snoozedUntil ?? '')
+  return Number.isFinite(snoozedUntil) && snoozedUntil > now
+}
+
 export function useSystemMonitoring({
   enabled = true,
   enableAlerts = false,
+  enableBrowserNotifications = false,
+  includeAlertManagement = false,
+  collectMetricScrapes = false,
   pollingInterval = 30000,
 } = {}) {
   const { addToast } = useToaster()
@@ -369,6 +391,7 @@ export function useSystemMonitoring({
     healthKey: '',
     metricsKey: '',
     alertKeys: new Set(),
+    notifiedAlertKeys: new Set(),
   })
 
   const isCustomerAdmin = useMemo(
@@ -422,6 +445,26 @@ export function useSystemMonitoring({
     },
   )
 
+  const isAlertManagementEnabled = isAdvancedMonitoringEnabled && includeAlertManagement
+
+  const alertRulesQuery = useListHealthAlertRulesQuery(undefined, {
+    skip: !isAlertManagementEnabled,
+  })
+
+  const alertTimelineQuery = useGetHealthAlertTimelineQuery(
+    { limit: DEFAULT_TIMELINE_LIMIT },
+    {
+      skip: !isAlertManagementEnabled,
+      pollingInterval,
+    },
+  )
+
+  const [createAlertRuleMutation] = useCreateHealthAlertRuleMutation()
+  const [updateAlertRuleMutation] = useUpdateHealthAlertRuleMutation()
+  const [deleteAlertRuleMutation] = useDeleteHealthAlertRuleMutation()
+  const [acknowledgeAlertMutation] = useAcknowledgeHealthAlertMutation()
+  const [snoozeAlertMutation] = useSnoozeHealthAlertMutation()
+
   const overallStatus = useMemo(() => {
     const health = healthQuery.data?.data ?? healthQuery.data ?? {}
     return normalizeStatus(health.status)
@@ -451,6 +494,27 @@ export function useSystemMonitoring({
     [trendsQuery.data],
   )
 
+  // Each poll of `/metrics` is one scrape; older ones fall out of the trend
+  // window. Collected while rendering (not in an effect) so a new scrape and
+  // the charts built from it land in the same render.
+  const [metricScrapeHistory, setMetricScrapeHistory] = useState({ fetchedAt: 0, scrapes: EMPTY_LIST })
+  const metricsFetchedAt = metricsQuery.fulfilledTimeStamp ?? 0
+  if (
+    collectMetricScrapes &&
+    isAdvancedMonitoringEnabled &&
+    typeof metricsQuery.data === 'string' &&
+    metricsFetchedAt > metricScrapeHistory.fetchedAt
+  ) {
+    const windowMs = trendData.windowMs || DEFAULT_SCRAPE_WINDOW_MS
+    setMetricScrapeHistory({
+      fetchedAt: metricsFetchedAt,
+      scrapes: [
+        ...metricScrapeHistory.scrapes.filter((scrape) => scrape.at >= metricsFetchedAt - windowMs),
+        { at: metricsFetchedAt, families: parsePrometheusText(metricsQuery.data) },
+      ],
+    })
+  }
+
   const activeLifecycleData = useMemo(
     () => normalizeLifecycleAlerts(activeAlertsQuery.data, 'active'),
     [activeAlertsQuery.data],
@@ -530,6 +594,61 @@ export function useSystemMonitoring({
     [activeAlerts.length, activeLifecycleData.summary, isSuperAdmin],
   )
 
+  const alertRules = useMemo(
+    () => normalizeCollection(alertRulesQuery.data),
+    [alertRulesQuery.data],
+  )
+
+  const alertTimeline = useMemo(
+    () => normalizeCollection(alertTimelineQuery.data),
+    [alertTimelineQuery.data],
+  )
+
+  const saveAlertRule = useCallback(
+    (rule, ruleId) =>
+      (ruleId
+        ? updateAlertRuleMutation({ ruleId, ...rule })
+        : createAlertRuleMutation(rule)
+      ).unwrap(),
+    [createAlertRuleMutation, updateAlertRuleMutation],
+  )
+
+  const deleteAlertRule = useCallback(
+    (ruleId) => deleteAlertRuleMutation(ruleId).unwrap(),
+    [deleteAlertRuleMutation],
+  )
+
+  const acknowledgeAlert = useCallback(
+    (alertId, comment) => acknowledgeAlertMutation({ alertId, comment }).unwrap(),
+    [acknowledgeAlertMutation],
+  )
+
+  const snoozeAlert = useCallback(
+    (alertId, comment, durationMinutes) =>
+      snoozeAlertMutation({ alertId, comment, durationMinutes }).unwrap(),
+    [snoozeAlertMutation],
+  )
+
+  useEffect(() => {
+    if (!enableBrowserNotifications || !isMonitoringEnabled) return
+
+    // Critical alerts nobody has taken ownership of yet. A key is dropped as
+    // soon as its alert stops pending, so an expired snooze notifies again.
+    const pendingCritical = activeAlerts.filter(
+      (alert) => alert.level === 'error' && !alert.acknowledgement && !isSnoozed(alert),
+    )
+    const pendingKeys = new Set(pendingCritical.map((alert) => alert.id))
+    pendingCritical.forEach((alert) => {
+      if (alertRef.current.notifiedAlertKeys.has(alert.id)) return
+      showBrowserNotification({
+        title: alert.title,
+        body: alert.description,
+        tag: alert.id,
+      })
+    })
+    alertRef.current.notifiedAlertKeys = pendingKeys
+  }, [activeAlerts, enableBrowserNotifications, isMonitoringEnabled])
+
   useEffect(() => {
     if (!enableAlerts || !isMonitoringEnabled) return
 
@@ -568,7 +687,7 @@ export function useSystemMonitoring({
 
     const currentAlertKeys = new Set(activeAlerts.map((a) => a.id))
     activeAlerts.forEach((alert) => {
-      if (!alertRef.current.alertKeys.has(alert.id)) {
+      if (!alertRef.current.alertKeys.has(alert.id) && !isSnoozed(alert)) {
         addToast({
           title: alert.title,
           description: alert.description,
@@ -632,10 +751,17 @@ export function useSystemMonitoring({
     activeAlerts,
     resolvedAlerts,
     alertSummary,
+    alertRules,
+    alertTimeline,
+    saveAlertRule,
+    deleteAlertRule,
+    acknowledgeAlert,
+    snoozeAlert,
     trendPoints: trendData.points,
     trendWindowMs: trendData.windowMs,
     trendBucketMs: trendData.bucketMs,
     trendGeneratedAt: trendData.generatedAt,
+    metricScrapes: metricScrapeHistory.scrapes,
     isLoading,
     isFetching,
     error,
@@ -650,6 +776,10 @@ export function useSystemMonitoring({
         activeAlertsQuery.refetch()
         resolvedAlertsQuery.refetch()
       }
+      if (isAlertManagementEnabled) {
+        alertRulesQuery.refetch()
+        alertTimelineQuery.refetch()
+      }
     },
   }
 }
@@ -12,6 +12,7 @@ import { useState, useCallback, useMemo } from 'react'
 import { DEFAULT_TABLE_PAGE_SIZE } from '../components/Table/tableConstants.js'
 import {
   useListUsersQuery,
+  useLazyListUsersQuery,
   useListAssignableRolesQuery,
   useCreateUserMutation,
   useUpdateUserMutation,
@@ -21,6 +22,11 @@ import {
   useResendInvitationMutation,
 } from '../store/api/userApi.js'
 
+// Page size used to resolve an "all matching" selection into user IDs
+const MATCHING_USERS_PAGE_SIZE = 100
+
+const getUserRowId = (row) => String(row?._id ?? row?.id ?? '').trim()
+
 const createMissingCustomerScopeError = () => ({
   status: 400,
   data: {
@@ -51,6 +57,7 @@ const createMissingCustomerScopeError = () => ({
  *   setStatusFilter: Function,
  *   page: number,
  *   setPage: Function,
+ *   listMatchingUserIds: Function,
  *   createUser: Function,
  *   createUserResult: object,
  *   updateUser: Function,
@@ -119,6 +126,41 @@ export function useUsers(customerId, options = {}) {
     [assignableRolesData],
   )
 
+  /* ---- All users matching the current filters ---- */
+  const [fetchUsersPage] = useLazyListUsersQuery()
+
+  /**
+   * Every user ID matching the current search and status filters, across
+   * all pages, minus `excludedIds`. Backs "select all matching" bulk actions.
+   * @param {Set<string>} [excludedIds]
+   * @returns {Promise<string[]>}
+   */
+  const listMatchingUserIds = useCallback(
+    async (excludedIds = new Set()) => {
+      if (!customerId) throw createMissingCustomerScopeError()
+
+      // A Set, because rows created mid-walk shift later pages by one
+      const userIds = new Set()
+      for (let nextPage = 1; ; nextPage += 1) {
+        const result = await fetchUsersPage({
+          customerId,
+          q: search || undefined,
+          status: statusFilter || undefined,
+          page: nextPage,
+          pageSize: MATCHING_USERS_PAGE_SIZE,
+        }).unwrap()
+        const pageUsers = result?.data?.users ?? []
+        pageUsers
+          .map(getUserRowId)
+          .filter((userId) => userId && !excludedIds.has(userId))
+          .forEach((userId) => userIds.add(userId))
+        if (pageUsers.length === 0 || nextPage >= (result?.data?.totalPages ?? 0)) break
+      }
+      return [...userIds]
+    },
+    [customerId, fetchUsersPage, search, statusFilter],
+  )
+
   /* ---- Mutations ---- */
   const [createUserMutation, createUserResult] = useCreateUserMutation()
   const [updateUserMutation, updateUserResult] = useUpdateUserMutation()
@@ -200,6 +242,7 @@ export function useUsers(customerId, options = {}) {
     setStatusFilter,
     page,
     setPage,
+    listMatchingUserIds,
 
     // Mutations
     createUser,
@@ -6,8 +6,10 @@ const {
   mockUseListAssignableRolesQuery,
   mockUseDisableUserMutation,
   mockUseEnableUserMutation,
+  mockFetchUsersPage,
 } = vi.hoisted(() => ({
   mockUseListUsersQuery: vi.fn(),
+  mockFetchUsersPage: vi.fn(),
   mockUseListAssignableRolesQuery: vi.fn(),
   mockUseDisableUserMutation: vi.fn(),
   mockUseEnableUserMutation: vi.fn(),
@@ -15,6 +17,7 @@ const {
 
 vi.mock('../store/api/userApi.js', () => ({
   useListUsersQuery: (...args) => mockUseListUsersQuery(...args),
+  useLazyListUsersQuery: () => [mockFetchUsersPage],
   useListAssignableRolesQuery: (...args) => mockUseListAssignableRolesQuery(...args),
   useCreateUserMutation: () => [vi.fn(), {}],
   useUpdateUserMutation: () => [vi.fn(), {}],
@@ -32,6 +35,7 @@ describe('useUsers', () => {
     mockUseListAssignableRolesQuery.mockReset()
     mockUseDisableUserMutation.mockReset()
     mockUseEnableUserMutation.mockReset()
+    mockFetchUsersPage.mockReset()
     mockUseListUsersQuery.mockReturnValue({
       data: {
         data: {
@@ -186,4 +190,35 @@ describe('useUsers', () => {
     })
     expect(result.current.enableUserResult.isLoading).toBe(false)
   })
+
+  it('lists every user matching the filters across pages, minus exclusions', async () => {
+    const pages = {
+      1: { users: [{ _id: 'user-1' }, { _id: 'user-2' }], totalPages: 2 },
+      2: { users: [{ _id: 'user-2' }, { _id: 'user-3' }], totalPages: 2 },
+    }
+    mockFetchUsersPage.mockImplementation(({ page }) => ({
+      unwrap: () => Promise.resolve({ data: pages[page] }),
+    }))
+
+    const { result } = renderHook(() => useUsers('cust-1'))
+    act(() => {
+      result.current.setSearch('ops')
+      result.current.setStatusFilter('active')
+    })
+
+    let userIds
+    await act(async () => {
+      userIds = await result.current.listMatchingUserIds(new Set(['user-1']))
+    })
+
+    expect(userIds).toEqual(['user-2', 'user-3'])
+    expect(mockFetchUsersPage).toHaveBeenCalledTimes(2)
+    expect(mockFetchUsersPage).toHaveBeenLastCalledWith({
+      customerId: 'cust-1',
+      q: 'ops',
+      status: 'active',
+      page: 2,
+      pageSize: 100,
+    })
+  })
 })
@@ -0,0 +1,90 @@
+/**
+ * Internationalisation
+ *
+ * Message catalogues live in `locales/` as flat `key → ICU pattern` maps.
+ * English is the source catalogue: a key missing from another locale falls
+ * back to English, and a key missing everywhere renders as the key itself
+ * so gaps are visible rather than blank.
+ *
+ * The active locale is module state so plain utilities (error
+ * normalisation, date formatting) translate without a React context.
+ * I18nProvider keeps it in step with the signed-in user's choice; React
+ * components should read `t` from `useI18n()` so they re-render on change.
+ */
+
+import { formatMessage } from './messageFormat.js'
+import en from './locales/en.js'
+import fr from './locales/fr.js'
+import de from './locales/de.js'
+
+export const DEFAULT_LOCALE = 'en'
+
+export const SUPPORTED_LOCALES = Object.freeze([
+  { value: 'en', label: 'English' },
+  { value: 'fr', label: 'Français' },
+  { value: 'de', label: 'Deutsch' },
+])
+
+const CATALOGUES = { en, fr, de }
+
+let activeLocale = DEFAULT_LOCALE
+
+/**
+ * Map a BCP 47 tag onto a supported locale (`fr-CA` → `fr`).
+ *
+ * @param {string} [value]
+ * @returns {string | null} a supported locale, or null when none matches
+ */
+export const resolveSupportedLocale = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null
+  const language = value.trim().toLowerCase().split(/[-_]/)[0]
+  return Object.hasOwn(CATALOGUES, language) ? language : null
+}
+
+/** @returns {string} */
+export const getActiveLocale = () => activeLocale
+
+/**
+ * @param {string} locale - Unsupported values reset to English
+ * @returns {string} the locale now active
+ */
+export const setActiveLocale = (locale) => {
+  activeLocale = resolveSupportedLocale(locale) ?? DEFAULT_LOCALE
+  return activeLocale
+}
+
+/**
+ * @param {string} key
+ * @returns {boolean} whether the key exists in the English catalogue
+ */
+export const hasTranslation = (key) => Object.hasOwn(en, key)
+
+/**
+ * Translate a catalogue key.
+ *
+ * @param {string} key
+ * @param {Record<string, unknown>} [values] - ICU arguments
+ * @param {string} [locale] - Defaults to the active locale
+ * @returns {string}
+ *
+ * @example
+ * translate('table.pagination.pageOf', { page: 1, totalPages: 3 }) // 'Page 1 of 3'
+ */
+export const translate = (key, values, locale = activeLocale) => {
+  const resolvedLocale = resolveSupportedLocale(locale) ?? DEFAULT_LOCALE
+  const catalogue = CATALOGUES[resolvedLocale]
+  if (Object.hasOwn(catalogue, key)) return formatMessage(catalogue[key], values, resolvedLocale)
+  if (Object.hasOwn(en, key)) return formatMessage(en[key], values, DEFAULT_LOCALE)
+  return key
+}
+
+/**
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @param {string} [locale] - Defaults to the active locale
+ * @returns {string}
+ */
+export const formatNumber = (value, options, locale = activeLocale) =>
+  new Intl.NumberFormat(locale, options).format(value)
+
+export { formatMessage }
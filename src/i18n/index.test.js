@@ -0,0 +1,64 @@
+import { afterEach, describe, expect, it } from 'vitest'
+import en from './locales/en.js'
+import fr from './locales/fr.js'
+import de from './locales/de.js'
+import { parseMessage } from './messageFormat.js'
+import {
+  getActiveLocale,
+  resolveSupportedLocale,
+  setActiveLocale,
+  SUPPORTED_LOCALES,
+  translate,
+} from './index.js'
+
+const CATALOGUES = { en, fr, de }
+
+const getArgumentNames = (pattern) =>
+  [...pattern.matchAll(/\{\s*([\w]+)\s*[,}]/g)].map(([, name]) => name).sort()
+
+describe('i18n', () => {
+  afterEach(() => {
+    setActiveLocale('en')
+  })
+
+  it('has a catalogue for every supported locale', () => {
+    expect(SUPPORTED_LOCALES.map(({ value }) => value)).toEqual(Object.keys(CATALOGUES))
+  })
+
+  it.each(['fr', 'de'])('keeps the %s catalogue in step with English', (locale) => {
+    const catalogue = CATALOGUES[locale]
+
+    expect(Object.keys(catalogue).filter((key) => !Object.hasOwn(en, key))).toEqual([])
+    expect(Object.keys(en).filter((key) => !Object.hasOwn(catalogue, key))).toEqual([])
+    Object.entries(catalogue).forEach(([key, pattern]) => {
+      expect(() => parseMessage(pattern), key).not.toThrow()
+      expect(new Set(getArgumentNames(pattern)), key).toEqual(new Set(getArgumentNames(en[key])))
+    })
+  })
+
+  it('parses every English pattern', () => {
+    Object.entries(en).forEach(([key, pattern]) => {
+      expect(() => parseMessage(pattern), key).not.toThrow()
+    })
+  })
+
+  it('translates into the active locale with English and key fallbacks', () => {
+    expect(translate('table.pagination.pageOf', { page: 1, totalPages: 3 })).toBe('Page 1 of 3')
+
+    setActiveLocale('de-AT')
+    expect(getActiveLocale()).toBe('de')
+    expect(translate('table.pagination.pageOf', { page: 1, totalPages: 3 })).toBe('Seite 1 von 3')
+    expect(translate('table.pagination.totalRows', { total: 1 }, 'fr')).toBe(' (1 ligne)')
+    expect(translate('missing.key')).toBe('missing.key')
+
+    setActiveLocale('ja')
+    expect(getActiveLocale()).toBe('en')
+  })
+
+  it('maps language tags onto supported locales', () => {
+    expect(resolveSupportedLocale('fr-CA')).toBe('fr')
+    expect(resolveSupportedLocale('DE_ch')).toBe('de')
+    expect(resolveSupportedLocale('pt-BR')).toBeNull()
+    expect(resolveSupportedLocale(undefined)).toBeNull()
+  })
+})
@@ -0,0 +1,136 @@
+/**
+ * German message catalogue.
+ *
+ * Keys mirror `en.js`; anything missing falls back to English.
+ */
+
+export default Object.freeze({
+  // Shared actions
+  'common.cancel': 'Abbrechen',
+  'common.confirm': 'Bestätigen',
+  'common.selectPlaceholder': 'Auswählen…',
+
+  // Colour scheme and language preferences
+  'preferences.appearance': 'Darstellung',
+  'preferences.colorScheme.system': 'System',
+  'preferences.colorScheme.light': 'Hell',
+  'preferences.colorScheme.dark': 'Dunkel',
+  'preferences.language': 'Sprache',
+
+  // Navigation
+  'nav.main': 'Hauptnavigation',
+  'nav.primaryMenu': 'Hauptmenü',
+  'nav.account': 'Konto',
+  'nav.accountMenu': 'Kontomenü',
+  'nav.userAccountMenu': 'Kontomenü von {name}',
+  'nav.admin': 'Verwaltung',
+  'nav.manageUsers': 'Benutzer verwalten',
+  'nav.manageTenants': 'Mandanten verwalten',
+  'nav.systemHealth': 'Systemzustand',
+  'nav.monitoring': 'Überwachung',
+  'nav.auditLogs': 'Audit-Protokolle',
+  'nav.deniedAccess': 'Verweigerte Zugriffe',
+  'nav.help': 'Hilfe',
+  'nav.signOut': 'Abmelden',
+
+  // Dialogs, notifications and footer
+  'dialog.close': 'Dialog schließen',
+  'confirmation.eyebrow': 'Bestätigung',
+  'confirmation.title': 'Aktion bestätigen',
+  'confirmation.message': 'Bestätigen Sie diese Aktion, bevor Sie fortfahren.',
+  'toaster.dismiss': 'Benachrichtigung schließen',
+  'network.offline.title': 'Sie sind offline',
+  'network.offline.description': 'Anfragen können fehlschlagen, bis Ihre Verbindung wiederhergestellt ist.',
+  'network.online.title': 'Wieder online',
+  'network.online.description': 'Verbindung wiederhergestellt.',
+  'footer.versionUnavailable': 'Version nicht verfügbar',
+  'footer.copyright': '© {year} StoryLineOS. Alle Rechte vorbehalten.',
+
+  // Tables
+  'table.empty': 'Keine Daten verfügbar',
+  'table.actions': 'Aktionen',
+  'table.filterPlaceholder': 'Filtern',
+  'table.filterColumn': '{column} filtern',
+  'table.resizeColumn': 'Breite der Spalte {column} ändern',
+  'table.selectAllRows': 'Alle Zeilen auswählen',
+  'table.selectRow': 'Zeile {rowId} auswählen',
+  'table.selection.allOnPage':
+    '{count, plural, one {Die # Zeile auf dieser Seite ist ausgewählt.} other {Alle # Zeilen auf dieser Seite sind ausgewählt.}}',
+  'table.selection.allMatching':
+    '{count, plural, one {Die # passende Zeile ist ausgewählt.} other {Alle # passenden Zeilen sind ausgewählt.}}',
+  'table.selection.allMatchingExcept':
+    '{count, plural, one {# passende Zeile ist ausgewählt} other {# passende Zeilen sind ausgewählt}}, {excluded} ausgeschlossen.',
+  'table.selection.selectAllMatching':
+    '{count, plural, one {# passende Zeile auswählen} other {Alle # passenden Zeilen auswählen}}',
+  'table.selection.clear': 'Auswahl aufheben',
+  'table.columns': 'Spalten',
+  'table.columnSettings': 'Spalteneinstellungen',
+  'table.resetColumns': 'Spalten zurücksetzen',
+  'table.moveColumnEarlier': '{column} nach vorne verschieben',
+  'table.moveColumnLater': '{column} nach hinten verschieben',
+  'table.pagination.label': 'Tabellenseiten',
+  'table.pagination.first': 'Erste',
+  'table.pagination.previous': 'Zurück',
+  'table.pagination.next': 'Weiter',
+  'table.pagination.last': 'Letzte',
+  'table.pagination.page': 'Seite {page}',
+  'table.pagination.pageOf': 'Seite {page} von {totalPages}',
+  'table.pagination.total': ' ({total, number} {itemLabel})',
+  'table.pagination.totalRows': '{total, plural, one { (# Zeile)} other { (# Zeilen)}}',
+
+  // Error normalisation (utils/errors.js), by API error code
+  'errors.AUTH_INVALID_CREDENTIALS': 'E-Mail-Adresse oder Passwort ist ungültig.',
+  'errors.AUTH_TOKEN_EXPIRED': 'Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.',
+  'errors.AUTH_TOKEN_INVALID': 'Ihre Sitzung ist ungültig. Bitte melden Sie sich erneut an.',
+  'errors.AUTH_REFRESH_FAILED': 'Die Sitzung konnte nicht verlängert werden. Bitte melden Sie sich erneut an.',
+  'errors.AUTH_ACCOUNT_DISABLED': 'Ihr Konto wurde deaktiviert. Wenden Sie sich an Ihren Administrator.',
+  'errors.AUTH_CUSTOMER_INACTIVE': 'Ihr Kunde ist inaktiv. Wenden Sie sich an Ihren Super Admin, um den Zugriff wiederherzustellen.',
+  'errors.STEP_UP_REQUIRED': 'Bitte authentifizieren Sie sich erneut, um mit dieser sensiblen Aktion fortzufahren.',
+  'errors.STEP_UP_INVALID': 'Das Step-up-Token ist abgelaufen oder ungültig. Authentifizieren Sie sich erneut und versuchen Sie es noch einmal.',
+  'errors.STEP_UP_UNAVAILABLE': 'Die Step-up-Prüfung ist derzeit nicht verfügbar. Versuchen Sie es in Kürze erneut.',
+  'errors.AUTHZ_FORBIDDEN': 'Sie sind nicht berechtigt, diese Aktion auszuführen.',
+  'errors.AUTHZ_ROLE_REQUIRED': 'Für diese Aktion ist eine höhere Rolle erforderlich.',
+  'errors.AUTHZ_TENANT_DISABLED': 'Dieser Mandant wurde deaktiviert.',
+  'errors.LICENSE_FEATURE_NOT_ENABLED': 'Ihre aktuelle Lizenz umfasst diese Funktion nicht.',
+  'errors.CUSTOMER_CONTEXT_REQUIRED': 'Für diese Aktion ist kein Kundenkontext verfügbar. Laden Sie die Seite neu und versuchen Sie es erneut.',
+  'errors.CUSTOMER_INACTIVE': 'Dieser Kunde ist inaktiv. Reaktivieren Sie den Kunden, um fortzufahren.',
+  'errors.VALIDATION_FAILED': 'Bitte prüfen Sie das Formular auf Fehler.',
+  'errors.VALIDATION_EMAIL_EXISTS': 'Ein Benutzer mit dieser E-Mail-Adresse existiert bereits.',
+  'errors.VALIDATION_REQUIRED_FIELD': 'Dieses Feld ist erforderlich.',
+  'errors.INVITATION_ALREADY_ACTIVE': 'Für diese E-Mail-Adresse besteht bereits eine aktive Einladung.',
+  'errors.INVITATION_NOT_RESENDABLE': 'Diese Einladung kann nicht mehr erneut gesendet werden.',
+  'errors.INVITATION_ALREADY_TERMINAL': 'Diese Einladung kann nicht mehr geändert werden.',
+  'errors.RULES_UPDATE_NOT_ALLOWED': 'Richtlinienregeln können nicht direkt bearbeitet werden. Erstellen Sie stattdessen eine neue Richtlinienversion.',
+  'errors.RATE_LIMIT_EXCEEDED': 'Zu viele Anfragen. Bitte warten Sie einen Moment und versuchen Sie es erneut.',
+  'errors.AUTH_RATE_LIMITED': 'Zu viele Anmeldeversuche. Bitte warten Sie, bevor Sie es erneut versuchen.',
+  'errors.SERVER_ERROR': 'Etwas ist schiefgelaufen. Bitte versuchen Sie es später erneut.',
+  'errors.NETWORK_ERROR': 'Der Server ist nicht erreichbar. Prüfen Sie Ihre Verbindung.',
+  'errors.CLIENT_OFFLINE': 'Sie scheinen offline zu sein. Stellen Sie die Verbindung wieder her und versuchen Sie es erneut.',
+  'errors.SERVICE_UNAVAILABLE': 'Der Dienst ist vorübergehend nicht verfügbar. Versuchen Sie es in Kürze erneut.',
+  'errors.NOT_FOUND': 'Die angeforderte Ressource wurde nicht gefunden.',
+  'errors.TIMEOUT': 'Zeitüberschreitung bei der Anfrage. Bitte versuchen Sie es erneut.',
+  'errors.HTTP_400': 'Die Anfrage ist ungültig. Bitte prüfen Sie Ihre Eingaben.',
+  'errors.HTTP_401': 'Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.',
+  'errors.HTTP_403': 'Sie sind nicht berechtigt, diese Aktion auszuführen.',
+  'errors.HTTP_404': 'Die angeforderte Ressource wurde nicht gefunden.',
+  'errors.HTTP_409': 'Diese Aktion steht im Konflikt mit dem aktuellen Zustand der Ressource.',
+  'errors.HTTP_422': 'Bitte prüfen Sie das Formular auf Fehler.',
+  'errors.HTTP_423': 'Dieser Mandant ist derzeit deaktiviert.',
+  'errors.HTTP_429': 'Zu viele Anfragen. Bitte warten Sie einen Moment und versuchen Sie es erneut.',
+  'errors.HTTP_500': 'Etwas ist schiefgelaufen. Bitte versuchen Sie es später erneut.',
+  'errors.HTTP_502': 'Das Dienst-Gateway hat eine ungültige Antwort geliefert. Bitte versuchen Sie es erneut.',
+  'errors.HTTP_503': 'Der Dienst ist vorübergehend nicht verfügbar. Versuchen Sie es in Kürze erneut.',
+  'errors.HTTP_504': 'Zeitüberschreitung beim Dienst. Bitte versuchen Sie es erneut.',
+
+  // Error normalisation — composed messages
+  'errors.licenseFeature': 'Ihre aktuelle Lizenz umfasst {feature} nicht.',
+  'errors.retryIn': '{message} Versuchen Sie es in {wait} erneut.',
+  'errors.retryAfter.moment': 'einem Moment',
+  'errors.retryAfter.seconds': '{seconds} s',
+  'errors.retryAfter.minutes': '{minutes} min',
+  'errors.retryAfter.minutesSeconds': '{minutes} min {seconds} s',
+  'errors.roleInUse.assigned':
+    'Die Rolle kann nicht gelöscht werden, solange sie {count, plural, one {# Benutzer} other {# Benutzern}} zugewiesen ist.',
+  'errors.roleInUse.generic': 'Die Rolle kann nicht gelöscht werden, solange sie Benutzern zugewiesen ist.',
+  'errors.roleInUse.removeAssignments': '{message} Entfernen Sie die Zuweisungen der Rolle {roleKey} und versuchen Sie es erneut.',
+})
@@ -0,0 +1,138 @@
+/**
+ * English message catalogue — the source catalogue.
+ *
+ * Every key used by the app lives here; `fr.js` and `de.js` translate the
+ * same keys and fall back to this file for anything missing. Patterns use
+ * ICU message syntax (see `i18n/messageFormat.js`).
+ */
+
+export default Object.freeze({
+  // Shared actions
+  'common.cancel': 'Cancel',
+  'common.confirm': 'Confirm',
+  'common.selectPlaceholder': 'Select…',
+
+  // Colour scheme and language preferences
+  'preferences.appearance': 'Appearance',
+  'preferences.colorScheme.system': 'System',
+  'preferences.colorScheme.light': 'Light',
+  'preferences.colorScheme.dark': 'Dark',
+  'preferences.language': 'Language',
+
+  // Navigation
+  'nav.main': 'Main navigation',
+  'nav.primaryMenu': 'Primary menu',
+  'nav.account': 'Account',
+  'nav.accountMenu': 'Account menu',
+  'nav.userAccountMenu': '{name} account menu',
+  'nav.admin': 'Admin',
+  'nav.manageUsers': 'Manage Users',
+  'nav.manageTenants': 'Manage Tenants',
+  'nav.systemHealth': 'System Health',
+  'nav.monitoring': 'Monitoring',
+  'nav.auditLogs': 'Audit Logs',
+  'nav.deniedAccess': 'Denied Access',
+  'nav.help': 'Help',
+  'nav.signOut': 'Sign Out',
+
+  // Dialogs, notifications and footer
+  'dialog.close': 'Close dialog',
+  'confirmation.eyebrow': 'Confirmation',
+  'confirmation.title': 'Confirm action',
+  'confirmation.message': 'Confirm this action before continuing.',
+  'toaster.dismiss': 'Dismiss notification',
+  'network.offline.title': 'You are offline',
+  'network.offline.description': 'Requests may fail until your connection is restored.',
+  'network.online.title': 'Back online',
+  'network.online.description': 'Connection restored.',
+  'footer.versionUnavailable': 'Version unavailable',
+  'footer.copyright': '© {year} StoryLineOS. All rights reserved.',
+
+  // Tables
+  'table.empty': 'No data available',
+  'table.actions': 'Actions',
+  'table.filterPlaceholder': 'Filter',
+  'table.filterColumn': 'Filter {column}',
+  'table.resizeColumn': 'Resize {column} column',
+  'table.selectAllRows': 'Select all rows',
+  'table.selectRow': 'Select row {rowId}',
+  'table.selection.allOnPage':
+    '{count, plural, one {The # row on this page is selected.} other {All # rows on this page are selected.}}',
+  'table.selection.allMatching':
+    '{count, plural, one {The # matching row is selected.} other {All # matching rows are selected.}}',
+  'table.selection.allMatchingExcept':
+    '{count, plural, one {# matching row is selected} other {# matching rows are selected}}, {excluded} excluded.',
+  'table.selection.selectAllMatching':
+    '{count, plural, one {Select # matching row} other {Select all # matching rows}}',
+  'table.selection.clear': 'Clear selection',
+  'table.columns': 'Columns',
+  'table.columnSettings': 'Column settings',
+  'table.resetColumns': 'Reset Columns',
+  'table.moveColumnEarlier': 'Move {column} earlier',
+  'table.moveColumnLater': 'Move {column} later',
+  'table.pagination.label': 'Table pagination',
+  'table.pagination.first': 'First',
+  'table.pagination.previous': 'Previous',
+  'table.pagination.next': 'Next',
+  'table.pagination.last': 'Last',
+  'table.pagination.page': 'Page {page}',
+  'table.pagination.pageOf': 'Page {page} of {totalPages}',
+  'table.pagination.total': ' ({total, number} {itemLabel})',
+  'table.pagination.totalRows': '{total, plural, one { (# row)} other { (# rows)}}',
+
+  // Error normalisation (utils/errors.js), by API error code
+  'errors.AUTH_INVALID_CREDENTIALS': 'Invalid email or password.',
+  'errors.AUTH_TOKEN_EXPIRED': 'Your session has expired. Please sign in again.',
+  'errors.AUTH_TOKEN_INVALID': 'Your session is invalid. Please sign in again.',
+  'errors.AUTH_REFRESH_FAILED': 'Unable to refresh session. Please sign in again.',
+  'errors.AUTH_ACCOUNT_DISABLED': 'Your account has been disabled. Contact your administrator.',
+  'errors.AUTH_CUSTOMER_INACTIVE': 'Your customer is inactive. Contact your Super Admin to restore access.',
+  'errors.STEP_UP_REQUIRED': 'Please re-authenticate to continue with this sensitive action.',
+  'errors.STEP_UP_INVALID': 'Step-up token expired or invalid. Re-authenticate and try again.',
+  'errors.STEP_UP_UNAVAILABLE': 'Step-up verification is unavailable right now. Try again shortly.',
+  'errors.AUTHZ_FORBIDDEN': 'You do not have permission to perform this action.',
+  'errors.AUTHZ_ROLE_REQUIRED': 'This action requires a higher role.',
+  'errors.AUTHZ_TENANT_DISABLED': 'This tenant has been disabled.',
+  'errors.LICENSE_FEATURE_NOT_ENABLED': 'Your current licence does not include this feature.',
+  'errors.CUSTOMER_CONTEXT_REQUIRED': 'No customer context is available for this action. Refresh and try again.',
+  'errors.CUSTOMER_INACTIVE': 'This customer is inactive. Reactivate the customer to continue.',
+  'errors.VALIDATION_FAILED': 'Please check the form for errors.',
+  'errors.VALIDATION_EMAIL_EXISTS': 'A user with this email already exists.',
+  'errors.VALIDATION_REQUIRED_FIELD': 'This field is required.',
+  'errors.INVITATION_ALREADY_ACTIVE': 'An active invitation already exists for this email address.',
+  'errors.INVITATION_NOT_RESENDABLE': 'This invitation can no longer be resent.',
+  'errors.INVITATION_ALREADY_TERMINAL': 'This invitation can no longer be changed.',
+  'errors.RULES_UPDATE_NOT_ALLOWED': 'Policy rules cannot be edited in place. Create a new policy version instead.',
+  'errors.RATE_LIMIT_EXCEEDED': 'Too many requests. Please wait a moment and try again.',
+  'errors.AUTH_RATE_LIMITED': 'Too many authentication attempts. Please wait before trying again.',
+  'errors.SERVER_ERROR': 'Something went wrong. Please try again later.',
+  'errors.NETWORK_ERROR': 'Unable to reach the server. Check your connection.',
+  'errors.CLIENT_OFFLINE': 'You appear to be offline. Reconnect and try again.',
+  'errors.SERVICE_UNAVAILABLE': 'The service is temporarily unavailable. Please try again shortly.',
+  'errors.NOT_FOUND': 'The requested resource was not found.',
+  'errors.TIMEOUT': 'The request timed out. Please try again.',
+  'errors.HTTP_400': 'The request is invalid. Please check your input.',
+  'errors.HTTP_401': 'Your session has expired. Please sign in again.',
+  'errors.HTTP_403': 'You do not have permission to perform this action.',
+  'errors.HTTP_404': 'The requested resource was not found.',
+  'errors.HTTP_409': 'This action conflicts with the current state of the resource.',
+  'errors.HTTP_422': 'Please check the form for errors.',
+  'errors.HTTP_423': 'This tenant is currently disabled.',
+  'errors.HTTP_429': 'Too many requests. Please wait a moment and try again.',
+  'errors.HTTP_500': 'Something went wrong. Please try again later.',
+  'errors.HTTP_502': 'The service gateway returned an invalid response. Please try again.',
+  'errors.HTTP_503': 'The service is temporarily unavailable. Please try again shortly.',
+  'errors.HTTP_504': 'The service timed out. Please try again.',
+
+  // Error normalisation — composed messages
+  'errors.licenseFeature': 'Your current licence does not include {feature}.',
+  'errors.retryIn': '{message} Try again in {wait}.',
+  'errors.retryAfter.moment': 'a moment',
+  'errors.retryAfter.seconds': '{seconds}s',
+  'errors.retryAfter.minutes': '{minutes}m',
+  'errors.retryAfter.minutesSeconds': '{minutes}m {seconds}s',
+  'errors.roleInUse.assigned':
+    'Role cannot be deleted while assigned to {count, plural, one {# user} other {# users}}.',
+  'errors.roleInUse.generic': 'Role cannot be deleted while assigned to users.',
+  'errors.roleInUse.removeAssignments': '{message} Remove role {roleKey} assignments and retry.',
+})
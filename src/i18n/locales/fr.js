@@ -0,0 +1,137 @@
+/**
+ * French message catalogue.
+ *
+ * Keys mirror `en.js`; anything missing falls back to English. Uses the
+ * typographic apostrophe (’) so patterns never trip ICU quoting.
+ */
+
+export default Object.freeze({
+  // Shared actions
+  'common.cancel': 'Annuler',
+  'common.confirm': 'Confirmer',
+  'common.selectPlaceholder': 'Sélectionner…',
+
+  // Colour scheme and language preferences
+  'preferences.appearance': 'Apparence',
+  'preferences.colorScheme.system': 'Système',
+  'preferences.colorScheme.light': 'Clair',
+  'preferences.colorScheme.dark': 'Sombre',
+  'preferences.language': 'Langue',
+
+  // Navigation
+  'nav.main': 'Navigation principale',
+  'nav.primaryMenu': 'Menu principal',
+  'nav.account': 'Compte',
+  'nav.accountMenu': 'Menu du compte',
+  'nav.userAccountMenu': 'Menu du compte de {name}',
+  'nav.admin': 'Administration',
+  'nav.manageUsers': 'Gérer les utilisateurs',
+  'nav.manageTenants': 'Gérer les locataires',
+  'nav.systemHealth': 'État du système',
+  'nav.monitoring': 'Supervision',
+  'nav.auditLogs': 'Journaux d’audit',
+  'nav.deniedAccess': 'Accès refusés',
+  'nav.help': 'Aide',
+  'nav.signOut': 'Se déconnecter',
+
+  // Dialogs, notifications and footer
+  'dialog.close': 'Fermer la boîte de dialogue',
+  'confirmation.eyebrow': 'Confirmation',
+  'confirmation.title': 'Confirmer l’action',
+  'confirmation.message': 'Confirmez cette action avant de continuer.',
+  'toaster.dismiss': 'Fermer la notification',
+  'network.offline.title': 'Vous êtes hors ligne',
+  'network.offline.description': 'Les requêtes peuvent échouer jusqu’au rétablissement de votre connexion.',
+  'network.online.title': 'De nouveau en ligne',
+  'network.online.description': 'Connexion rétablie.',
+  'footer.versionUnavailable': 'Version indisponible',
+  'footer.copyright': '© {year} StoryLineOS. Tous droits réservés.',
+
+  // Tables
+  'table.empty': 'Aucune donnée disponible',
+  'table.actions': 'Actions',
+  'table.filterPlaceholder': 'Filtrer',
+  'table.filterColumn': 'Filtrer {column}',
+  'table.resizeColumn': 'Redimensionner la colonne {column}',
+  'table.selectAllRows': 'Sélectionner toutes les lignes',
+  'table.selectRow': 'Sélectionner la ligne {rowId}',
+  'table.selection.allOnPage':
+    '{count, plural, one {La ligne de cette page est sélectionnée.} other {Les # lignes de cette page sont sélectionnées.}}',
+  'table.selection.allMatching':
+    '{count, plural, one {La ligne correspondante est sélectionnée.} other {Les # lignes correspondantes sont sélectionnées.}}',
+  'table.selection.allMatchingExcept':
+    '{count, plural, one {# ligne correspondante est sélectionnée} other {# lignes correspondantes sont sélectionnées}}, {excluded, plural, one {# exclue} other {# exclues}}.',
+  'table.selection.selectAllMatching':
+    '{count, plural, one {Sélectionner la ligne correspondante} other {Sélectionner les # lignes correspondantes}}',
+  'table.selection.clear': 'Effacer la sélection',
+  'table.columns': 'Colonnes',
+  'table.columnSettings': 'Paramètres des colonnes',
+  'table.resetColumns': 'Réinitialiser les colonnes',
+  'table.moveColumnEarlier': 'Déplacer {column} vers la gauche',
+  'table.moveColumnLater': 'Déplacer {column} vers la droite',
+  'table.pagination.label': 'Pagination du tableau',
+  'table.pagination.first': 'Première',
+  'table.pagination.previous': 'Précédente',
+  'table.pagination.next': 'Suivante',
+  'table.pagination.last': 'Dernière',
+  'table.pagination.page': 'Page {page}',
+  'table.pagination.pageOf': 'Page {page} sur {totalPages}',
+  'table.pagination.total': ' ({total, number} {itemLabel})',
+  'table.pagination.totalRows': '{total, plural, one { (# ligne)} other { (# lignes)}}',
+
+  // Error normalisation (utils/errors.js), by API error code
+  'errors.AUTH_INVALID_CREDENTIALS': 'Adresse e-mail ou mot de passe incorrect.',
+  'errors.AUTH_TOKEN_EXPIRED': 'Votre session a expiré. Veuillez vous reconnecter.',
+  'errors.AUTH_TOKEN_INVALID': 'Votre session n’est pas valide. Veuillez vous reconnecter.',
+  'errors.AUTH_REFRESH_FAILED': 'Impossible de prolonger la session. Veuillez vous reconnecter.',
+  'errors.AUTH_ACCOUNT_DISABLED': 'Votre compte a été désactivé. Contactez votre administrateur.',
+  'errors.AUTH_CUSTOMER_INACTIVE': 'Votre client est inactif. Contactez votre Super Admin pour rétablir l’accès.',
+  'errors.STEP_UP_REQUIRED': 'Veuillez vous authentifier à nouveau pour poursuivre cette action sensible.',
+  'errors.STEP_UP_INVALID': 'Le jeton de réauthentification a expiré ou n’est pas valide. Authentifiez-vous à nouveau et réessayez.',
+  'errors.STEP_UP_UNAVAILABLE': 'La vérification renforcée est indisponible pour le moment. Réessayez dans un instant.',
+  'errors.AUTHZ_FORBIDDEN': 'Vous n’avez pas l’autorisation d’effectuer cette action.',
+  'errors.AUTHZ_ROLE_REQUIRED': 'Cette action nécessite un rôle plus élevé.',
+  'errors.AUTHZ_TENANT_DISABLED': 'Ce locataire a été désactivé.',
+  'errors.LICENSE_FEATURE_NOT_ENABLED': 'Votre licence actuelle n’inclut pas cette fonctionnalité.',
+  'errors.CUSTOMER_CONTEXT_REQUIRED': 'Aucun contexte client n’est disponible pour cette action. Actualisez la page et réessayez.',
+  'errors.CUSTOMER_INACTIVE': 'Ce client est inactif. Réactivez le client pour continuer.',
+  'errors.VALIDATION_FAILED': 'Veuillez corriger les erreurs du formulaire.',
+  'errors.VALIDATION_EMAIL_EXISTS': 'Un utilisateur avec cette adresse e-mail existe déjà.',
+  'errors.VALIDATION_REQUIRED_FIELD': 'Ce champ est obligatoire.',
+  'errors.INVITATION_ALREADY_ACTIVE': 'Une invitation active existe déjà pour cette adresse e-mail.',
+  'errors.INVITATION_NOT_RESENDABLE': 'Cette invitation ne peut plus être renvoyée.',
+  'errors.INVITATION_ALREADY_TERMINAL': 'Cette invitation ne peut plus être modifiée.',
+  'errors.RULES_UPDATE_NOT_ALLOWED': 'Les règles d’une politique ne peuvent pas être modifiées directement. Créez plutôt une nouvelle version de la politique.',
+  'errors.RATE_LIMIT_EXCEEDED': 'Trop de requêtes. Patientez un instant puis réessayez.',
+  'errors.AUTH_RATE_LIMITED': 'Trop de tentatives d’authentification. Patientez avant de réessayer.',
+  'errors.SERVER_ERROR': 'Une erreur s’est produite. Veuillez réessayer plus tard.',
+  'errors.NETWORK_ERROR': 'Impossible de joindre le serveur. Vérifiez votre connexion.',
+  'errors.CLIENT_OFFLINE': 'Vous semblez être hors ligne. Reconnectez-vous et réessayez.',
+  'errors.SERVICE_UNAVAILABLE': 'Le service est temporairement indisponible. Réessayez dans un instant.',
+  'errors.NOT_FOUND': 'La ressource demandée est introuvable.',
+  'errors.TIMEOUT': 'La requête a expiré. Veuillez réessayer.',
+  'errors.HTTP_400': 'La requête n’est pas valide. Vérifiez votre saisie.',
+  'errors.HTTP_401': 'Votre session a expiré. Veuillez vous reconnecter.',
+  'errors.HTTP_403': 'Vous n’avez pas l’autorisation d’effectuer cette action.',
+  'errors.HTTP_404': 'La ressource demandée est introuvable.',
+  'errors.HTTP_409': 'Cette action est en conflit avec l’état actuel de la ressource.',
+  'errors.HTTP_422': 'Veuillez corriger les erreurs du formulaire.',
+  'errors.HTTP_423': 'Ce locataire est actuellement désactivé.',
+  'errors.HTTP_429': 'Trop de requêtes. Patientez un instant puis réessayez.',
+  'errors.HTTP_500': 'Une erreur s’est produite. Veuillez réessayer plus tard.',
+  'errors.HTTP_502': 'La passerelle du service a renvoyé une réponse non valide. Veuillez réessayer.',
+  'errors.HTTP_503': 'Le service est temporairement indisponible. Réessayez dans un instant.',
+  'errors.HTTP_504': 'Le service n’a pas répondu à temps. Veuillez réessayer.',
+
+  // Error normalisation — composed messages
+  'errors.licenseFeature': 'Votre licence actuelle n’inclut pas {feature}.',
+  'errors.retryIn': '{message} Réessayez dans {wait}.',
+  'errors.retryAfter.moment': 'un instant',
+  'errors.retryAfter.seconds': '{seconds} s',
+  'errors.retryAfter.minutes': '{minutes} min',
+  'errors.retryAfter.minutesSeconds': '{minutes} min {seconds} s',
+  'errors.roleInUse.assigned':
+    'Impossible de supprimer ce rôle tant qu’il est attribué à {count, plural, one {# utilisateur} other {# utilisateurs}}.',
+  'errors.roleInUse.generic': 'Impossible de supprimer ce rôle tant qu’il est attribué à des utilisateurs.',
+  'errors.roleInUse.removeAssignments': '{message} Retirez les attributions du rôle {roleKey} puis réessayez.',
+})
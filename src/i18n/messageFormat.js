@@ -0,0 +1,206 @@
+/**
+ * ICU Message Format (subset)
+ *
+ * Formats catalogue patterns such as
+ * `{count, plural, =0 {No rows} one {# row} other {# rows}}`.
+ *
+ * Supported:
+ * - `{name}` — the value as a string
+ * - `{name, number}` / `{name, number, integer|percent}` — Intl.NumberFormat
+ * - `{name, plural, …}` / `{name, selectordinal, …}` — `=N` exact matches,
+ *   then the locale's Intl.PluralRules category, then `other`; `#` is the
+ *   locale-formatted number
+ * - `{name, select, …}` — the matching key, then `other`
+ * - Apostrophe quoting: `''` is one apostrophe, and `'{…}'` is literal
+ *   text; any other apostrophe is kept as is, so `l'utilisateur` needs no
+ *   escaping
+ *
+ * Patterns are parsed once and cached. A malformed pattern throws a
+ * `SyntaxError` naming the offset, so broken catalogue entries fail in
+ * tests rather than in front of users.
+ */
+
+const SPECIAL_CHARACTERS = new Set(['{', '}', '#', '|'])
+const parsedPatterns = new Map()
+const pluralRulesCache = new Map()
+const numberFormatCache = new Map()
+
+const fail = (pattern, index, reason) => {
+  throw new SyntaxError(`Invalid message pattern at ${index}: ${reason} in "${pattern}"`)
+}
+
+const skipWhitespace = (pattern, index) => {
+  let cursor = index
+  while (cursor < pattern.length && /\s/.test(pattern[cursor])) cursor += 1
+  return cursor
+}
+
+const readToken = (pattern, index) => {
+  let cursor = skipWhitespace(pattern, index)
+  const start = cursor
+  while (cursor < pattern.length && !/[\s,{}]/.test(pattern[cursor])) cursor += 1
+  return { token: pattern.slice(start, cursor), end: skipWhitespace(pattern, cursor) }
+}
+
+/**
+ * @returns {{ nodes: Array, end: number }} nodes up to the closing `}` of
+ *   the enclosing sub-message (or the end of the pattern at top level)
+ */
+const parseNodes = (pattern, start, inPlural, isNested) => {
+  const nodes = []
+  let text = ''
+  let index = start
+
+  const flushText = () => {
+    if (text) nodes.push(text)
+    text = ''
+  }
+
+  while (index < pattern.length) {
+    const char = pattern[index]
+
+    if (char === "'") {
+      const next = pattern[index + 1]
+      if (next === "'") {
+        text += "'"
+        index += 2
+        continue
+      }
+      if (SPECIAL_CHARACTERS.has(next)) {
+        const close = pattern.indexOf("'", index + 1)
+        const end = close === -1 ? pattern.length : close
+        text += pattern.slice(index + 1, end).replace(/''/g, "'")
+        index = end + 1
+        continue
+      }
+      text += char
+      index += 1
+      continue
+    }
+
+    if (char === '{') {
+      flushText()
+      const { node, end } = parseArgument(pattern, index + 1, inPlural)
+      nodes.push(node)
+      index = end
+      continue
+    }
+
+    if (char === '}') {
+      if (!isNested) fail(pattern, index, 'unexpected "}"')
+      flushText()
+      return { nodes, end: index + 1 }
+    }
+
+    if (char === '#' && inPlural) {
+      flushText()
+      nodes.push({ type: 'pound' })
+      index += 1
+      continue
+    }
+
+    text += char
+    index += 1
+  }
+
+  if (isNested) fail(pattern, index, 'missing "}"')
+  flushText()
+  return { nodes, end: index }
+}
+
+const parseArgument = (pattern, start, inPlural) => {
+  const { token: name, end: afterName } = readToken(pattern, start)
+  if (!name) fail(pattern, start, 'missing argument name')
+
+  if (pattern[afterName] === '}') return { node: { type: 'argument', name }, end: afterName + 1 }
+  if (pattern[afterName] !== ',') fail(pattern, afterName, `expected "," or "}" after "${name}"`)
+
+  const { token: format, end: afterFormat } = readToken(pattern, afterName + 1)
+
+  if (format === 'number') {
+    if (pattern[afterFormat] === '}') return { node: { type: 'number', name, style: '' }, end: afterFormat + 1 }
+    if (pattern[afterFormat] !== ',') fail(pattern, afterFormat, 'expected a number style')
+    const { token: style, end: afterStyle } = readToken(pattern, afterFormat + 1)
+    if (pattern[afterStyle] !== '}') fail(pattern, afterStyle, 'expected "}"')
+    return { node: { type: 'number', name, style }, end: afterStyle + 1 }
+  }
+
+  if (format !== 'plural' && format !== 'selectordinal' && format !== 'select') {
+    fail(pattern, afterName + 1, `unsupported format "${format}"`)
+  }
+  if (pattern[afterFormat] !== ',') fail(pattern, afterFormat, `expected options for ${format}`)
+
+  const options = {}
+  let index = afterFormat + 1
+  for (;;) {
+    index = skipWhitespace(pattern, index)
+    if (pattern[index] === '}') break
+    const { token: selector, end: afterSelector } = readToken(pattern, index)
+    if (!selector || pattern[afterSelector] !== '{') fail(pattern, index, 'expected "selector {message}"')
+    const { nodes, end } = parseNodes(pattern, afterSelector + 1, format === 'select' ? inPlural : true, true)
+    options[selector] = nodes
+    index = end
+  }
+
+  if (!options.other) fail(pattern, index, `${format} needs an "other" option`)
+  return { node: { type: format, name, options }, end: index + 1 }
+}
+
+/**
+ * @param {string} pattern
+ * @returns {Array} parsed nodes (cached)
+ */
+export const parseMessage = (pattern) => {
+  const source = String(pattern ?? '')
+  if (!parsedPatterns.has(source)) {
+    parsedPatterns.set(source, parseNodes(source, 0, false, false).nodes)
+  }
+  return parsedPatterns.get(source)
+}
+
+const getPluralRules = (locale, type) => {
+  const key = `${locale}|${type}`
+  if (!pluralRulesCache.has(key)) pluralRulesCache.set(key, new Intl.PluralRules(locale, { type }))
+  return pluralRulesCache.get(key)
+}
+
+const NUMBER_STYLES = {
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: 'percent' },
+}
+
+const formatNumberValue = (value, locale, style = '') => {
+  const key = `${locale}|${style}`
+  if (!numberFormatCache.has(key)) {
+    numberFormatCache.set(key, new Intl.NumberFormat(locale, NUMBER_STYLES[style] ?? {}))
+  }
+  return numberFormatCache.get(key).format(value)
+}
+
+const formatNodes = (nodes, values, locale, pluralValue) => nodes.map((node) => {
+  if (typeof node === 'string') return node
+  if (node.type === 'pound') return formatNumberValue(pluralValue, locale)
+
+  const value = values?.[node.name]
+  if (node.type === 'argument') return value === undefined || value === null ? `{${node.name}}` : String(value)
+  if (node.type === 'number') return formatNumberValue(Number(value), locale, node.style)
+
+  if (node.type === 'select') {
+    const branch = node.options[String(value)] ?? node.options.other
+    return formatNodes(branch, values, locale, pluralValue)
+  }
+
+  const count = Number(value)
+  const category = getPluralRules(locale, node.type === 'selectordinal' ? 'ordinal' : 'cardinal').select(count)
+  const branch = node.options[`=${count}`] ?? node.options[category] ?? node.options.other
+  return formatNodes(branch, values, locale, count)
+}).join('')
+
+/**
+ * @param {string} pattern - ICU message pattern
+ * @param {Record<string, unknown>} [values]
+ * @param {string} [locale='en'] - BCP 47 tag for plural rules and numbers
+ * @returns {string}
+ */
+export const formatMessage = (pattern, values = {}, locale = 'en') =>
+  formatNodes(parseMessage(pattern), values, locale, 0)
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest'
+import { formatMessage, parseMessage } from './messageFormat.js'
+
+describe('formatMessage', () => {
+  it('substitutes arguments and leaves missing ones visible', () => {
+    expect(formatMessage('Filter {column}', { column: 'Email' })).toBe('Filter Email')
+    expect(formatMessage('Hello {name}')).toBe('Hello {name}')
+  })
+
+  it('picks exact, plural-category and other branches per locale', () => {
+    const pattern = '{count, plural, =0 {No rows} one {# row} other {# rows}}'
+
+    expect(formatMessage(pattern, { count: 0 })).toBe('No rows')
+    expect(formatMessage(pattern, { count: 1 })).toBe('1 row')
+    expect(formatMessage(pattern, { count: 1200 })).toBe('1,200 rows')
+    expect(formatMessage('{count, plural, one {# ligne} other {# lignes}}', { count: 1.5 }, 'fr')).toBe('1,5 ligne')
+    expect(formatMessage('{count, plural, one {# Zeile} other {# Zeilen}}', { count: 1200 }, 'de')).toBe('1.200 Zeilen')
+  })
+
+  it('supports select, selectordinal and number formats', () => {
+    expect(formatMessage('{scheme, select, light {Light} other {Dark}}', { scheme: 'light' })).toBe('Light')
+    expect(formatMessage('{scheme, select, light {Light} other {Dark}}', { scheme: 'dim' })).toBe('Dark')
+    expect(formatMessage('{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}', { n: 22 })).toBe('22nd')
+    expect(formatMessage('{ratio, number, percent}', { ratio: 0.25 })).toBe('25%')
+  })
+
+  it('treats quoted braces as text and keeps plain apostrophes', () => {
+    expect(formatMessage("Use '{name}' as a placeholder")).toBe('Use {name} as a placeholder')
+    expect(formatMessage("It''s here")).toBe("It's here")
+    expect(formatMessage("l'utilisateur {name}", { name: 'Ada' })).toBe("l'utilisateur Ada")
+  })
+
+  it('rejects malformed patterns', () => {
+    expect(() => parseMessage('Page {page')).toThrow(SyntaxError)
+    expect(() => parseMessage('{count, plural, one {# row}}')).toThrow(/other/)
+    expect(() => parseMessage('{date, date, short}')).toThrow(/unsupported format/)
+  })
+})
@@ -6,6 +6,8 @@ import './styles/index.css'
 import App from './App.jsx'
 import { ToasterProvider } from './components/Toaster'
 import { AppInit } from './components/AppInit'
+import { ThemeProvider } from './components/ThemeProvider'
+import { I18nProvider } from './components/I18nProvider'
 import { registerDynamicImportRecovery } from './utils/dynamicImportRecovery.js'
 
 registerDynamicImportRecovery()
@@ -13,11 +15,15 @@ registerDynamicImportRecovery()
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <Provider store={store}>
-      <ToasterProvider>
-        <AppInit>
-          <App />
-        </AppInit>
-      </ToasterProvider>
+      <I18nProvider>
+        <ToasterProvider>
+          <ThemeProvider>
+            <AppInit>
+              <App />
+            </AppInit>
+          </ThemeProvider>
+        </ToasterProvider>
+      </I18nProvider>
     </Provider>
   </StrictMode>,
 )
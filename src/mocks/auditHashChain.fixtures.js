@@ -0,0 +1,82 @@
+/**
+ * Fixed audit hash chain vectors for sealing contract version 1.
+ *
+ * The hashes were computed outside this codebase (Python `hashlib` and
+ * `json.dumps(sort_keys=True, separators=(',', ':'))` over the sealed
+ * fields), so tests check the browser verifier against the contract
+ * rather than against itself. `_id` is a display field the contract does
+ * not seal.
+ */
+
+export const AUDIT_CHAIN_V1_DESCRIPTOR = Object.freeze({
+  version: 1,
+  algorithm: 'SHA-256',
+  fields: Object.freeze([
+    'sequence',
+    'previousHash',
+    'id',
+    'ts',
+    'action',
+    'actorUserId',
+    'resourceType',
+    'resourceId',
+    'customerId',
+    'tenantId',
+    'diff',
+    'requestId',
+    'isSystemEvent',
+  ]),
+})
+
+export const AUDIT_CHAIN_V1_GENESIS_HASH = '0'.repeat(64)
+
+export const AUDIT_CHAIN_V1_ENTRIES = Object.freeze([
+  Object.freeze({
+    id: 'audit-1',
+    _id: 'audit-1',
+    ts: '2026-04-01T10:00:00.000Z',
+    action: 'TENANT_UPDATED',
+    actorUserId: { id: 'user-super-admin', name: 'Sam Super Admin' },
+    resourceType: 'Tenant',
+    resourceId: 'tenant-acme-emea',
+    customerId: 'customer-acme',
+    tenantId: 'tenant-acme-emea',
+    diff: { before: { status: 'ACTIVE' }, after: { status: 'DISABLED' } },
+    requestId: 'req-1',
+    isSystemEvent: false,
+    sequence: 1,
+    previousHash: AUDIT_CHAIN_V1_GENESIS_HASH,
+    hash: 'd960c04af6c0dcf826ff6536a25851c975dc489c60e944aad62bcd5b85324b8e',
+  }),
+  Object.freeze({
+    id: 'audit-2',
+    _id: 'audit-2',
+    ts: '2026-04-02T10:00:00.000Z',
+    action: 'TENANT_UPDATED',
+    actorUserId: { id: 'user-customer-admin', name: 'Avery Admin' },
+    resourceType: 'Tenant',
+    resourceId: 'tenant-acme-apac',
+    customerId: 'customer-acme',
+    tenantId: 'tenant-acme-apac',
+    requestId: 'req-2',
+    isSystemEvent: false,
+    sequence: 2,
+    previousHash: 'd960c04af6c0dcf826ff6536a25851c975dc489c60e944aad62bcd5b85324b8e',
+    hash: 'beb82abaf0e2d9cb799706943fbb12ca083b4827768bb09a60f96de23f617e18',
+  }),
+  Object.freeze({
+    id: 'audit-3',
+    _id: 'audit-3',
+    ts: '2026-04-03T10:00:00.000Z',
+    action: 'CUSTOMER_UPDATED',
+    actorUserId: { id: 'user-super-admin', name: 'Sam Super Admin' },
+    resourceType: 'Customer',
+    resourceId: 'customer-acme',
+    customerId: 'customer-acme',
+    requestId: 'req-3',
+    isSystemEvent: true,
+    sequence: 3,
+    previousHash: 'beb82abaf0e2d9cb799706943fbb12ca083b4827768bb09a60f96de23f617e18',
+    hash: '841727c8a3718f6ce7148a7174bf5092092d64535226da4963f1f80da542f17c',
+  }),
+])
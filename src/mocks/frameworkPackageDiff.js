@@ -0,0 +1,162 @@
+/**
+ * Mock Framework Package Diff
+ *
+ * What the mock backend answers for `GET /framework-packages/:id/diff/:version`.
+ * Compares two framework package versions by what they govern rather than
+ * by JSON lines: sections (by section key), the runtime paths those
+ * sections bind, validation keys, workflow policy keys, and the remaining
+ * package settings (nested settings flattened to dotted fields).
+ */
+
+export const FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES = Object.freeze({
+  ADDED: 'ADDED',
+  REMOVED: 'REMOVED',
+  CHANGED: 'CHANGED',
+})
+
+export const FRAMEWORK_PACKAGE_DIFF_GROUPS = Object.freeze([
+  Object.freeze({ key: 'sections', label: 'Sections' }),
+  Object.freeze({ key: 'runtimePaths', label: 'Runtime Paths' }),
+  Object.freeze({ key: 'validationKeys', label: 'Validation Keys' }),
+  Object.freeze({ key: 'workflowPolicyKeys', label: 'Workflow Policy Keys' }),
+  Object.freeze({ key: 'settings', label: 'Package Settings' }),
+])
+
+// Diffed in their own groups, or bookkeeping that changes on every save
+const NON_SETTING_FIELDS = new Set([
+  'id',
+  'sections',
+  'validationBindings',
+  'workflowBindings',
+  'createdAt',
+  'createdBy',
+  'updatedAt',
+  'updatedBy',
+  'lastCheckpointAt',
+  'lastCheckpointResult',
+])
+
+const normalizeKey = (value) => String(value ?? '').trim()
+const normalizeLowerKey = (value) => normalizeKey(value).toLowerCase()
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+const isSameValue = (before, after) => stableStringify(before) === stableStringify(after)
+
+// Nested plain objects become dotted fields; arrays compare as a whole
+const flattenFields = (value, prefix = '', fields = {}) => {
+  Object.entries(value ?? {}).forEach(([key, fieldValue]) => {
+    const field = prefix ? `${prefix}.${key}` : key
+    if (isPlainObject(fieldValue)) flattenFields(fieldValue, field, fields)
+    else fields[field] = fieldValue
+  })
+  return fields
+}
+
+const diffFields = (before = {}, after = {}) => {
+  const beforeFields = flattenFields(before)
+  const afterFields = flattenFields(after)
+  return [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])]
+    .sort()
+    .filter((field) => !isSameValue(beforeFields[field], afterFields[field]))
+    .map((field) => ({ field, before: beforeFields[field], after: afterFields[field] }))
+}
+
+const indexBy = (rows, getKey) => {
+  const index = new Map()
+  ;(Array.isArray(rows) ? rows : []).forEach((row) => {
+    const key = getKey(row)
+    if (key && !index.has(key)) index.set(key, row)
+  })
+  return index
+}
+
+const diffIndexed = (beforeIndex, afterIndex) => {
+  const keys = [...new Set([...beforeIndex.keys(), ...afterIndex.keys()])].sort()
+  return keys.flatMap((key) => {
+    if (!beforeIndex.has(key)) {
+      return [{ key, change: FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.ADDED, fields: [] }]
+    }
+    if (!afterIndex.has(key)) {
+      return [{ key, change: FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.REMOVED, fields: [] }]
+    }
+    const fields = diffFields(beforeIndex.get(key), afterIndex.get(key))
+    return fields.length > 0 ? [{ key, change: FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.CHANGED, fields }] : []
+  })
+}
+
+const indexSections = (pkg) => indexBy(pkg?.sections, (section) => normalizeKey(section?.sectionKey))
+
+const indexRuntimePaths = (pkg) => {
+  const index = new Map()
+  ;(Array.isArray(pkg?.sections) ? pkg.sections : []).forEach((section) => {
+    const runtimePath = normalizeKey(section?.runtimePath)
+    if (!runtimePath) return
+    const sectionKeys = index.get(runtimePath)?.sectionKeys ?? []
+    index.set(runtimePath, { sectionKeys: [...sectionKeys, normalizeKey(section.sectionKey)].sort() })
+  })
+  return index
+}
+
+// Keys bound directly or referenced by a section; the binding (if any) is diffed
+const indexValidationKeys = (pkg) => {
+  const index = indexBy(pkg?.validationBindings, (binding) => normalizeLowerKey(binding?.validationKey))
+  ;(Array.isArray(pkg?.sections) ? pkg.sections : []).forEach((section) => {
+    ;(Array.isArray(section?.validationKeys) ? section.validationKeys : []).forEach((validationKey) => {
+      const key = normalizeLowerKey(validationKey)
+      if (key && !index.has(key)) index.set(key, {})
+    })
+  })
+  return index
+}
+
+const indexWorkflowPolicyKeys = (pkg) =>
+  indexBy(pkg?.workflowBindings, (binding) => normalizeLowerKey(binding?.policyKey))
+
+const pickSettings = (pkg) => Object.fromEntries(
+  Object.entries(pkg ?? {}).filter(([field]) => !NON_SETTING_FIELDS.has(field)),
+)
+
+/**
+ * @typedef {Object} FrameworkPackageDiffEntry
+ * @property {string} key - section key, runtime path, validation key, policy key or setting field
+ * @property {string} change - one of FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES
+ * @property {Array<{ field: string, before: *, after: * }>} fields - what changed (CHANGED only)
+ */
+
+/**
+ * @param {Object|null} before - older package payload
+ * @param {Object|null} after - newer package payload
+ * @returns {{ groups: Array<{ key: string, label: string, entries: FrameworkPackageDiffEntry[] }>, totalChanges: number }}
+ */
+export const buildFrameworkPackageDiff = (before, after) => {
+  const entriesByGroup = {
+    sections: diffIndexed(indexSections(before), indexSections(after)),
+    runtimePaths: diffIndexed(indexRuntimePaths(before), indexRuntimePaths(after)),
+    validationKeys: diffIndexed(indexValidationKeys(before), indexValidationKeys(after)),
+    workflowPolicyKeys: diffIndexed(indexWorkflowPolicyKeys(before), indexWorkflowPolicyKeys(after)),
+    settings: diffFields(pickSettings(before), pickSettings(after)).map((field) => ({
+      key: field.field,
+      change: field.before === undefined
+        ? FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.ADDED
+        : field.after === undefined
+          ? FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.REMOVED
+          : FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.CHANGED,
+      fields: [field],
+    })),
+  }
+
+  const groups = FRAMEWORK_PACKAGE_DIFF_GROUPS.map((group) => ({ ...group, entries: entriesByGroup[group.key] }))
+  return {
+    groups,
+    totalChanges: groups.reduce((total, group) => total + group.entries.length, 0),
+  }
+}
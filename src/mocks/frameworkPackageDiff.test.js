@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest'
+import {
+  FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES,
+  buildFrameworkPackageDiff,
+} from './frameworkPackageDiff.js'
+
+const basePackage = {
+  id: 'pkg-1',
+  frameworkKey: 'VMF',
+  version: '1.0.0',
+  description: 'Baseline.',
+  runtimeSettings: { allowManualValidationRun: true, maxRetries: 2 },
+  updatedAt: '2026-05-01T12:00:00.000Z',
+  sections: [
+    {
+      sectionKey: 'customer_problem',
+      runtimePath: 'framework_state.sections.customer_problem',
+      required: true,
+      validationKeys: ['required-sections-check'],
+    },
+    {
+      sectionKey: 'value_drivers',
+      runtimePath: 'framework_state.sections.value_drivers',
+      required: false,
+    },
+  ],
+  validationBindings: [{ validationKey: 'required-sections-check', trigger: 'ON_SUBMIT' }],
+  workflowBindings: [{ policyKey: 'vmf-submit-gate', priority: 100 }],
+}
+
+const getGroup = (diff, key) => diff.groups.find((group) => group.key === key)
+
+describe('frameworkPackageDiff', () => {
+  it('reports no changes for identical packages, ignoring bookkeeping fields', () => {
+    const diff = buildFrameworkPackageDiff(basePackage, { ...basePackage, id: 'pkg-2', updatedAt: '2026-05-02T12:00:00.000Z' })
+
+    expect(diff.totalChanges).toBe(0)
+    expect(diff.groups.map((group) => group.key)).toEqual([
+      'sections',
+      'runtimePaths',
+      'validationKeys',
+      'workflowPolicyKeys',
+      'settings',
+    ])
+  })
+
+  it('groups section, runtime path, validation, workflow and setting changes', () => {
+    const nextPackage = {
+      ...basePackage,
+      description: 'Next.',
+      runtimeSettings: { ...basePackage.runtimeSettings, maxRetries: 3 },
+      sections: [
+        { ...basePackage.sections[0], required: false },
+        {
+          sectionKey: 'business_case',
+          runtimePath: 'framework_state.sections.business_case',
+          validationKeys: ['Business-Case-Check'],
+        },
+      ],
+      validationBindings: [{ validationKey: 'required-sections-check', trigger: 'ON_SAVE' }],
+      workflowBindings: [],
+    }
+
+    const diff = buildFrameworkPackageDiff(basePackage, nextPackage)
+
+    expect(getGroup(diff, 'sections').entries).toEqual([
+      { key: 'business_case', change: FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.ADDED, fields: [] },
+      {
+        key: 'customer_problem',
+        change: FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.CHANGED,
+        fields: [{ field: 'required', before: true, after: false }],
+      },
+      { key: 'value_drivers', change: FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.REMOVED, fields: [] },
+    ])
+    expect(getGroup(diff, 'runtimePaths').entries.map((entry) => [entry.key, entry.change])).toEqual([
+      ['framework_state.sections.business_case', FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.ADDED],
+      ['framework_state.sections.value_drivers', FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.REMOVED],
+    ])
+    expect(getGroup(diff, 'validationKeys').entries).toEqual([
+      { key: 'business-case-check', change: FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.ADDED, fields: [] },
+      {
+        key: 'required-sections-check',
+        change: FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.CHANGED,
+        fields: [{ field: 'trigger', before: 'ON_SUBMIT', after: 'ON_SAVE' }],
+      },
+    ])
+    expect(getGroup(diff, 'workflowPolicyKeys').entries).toEqual([
+      { key: 'vmf-submit-gate', change: FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.REMOVED, fields: [] },
+    ])
+    expect(getGroup(diff, 'settings').entries.map((entry) => entry.key)).toEqual([
+      'description',
+      'runtimeSettings.maxRetries',
+    ])
+    expect(diff.totalChanges).toBe(10)
+  })
+
+  it('treats added and removed settings by which side is missing', () => {
+    const diff = buildFrameworkPackageDiff(
+      { ...basePackage, legacyFlag: true },
+      { ...basePackage, packageName: 'Named' },
+    )
+
+    expect(getGroup(diff, 'settings').entries.map((entry) => [entry.key, entry.change])).toEqual([
+      ['legacyFlag', FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.REMOVED],
+      ['packageName', FRAMEWORK_PACKAGE_DIFF_CHANGE_TYPES.ADDED],
+    ])
+  })
+})
@@ -0,0 +1,293 @@
+/**
+ * Mock Backend Fixtures
+ *
+ * Seed data for the in-browser mock backend (`store/api/mockTransport.js`).
+ * Every demo account signs in with `MOCK_BACKEND_PASSWORD`.
+ */
+
+export const MOCK_BACKEND_PASSWORD = 'demo'
+
+const SEEDED_AT = '2026-05-01T09:00:00.000Z'
+
+const withIds = (id, record) => ({
+  id,
+  _id: id,
+  createdAt: SEEDED_AT,
+  updatedAt: SEEDED_AT,
+  ...record,
+})
+
+const buildSeedUsers = () => [
+  withIds('user-super-admin', {
+    email: 'superadmin@vmf.demo',
+    name: 'Sam Super Admin',
+    isActive: true,
+    status: 'ACTIVE',
+    identityPlus: { status: 'LINKED' },
+    memberships: [{ customerId: null, roles: ['SUPER_ADMIN'] }],
+    tenantMemberships: [],
+    vmfGrants: [],
+  }),
+  withIds('user-customer-admin', {
+    email: 'admin@acme.demo',
+    name: 'Avery Admin',
+    isActive: true,
+    status: 'ACTIVE',
+    customerId: 'customer-acme',
+    identityPlus: { status: 'LINKED' },
+    memberships: [{ customerId: 'customer-acme', roles: ['CUSTOMER_ADMIN'] }],
+    tenantMemberships: [
+      { customerId: 'customer-acme', tenantId: 'tenant-acme-emea', roles: ['TENANT_ADMIN'] },
+    ],
+    vmfGrants: [],
+  }),
+  withIds('user-acme-editor', {
+    email: 'editor@acme.demo',
+    name: 'Eden Editor',
+    isActive: true,
+    status: 'ACTIVE',
+    customerId: 'customer-acme',
+    identityPlus: { status: 'LINKED' },
+    memberships: [{ customerId: 'customer-acme', roles: ['USER'] }],
+    tenantMemberships: [
+      { customerId: 'customer-acme', tenantId: 'tenant-acme-emea', roles: ['USER'] },
+    ],
+    vmfGrants: [
+      {
+        customerId: 'customer-acme',
+        tenantId: 'tenant-acme-emea',
+        vmfId: 'vmf-acme-value',
+        permissions: ['READ', 'WRITE'],
+      },
+    ],
+  }),
+  withIds('user-globex-admin', {
+    email: 'admin@globex.demo',
+    name: 'Gray Globex',
+    isActive: false,
+    status: 'DISABLED',
+    customerId: 'customer-globex',
+    identityPlus: { status: 'PENDING' },
+    memberships: [{ customerId: 'customer-globex', roles: ['CUSTOMER_ADMIN'] }],
+    tenantMemberships: [],
+    vmfGrants: [],
+  }),
+]
+
+const buildSeedRuntimeSections = () => [
+  {
+    key: 'customer_problem',
+    runtimePath: 'framework_state.sections.customer_problem',
+    label: 'Customer Problem',
+    control: 'TEXTAREA',
+    required: true,
+    helpText: 'Describe the core problem.',
+    placeholder: 'Example: Proposal creation is slow.',
+    value: 'Proposal creation is slow and inconsistent across regions.',
+    generated: null,
+    review: {},
+    state: { status: 'DRAFT', revisionCount: 0 },
+    lineage: {},
+    revisions: [],
+    editable: true,
+    validationKeys: [],
+    validationMessages: [],
+  },
+  {
+    key: 'value_outcome',
+    runtimePath: 'framework_state.sections.value_outcome',
+    label: 'Value Outcome',
+    control: 'TEXTAREA',
+    required: false,
+    helpText: 'State the measurable outcome.',
+    placeholder: 'Example: Cut proposal time by half.',
+    value: '',
+    generated: null,
+    review: {},
+    state: { status: 'EMPTY', revisionCount: 0 },
+    lineage: {},
+    revisions: [],
+    editable: true,
+    validationKeys: [],
+    validationMessages: [],
+  },
+]
+
+/**
+ * Fresh, mutable copy of the seeded backend state.
+ * @returns {Object}
+ */
+export const buildInitialMockBackendState = () => ({
+  seededAt: SEEDED_AT,
+  sessions: { refreshTokens: {}, stepUpTokens: {} },
+  documents: {},
+  collections: {
+    users: buildSeedUsers(),
+    customers: [
+      withIds('customer-acme', {
+        name: 'Acme Corporation',
+        status: 'ACTIVE',
+        topology: 'MULTI_TENANT',
+        licenseLevelId: 'licence-enterprise',
+        governance: { customerAdminUserId: 'user-customer-admin' },
+        branding: { theme: 'brand-corporate', primaryColor: null, logoUrl: null },
+      }),
+      withIds('customer-globex', {
+        name: 'Globex',
+        status: 'INACTIVE',
+        topology: 'SINGLE_TENANT',
+        licenseLevelId: 'licence-standard',
+        governance: { customerAdminUserId: 'user-globex-admin' },
+      }),
+    ],
+    tenants: [
+      withIds('tenant-acme-emea', {
+        customerId: 'customer-acme',
+        name: 'Acme EMEA',
+        website: 'https://emea.acme.demo',
+        status: 'ENABLED',
+        tenantAdminUserIds: ['user-customer-admin'],
+      }),
+      withIds('tenant-acme-apac', {
+        customerId: 'customer-acme',
+        name: 'Acme APAC',
+        website: 'https://apac.acme.demo',
+        status: 'ENABLED',
+        tenantAdminUserIds: [],
+      }),
+      withIds('tenant-globex-main', {
+        customerId: 'customer-globex',
+        name: 'Globex Main',
+        website: 'https://globex.demo',
+        status: 'DISABLED',
+        tenantAdminUserIds: ['user-globex-admin'],
+      }),
+    ],
+    vmfs: [
+      withIds('vmf-acme-value', {
+        customerId: 'customer-acme',
+        tenantId: 'tenant-acme-emea',
+        name: 'Acme Value Narrative',
+        status: 'ACTIVE',
+        lifecycleStatus: 'DRAFT',
+        packageKey: 'vmf-standard-2-3-1',
+        runtimeInstanceId: 'runtime-acme-value',
+      }),
+      withIds('vmf-acme-pricing', {
+        customerId: 'customer-acme',
+        tenantId: 'tenant-acme-emea',
+        name: 'Acme Pricing Story',
+        status: 'ACTIVE',
+        lifecycleStatus: 'PUBLISHED',
+        packageKey: 'vmf-standard-2-3-1',
+      }),
+    ],
+    roles: [
+      withIds('role-customer-admin', {
+        key: 'CUSTOMER_ADMIN',
+        name: 'Customer Admin',
+        scope: 'CUSTOMER',
+        isSystem: true,
+        permissions: ['CUSTOMER_VIEW', 'CUSTOMER_MANAGE', 'USER_MANAGE', 'TENANT_MANAGE'],
+      }),
+      withIds('role-tenant-admin', {
+        key: 'TENANT_ADMIN',
+        name: 'Tenant Admin',
+        scope: 'TENANT',
+        isSystem: true,
+        permissions: ['TENANT_VIEW', 'VMF_CREATE', 'VMF_MANAGE'],
+      }),
+      withIds('role-user', {
+        key: 'USER',
+        name: 'User',
+        scope: 'TENANT',
+        isSystem: true,
+        permissions: ['TENANT_VIEW', 'VMF_VIEW'],
+      }),
+    ],
+    'licence-levels': [
+      withIds('licence-standard', {
+        name: 'Standard',
+        status: 'ACTIVE',
+        featureEntitlements: ['VMF'],
+      }),
+      withIds('licence-enterprise', {
+        name: 'Enterprise',
+        status: 'ACTIVE',
+        featureEntitlements: ['VMF', 'OUTCOME_STUDIO', 'OUTPUT_LAB'],
+      }),
+    ],
+    invitations: [
+      withIds('invitation-acme-editor', {
+        email: 'new.editor@acme.demo',
+        customerId: 'customer-acme',
+        status: 'PENDING',
+        expiresAt: '2026-12-31T00:00:00.000Z',
+      }),
+    ],
+    'system-versioning-policy': [
+      withIds('versioning-policy-1', {
+        status: 'ACTIVE',
+        versionFormat: 'SEMVER',
+        requireChangeSummary: true,
+      }),
+    ],
+    'denied-access-logs': [
+      withIds('denied-1', {
+        ts: SEEDED_AT,
+        userId: 'user-acme-editor',
+        path: '/super-admin/customers',
+        reason: 'SUPER_ADMIN_REQUIRED',
+      }),
+    ],
+    'runtime-instances': [
+      withIds('runtime-acme-value', {
+        runtimeInstanceKey: 'acme-value-narrative-001',
+        runtimeType: 'VALUE_NARRATIVE',
+        status: 'ACTIVE',
+        executionStatus: 'IDLE',
+        name: 'Acme Value Narrative',
+        customerId: 'customer-acme',
+        tenantId: 'tenant-acme-emea',
+        vmfId: 'vmf-acme-value',
+        packageKey: 'vmf-standard-2-3-1',
+        packageVersion: '2.3.1',
+        stateRevision: 1,
+        sections: buildSeedRuntimeSections(),
+      }),
+    ],
+    'audit-logs': [
+      withIds('audit-seed-1', {
+        ts: SEEDED_AT,
+        action: 'CUSTOMER_CREATED',
+        actorUserId: { id: 'user-super-admin', name: 'Sam Super Admin', email: 'superadmin@vmf.demo' },
+        customerId: 'customer-acme',
+        resourceType: 'Customer',
+        resourceId: 'customer-acme',
+        requestId: 'seed-request-1',
+        isSystemEvent: false,
+      }),
+      withIds('audit-seed-2', {
+        ts: SEEDED_AT,
+        action: 'TENANT_CREATED',
+        actorUserId: { id: 'user-customer-admin', name: 'Avery Admin', email: 'admin@acme.demo' },
+        customerId: 'customer-acme',
+        tenantId: 'tenant-acme-emea',
+        resourceType: 'Tenant',
+        resourceId: 'tenant-acme-emea',
+        requestId: 'seed-request-2',
+        isSystemEvent: false,
+      }),
+    ],
+  },
+  permissionsCatalogue: [
+    'CUSTOMER_VIEW',
+    'CUSTOMER_MANAGE',
+    'USER_MANAGE',
+    'TENANT_VIEW',
+    'TENANT_MANAGE',
+    'VMF_VIEW',
+    'VMF_CREATE',
+    'VMF_MANAGE',
+  ],
+})
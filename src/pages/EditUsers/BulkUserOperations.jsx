@@ -452,6 +452,30 @@ function normalizeBulkResponse(payload) {
   }
 }
 
+// Update and disable accept at most BULK_LIMIT users per request, so an
+// "all matching" selection is sent in batches
+function toBulkBatches(items) {
+  const batches = []
+  for (let index = 0; index < items.length; index += BULK_LIMIT) {
+    batches.push(items.slice(index, index + BULK_LIMIT))
+  }
+  return batches
+}
+
+function mergeBulkSummaries(summaries) {
+  return summaries.reduce(
+    (merged, summary) => ({
+      total: merged.total + summary.total,
+      success: merged.success + summary.success,
+      failed: merged.failed + summary.failed,
+      results: [...merged.results, ...summary.results],
+    }),
+    { total: 0, success: 0, failed: 0, results: [] },
+  )
+}
+
+const getBatchProgress = (index, batchCount) => 15 + Math.round((40 * (index + 1)) / batchCount)
+
 function parseRoles(value) {
   return value
     .split(/[|,;]+/)
@@ -1290,6 +1314,7 @@ function BulkUserOperations({
     setResultSummary(null)
     setFieldError('')
 
+    const completed = []
     try {
       const users = selectedUserIds.map((userId) => ({
         userId,
@@ -1302,19 +1327,25 @@ function BulkUserOperations({
           : {}),
       }))
 
-      setProgressValue(55)
-      const response = await bulkUpdateUsers({
-        customerId,
-        body: { users },
-      }).unwrap()
+      const batches = toBulkBatches(users)
+      for (const [index, batch] of batches.entries()) {
+        setProgressValue(getBatchProgress(index, batches.length))
+        const response = await bulkUpdateUsers({
+          customerId,
+          body: { users: batch },
+        }).unwrap()
+        completed.push(normalizeBulkResponse(response))
+      }
       finishProgress()
 
-      const normalized = normalizeBulkResponse(response)
+      const normalized = mergeBulkSummaries(completed)
       setResultSummary(normalized)
       addToast(getBulkCompletionToast('Bulk update', normalized))
     } catch (error) {
       const appError = normalizeError(error)
       setProgressValue(0)
+      // Earlier batches were applied; keep their outcome on screen
+      if (completed.length > 0) setResultSummary(mergeBulkSummaries(completed))
 
       if (isCanonicalAdminConflictError(appError)) {
         addToast({
@@ -1355,15 +1386,20 @@ function BulkUserOperations({
     startProgress('Disabling selected users...')
     setResultSummary(null)
 
+    const completed = []
     try {
-      setProgressValue(55)
-      const response = await bulkDisableUsers({
-        customerId,
-        body: { userIds: selectedUserIds },
-      }).unwrap()
+      const batches = toBulkBatches(selectedUserIds)
+      for (const [index, batch] of batches.entries()) {
+        setProgressValue(getBatchProgress(index, batches.length))
+        const response = await bulkDisableUsers({
+          customerId,
+          body: { userIds: batch },
+        }).unwrap()
+        completed.push(normalizeBulkResponse(response))
+      }
       finishProgress()
 
-      const normalized = normalizeBulkResponse(response)
+      const normalized = mergeBulkSummaries(completed)
       setResultSummary(normalized)
       addToast({
         title: 'Bulk disable completed',
@@ -1373,6 +1409,7 @@ function BulkUserOperations({
     } catch (error) {
       const appError = normalizeError(error)
       setProgressValue(0)
+      if (completed.length > 0) setResultSummary(mergeBulkSummaries(completed))
 
       if (isCanonicalAdminConflictError(appError)) {
         addToast({
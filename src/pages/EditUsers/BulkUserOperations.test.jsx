@@ -333,6 +333,25 @@ describe('BulkUserOperations', () => {
     ).toBeInTheDocument()
   })
 
+  it('disables more users than one request allows in batches', async () => {
+    const user = userEvent.setup()
+    const selectedUserIds = Array.from({ length: 150 }, (_, index) => `user-${index + 1}`)
+    bulkDisableMock.mockImplementation(({ body }) => ({
+      unwrap: () => Promise.resolve({
+        data: { summary: { total: body.userIds.length, success: body.userIds.length, failed: 0 }, results: [] },
+      }),
+    }))
+    renderDialog({ selectedUserIds, initialOperation: 'disable', availableOperations: ['disable'] })
+
+    await user.click(screen.getByRole('button', { name: 'Disable Selected Users' }))
+
+    await waitFor(() => expect(bulkDisableMock).toHaveBeenCalledTimes(2))
+    expect(bulkDisableMock.mock.calls[0][0].body.userIds).toEqual(selectedUserIds.slice(0, 100))
+    expect(bulkDisableMock.mock.calls[1][0].body.userIds).toEqual(selectedUserIds.slice(100))
+    expect(await screen.findByText('Bulk disable completed')).toBeInTheDocument()
+    expect(screen.getByText('150 succeeded, 0 failed.')).toBeInTheDocument()
+  })
+
   it('shows selected user count for update operation', async () => {
     const user = userEvent.setup()
     renderDialog({ selectedUserIds: ['user-1', 'user-2'] })
@@ -7,6 +7,7 @@
  */
 
 import { useState, useCallback, useEffect, useMemo, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
 import { Button } from '../../components/Button'
 import { Card } from '../../components/Card'
 import { Dialog } from '../../components/Dialog'
@@ -16,6 +17,7 @@ import { useToaster } from '../../components/Toaster'
 import { useUsers } from '../../hooks/useUsers.js'
 import { useAuthorization } from '../../hooks/useAuthorization.js'
 import { useTenantContext } from '../../hooks/useTenantContext.js'
+import { useListView } from '../../hooks/useListView.js'
 import { getCustomerLifecycleStatus } from '../../utils/authorization.js'
 import {
   normalizeError,
@@ -32,9 +34,11 @@ import BulkUserOperations from './BulkUserOperations'
 import OwnershipTransferDialog from './OwnershipTransferDialog'
 import EditUsersListView from './EditUsersListView'
 import { AuthLinkDialog } from '../SuperAdminCustomers/CustomerUserDialogs.jsx'
+import { getResourceHistoryPath, getResourceRowId } from '../SuperAdminResourceHistory/superAdminResourceHistory.constants.js'
 import './EditUsers.css'
 
 const SEARCH_DEBOUNCE = 300
+const USER_LIST_DEFAULT_FILTERS = { q: '', status: '' }
 
 const STATUS_OPTIONS = [
   { value: '', label: 'All statuses' },
@@ -121,6 +125,7 @@ function EditUsersBoundaryState({
 function EditUsers() {
   const { addToast } = useToaster()
   const { user, isSuperAdmin, accessibleCustomerIds } = useAuthorization()
+  const navigate = useNavigate()
   const {
     customerId,
     tenantId,
@@ -143,6 +148,7 @@ function EditUsers() {
     statusFilter,
     setStatusFilter,
     setPage,
+    listMatchingUserIds,
     disableUser,
     enableUser,
     deleteUser,
@@ -161,10 +167,21 @@ function EditUsers() {
   const [ownershipTransferTarget, setOwnershipTransferTarget] = useState(null)
   const [confirmAction, setConfirmAction] = useState(null)
   const [selectedRows, setSelectedRows] = useState(new Set())
+  const [allMatchingSelected, setAllMatchingSelected] = useState(false)
+  const [excludedRows, setExcludedRows] = useState(new Set())
+  const [bulkTargetUserIds, setBulkTargetUserIds] = useState([])
+  const [isResolvingSelection, setIsResolvingSelection] = useState(false)
   const [authLinkDialogOpen, setAuthLinkDialogOpen] = useState(false)
   const [lastAuthLink, setLastAuthLink] = useState('')
   const previousContextKeyRef = useRef(`${customerId ?? ''}::${tenantId ?? ''}`)
 
+  // Selection spans pages, so it only holds while the filters stay the same
+  const resetSelection = useCallback(() => {
+    setSelectedRows(new Set())
+    setAllMatchingSelected(false)
+    setExcludedRows(new Set())
+  }, [])
+
   useEffect(() => {
     const timer = setTimeout(() => {
       setSearch(searchInput)
@@ -174,6 +191,34 @@ function EditUsers() {
     return () => clearTimeout(timer)
   }, [searchInput, setPage, setSearch])
 
+  const handleSearchInputChange = useCallback((value) => {
+    setSearchInput(value)
+    resetSelection()
+  }, [resetSelection])
+
+  const handleStatusFilterChange = useCallback((value) => {
+    setStatusFilter(value)
+    setPage(1)
+    resetSelection()
+  }, [resetSelection, setPage, setStatusFilter])
+
+  const listFilters = useMemo(
+    () => ({ q: searchInput, status: statusFilter }),
+    [searchInput, statusFilter],
+  )
+  const handleListViewFiltersChange = useCallback(({ q, status }) => {
+    setSearchInput(q)
+    setStatusFilter(status)
+    setPage(1)
+    resetSelection()
+  }, [resetSelection, setPage, setStatusFilter])
+  const listView = useListView({
+    viewKey: 'users',
+    defaultFilters: USER_LIST_DEFAULT_FILTERS,
+    filters: listFilters,
+    onFiltersChange: handleListViewFiltersChange,
+  })
+
   const listUsersAppError = useMemo(
     () => (usersError ? normalizeError(usersError) : null),
     [usersError],
@@ -222,14 +267,14 @@ function EditUsers() {
     setEditingUser(null)
     setOwnershipTransferTarget(null)
     setConfirmAction(null)
-    setSelectedRows(new Set())
+    resetSelection()
     setAuthLinkDialogOpen(false)
     setLastAuthLink('')
     setSearchInput('')
     setSearch('')
     setStatusFilter('')
     setPage(1)
-  }, [customerId, tenantId, setPage, setSearch, setStatusFilter])
+  }, [customerId, tenantId, resetSelection, setPage, setSearch, setStatusFilter])
 
   useEffect(() => {
     if (!isInactiveCustomerLocked) return
@@ -240,10 +285,10 @@ function EditUsers() {
     setEditingUser(null)
     setOwnershipTransferTarget(null)
     setConfirmAction(null)
-    setSelectedRows(new Set())
+    resetSelection()
     setAuthLinkDialogOpen(false)
     setLastAuthLink('')
-  }, [isInactiveCustomerLocked])
+  }, [isInactiveCustomerLocked, resetSelection])
 
   const handleDisable = useCallback(
     async (targetUser) => {
@@ -438,21 +483,11 @@ function EditUsers() {
     [users],
   )
 
-  const visibleUserIds = useMemo(
-    () => new Set(tableData.map((row) => row.id)),
-    [tableData],
-  )
-
   const canonicalAdminUser = useMemo(
     () => tableData.find((row) => row?.isCanonicalAdmin) ?? null,
     [tableData],
   )
 
-  const selectedRowsSafe = useMemo(
-    () => new Set([...selectedRows].filter((id) => visibleUserIds.has(id))),
-    [selectedRows, visibleUserIds],
-  )
-
   const isLifecycleMutationLoading =
     Boolean(disableUserResult?.isLoading)
     || Boolean(enableUserResult?.isLoading)
@@ -467,43 +502,46 @@ function EditUsers() {
     setShowBulkOperations(true)
   }, [])
 
-  const handleOpenBulkUpdateSelected = useCallback(() => {
+  // "All matching" is resolved to IDs (current filters, minus unticked
+  // rows) when the dialog opens, because the bulk endpoints take user IDs
+  const openSelectionBulkOperation = useCallback(async (dialogConfig) => {
     setEditingUser(null)
-    setBulkDialogConfig(BULK_UPDATE_DIALOG_CONFIG)
+
+    if (allMatchingSelected) {
+      setIsResolvingSelection(true)
+      try {
+        setBulkTargetUserIds(await listMatchingUserIds(excludedRows))
+      } catch (error) {
+        addToast({
+          title: 'Matching users unavailable',
+          description: normalizeError(error).message,
+          variant: 'error',
+        })
+        return
+      } finally {
+        setIsResolvingSelection(false)
+      }
+    } else {
+      setBulkTargetUserIds(Array.from(selectedRows))
+    }
+
+    setBulkDialogConfig(dialogConfig)
     setShowBulkOperations(true)
-  }, [])
+  }, [addToast, allMatchingSelected, excludedRows, listMatchingUserIds, selectedRows])
+
+  const handleOpenBulkUpdateSelected = useCallback(() => {
+    openSelectionBulkOperation(BULK_UPDATE_DIALOG_CONFIG)
+  }, [openSelectionBulkOperation])
 
   const handleOpenBulkDisableSelected = useCallback(() => {
-    setEditingUser(null)
-    setBulkDialogConfig(BULK_DISABLE_DIALOG_CONFIG)
-    setShowBulkOperations(true)
-  }, [])
+    openSelectionBulkOperation(BULK_DISABLE_DIALOG_CONFIG)
+  }, [openSelectionBulkOperation])
 
   const handleCloseBulkOperations = useCallback(() => {
     setShowBulkOperations(false)
     setBulkDialogConfig(BULK_CREATE_DIALOG_CONFIG)
   }, [])
 
-  const handleClearSelection = useCallback(() => {
-    setSelectedRows(new Set())
-  }, [])
-
-  const handleFirstPage = useCallback(() => {
-    setPage(1)
-  }, [setPage])
-
-  const handlePrevPage = useCallback(() => {
-    setPage((currentPage) => Math.max(1, currentPage - 1))
-  }, [setPage])
-
-  const handleNextPage = useCallback(() => {
-    setPage((currentPage) => Math.min(pagination.totalPages, currentPage + 1))
-  }, [pagination.totalPages, setPage])
-
-  const handleLastPage = useCallback(() => {
-    setPage(pagination.totalPages)
-  }, [pagination.totalPages, setPage])
-
   if (!customerId && isSuperAdmin) {
     return (
       <EditUsersBoundaryState
@@ -573,29 +611,29 @@ function EditUsers() {
         governanceNote={CUSTOMER_ADMIN_GOVERNANCE_NOTE}
         lifecycleNote={USER_LIFECYCLE_NOTE}
         searchInput={searchInput}
-        onSearchInputChange={setSearchInput}
+        onSearchInputChange={handleSearchInputChange}
         statusFilter={statusFilter}
         statusOptions={STATUS_OPTIONS}
-        onStatusFilterChange={(value) => {
-          setStatusFilter(value)
-          setPage(1)
-        }}
+        onStatusFilterChange={handleStatusFilterChange}
         rows={tableData}
         isListLoading={isLoading}
         isListFetching={isFetching}
-        selectedRows={selectedRowsSafe}
+        selectedRows={selectedRows}
         onSelectedRowsChange={setSelectedRows}
+        allMatchingSelected={allMatchingSelected}
+        onAllMatchingSelectedChange={setAllMatchingSelected}
+        excludedRows={excludedRows}
+        onExcludedRowsChange={setExcludedRows}
+        isResolvingSelection={isResolvingSelection}
         totalPages={pagination.totalPages}
         currentPage={pagination.page}
         totalCount={pagination.total}
-        onFirstPage={handleFirstPage}
-        onPreviousPage={handlePrevPage}
-        onNextPage={handleNextPage}
-        onLastPage={handleLastPage}
+        onPageChange={setPage}
+        listView={listView}
         onBulkCreateClick={handleOpenBulkCreate}
         onBulkUpdateSelectedClick={handleOpenBulkUpdateSelected}
         onBulkDisableSelectedClick={handleOpenBulkDisableSelected}
-        onClearSelection={handleClearSelection}
+        onClearSelection={resetSelection}
         onCreateUserClick={() => {
           setEditingUser(null)
           setShowCreateWizard(true)
@@ -608,6 +646,9 @@ function EditUsers() {
         onDisableUserClick={(targetUser) => setConfirmAction({ type: 'disable', user: targetUser })}
         onEnableUserClick={(targetUser) => setConfirmAction({ type: 'enable', user: targetUser })}
         onDeleteUserClick={(targetUser) => setConfirmAction({ type: 'delete', user: targetUser })}
+        onViewHistoryClick={isSuperAdmin
+          ? (targetUser) => navigate(getResourceHistoryPath('User', getResourceRowId(targetUser)))
+          : undefined}
         onResendInvitationClick={handleResendInvitation}
         hasCanonicalAdmin={Boolean(canonicalAdminUser)}
         isRowActionMutationLoading={isRowActionMutationLoading}
@@ -624,7 +665,7 @@ function EditUsers() {
         open={showBulkOperations}
         onClose={handleCloseBulkOperations}
         customerId={customerId}
-        selectedUserIds={Array.from(selectedRowsSafe)}
+        selectedUserIds={bulkTargetUserIds}
         assignableRoles={assignableRoles}
         initialOperation={bulkDialogConfig.initialOperation}
         availableOperations={bulkDialogConfig.availableOperations}
@@ -644,7 +644,7 @@ describe('EditUsers page', () => {
 
     expect(selectionBar).toBeInTheDocument()
     expect(selectionBar).toHaveClass('edit-users__selection-bar--floating')
-    expect(screen.getByText(/bulk update and bulk disable will apply only to the selected users on this page/i)).toBeInTheDocument()
+    expect(screen.getByText(/bulk update and bulk disable will apply to the selected users, including any selected on other pages/i)).toBeInTheDocument()
     expect(screen.getByText(/1 selected/i)).toBeInTheDocument()
     expect(
       screen.getByRole('button', { name: /bulk update selected/i }),
@@ -674,6 +674,55 @@ describe('EditUsers page', () => {
     ).toBeInTheDocument()
   })
 
+  it('targets every matching user, minus unticked rows, when all matching rows are selected', async () => {
+    const user = userEvent.setup()
+    const listMatchingUserIds = vi.fn().mockResolvedValue(
+      Array.from({ length: 44 }, (_, index) => `user-${index + 2}`),
+    )
+    mockUseUsers.mockReturnValue(
+      buildUseUsersResult({
+        users: [canonicalManagedUser, standardManagedUser, invitationRequiredUser],
+        pagination: { page: 1, pageSize: 3, total: 45, totalPages: 15 },
+        listMatchingUserIds,
+      }),
+    )
+    renderEditUsers()
+
+    await user.click(screen.getByRole('checkbox', { name: /select all rows/i }))
+    await user.click(screen.getByRole('button', { name: /select all 45 matching rows/i }))
+    await user.click(screen.getByRole('checkbox', { name: /select row user-1/i }))
+
+    expect(screen.getByText('44 matching rows are selected, 1 excluded.')).toBeInTheDocument()
+    expect(screen.getByText(/44 selected/i)).toBeInTheDocument()
+    expect(screen.getByText(/every user matching the current search and status/i)).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: /bulk disable selected/i }))
+
+    expect(listMatchingUserIds).toHaveBeenCalledWith(new Set(['user-1']))
+    await waitFor(() => {
+      expect(
+        screen.getByRole('heading', { name: /^bulk disable users$/i }),
+      ).toBeInTheDocument()
+    })
+    expect(
+      screen.getByText((_, element) => element?.textContent === 'Selected users: 44'),
+    ).toBeInTheDocument()
+  })
+
+  it('clears the selection when the search changes', async () => {
+    const user = userEvent.setup()
+    renderEditUsers()
+
+    await user.click(screen.getByRole('checkbox', { name: /select row user-2/i }))
+    expect(screen.getByText(/1 selected/i)).toBeInTheDocument()
+
+    await user.type(screen.getByLabelText(/search/i), 'owner')
+
+    expect(
+      screen.queryByRole('region', { name: /bulk actions for selected users/i }),
+    ).not.toBeInTheDocument()
+  })
+
   it('opens the inline edit-user workspace from the user name workspace entry', async () => {
     const user = userEvent.setup()
     renderEditUsers()
@@ -7,6 +7,7 @@ import { ErrorSupportPanel } from '../../components/ErrorSupportPanel'
 import { Fieldset } from '../../components/Fieldset'
 import { HorizontalScroll } from '../../components/HorizontalScroll'
 import { Input } from '../../components/Input'
+import { SavedViewsToolbar } from '../../components/SavedViews'
 import { Select } from '../../components/Select'
 import { Status } from '../../components/Status'
 import { Table } from '../../components/Table'
@@ -243,13 +244,15 @@ export function EditUsersListView({
   isListFetching,
   selectedRows,
   onSelectedRowsChange,
+  allMatchingSelected,
+  onAllMatchingSelectedChange,
+  excludedRows,
+  onExcludedRowsChange,
+  isResolvingSelection,
   totalPages,
   currentPage,
   totalCount,
-  onFirstPage,
-  onPreviousPage,
-  onNextPage,
-  onLastPage,
+  onPageChange,
   onBulkCreateClick,
   onBulkUpdateSelectedClick,
   onBulkDisableSelectedClick,
@@ -261,8 +264,10 @@ export function EditUsersListView({
   onEnableUserClick,
   onDeleteUserClick,
   onResendInvitationClick,
+  onViewHistoryClick,
   hasCanonicalAdmin,
   isRowActionMutationLoading,
+  listView,
 }) {
   const navigate = useNavigate()
   const rowActions = useMemo(
@@ -298,8 +303,10 @@ export function EditUsersListView({
           || !row?.isActive
           || getUserTrustStatus(row) !== 'UNTRUSTED',
       },
+      // Audit history is super-admin only; the page passes the handler when allowed
+      ...(onViewHistoryClick ? [{ label: 'History', disabled: false }] : []),
     ],
-    [hasCanonicalAdmin, isRowActionMutationLoading],
+    [hasCanonicalAdmin, isRowActionMutationLoading, onViewHistoryClick],
   )
 
   const handleRowAction = useCallback(
@@ -310,6 +317,7 @@ export function EditUsersListView({
       if (label === 'Reactivate') onEnableUserClick(row)
       if (label === 'Delete') onDeleteUserClick(row)
       if (label === 'Resend Invitation') onResendInvitationClick(row)
+      if (label === 'History') onViewHistoryClick?.(row)
     },
     [
       onDeleteUserClick,
@@ -318,6 +326,7 @@ export function EditUsersListView({
       onEnableUserClick,
       onResendInvitationClick,
       onTransferOwnershipClick,
+      onViewHistoryClick,
     ],
   )
 
@@ -327,6 +336,7 @@ export function EditUsersListView({
         key: 'userIdentity',
         label: 'User',
         width: '260px',
+        hideable: false,
         render: (_value, row) => (
           <div className="edit-users__user-identity">
             <button
@@ -368,6 +378,7 @@ export function EditUsersListView({
         label: 'Actions',
         align: 'center',
         width: '168px',
+        hideable: false,
         render: (_value, row) => (
           <UserRowActionsMenu row={row} actions={rowActions} onAction={handleRowAction} />
         ),
@@ -375,7 +386,10 @@ export function EditUsersListView({
     ],
     [handleRowAction, onEditUserClick, rowActions],
   )
-  const selectedCount = selectedRows?.size ?? 0
+  const selectedCount = allMatchingSelected
+    ? Math.max(0, (totalCount ?? 0) - (excludedRows?.size ?? 0))
+    : selectedRows?.size ?? 0
+  const isSelectionBusy = isListFetching || isResolvingSelection
   const handleBackClick = useCallback(() => {
     navigate('/app/dashboard')
   }, [navigate])
@@ -479,6 +493,10 @@ export function EditUsersListView({
               </div>
             </div>
 
+            {listView ? (
+              <SavedViewsToolbar listView={listView} columns={columns} idPrefix="user-views" />
+            ) : null}
+
             {selectedCount === 0 ? (
               <p className="edit-users__selection-hint" role="status">
                 Use row checkboxes to select users for bulk update or bulk disable.
@@ -507,12 +525,27 @@ export function EditUsersListView({
                 variant="striped"
                 hoverable
                 selectable
+                serverSide
                 selectedRows={selectedRows}
                 onSelectChange={onSelectedRowsChange}
+                allMatchingSelected={allMatchingSelected}
+                onAllMatchingSelectedChange={onAllMatchingSelectedChange}
+                excludedRows={excludedRows}
+                onExcludedRowsChange={onExcludedRowsChange}
+                pagination={{
+                  page: currentPage,
+                  totalPages,
+                  total: totalCount,
+                  itemLabel: 'users',
+                  onPageChange,
+                  busy: isListFetching,
+                  ariaLabel: 'Users pagination',
+                }}
                 loading={isListLoading}
                 loadingRows={5}
                 emptyMessage="No users found."
                 ariaLabel="Users table"
+                {...listView?.tableProps}
               />
             </HorizontalScroll>
 
@@ -529,7 +562,9 @@ export function EditUsersListView({
                       {selectedCount} selected
                     </strong>
                     <span className="edit-users__selection-text">
-                      Bulk update and bulk disable will apply only to the selected users on this page.
+                      {allMatchingSelected
+                        ? 'Bulk update and bulk disable will apply to every user matching the current search and status, except any you untick.'
+                        : 'Bulk update and bulk disable will apply to the selected users, including any selected on other pages.'}
                     </span>
                   </div>
                   <div className="edit-users__selection-actions">
@@ -538,7 +573,7 @@ export function EditUsersListView({
                       variant="outline"
                       size="sm"
                       onClick={onClearSelection}
-                      disabled={isListFetching}
+                      disabled={isSelectionBusy}
                     >
                       Clear Selection
                     </Button>
@@ -547,7 +582,8 @@ export function EditUsersListView({
                       variant="secondary"
                       size="sm"
                       onClick={onBulkUpdateSelectedClick}
-                      disabled={isListFetching}
+                      disabled={isSelectionBusy}
+                      loading={isResolvingSelection}
                     >
                       Bulk Update Selected
                     </Button>
@@ -556,7 +592,8 @@ export function EditUsersListView({
                       variant="danger"
                       size="sm"
                       onClick={onBulkDisableSelectedClick}
-                      disabled={isListFetching}
+                      disabled={isSelectionBusy}
+                      loading={isResolvingSelection}
                     >
                       Bulk Disable Selected
                     </Button>
@@ -568,51 +605,6 @@ export function EditUsersListView({
             {isListFetching && !isListLoading ? (
               <p className="edit-users__muted">Refreshing users...</p>
             ) : null}
-
-            {totalPages > 1 ? (
-              <div className="edit-users__pagination" role="navigation" aria-label="Users pagination">
-                <div className="edit-users__pagination-controls">
-                  <Button
-                    variant="outline"
-                    size="sm"
-                    onClick={onFirstPage}
-                    disabled={currentPage <= 1 || isListFetching}
-                  >
-                    First
-                  </Button>
-                  <Button
-                    variant="outline"
-                    size="sm"
-                    onClick={onPreviousPage}
-                    disabled={currentPage <= 1 || isListFetching}
-                  >
-                    Previous
-                  </Button>
-                </div>
-                <p className="edit-users__pagination-info">
-                  Page {currentPage} of {totalPages}
-                  {totalCount > 0 ? ` (${totalCount} users)` : ''}
-                </p>
-                <div className="edit-users__pagination-controls">
-                  <Button
-                    variant="outline"
-                    size="sm"
-                    onClick={onNextPage}
-                    disabled={currentPage >= totalPages || isListFetching}
-                  >
-                    Next
-                  </Button>
-                  <Button
-                    variant="outline"
-                    size="sm"
-                    onClick={onLastPage}
-                    disabled={currentPage >= totalPages || isListFetching}
-                  >
-                    Last
-                  </Button>
-                </div>
-              </div>
-            ) : null}
           </Card.Body>
         </Card>
       </Fieldset>
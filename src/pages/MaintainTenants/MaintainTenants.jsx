@@ -16,6 +16,7 @@ import { useToaster } from '../../components/Toaster'
 import { useTenants } from '../../hooks/useTenants.js'
 import { useAuthorization } from '../../hooks/useAuthorization.js'
 import { useTenantContext } from '../../hooks/useTenantContext.js'
+import { useListView } from '../../hooks/useListView.js'
 import { getCustomerLifecycleStatus } from '../../utils/authorization.js'
 import {
   normalizeError,
@@ -30,9 +31,11 @@ import {
   getTenantCapacityCountLabel,
   getTenantId,
 } from './tenantUtils.js'
+import { getResourceHistoryPath } from '../SuperAdminResourceHistory/superAdminResourceHistory.constants.js'
 import './MaintainTenants.css'
 
 const SEARCH_DEBOUNCE = 300
+const TENANT_LIST_DEFAULT_FILTERS = { q: '', status: '' }
 
 const MAINTAIN_TENANTS_INACTIVE_CUSTOMER_MESSAGE =
   'This customer is inactive. Tenant-management actions are unavailable until a Super Admin reactivates the customer.'
@@ -148,11 +151,13 @@ function MaintainTenantsWorkspace({
   currentPage,
   totalCount,
   onPageChange,
+  listView,
   createButtonDisabled,
   showCreateAction,
   showTenantAdminColumn,
   allowAssignAdmin,
   allowLifecycleActions,
+  allowHistory,
   tenantAdminScopeNote,
   tenantCapacityGuidance,
   tenantCapacity,
@@ -267,11 +272,13 @@ function MaintainTenantsWorkspace({
         currentPage={currentPage}
         totalCount={totalCount}
         onPageChange={onPageChange}
+        listView={listView}
         createButtonDisabled={createButtonDisabled}
         showCreateAction={showCreateAction}
         showTenantAdminColumn={showTenantAdminColumn}
         allowAssignAdmin={allowAssignAdmin}
         allowLifecycleActions={allowLifecycleActions}
+        allowHistory={allowHistory}
         onBackClick={handleBackToDashboard}
         tenantAdminScopeNote={tenantAdminScopeNote}
         onCreateClick={() => setShowCreateWizard(true)}
@@ -299,6 +306,7 @@ function MaintainTenantsWorkspace({
           setEditingTenant(null)
           setAssigningTenantAdmin(tenant)
         }}
+        onHistoryClick={(tenant) => navigate(getResourceHistoryPath('Tenant', getTenantId(tenant)))}
         onEnableClick={(tenant) => setConfirmAction({ type: 'enable', tenant })}
         onDisableClick={(tenant) => setConfirmAction({ type: 'disable', tenant })}
         tenantCapacityGuidance={tenantCapacityGuidance}
@@ -551,6 +559,22 @@ function MaintainTenants() {
     return () => clearTimeout(timer)
   }, [searchInput, setSearch, setPage])
 
+  const listFilters = useMemo(
+    () => ({ q: searchInput, status: statusFilter }),
+    [searchInput, statusFilter],
+  )
+  const handleListViewFiltersChange = useCallback(({ q, status }) => {
+    setSearchInput(q)
+    setStatusFilter(status)
+    setPage(1)
+  }, [setPage, setStatusFilter])
+  const listView = useListView({
+    viewKey: 'tenants',
+    defaultFilters: TENANT_LIST_DEFAULT_FILTERS,
+    filters: listFilters,
+    onFiltersChange: handleListViewFiltersChange,
+  })
+
   useEffect(() => {
     const nextContextKey = `${customerId ?? ''}::${isTenantAdminScopedView ? 'tenant-scoped' : 'full'}`
     if (previousContextKeyRef.current === nextContextKey) return
@@ -631,11 +655,13 @@ function MaintainTenants() {
       currentPage={scopedPagination.page}
       totalCount={scopedPagination.total}
       onPageChange={setPage}
+      listView={listView}
       createButtonDisabled={!canCreateTenant || isFetching || isTenantCreateBlocked}
       showCreateAction={canCreateTenant}
       showTenantAdminColumn={showTenantAdminColumn}
       allowAssignAdmin={canAssignTenantAdmin}
       allowLifecycleActions={canRunLifecycleActions}
+      allowHistory={isSuperAdmin}
       tenantAdminScopeNote={isTenantAdminScopedView ? MAINTAIN_TENANTS_TENANT_ADMIN_SCOPE_NOTE : null}
       tenantCapacityGuidance={tenantCapacityGuidance}
       tenantCapacity={tenantCapacity}
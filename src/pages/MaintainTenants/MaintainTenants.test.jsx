@@ -269,7 +269,7 @@ describe('MaintainTenants page', () => {
     renderMaintainTenants()
 
     expect(screen.getByLabelText(/search/i)).toBeInTheDocument()
-    expect(screen.getByLabelText(/status/i)).toBeInTheDocument()
+    expect(screen.getByLabelText(/status/i, { selector: 'select' })).toBeInTheDocument()
     expect(screen.getByLabelText(/tenants table/i)).toBeInTheDocument()
   })
 
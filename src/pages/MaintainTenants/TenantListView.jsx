@@ -6,6 +6,7 @@ import { ErrorSupportPanel } from '../../components/ErrorSupportPanel'
 import { Fieldset } from '../../components/Fieldset'
 import { HorizontalScroll } from '../../components/HorizontalScroll'
 import { Input } from '../../components/Input'
+import { SavedViewsToolbar } from '../../components/SavedViews'
 import { Select } from '../../components/Select'
 import { Status } from '../../components/Status'
 import { Table } from '../../components/Table'
@@ -162,16 +163,19 @@ export function TenantListView({
   allowLifecycleActions = true,
   onBackClick = null,
   allowLinkedUsers = true,
+  allowHistory = false,
   tenantAdminScopeNote = null,
   onCreateClick,
   onEditClick,
   onLinkedUsersClick,
   onAssignAdminClick,
+  onHistoryClick,
   onEnableClick,
   onDisableClick,
   tenantCapacityGuidance,
   lifecycleNote,
   isLifecycleMutationLoading,
+  listView,
 }) {
   const rowActions = useMemo(() => {
     const actions = [
@@ -208,8 +212,12 @@ export function TenantListView({
       )
     }
 
+    if (allowHistory) {
+      actions.push({ label: 'History', disabled: false })
+    }
+
     return actions
-  }, [allowAssignAdmin, allowLifecycleActions, allowLinkedUsers, isLifecycleMutationLoading])
+  }, [allowAssignAdmin, allowHistory, allowLifecycleActions, allowLinkedUsers, isLifecycleMutationLoading])
 
   const handleRowAction = useCallback(
     (label, row) => {
@@ -218,8 +226,9 @@ export function TenantListView({
       if (label === 'Assign Admin') onAssignAdminClick?.(row)
       if (label === 'Enable') onEnableClick?.(row)
       if (label === 'Disable') onDisableClick?.(row)
+      if (label === 'History') onHistoryClick?.(row)
     },
-    [onAssignAdminClick, onDisableClick, onEditClick, onEnableClick, onLinkedUsersClick],
+    [onAssignAdminClick, onDisableClick, onEditClick, onEnableClick, onHistoryClick, onLinkedUsersClick],
   )
   const showActionBar = Boolean(onBackClick) || showCreateAction
 
@@ -228,6 +237,8 @@ export function TenantListView({
       {
         key: 'name',
         label: 'Name',
+        sortable: true,
+        hideable: false,
         render: (value, row) => {
           if (!canEditTenant(row)) return value || '--'
 
@@ -245,6 +256,7 @@ export function TenantListView({
       {
         key: 'website',
         label: 'Website',
+        sortable: true,
         render: (value) => {
           if (!value) return '--'
 
@@ -273,6 +285,7 @@ export function TenantListView({
       {
         key: 'status',
         label: 'Status',
+        sortable: true,
         render: (_value, row) => <TenantStatusCell tenant={row} />,
       },
     ]
@@ -290,6 +303,7 @@ export function TenantListView({
       label: 'Actions',
       align: 'center',
       width: '168px',
+      hideable: false,
       render: (_value, row) => (
         <TenantRowActionsMenu row={row} actions={rowActions} onAction={handleRowAction} />
       ),
@@ -375,6 +389,10 @@ export function TenantListView({
               />
             </div>
 
+            {listView ? (
+              <SavedViewsToolbar listView={listView} columns={columns} idPrefix="tenant-views" />
+            ) : null}
+
             {listAppError ? (
               <ErrorSupportPanel
                 error={listAppError}
@@ -395,6 +413,7 @@ export function TenantListView({
                 hoverable
                 emptyMessage="No tenants found."
                 ariaLabel="Tenants"
+                {...listView?.tableProps}
               />
             </HorizontalScroll>
 
@@ -14,6 +14,7 @@ import {
 import { Button, ButtonGroup } from '../../components/Button'
 import { Dialog } from '../../components/Dialog'
 import { ErrorSupportPanel } from '../../components/ErrorSupportPanel'
+import { RuntimeLiveActivity } from '../../components/RuntimeLiveActivity'
 import { Select } from '../../components/Select'
 import { Spinner } from '../../components/Spinner'
 import { Status } from '../../components/Status'
@@ -35,7 +36,9 @@ import {
   usePublishRuntimeOutcomeAssetMutation,
   useSubmitRuntimeOutcomeMessageMutation,
   useUpdateRuntimeOutcomeSessionFromLatestTruthMutation,
+  useWatchRuntimeInstanceEventsQuery,
 } from '../../store/api/runtimeInstanceApi.js'
+import { isRuntimeEventStreamEnabled } from '../../store/api/runtimeInstanceEvents.js'
 import { formatDateTime } from '../../utils/dateTime.js'
 import { normalizeError, stripRequestReference } from '../../utils/errors.js'
 import {
@@ -249,6 +252,10 @@ function OutcomeStudioWorkspace() {
     { skip: !runtimeInstanceId || !activeSessionId },
   )
   const session = payload(sessionQuery.data) || activeSession
+  const { data: runtimeEventStream } = useWatchRuntimeInstanceEventsQuery(
+    { runtimeInstanceId },
+    { skip: !runtimeInstanceId || !isRuntimeEventStreamEnabled() },
+  )
 
   const [createSession, createState] = useCreateRuntimeOutcomeSessionMutation()
   const [submitMessage, submitState] = useSubmitRuntimeOutcomeMessageMutation()
@@ -618,6 +625,8 @@ function OutcomeStudioWorkspace() {
         <Button variant="outline" size="sm" leftIcon={<MdArrowBack aria-hidden="true" />} onClick={() => navigate(getOutcomeStudioReturnTarget(runtimeInstanceId), { state: location.state?.returnState })}>Execution Workspace</Button>
       </header>
 
+      <RuntimeLiveActivity stream={runtimeEventStream} />
+
       {renderSummary()}
 
       <div className="outcome-studio-workspace__main">
@@ -37,6 +37,7 @@ vi.mock('../../store/api/runtimeInstanceApi.js', () => ({
   usePublishRuntimeOutcomeAssetMutation: vi.fn(),
   useSubmitRuntimeOutcomeMessageMutation: vi.fn(),
   useUpdateRuntimeOutcomeSessionFromLatestTruthMutation: vi.fn(),
+  useWatchRuntimeInstanceEventsQuery: vi.fn(() => ({ data: undefined })),
 }))
 
 const refetchStudio = vi.fn()
@@ -36,11 +36,14 @@ import { HorizontalScroll } from '../../components/HorizontalScroll'
 import { Input } from '../../components/Input'
 import { Link } from '../../components/Link'
 import { ProgressBar } from '../../components/ProgressBar'
+import { Radio } from '../../components/Radio'
+import { RuntimeLiveActivity } from '../../components/RuntimeLiveActivity'
 import { Select } from '../../components/Select'
 import { Spinner } from '../../components/Spinner'
 import { Status } from '../../components/Status'
 import { TabView } from '../../components/TabView'
 import { Textarea } from '../../components/Textarea'
+import { Tickbox } from '../../components/Tickbox'
 import { Tooltip } from '../../components/Tooltip'
 import { useToaster } from '../../components/Toaster'
 import {
@@ -65,7 +68,30 @@ import {
   useReviewRuntimeSectionEvidenceMutation,
   useUpdateRuntimeSectionEvidenceMutation,
   useUpdateRuntimeDiscoveryInputsMutation,
+  useWatchRuntimeInstanceEventsQuery,
 } from '../../store/api/runtimeInstanceApi.js'
+import { isRuntimeEventStreamEnabled } from '../../store/api/runtimeInstanceEvents.js'
+import {
+  isOfflineMutationError,
+  RUNTIME_OUTBOX_STATUSES,
+} from '../../store/slices/runtimeOutboxSlice.js'
+import { useRuntimeOutbox } from '../../hooks/useRuntimeOutbox.js'
+import {
+  DOCUMENT_PREFLIGHT_STATUS,
+  getDocumentSourceKey,
+  useDocumentPreflight,
+} from '../../hooks/useDocumentPreflight.js'
+import { useChunkedDocumentUploads } from '../../hooks/useChunkedDocumentUploads.js'
+import { DOCUMENT_TEXT_ISSUES } from '../../utils/documentTextExtraction.js'
+import { CHUNKED_UPLOAD_STATUS, shouldUploadInChunks } from '../../utils/chunkedUpload.js'
+import {
+  buildRuntimeMergeRows,
+  getRuntimeConcurrencyMarker,
+  getRuntimeMergeWrites,
+  isRuntimeMergeResolved,
+  isRuntimeStaleWriteError,
+  RUNTIME_MERGE_RESOLUTIONS,
+} from '../../utils/runtimeMerge.js'
 import {
   DISCOVERY_ACQUISITION_PROFILE_GUIDANCE,
   DISCOVERY_ACQUISITION_PROFILES,
@@ -86,6 +112,7 @@ import {
 import './RuntimeWorkspace.css'
 
 const EMPTY_ARRAY = Object.freeze([])
+const EMPTY_OBJECT = Object.freeze({})
 const RuntimeGraphPanel = lazy(() => import('../../components/RuntimeGraphPanel'))
 const RUNTIME_WORKSPACE_BACK_FALLBACK = '/app/workspaces/vmf'
 const DISCOVERY_INPUT_LABELS = Object.freeze({
@@ -193,40 +220,76 @@ const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
   reader.readAsDataURL(file)
 })
 
-const buildDiscoveryDocumentSource = async (file) => {
+const assertDiscoveryDocument = (file, documentLabel) => {
   if (!isSupportedDiscoveryDocument(file)) {
-    throw new Error(`${file.name} is not a supported ${INTELLIGENCE_HUB_LABEL} document type.`)
+    throw new Error(`${file.name} is not a supported ${documentLabel} document type.`)
   }
   if (file.size > getDiscoveryDocumentMaxBytes(file)) {
-    throw new Error(`${file.name} exceeds the ${INTELLIGENCE_HUB_LABEL} document size limit.`)
+    throw new Error(`${file.name} exceeds the ${documentLabel} document size limit.`)
   }
+}
 
-  return {
-    fileName: file.name,
-    mimeType: file.type || '',
-    assetType: 'CUSTOMER_DOCUMENT',
-    sizeBytes: file.size,
-    contentBase64: await readFileAsDataUrl(file),
-  }
+// Files too large for one request are staged without content; their
+// chunked upload supplies `uploadId` when the evidence is submitted
+const buildDocumentSource = async (file, assetType) => ({
+  fileName: file.name,
+  mimeType: file.type || '',
+  assetType,
+  sizeBytes: file.size,
+  ...(shouldUploadInChunks(file) ? {} : { contentBase64: await readFileAsDataUrl(file) }),
+})
+
+const buildDiscoveryDocumentSource = async (file) => {
+  assertDiscoveryDocument(file, INTELLIGENCE_HUB_LABEL)
+  return buildDocumentSource(file, 'CUSTOMER_DOCUMENT')
 }
 
 const buildSectionDocumentSource = async (file) => {
-  if (!isSupportedDiscoveryDocument(file)) {
-    throw new Error(`${file.name} is not a supported section evidence document type.`)
-  }
-  if (file.size > getDiscoveryDocumentMaxBytes(file)) {
-    throw new Error(`${file.name} exceeds the section evidence document size limit.`)
-  }
+  assertDiscoveryDocument(file, 'section evidence')
+  return buildDocumentSource(file, 'SECTION_SUPPORTING_FILE')
+}
 
-  return {
-    fileName: file.name,
-    mimeType: file.type || '',
-    assetType: 'SECTION_SUPPORTING_FILE',
-    sizeBytes: file.size,
-    contentBase64: await readFileAsDataUrl(file),
-  }
+const attachDocumentUploadIds = (documentSources, uploads) => documentSources.map((documentSource) => {
+  if (documentSource.contentBase64) return documentSource
+  const upload = uploads.find((candidate) =>
+    candidate.key === getDocumentSourceKey(documentSource) && candidate.status === CHUNKED_UPLOAD_STATUS.COMPLETE)
+  return upload ? { ...documentSource, uploadId: upload.uploadId } : documentSource
+})
+
+// True while a staged document still needs its chunked upload to finish
+// (extracted text, when sent instead, doesn't wait for the upload)
+const isDocumentUploadPending = (documentSources, { uploads, previews, textOnly }) =>
+  documentSources.some((documentSource) =>
+    !documentSource.contentBase64
+    && !(textOnly && getExtractedDocumentText(documentSource, previews))
+    && !uploads.some((upload) =>
+      upload.key === getDocumentSourceKey(documentSource) && upload.status === CHUNKED_UPLOAD_STATUS.COMPLETE))
+
+const DOCUMENT_UPLOAD_PENDING_MESSAGE = 'Wait for selected documents to finish uploading.'
+
+// Swaps each staged document for its pre-flight text, when the whole text
+// layer was read (PDFs with font-encoded text still go up as originals)
+const getExtractedDocumentText = (documentSource, previews) => {
+  const preview = previews.find((candidate) => candidate.key === getDocumentSourceKey(documentSource))
+  const result = preview?.status === DOCUMENT_PREFLIGHT_STATUS.READY ? preview.result : null
+  return result?.text && !result.hasEncodedText ? result.text : ''
 }
 
+const buildExtractedTextDocumentSources = (documentSources, previews) =>
+  Promise.all(documentSources.map(async (documentSource) => {
+    const text = getExtractedDocumentText(documentSource, previews)
+    if (!text) return documentSource
+
+    const textFile = new File([text], `${documentSource.fileName}.txt`, { type: 'text/plain' })
+    return {
+      ...documentSource,
+      fileName: textFile.name,
+      mimeType: textFile.type,
+      sizeBytes: textFile.size,
+      contentBase64: await readFileAsDataUrl(textFile),
+    }
+  }))
+
 const formatDocumentSize = (sizeBytes = 0) =>
   `${Math.max(1, Math.round((Number(sizeBytes) || 0) / 1024))} KB`
 
@@ -234,10 +297,23 @@ const DOCUMENT_EXTRACTION_STORAGE_NOTE = 'Original documents are not stored. Onl
 const DOCUMENT_EXTRACTION_HELPER_TEXT = 'PDF, PPTX, DOCX, TXT, MD, or CSV. Files are used only to extract evidence; originals are not stored.'
 const PDF_UNREADABLE_TEXT_ERROR_PREFIX = 'PDF document did not contain readable extractable text'
 const PDF_UNREADABLE_TEXT_HELPER = 'This PDF has no readable text layer. Use an OCR/searchable PDF, PPTX, DOCX, TXT, MD, or CSV.'
+const PDF_NOT_INSPECTED_HELPER = 'This PDF could not be checked here because it is encrypted or compressed in a way the browser cannot read. The server will check it on upload.'
 const PPTX_UNREADABLE_TEXT_ERROR_PREFIX = 'PowerPoint document did not contain readable extractable slide text or speaker notes'
 const PPTX_UNREADABLE_TEXT_HELPER = 'This PowerPoint file has no extractable slide text or speaker notes. Use a PPTX with selectable text.'
 const PPTX_MALFORMED_ERROR_PREFIX = 'PowerPoint file is not a valid PPTX package'
 const PPTX_MALFORMED_HELPER = 'We could not extract this presentation. Confirm that it is a valid PPTX file.'
+const DOCX_MALFORMED_HELPER = 'We could not read this Word document. Confirm that it is a valid DOCX file.'
+const DOCUMENT_NO_TEXT_HELPER = 'This document has no readable text.'
+const DOCUMENT_PREFLIGHT_ISSUE_HELPERS = Object.freeze({
+  [DOCUMENT_TEXT_ISSUES.PDF_NO_TEXT]: PDF_UNREADABLE_TEXT_HELPER,
+  [DOCUMENT_TEXT_ISSUES.PDF_NOT_INSPECTED]: PDF_NOT_INSPECTED_HELPER,
+  [DOCUMENT_TEXT_ISSUES.PPTX_NO_TEXT]: PPTX_UNREADABLE_TEXT_HELPER,
+  [DOCUMENT_TEXT_ISSUES.PPTX_MALFORMED]: PPTX_MALFORMED_HELPER,
+  [DOCUMENT_TEXT_ISSUES.DOCX_MALFORMED]: DOCX_MALFORMED_HELPER,
+  [DOCUMENT_TEXT_ISSUES.NO_TEXT]: DOCUMENT_NO_TEXT_HELPER,
+})
+const DOCUMENT_TEXT_ONLY_LABEL = 'Send extracted text only'
+const DOCUMENT_UPLOAD_ANYWAY_LABEL = 'Upload anyway'
 const DOCUMENT_INGESTION_FAILED_REASON = 'DOCUMENT_INGESTION_FAILED'
 const DOCUMENT_INGESTION_FAILED_MESSAGE = 'Document ingestion could not produce governed evidence.'
 
@@ -333,31 +409,167 @@ function DocumentStorageTooltip({ id }) {
   )
 }
 
-function SelectedDocumentUploadList({ ariaLabel, documents = [] }) {
-  if (!Array.isArray(documents) || documents.length === 0) return null
+// Pre-flight reasons a selected document may be rejected, one per file.
+// Warnings only: the user can still upload and let the server decide.
+const getDocumentPreflightWarning = (previews = []) =>
+  previews
+    .filter((preview) => preview.status === DOCUMENT_PREFLIGHT_STATUS.WARNING)
+    .map((preview) => `${preview.fileName}: ${DOCUMENT_PREFLIGHT_ISSUE_HELPERS[preview.result?.issue] || DOCUMENT_NO_TEXT_HELPER}`)
+    .join(' ')
+
+const pluralizeCount = (count, noun) => `${Number(count).toLocaleString()} ${noun}${count === 1 ? '' : 's'}`
+
+const formatDocumentPreviewSummary = (preview) => {
+  if (!preview) return ''
+  if (preview.status === DOCUMENT_PREFLIGHT_STATUS.CHECKING) {
+    const { processed, total, unit } = preview.progress ?? {}
+    return total ? `Reading text (${processed}/${total} ${unit})` : 'Reading text'
+  }
+  if (preview.status === DOCUMENT_PREFLIGHT_STATUS.FAILED) return 'Text preview unavailable'
+
+  const { characterCount = 0, slideCount, pageCount, rowCount, hasEncodedText } = preview.result ?? {}
+  return [
+    pluralizeCount(characterCount, 'character'),
+    slideCount !== undefined ? pluralizeCount(slideCount, 'slide') : '',
+    pageCount ? pluralizeCount(pageCount, 'page') : '',
+    rowCount !== undefined ? pluralizeCount(rowCount, 'row') : '',
+    hasEncodedText ? 'some text can only be read on upload' : '',
+  ].filter(Boolean).join(' · ')
+}
+
+const DOCUMENT_UPLOAD_STATUS_LABELS = Object.freeze({
+  [CHUNKED_UPLOAD_STATUS.UPLOADING]: 'Uploading',
+  [CHUNKED_UPLOAD_STATUS.PAUSED]: 'Paused',
+  [CHUNKED_UPLOAD_STATUS.FAILED]: 'Upload failed',
+})
+
+const getDocumentUploadBadge = (preview, upload) => {
+  if (preview?.status === DOCUMENT_PREFLIGHT_STATUS.WARNING) {
+    return {
+      variant: 'warning',
+      label: preview.result?.issue === DOCUMENT_TEXT_ISSUES.PDF_NOT_INSPECTED ? 'Not checked' : 'No readable text',
+    }
+  }
+  if (preview?.status === DOCUMENT_PREFLIGHT_STATUS.CHECKING) return { variant: 'info', label: 'Checking text' }
+  if (upload?.status === CHUNKED_UPLOAD_STATUS.UPLOADING) return { variant: 'info', label: 'Uploading' }
+  if (upload?.status === CHUNKED_UPLOAD_STATUS.PAUSED) return { variant: 'warning', label: 'Paused' }
+  if (upload?.status === CHUNKED_UPLOAD_STATUS.FAILED) return { variant: 'danger', label: 'Upload failed' }
+  return { variant: 'success', label: 'Ready to extract' }
+}
+
+function DocumentUploadProgress({ upload, onPause, onResume, onCancel }) {
+  const percent = upload.totalBytes > 0 ? Math.floor((upload.uploadedBytes / upload.totalBytes) * 100) : 0
+  const statusLabel = DOCUMENT_UPLOAD_STATUS_LABELS[upload.status]
+
+  return (
+    <span className="runtime-workspace__document-upload-progress">
+      <ProgressBar
+        ariaLabel={`${upload.fileName} upload progress`}
+        size="sm"
+        value={percent}
+        valueLabel={`${percent}%`}
+        variant={upload.status === CHUNKED_UPLOAD_STATUS.FAILED ? 'danger' : 'primary'}
+      />
+      <span>
+        {`${statusLabel} · ${formatDocumentSize(upload.uploadedBytes)} of ${formatDocumentSize(upload.totalBytes)}`}
+        {upload.error ? ` · ${upload.error}` : ''}
+      </span>
+      <span className="runtime-workspace__document-upload-actions">
+        {upload.status === CHUNKED_UPLOAD_STATUS.UPLOADING ? (
+          <Button type="button" variant="ghost" size="sm" onClick={() => onPause?.(upload.key)}>
+            Pause
+          </Button>
+        ) : (
+          <Button type="button" variant="ghost" size="sm" onClick={() => onResume?.(upload.key)}>
+            {upload.status === CHUNKED_UPLOAD_STATUS.FAILED ? 'Retry' : 'Resume'}
+          </Button>
+        )}
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          aria-label={`Cancel upload of ${upload.fileName}`}
+          onClick={() => onCancel?.(upload.key)}
+        >
+          Cancel
+        </Button>
+      </span>
+    </span>
+  )
+}
+
+function SelectedDocumentUploadList({
+  ariaLabel,
+  documents = [],
+  previews = [],
+  uploads = [],
+  onPauseUpload,
+  onResumeUpload,
+  onCancelUpload,
+}) {
+  const hasDocuments = Array.isArray(documents) && documents.length > 0
+  // Before sources are staged, list what pre-flight is checking
+  const items = hasDocuments ? documents : previews
+  if (!Array.isArray(items) || items.length === 0) return null
 
   return (
     <ul
       className="runtime-workspace__plain-list runtime-workspace__document-upload-list runtime-workspace__document-upload-list--selected"
       aria-label={ariaLabel}
     >
-      {documents.map((documentSource) => (
-        <li
-          className="runtime-workspace__document-upload-item"
-          key={`${documentSource.fileName}-${documentSource.sizeBytes}`}
-        >
-          <span className="runtime-workspace__document-upload-ready-icon" aria-hidden="true">
-            <MdCheckCircle />
-          </span>
-          <span className="runtime-workspace__document-upload-copy">
-            <strong>{documentSource.fileName}</strong>
-            <span>{`${formatDocumentSize(documentSource.sizeBytes)} staged for extraction`}</span>
-          </span>
-          <Badge variant="success" size="sm" pill outline>
-            Ready to extract
-          </Badge>
-        </li>
-      ))}
+      {items.map((item) => {
+        const key = getDocumentSourceKey(item)
+        const preview = previews.find((candidate) => candidate.key === key)
+        const upload = uploads.find((candidate) => candidate.key === key)
+        const isFlagged = preview?.status === DOCUMENT_PREFLIGHT_STATUS.WARNING
+        const isChecking = preview?.status === DOCUMENT_PREFLIGHT_STATUS.CHECKING
+        const isUploadPending = Boolean(upload) && upload.status !== CHUNKED_UPLOAD_STATUS.COMPLETE
+        const previewSummary = formatDocumentPreviewSummary(preview)
+        const badge = getDocumentUploadBadge(preview, upload)
+
+        return (
+          <li
+            className={`runtime-workspace__document-upload-item${
+              isFlagged ? ' runtime-workspace__document-upload-item--warning' : ''
+            }${isUploadPending ? ' runtime-workspace__document-upload-item--uploading' : ''}`}
+            key={key}
+          >
+            <span className="runtime-workspace__document-upload-ready-icon" aria-hidden="true">
+              {isFlagged || upload?.status === CHUNKED_UPLOAD_STATUS.FAILED
+                ? <MdErrorOutline />
+                : isChecking || upload?.status === CHUNKED_UPLOAD_STATUS.UPLOADING
+                  ? <Spinner size="sm" />
+                  : <MdCheckCircle />}
+            </span>
+            <span className="runtime-workspace__document-upload-copy">
+              <strong>{item.fileName}</strong>
+              <span>
+                {hasDocuments
+                  ? `${formatDocumentSize(item.sizeBytes)} staged for extraction`
+                  : formatDocumentSize(item.sizeBytes)}
+              </span>
+              {previewSummary ? <span>{previewSummary}</span> : null}
+              {preview?.result?.previewText ? (
+                <details className="runtime-workspace__document-upload-preview">
+                  <summary>Preview text</summary>
+                  <p>{preview.result.previewText}</p>
+                </details>
+              ) : null}
+              {isUploadPending ? (
+                <DocumentUploadProgress
+                  upload={upload}
+                  onPause={onPauseUpload}
+                  onResume={onResumeUpload}
+                  onCancel={onCancelUpload}
+                />
+              ) : null}
+            </span>
+            <Badge variant={badge.variant} size="sm" pill outline>
+              {badge.label}
+            </Badge>
+          </li>
+        )
+      })}
     </ul>
   )
 }
@@ -2009,6 +2221,26 @@ const getSectionNavigationStatus = (section, options = {}) => {
   return hasGenerated ? 'Generated' : hasInput ? 'Input Captured' : 'Input Required'
 }
 
+const RUNTIME_OUTBOX_NAV_STATUS_LABELS = Object.freeze({
+  [RUNTIME_OUTBOX_STATUSES.PENDING]: 'Pending Sync',
+  [RUNTIME_OUTBOX_STATUSES.REPLAYING]: 'Syncing',
+  [RUNTIME_OUTBOX_STATUSES.CONFLICT]: 'Sync Conflict',
+  [RUNTIME_OUTBOX_STATUSES.FAILED]: 'Sync Failed',
+})
+
+const RUNTIME_OUTBOX_QUEUED_MESSAGE = 'You are offline. This edit is saved on this device and will sync when you reconnect.'
+
+const isBrowserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+const getRuntimeSectionFeedback = (feedback, outbox) => {
+  if (outbox?.status === RUNTIME_OUTBOX_STATUSES.CONFLICT || outbox?.status === RUNTIME_OUTBOX_STATUSES.FAILED) {
+    return { variant: 'error', message: outbox.message }
+  }
+  // The queued notice is stale once the outbox has replayed the edit.
+  if (feedback?.message === RUNTIME_OUTBOX_QUEUED_MESSAGE && !outbox) return null
+  return feedback
+}
+
 const getSectionDisplayLabel = (section, fallback = 'Runtime field') => {
   const rawLabel = String(
     section?.shortLabel
@@ -2262,6 +2494,8 @@ function RuntimeSection({
   generationActions = {},
   id,
   lockedInspection = false,
+  onEditDiscard,
+  onEditStart,
   onExecuteSectionAction,
   onAcceptSection,
   onClearSectionEvidence,
@@ -2274,6 +2508,7 @@ function RuntimeSection({
   onNext,
   onUploadSectionEvidence,
   reviewingSectionEvidenceObjectId = '',
+  runtimeInstanceId = '',
   section,
   showRuntimePath = false,
   clearingSectionEvidencePath = '',
@@ -2291,8 +2526,23 @@ function RuntimeSection({
   const [sectionDocumentUploadError, setSectionDocumentUploadError] = useState('')
   const [sectionDocumentUploadPreparing, setSectionDocumentUploadPreparing] = useState(false)
   const [showSectionEvidenceClearWarning, setShowSectionEvidenceClearWarning] = useState(false)
+  const [sectionDocumentTextOnly, setSectionDocumentTextOnly] = useState(false)
   const sectionDocumentUploadPreparingRef = useRef(false)
   const sectionDocumentInputRef = useRef(null)
+  const {
+    isSupported: isSectionDocumentPreflightSupported,
+    previews: sectionDocumentPreviews,
+    runPreflight: runSectionDocumentPreflight,
+    resetPreflight: resetSectionDocumentPreflight,
+  } = useDocumentPreflight()
+  const {
+    uploads: sectionDocumentUploads,
+    startUploads: startSectionDocumentUploads,
+    pauseUpload: pauseSectionDocumentUpload,
+    resumeUpload: resumeSectionDocumentUpload,
+    cancelUpload: cancelSectionDocumentUpload,
+    resetUploads: resetSectionDocumentUploads,
+  } = useChunkedDocumentUploads({ runtimeInstanceId, assetType: 'SECTION_SUPPORTING_FILE' })
   const editable = Boolean(section?.editable)
   const isDirty = draftValue !== currentValue
   const isSaving = Boolean(disabled)
@@ -2549,6 +2799,8 @@ function RuntimeSection({
 
   const handleChange = (event) => {
     setLocalError('')
+    // The first change from the saved value starts an edit
+    if (!isDirty) onEditStart?.({ section })
     setDraftValue(event.target.value)
   }
 
@@ -2574,6 +2826,7 @@ function RuntimeSection({
   const handleDiscardContextChanges = () => {
     setLocalError('')
     setDraftValue(currentValue)
+    onEditDiscard?.({ section })
   }
 
   const handleNext = async () => {
@@ -2643,6 +2896,8 @@ function RuntimeSection({
     const files = Array.from(event.target.files || [])
     setSectionDocumentUploadError('')
     setSectionDocumentSources([])
+    resetSectionDocumentPreflight()
+    resetSectionDocumentUploads()
 
     if (files.length === 0) return
     if (files.length > DISCOVERY_DOCUMENT_MAX_COUNT) {
@@ -2654,8 +2909,13 @@ function RuntimeSection({
     setSectionDocumentUploadPreparing(true)
 
     try {
+      files.forEach((file) => assertDiscoveryDocument(file, 'section evidence'))
+      const previews = await runSectionDocumentPreflight(files)
+      if (!previews) return
+
       const documentSources = await Promise.all(files.map(buildSectionDocumentSource))
       setSectionDocumentSources(documentSources)
+      startSectionDocumentUploads(files.filter((file) => shouldUploadInChunks(file)))
     } catch (uploadError) {
       setSectionDocumentSources([])
       setSectionDocumentUploadError(uploadError?.message || 'One or more section documents could not be prepared.')
@@ -2668,11 +2928,27 @@ function RuntimeSection({
   const handleClearSectionEvidenceFiles = () => {
     setSectionDocumentSources([])
     setSectionDocumentUploadError('')
+    resetSectionDocumentPreflight()
+    resetSectionDocumentUploads()
     if (sectionDocumentInputRef.current) {
       sectionDocumentInputRef.current.value = ''
     }
   }
 
+  const sectionDocumentPreflightWarning = sectionDocumentSources.length > 0
+    ? getDocumentPreflightWarning(sectionDocumentPreviews)
+    : ''
+  const sectionDocumentUploadPending = isDocumentUploadPending(sectionDocumentSources, {
+    uploads: sectionDocumentUploads,
+    previews: sectionDocumentPreviews,
+    textOnly: sectionDocumentTextOnly,
+  })
+
+  const handleCancelSectionDocumentUpload = (key) => {
+    cancelSectionDocumentUpload(key)
+    setSectionDocumentSources((current) => current.filter((documentSource) => getDocumentSourceKey(documentSource) !== key))
+  }
+
   const handleSectionEvidenceUpload = async () => {
     if (sectionDocumentUploadPreparingRef.current || sectionDocumentUploadPreparing) {
       setSectionDocumentUploadError('Wait for selected documents to finish preparing.')
@@ -2680,13 +2956,20 @@ function RuntimeSection({
     }
     if (sectionDocumentUploadError || sectionDocumentSources.length === 0) return
 
-    const uploaded = await onUploadSectionEvidence?.({
-      section,
-      documentSources: sectionDocumentSources,
-    })
+    if (sectionDocumentUploadPending) return
+
+    const documentSources = attachDocumentUploadIds(
+      sectionDocumentTextOnly
+        ? await buildExtractedTextDocumentSources(sectionDocumentSources, sectionDocumentPreviews)
+        : sectionDocumentSources,
+      sectionDocumentUploads,
+    )
+    const uploaded = await onUploadSectionEvidence?.({ section, documentSources })
     if (uploaded) {
       setSectionDocumentSources([])
       setSectionDocumentUploadError('')
+      resetSectionDocumentPreflight()
+      resetSectionDocumentUploads({ discard: false })
       if (sectionDocumentInputRef.current) {
         sectionDocumentInputRef.current.value = ''
       }
@@ -2796,7 +3079,9 @@ function RuntimeSection({
           ? 'Wait for selected documents to finish preparing.'
           : sectionDocumentUploadError
             ? sectionDocumentUploadError
-            : ''
+            : sectionDocumentUploadPending
+              ? DOCUMENT_UPLOAD_PENDING_MESSAGE
+              : ''
   const showSectionEvidenceUploadButton = sectionDocumentSources.length > 0
     && !sectionDocumentUploadError
     && !sectionDocumentUploadPreparing
@@ -2940,13 +3225,13 @@ function RuntimeSection({
               type="button"
               variant="primary"
               size="sm"
-              disabled={isUploadingSectionEvidence}
+              disabled={isUploadingSectionEvidence || sectionDocumentUploadPending}
               loading={isUploadingSectionEvidence}
               aria-describedby={sectionEvidenceUploadDisabledReason ? sectionEvidenceUploadReasonId : undefined}
               leftIcon={<MdUploadFile aria-hidden="true" />}
               onClick={handleSectionEvidenceUpload}
             >
-              Extract Evidence
+              {sectionDocumentPreflightWarning ? DOCUMENT_UPLOAD_ANYWAY_LABEL : 'Extract Evidence'}
             </Button>
           ) : null}
         </div>
@@ -2959,10 +3244,28 @@ function RuntimeSection({
         {sectionDocumentUploadError ? (
           <Status variant="error" size="sm" showIcon>{sectionDocumentUploadError}</Status>
         ) : null}
+        {sectionDocumentPreflightWarning && !sectionDocumentUploadError ? (
+          <Status variant="warning" size="sm" showIcon>{sectionDocumentPreflightWarning}</Status>
+        ) : null}
         <SelectedDocumentUploadList
           ariaLabel="Selected section supporting files"
           documents={sectionDocumentSources}
+          previews={sectionDocumentPreviews}
+          uploads={sectionDocumentUploads}
+          onPauseUpload={pauseSectionDocumentUpload}
+          onResumeUpload={resumeSectionDocumentUpload}
+          onCancelUpload={handleCancelSectionDocumentUpload}
         />
+        {isSectionDocumentPreflightSupported && sectionDocumentSources.length > 0 ? (
+          <Tickbox
+            id={`${section.key}-section-documents-text-only`}
+            size="sm"
+            label={DOCUMENT_TEXT_ONLY_LABEL}
+            checked={sectionDocumentTextOnly}
+            disabled={isUploadingSectionEvidence}
+            onChange={(event) => setSectionDocumentTextOnly(event.target.checked)}
+          />
+        ) : null}
         {sectionEvidenceUploadDisabledReason && showSectionEvidenceUploadButton ? (
           <p
             id={sectionEvidenceUploadReasonId}
@@ -3589,19 +3892,24 @@ function RuntimeSectionNavigation({
   onSelectOutcomeStudio,
   onSelectOutputLab,
   onSelectSection,
+  outboxStatusByPath = EMPTY_OBJECT,
   outcomeStudioState = 'Not Ready',
   outputLabState = 'Not Ready',
   sections = EMPTY_ARRAY,
 }) {
   const navItems = sections.map((section, index) => {
     const label = getSectionDisplayLabel(section, `Guided item ${index + 1}`)
-    const status = getSectionNavigationStatus(section, { lockedInspection })
+    const outbox = section?.runtimePath ? outboxStatusByPath[section.runtimePath] : null
+    const status = outbox
+      ? RUNTIME_OUTBOX_NAV_STATUS_LABELS[outbox.status]
+      : getSectionNavigationStatus(section, { lockedInspection })
     const sectionKey = section?.sectionKey || section?.key || getSectionDomId(section, index)
     const displayNumber = index + 1
     return {
       displayNumber,
       isActive: activeKey === sectionKey,
       label,
+      outbox,
       sectionKey,
       status,
       index,
@@ -3614,13 +3922,14 @@ function RuntimeSectionNavigation({
         className={[
           'runtime-workspace__section-nav-button',
           item.isActive && 'runtime-workspace__section-nav-button--active',
+          item.outbox && `runtime-workspace__section-nav-button--outbox-${item.outbox.status.toLowerCase()}`,
         ].filter(Boolean).join(' ')}
         aria-current={item.isActive ? 'step' : undefined}
         onClick={() => onSelectSection?.(item.index)}
       >
         <span>{item.displayNumber}</span>
         <strong title={item.label}>{item.label}</strong>
-        <small>{item.status}</small>
+        <small title={item.outbox?.message || undefined}>{item.status}</small>
       </button>
     </li>
   )
@@ -4286,6 +4595,21 @@ function DiscoverySection({
   const showRuntimeGraphPanel = graphProjectionEnabled && Boolean(runtimeGraph || runtimeGraphError || runtimeGraphLoading)
   const documentUploadPreparingRef = useRef(false)
   const discoveryDocumentInputRef = useRef(null)
+  const [discoveryDocumentTextOnly, setDiscoveryDocumentTextOnly] = useState(false)
+  const {
+    isSupported: isDiscoveryDocumentPreflightSupported,
+    previews: discoveryDocumentPreviews,
+    runPreflight: runDiscoveryDocumentPreflight,
+    resetPreflight: resetDiscoveryDocumentPreflight,
+  } = useDocumentPreflight()
+  const {
+    uploads: discoveryDocumentUploads,
+    startUploads: startDiscoveryDocumentUploads,
+    pauseUpload: pauseDiscoveryDocumentUpload,
+    resumeUpload: resumeDiscoveryDocumentUpload,
+    cancelUpload: cancelDiscoveryDocumentUpload,
+    resetUploads: resetDiscoveryDocumentUploads,
+  } = useChunkedDocumentUploads({ runtimeInstanceId, assetType: 'CUSTOMER_DOCUMENT' })
   const inputSummaryKeys = Array.isArray(discovery?.inputSummary?.keys) ? discovery.inputSummary.keys : []
   const evidenceSummaryKeys = Array.isArray(discovery?.evidenceSummary?.keys) ? discovery.evidenceSummary.keys : []
   const inputsSummary = formatDiscoveryInputsSummary({
@@ -4464,9 +4788,18 @@ function DiscoverySection({
   const acceptAction = discoveryActions[DISCOVERY_ACTION_KEYS.ACCEPT_EVIDENCE] || null
   const buildButtonLabel = hasEvidence ? 'Refresh Evidence Pack' : 'Build Evidence Pack'
   const contextReadiness = buildDiscoveryContextReadiness(draftInputs)
+  const discoveryDocumentPreflightWarning = draftDocumentSources.length > 0
+    ? getDocumentPreflightWarning(discoveryDocumentPreviews)
+    : ''
+  const discoveryDocumentUploadPending = isDocumentUploadPending(draftDocumentSources, {
+    uploads: discoveryDocumentUploads,
+    previews: discoveryDocumentPreviews,
+    textOnly: discoveryDocumentTextOnly,
+  })
   const documentBuildDisabledReason = documentUploadPreparing
     ? 'Wait for selected documents to finish preparing before refreshing evidence.'
     : documentUploadError
+      || (discoveryDocumentUploadPending ? DOCUMENT_UPLOAD_PENDING_MESSAGE : '')
   const buildDisabledReason = mutationDisabledReason
     || documentBuildDisabledReason
     || contextReadiness.reason
@@ -4583,6 +4916,8 @@ function DiscoverySection({
     documentUploadPreparingRef.current = true
     setDocumentUploadPreparing(true)
     setDocumentUploadError('')
+    resetDiscoveryDocumentPreflight()
+    resetDiscoveryDocumentUploads()
 
     try {
       if (files.length === 0) {
@@ -4596,8 +4931,13 @@ function DiscoverySection({
         return
       }
 
+      files.forEach((file) => assertDiscoveryDocument(file, INTELLIGENCE_HUB_LABEL))
+      const previews = await runDiscoveryDocumentPreflight(files)
+      if (!previews) return
+
       const documentSources = await Promise.all(files.map(buildDiscoveryDocumentSource))
       setDraftDocumentSources(documentSources)
+      startDiscoveryDocumentUploads(files.filter((file) => shouldUploadInChunks(file)))
     } catch (err) {
       setDraftDocumentSources([])
       setDocumentUploadError(err?.message || 'One or more documents could not be prepared for extraction.')
@@ -4610,11 +4950,18 @@ function DiscoverySection({
   const handleClearDiscoveryDocuments = () => {
     setDraftDocumentSources([])
     setDocumentUploadError('')
+    resetDiscoveryDocumentPreflight()
+    resetDiscoveryDocumentUploads()
     if (discoveryDocumentInputRef.current) {
       discoveryDocumentInputRef.current.value = ''
     }
   }
 
+  const handleCancelDiscoveryDocumentUpload = (key) => {
+    cancelDiscoveryDocumentUpload(key)
+    setDraftDocumentSources((current) => current.filter((documentSource) => getDocumentSourceKey(documentSource) !== key))
+  }
+
   const handleRefreshEvidence = async (event) => {
     event.preventDefault()
     if (isInspectionMode) return false
@@ -4623,16 +4970,26 @@ function DiscoverySection({
       return false
     }
     if (documentUploadError) return false
+    if (discoveryDocumentUploadPending) return false
     if (!contextReadiness.complete) return false
 
     const refreshed = await onRefreshEvidence?.({
       acquisitionProfile,
-      documentSources: draftDocumentSources.length > 0 ? draftDocumentSources : undefined,
+      documentSources: draftDocumentSources.length === 0
+        ? undefined
+        : attachDocumentUploadIds(
+          discoveryDocumentTextOnly
+            ? await buildExtractedTextDocumentSources(draftDocumentSources, discoveryDocumentPreviews)
+            : draftDocumentSources,
+          discoveryDocumentUploads,
+        ),
       inputs: buildDiscoveryInputsPayload(draftInputs),
     })
     if (refreshed) {
       setDraftDocumentSources([])
       setDocumentUploadError('')
+      resetDiscoveryDocumentPreflight()
+      resetDiscoveryDocumentUploads({ discard: false })
       if (discoveryDocumentInputRef.current) {
         discoveryDocumentInputRef.current.value = ''
       }
@@ -4648,6 +5005,8 @@ function DiscoverySection({
     setDraftInputs(buildEmptyDiscoveryDraftInputs())
     setDraftDocumentSources([])
     setDocumentUploadError('')
+    resetDiscoveryDocumentPreflight()
+    resetDiscoveryDocumentUploads()
     setAcquisitionProfile(DISCOVERY_ACQUISITION_PROFILES.STANDARD)
     setShowResetWarning(false)
   }
@@ -5528,12 +5887,14 @@ function DiscoverySection({
                                   type="submit"
                                   variant="primary"
                                   size="sm"
-                                  disabled={saving || isBuildExecuting}
+                                  disabled={saving || isBuildExecuting || discoveryDocumentUploadPending}
                                   loading={saving || isBuildExecuting}
-                                  aria-label={`Extract ${INTELLIGENCE_HUB_LABEL} document evidence`}
+                                  aria-label={discoveryDocumentPreflightWarning
+                                    ? `${DOCUMENT_UPLOAD_ANYWAY_LABEL}: extract ${INTELLIGENCE_HUB_LABEL} document evidence`
+                                    : `Extract ${INTELLIGENCE_HUB_LABEL} document evidence`}
                                   leftIcon={<MdUploadFile aria-hidden="true" />}
                                 >
-                                  Extract Evidence
+                                  {discoveryDocumentPreflightWarning ? DOCUMENT_UPLOAD_ANYWAY_LABEL : 'Extract Evidence'}
                                 </Button>
                               ) : null}
                             </>
@@ -5548,10 +5909,28 @@ function DiscoverySection({
                         {documentUploadError ? (
                           <Status variant="error" size="sm" showIcon>{documentUploadError}</Status>
                         ) : null}
+                        {discoveryDocumentPreflightWarning && !documentUploadError ? (
+                          <Status variant="warning" size="sm" showIcon>{discoveryDocumentPreflightWarning}</Status>
+                        ) : null}
                         <SelectedDocumentUploadList
                           ariaLabel={`Selected ${INTELLIGENCE_HUB_LABEL} documents`}
                           documents={draftDocumentSources}
+                          previews={discoveryDocumentPreviews}
+                          uploads={discoveryDocumentUploads}
+                          onPauseUpload={pauseDiscoveryDocumentUpload}
+                          onResumeUpload={resumeDiscoveryDocumentUpload}
+                          onCancelUpload={handleCancelDiscoveryDocumentUpload}
                         />
+                        {isDiscoveryDocumentPreflightSupported && draftDocumentSources.length > 0 ? (
+                          <Tickbox
+                            id="runtime-discovery-documents-text-only"
+                            size="sm"
+                            label={DOCUMENT_TEXT_ONLY_LABEL}
+                            checked={discoveryDocumentTextOnly}
+                            disabled={disabled || saving}
+                            onChange={(event) => setDiscoveryDocumentTextOnly(event.target.checked)}
+                          />
+                        ) : null}
                       </div>
                       <Status variant={draftDocumentSources.length > 0 ? 'success' : 'neutral'} size="sm" showIcon>
                         {isInspectionMode
@@ -6046,6 +6425,138 @@ function DiscoverySection({
   )
 }
 
+const formatRuntimeMergeValue = (section, value) => {
+  if (!hasRuntimeValue(value)) return 'Empty'
+  const control = String(section?.control ?? 'TEXT').trim().toUpperCase()
+  if (control === 'CHECKBOX' || typeof value === 'boolean') return value === true || value === 'true' ? 'Yes' : 'No'
+  if (control === 'SELECT') return getAllowedValueLabel(section, value)
+  return stringifyDraftValue(value)
+}
+
+function RuntimeMergeDialog({
+  merge = null,
+  onApply,
+  onCancel,
+  onResolve,
+  saving = false,
+}) {
+  const rows = merge?.rows ?? EMPTY_ARRAY
+  const canApply = isRuntimeMergeResolved(rows) && !saving
+
+  return (
+    <Dialog
+      open={Boolean(merge)}
+      onClose={onCancel}
+      size="lg"
+      closeOnBackdropClick={!saving}
+      closeOnEscape={!saving}
+      showCloseButton={!saving}
+      className="runtime-workspace__merge-dialog"
+      aria-labelledby="runtime-workspace-merge-title"
+      aria-describedby="runtime-workspace-merge-copy"
+    >
+      <Dialog.Header>
+        <h2 id="runtime-workspace-merge-title">Resolve Conflicting Edits</h2>
+      </Dialog.Header>
+      <Dialog.Body>
+        <p id="runtime-workspace-merge-copy" className="runtime-workspace__merge-copy">
+          Someone saved this runtime after you started editing. Compare each changed field and choose which value to keep.
+        </p>
+        <ul className="runtime-workspace__merge-list" aria-label="Changed runtime fields">
+          {rows.map((row) => {
+            const label = getSectionDisplayLabel(row.section)
+            const radioName = `runtime-merge-${row.runtimePath}`
+            return (
+              <li
+                key={row.runtimePath}
+                className={[
+                  'runtime-workspace__merge-row',
+                  row.conflicting && 'runtime-workspace__merge-row--conflicting',
+                ].filter(Boolean).join(' ')}
+              >
+                <div className="runtime-workspace__merge-row-heading">
+                  <strong>{label}</strong>
+                  {row.conflicting ? (
+                    <Badge variant="danger" size="sm" pill>Both changed</Badge>
+                  ) : (
+                    <Badge variant="neutral" size="sm" pill outline>
+                      {row.mineChanged ? 'Your change' : 'Their change'}
+                    </Badge>
+                  )}
+                </div>
+                <dl className="runtime-workspace__merge-values">
+                  <div>
+                    <dt>Base</dt>
+                    <dd>{formatRuntimeMergeValue(row.section, row.base)}</dd>
+                  </div>
+                  <div>
+                    <dt>Theirs</dt>
+                    <dd>{formatRuntimeMergeValue(row.section, row.theirs)}</dd>
+                  </div>
+                  <div>
+                    <dt>Mine</dt>
+                    <dd>{formatRuntimeMergeValue(row.section, row.mine)}</dd>
+                  </div>
+                </dl>
+                {row.conflicting ? (
+                  <fieldset className="runtime-workspace__merge-choice">
+                    <legend>{`Keep for ${label}`}</legend>
+                    <Radio
+                      id={`${radioName}-mine`}
+                      name={radioName}
+                      value={RUNTIME_MERGE_RESOLUTIONS.MINE}
+                      label="Keep mine"
+                      size="sm"
+                      checked={row.resolution === RUNTIME_MERGE_RESOLUTIONS.MINE}
+                      disabled={saving}
+                      onChange={() => onResolve?.(row.runtimePath, RUNTIME_MERGE_RESOLUTIONS.MINE)}
+                    />
+                    <Radio
+                      id={`${radioName}-theirs`}
+                      name={radioName}
+                      value={RUNTIME_MERGE_RESOLUTIONS.THEIRS}
+                      label="Use theirs"
+                      size="sm"
+                      checked={row.resolution === RUNTIME_MERGE_RESOLUTIONS.THEIRS}
+                      disabled={saving}
+                      onChange={() => onResolve?.(row.runtimePath, RUNTIME_MERGE_RESOLUTIONS.THEIRS)}
+                    />
+                  </fieldset>
+                ) : null}
+              </li>
+            )
+          })}
+        </ul>
+      </Dialog.Body>
+      <Dialog.Footer>
+        <div className="runtime-workspace__reset-warning-actions">
+          <Button
+            type="button"
+            variant="primary"
+            size="sm"
+            leftIcon={<MdCheckCircle aria-hidden="true" />}
+            loading={saving}
+            disabled={!canApply}
+            onClick={onApply}
+          >
+            Apply Merge
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            leftIcon={<MdClose aria-hidden="true" />}
+            disabled={saving}
+            onClick={onCancel}
+          >
+            Cancel
+          </Button>
+        </div>
+      </Dialog.Footer>
+    </Dialog>
+  )
+}
+
 function RuntimeWorkspace() {
   const navigate = useNavigate()
   const location = useLocation()
@@ -6092,6 +6603,10 @@ function RuntimeWorkspace() {
     { runtimeInstanceId },
     { skip: !runtimeInstanceId },
   )
+  const { data: runtimeEventStream } = useWatchRuntimeInstanceEventsQuery(
+    { runtimeInstanceId },
+    { skip: !runtimeInstanceId || !isRuntimeEventStreamEnabled() },
+  )
   const [mutateRuntimeState] = useMutateRuntimeStateMutation()
   const [createRuntimeOutputRequest, { isLoading: isCreatingOutputRequest }] = useCreateRuntimeOutputRequestMutation()
   const [createRuntimeRevision, { isLoading: isCreatingRuntimeRevision }] = useCreateRuntimeRevisionMutation()
@@ -6107,6 +6622,11 @@ function RuntimeWorkspace() {
   const [updateRuntimeSectionEvidence] = useUpdateRuntimeSectionEvidenceMutation()
   const [updateRuntimeDiscoveryInputs] = useUpdateRuntimeDiscoveryInputsMutation()
   const [executeRuntimeAction] = useExecuteRuntimeActionMutation()
+  const {
+    statusByPath: outboxStatusByPath,
+    queueMutation: queueOutboxMutation,
+    discardPath: discardOutboxPath,
+  } = useRuntimeOutbox(runtimeInstanceId)
   const [savingRuntimePath, setSavingRuntimePath] = useState('')
   const [acceptingRuntimePath, setAcceptingRuntimePath] = useState('')
   const [savingDiscovery, setSavingDiscovery] = useState(false)
@@ -6125,10 +6645,17 @@ function RuntimeWorkspace() {
   const [exportingOutputAssetKey, setExportingOutputAssetKey] = useState('')
   const [pendingRuntimeAction, setPendingRuntimeAction] = useState(null)
   const [revisionDialogOpen, setRevisionDialogOpen] = useState(false)
+  const [runtimeMerge, setRuntimeMerge] = useState(null)
+  const [applyingRuntimeMerge, setApplyingRuntimeMerge] = useState(false)
   const [revisionReason, setRevisionReason] = useState('')
   const hasAutoSelectedInitialSection = useRef(false)
   const reviewingEvidenceObjectIdRef = useRef('')
   const reviewingSectionEvidenceObjectIdRef = useRef('')
+  // What each section edit started from, by runtime path: the concurrency
+  // marker and the sections then (renderer data is immutable, so holding
+  // the array keeps the snapshot). Saves and merges use these, not the
+  // latest projection, so a newer refetch can't hide someone else's write.
+  const sectionEditBasesRef = useRef({})
 
   const renderer = getRendererPayload(rendererResponse)
   const outputLab = getOutputLabPayload(outputLabResponse)
@@ -6638,8 +7165,9 @@ function RuntimeWorkspace() {
       return false
     }
 
-    const expectedUpdatedAt = runtimeInstance?.updatedAt
-    if (!expectedUpdatedAt) {
+    const editBase = sectionEditBasesRef.current[runtimePath]
+    const marker = editBase?.marker ?? getRuntimeConcurrencyMarker(runtimeInstance)
+    if (!marker.expectedUpdatedAt) {
       setSectionFeedback(runtimePath, {
         variant: 'error',
         message: 'Runtime projection is missing its concurrency marker. Refresh and try again.',
@@ -6650,17 +7178,28 @@ function RuntimeWorkspace() {
     setSavingRuntimePath(runtimePath)
     setSectionFeedback(runtimePath, null)
 
+    const body = {
+      runtimePath,
+      operation: 'WRITE',
+      value,
+      ...marker,
+      ...(saveAndNext ? { saveAndNext: true } : {}),
+    }
+    const queueOffline = async () => {
+      await queueOutboxMutation({ endpointName: 'mutateRuntimeState', body })
+      setSectionFeedback(runtimePath, { variant: 'info', message: RUNTIME_OUTBOX_QUEUED_MESSAGE })
+      return { queued: true }
+    }
+
     try {
+      if (isBrowserOffline()) return await queueOffline()
+
       const mutationResponse = await mutateRuntimeState({
         runtimeInstanceId,
-        body: {
-          runtimePath,
-          operation: 'WRITE',
-          value,
-          expectedUpdatedAt,
-          ...(saveAndNext ? { saveAndNext: true } : {}),
-        },
+        body,
       }).unwrap()
+      await discardOutboxPath(runtimePath)
+      delete sectionEditBasesRef.current[runtimePath]
       setSectionFeedback(runtimePath, {
         variant: 'success',
         message: 'Section saved.',
@@ -6668,6 +7207,11 @@ function RuntimeWorkspace() {
       await refetch()
       return mutationResponse?.data || mutationResponse || true
     } catch (mutationError) {
+      if (isOfflineMutationError(mutationError)) return queueOffline()
+      if (isRuntimeStaleWriteError(mutationError)) {
+        await openRuntimeMerge({ section, value, error: mutationError, baseSections: editBase?.sections })
+        return false
+      }
       const normalizedError = normalizeError(mutationError)
       setSectionFeedback(runtimePath, {
         variant: 'error',
@@ -6679,6 +7223,112 @@ function RuntimeWorkspace() {
     }
   }
 
+  const openRuntimeMerge = async ({ section, value, error: staleWriteError, baseSections = sections }) => {
+    const runtimePath = section.runtimePath
+    const staleWriteMessage = normalizeError(staleWriteError).message
+    let latestRenderer = null
+    try {
+      latestRenderer = getRendererPayload(await refetch().unwrap())
+    } catch {
+      latestRenderer = null
+    }
+
+    if (!latestRenderer) {
+      setSectionFeedback(runtimePath, { variant: 'error', message: staleWriteMessage })
+      return
+    }
+
+    const rows = buildRuntimeMergeRows({
+      baseSections,
+      theirSections: latestRenderer.sections,
+      mine: { runtimePath, value },
+    })
+    if (!rows.some((row) => row.runtimePath === runtimePath)) {
+      setSectionFeedback(runtimePath, {
+        variant: 'success',
+        message: 'Section already matches the latest saved value.',
+      })
+      return
+    }
+
+    setSectionFeedback(runtimePath, { variant: 'error', message: staleWriteMessage })
+    setRuntimeMerge({
+      runtimePath,
+      section,
+      rows,
+      runtimeInstance: latestRenderer.runtimeInstance ?? {},
+    })
+  }
+
+  const handleResolveRuntimeMerge = (runtimePath, resolution) => {
+    setRuntimeMerge((current) => current
+      ? {
+          ...current,
+          rows: current.rows.map((row) => (row.runtimePath === runtimePath ? { ...row, resolution } : row)),
+        }
+      : current)
+  }
+
+  const handleApplyRuntimeMerge = async () => {
+    if (!runtimeMerge || !isRuntimeMergeResolved(runtimeMerge.rows)) return
+
+    const { rows, runtimePath, section } = runtimeMerge
+    const writes = getRuntimeMergeWrites(rows)
+    let marker = getRuntimeConcurrencyMarker(runtimeMerge.runtimeInstance)
+    setApplyingRuntimeMerge(true)
+
+    try {
+      for (const write of writes) {
+        const mutationResponse = await mutateRuntimeState({
+          runtimeInstanceId,
+          body: {
+            runtimePath: write.runtimePath,
+            operation: 'WRITE',
+            value: write.value,
+            ...marker,
+          },
+        }).unwrap()
+        marker = {
+          ...marker,
+          ...getRuntimeConcurrencyMarker(mutationResponse?.data?.runtimeInstance ?? mutationResponse?.runtimeInstance),
+        }
+      }
+      await discardOutboxPath(runtimePath)
+      delete sectionEditBasesRef.current[runtimePath]
+      setRuntimeMerge(null)
+      setSectionFeedback(runtimePath, {
+        variant: 'success',
+        message: writes.length > 0 ? 'Merged changes saved.' : 'Kept the latest saved value.',
+      })
+      await refetch()
+    } catch (mergeError) {
+      setRuntimeMerge(null)
+      const mine = rows.find((row) => row.runtimePath === runtimePath)?.mine
+      if (isRuntimeStaleWriteError(mergeError)) {
+        await openRuntimeMerge({ section, value: mine, error: mergeError })
+        return
+      }
+      setSectionFeedback(runtimePath, {
+        variant: 'error',
+        message: normalizeError(mergeError).message,
+      })
+    } finally {
+      setApplyingRuntimeMerge(false)
+    }
+  }
+
+  const handleSectionEditStart = ({ section }) => {
+    if (!section?.runtimePath) return
+    sectionEditBasesRef.current[section.runtimePath] = {
+      marker: getRuntimeConcurrencyMarker(runtimeInstance),
+      sections,
+    }
+  }
+
+  const handleSectionEditDiscard = ({ section }) => {
+    delete sectionEditBasesRef.current[section?.runtimePath]
+  }
+
   const handleSaveSectionAndNext = async ({ section, value }) => {
     const mutationResult = await handleSaveSection({ section, value, saveAndNext: true })
     if (!mutationResult) return
@@ -6786,15 +7436,24 @@ function RuntimeWorkspace() {
     setUploadingSectionEvidencePath(runtimePath)
     setSectionFeedback(runtimePath, null)
 
+    const body = {
+      runtimePath,
+      sectionKey: section?.sectionKey || section?.key,
+      documentSources,
+      expectedUpdatedAt,
+    }
+    const queueOffline = async () => {
+      await queueOutboxMutation({ endpointName: 'updateRuntimeSectionEvidence', body })
+      setSectionFeedback(runtimePath, { variant: 'info', message: RUNTIME_OUTBOX_QUEUED_MESSAGE })
+      return true
+    }
+
     try {
+      if (isBrowserOffline()) return await queueOffline()
+
       await updateRuntimeSectionEvidence({
         runtimeInstanceId,
-        body: {
-          runtimePath,
-          sectionKey: section?.sectionKey || section?.key,
-          documentSources,
-          expectedUpdatedAt,
-        },
+        body,
       }).unwrap()
       setSectionFeedback(runtimePath, {
         variant: 'success',
@@ -6803,6 +7462,7 @@ function RuntimeWorkspace() {
       await refetch()
       return true
     } catch (uploadError) {
+      if (isOfflineMutationError(uploadError)) return queueOffline()
       setSectionFeedback(runtimePath, {
         variant: 'error',
         message: formatSectionSupportingFileError(uploadError),
@@ -7313,6 +7973,7 @@ function RuntimeWorkspace() {
               readiness={renderer?.readiness}
               configWarnings={configWarnings}
             />
+            <RuntimeLiveActivity stream={runtimeEventStream} />
           </div>
           <ul className="runtime-workspace__summary-grid" aria-label="Execution workspace summary">
             {summaryItems.map((item) => (
@@ -7611,11 +8272,16 @@ function RuntimeWorkspace() {
                 discovery={discovery}
                 disabled={savingRuntimePath === activeSection.runtimePath}
                 executingActionKey={executingActionKey}
-                feedback={sectionFeedbackByPath[activeSection.runtimePath]}
+                feedback={getRuntimeSectionFeedback(
+                  sectionFeedbackByPath[activeSection.runtimePath],
+                  outboxStatusByPath[activeSection.runtimePath],
+                )}
                 generationActions={sectionActionByKey}
                 lockedInspection={isRuntimeLockedForInspection}
                 onAcceptSection={handleAcceptSection}
                 onClearSectionEvidence={handleClearSectionEvidence}
+                onEditDiscard={handleSectionEditDiscard}
+                onEditStart={handleSectionEditStart}
                 onExecuteSectionAction={handleExecuteSectionAction}
                 onNext={handleNextSection}
                 onPrevious={handlePreviousSection}
@@ -7625,6 +8291,7 @@ function RuntimeWorkspace() {
                 onSaveAndNext={handleSaveSectionAndNext}
                 onSaveAndPrevious={handleSaveSectionAndPrevious}
                 onUploadSectionEvidence={handleUploadSectionEvidence}
+                runtimeInstanceId={runtimeInstanceId}
                 reviewingSectionEvidenceObjectId={reviewingSectionEvidenceObjectId}
                 clearingSectionEvidencePath={clearingSectionEvidencePath}
                 showRuntimePath={showRuntimePaths}
@@ -7659,6 +8326,7 @@ function RuntimeWorkspace() {
                 onSelectOutcomeStudio={handleOpenOutcomeStudio}
                 onSelectOutputLab={() => setActiveWorkspaceKey(OUTPUT_LAB_NAV_KEY)}
                 onSelectSection={handleSelectSection}
+                outboxStatusByPath={outboxStatusByPath}
                 outcomeStudioState={outcomeStudioState}
                 outputLabState={outputLabState}
                 sections={sections}
@@ -7807,6 +8475,13 @@ function RuntimeWorkspace() {
         onCancel={handleCancelRuntimeActionConfirmation}
         onConfirm={handleConfirmRuntimeAction}
       />
+      <RuntimeMergeDialog
+        merge={runtimeMerge}
+        saving={applyingRuntimeMerge}
+        onResolve={handleResolveRuntimeMerge}
+        onApply={handleApplyRuntimeMerge}
+        onCancel={() => setRuntimeMerge(null)}
+      />
       <Dialog
         open={revisionDialogOpen}
         onClose={handleCloseRevisionDialog}
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { readFileSync } from 'node:fs'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
@@ -10,7 +10,10 @@ import {
   useAcceptRuntimeDiscoveryMutation,
   useAcceptRuntimeSectionMutation,
   useApproveRuntimeOutcomeDraftMutation,
+  useCancelRuntimeDocumentUploadMutation,
   useClearRuntimeSectionEvidenceMutation,
+  useCompleteRuntimeDocumentUploadMutation,
+  useCreateRuntimeDocumentUploadMutation,
   useCreateRuntimeOutcomeSessionMutation,
   useCreateRuntimeOutputRequestMutation,
   useCreateRuntimeRevisionMutation,
@@ -24,6 +27,7 @@ import {
   useGetRuntimeOutcomeSessionQuery,
   useLazyGetRuntimeOutcomeAssetQuery,
   useLazyGetRuntimeOutcomeAssetPreviewQuery,
+  useLazyGetRuntimeDocumentUploadQuery,
   useGetRuntimeRendererQuery,
   useGetRuntimeTruthQualityQuery,
   useGenerateRuntimeOutcomeResponseMutation,
@@ -39,14 +43,20 @@ import {
   useUpdateRuntimeOutcomeSessionFromLatestTruthMutation,
   useUpdateRuntimeSectionEvidenceMutation,
   useUpdateRuntimeDiscoveryInputsMutation,
+  useUploadRuntimeDocumentChunkMutation,
 } from '../../store/api/runtimeInstanceApi.js'
 import RuntimeWorkspace from './RuntimeWorkspace'
+import { useRuntimeOutbox } from '../../hooks/useRuntimeOutbox.js'
+import { runDocumentTextExtractionJob } from '../../utils/documentTextExtraction.js'
 
 vi.mock('../../store/api/runtimeInstanceApi.js', () => ({
   useAcceptRuntimeDiscoveryMutation: vi.fn(),
   useAcceptRuntimeSectionMutation: vi.fn(),
   useApproveRuntimeOutcomeDraftMutation: vi.fn(),
+  useCancelRuntimeDocumentUploadMutation: vi.fn(),
   useClearRuntimeSectionEvidenceMutation: vi.fn(),
+  useCompleteRuntimeDocumentUploadMutation: vi.fn(),
+  useCreateRuntimeDocumentUploadMutation: vi.fn(),
   useCreateRuntimeOutcomeSessionMutation: vi.fn(),
   useCreateRuntimeOutputRequestMutation: vi.fn(),
   useCreateRuntimeRevisionMutation: vi.fn(),
@@ -60,6 +70,7 @@ vi.mock('../../store/api/runtimeInstanceApi.js', () => ({
   useGetRuntimeOutcomeSessionQuery: vi.fn(),
   useLazyGetRuntimeOutcomeAssetQuery: vi.fn(),
   useLazyGetRuntimeOutcomeAssetPreviewQuery: vi.fn(),
+  useLazyGetRuntimeDocumentUploadQuery: vi.fn(),
   useGetRuntimeRendererQuery: vi.fn(),
   useGetRuntimeTruthQualityQuery: vi.fn(),
   useGenerateRuntimeOutcomeResponseMutation: vi.fn(),
@@ -75,6 +86,12 @@ vi.mock('../../store/api/runtimeInstanceApi.js', () => ({
   useUpdateRuntimeOutcomeSessionFromLatestTruthMutation: vi.fn(),
   useUpdateRuntimeSectionEvidenceMutation: vi.fn(),
   useUpdateRuntimeDiscoveryInputsMutation: vi.fn(),
+  useUploadRuntimeDocumentChunkMutation: vi.fn(),
+  useWatchRuntimeInstanceEventsQuery: vi.fn(() => ({ data: undefined })),
+}))
+
+vi.mock('../../hooks/useRuntimeOutbox.js', () => ({
+  useRuntimeOutbox: vi.fn(),
 }))
 
 vi.mock('../../components/RuntimeGraphPanel', async () => {
@@ -165,6 +182,7 @@ const refetchRenderer = vi.fn()
 const refetchOutputLab = vi.fn()
 const refetchOutcomeStudio = vi.fn()
 const refetchOutcomeStudioSession = vi.fn()
+const queueOutboxMutation = vi.fn()
 const mutateRuntimeState = vi.fn()
 const unwrapMutation = vi.fn()
 const executeRuntimeAction = vi.fn()
@@ -211,6 +229,11 @@ const clearRuntimeSectionEvidence = vi.fn()
 const unwrapClearRuntimeSectionEvidence = vi.fn()
 const acceptRuntimeSection = vi.fn()
 const unwrapAcceptSection = vi.fn()
+const createRuntimeDocumentUpload = vi.fn()
+const getRuntimeDocumentUpload = vi.fn()
+const uploadRuntimeDocumentChunk = vi.fn()
+const completeRuntimeDocumentUpload = vi.fn()
+const cancelRuntimeDocumentUpload = vi.fn()
 
 const rendererPayload = {
   runtimeInstance: {
@@ -826,6 +849,12 @@ function buildRuntimeSection(index, label) {
 
 describe('RuntimeWorkspace', () => {
   beforeEach(() => {
+    queueOutboxMutation.mockReset()
+    vi.mocked(useRuntimeOutbox).mockReturnValue({
+      statusByPath: {},
+      queueMutation: queueOutboxMutation,
+      discardPath: vi.fn(),
+    })
     refetchRenderer.mockReset()
     refetchOutputLab.mockReset()
     refetchOutcomeStudio.mockReset()
@@ -1002,6 +1031,23 @@ describe('RuntimeWorkspace', () => {
     useReviewAllRuntimeSectionEvidenceMutation.mockReturnValue([reviewAllRuntimeSectionEvidence, { isLoading: false }])
     useReviewRuntimeSectionEvidenceMutation.mockReturnValue([reviewRuntimeSectionEvidence, { isLoading: false }])
     useUpdateRuntimeSectionEvidenceMutation.mockReturnValue([updateRuntimeSectionEvidence, { isLoading: false }])
+    createRuntimeDocumentUpload.mockReset()
+    createRuntimeDocumentUpload.mockReturnValue({
+      unwrap: () => Promise.resolve({ data: { uploadId: 'upload-1', receivedChunks: [] } }),
+    })
+    getRuntimeDocumentUpload.mockReset()
+    getRuntimeDocumentUpload.mockReturnValue({ unwrap: () => Promise.resolve({ data: { receivedChunks: [] } }) })
+    uploadRuntimeDocumentChunk.mockReset()
+    uploadRuntimeDocumentChunk.mockReturnValue({ unwrap: () => Promise.resolve({ data: {} }) })
+    completeRuntimeDocumentUpload.mockReset()
+    completeRuntimeDocumentUpload.mockReturnValue({ unwrap: () => Promise.resolve({ data: { status: 'COMPLETE' } }) })
+    cancelRuntimeDocumentUpload.mockReset()
+    cancelRuntimeDocumentUpload.mockReturnValue({ unwrap: () => Promise.resolve({ data: {} }) })
+    useCreateRuntimeDocumentUploadMutation.mockReturnValue([createRuntimeDocumentUpload, { isLoading: false }])
+    useLazyGetRuntimeDocumentUploadQuery.mockReturnValue([getRuntimeDocumentUpload, { isFetching: false }])
+    useUploadRuntimeDocumentChunkMutation.mockReturnValue([uploadRuntimeDocumentChunk, { isLoading: false }])
+    useCompleteRuntimeDocumentUploadMutation.mockReturnValue([completeRuntimeDocumentUpload, { isLoading: false }])
+    useCancelRuntimeDocumentUploadMutation.mockReturnValue([cancelRuntimeDocumentUpload, { isLoading: false }])
     useGetRuntimeEvidenceQuery.mockReturnValue({
       data: null,
       isFetching: false,
@@ -4755,6 +4801,164 @@ describe('RuntimeWorkspace', () => {
     expect(await screen.findByText(/section saved/i)).toBeInTheDocument()
   })
 
+  it('opens a three-way merge when a section save is rejected as stale and saves the chosen value', async () => {
+    const user = userEvent.setup()
+    const [customerProblem, ...otherSections] = rendererPayload.sections
+    const latestRenderer = {
+      ...rendererPayload,
+      runtimeInstance: { ...rendererPayload.runtimeInstance, updatedAt: '2026-05-19T09:30:00.000Z' },
+      sections: [{ ...customerProblem, value: 'Their newer problem statement.' }, ...otherSections],
+    }
+    refetchRenderer.mockReturnValue({ unwrap: vi.fn().mockResolvedValue({ data: latestRenderer }) })
+    unwrapMutation
+      .mockRejectedValueOnce({ status: 409, data: { error: { code: 'RUNTIME_STALE_WRITE' } } })
+      .mockResolvedValueOnce({ data: { runtimeInstance: { updatedAt: '2026-05-19T09:31:00.000Z' } } })
+
+    renderRuntimeWorkspace()
+    await user.click(screen.getByRole('button', { name: /customer problem/i }))
+    selectRuntimeSectionTab('Context')
+    const field = screen.getByLabelText('Customer Problem', { exact: true })
+    await user.clear(field)
+    await user.type(field, 'My offline rewrite.')
+    await user.click(screen.getByRole('button', { name: /^save changes$/i }))
+
+    const dialog = await screen.findByRole('dialog', { name: /resolve conflicting edits/i })
+    const row = within(dialog).getByRole('listitem')
+    expect(row).toHaveTextContent('Customer Problem')
+    expect(row).toHaveTextContent('Proposal creation is slow.')
+    expect(row).toHaveTextContent('Their newer problem statement.')
+    expect(row).toHaveTextContent('My offline rewrite.')
+    expect(within(dialog).getByRole('button', { name: /apply merge/i })).toBeDisabled()
+
+    await user.click(within(dialog).getByLabelText('Keep mine'))
+    await user.click(within(dialog).getByRole('button', { name: /apply merge/i }))
+
+    expect(mutateRuntimeState).toHaveBeenLastCalledWith({
+      runtimeInstanceId: 'value-narrative-001',
+      body: {
+        runtimePath: 'framework_state.sections.customer_problem',
+        operation: 'WRITE',
+        value: 'My offline rewrite.',
+        expectedUpdatedAt: '2026-05-19T09:30:00.000Z',
+      },
+    })
+    expect(await screen.findByText(/merged changes saved/i)).toBeInTheDocument()
+  })
+
+  it('saves and merges against the projection the edit started from, not a later refetch', async () => {
+    const user = userEvent.setup()
+    const [customerProblem] = rendererPayload.sections
+    const teammateSection = {
+      ...customerProblem,
+      key: 'teammate_note',
+      runtimePath: 'framework_state.sections.teammate_note',
+      label: 'Teammate Note',
+      value: 'Changed by a teammate.',
+    }
+    const refetchedRenderer = {
+      ...rendererPayload,
+      runtimeInstance: { ...rendererPayload.runtimeInstance, updatedAt: '2026-05-19T09:30:00.000Z' },
+      sections: [...rendererPayload.sections, teammateSection],
+    }
+    refetchRenderer.mockReturnValue({ unwrap: vi.fn().mockResolvedValue({ data: refetchedRenderer }) })
+    unwrapMutation.mockRejectedValueOnce({ status: 409, data: { error: { code: 'RUNTIME_STALE_WRITE' } } })
+
+    const view = renderRuntimeWorkspace()
+    await user.click(screen.getByRole('button', { name: /customer problem/i }))
+    selectRuntimeSectionTab('Context')
+    const field = screen.getByLabelText('Customer Problem', { exact: true })
+    await user.clear(field)
+    await user.type(field, 'Edited before the refetch.')
+
+    useGetRuntimeRendererQuery.mockReturnValue({
+      data: { data: refetchedRenderer },
+      isLoading: false,
+      isFetching: false,
+      error: null,
+      refetch: refetchRenderer,
+    })
+    view.rerender(runtimeWorkspaceTree())
+    await user.click(screen.getByRole('button', { name: /^save changes$/i }))
+
+    expect(mutateRuntimeState).toHaveBeenCalledWith({
+      runtimeInstanceId: 'value-narrative-001',
+      body: {
+        runtimePath: 'framework_state.sections.customer_problem',
+        operation: 'WRITE',
+        value: 'Edited before the refetch.',
+        expectedUpdatedAt: '2026-05-19T08:00:00.000Z',
+      },
+    })
+    const dialog = await screen.findByRole('dialog', { name: /resolve conflicting edits/i })
+    expect(dialog).toHaveTextContent('Changed by a teammate.')
+  })
+
+  it('queues section edits in the offline outbox instead of calling the endpoint while offline', async () => {
+    const user = userEvent.setup()
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    let statusByPath = {}
+    queueOutboxMutation.mockImplementation(async ({ body }) => {
+      statusByPath = { [body.runtimePath]: { status: 'PENDING', message: null, count: 1 } }
+    })
+    vi.mocked(useRuntimeOutbox).mockImplementation(() => ({
+      statusByPath,
+      queueMutation: queueOutboxMutation,
+      discardPath: vi.fn(),
+    }))
+
+    try {
+      renderRuntimeWorkspace()
+      await user.click(screen.getByRole('button', { name: /customer problem/i }))
+
+      selectRuntimeSectionTab('Context')
+      const field = screen.getByLabelText('Customer Problem', { exact: true })
+      await user.clear(field)
+      await user.type(field, 'Drafted on the train.')
+      await user.click(screen.getByRole('button', { name: /^save changes$/i }))
+
+      expect(mutateRuntimeState).not.toHaveBeenCalled()
+      expect(queueOutboxMutation).toHaveBeenCalledWith({
+        endpointName: 'mutateRuntimeState',
+        body: {
+          runtimePath: 'framework_state.sections.customer_problem',
+          operation: 'WRITE',
+          value: 'Drafted on the train.',
+          expectedUpdatedAt: '2026-05-19T08:00:00.000Z',
+        },
+      })
+      expect(await screen.findByText(/will sync when you reconnect/i)).toBeInTheDocument()
+      const navigation = screen.getByRole('navigation', { name: /guided section navigation/i })
+      expect(within(navigation).getByRole('button', { name: /customer problem/i })).toHaveTextContent('Pending Sync')
+    } finally {
+      onLine.mockRestore()
+    }
+  })
+
+  it('shows pending and conflicted outbox edits in the section navigation', async () => {
+    vi.mocked(useRuntimeOutbox).mockReturnValue({
+      statusByPath: {
+        'framework_state.sections.customer_problem': {
+          status: 'CONFLICT',
+          message: 'This runtime changed while you were offline. Review the section and save again.',
+          count: 1,
+        },
+      },
+      queueMutation: queueOutboxMutation,
+      discardPath: vi.fn(),
+    })
+    const user = userEvent.setup()
+
+    renderRuntimeWorkspace()
+    const navigation = screen.getByRole('navigation', { name: /guided section navigation/i })
+    const sectionButton = within(navigation).getByRole('button', { name: /customer problem/i })
+
+    expect(sectionButton).toHaveTextContent('Sync Conflict')
+    expect(sectionButton).toHaveClass('runtime-workspace__section-nav-button--outbox-conflict')
+
+    await user.click(sectionButton)
+    expect(await screen.findByText(/changed while you were offline/i)).toBeInTheDocument()
+  })
+
   it('uploads section supporting files through the section evidence endpoint', async () => {
     const user = userEvent.setup()
 
@@ -4784,7 +4988,7 @@ describe('RuntimeWorkspace', () => {
       name: /selected section supporting files/i,
     })
     expect(within(selectedSectionDocuments).getByText(/staged for extraction/i)).toBeInTheDocument()
-    expect(within(selectedSectionDocuments).getByText('Ready to extract')).toBeInTheDocument()
+    expect(await within(selectedSectionDocuments).findByText('Ready to extract')).toBeInTheDocument()
     expect(within(sectionEvidenceRegion).getByRole('button', { name: /^cancel$/i })).toBeInTheDocument()
     expect(within(sectionEvidenceRegion).queryByText(/^select files$/i)).not.toBeInTheDocument()
 
@@ -4796,6 +5000,7 @@ describe('RuntimeWorkspace', () => {
 
     await user.upload(sectionFileInput, sectionDocument)
     expect(await within(sectionEvidenceRegion).findByText('section-notes.pptx')).toBeInTheDocument()
+    expect(await within(sectionEvidenceRegion).findByText('Ready to extract')).toBeInTheDocument()
     await user.click(within(sectionEvidenceRegion).getByRole('button', { name: /^extract evidence$/i }))
 
     expect(updateRuntimeSectionEvidence).toHaveBeenCalledWith({
@@ -4809,9 +5014,7 @@ describe('RuntimeWorkspace', () => {
             mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
             assetType: 'SECTION_SUPPORTING_FILE',
             sizeBytes: sectionDocument.size,
-            contentBase64: expect.stringMatching(
-              /^data:application\/vnd\.openxmlformats-officedocument\.presentationml\.presentation;base64,/,
-            ),
+            uploadId: 'upload-1',
           }),
         ],
         expectedUpdatedAt: '2026-05-19T08:00:00.000Z',
@@ -4908,6 +5111,160 @@ describe('RuntimeWorkspace', () => {
     expect(within(sectionEvidenceRegion).getByRole('button', { name: /^extract evidence$/i })).toBeInTheDocument()
   })
 
+  describe('document text pre-flight', () => {
+    // Runs the extraction job in-process so pre-flight works under jsdom
+    class InProcessWorker {
+      postMessage(job) {
+        runDocumentTextExtractionJob(job, (message) => this.onmessage?.({ data: message }))
+      }
+
+      terminate() {}
+    }
+
+    beforeEach(() => {
+      vi.stubGlobal('Worker', InProcessWorker)
+    })
+
+    afterEach(() => {
+      vi.unstubAllGlobals()
+    })
+
+    it('warns about a PDF without a text layer and can upload it anyway', async () => {
+      const user = userEvent.setup()
+      renderRuntimeWorkspace()
+      await user.click(screen.getByRole('button', { name: /customer problem/i }))
+      selectRuntimeSectionTab('Context')
+
+      const sectionEvidenceRegion = screen.getByRole('region', { name: 'Section evidence' })
+      const pdfDocument = new File(
+        ['%PDF-1.7\n1 0 obj << /Type /Page >> endobj\n2 0 obj << /Length 9 >>\nstream\n/Im0 Do Q\nendstream\n%%EOF'],
+        'scanned-brief.pdf',
+        { type: 'application/pdf' },
+      )
+
+      await user.upload(within(sectionEvidenceRegion).getByLabelText('Supporting Files'), pdfDocument)
+
+      expect(await within(sectionEvidenceRegion).findByText(
+        /scanned-brief\.pdf: this PDF has no readable text layer/i,
+      )).toBeInTheDocument()
+      expect(within(sectionEvidenceRegion).getByText('No readable text')).toBeInTheDocument()
+      expect(within(sectionEvidenceRegion).queryByRole('button', { name: /^extract evidence$/i })).not.toBeInTheDocument()
+      expect(updateRuntimeSectionEvidence).not.toHaveBeenCalled()
+
+      await user.click(within(sectionEvidenceRegion).getByRole('button', { name: /^upload anyway$/i }))
+
+      await waitFor(() => expect(updateRuntimeSectionEvidence).toHaveBeenCalled())
+      expect(updateRuntimeSectionEvidence.mock.calls[0][0].body.documentSources).toEqual([
+        expect.objectContaining({ fileName: 'scanned-brief.pdf' }),
+      ])
+    })
+
+    it('tells an encrypted PDF apart from one without text', async () => {
+      const user = userEvent.setup()
+      renderRuntimeWorkspace()
+      await user.click(screen.getByRole('button', { name: /customer problem/i }))
+      selectRuntimeSectionTab('Context')
+
+      const sectionEvidenceRegion = screen.getByRole('region', { name: 'Section evidence' })
+      const pdfDocument = new File(
+        ['%PDF-1.7\n1 0 obj << /Type /Page >> endobj\ntrailer << /Encrypt 2 0 R >>\n%%EOF'],
+        'locked-brief.pdf',
+        { type: 'application/pdf' },
+      )
+
+      await user.upload(within(sectionEvidenceRegion).getByLabelText('Supporting Files'), pdfDocument)
+
+      expect(await within(sectionEvidenceRegion).findByText(
+        /locked-brief\.pdf: this PDF could not be checked here/i,
+      )).toBeInTheDocument()
+      expect(within(sectionEvidenceRegion).getByText('Not checked')).toBeInTheDocument()
+      expect(within(sectionEvidenceRegion).getByRole('button', { name: /^upload anyway$/i })).toBeEnabled()
+    })
+
+    it('previews extracted text and can send only the text', async () => {
+      const user = userEvent.setup()
+      renderRuntimeWorkspace()
+      await user.click(screen.getByRole('button', { name: /customer problem/i }))
+      selectRuntimeSectionTab('Context')
+
+      const sectionEvidenceRegion = screen.getByRole('region', { name: 'Section evidence' })
+      const csvDocument = new File(
+        ['account,region\nAcme,EU\nGlobex,US'],
+        'accounts.csv',
+        { type: 'text/csv' },
+      )
+
+      await user.upload(within(sectionEvidenceRegion).getByLabelText('Supporting Files'), csvDocument)
+
+      expect(await within(sectionEvidenceRegion).findByText(/32 characters · 2 rows/)).toBeInTheDocument()
+      expect(within(sectionEvidenceRegion).getByText('Preview text')).toBeInTheDocument()
+
+      await user.click(within(sectionEvidenceRegion).getByLabelText('Send extracted text only'))
+      await user.click(within(sectionEvidenceRegion).getByRole('button', { name: /^extract evidence$/i }))
+
+      await waitFor(() => expect(updateRuntimeSectionEvidence).toHaveBeenCalled())
+      expect(updateRuntimeSectionEvidence.mock.calls[0][0].body.documentSources).toEqual([
+        expect.objectContaining({
+          fileName: 'accounts.csv.txt',
+          mimeType: 'text/plain',
+          assetType: 'SECTION_SUPPORTING_FILE',
+          contentBase64: expect.stringMatching(/^data:text\/plain;base64,/),
+        }),
+      ])
+    })
+  })
+
+  it('uploads large section documents in chunks and references the finished upload by ID', async () => {
+    const user = userEvent.setup()
+    let releaseLastChunk
+    uploadRuntimeDocumentChunk.mockImplementation(({ index }) => ({
+      unwrap: () => (index === 1
+        ? new Promise((resolve) => { releaseLastChunk = () => resolve({ data: {} }) })
+        : Promise.resolve({ data: {} })),
+    }))
+    renderRuntimeWorkspace()
+    await user.click(screen.getByRole('button', { name: /customer problem/i }))
+    selectRuntimeSectionTab('Context')
+
+    const sectionEvidenceRegion = screen.getByRole('region', { name: 'Section evidence' })
+    const largeDocument = new File(['a'.repeat(1024 * 1024 + 512)], 'interview-notes.txt', { type: 'text/plain' })
+
+    await user.upload(within(sectionEvidenceRegion).getByLabelText('Supporting Files'), largeDocument)
+
+    const progress = await within(sectionEvidenceRegion).findByRole('progressbar', {
+      name: 'interview-notes.txt upload progress',
+    })
+    await waitFor(() => expect(progress).toHaveAttribute('aria-valuetext', '99%'))
+    expect(within(sectionEvidenceRegion).getByRole('button', { name: /^extract evidence$/i })).toBeDisabled()
+    expect(createRuntimeDocumentUpload).toHaveBeenCalledWith({
+      runtimeInstanceId: 'value-narrative-001',
+      body: expect.objectContaining({
+        fileName: 'interview-notes.txt',
+        assetType: 'SECTION_SUPPORTING_FILE',
+        chunkCount: 2,
+      }),
+    })
+
+    // The last chunk is only held once its request has actually started
+    await waitFor(() => expect(uploadRuntimeDocumentChunk).toHaveBeenCalledWith(expect.objectContaining({ index: 1 })))
+    await waitFor(() => expect(releaseLastChunk).toEqual(expect.any(Function)))
+    releaseLastChunk()
+    await waitFor(() => expect(completeRuntimeDocumentUpload).toHaveBeenCalledWith({
+      runtimeInstanceId: 'value-narrative-001',
+      uploadId: 'upload-1',
+    }))
+    await waitFor(() => expect(
+      within(sectionEvidenceRegion).queryByRole('progressbar', { name: 'interview-notes.txt upload progress' }),
+    ).not.toBeInTheDocument())
+
+    await user.click(within(sectionEvidenceRegion).getByRole('button', { name: /^extract evidence$/i }))
+
+    await waitFor(() => expect(updateRuntimeSectionEvidence).toHaveBeenCalled())
+    const [documentSource] = updateRuntimeSectionEvidence.mock.calls[0][0].body.documentSources
+    expect(documentSource).toEqual(expect.objectContaining({ fileName: 'interview-notes.txt', uploadId: 'upload-1' }))
+    expect(documentSource).not.toHaveProperty('contentBase64')
+  })
+
   it('shows readable PowerPoint extraction guidance for section supporting file ingestion failures', async () => {
     const user = userEvent.setup()
     unwrapUpdateRuntimeSectionEvidence.mockRejectedValueOnce({
@@ -6951,7 +7308,7 @@ describe('RuntimeWorkspace', () => {
     expect(refetchRenderer).not.toHaveBeenCalled()
   })
 
-  it('renders mutation rejection feedback without refetching', async () => {
+  it('renders stale mutation feedback and loads the latest projection for merging', async () => {
     const user = userEvent.setup()
     unwrapMutation.mockRejectedValueOnce({
       status: 409,
@@ -6976,7 +7333,7 @@ describe('RuntimeWorkspace', () => {
     await user.click(screen.getByRole('button', { name: /^save changes$/i }))
 
     expect(await screen.findByText(/runtime instance has changed since the renderer projection was loaded/i)).toBeInTheDocument()
-    expect(refetchRenderer).not.toHaveBeenCalled()
+    expect(refetchRenderer).toHaveBeenCalledTimes(1)
   })
 
   it('executes enabled runtime actions through the governed action endpoint and refetches the renderer', async () => {
@@ -0,0 +1,422 @@
+import { useMemo, useState } from 'react'
+import { Badge } from '../../components/Badge'
+import { Button } from '../../components/Button'
+import { ConfirmationDialog } from '../../components/ConfirmationDialog'
+import { Input } from '../../components/Input'
+import { Textarea } from '../../components/Textarea'
+import { Tickbox } from '../../components/Tickbox'
+import { useToaster } from '../../components/Toaster'
+import {
+  useCreateRuntimeAgentTestCaseMutation,
+  useDeleteRuntimeAgentTestCaseMutation,
+  useListRuntimeAgentTestCasesQuery,
+  useRunRuntimeAgentTestCasesMutation,
+  useUpdateRuntimeAgentTestCaseMutation,
+} from '../../store/api/runtimeControlApi.js'
+import { normalizeError } from '../../utils/errors.js'
+import {
+  INITIAL_RUNTIME_AGENT_TEST_CASE_FORM,
+  RUNTIME_AGENT_TEST_CASE_STATUSES,
+  buildRuntimeAgentTestOutputDiff,
+  mapRuntimeAgentTestCaseToForm,
+  validateRuntimeAgentTestCaseForm,
+} from './runtimeAgentTestHarness.js'
+
+const formatJson = (value) => JSON.stringify(value ?? {}, null, 2)
+
+const toTestCaseServerFieldErrors = (details) => {
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return {}
+  }
+
+  return Object.fromEntries(
+    Object.entries(details).filter(([, value]) => typeof value === 'string' && value.trim()),
+  )
+}
+
+const getStatusVariant = (status) => (status === RUNTIME_AGENT_TEST_CASE_STATUSES.PASS ? 'success' : 'danger')
+
+function RuntimeAgentTestRunPane({ title, execution, emptyMessage }) {
+  return (
+    <div className="super-admin-agent-editor__harness-pane" aria-label={title}>
+      <p className="super-admin-agent-editor__harness-pane-title">{title}</p>
+      {execution ? (
+        <>
+          <span className="super-admin-agents__test-hash">Prompt hash: {execution.promptHash}</span>
+          <p className="super-admin-agent-editor__harness-label">Compiled prompt</p>
+          <pre className="super-admin-agent-editor__harness-code">
+            {execution.compiledPromptPreview || 'No prompt blocks configured.'}
+          </pre>
+          <p className="super-admin-agent-editor__harness-label">Captured output</p>
+          <pre className="super-admin-agent-editor__harness-code">{formatJson(execution.output)}</pre>
+        </>
+      ) : (
+        <p className="super-admin-agents__muted">{emptyMessage}</p>
+      )}
+    </div>
+  )
+}
+
+function RuntimeAgentTestRunResult({ result }) {
+  const diff = useMemo(
+    () => buildRuntimeAgentTestOutputDiff(result.activated?.output ?? null, result.draft?.output ?? null),
+    [result],
+  )
+  const isBlocking = result.regression && result.status === RUNTIME_AGENT_TEST_CASE_STATUSES.FAIL
+
+  return (
+    <article className="super-admin-agent-editor__harness-result" aria-label={`Test result ${result.name}`}>
+      <div className="super-admin-agent-editor__harness-result-header">
+        <strong>{result.name}</strong>
+        <Badge variant={getStatusVariant(result.status)} size="sm" pill outline>
+          {result.status}
+        </Badge>
+        {isBlocking ? (
+          <Badge variant="danger" size="sm" pill>
+            Blocks activation
+          </Badge>
+        ) : null}
+        {result.activated ? (
+          <Badge variant={result.changed ? 'warning' : 'neutral'} size="sm" pill outline>
+            {result.changed ? 'Changed since activation' : 'Matches last activation'}
+          </Badge>
+        ) : null}
+      </div>
+
+      {result.draft?.contractIssues?.length > 0 ? (
+        <ul className="super-admin-agent-editor__harness-issues" aria-label={`Contract issues for ${result.name}`}>
+          {result.draft.contractIssues.map((issue) => (
+            <li key={issue}>{issue}</li>
+          ))}
+        </ul>
+      ) : null}
+
+      <div className="super-admin-agent-editor__harness-panes">
+        <RuntimeAgentTestRunPane title="Current draft" execution={result.draft} />
+        <RuntimeAgentTestRunPane
+          title="Last activated version"
+          execution={result.activated}
+          emptyMessage="This agent has not been activated yet."
+        />
+      </div>
+
+      {result.activated ? (
+        diff.changes.length > 0 ? (
+          <ul className="super-admin-agent-editor__harness-diff" aria-label={`Output diff for ${result.name}`}>
+            {diff.changes.map((change) => (
+              <li key={change.path} className="super-admin-agent-editor__harness-diff-row">
+                <Badge
+                  variant={change.changeType === 'ADDED' ? 'success' : change.changeType === 'REMOVED' ? 'neutral' : 'warning'}
+                  size="sm"
+                  pill
+                  outline
+                >
+                  {change.changeType}
+                </Badge>
+                <code>{change.path}</code>
+                <span className="super-admin-agents__muted">
+                  {change.changeType === 'ADDED'
+                    ? `Draft: ${JSON.stringify(change.draftValue)}`
+                    : change.changeType === 'REMOVED'
+                      ? `Activated: ${JSON.stringify(change.activatedValue)}`
+                      : `Activated: ${JSON.stringify(change.activatedValue)} -> Draft: ${JSON.stringify(change.draftValue)}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="super-admin-agents__muted">Output matches the last activated version.</p>
+        )
+      ) : null}
+    </article>
+  )
+}
+
+/**
+ * Saved test cases for one runtime agent. A batch run executes every case
+ * against the stored draft and the last activated version side by side;
+ * failing regression cases block `activateRuntimeAgent` server-side.
+ */
+function RuntimeAgentTestHarness({ agentId, blockingTestCaseIds = [] }) {
+  const { addToast } = useToaster()
+  const [form, setForm] = useState({ ...INITIAL_RUNTIME_AGENT_TEST_CASE_FORM })
+  const [formErrors, setFormErrors] = useState({})
+  const [editingTestCaseId, setEditingTestCaseId] = useState('')
+  const [pendingDeleteTestCase, setPendingDeleteTestCase] = useState(null)
+  const [runResult, setRunResult] = useState(null)
+
+  const {
+    data: testCasesResponse,
+    isLoading: isTestCasesLoading,
+    error: testCasesError,
+  } = useListRuntimeAgentTestCasesQuery(agentId, { skip: !agentId })
+  const [createTestCase, { isLoading: isCreating }] = useCreateRuntimeAgentTestCaseMutation()
+  const [updateTestCase, { isLoading: isUpdating }] = useUpdateRuntimeAgentTestCaseMutation()
+  const [deleteTestCase, { isLoading: isDeleting }] = useDeleteRuntimeAgentTestCaseMutation()
+  const [runTestCases, { isLoading: isRunning }] = useRunRuntimeAgentTestCasesMutation()
+
+  const testCases = useMemo(
+    () => (Array.isArray(testCasesResponse?.data) ? testCasesResponse.data : []),
+    [testCasesResponse],
+  )
+  const testCasesAppError = testCasesError ? normalizeError(testCasesError) : null
+
+  const resetForm = () => {
+    setForm({ ...INITIAL_RUNTIME_AGENT_TEST_CASE_FORM })
+    setFormErrors({})
+    setEditingTestCaseId('')
+  }
+
+  const handleEdit = (testCase) => {
+    setForm(mapRuntimeAgentTestCaseToForm(testCase))
+    setFormErrors({})
+    setEditingTestCaseId(testCase.id)
+  }
+
+  const handleSave = async (event) => {
+    event.preventDefault()
+
+    const { errors, payload } = validateRuntimeAgentTestCaseForm(form, testCases, editingTestCaseId)
+    if (Object.keys(errors).length > 0) {
+      setFormErrors(errors)
+      return
+    }
+
+    try {
+      if (editingTestCaseId) {
+        await updateTestCase({ agentId, testCaseId: editingTestCaseId, ...payload }).unwrap()
+      } else {
+        await createTestCase({ agentId, ...payload }).unwrap()
+      }
+
+      addToast({
+        title: editingTestCaseId ? 'Test case updated' : 'Test case saved',
+        description: `${payload.name} is ready to run against the current draft.`,
+        variant: 'success',
+      })
+      resetForm()
+    } catch (err) {
+      const appError = normalizeError(err)
+      const serverFieldErrors = toTestCaseServerFieldErrors(appError.details)
+
+      if (Object.keys(serverFieldErrors).length > 0) {
+        setFormErrors(serverFieldErrors)
+        return
+      }
+
+      addToast({
+        title: 'Failed to save test case',
+        description: appError.message,
+        variant: 'error',
+      })
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!pendingDeleteTestCase) return
+
+    try {
+      await deleteTestCase({ agentId, testCaseId: pendingDeleteTestCase.id }).unwrap()
+      if (editingTestCaseId === pendingDeleteTestCase.id) {
+        resetForm()
+      }
+      setRunResult((current) => (current
+        ? { ...current, results: current.results.filter((result) => result.testCaseId !== pendingDeleteTestCase.id) }
+        : current))
+      setPendingDeleteTestCase(null)
+    } catch (err) {
+      addToast({
+        title: 'Failed to delete test case',
+        description: normalizeError(err).message,
+        variant: 'error',
+      })
+    }
+  }
+
+  const handleRunAll = async () => {
+    try {
+      const response = await runTestCases({ agentId }).unwrap()
+      const body = response?.data ?? null
+      const summary = body?.summary ?? {}
+
+      setRunResult(body)
+      addToast({
+        title: 'Test cases completed',
+        description: `${summary.passed ?? 0} of ${summary.total ?? 0} passed; ${summary.changed ?? 0} changed since the last activation.`,
+        variant: (summary.regressionFailures ?? 0) > 0 ? 'warning' : 'success',
+      })
+    } catch (err) {
+      addToast({
+        title: 'Failed to run test cases',
+        description: normalizeError(err).message,
+        variant: 'error',
+      })
+    }
+  }
+
+  return (
+    <section className="super-admin-agents__section super-admin-agent-editor__harness" aria-label="Agent test harness">
+      <div className="super-admin-agents__section-header">
+        <h3 className="super-admin-agents__section-title">Test Harness</h3>
+        <p className="super-admin-agents__section-copy">
+          Save named runtime-state inputs with the output contract they must satisfy. Runs use the saved draft, so
+          save editor changes first. Failing regression cases block activation.
+        </p>
+      </div>
+
+      <div className="super-admin-agent-editor__harness-grid">
+        <div className="super-admin-agent-editor__harness-cases">
+          <div className="super-admin-agent-editor__harness-result-header">
+            <p className="super-admin-agent-editor__harness-pane-title">Saved test cases</p>
+            <Button
+              type="button"
+              variant="primary"
+              size="sm"
+              loading={isRunning}
+              disabled={testCases.length === 0}
+              onClick={handleRunAll}
+            >
+              Run all test cases
+            </Button>
+          </div>
+
+          {testCasesAppError ? (
+            <p className="super-admin-agents__framework-error" role="alert">{testCasesAppError.message}</p>
+          ) : isTestCasesLoading ? (
+            <p className="super-admin-agents__muted">Loading test cases...</p>
+          ) : testCases.length === 0 ? (
+            <p className="super-admin-agents__muted">No test cases saved for this agent yet.</p>
+          ) : (
+            <ul className="super-admin-agent-editor__harness-case-list" aria-label="Saved test cases">
+              {testCases.map((testCase) => (
+                <li key={testCase.id} className="super-admin-agent-editor__harness-case">
+                  <div className="super-admin-agent-editor__harness-result-header">
+                    <strong>{testCase.name}</strong>
+                    <Badge variant={testCase.regression ? 'info' : 'neutral'} size="sm" pill outline>
+                      {testCase.regression ? 'Regression' : 'Exploratory'}
+                    </Badge>
+                    {testCase.lastRun ? (
+                      <Badge variant={getStatusVariant(testCase.lastRun.status)} size="sm" pill outline>
+                        {testCase.lastRun.status}
+                      </Badge>
+                    ) : null}
+                    {blockingTestCaseIds.includes(testCase.id) ? (
+                      <Badge variant="danger" size="sm" pill>
+                        Blocked activation
+                      </Badge>
+                    ) : null}
+                  </div>
+                  <div className="super-admin-agents__catalogue-actions">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      aria-label={`Edit test case ${testCase.name}`}
+                      onClick={() => handleEdit(testCase)}
+                    >
+                      Edit
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      aria-label={`Delete test case ${testCase.name}`}
+                      onClick={() => setPendingDeleteTestCase(testCase)}
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <form
+          className="super-admin-agents__form super-admin-agent-editor__harness-form"
+          aria-label={editingTestCaseId ? 'Edit test case' : 'New test case'}
+          onSubmit={handleSave}
+          noValidate
+        >
+          <Input
+            id="runtime-agent-test-case-name"
+            label="Test Case Name"
+            value={form.name}
+            onChange={(event) => setForm((current) => ({ ...current, name: event.target.value }))}
+            error={formErrors.name}
+            fullWidth
+          />
+          <Textarea
+            id="runtime-agent-test-case-runtime-state"
+            label="Input Runtime State (JSON)"
+            value={form.runtimeStateJson}
+            onChange={(event) => setForm((current) => ({ ...current, runtimeStateJson: event.target.value }))}
+            error={formErrors.runtimeState}
+            rows={6}
+            fullWidth
+          />
+          <Textarea
+            id="runtime-agent-test-case-output-contract"
+            label="Expected Output Contract (JSON)"
+            value={form.expectedOutputContractJson}
+            onChange={(event) => setForm((current) => ({ ...current, expectedOutputContractJson: event.target.value }))}
+            error={formErrors.expectedOutputContract}
+            helperText="Use required, properties and additionalProperties keyed by the runtime paths the agent writes."
+            rows={6}
+            fullWidth
+          />
+          <Tickbox
+            id="runtime-agent-test-case-regression"
+            label="Regression case (must pass before activation)"
+            checked={form.regression}
+            onChange={(event) => setForm((current) => ({ ...current, regression: event.target.checked }))}
+          />
+          <div className="super-admin-agents__catalogue-actions">
+            {editingTestCaseId ? (
+              <Button type="button" variant="outline" size="sm" onClick={resetForm}>
+                Cancel edit
+              </Button>
+            ) : null}
+            <Button type="submit" variant="outline" size="sm" loading={isCreating || isUpdating}>
+              {editingTestCaseId ? 'Update test case' : 'Save test case'}
+            </Button>
+          </div>
+        </form>
+      </div>
+
+      {runResult ? (
+        <div className="super-admin-agent-editor__harness-results" aria-label="Test run results">
+          <div className="super-admin-agent-editor__harness-result-header">
+            <p className="super-admin-agent-editor__harness-pane-title">Latest run</p>
+            <Badge variant="success" size="sm" pill outline>{runResult.summary?.passed ?? 0} passed</Badge>
+            <Badge variant="danger" size="sm" pill outline>{runResult.summary?.failed ?? 0} failed</Badge>
+            <Badge variant="warning" size="sm" pill outline>{runResult.summary?.changed ?? 0} changed</Badge>
+          </div>
+          {(runResult.summary?.regressionFailures ?? 0) > 0 ? (
+            <p className="super-admin-agents__framework-error" role="alert">
+              Activation is blocked until every regression case passes.
+            </p>
+          ) : null}
+          {(runResult.results ?? []).map((result) => (
+            <RuntimeAgentTestRunResult key={result.testCaseId} result={result} />
+          ))}
+        </div>
+      ) : null}
+
+      <ConfirmationDialog
+        open={Boolean(pendingDeleteTestCase)}
+        eyebrow="Test harness"
+        title="Delete Test Case"
+        message={`Delete the test case "${pendingDeleteTestCase?.name ?? ''}"?`}
+        detail="Regression coverage from this case stops applying to activation."
+        confirmLabel="Delete Test Case"
+        variant="danger"
+        loading={isDeleting}
+        onConfirm={handleDelete}
+        onCancel={() => setPendingDeleteTestCase(null)}
+      />
+    </section>
+  )
+}
+
+export default RuntimeAgentTestHarness
@@ -35,6 +35,8 @@ import {
 import {
   RuntimeAgentFormFields,
 } from '../SuperAdminAgents/RuntimeAgentDialogs.jsx'
+import RuntimeAgentTestHarness from './RuntimeAgentTestHarness.jsx'
+import { isRuntimeAgentRegressionConflict } from './runtimeAgentTestHarness.js'
 import '../SuperAdminAgents/SuperAdminAgents.css'
 import '../SuperAdminAgents/RuntimeAgentListView.css'
 import '../SuperAdminAgents/RuntimeAgentDialogs.css'
@@ -188,6 +190,8 @@ function SuperAdminAgentEditor() {
   const [activeEditorTab, setActiveEditorTab] = useState(0)
   const [showValidationHints, setShowValidationHints] = useState(false)
   const [dependencyConfirmOpen, setDependencyConfirmOpen] = useState(false)
+  const [isTestHarnessOpen, setIsTestHarnessOpen] = useState(false)
+  const [blockingTestCaseIds, setBlockingTestCaseIds] = useState([])
 
   const {
     data: agentResponse,
@@ -572,6 +576,13 @@ function SuperAdminAgentEditor() {
     } catch (err) {
       const appError = normalizeError(err)
       const field = String(appError?.details?.field ?? '').trim()
+
+      if (isRuntimeAgentRegressionConflict(appError)) {
+        setIsTestHarnessOpen(true)
+        setBlockingTestCaseIds(
+          Array.isArray(appError.details?.failingTestCaseIds) ? appError.details.failingTestCaseIds : [],
+        )
+      }
       const serverFieldErrors = field
         ? { [field]: appError.message }
         : toAgentServerFieldErrors(appError?.details)
@@ -743,6 +754,31 @@ function SuperAdminAgentEditor() {
             </form>
           </Card>
         ) : null}
+        {isEditMode && !isAgentLoading && !agentAppError ? (
+          <Card variant="elevated" className="super-admin-agents__card super-admin-agent-editor__card">
+            <Card.Body className="super-admin-agents__card-body super-admin-agents__card-body--compact super-admin-agent-editor__harness-card-body">
+              <div className="super-admin-agents__catalogue-actions super-admin-agent-editor__top-actions">
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  aria-expanded={isTestHarnessOpen ? 'true' : 'false'}
+                  onClick={() => setIsTestHarnessOpen((current) => !current)}
+                >
+                  {isTestHarnessOpen ? 'Hide test harness' : 'Open test harness'}
+                </Button>
+              </div>
+              {isTestHarnessOpen ? (
+                <RuntimeAgentTestHarness agentId={agentId} blockingTestCaseIds={blockingTestCaseIds} />
+              ) : (
+                <p className="super-admin-agents__table-note">
+                  Save named test cases for this agent, run them against the current draft and compare the
+                  captured output with the last activated version.
+                </p>
+              )}
+            </Card.Body>
+          </Card>
+        ) : null}
       </Fieldset>
 
       <Dialog
@@ -265,6 +265,35 @@ describe('SuperAdminAgentEditor page', () => {
     expect(screen.getByRole('button', { name: /open dependencies tab/i })).toBeInTheDocument()
   })
 
+  it('saves agent test cases, runs them side by side and surfaces blocked activation', async () => {
+    const user = userEvent.setup()
+    renderPage('/super-admin/runtime-control/agents/agent-summary')
+
+    await user.click(await screen.findByRole('button', { name: /open test harness/i }))
+    const harness = screen.getByRole('region', { name: /agent test harness/i })
+    expect(await within(harness).findByText(/no test cases saved for this agent yet/i)).toBeInTheDocument()
+
+    await user.type(within(harness).getByLabelText(/^test case name$/i), 'Summary ready')
+    fireEvent.change(within(harness).getByLabelText(/^expected output contract \(json\)$/i), {
+      target: { value: '{"required":["artifacts.summary","artifacts.score"]}' },
+    })
+    await user.click(within(harness).getByRole('button', { name: /^save test case$/i }))
+
+    const caseList = await within(harness).findByRole('list', { name: /saved test cases/i })
+    expect(within(caseList).getByText('Summary ready')).toBeInTheDocument()
+    expect(within(caseList).getByText('Regression')).toBeInTheDocument()
+
+    await user.click(within(harness).getByRole('button', { name: /run all test cases/i }))
+
+    const result = await within(harness).findByRole('article', { name: /test result summary ready/i })
+    expect(within(result).getByText('Runtime output / must have required property "artifacts.score".')).toBeInTheDocument()
+    expect(within(result).getByText(/blocks activation/i)).toBeInTheDocument()
+    expect(within(result).getByText(/matches last activation/i)).toBeInTheDocument()
+    expect(within(result).getByLabelText(/^current draft$/i)).toHaveTextContent(/artifacts\.summary/)
+    expect(within(result).getByLabelText(/^last activated version$/i)).toHaveTextContent(/prompt hash/i)
+    expect(within(harness).getByRole('alert')).toHaveTextContent(/activation is blocked/i)
+  }, 15000)
+
   it('renders locked detail conflicts as a compact lock notice', () => {
     const onBack = vi.fn()
     const onClone = vi.fn()
@@ -0,0 +1,158 @@
+/**
+ * Runtime Agent Test Harness
+ *
+ * Form handling for saved agent test cases and the output diff shown
+ * between a batch run against the current draft and the same case run
+ * against the agent's last activated version. Outputs are keyed by the
+ * runtime paths the execution plan writes, so the diff flattens nested
+ * values into `path.to.value` entries.
+ */
+
+export const RUNTIME_AGENT_REGRESSION_CONFLICT_REASON = 'RUNTIME_AGENT_REGRESSION_CASES_FAILING'
+
+export const RUNTIME_AGENT_TEST_CASE_STATUSES = Object.freeze({
+  PASS: 'PASS',
+  FAIL: 'FAIL',
+})
+
+export const INITIAL_RUNTIME_AGENT_TEST_CASE_FORM = Object.freeze({
+  name: '',
+  runtimeStateJson: '{}',
+  expectedOutputContractJson: '{}',
+  regression: true,
+})
+
+const formatJson = (value) => JSON.stringify(value ?? {}, null, 2)
+
+function parseJsonObject(value) {
+  const raw = String(value ?? '').trim()
+  if (!raw) {
+    return { value: {}, error: null }
+  }
+
+  try {
+    const parsed = JSON.parse(raw)
+    const isPlainObject = parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+    if (!isPlainObject) {
+      return { value: null, error: 'Must be a JSON object.' }
+    }
+    return { value: parsed, error: null }
+  } catch {
+    return { value: null, error: 'Invalid JSON.' }
+  }
+}
+
+export function mapRuntimeAgentTestCaseToForm(testCase) {
+  if (!testCase) return { ...INITIAL_RUNTIME_AGENT_TEST_CASE_FORM }
+
+  return {
+    name: String(testCase.name ?? ''),
+    runtimeStateJson: formatJson(testCase.runtimeState),
+    expectedOutputContractJson: formatJson(testCase.expectedOutputContract),
+    regression: testCase.regression !== false,
+  }
+}
+
+/**
+ * @param {typeof INITIAL_RUNTIME_AGENT_TEST_CASE_FORM} form
+ * @param {Array<{ id: string, name: string }>} existingTestCases - cases already saved for the agent
+ * @param {string} [editingTestCaseId]
+ * @returns {{ errors: Record<string, string>, payload: Object|null }}
+ */
+export function validateRuntimeAgentTestCaseForm(form, existingTestCases = [], editingTestCaseId = '') {
+  const errors = {}
+  const name = String(form?.name ?? '').trim()
+  const runtimeState = parseJsonObject(form?.runtimeStateJson)
+  const expectedOutputContract = parseJsonObject(form?.expectedOutputContractJson)
+
+  if (!name) {
+    errors.name = 'Test case name is required.'
+  } else if (existingTestCases.some((testCase) =>
+    testCase.id !== editingTestCaseId && String(testCase.name ?? '').trim().toLowerCase() === name.toLowerCase())) {
+    errors.name = `A test case named "${name}" already exists for this agent.`
+  }
+
+  if (runtimeState.error) errors.runtimeState = runtimeState.error
+  if (expectedOutputContract.error) errors.expectedOutputContract = expectedOutputContract.error
+
+  if (Object.keys(errors).length > 0) {
+    return { errors, payload: null }
+  }
+
+  return {
+    errors,
+    payload: {
+      name,
+      runtimeState: runtimeState.value,
+      expectedOutputContract: expectedOutputContract.value,
+      regression: form.regression !== false,
+    },
+  }
+}
+
+const flattenOutputEntries = (value, prefix = '', entries = []) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      flattenOutputEntries(item, `${prefix}[${index}]`, entries)
+    })
+    if (value.length === 0 && prefix) {
+      entries.push([prefix, []])
+    }
+    return entries
+  }
+
+  if (value && typeof value === 'object') {
+    const objectEntries = Object.entries(value)
+    if (objectEntries.length === 0 && prefix) {
+      entries.push([prefix, {}])
+      return entries
+    }
+    objectEntries.forEach(([key, entryValue]) => {
+      flattenOutputEntries(entryValue, prefix ? `${prefix}.${key}` : key, entries)
+    })
+    return entries
+  }
+
+  if (prefix) {
+    entries.push([prefix, value])
+  }
+
+  return entries
+}
+
+/**
+ * Entry-level diff from the last activated output to the draft output.
+ * @param {Object|null} activatedOutput
+ * @param {Object|null} draftOutput
+ * @returns {{ total: number, added: number, removed: number, changed: number, changes: Array<{ path: string, changeType: 'ADDED'|'REMOVED'|'CHANGED', activatedValue: unknown, draftValue: unknown }> }}
+ */
+export function buildRuntimeAgentTestOutputDiff(activatedOutput, draftOutput) {
+  const activatedEntries = new Map(flattenOutputEntries(activatedOutput ?? {}))
+  const draftEntries = new Map(flattenOutputEntries(draftOutput ?? {}))
+  const allPaths = [...new Set([...activatedEntries.keys(), ...draftEntries.keys()])].sort()
+  const changes = []
+
+  for (const path of allPaths) {
+    const activatedValue = activatedEntries.get(path)
+    const draftValue = draftEntries.get(path)
+
+    if (!activatedEntries.has(path)) {
+      changes.push({ path, changeType: 'ADDED', activatedValue: undefined, draftValue })
+    } else if (!draftEntries.has(path)) {
+      changes.push({ path, changeType: 'REMOVED', activatedValue, draftValue: undefined })
+    } else if (JSON.stringify(activatedValue) !== JSON.stringify(draftValue)) {
+      changes.push({ path, changeType: 'CHANGED', activatedValue, draftValue })
+    }
+  }
+
+  return {
+    total: changes.length,
+    added: changes.filter((change) => change.changeType === 'ADDED').length,
+    removed: changes.filter((change) => change.changeType === 'REMOVED').length,
+    changed: changes.filter((change) => change.changeType === 'CHANGED').length,
+    changes,
+  }
+}
+
+export const isRuntimeAgentRegressionConflict = (error) =>
+  String(error?.details?.reason ?? '').trim().toUpperCase() === RUNTIME_AGENT_REGRESSION_CONFLICT_REASON
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest'
+import {
+  INITIAL_RUNTIME_AGENT_TEST_CASE_FORM,
+  buildRuntimeAgentTestOutputDiff,
+  isRuntimeAgentRegressionConflict,
+  mapRuntimeAgentTestCaseToForm,
+  validateRuntimeAgentTestCaseForm,
+} from './runtimeAgentTestHarness.js'
+
+describe('runtimeAgentTestHarness', () => {
+  it('validates test case forms into API payloads', () => {
+    const existing = [{ id: 'case-1', name: 'ICP captured' }]
+
+    expect(validateRuntimeAgentTestCaseForm({
+      ...INITIAL_RUNTIME_AGENT_TEST_CASE_FORM,
+      name: ' Summary written ',
+      runtimeStateJson: '{"vmf":{"sections":{}}}',
+      expectedOutputContractJson: '',
+      regression: false,
+    }, existing)).toEqual({
+      errors: {},
+      payload: {
+        name: 'Summary written',
+        runtimeState: { vmf: { sections: {} } },
+        expectedOutputContract: {},
+        regression: false,
+      },
+    })
+
+    expect(validateRuntimeAgentTestCaseForm({
+      name: 'icp captured',
+      runtimeStateJson: '[]',
+      expectedOutputContractJson: '{',
+      regression: true,
+    }, existing)).toEqual({
+      errors: {
+        name: 'A test case named "icp captured" already exists for this agent.',
+        runtimeState: 'Must be a JSON object.',
+        expectedOutputContract: 'Invalid JSON.',
+      },
+      payload: null,
+    })
+
+    // Renaming a case to its own name is not a duplicate
+    expect(validateRuntimeAgentTestCaseForm(
+      { ...INITIAL_RUNTIME_AGENT_TEST_CASE_FORM, name: 'ICP captured' },
+      existing,
+      'case-1',
+    ).errors).toEqual({})
+  })
+
+  it('maps saved test cases back into the form', () => {
+    expect(mapRuntimeAgentTestCaseToForm({
+      name: 'ICP captured',
+      runtimeState: { a: 1 },
+      expectedOutputContract: { required: ['runtime.validationResult'] },
+      regression: false,
+    })).toEqual({
+      name: 'ICP captured',
+      runtimeStateJson: '{\n  "a": 1\n}',
+      expectedOutputContractJson: '{\n  "required": [\n    "runtime.validationResult"\n  ]\n}',
+      regression: false,
+    })
+    expect(mapRuntimeAgentTestCaseToForm(null)).toEqual(INITIAL_RUNTIME_AGENT_TEST_CASE_FORM)
+  })
+
+  it('diffs draft output against the last activated output', () => {
+    const diff = buildRuntimeAgentTestOutputDiff(
+      {
+        'runtime.validationResult': { skillId: 'skill-snapshot', inputs: { 'vmf.sections.icp': 'CFOs' } },
+        'artifacts.summary': { skillId: 'skill-summary', inputs: {} },
+      },
+      {
+        'runtime.validationResult': { skillId: 'skill-snapshot', inputs: { 'vmf.sections.icp': 'CTOs' } },
+        'runtime.score': { skillId: 'skill-snapshot', inputs: {} },
+      },
+    )
+
+    expect(diff).toEqual({
+      total: 5,
+      added: 2,
+      removed: 2,
+      changed: 1,
+      changes: [
+        { path: 'artifacts.summary.inputs', changeType: 'REMOVED', activatedValue: {}, draftValue: undefined },
+        { path: 'artifacts.summary.skillId', changeType: 'REMOVED', activatedValue: 'skill-summary', draftValue: undefined },
+        { path: 'runtime.score.inputs', changeType: 'ADDED', activatedValue: undefined, draftValue: {} },
+        { path: 'runtime.score.skillId', changeType: 'ADDED', activatedValue: undefined, draftValue: 'skill-snapshot' },
+        {
+          path: 'runtime.validationResult.inputs.vmf.sections.icp',
+          changeType: 'CHANGED',
+          activatedValue: 'CFOs',
+          draftValue: 'CTOs',
+        },
+      ],
+    })
+    expect(buildRuntimeAgentTestOutputDiff(null, null).total).toBe(0)
+  })
+
+  it('recognises activation conflicts raised by failing regression cases', () => {
+    expect(isRuntimeAgentRegressionConflict({ details: { reason: 'RUNTIME_AGENT_REGRESSION_CASES_FAILING' } })).toBe(true)
+    expect(isRuntimeAgentRegressionConflict({ details: { reason: 'RUNTIME_AGENT_DEPRECATED' } })).toBe(false)
+    expect(isRuntimeAgentRegressionConflict(null)).toBe(false)
+  })
+})
@@ -0,0 +1,137 @@
+import { Button } from '../../components/Button'
+import { Input } from '../../components/Input'
+import { ProgressBar } from '../../components/ProgressBar'
+import { Status } from '../../components/Status'
+import { Textarea } from '../../components/Textarea'
+import { AUDIT_CHAIN_RUNNERS } from '../../hooks/useAuditChainVerification.js'
+import {
+  AUDIT_VERIFICATION_ISSUE_LABELS,
+  AUDIT_VERIFICATION_OUTCOMES,
+} from './auditVerificationReport.js'
+import './AuditChainVerificationPanel.css'
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 12)}…${hash.slice(-6)}` : '--')
+
+/**
+ * In-browser hash chain verification for the Verify Integrity range:
+ * run it, see the first broken link next to the server's answer, and
+ * export the signed-off report.
+ */
+export function AuditChainVerificationPanel({
+  clientVerification,
+  verificationOutcome,
+  isClientVerifying,
+  isDownloadingRange,
+  chainProgress,
+  handleVerifyInBrowser,
+  signOff,
+  setSignOff,
+  isReportBuilding,
+  handleDownloadVerificationReport,
+}) {
+  const result = clientVerification?.result ?? null
+  const serverResult = clientVerification?.serverResult ?? null
+  const firstBreak = result?.firstBreak ?? null
+  const progressValue = chainProgress?.total ? (chainProgress.processed / chainProgress.total) * 100 : 0
+  const canExport = Boolean(clientVerification) && Boolean(signOff.name.trim()) && !isReportBuilding
+
+  return (
+    <section className="super-admin-audit-logs__chain" aria-label="Independent verification">
+      <div className="super-admin-audit-logs__chain-header">
+        <p className="super-admin-audit-logs__muted">
+          Download the range above and recompute its hash chain in this browser, independently of the server.
+        </p>
+        <Button
+          variant="outline"
+          size="sm"
+          loading={isClientVerifying}
+          disabled={isClientVerifying}
+          onClick={handleVerifyInBrowser}
+        >
+          Verify in Browser
+        </Button>
+      </div>
+
+      {isDownloadingRange ? (
+        <ProgressBar ariaLabel="Downloading audit entries" label="Downloading audit entries" indeterminate size="sm" />
+      ) : null}
+      {chainProgress ? (
+        <ProgressBar
+          ariaLabel="Recomputing hash chain"
+          label="Recomputing hash chain"
+          value={progressValue}
+          valueLabel={`${chainProgress.processed} / ${chainProgress.total}`}
+          size="sm"
+        />
+      ) : null}
+
+      {result ? (
+        <div className="super-admin-audit-logs__chain-result">
+          <Status
+            size="sm"
+            showIcon
+            variant={verificationOutcome === AUDIT_VERIFICATION_OUTCOMES.PASSED ? 'success' : 'error'}
+          >
+            {result.intact ? 'Hash chain intact' : 'Hash chain broken'}
+          </Status>
+          <p className="super-admin-audit-logs__stat-line">
+            Recomputed {result.total} entries
+            {result.firstSequence === null ? '' : ` (sequence ${result.firstSequence} to ${result.lastSequence})`}
+            {' '}with {result.algorithm} (chain format v{result.chainVersion}) in {result.runner === AUDIT_CHAIN_RUNNERS.WORKER ? 'a Web Worker' : 'the main thread'}.
+            {' '}Hashes valid: {result.validHashes}. Links checked: {result.linksChecked}.
+            {result.linksSkipped > 0 ? ` Links across filter gaps: ${result.linksSkipped}.` : ''}
+          </p>
+          <p className="super-admin-audit-logs__stat-line">
+            Server: {serverResult
+              ? `verified ${serverResult.total}, valid ${serverResult.valid}, invalid ${serverResult.invalid}.`
+              : 'no result for this range.'}
+          </p>
+          <p className="super-admin-audit-logs__stat-line">
+            Anchor <code>{shortHash(result.anchorHash)}</code>, head <code>{shortHash(result.headHash)}</code>
+          </p>
+
+          {firstBreak ? (
+            <div className="super-admin-audit-logs__chain-break" role="alert">
+              <strong>
+                First broken link: sequence {firstBreak.sequence ?? '--'}, entry <code>{firstBreak.entryId}</code>
+              </strong>
+              <span>{AUDIT_VERIFICATION_ISSUE_LABELS[firstBreak.kind] ?? firstBreak.kind}</span>
+              {firstBreak.expected ? (
+                <span>Expected <code>{firstBreak.expected}</code>, found <code>{firstBreak.actual || '--'}</code></span>
+              ) : null}
+              {result.issueCount > 1 ? <span>{result.issueCount - 1} further issues in the report.</span> : null}
+            </div>
+          ) : null}
+
+          <div className="super-admin-audit-logs__chain-sign-off">
+            <Input
+              id="audit-verify-sign-off-name"
+              label="Auditor name"
+              size="sm"
+              value={signOff.name}
+              onChange={(event) => setSignOff((current) => ({ ...current, name: event.target.value }))}
+              fullWidth
+            />
+            <Textarea
+              id="audit-verify-sign-off-statement"
+              label="Sign-off statement"
+              size="sm"
+              rows={3}
+              value={signOff.statement}
+              onChange={(event) => setSignOff((current) => ({ ...current, statement: event.target.value }))}
+              fullWidth
+            />
+            <div className="super-admin-audit-logs__chain-actions">
+              <Button variant="primary" size="sm" disabled={!canExport} onClick={() => handleDownloadVerificationReport('json')}>
+                Download JSON Report
+              </Button>
+              <Button variant="outline" size="sm" disabled={!canExport} onClick={() => handleDownloadVerificationReport('html')}>
+                Download Printable Report
+              </Button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+    </section>
+  )
+}
@@ -3,11 +3,11 @@ import { Badge } from '../../components/Badge'
 import { Card } from '../../components/Card'
 import { Fieldset } from '../../components/Fieldset'
 import { Input } from '../../components/Input'
-import { Button } from '../../components/Button'
 import { Select } from '../../components/Select'
 import { Table } from '../../components/Table'
 import { TableDateTime } from '../../components/TableDateTime'
 import { HorizontalScroll } from '../../components/HorizontalScroll'
+import { LogExportToolbar } from '../../components/LogExport'
 import {
   ACTION_OPTIONS,
   EVENT_CATEGORY_OPTIONS,
@@ -31,6 +31,8 @@ export function AuditLogListView({
   isAuditListLoading,
   isAuditListFetching,
   listAppError,
+  logExport,
+  handleExportAuditLogs,
 }) {
   const handleFilterChange = useCallback((key) => (event) => {
     setFilters((current) => ({ ...current, [key]: event.target.value }))
@@ -176,23 +178,23 @@ export function AuditLogListView({
           <p className="super-admin-audit-logs__table-note">
             Showing audit rows that match the selected query, governance, runtime package, and component filters.
           </p>
+          <LogExportToolbar
+            logExport={logExport}
+            onExport={handleExportAuditLogs}
+            idPrefix="audit-log-export"
+            disabled={Boolean(listAppError)}
+          />
           <HorizontalScroll className="super-admin-audit-logs__table-wrap" ariaLabel="Audit logs table" gap="sm">
-            <Table className="super-admin-audit-logs__table" columns={columns} data={rows} loading={isAuditListLoading} variant="striped" hoverable emptyMessage="No audit logs found." ariaLabel="Audit logs" />
+            <Table className="super-admin-audit-logs__table" columns={columns} data={rows} serverSide virtualized stickyHeader loading={isAuditListLoading} variant="striped" hoverable emptyMessage="No audit logs found." ariaLabel="Audit logs" />
           </HorizontalScroll>
           {isAuditListFetching && !isAuditListLoading ? <p className="super-admin-audit-logs__muted">Refreshing query...</p> : null}
-          {totalPages > 1 ? (
-            <div className="super-admin-audit-logs__pagination" role="navigation" aria-label="Audit logs pagination">
-              <div className="super-admin-audit-logs__pagination-controls">
-                <Button variant="outline" size="sm" disabled={currentPage <= 1 || isAuditListFetching} onClick={() => setPage(1)}>First</Button>
-                <Button variant="outline" size="sm" disabled={currentPage <= 1 || isAuditListFetching} onClick={() => setPage((current) => Math.max(1, current - 1))}>Previous</Button>
-              </div>
-              <p className="super-admin-audit-logs__pagination-info">Page {currentPage} of {totalPages}</p>
-              <div className="super-admin-audit-logs__pagination-controls">
-                <Button variant="outline" size="sm" disabled={currentPage >= totalPages || isAuditListFetching} onClick={() => setPage((current) => Math.min(totalPages, current + 1))}>Next</Button>
-                <Button variant="outline" size="sm" disabled={currentPage >= totalPages || isAuditListFetching} onClick={() => setPage(totalPages)}>Last</Button>
-              </div>
-            </div>
-          ) : null}
+          <Table.Pagination
+            page={currentPage}
+            totalPages={totalPages}
+            onPageChange={setPage}
+            busy={isAuditListFetching}
+            ariaLabel="Audit logs pagination"
+          />
         </Card.Body>
       </Card>
     </Fieldset>
@@ -3,9 +3,12 @@ import { Fieldset } from '../../components/Fieldset'
 import { Input } from '../../components/Input'
 import { Badge } from '../../components/Badge'
 import { Button } from '../../components/Button'
+import { Link } from '../../components/Link'
 import { Select } from '../../components/Select'
 import { Status } from '../../components/Status'
+import { getResourceHistoryPath } from '../SuperAdminResourceHistory/superAdminResourceHistory.constants.js'
 import { RESOURCE_TYPE_OPTIONS } from './superAdminAuditLogs.constants.js'
+import { AuditChainVerificationPanel } from './AuditChainVerificationPanel.jsx'
 import './AuditLogToolsView.css'
 
 export function AuditLogToolsView({
@@ -27,6 +30,16 @@ export function AuditLogToolsView({
   verifyResultData,
   verifyIntegrityResult,
   handleVerifyIntegrity,
+  clientVerification,
+  verificationOutcome,
+  isClientVerifying,
+  isDownloadingRange,
+  chainProgress,
+  handleVerifyInBrowser,
+  signOff,
+  setSignOff,
+  isReportBuilding,
+  handleDownloadVerificationReport,
 }) {
   const topActionRows = (stats.byAction ?? []).slice(0, 3)
   const topResourceRows = (stats.byResourceType ?? []).slice(0, 3)
@@ -96,6 +109,14 @@ export function AuditLogToolsView({
                       >
                         Lookup Resource
                       </Button>
+                      {resourceLookup.resourceType && resourceLookup.resourceId.trim() ? (
+                        <Link
+                          to={getResourceHistoryPath(resourceLookup.resourceType, resourceLookup.resourceId.trim())}
+                          className="super-admin-audit-logs__timeline-link"
+                        >
+                          Open Timeline
+                        </Link>
+                      ) : null}
                     </div>
                   </div>
                   <div className="super-admin-audit-logs__match-list" aria-label="Lookup match counts">
@@ -194,6 +215,18 @@ export function AuditLogToolsView({
             {verifyResultData ? (
               <p className="super-admin-audit-logs__stat-line">Verified {verifyResultData.total} logs. Valid: {verifyResultData.valid}. Invalid: {verifyResultData.invalid}.</p>
             ) : null}
+            <AuditChainVerificationPanel
+              clientVerification={clientVerification}
+              verificationOutcome={verificationOutcome}
+              isClientVerifying={isClientVerifying}
+              isDownloadingRange={isDownloadingRange}
+              chainProgress={chainProgress}
+              handleVerifyInBrowser={handleVerifyInBrowser}
+              signOff={signOff}
+              setSignOff={setSignOff}
+              isReportBuilding={isReportBuilding}
+              handleDownloadVerificationReport={handleDownloadVerificationReport}
+            />
           </Card.Body>
         </Card>
       </Fieldset>
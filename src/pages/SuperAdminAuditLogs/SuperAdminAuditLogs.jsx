@@ -25,6 +25,8 @@ function SuperAdminAuditLogs() {
         isAuditListLoading={mgmt.isAuditListLoading}
         isAuditListFetching={mgmt.isAuditListFetching}
         listAppError={mgmt.listAppError}
+        logExport={mgmt.logExport}
+        handleExportAuditLogs={mgmt.handleExportAuditLogs}
       />
 
       <AuditLogToolsView
@@ -46,6 +48,16 @@ function SuperAdminAuditLogs() {
         verifyResultData={mgmt.verifyResultData}
         verifyIntegrityResult={mgmt.verifyIntegrityResult}
         handleVerifyIntegrity={mgmt.handleVerifyIntegrity}
+        clientVerification={mgmt.clientVerification}
+        verificationOutcome={mgmt.verificationOutcome}
+        isClientVerifying={mgmt.isClientVerifying}
+        isDownloadingRange={mgmt.isDownloadingRange}
+        chainProgress={mgmt.chainProgress}
+        handleVerifyInBrowser={mgmt.handleVerifyInBrowser}
+        signOff={mgmt.signOff}
+        setSignOff={mgmt.setSignOff}
+        isReportBuilding={mgmt.isReportBuilding}
+        handleDownloadVerificationReport={mgmt.handleDownloadVerificationReport}
       />
     </section>
   )
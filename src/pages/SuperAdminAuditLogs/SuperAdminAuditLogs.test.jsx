@@ -1,11 +1,14 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest'
 import { fireEvent, render, screen, waitFor } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
+import { MemoryRouter } from 'react-router-dom'
 import { ToasterProvider } from '../../components/Toaster'
+import { AUDIT_CHAIN_V1_DESCRIPTOR, AUDIT_CHAIN_V1_ENTRIES } from '../../mocks/auditHashChain.fixtures.js'
 import SuperAdminAuditLogs from './SuperAdminAuditLogs'
 
 vi.mock('../../store/api/auditLogApi.js', () => ({
   useQueryAuditLogsQuery: vi.fn(),
+  useLazyQueryAuditLogsQuery: vi.fn(),
   useGetAuditStatsQuery: vi.fn(),
   useLazyGetAuditLogsByRequestQuery: vi.fn(),
   useLazyGetAuditLogsByResourceQuery: vi.fn(),
@@ -14,6 +17,7 @@ vi.mock('../../store/api/auditLogApi.js', () => ({
 
 import {
   useQueryAuditLogsQuery,
+  useLazyQueryAuditLogsQuery,
   useGetAuditStatsQuery,
   useLazyGetAuditLogsByRequestQuery,
   useLazyGetAuditLogsByResourceQuery,
@@ -33,9 +37,11 @@ const getExpectedDateTimeParts = (value) => {
 
 function renderPage() {
   return render(
-    <ToasterProvider>
-      <SuperAdminAuditLogs />
-    </ToasterProvider>,
+    <MemoryRouter>
+      <ToasterProvider>
+        <SuperAdminAuditLogs />
+      </ToasterProvider>
+    </MemoryRouter>,
   )
 }
 
@@ -55,6 +61,7 @@ describe('SuperAdminAuditLogs page', () => {
     useLazyGetAuditLogsByRequestQuery.mockReturnValue([vi.fn(), { data: { data: [] }, isFetching: false }])
     useLazyGetAuditLogsByResourceQuery.mockReturnValue([vi.fn(), { data: { data: [] }, isFetching: false }])
     useVerifyAuditIntegrityMutation.mockReturnValue([vi.fn(), { isLoading: false }])
+    useLazyQueryAuditLogsQuery.mockReturnValue([vi.fn()])
   })
 
   it('renders heading and verify action', () => {
@@ -308,4 +315,113 @@ describe('SuperAdminAuditLogs page', () => {
     })
     expect(screen.getByText(/page 1 of 4/i)).toBeInTheDocument()
   })
+
+  it('renders only a window of a large audit page under a sticky header', () => {
+    const rows = Array.from({ length: 500 }, (_, idx) => ({
+      id: `log-${idx + 1}`,
+      ts: '2026-03-05T14:30:00.000Z',
+      action: 'LOGIN',
+      resourceType: 'User',
+      resourceId: `user-${idx + 1}`,
+      actorUserId: { name: `Actor ${idx + 1}` },
+      requestId: `req-${idx + 1}`,
+    }))
+    useQueryAuditLogsQuery.mockReturnValue({
+      data: { data: rows, meta: { page: 1, totalPages: 1, totalCount: 500 } },
+      isLoading: false,
+      isFetching: false,
+      error: null,
+    })
+
+    renderPage()
+
+    const table = screen.getByRole('table', { name: 'Audit logs' })
+    expect(table).toHaveClass('table--virtualized', 'table--sticky-header')
+    expect(table).toHaveAttribute('aria-rowcount', '501')
+    expect(table.querySelectorAll('tbody .table__row').length).toBeLessThan(20)
+    expect(screen.getByText('Actor 1')).toBeInTheDocument()
+    expect(screen.queryByText('Actor 200')).not.toBeInTheDocument()
+
+    fireEvent.scroll(table.closest('.table-viewport'), { target: { scrollTop: 48 * 195 } })
+
+    expect(screen.getByText('Actor 200')).toBeInTheDocument()
+    expect(screen.queryByText('Actor 1')).not.toBeInTheDocument()
+    expect(window.getComputedStyle(table.querySelector('thead')).position).toBe('sticky')
+  })
+
+  it('verifies the hash chain in the browser, pinpoints the first broken link and exports the report', async () => {
+    const user = userEvent.setup()
+    const chain = [...AUDIT_CHAIN_V1_ENTRIES]
+    chain[1] = { ...chain[1], action: 'TENANT_DELETED' }
+    const fetchAuditLogPage = vi.fn(() => ({
+      unwrap: () => Promise.resolve({ data: [...chain].reverse(), meta: { page: 1, totalPages: 1 } }),
+    }))
+    useLazyQueryAuditLogsQuery.mockReturnValue([fetchAuditLogPage])
+    const verifyIntegrity = vi.fn(() => ({
+      unwrap: () => Promise.resolve({
+        data: { total: 3, valid: 3, invalid: 0, results: [], chain: AUDIT_CHAIN_V1_DESCRIPTOR },
+      }),
+    }))
+    useVerifyAuditIntegrityMutation.mockReturnValue([verifyIntegrity, { isLoading: false }])
+    const { createObjectURL: originalCreateObjectURL, revokeObjectURL: originalRevokeObjectURL } = URL
+    const createObjectURL = vi.fn(() => 'blob:report')
+    URL.createObjectURL = createObjectURL
+    URL.revokeObjectURL = vi.fn()
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+    renderPage()
+    await user.type(document.getElementById('audit-verify-customer-id'), 'customer-acme')
+    await user.click(screen.getByRole('button', { name: /verify in browser/i }))
+
+    expect(await screen.findByText(/first broken link: sequence 2/i)).toBeInTheDocument()
+    expect(screen.getByText('Entry content does not match its hash')).toBeInTheDocument()
+    expect(screen.getByText(/server: verified 3, valid 3, invalid 0/i)).toBeInTheDocument()
+    expect(fetchAuditLogPage).toHaveBeenCalledWith(expect.objectContaining({ page: 1, customerId: 'customer-acme' }))
+    expect(verifyIntegrity).toHaveBeenCalledWith(expect.objectContaining({ customerId: 'customer-acme' }))
+
+    const jsonButton = screen.getByRole('button', { name: /download json report/i })
+    expect(jsonButton).toBeDisabled()
+    await user.type(screen.getByLabelText('Auditor name'), 'Casey Auditor')
+    await user.click(jsonButton)
+
+    await waitFor(() => expect(createObjectURL).toHaveBeenCalledTimes(1))
+    expect(clickSpy).toHaveBeenCalledTimes(1)
+    const report = JSON.parse(await new Promise((resolve) => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.readAsText(createObjectURL.mock.calls[0][0])
+    }))
+    expect(report).toMatchObject({
+      outcome: 'FAILED',
+      signOff: { name: 'Casey Auditor' },
+      clientVerification: { runner: 'main-thread', chainVersion: 1, firstBreak: { sequence: 2, kind: 'HASH_MISMATCH' } },
+      serverVerification: { invalid: 0 },
+      digest: { algorithm: 'SHA-256', value: expect.stringMatching(/^[0-9a-f]{64}$/) },
+    })
+
+    clickSpy.mockRestore()
+    URL.createObjectURL = originalCreateObjectURL
+    URL.revokeObjectURL = originalRevokeObjectURL
+  })
+
+  it('does not recompute the chain when the server seals with a format the browser does not implement', async () => {
+    const user = userEvent.setup()
+    const fetchAuditLogPage = vi.fn(() => ({
+      unwrap: () => Promise.resolve({ data: [...AUDIT_CHAIN_V1_ENTRIES].reverse(), meta: { page: 1, totalPages: 1 } }),
+    }))
+    useLazyQueryAuditLogsQuery.mockReturnValue([fetchAuditLogPage])
+    const verifyIntegrity = vi.fn(() => ({
+      unwrap: () => Promise.resolve({
+        data: { total: 3, valid: 3, invalid: 0, results: [], chain: { ...AUDIT_CHAIN_V1_DESCRIPTOR, version: 2 } },
+      }),
+    }))
+    useVerifyAuditIntegrityMutation.mockReturnValue([verifyIntegrity, { isLoading: false }])
+
+    renderPage()
+    await user.type(document.getElementById('audit-verify-customer-id'), 'customer-acme')
+    await user.click(screen.getByRole('button', { name: /verify in browser/i }))
+
+    expect(await screen.findByText(/hash chain format 2 \(SHA-256\), which this browser cannot recompute/i)).toBeInTheDocument()
+    expect(screen.queryByText(/hash chain broken/i)).not.toBeInTheDocument()
+  })
 })
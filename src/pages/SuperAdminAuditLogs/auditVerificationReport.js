@@ -0,0 +1,217 @@
+/**
+ * Audit Verification Report
+ *
+ * Builds the signed-off report an auditor keeps after verifying the audit
+ * hash chain in the browser: the range that was downloaded, the client
+ * verification (with the first broken link), the server's own
+ * `/audit-logs/verify` answer for the same range, and the auditor's
+ * sign-off. The report carries a SHA-256 digest of its own canonical
+ * JSON so a later edit to the saved file is detectable.
+ *
+ * Exported as JSON (machine-checkable) and as a standalone HTML page
+ * styled for printing to PDF or paper.
+ */
+
+import { canonicalizeAuditValue, sha256Hex } from '../../utils/auditHashChain.js'
+import { formatDateTime } from '../../utils/dateTime.js'
+
+export const AUDIT_VERIFICATION_REPORT_VERSION = 1
+
+export const AUDIT_VERIFICATION_OUTCOMES = Object.freeze({
+  PASSED: 'PASSED',
+  FAILED: 'FAILED',
+})
+
+export const AUDIT_VERIFICATION_ISSUE_LABELS = Object.freeze({
+  UNSEALED: 'Entry was never sealed into the chain',
+  HASH_MISMATCH: 'Entry content does not match its hash',
+  LINK_MISMATCH: 'Previous-hash link does not match the entry before it',
+  SEQUENCE_GAP: 'Sequence numbers are missing from the range',
+  DUPLICATE_SEQUENCE: 'Two entries share a sequence number',
+})
+
+export const DEFAULT_SIGN_OFF_STATEMENT =
+  'I downloaded the audit entries in the range above, recomputed their hash chain independently of the server, '
+  + 'and confirm that this report records the result.'
+
+/**
+ * Both verifications must pass for the report to pass; a server that
+ * reports success for a range the client found broken is itself a finding.
+ */
+export const getAuditVerificationOutcome = (clientResult, serverResult) => {
+  const serverPassed = !serverResult || Number(serverResult.invalid) === 0
+  return clientResult?.intact && serverPassed ? AUDIT_VERIFICATION_OUTCOMES.PASSED : AUDIT_VERIFICATION_OUTCOMES.FAILED
+}
+
+/**
+ * @param {Object} params
+ * @param {Object} params.range - filters and download counts
+ * @param {import('../../utils/auditHashChain.js').AuditChainVerification & { runner: string }} params.clientResult
+ * @param {{ total: number, valid: number, invalid: number }|null} params.serverResult
+ * @param {{ name: string, statement: string }} params.signOff
+ * @param {string} [params.generatedAt]
+ * @returns {Promise<Object>} the report, with `digest` over everything else
+ */
+export async function buildAuditVerificationReport({
+  range,
+  clientResult,
+  serverResult,
+  signOff,
+  generatedAt = new Date().toISOString(),
+}) {
+  const body = {
+    reportVersion: AUDIT_VERIFICATION_REPORT_VERSION,
+    generatedAt,
+    outcome: getAuditVerificationOutcome(clientResult, serverResult),
+    range,
+    clientVerification: clientResult,
+    serverVerification: serverResult ?? null,
+    signOff: {
+      name: signOff.name.trim(),
+      statement: signOff.statement.trim(),
+      signedAt: generatedAt,
+    },
+  }
+  return {
+    ...body,
+    digest: { algorithm: 'SHA-256', value: await sha256Hex(canonicalizeAuditValue(body)) },
+  }
+}
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[char])
+
+const row = (label, value) => `<tr><th scope="row">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+
+const describeRange = (range) => [
+  range.customerId ? `customer ${range.customerId}` : 'all customers',
+  range.startDate || range.endDate ? `${range.startDate || 'start'} to ${range.endDate || 'now'}` : 'all dates',
+  range.ids?.length ? `${range.ids.length} selected ids` : '',
+].filter(Boolean).join(', ')
+
+/**
+ * Standalone printable page for the report.
+ * @param {Object} report - from buildAuditVerificationReport
+ * @returns {string}
+ */
+export function renderAuditVerificationReportHtml(report) {
+  const client = report.clientVerification
+  const server = report.serverVerification
+  const firstBreak = client.firstBreak
+  const issueRows = client.issues.map((issue) => `<tr>
+      <td>${escapeHtml(issue.sequence ?? '--')}</td>
+      <td><code>${escapeHtml(issue.entryId)}</code></td>
+      <td>${escapeHtml(AUDIT_VERIFICATION_ISSUE_LABELS[issue.kind] ?? issue.kind)}</td>
+    </tr>`).join('')
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Audit verification report ${escapeHtml(report.generatedAt)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; color: #111; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #ccc; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: 0.25rem 0.5rem; border-bottom: 1px solid #eee; }
+  th[scope="row"] { width: 14rem; font-weight: 600; }
+  code { font-size: 12px; word-break: break-all; }
+  .outcome { display: inline-block; padding: 0.125rem 0.75rem; border: 2px solid currentColor; font-weight: 700; }
+  .outcome--passed { color: #137333; }
+  .outcome--failed { color: #b3261e; }
+  .signature { margin-top: 3rem; border-top: 1px solid #111; padding-top: 0.5rem; width: 20rem; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Audit log integrity verification</h1>
+<p class="outcome outcome--${report.outcome.toLowerCase()}">${escapeHtml(report.outcome)}</p>
+
+<h2>Range</h2>
+<table>
+  ${row('Scope', describeRange(report.range))}
+  ${row('Entries downloaded', report.range.downloaded)}
+  ${row('Limit', report.range.limit)}
+  ${row('Downloaded at', formatDateTime(report.range.downloadedAt))}
+</table>
+
+<h2>Independent verification (browser)</h2>
+<table>
+  ${row('Algorithm', client.algorithm)}
+  ${row('Computed in', client.runner)}
+  ${row('Entries checked', client.total)}
+  ${row('Hashes matching content', client.validHashes)}
+  ${row('Links checked', client.linksChecked)}
+  ${row('Links across filter gaps (not checked)', client.linksSkipped)}
+  ${row('Sequence range', client.firstSequence === null ? '--' : `${client.firstSequence} to ${client.lastSequence}`)}
+  ${row('Anchor hash', client.anchorHash ?? '--')}
+  ${row('Head hash', client.headHash ?? '--')}
+  ${row('First broken link', firstBreak
+    ? `#${firstBreak.sequence ?? '--'} (${firstBreak.entryId}): ${AUDIT_VERIFICATION_ISSUE_LABELS[firstBreak.kind] ?? firstBreak.kind}`
+    : 'None')}
+</table>
+${issueRows ? `<table>
+  <thead><tr><th>Sequence</th><th>Entry</th><th>Issue</th></tr></thead>
+  <tbody>${issueRows}</tbody>
+</table>
+${client.issueCount > client.issues.length ? `<p>Showing ${client.issues.length} of ${client.issueCount} issues.</p>` : ''}` : ''}
+
+<h2>Server verification</h2>
+<table>
+  ${server
+    ? `${row('Verified', server.total)}${row('Valid', server.valid)}${row('Invalid', server.invalid)}`
+    : row('Result', 'Not available')}
+</table>
+
+<h2>Sign-off</h2>
+<p>${escapeHtml(report.signOff.statement)}</p>
+<div class="signature">
+  <strong>${escapeHtml(report.signOff.name)}</strong><br>
+  ${escapeHtml(formatDateTime(report.signOff.signedAt))}
+</div>
+
+<h2>Report digest</h2>
+<p><code>${escapeHtml(report.digest.algorithm)} ${escapeHtml(report.digest.value)}</code></p>
+<p>Computed over the canonical JSON of the report without this field. Keep the JSON export to re-check it.</p>
+</body>
+</html>
+`
+}
+
+export const getAuditVerificationReportFilename = (report, extension) =>
+  `audit-verification-${report.generatedAt.replace(/[:.]/g, '-')}.${extension}`
+
+const DOWNLOAD_CLEANUP_DELAY_MS = 1000
+
+/**
+ * Save the report as `.json` or printable `.html`.
+ * @param {Object} report
+ * @param {'json'|'html'} format
+ * @returns {string} the downloaded file name
+ */
+export const downloadAuditVerificationReport = (report, format) => {
+  const filename = getAuditVerificationReportFilename(report, format)
+  const content = format === 'html' ? renderAuditVerificationReportHtml(report) : JSON.stringify(report, null, 2)
+  const objectUrl = URL.createObjectURL(new Blob([content], {
+    type: format === 'html' ? 'text/html' : 'application/json',
+  }))
+  const link = document.createElement('a')
+  link.href = objectUrl
+  link.download = filename
+  link.rel = 'noopener'
+  link.hidden = true
+  document.body.appendChild(link)
+  link.click()
+  window.setTimeout(() => {
+    link.remove()
+    URL.revokeObjectURL(objectUrl)
+  }, DOWNLOAD_CLEANUP_DELAY_MS)
+  return filename
+}
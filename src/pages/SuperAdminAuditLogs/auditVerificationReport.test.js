@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest'
+import { canonicalizeAuditValue, sha256Hex } from '../../utils/auditHashChain.js'
+import {
+  AUDIT_VERIFICATION_OUTCOMES,
+  buildAuditVerificationReport,
+  getAuditVerificationOutcome,
+  renderAuditVerificationReportHtml,
+} from './auditVerificationReport.js'
+
+const clientResult = {
+  algorithm: 'SHA-256',
+  runner: 'web-worker',
+  total: 3,
+  validHashes: 2,
+  linksChecked: 2,
+  linksSkipped: 0,
+  firstSequence: 1,
+  lastSequence: 3,
+  anchorHash: '0'.repeat(64),
+  headHash: 'f'.repeat(64),
+  intact: false,
+  firstBreak: { kind: 'HASH_MISMATCH', sequence: 2, entryId: 'audit-<2>' },
+  issues: [{ kind: 'HASH_MISMATCH', sequence: 2, entryId: 'audit-<2>' }],
+  issueCount: 1,
+}
+
+const buildReport = (overrides = {}) => buildAuditVerificationReport({
+  range: { ids: [], customerId: 'customer-acme', startDate: '', endDate: '', limit: 1000, downloaded: 3, downloadedAt: '2026-04-01T10:00:00.000Z' },
+  clientResult,
+  serverResult: { total: 3, valid: 3, invalid: 0 },
+  signOff: { name: '  Casey Auditor ', statement: 'Checked.' },
+  generatedAt: '2026-04-01T10:05:00.000Z',
+  ...overrides,
+})
+
+describe('auditVerificationReport', () => {
+  it('fails the report unless both the browser and the server verification pass', () => {
+    expect(getAuditVerificationOutcome({ intact: true }, { invalid: 0 })).toBe(AUDIT_VERIFICATION_OUTCOMES.PASSED)
+    expect(getAuditVerificationOutcome({ intact: true }, null)).toBe(AUDIT_VERIFICATION_OUTCOMES.PASSED)
+    expect(getAuditVerificationOutcome({ intact: true }, { invalid: 2 })).toBe(AUDIT_VERIFICATION_OUTCOMES.FAILED)
+    expect(getAuditVerificationOutcome({ intact: false }, { invalid: 0 })).toBe(AUDIT_VERIFICATION_OUTCOMES.FAILED)
+  })
+
+  it('signs off the report with a digest over its canonical body', async () => {
+    const { digest, ...body } = await buildReport()
+
+    expect(body).toMatchObject({
+      outcome: AUDIT_VERIFICATION_OUTCOMES.FAILED,
+      signOff: { name: 'Casey Auditor', statement: 'Checked.', signedAt: '2026-04-01T10:05:00.000Z' },
+      serverVerification: { invalid: 0 },
+    })
+    expect(digest).toEqual({ algorithm: 'SHA-256', value: await sha256Hex(canonicalizeAuditValue(body)) })
+  })
+
+  it('renders an escaped printable page with the first broken link', async () => {
+    const html = renderAuditVerificationReportHtml(await buildReport())
+
+    expect(html).toMatch(/^<!doctype html>/)
+    expect(html).toContain('@media print')
+    expect(html).toContain('#2 (audit-&lt;2&gt;): Entry content does not match its hash')
+    expect(html).toContain('customer customer-acme, all dates')
+    expect(html).toContain('Casey Auditor')
+    expect(html).not.toContain('audit-<2>')
+  })
+})
@@ -381,3 +381,35 @@ export const parseIds = (value) =>
     .split(/[\n,]+/)
     .map((item) => item.trim())
     .filter(Boolean)
+
+const actorUserIdValue = (row) =>
+  (typeof row?.actorUserId === 'string' ? row.actorUserId : row?.actorUserId?.id ?? row?.actorUserId?._id ?? '')
+
+/** CSV columns for the audit log export; NDJSON keeps every field. */
+export const AUDIT_LOG_EXPORT_COLUMNS = [
+  { key: 'ts', label: 'Timestamp' },
+  { key: 'action', label: 'Action' },
+  { key: 'summary', label: 'Event', value: auditSummaryLabel },
+  { key: 'actor', label: 'Actor', value: actorLabel },
+  { key: 'actorUserId', label: 'Actor User ID', value: actorUserIdValue },
+  { key: 'actorUserId.email', label: 'Actor Email' },
+  { key: 'resourceType', label: 'Resource Type' },
+  { key: 'resourceId', label: 'Resource ID' },
+  { key: 'customerId', label: 'Customer ID' },
+  { key: 'tenantId', label: 'Tenant ID' },
+  { key: 'requestId', label: 'Request ID' },
+  { key: 'isSystemEvent', label: 'System Event' },
+  { key: 'systemEventType', label: 'System Event Type' },
+  { key: 'eventCategory', label: 'Event Category' },
+  { key: 'eventSeverity', label: 'Severity' },
+  { key: 'frameworkKey', label: 'Framework Key' },
+  { key: 'frameworkVersion', label: 'Framework Version' },
+  { key: 'packageKey', label: 'Package Key' },
+  { key: 'componentType', label: 'Component Type' },
+  { key: 'componentStableId', label: 'Component Stable ID' },
+  { key: 'componentVersion', label: 'Component Version' },
+  { key: 'checksum', label: 'Checksum' },
+  { key: 'diff', label: 'Diff' },
+  { key: 'sequence', label: 'Chain Sequence' },
+  { key: 'hash', label: 'Chain Hash' },
+]
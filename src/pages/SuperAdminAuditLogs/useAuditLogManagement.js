@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import {
   useQueryAuditLogsQuery,
+  useLazyQueryAuditLogsQuery,
   useGetAuditStatsQuery,
   useLazyGetAuditLogsByRequestQuery,
   useLazyGetAuditLogsByResourceQuery,
@@ -9,10 +10,23 @@ import {
 import { DEFAULT_TABLE_PAGE_SIZE } from '../../components/Table/tableConstants.js'
 import { useToaster } from '../../components/Toaster'
 import { normalizeError } from '../../utils/errors.js'
-import { parseIds } from './superAdminAuditLogs.constants.js'
+import { resolveAuditChainScheme } from '../../utils/auditHashChain.js'
+import { useAuditChainVerification } from '../../hooks/useAuditChainVerification.js'
+import { useLogExport } from '../../hooks/useLogExport.js'
+import { AUDIT_LOG_EXPORT_COLUMNS, parseIds } from './superAdminAuditLogs.constants.js'
+import {
+  DEFAULT_SIGN_OFF_STATEMENT,
+  buildAuditVerificationReport,
+  downloadAuditVerificationReport,
+  getAuditVerificationOutcome,
+} from './auditVerificationReport.js'
+
+const VERIFY_DOWNLOAD_PAGE_SIZE = 100
 
 export function useAuditLogManagement() {
   const { addToast } = useToaster()
+  const { progress: chainProgress, isVerifying: isChainVerifying, verifyChain } = useAuditChainVerification()
+  const logExport = useLogExport()
 
   const [filters, setFilters] = useState({
     requestId: '',
@@ -52,15 +66,13 @@ export function useAuditLogManagement() {
   })
   const [verifyError, setVerifyError] = useState('')
   const [verifyResultData, setVerifyResultData] = useState(null)
+  const [isDownloadingRange, setIsDownloadingRange] = useState(false)
+  const [clientVerification, setClientVerification] = useState(null)
+  const [signOff, setSignOff] = useState({ name: '', statement: DEFAULT_SIGN_OFF_STATEMENT })
+  const [isReportBuilding, setIsReportBuilding] = useState(false)
 
-  const {
-    data: auditListResponse,
-    isLoading: isAuditListLoading,
-    isFetching: isAuditListFetching,
-    error: auditListError,
-  } = useQueryAuditLogsQuery({
-    page,
-    pageSize: DEFAULT_TABLE_PAGE_SIZE,
+  // The list and the export send the same filters
+  const auditQueryFilters = {
     requestId: filters.requestId.trim(),
     action: filters.action,
     resourceType: filters.resourceType,
@@ -80,6 +92,17 @@ export function useAuditLogManagement() {
     checksum: filters.checksum.trim(),
     startDate: filters.startDate ? `${filters.startDate}T00:00:00.000Z` : '',
     endDate: filters.endDate ? `${filters.endDate}T23:59:59.999Z` : '',
+  }
+
+  const {
+    data: auditListResponse,
+    isLoading: isAuditListLoading,
+    isFetching: isAuditListFetching,
+    error: auditListError,
+  } = useQueryAuditLogsQuery({
+    page,
+    pageSize: DEFAULT_TABLE_PAGE_SIZE,
+    ...auditQueryFilters,
   }, { refetchOnMountOrArgChange: true })
 
   const { data: statsResponse, isFetching: isStatsFetching } = useGetAuditStatsQuery({
@@ -91,6 +114,7 @@ export function useAuditLogManagement() {
   const [lookupByRequest, requestLookupResult] = useLazyGetAuditLogsByRequestQuery()
   const [lookupByResource, resourceLookupResult] = useLazyGetAuditLogsByResourceQuery()
   const [verifyIntegrity, verifyIntegrityResult] = useVerifyAuditIntegrityMutation()
+  const [fetchAuditLogPage] = useLazyQueryAuditLogsQuery()
 
   const rows = auditListResponse?.data ?? []
   const meta = auditListResponse?.meta ?? {}
@@ -102,8 +126,8 @@ export function useAuditLogManagement() {
   const resourceRows = resourceLookupResult.data?.data ?? []
   const stats = statsResponse?.data ?? {}
 
-  const handleVerifyIntegrity = async () => {
-    setVerifyError('')
+  // Shared by the server check and the in-browser check, so both cover the same range
+  const buildVerifyPayload = () => {
     const ids = parseIds(verifyForm.ids)
     const payload = {
       ...(ids.length > 0 ? { ids } : {}),
@@ -114,8 +138,51 @@ export function useAuditLogManagement() {
     }
     if (!payload.ids && !payload.customerId && !payload.startDate && !payload.endDate) {
       setVerifyError('Provide at least one filter before verification.')
-      return
+      return null
     }
+    return payload
+  }
+
+  // Pages through `queryAuditLogs` until `limit` entries or the last page
+  const downloadVerifyRange = async (payload) => {
+    const entries = new Map()
+    for (let page = 1; entries.size < payload.limit; page += 1) {
+      const response = await fetchAuditLogPage({
+        page,
+        pageSize: VERIFY_DOWNLOAD_PAGE_SIZE,
+        customerId: payload.customerId ?? '',
+        startDate: payload.startDate ?? '',
+        endDate: payload.endDate ?? '',
+      }).unwrap()
+
+      const pageRows = Array.isArray(response?.data) ? response.data : []
+      pageRows
+        .filter((entry) => !payload.ids || payload.ids.includes(entry.id ?? entry._id))
+        .forEach((entry) => {
+          // New entries arriving mid-download shift pages; keep the first copy
+          if (entries.size < payload.limit && !entries.has(entry.id ?? entry._id)) entries.set(entry.id ?? entry._id, entry)
+        })
+      const totalPages = Number(response?.meta?.totalPages) || 1
+      if (page >= totalPages || pageRows.length < VERIFY_DOWNLOAD_PAGE_SIZE) break
+    }
+    return [...entries.values()]
+  }
+
+  const handleExportAuditLogs = (format) => logExport.startExport({
+    baseName: 'audit-logs',
+    format,
+    columns: AUDIT_LOG_EXPORT_COLUMNS,
+    fetchPage: (exportPage, pageSize, signal) => {
+      const request = fetchAuditLogPage({ ...auditQueryFilters, page: exportPage, pageSize })
+      signal?.addEventListener('abort', () => request.abort(), { once: true })
+      return request.unwrap()
+    },
+  })
+
+  const handleVerifyIntegrity = async () => {
+    setVerifyError('')
+    const payload = buildVerifyPayload()
+    if (!payload) return
     try {
       const response = await verifyIntegrity(payload).unwrap()
       setVerifyResultData(response?.data ?? response)
@@ -130,6 +197,82 @@ export function useAuditLogManagement() {
     }
   }
 
+  const handleVerifyInBrowser = async () => {
+    setVerifyError('')
+    const payload = buildVerifyPayload()
+    if (!payload) return
+
+    setClientVerification(null)
+    setIsDownloadingRange(true)
+    let entries
+    let serverResult
+    try {
+      const serverRequest = verifyIntegrity(payload).unwrap()
+        .then((response) => response?.data ?? response)
+        .catch(() => null)
+      entries = await downloadVerifyRange(payload)
+      serverResult = await serverRequest
+      if (serverResult) setVerifyResultData(serverResult)
+    } catch (err) {
+      setVerifyError(normalizeError(err).message)
+      return
+    } finally {
+      setIsDownloadingRange(false)
+    }
+
+    // The server's sealing contract decides how hashes are recomputed
+    const scheme = resolveAuditChainScheme(serverResult?.chain)
+    if (!scheme) {
+      setVerifyError(serverResult?.chain
+        ? `The server seals with hash chain format ${serverResult.chain.version ?? '--'} (${serverResult.chain.algorithm ?? '--'}), which this browser cannot recompute.`
+        : 'The server did not report its hash chain format, so the range cannot be recomputed in the browser.')
+      return
+    }
+
+    try {
+      // Filters skip sequence numbers legitimately; a plain date range must not
+      const result = await verifyChain(entries, { scheme, expectContiguous: !payload.ids && !payload.customerId })
+      if (!result) return
+      const range = {
+        ids: payload.ids ?? [],
+        customerId: payload.customerId ?? '',
+        startDate: payload.startDate ?? '',
+        endDate: payload.endDate ?? '',
+        limit: payload.limit,
+        downloaded: entries.length,
+        downloadedAt: new Date().toISOString(),
+      }
+      setClientVerification({ range, result, serverResult })
+      addToast(result.intact
+        ? { title: 'Hash chain verified', description: `${result.total} entries recomputed in the browser.`, variant: 'success' }
+        : {
+            title: 'Hash chain broken',
+            description: `First broken link at sequence ${result.firstBreak?.sequence ?? '--'}.`,
+            variant: 'error',
+          })
+    } catch (err) {
+      setVerifyError(normalizeError(err).message)
+    }
+  }
+
+  const handleDownloadVerificationReport = async (format) => {
+    if (!clientVerification || !signOff.name.trim()) return
+    setIsReportBuilding(true)
+    try {
+      const report = await buildAuditVerificationReport({
+        range: clientVerification.range,
+        clientResult: clientVerification.result,
+        serverResult: clientVerification.serverResult,
+        signOff,
+      })
+      downloadAuditVerificationReport(report, format)
+    } catch (err) {
+      setVerifyError(normalizeError(err).message)
+    } finally {
+      setIsReportBuilding(false)
+    }
+  }
+
   return {
     filters,
     setFilters,
@@ -142,6 +285,8 @@ export function useAuditLogManagement() {
     isAuditListLoading,
     isAuditListFetching,
     listAppError,
+    logExport,
+    handleExportAuditLogs,
 
     requestLookupId,
     setRequestLookupId,
@@ -164,5 +309,18 @@ export function useAuditLogManagement() {
     verifyResultData,
     verifyIntegrityResult,
     handleVerifyIntegrity,
+
+    clientVerification,
+    isClientVerifying: isDownloadingRange || isChainVerifying,
+    isDownloadingRange,
+    chainProgress,
+    handleVerifyInBrowser,
+    signOff,
+    setSignOff,
+    isReportBuilding,
+    handleDownloadVerificationReport,
+    verificationOutcome: clientVerification
+      ? getAuditVerificationOutcome(clientVerification.result, clientVerification.serverResult)
+      : null,
   }
 }
@@ -4,6 +4,7 @@ import { Card } from '../../components/Card'
 import { Fieldset } from '../../components/Fieldset'
 import { HorizontalScroll } from '../../components/HorizontalScroll'
 import { Input } from '../../components/Input'
+import { SavedViewsToolbar } from '../../components/SavedViews'
 import { Select } from '../../components/Select'
 import { Status } from '../../components/Status'
 import { Table } from '../../components/Table'
@@ -65,8 +66,10 @@ export function CustomerListView({
   onCreateClick,
   onEditClick,
   onViewUsers,
+  onViewHistory,
   onUpdateStatus,
   updateStatusLoading,
+  listView,
 }) {
   const rowActions = useMemo(
     () => [
@@ -80,6 +83,7 @@ export function CustomerListView({
         label: 'Set Inactive',
         disabled: (row) => displayStatus(row?.status) === 'INACTIVE',
       },
+      { label: 'History' },
     ],
     [],
   )
@@ -90,8 +94,9 @@ export function CustomerListView({
       if (label === 'View Users') onViewUsers(row)
       if (label === 'Set Active') onUpdateStatus(row, 'ACTIVE')
       if (label === 'Set Inactive') onUpdateStatus(row, 'INACTIVE')
+      if (label === 'History') onViewHistory(row)
     },
-    [onEditClick, onUpdateStatus, onViewUsers],
+    [onEditClick, onUpdateStatus, onViewHistory, onViewUsers],
   )
 
   const columns = useMemo(
@@ -99,6 +104,8 @@ export function CustomerListView({
       {
         key: 'name',
         label: 'Name',
+        sortable: true,
+        hideable: false,
         render: (value, row) => {
           const customerId = getCustomerId(row)
           if (!customerId) return value || '--'
@@ -117,6 +124,7 @@ export function CustomerListView({
       {
         key: 'status',
         label: 'Status',
+        sortable: true,
         render: (value) => (
           <Status size="sm" showIcon variant={displayStatus(value) === 'ACTIVE' ? 'success' : 'warning'}>
             {displayStatus(value)}
@@ -126,6 +134,7 @@ export function CustomerListView({
       {
         key: 'topology',
         label: 'Topology',
+        sortable: true,
         render: (value) => (value === 'MULTI_TENANT' ? 'Multi Tenant' : 'Single Tenant'),
       },
       {
@@ -138,6 +147,7 @@ export function CustomerListView({
         key: 'updatedAt',
         label: 'Updated',
         width: '156px',
+        sortable: true,
         render: (value) => <TableDateTime value={value} />,
       },
       {
@@ -145,6 +155,7 @@ export function CustomerListView({
         label: 'Actions',
         align: 'center',
         width: '168px',
+        hideable: false,
         render: (_value, row) => (
           <CustomerRowActionsMenu row={row} actions={rowActions} onAction={handleRowAction} />
         ),
@@ -212,6 +223,9 @@ export function CustomerListView({
                 }}
               />
             </div>
+            {listView ? (
+              <SavedViewsToolbar listView={listView} columns={columns} idPrefix="customer-views" />
+            ) : null}
             {listAppError ? (
               <p className="super-admin-customers__error" role="alert">
                 {listAppError.message}
@@ -227,6 +241,7 @@ export function CustomerListView({
                 hoverable
                 emptyMessage="No customers found."
                 ariaLabel="Customers"
+                {...listView?.tableProps}
               />
             </HorizontalScroll>
             {isListFetching && !isListLoading ? (
@@ -2,9 +2,39 @@ import { Button } from '../../components/Button'
 import { Dialog } from '../../components/Dialog'
 import { Input } from '../../components/Input'
 import { Select } from '../../components/Select'
-import { BILLING_CYCLE_OPTIONS } from './superAdminCustomers.constants.js'
+import { CUSTOM_BRAND_THEME, MIN_CONTRAST_RATIO, getBrandContrastReport } from '../../utils/brandPalette.js'
+import { BILLING_CYCLE_OPTIONS, BRAND_THEME_OPTIONS } from './superAdminCustomers.constants.js'
 import './EditCustomerDialog.css'
 
+const SCHEME_LABELS = { dark: 'Dark scheme', light: 'Light scheme' }
+
+function BrandContrastReport({ primaryColor }) {
+  const report = getBrandContrastReport(primaryColor)
+  if (!report) return null
+
+  return (
+    <div className="super-admin-customers__brand-report" aria-label="Contrast check">
+      <ul className="super-admin-customers__brand-swatches" aria-hidden="true">
+        {Object.entries(report.palette).map(([shade, color]) => (
+          <li key={shade} style={{ backgroundColor: color }} title={`${shade} ${color}`} />
+        ))}
+      </ul>
+      <ul className="super-admin-customers__brand-checks">
+        {['dark', 'light'].map((scheme) => {
+          const check = report[scheme]
+          return (
+            <li key={scheme}>
+              {SCHEME_LABELS[scheme]}: shade {check.shade}, {check.ratio.toFixed(2)}:1 against the background
+              {check.adjusted ? ' (nearest shade meeting contrast)' : ''}
+              {check.passes ? '' : ` — below ${MIN_CONTRAST_RATIO}:1`}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
 export function EditCustomerDialog({
   open,
   onClose,
@@ -129,6 +159,47 @@ export function EditCustomerDialog({
             />
           </div>
         </div>
+        <h3 className="super-admin-customers__section-title">Branding</h3>
+        <div className="super-admin-customers__row">
+          <Select
+            id="sa-customer-edit-brand-theme"
+            label="Brand Theme"
+            value={form.brandTheme}
+            options={BRAND_THEME_OPTIONS}
+            onChange={(event) => setForm((current) => ({ ...current, brandTheme: event.target.value }))}
+            disabled={isFetchingDetails}
+          />
+          {form.brandTheme === CUSTOM_BRAND_THEME ? (
+            <div className="super-admin-customers__field">
+              <label htmlFor="sa-customer-edit-brand-color" className="super-admin-customers__field-label">
+                Primary Colour
+              </label>
+              <Input
+                id="sa-customer-edit-brand-color"
+                placeholder="#0f766e"
+                value={form.brandPrimaryColor}
+                onChange={(event) =>
+                  setForm((current) => ({ ...current, brandPrimaryColor: event.target.value }))
+                }
+                error={errors.brandPrimaryColor}
+                fullWidth
+              />
+            </div>
+          ) : null}
+        </div>
+        {form.brandTheme === CUSTOM_BRAND_THEME ? (
+          <BrandContrastReport primaryColor={form.brandPrimaryColor} />
+        ) : null}
+        <Input
+          id="sa-customer-edit-brand-logo"
+          label="Logo URL (Optional)"
+          value={form.brandLogoUrl}
+          onChange={(event) => setForm((current) => ({ ...current, brandLogoUrl: event.target.value }))}
+          error={errors.brandLogoUrl}
+          helperText="Replaces the StoryLineOS logo for this customer's users after they next sign in."
+          fullWidth
+          disabled={isFetchingDetails}
+        />
       </Dialog.Body>
       <Dialog.Footer>
         <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
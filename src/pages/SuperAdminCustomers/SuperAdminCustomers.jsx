@@ -1,8 +1,9 @@
 import { useCallback, useEffect, useMemo, useState } from 'react'
-import { useSearchParams } from 'react-router-dom'
+import { useNavigate, useSearchParams } from 'react-router-dom'
 import { TabView } from '../../components/TabView'
 import { useToaster } from '../../components/Toaster'
 import { SuperAdminInvitationsPanel } from '../SuperAdminInvitations/SuperAdminInvitations.jsx'
+import { getResourceHistoryPath } from '../SuperAdminResourceHistory/superAdminResourceHistory.constants.js'
 import { VIEW_CUSTOMERS, VIEW_INVITATIONS } from './superAdminCustomers.constants.js'
 import { normalizeWorkspaceView, getCustomerId, getUserEmail } from './superAdminCustomers.utils.js'
 import { useCustomerManagement } from './useCustomerManagement.js'
@@ -23,6 +24,7 @@ import './SuperAdminCustomers.css'
 
 export function SuperAdminCustomersPanel({ onAssignAdminSuccess }) {
   const { addToast } = useToaster()
+  const navigate = useNavigate()
 
   const [usersWorkspaceCustomer, setUsersWorkspaceCustomer] = useState(null)
   const [authLinkDialogOpen, setAuthLinkDialogOpen] = useState(false)
@@ -70,6 +72,11 @@ export function SuperAdminCustomersPanel({ onAssignAdminSuccess }) {
     userMgmt.resetWorkspaceState()
   }, [userMgmt.resetWorkspaceState])
 
+  const openCustomerHistory = useCallback((row) => {
+    const customerId = getCustomerId(row)
+    if (customerId) navigate(getResourceHistoryPath('Customer', customerId))
+  }, [navigate])
+
   const closeUsersWorkspace = useCallback(() => {
     setUsersWorkspaceCustomer(null)
     userMgmt.resetWorkspaceState()
@@ -160,10 +167,12 @@ export function SuperAdminCustomersPanel({ onAssignAdminSuccess }) {
           totalPages={customerMgmt.totalPages}
           currentPage={customerMgmt.currentPage}
           onPageChange={customerMgmt.setPage}
+          listView={customerMgmt.listView}
           createButtonDisabled={customerMgmt.createResult.isLoading}
           onCreateClick={customerMgmt.openCreateDialog}
           onEditClick={customerMgmt.openEditDialog}
           onViewUsers={openUsersWorkspace}
+          onViewHistory={openCustomerHistory}
           onUpdateStatus={customerMgmt.handleUpdateStatus}
           updateStatusLoading={customerMgmt.updateStatusResult.isLoading}
         />
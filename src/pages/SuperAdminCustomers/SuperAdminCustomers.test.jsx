@@ -1,8 +1,11 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest'
 import { fireEvent, render, screen, waitFor, within } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
+import { configureStore } from '@reduxjs/toolkit'
+import { Provider } from 'react-redux'
 import { MemoryRouter } from 'react-router-dom'
 import { ToasterProvider } from '../../components/Toaster'
+import authReducer from '../../store/slices/authSlice.js'
 import SuperAdminCustomers from './SuperAdminCustomers'
 
 vi.mock('../../store/api/customerApi.js', () => ({
@@ -71,16 +74,24 @@ import {
   useDeleteUserMutation,
 } from '../../store/api/userApi.js'
 
-function renderPage(initialEntry = '/super-admin/customers') {
-  return render(
-    <MemoryRouter initialEntries={[initialEntry]}>
-      <ToasterProvider>
-        <SuperAdminCustomers />
-      </ToasterProvider>
-    </MemoryRouter>,
+function buildPage(store, initialEntry = '/super-admin/customers') {
+  return (
+    <Provider store={store}>
+      <MemoryRouter initialEntries={[initialEntry]}>
+        <ToasterProvider>
+          <SuperAdminCustomers />
+        </ToasterProvider>
+      </MemoryRouter>
+    </Provider>
   )
 }
 
+function renderPage(initialEntry = '/super-admin/customers') {
+  const store = configureStore({ reducer: { auth: authReducer } })
+  const view = render(buildPage(store, initialEntry))
+  return { ...view, store }
+}
+
 function openCustomerUsersWorkspace() {
   fireEvent.change(screen.getByRole('combobox', { name: /actions for acme corp/i }), { target: { value: 'View Users' } })
 }
@@ -1419,6 +1430,68 @@ describe('SuperAdminCustomers page', () => {
     expect(mockUpdateCustomer).not.toHaveBeenCalled()
   })
 
+  it('saves a custom brand colour with its contrast check and logo override', async () => {
+    const user = userEvent.setup()
+    const mockUpdateCustomer = vi.fn()
+      .mockReturnValue({ unwrap: vi.fn().mockResolvedValue({}) })
+    const populatedDetailsResult = {
+      data: {
+        data: {
+          id: 'c-1',
+          name: 'Acme Corp',
+          topology: 'SINGLE_TENANT',
+          licenseLevelId: 'lic-1',
+          governance: { maxTenants: 1, maxVmfsPerTenant: 1 },
+          billing: { planCode: 'FREE', cycle: 'MONTHLY' },
+          branding: { theme: 'brand-emerald', primaryColor: null, logoUrl: null },
+        },
+      },
+      isFetching: false,
+      error: null,
+    }
+
+    useUpdateCustomerMutation.mockReturnValue([mockUpdateCustomer, { isLoading: false }])
+    useListCustomersQuery.mockReturnValue({
+      data: {
+        data: [{ id: 'c-1', name: 'Acme Corp', status: 'ACTIVE', topology: 'SINGLE_TENANT' }],
+        meta: { page: 1, totalPages: 1, total: 1 },
+      },
+      isLoading: false,
+      isFetching: false,
+      error: null,
+    })
+    useGetCustomerQuery.mockImplementation((customerId) => (
+      customerId ? populatedDetailsResult : { data: null, isFetching: false, error: null }
+    ))
+
+    renderPage()
+
+    await user.click(screen.getByRole('button', { name: /^acme corp$/i }))
+    const brandSelect = await screen.findByLabelText(/brand theme/i)
+    expect(brandSelect).toHaveValue('brand-emerald')
+
+    await user.selectOptions(brandSelect, 'brand-custom')
+    await user.type(screen.getByLabelText(/primary colour/i), 'teal')
+    await user.click(screen.getByRole('button', { name: /^save changes$/i }))
+    expect(screen.getByText(/enter a hex colour/i)).toBeInTheDocument()
+    expect(mockUpdateCustomer).not.toHaveBeenCalled()
+
+    await user.clear(screen.getByLabelText(/primary colour/i))
+    await user.type(screen.getByLabelText(/primary colour/i), '#0F766E')
+    expect(within(screen.getByLabelText(/contrast check/i)).getByText(/dark scheme: shade 400/i)).toBeInTheDocument()
+    await user.type(screen.getByLabelText(/logo url/i), 'https://cdn.acme.example/logo.svg')
+    await user.click(screen.getByRole('button', { name: /^save changes$/i }))
+
+    expect(mockUpdateCustomer).toHaveBeenCalledWith(expect.objectContaining({
+      customerId: 'c-1',
+      branding: {
+        theme: 'brand-custom',
+        primaryColor: '#0f766e',
+        logoUrl: 'https://cdn.acme.example/logo.svg',
+      },
+    }))
+  })
+
   it('renders customer row actions inside a compact overflow menu', async () => {
     useListCustomersQuery.mockReturnValue({
       data: {
@@ -2039,13 +2112,7 @@ describe('SuperAdminCustomers page', () => {
       },
     ]
 
-    view.rerender(
-      <MemoryRouter initialEntries={['/super-admin/customers']}>
-        <ToasterProvider>
-          <SuperAdminCustomers />
-        </ToasterProvider>
-      </MemoryRouter>,
-    )
+    view.rerender(buildPage(view.store))
 
     await waitFor(() => {
       expect(screen.getByRole('button', { name: /replace customer admin/i })).toBeInTheDocument()
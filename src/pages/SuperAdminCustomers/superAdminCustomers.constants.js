@@ -1,3 +1,5 @@
+import { BRAND_THEMES, CUSTOM_BRAND_THEME } from '../../utils/brandPalette.js'
+
 export const STATUS_FILTER_OPTIONS = [
   { value: '', label: 'All statuses' },
   { value: 'ACTIVE', label: 'Active' },
@@ -37,6 +39,12 @@ export const BILLING_CYCLE_OPTIONS = [
   { value: 'ANNUAL', label: 'Annual' },
 ]
 
+export const BRAND_THEME_OPTIONS = [
+  { value: '', label: 'StoryLineOS (default)' },
+  ...BRAND_THEMES.map(({ value, label }) => ({ value, label })),
+  { value: CUSTOM_BRAND_THEME, label: 'Custom colour' },
+]
+
 export const EMAIL_REGEX = /^\S+@\S+\.\S+$/
 export const ASSIGN_INVITATION_ALREADY_ACTIVE_MESSAGE =
   'An active invitation for this email is already tied to another user and is not linked to this customer yet. Revoke that invitation or wait for expiry, then retry.'
@@ -82,6 +90,9 @@ export const INITIAL_FORM = {
   maxVmfsPerTenant: '1',
   planCode: 'FREE',
   billingCycle: 'MONTHLY',
+  brandTheme: '',
+  brandPrimaryColor: '',
+  brandLogoUrl: '',
 }
 
 export const VIEW_CUSTOMERS = 'customers'
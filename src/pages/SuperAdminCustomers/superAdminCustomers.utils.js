@@ -3,6 +3,7 @@ import {
   getStepUpErrorSignal,
   getErrorMessage,
 } from '../../utils/errors.js'
+import { CUSTOM_BRAND_THEME, normalizeHexColor } from '../../utils/brandPalette.js'
 import {
   ASSIGN_INVITATION_ALREADY_ACTIVE_FALLBACK_MESSAGE,
   INVITATION_ALREADY_ACTIVE_REASON_MESSAGE_MAP,
@@ -105,6 +106,9 @@ export const createFormFromCustomer = (customer) => ({
   maxVmfsPerTenant: String(customer?.governance?.maxVmfsPerTenant ?? 1),
   planCode: customer?.billing?.planCode ?? 'FREE',
   billingCycle: customer?.billing?.cycle ?? 'MONTHLY',
+  brandTheme: customer?.branding?.theme ?? '',
+  brandPrimaryColor: customer?.branding?.primaryColor ?? '',
+  brandLogoUrl: customer?.branding?.logoUrl ?? '',
 })
 
 export const validateForm = (form) => {
@@ -147,6 +151,32 @@ export const validateForm = (form) => {
   return { errors, payload }
 }
 
+/**
+ * Branding section of Update Customer. Clearing every field sends
+ * `branding: null`, which restores the StoryLineOS look.
+ */
+export const validateBrandingForm = (form) => {
+  const errors = {}
+  const theme = form.brandTheme || null
+  const primaryColor = normalizeHexColor(form.brandPrimaryColor)
+  const logoUrl = form.brandLogoUrl.trim()
+
+  if (theme === CUSTOM_BRAND_THEME && !primaryColor) {
+    errors.brandPrimaryColor = 'Enter a hex colour such as #0f766e.'
+  }
+  if (logoUrl && !isValidUrl(logoUrl)) errors.brandLogoUrl = 'Logo must be a valid URL.'
+
+  const branding = theme || logoUrl
+    ? {
+        theme,
+        primaryColor: theme === CUSTOM_BRAND_THEME ? primaryColor : null,
+        logoUrl: logoUrl || null,
+      }
+    : null
+
+  return { errors, branding }
+}
+
 export const getFirstErrorDetailMessage = (details) => {
   if (!details || typeof details !== 'object') return ''
 
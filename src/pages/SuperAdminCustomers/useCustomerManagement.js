@@ -2,6 +2,7 @@ import { useCallback, useEffect, useMemo, useState } from 'react'
 import { DEFAULT_TABLE_PAGE_SIZE } from '../../components/Table/tableConstants.js'
 import { useToaster } from '../../components/Toaster'
 import { useDebounce } from '../../hooks/useDebounce.js'
+import { useListView } from '../../hooks/useListView.js'
 import {
   useListCustomersQuery,
   useCreateCustomerMutation,
@@ -15,9 +16,12 @@ import { INITIAL_FORM } from './superAdminCustomers.constants.js'
 import {
   getCustomerId,
   validateForm,
+  validateBrandingForm,
   createFormFromCustomer,
 } from './superAdminCustomers.utils.js'
 
+const CUSTOMER_LIST_DEFAULT_FILTERS = { q: '', status: '', topology: '' }
+
 export function useCustomerManagement() {
   const { addToast } = useToaster()
   const [search, setSearch] = useState('')
@@ -36,6 +40,23 @@ export function useCustomerManagement() {
 
   const debouncedSearch = useDebounce(search, 300)
 
+  const listFilters = useMemo(
+    () => ({ q: search, status: statusFilter, topology: topologyFilter }),
+    [search, statusFilter, topologyFilter],
+  )
+  const handleListViewFiltersChange = useCallback(({ q, status, topology }) => {
+    setSearch(q)
+    setStatusFilter(status)
+    setTopologyFilter(topology)
+    setPage(1)
+  }, [])
+  const listView = useListView({
+    viewKey: 'customers',
+    defaultFilters: CUSTOMER_LIST_DEFAULT_FILTERS,
+    filters: listFilters,
+    onFiltersChange: handleListViewFiltersChange,
+  })
+
   const {
     data: listResponse,
     isLoading: isListLoading,
@@ -154,13 +175,14 @@ export function useCustomerManagement() {
     setEditErrors({})
 
     const { errors, payload } = validateForm(editForm)
-    if (Object.keys(errors).length > 0) {
-      setEditErrors(errors)
+    const { errors: brandingErrors, branding } = validateBrandingForm(editForm)
+    if (Object.keys(errors).length > 0 || Object.keys(brandingErrors).length > 0) {
+      setEditErrors({ ...errors, ...brandingErrors })
       return
     }
 
     try {
-      await updateCustomer({ customerId: editCustomerId, ...payload }).unwrap()
+      await updateCustomer({ customerId: editCustomerId, ...payload, branding }).unwrap()
       addToast({
         title: 'Customer updated',
         description: 'Customer settings were saved successfully.',
@@ -213,6 +235,7 @@ export function useCustomerManagement() {
     setTopologyFilter,
     page,
     setPage,
+    listView,
     createOpen,
     createForm,
     setCreateForm,
@@ -6,6 +6,7 @@ import { TableDateTime } from '../../components/TableDateTime'
 import { Status } from '../../components/Status'
 import { Fieldset } from '../../components/Fieldset'
 import { HorizontalScroll } from '../../components/HorizontalScroll'
+import { LogExportToolbar } from '../../components/LogExport'
 import { getActorDisplay } from './superAdminDeniedAccessLogs.constants.js'
 import './DeniedAccessResultsView.css'
 
@@ -18,6 +19,8 @@ export function DeniedAccessResultsView({
   isFetching,
   appError,
   setPage,
+  logExport,
+  onExport,
 }) {
   const columns = useMemo(
     () => [
@@ -71,6 +74,13 @@ export function DeniedAccessResultsView({
             </p>
           ) : null}
 
+          <LogExportToolbar
+            logExport={logExport}
+            onExport={onExport}
+            idPrefix="denied-access-export"
+            disabled={Boolean(appError) || total === 0}
+          />
+
           <HorizontalScroll
             className="super-admin-denied-logs__table-wrap"
             ariaLabel="Denied access logs table"
@@ -41,6 +41,8 @@ function SuperAdminDeniedAccessLogs() {
         isFetching={mgmt.isFetching}
         appError={mgmt.appError}
         setPage={mgmt.setPage}
+        logExport={mgmt.logExport}
+        onExport={mgmt.handleExport}
       />
     </section>
   )
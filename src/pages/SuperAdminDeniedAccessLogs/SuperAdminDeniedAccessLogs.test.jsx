@@ -6,9 +6,13 @@ import SuperAdminDeniedAccessLogs from './SuperAdminDeniedAccessLogs'
 
 vi.mock('../../store/api/superAdminAuditApi.js', () => ({
   useListDeniedAccessLogsQuery: vi.fn(),
+  useLazyListDeniedAccessLogsQuery: vi.fn(),
 }))
 
-import { useListDeniedAccessLogsQuery } from '../../store/api/superAdminAuditApi.js'
+import {
+  useLazyListDeniedAccessLogsQuery,
+  useListDeniedAccessLogsQuery,
+} from '../../store/api/superAdminAuditApi.js'
 
 const padTwoDigits = (value) => String(value).padStart(2, '0')
 
@@ -38,6 +42,7 @@ describe('SuperAdminDeniedAccessLogs page', () => {
       isFetching: false,
       error: null,
     })
+    useLazyListDeniedAccessLogsQuery.mockReturnValue([vi.fn()])
   })
 
   it('renders heading and filters', () => {
@@ -123,4 +128,41 @@ describe('SuperAdminDeniedAccessLogs page', () => {
     })
     expect(screen.getByText(/page 1 of 4/i)).toBeInTheDocument()
   })
+
+  it('exports every page matching the applied filters as NDJSON', async () => {
+    const user = userEvent.setup()
+    useListDeniedAccessLogsQuery.mockReturnValue({
+      data: { data: [], meta: { page: 1, totalPages: 1, total: 3 } },
+      isLoading: false,
+      isFetching: false,
+      error: null,
+    })
+    const exportPages = [
+      { data: [{ id: 'dal-1' }, { id: 'dal-2' }], meta: { page: 1, totalPages: 2, total: 3 } },
+      { data: [{ id: 'dal-3' }], meta: { page: 2, totalPages: 2, total: 3 } },
+    ]
+    const fetchPage = vi.fn(({ page }) => ({ unwrap: () => Promise.resolve(exportPages[page - 1]), abort: vi.fn() }))
+    useLazyListDeniedAccessLogsQuery.mockReturnValue([fetchPage])
+    const { createObjectURL: originalCreateObjectURL, revokeObjectURL: originalRevokeObjectURL } = URL
+    const createObjectURL = vi.fn(() => 'blob:export')
+    URL.createObjectURL = createObjectURL
+    URL.revokeObjectURL = vi.fn()
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+    renderPage()
+    await user.type(screen.getByLabelText(/actor user id/i), 'user-1')
+    await user.click(screen.getByRole('button', { name: /apply/i }))
+    await user.selectOptions(screen.getByLabelText(/export format/i), 'ndjson')
+    await user.click(screen.getByRole('button', { name: /export all pages/i }))
+
+    expect(await screen.findByText(/exported 3 rows/i)).toHaveTextContent(/to denied-access-logs-.*\.ndjson\./)
+    expect(fetchPage).toHaveBeenCalledTimes(2)
+    expect(fetchPage).toHaveBeenCalledWith(expect.objectContaining({ actorUserId: 'user-1', page: 2, pageSize: 200 }))
+    expect(createObjectURL).toHaveBeenCalledTimes(1)
+    expect(clickSpy).toHaveBeenCalledTimes(1)
+
+    clickSpy.mockRestore()
+    URL.createObjectURL = originalCreateObjectURL
+    URL.revokeObjectURL = originalRevokeObjectURL
+  })
 })
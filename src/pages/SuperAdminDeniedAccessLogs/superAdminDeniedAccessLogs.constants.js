@@ -23,3 +23,14 @@ export const getActorDisplay = (row) => {
   if (row?.actorUserId?._id) return row.actorUserId._id
   return '--'
 }
+
+/** CSV columns for the denied-access export; NDJSON keeps every field. */
+export const DENIED_ACCESS_EXPORT_COLUMNS = [
+  { key: 'createdAt', label: 'Timestamp' },
+  { key: 'actor', label: 'Actor', value: getActorDisplay },
+  { key: 'actor.email', label: 'Actor Email' },
+  { key: 'action', label: 'Action', value: (row) => row?.action ?? 'ACCESS_DENIED' },
+  { key: 'resourceType', label: 'Resource Type' },
+  { key: 'resourceId', label: 'Resource ID' },
+  { key: 'requestId', label: 'Request ID' },
+]
@@ -1,8 +1,13 @@
 import { useState } from 'react'
 import { DEFAULT_TABLE_PAGE_SIZE } from '../../components/Table/tableConstants.js'
-import { useListDeniedAccessLogsQuery } from '../../store/api/superAdminAuditApi.js'
+import { useLogExport } from '../../hooks/useLogExport.js'
+import {
+  useLazyListDeniedAccessLogsQuery,
+  useListDeniedAccessLogsQuery,
+} from '../../store/api/superAdminAuditApi.js'
 import { normalizeError } from '../../utils/errors.js'
 import {
+  DENIED_ACCESS_EXPORT_COLUMNS,
   INITIAL_FILTERS,
   toStartOfDayIso,
   toEndOfDayIso,
@@ -12,6 +17,15 @@ export function useDeniedAccessLogManagement() {
   const [draftFilters, setDraftFilters] = useState(INITIAL_FILTERS)
   const [filters, setFilters] = useState(INITIAL_FILTERS)
   const [page, setPage] = useState(1)
+  const logExport = useLogExport()
+  const [fetchDeniedAccessPage] = useLazyListDeniedAccessLogsQuery()
+
+  // The list and the export send the same (applied) filters
+  const queryFilters = {
+    actorUserId: filters.actorUserId.trim(),
+    startDate: toStartOfDayIso(filters.startDate),
+    endDate: toEndOfDayIso(filters.endDate),
+  }
 
   const {
     data: logsResponse,
@@ -21,9 +35,7 @@ export function useDeniedAccessLogManagement() {
   } = useListDeniedAccessLogsQuery({
     page,
     pageSize: DEFAULT_TABLE_PAGE_SIZE,
-    actorUserId: filters.actorUserId.trim(),
-    startDate: toStartOfDayIso(filters.startDate),
-    endDate: toEndOfDayIso(filters.endDate),
+    ...queryFilters,
   })
 
   const rows = logsResponse?.data ?? []
@@ -44,6 +56,17 @@ export function useDeniedAccessLogManagement() {
     setPage(1)
   }
 
+  const handleExport = (format) => logExport.startExport({
+    baseName: 'denied-access-logs',
+    format,
+    columns: DENIED_ACCESS_EXPORT_COLUMNS,
+    fetchPage: (exportPage, pageSize, signal) => {
+      const request = fetchDeniedAccessPage({ ...queryFilters, page: exportPage, pageSize })
+      signal?.addEventListener('abort', () => request.abort(), { once: true })
+      return request.unwrap()
+    },
+  })
+
   return {
     draftFilters,
     setDraftFilters,
@@ -59,5 +82,8 @@ export function useDeniedAccessLogManagement() {
 
     applyFilters,
     resetFilters,
+
+    logExport,
+    handleExport,
   }
 }
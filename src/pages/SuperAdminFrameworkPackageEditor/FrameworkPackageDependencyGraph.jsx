@@ -0,0 +1,135 @@
+import { useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Badge } from '../../components/Badge'
+import { Button } from '../../components/Button'
+import { ForceDirectedGraph } from '../../components/ForceDirectedGraph'
+import { useGetFrameworkPackageDependencyGraphQuery } from '../../store/api/runtimeControlApi.js'
+import { normalizeError } from '../../utils/errors.js'
+import {
+  FRAMEWORK_PACKAGE_GRAPH_FILTER_TYPES,
+  FRAMEWORK_PACKAGE_GRAPH_NODE_TYPES,
+  buildFrameworkPackageGraphView,
+} from './frameworkPackageDependencyGraph.js'
+
+/**
+ * Package → registry → path → skill → agent → policy graph for one
+ * framework package. Integrity failures and dependency cycles are flagged
+ * on the graph and listed below it; selecting a node opens its editor.
+ */
+function FrameworkPackageDependencyGraph({ packageId, integrity = null }) {
+  const navigate = useNavigate()
+  const [hiddenTypes, setHiddenTypes] = useState([])
+  const {
+    data: graphResponse,
+    error: graphError,
+    isLoading: isGraphLoading,
+  } = useGetFrameworkPackageDependencyGraphQuery(packageId, { skip: !packageId })
+  const graph = graphResponse?.data ?? null
+  const view = useMemo(
+    () => buildFrameworkPackageGraphView({ graph, integrity, hiddenTypes }),
+    [graph, hiddenTypes, integrity],
+  )
+
+  const toggleType = (type) => {
+    setHiddenTypes((current) => (current.includes(type)
+      ? current.filter((entry) => entry !== type)
+      : [...current, type]))
+  }
+
+  if (graphError) {
+    return (
+      <p className="super-admin-framework-package-editor__error" role="alert">
+        {normalizeError(graphError).message}
+      </p>
+    )
+  }
+
+  if (isGraphLoading) {
+    return <p className="super-admin-framework-package-editor__helper">Loading dependency graph...</p>
+  }
+
+  return (
+    <div className="super-admin-framework-package-editor__dependency-graph">
+      <div
+        className="super-admin-framework-packages__token-list super-admin-framework-package-editor__summary-chip-row"
+        role="group"
+        aria-label="Dependency graph entity types"
+      >
+        {FRAMEWORK_PACKAGE_GRAPH_FILTER_TYPES.map((type) => {
+          const visible = !hiddenTypes.includes(type)
+          return (
+            <button
+              key={type}
+              type="button"
+              className="super-admin-framework-package-editor__dependency-filter"
+              data-active={visible ? 'true' : 'false'}
+              aria-pressed={visible}
+              onClick={() => toggleType(type)}
+            >
+              {FRAMEWORK_PACKAGE_GRAPH_NODE_TYPES[type].label}: {view.typeCounts[type] ?? 0}
+            </button>
+          )
+        })}
+      </div>
+
+      <ForceDirectedGraph
+        ariaLabel="Framework package dependency graph"
+        description="Hidden entity types are collapsed so their neighbours stay linked. Flagged nodes fail integrity, carry dependency issues or sit in a cycle."
+        emptyMessage="No dependency relationships resolved for this package."
+        nodes={view.nodes}
+        links={view.links}
+        nodeOpenLabel="Open"
+        onNodeOpen={(node) => navigate(node.editorPath)}
+      />
+
+      {view.cycles.length > 0 ? (
+        <section className="super-admin-framework-package-editor__dependency-graph-findings" aria-label="Dependency cycles">
+          <h3 className="super-admin-framework-package-editor__field-group-title">
+            Dependency Cycles
+            <Badge variant="danger" size="sm" pill outline>{view.cycles.length}</Badge>
+          </h3>
+          <ul className="super-admin-framework-package-editor__version-diff-list">
+            {view.cycles.map((cycle) => (
+              <li key={cycle.id} className="super-admin-framework-package-editor__version-diff-entry">
+                {[...cycle.labels, cycle.labels[0]].join(' → ')}
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+
+      {view.failures.length > 0 ? (
+        <section className="super-admin-framework-package-editor__dependency-graph-findings" aria-label="Integrity failures">
+          <h3 className="super-admin-framework-package-editor__field-group-title">
+            Integrity Failures
+            <Badge variant="danger" size="sm" pill outline>{view.failures.length}</Badge>
+          </h3>
+          <ul className="super-admin-framework-package-editor__version-diff-list">
+            {view.failures.map((failure) => (
+              <li key={failure.nodeId} className="super-admin-framework-package-editor__version-diff-entry">
+                <div className="super-admin-framework-package-editor__version-diff-entry-header">
+                  <strong>{failure.label}</strong>
+                  <Badge variant="neutral" size="sm" pill outline>{failure.typeLabel}</Badge>
+                  {failure.editorPath ? (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      aria-label={`Open ${failure.typeLabel} ${failure.label}`}
+                      onClick={() => navigate(failure.editorPath)}
+                    >
+                      Open
+                    </Button>
+                  ) : null}
+                </div>
+                <span>{failure.messages.join(' ')}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+    </div>
+  )
+}
+
+export default FrameworkPackageDependencyGraph
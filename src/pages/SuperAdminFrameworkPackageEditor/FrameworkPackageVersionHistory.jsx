@@ -0,0 +1,301 @@
+import { useState } from 'react'
+import { Badge } from '../../components/Badge'
+import { Button } from '../../components/Button'
+import { HorizontalScroll } from '../../components/HorizontalScroll'
+import { Select } from '../../components/Select'
+import { DEFAULT_TABLE_PAGE_SIZE, Table } from '../../components/Table'
+import {
+  useGetFrameworkPackageAuditQuery,
+  useGetFrameworkPackageDiffQuery,
+  useListFrameworkPackagesQuery,
+} from '../../store/api/runtimeControlApi.js'
+import { formatDateTime as formatStandardDateTime } from '../../utils/dateTime.js'
+import { normalizeError } from '../../utils/errors.js'
+import {
+  FRAMEWORK_PACKAGE_STATUSES,
+  formatFrameworkPackageStatus,
+  getFrameworkPackageStatusVariant,
+} from '../SuperAdminFrameworkPackages/superAdminFrameworkPackages.constants.js'
+
+const VERSION_PAGE_SIZE = 100
+
+const CHANGE_BADGES = Object.freeze({
+  ADDED: { variant: 'success', label: 'Added' },
+  REMOVED: { variant: 'danger', label: 'Removed' },
+  CHANGED: { variant: 'warning', label: 'Changed' },
+})
+
+// Matches the list view: only validated and active packages can be cloned
+const RESTORABLE_STATUSES = new Set([
+  FRAMEWORK_PACKAGE_STATUSES.VALIDATED,
+  FRAMEWORK_PACKAGE_STATUSES.ACTIVE,
+])
+
+const getRestoreBlockedReason = (status) => {
+  const normalizedStatus = String(status ?? '').toUpperCase()
+  if (RESTORABLE_STATUSES.has(normalizedStatus)) return ''
+  if (normalizedStatus === FRAMEWORK_PACKAGE_STATUSES.DRAFT) {
+    return 'Drafts are edited directly. Validate this version to restore it.'
+  }
+  return `${formatFrameworkPackageStatus(status)} versions are view-only. Only validated or active versions can be restored.`
+}
+
+// Every group needs its entries; anything else is not a diff this view can show
+const isFrameworkPackageDiff = (diff) => Array.isArray(diff?.groups)
+  && diff.groups.every((group) => group && typeof group.key === 'string' && Array.isArray(group.entries))
+
+const formatDateTime = (value) => (value ? formatStandardDateTime(value, String(value)) : '--')
+
+const formatDiffValue = (value) => {
+  if (value === undefined || value === null || value === '') return '--'
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+const getActorLabel = (actor) => (actor && typeof actor === 'object'
+  ? actor.name || actor.email || actor.id || '--'
+  : actor || '--')
+
+function FrameworkPackageDiffGroup({ group }) {
+  const headingId = `framework-package-diff-${group.key}`
+  const entries = Array.isArray(group.entries) ? group.entries : []
+
+  return (
+    <section className="super-admin-framework-package-editor__version-diff-group" aria-labelledby={headingId}>
+      <h3 id={headingId} className="super-admin-framework-package-editor__field-group-title">
+        {group.label}
+        <Badge variant={entries.length > 0 ? 'info' : 'neutral'} size="sm" pill outline>
+          {entries.length}
+        </Badge>
+      </h3>
+      {entries.length === 0 ? (
+        <p className="super-admin-framework-package-editor__helper">No changes.</p>
+      ) : (
+        <ul className="super-admin-framework-package-editor__version-diff-list" aria-label={`${group.label} changes`}>
+          {entries.map((entry) => {
+            const badge = CHANGE_BADGES[entry.change] ?? { variant: 'neutral', label: entry.change || 'Changed' }
+            return (
+              <li key={entry.key} className="super-admin-framework-package-editor__version-diff-entry">
+                <div className="super-admin-framework-package-editor__version-diff-entry-header">
+                  <code>{entry.key}</code>
+                  <Badge variant={badge.variant} size="sm" pill outline>{badge.label}</Badge>
+                </div>
+                {Array.isArray(entry.fields) && entry.fields.length > 0 ? (
+                  <dl className="super-admin-framework-package-editor__version-diff-fields">
+                    {entry.fields.map((field) => (
+                      <div key={field.field}>
+                        <dt>{field.field === entry.key ? 'Value' : field.field}</dt>
+                        <dd>
+                          <del>{formatDiffValue(field.before)}</del>
+                          {' → '}
+                          <ins>{formatDiffValue(field.after)}</ins>
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                ) : null}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+/**
+ * Version history for one framework package: the other versions of its
+ * framework, the server diff (`/framework-packages/:id/diff/:version`)
+ * against a selected version and that version's audit trail. Restoring
+ * a version is delegated to the editor's clone flow.
+ */
+function FrameworkPackageVersionHistory({ packageId, frameworkKey, onRestoreVersion }) {
+  const [selectedVersion, setSelectedVersion] = useState('')
+  const {
+    data: versionsResponse,
+    error: versionsError,
+    isLoading: isVersionsLoading,
+  } = useListFrameworkPackagesQuery(
+    { page: 1, pageSize: VERSION_PAGE_SIZE, frameworkKey },
+    { skip: !frameworkKey },
+  )
+  const versions = (Array.isArray(versionsResponse?.data) ? versionsResponse.data : [])
+    .filter((pkg) => pkg.id !== packageId && pkg.version)
+
+  // Default to the most recent other version
+  const comparedVersion = versions.some((pkg) => pkg.version === selectedVersion)
+    ? selectedVersion
+    : versions[0]?.version ?? ''
+  const comparedPackage = versions.find((pkg) => pkg.version === comparedVersion) ?? null
+
+  const {
+    data: diffResponse,
+    error: diffError,
+    isFetching: isDiffFetching,
+  } = useGetFrameworkPackageDiffQuery({ packageId, version: comparedVersion }, { skip: !packageId || !comparedVersion })
+  const {
+    data: auditResponse,
+    error: auditError,
+    isFetching: isAuditFetching,
+  } = useGetFrameworkPackageAuditQuery(
+    { packageId: comparedPackage?.id, page: 1, pageSize: DEFAULT_TABLE_PAGE_SIZE },
+    { skip: !comparedPackage?.id },
+  )
+
+  const diff = diffResponse?.data ?? null
+  const isDiffValid = isFrameworkPackageDiff(diff)
+  const diffGroups = isDiffValid ? diff.groups : []
+  const totalChanges = diffGroups.reduce((total, group) => total + group.entries.length, 0)
+  const auditRows = Array.isArray(auditResponse?.data) ? auditResponse.data : []
+
+  if (versionsError) {
+    return (
+      <p className="super-admin-framework-package-editor__error" role="alert">
+        {normalizeError(versionsError).message}
+      </p>
+    )
+  }
+
+  if (isVersionsLoading) {
+    return <p className="super-admin-framework-package-editor__helper">Loading package versions...</p>
+  }
+
+  return (
+    <div className="super-admin-framework-package-editor__version-history">
+      <HorizontalScroll
+        className="super-admin-framework-packages__table-wrap"
+        ariaLabel="Framework package versions"
+        gap="sm"
+      >
+        <Table
+          className="super-admin-framework-packages__table"
+          columns={[
+            { key: 'version', label: 'Version', width: '14%' },
+            { key: 'packageKey', label: 'Package Key', width: '22%', render: (value) => value || '--' },
+            {
+              key: 'status',
+              label: 'Status',
+              width: '14%',
+              render: (value) => (
+                <Badge variant={getFrameworkPackageStatusVariant(value)} size="sm" pill outline>
+                  {formatFrameworkPackageStatus(value)}
+                </Badge>
+              ),
+            },
+            { key: 'updatedAt', label: 'Updated', width: '22%', render: formatDateTime },
+            {
+              key: 'actions',
+              label: 'Actions',
+              width: '28%',
+              render: (_value, row) => {
+                const restoreBlockedReason = getRestoreBlockedReason(row.status)
+                const restoreReasonId = `framework-package-restore-reason-${row.id}`
+                return (
+                  <>
+                    <div className="super-admin-framework-package-editor__table-actions">
+                      <Button
+                        type="button"
+                        variant={row.version === comparedVersion ? 'primary' : 'outline'}
+                        size="sm"
+                        aria-label={`Compare with version ${row.version}`}
+                        onClick={() => setSelectedVersion(row.version)}
+                      >
+                        Compare
+                      </Button>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        aria-label={`Restore version ${row.version} as new draft`}
+                        aria-describedby={restoreBlockedReason ? restoreReasonId : undefined}
+                        disabled={Boolean(restoreBlockedReason)}
+                        onClick={() => onRestoreVersion?.(row)}
+                      >
+                        Restore as new draft
+                      </Button>
+                    </div>
+                    {restoreBlockedReason ? (
+                      <p id={restoreReasonId} className="super-admin-framework-package-editor__helper">
+                        {restoreBlockedReason}
+                      </p>
+                    ) : null}
+                  </>
+                )
+              },
+            },
+          ]}
+          data={versions}
+          variant="striped"
+          hoverable
+          emptyMessage="No other versions of this framework yet."
+          ariaLabel="Framework package versions"
+        />
+      </HorizontalScroll>
+
+      {versions.length > 0 ? (
+        <>
+          <div className="super-admin-framework-package-editor__option-panel super-admin-framework-package-editor__option-panel--inline">
+            <Select
+              id="framework-package-diff-version"
+              label="Compare with version"
+              size="sm"
+              value={comparedVersion}
+              options={versions.map((pkg) => ({
+                value: pkg.version,
+                label: `${pkg.version} · ${formatFrameworkPackageStatus(pkg.status)}`,
+              }))}
+              onChange={(event) => setSelectedVersion(event.target.value)}
+            />
+          </div>
+          {diffError ? (
+            <p className="super-admin-framework-package-editor__error" role="alert">{normalizeError(diffError).message}</p>
+          ) : isDiffFetching || !diffResponse ? (
+            <p className="super-admin-framework-package-editor__helper">Loading version diff...</p>
+          ) : !isDiffValid ? (
+            <p className="super-admin-framework-package-editor__error" role="alert">
+              The server returned a diff this page cannot read, so the changes since version {comparedVersion} are unknown.
+            </p>
+          ) : (
+            <div className="super-admin-framework-package-editor__version-diff" aria-label="Framework package version diff">
+              <p className="super-admin-framework-package-editor__helper" role="status">
+                {totalChanges === 0
+                  ? `No structural changes since version ${comparedVersion}.`
+                  : `${totalChanges} change${totalChanges === 1 ? '' : 's'} since version ${comparedVersion}.`}
+              </p>
+              {diffGroups.map((group) => <FrameworkPackageDiffGroup key={group.key} group={group} />)}
+            </div>
+          )}
+
+          <section
+            className="super-admin-framework-package-editor__version-diff-group"
+            aria-labelledby="framework-package-version-audit"
+          >
+            <h3 id="framework-package-version-audit" className="super-admin-framework-package-editor__field-group-title">
+              Version {comparedVersion} history
+            </h3>
+            {auditError ? (
+              <p className="super-admin-framework-package-editor__error" role="alert">{normalizeError(auditError).message}</p>
+            ) : isAuditFetching ? (
+              <p className="super-admin-framework-package-editor__helper">Loading version history...</p>
+            ) : (
+              <Table
+                className="super-admin-framework-packages__table"
+                columns={[
+                  { key: 'ts', label: 'Timestamp', width: '26%', render: formatDateTime },
+                  { key: 'actorUserId', label: 'Actor', width: '20%', render: getActorLabel },
+                  { key: 'action', label: 'Action', width: '24%' },
+                  { key: 'summary', label: 'Summary', width: '30%', render: (value) => value || '--' },
+                ]}
+                data={auditRows}
+                variant="striped"
+                emptyMessage="No audit entries for this version."
+                ariaLabel={`Version ${comparedVersion} audit history`}
+              />
+            )}
+          </section>
+        </>
+      ) : null}
+    </div>
+  )
+}
+
+export default FrameworkPackageVersionHistory
@@ -88,6 +88,8 @@ import {
 } from '../SuperAdminFrameworkPackages/superAdminFrameworkPackages.constants.js'
 import '../SuperAdminFrameworkPackages/SuperAdminFrameworkPackages.css'
 import '../SuperAdminFrameworkPackages/FrameworkPackageListView.css'
+import FrameworkPackageDependencyGraph from './FrameworkPackageDependencyGraph.jsx'
+import FrameworkPackageVersionHistory from './FrameworkPackageVersionHistory.jsx'
 import './SuperAdminFrameworkPackageEditor.css'
 
 const SERVER_ERROR_FIELDS = Object.freeze([
@@ -139,6 +141,10 @@ const DEPENDENCY_TYPE_FILTERS = Object.freeze([
   { value: 'Workflow Policy', label: 'Workflow Policies' },
   { value: 'UI Contract', label: 'UI Contract' },
 ])
+const DEPENDENCY_VIEWS = Object.freeze([
+  { value: 'table', label: 'Table' },
+  { value: 'graph', label: 'Graph' },
+])
 const RUNTIME_VALIDATION_BLOCKING_SEVERITIES = Object.freeze(['CRITICAL', 'ERROR', 'BLOCKING'])
 const RUNTIME_VALIDATION_WARNING_SEVERITIES = Object.freeze(['WARN', 'WARNING'])
 const RUNTIME_VALIDATION_MODE_HELP =
@@ -1344,6 +1350,7 @@ function SuperAdminFrameworkPackageEditor() {
     ...INITIAL_RUNTIME_VALIDATION_FILTERS,
   })
   const [dependencyTypeFilter, setDependencyTypeFilter] = useState('')
+  const [dependencyView, setDependencyView] = useState('table')
   const [runtimeValidationCodeDetail, setRuntimeValidationCodeDetail] = useState(null)
   const [integrityMessageDetail, setIntegrityMessageDetail] = useState(null)
   const [runtimeEvidenceIdentifiersOpen, setRuntimeEvidenceIdentifiersOpen] = useState(false)
@@ -2556,6 +2563,11 @@ function SuperAdminFrameworkPackageEditor() {
     }
   }
 
+  const handleRestoreVersion = (versionPackage) => {
+    if (!versionPackage?.id) return
+    navigate(`/super-admin/runtime-control/framework-packages/new?cloneFrom=${encodeURIComponent(versionPackage.id)}`)
+  }
+
   const pageTitle = isEditMode
     ? 'Framework Package Editor'
     : isCloneMode
@@ -3908,59 +3920,83 @@ function SuperAdminFrameworkPackageEditor() {
                       ) : (
                         <>
                           <div
-                            className="super-admin-framework-packages__token-list super-admin-framework-package-editor__summary-chip-row"
+                            className="super-admin-framework-packages__token-list"
                             role="group"
-                            aria-label="Dependency filters"
+                            aria-label="Dependency view"
                           >
-                            {dependencyFilterOptions.map((filter) => (
+                            {DEPENDENCY_VIEWS.map((view) => (
                               <button
-                                key={filter.value || 'all'}
+                                key={view.value}
                                 type="button"
                                 className="super-admin-framework-package-editor__dependency-filter"
-                                data-active={dependencyTypeFilter === filter.value ? 'true' : 'false'}
-                                aria-pressed={dependencyTypeFilter === filter.value}
-                                onClick={() => updateDependencyTypeFilter(filter.value)}
+                                data-active={dependencyView === view.value ? 'true' : 'false'}
+                                aria-pressed={dependencyView === view.value}
+                                onClick={() => setDependencyView(view.value)}
                               >
-                                {filter.label}: {filter.count}
+                                {view.label}
                               </button>
                             ))}
                           </div>
-                          <TableSurface
-                            ariaLabel="Framework package dependencies"
-                            columns={[
-                              { key: 'type', label: 'Type', width: '16%' },
-                              { key: 'key', label: 'Key', width: '26%', render: (value, row) => {
-                                const target = getDependencyNavigationTarget(row)
-                                if (!target) {
-                                  return <code className="super-admin-framework-package-editor__code-token">{value}</code>
-                                }
-
-                                return (
+                          {dependencyView === 'graph' ? (
+                            <FrameworkPackageDependencyGraph packageId={packageId} integrity={integrityData} />
+                          ) : (
+                            <>
+                              <div
+                                className="super-admin-framework-packages__token-list super-admin-framework-package-editor__summary-chip-row"
+                                role="group"
+                                aria-label="Dependency filters"
+                              >
+                                {dependencyFilterOptions.map((filter) => (
                                   <button
+                                    key={filter.value || 'all'}
                                     type="button"
-                                    className="super-admin-framework-package-editor__dependency-link"
-                                    onClick={() => handleDependencyClickthrough(row)}
-                                    aria-label={`Open ${row.type} ${row.name || value}`}
+                                    className="super-admin-framework-package-editor__dependency-filter"
+                                    data-active={dependencyTypeFilter === filter.value ? 'true' : 'false'}
+                                    aria-pressed={dependencyTypeFilter === filter.value}
+                                    onClick={() => updateDependencyTypeFilter(filter.value)}
                                   >
-                                    <code className="super-admin-framework-package-editor__code-token">{value}</code>
+                                    {filter.label}: {filter.count}
                                   </button>
-                                )
-                              } },
-                              { key: 'name', label: 'Name', width: '24%' },
-                              { key: 'status', label: 'Status', width: '14%', render: (value) => (
-                                <Status size="sm" showIcon variant={getCheckStatusVariant(value)}>{value}</Status>
-                              ) },
-                              { key: 'issues', label: 'Issues', width: '20%', render: formatIssueList },
-                            ]}
-                            data={paginatedDependencyRows}
-                            emptyMessage={dependencyEmptyMessage}
-                            paginationLabel="Framework package dependencies pagination"
-                            currentPage={dependencyTablePage}
-                            totalPages={dependencyTableTotalPages}
-                            onPageChange={(nextPage) =>
-                              setEditorTablePage('dependencies', nextPage, dependencyTableTotalPages)
-                            }
-                          />
+                                ))}
+                              </div>
+                              <TableSurface
+                                ariaLabel="Framework package dependencies"
+                                columns={[
+                                  { key: 'type', label: 'Type', width: '16%' },
+                                  { key: 'key', label: 'Key', width: '26%', render: (value, row) => {
+                                    const target = getDependencyNavigationTarget(row)
+                                    if (!target) {
+                                      return <code className="super-admin-framework-package-editor__code-token">{value}</code>
+                                    }
+
+                                    return (
+                                      <button
+                                        type="button"
+                                        className="super-admin-framework-package-editor__dependency-link"
+                                        onClick={() => handleDependencyClickthrough(row)}
+                                        aria-label={`Open ${row.type} ${row.name || value}`}
+                                      >
+                                        <code className="super-admin-framework-package-editor__code-token">{value}</code>
+                                      </button>
+                                    )
+                                  } },
+                                  { key: 'name', label: 'Name', width: '24%' },
+                                  { key: 'status', label: 'Status', width: '14%', render: (value) => (
+                                    <Status size="sm" showIcon variant={getCheckStatusVariant(value)}>{value}</Status>
+                                  ) },
+                                  { key: 'issues', label: 'Issues', width: '20%', render: formatIssueList },
+                                ]}
+                                data={paginatedDependencyRows}
+                                emptyMessage={dependencyEmptyMessage}
+                                paginationLabel="Framework package dependencies pagination"
+                                currentPage={dependencyTablePage}
+                                totalPages={dependencyTableTotalPages}
+                                onPageChange={(nextPage) =>
+                                  setEditorTablePage('dependencies', nextPage, dependencyTableTotalPages)
+                                }
+                              />
+                            </>
+                          )}
                         </>
                       )}
                     </div>
@@ -4596,7 +4632,7 @@ function SuperAdminFrameworkPackageEditor() {
                     <div className="super-admin-framework-package-editor__tab-panel">
                       <SectionHeader
                         title="JSON / Diff"
-                        copy="Inspect read-only package JSON and the future version-diff scaffold."
+                        copy="Inspect read-only package JSON, compare this package with other versions of its framework, and restore a version as a new draft."
                       />
                       <div className="super-admin-framework-package-editor__toolbar">
                         <div className="super-admin-framework-package-editor__table-actions">
@@ -4616,11 +4652,17 @@ function SuperAdminFrameworkPackageEditor() {
                           ? JSON.stringify(currentPackageJson)
                           : JSON.stringify(currentPackageJson, null, 2)}
                       </pre>
-                      <div className="super-admin-framework-package-editor__option-panel">
+                      {isEditMode ? (
+                        <FrameworkPackageVersionHistory
+                          packageId={packageId}
+                          frameworkKey={loadedPackage?.frameworkKey ?? form.frameworkKey}
+                          onRestoreVersion={handleRestoreVersion}
+                        />
+                      ) : (
                         <p className="super-admin-framework-package-editor__helper">
-                          Version diff is not available until package snapshot history is implemented.
+                          Version history is available after the package is created.
                         </p>
-                      </div>
+                      )}
                     </div>
                   </TabView.Tab>
                 </TabView>
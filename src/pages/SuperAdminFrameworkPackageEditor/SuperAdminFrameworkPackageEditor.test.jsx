@@ -136,6 +136,10 @@ let runtimeActivationHistoryQueryMock = {
   },
   refetch: runtimeActivationHistoryRefetchMock,
 }
+let frameworkPackageVersionsMock = []
+let frameworkPackageDiffMock = null
+let frameworkPackageDiffQueryArgs = []
+let frameworkPackageDependencyGraphMock = { nodes: [], edges: [] }
 
 vi.mock('react-router-dom', async () => {
   const actual = await vi.importActual('react-router-dom')
@@ -226,13 +230,22 @@ vi.mock('../../store/api/runtimeControlApi.js', () => ({
   useActivateFrameworkPackageMutation: () => [activateFrameworkPackageMock, { isLoading: false }],
   useGetFrameworkPackageAuditQuery: () => frameworkPackageAuditQueryMock,
   useGetFrameworkPackageDependenciesQuery: () => frameworkPackageDependenciesQueryMock,
+  useGetFrameworkPackageDependencyGraphQuery: () => ({
+    data: { data: frameworkPackageDependencyGraphMock },
+    isLoading: false,
+    error: null,
+  }),
   useGetFrameworkPackageIntegrityQuery: () => frameworkPackageIntegrityQueryMock,
   useGetFrameworkPackageLatestCheckpointQuery: () => frameworkPackageLatestCheckpointQueryMock,
   useGetFrameworkPackageQuery: () => frameworkPackageQueryMock,
+  useGetFrameworkPackageDiffQuery: (args, options) => {
+    if (!options?.skip) frameworkPackageDiffQueryArgs.push(args)
+    return { data: frameworkPackageDiffMock ? { data: frameworkPackageDiffMock } : undefined, isFetching: false, error: null }
+  },
   useGetRuntimeActivationReadinessQuery: () => runtimeActivationReadinessQueryMock,
   useGetRuntimeActivationHistoryQuery: () => runtimeActivationHistoryQueryMock,
   useGetRuntimeValidationHistoryQuery: () => runtimeValidationHistoryQueryMock,
-  useListFrameworkPackagesQuery: () => ({ data: { data: [] } }),
+  useListFrameworkPackagesQuery: () => ({ data: { data: frameworkPackageVersionsMock } }),
   useListFrameworkRegistriesQuery: () => ({
     data: {
       data: [
@@ -524,6 +537,9 @@ describe('SuperAdminFrameworkPackageEditor', () => {
       },
       refetch: runtimeActivationHistoryRefetchMock,
     }
+    frameworkPackageVersionsMock = []
+    frameworkPackageDiffMock = null
+    frameworkPackageDiffQueryArgs = []
     uiContractRowsMock = [cloneTestRow(activeUiContractRow)]
     listUiContractsQueryArgs = []
   })
@@ -1181,6 +1197,92 @@ describe('SuperAdminFrameworkPackageEditor', () => {
     }))
   })
 
+  it('diffs the package against another version and restores a version as a new draft', async () => {
+    const user = userEvent.setup()
+    paramsMock = { packageId: 'pkg-live-2' }
+    frameworkPackageQueryMock = buildLoadedPackage()
+    frameworkPackageVersionsMock = [
+      frameworkPackageQueryMock.data.data,
+      { id: 'pkg-live-1', frameworkKey: 'VMF', version: '2.2.0', packageKey: 'vmf-core', status: 'ACTIVE', updatedAt: '2026-04-02T12:00:00.000Z' },
+      { id: 'pkg-draft-1', frameworkKey: 'VMF', version: '2.1.0', packageKey: 'vmf-core-old', status: 'DRAFT', updatedAt: '2026-03-02T12:00:00.000Z' },
+    ]
+    frameworkPackageDiffMock = {
+      packageId: 'pkg-live-2',
+      version: '2.3.1',
+      comparedPackageId: 'pkg-live-1',
+      comparedVersion: '2.2.0',
+      groups: [
+        {
+          key: 'settings',
+          label: 'Package Settings',
+          entries: [
+            { key: 'description', change: 'CHANGED', fields: [{ field: 'description', before: 'Original package.', after: 'Existing package.' }] },
+          ],
+        },
+        {
+          key: 'sections',
+          label: 'Sections',
+          entries: [{ key: 'value_drivers', change: 'ADDED', fields: [] }],
+        },
+      ],
+      totalChanges: 2,
+    }
+
+    render(<SuperAdminFrameworkPackageEditor />)
+
+    await waitFor(() => {
+      expect(screen.getByDisplayValue('2.3.1')).toBeInTheDocument()
+    })
+    await user.click(screen.getByRole('tab', { name: /^json \/ diff$/i }))
+
+    expect(frameworkPackageDiffQueryArgs).toContainEqual({ packageId: 'pkg-live-2', version: '2.2.0' })
+    expect(screen.getByText('2 changes since version 2.2.0.')).toBeInTheDocument()
+    const sectionChanges = screen.getByRole('list', { name: 'Sections changes' })
+    expect(within(sectionChanges).getByText('value_drivers')).toBeInTheDocument()
+    expect(within(sectionChanges).getByText('Added')).toBeInTheDocument()
+    const settingChanges = screen.getByRole('list', { name: 'Package Settings changes' })
+    expect(within(settingChanges).getByText('Original package.')).toBeInTheDocument()
+    const versionAudit = screen.getByRole('table', { name: 'Version 2.2.0 audit history' })
+    expect(within(versionAudit).getByText('Updated framework package.')).toBeInTheDocument()
+
+    const draftRestore = screen.getByRole('button', { name: 'Restore version 2.1.0 as new draft' })
+    expect(draftRestore).toBeDisabled()
+    expect(draftRestore).toHaveAccessibleDescription('Drafts are edited directly. Validate this version to restore it.')
+    expect(screen.getByRole('button', { name: 'Restore version 2.2.0 as new draft' })).not.toHaveAttribute('aria-describedby')
+    await user.click(screen.getByRole('button', { name: 'Restore version 2.2.0 as new draft' }))
+
+    expect(navigateMock).toHaveBeenCalledWith('/super-admin/runtime-control/framework-packages/new?cloneFrom=pkg-live-1')
+  })
+
+  it('reports a version diff it cannot read instead of claiming nothing changed', async () => {
+    const user = userEvent.setup()
+    paramsMock = { packageId: 'pkg-live-2' }
+    frameworkPackageQueryMock = buildLoadedPackage()
+    frameworkPackageVersionsMock = [
+      frameworkPackageQueryMock.data.data,
+      { id: 'pkg-old-1', frameworkKey: 'VMF', version: '2.0.0', packageKey: 'vmf-core', status: 'DEPRECATED', updatedAt: '2026-01-02T12:00:00.000Z' },
+    ]
+    frameworkPackageDiffMock = {
+      changes: [{ path: 'sections.value_drivers', type: 'ADDED' }],
+      totalChanges: 1,
+    }
+
+    render(<SuperAdminFrameworkPackageEditor />)
+
+    await waitFor(() => {
+      expect(screen.getByDisplayValue('2.3.1')).toBeInTheDocument()
+    })
+    await user.click(screen.getByRole('tab', { name: /^json \/ diff$/i }))
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'The server returned a diff this page cannot read, so the changes since version 2.0.0 are unknown.',
+    )
+    expect(screen.queryByText(/no structural changes/i)).not.toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Restore version 2.0.0 as new draft' })).toHaveAccessibleDescription(
+      'Deprecated versions are view-only. Only validated or active versions can be restored.',
+    )
+  })
+
   it('enables activation after a checkpoint with warnings', async () => {
     paramsMock = { packageId: 'pkg-live-2' }
     frameworkPackageQueryMock = buildLoadedPackage()
@@ -2445,6 +2547,73 @@ describe('SuperAdminFrameworkPackageEditor', () => {
     expect(within(pagination).getByText('Page 2 of 2')).toBeInTheDocument()
   })
 
+  it('explores the dependency graph with type filters, integrity failures and cycles', async () => {
+    const user = userEvent.setup()
+    paramsMock = { packageId: 'pkg-live-2' }
+    frameworkPackageQueryMock = buildLoadedPackage()
+    frameworkPackageDependencyGraphMock = {
+      nodes: [
+        { id: 'framework-package:pkg-live-2', type: 'FrameworkPackage', key: 'vmf-live', label: 'VMF Live', status: 'DRAFT' },
+        { id: 'WorkflowPolicy:policy-submit-gate', type: 'WorkflowPolicy', key: 'vmf-submit-gate', label: 'VMF Submit Gate', status: 'ACTIVE' },
+        { id: 'RuntimeAgent:agent-reviewer', type: 'RuntimeAgent', key: 'agent-reviewer', label: 'Reviewer Agent', status: 'ACTIVE' },
+        { id: 'RuntimeSkill:skill-observe', type: 'RuntimeSkill', key: 'skill-observe', label: 'ODDF Observe', status: 'ACTIVE' },
+      ],
+      edges: [
+        { from: 'framework-package:pkg-live-2', to: 'WorkflowPolicy:policy-submit-gate', relationship: 'workflowBindings' },
+        { from: 'WorkflowPolicy:policy-submit-gate', to: 'RuntimeAgent:agent-reviewer', relationship: 'routesTo' },
+        { from: 'RuntimeAgent:agent-reviewer', to: 'WorkflowPolicy:policy-submit-gate', relationship: 'routesTo' },
+        { from: 'RuntimeAgent:agent-reviewer', to: 'RuntimeSkill:skill-observe', relationship: 'runsSkill' },
+      ],
+    }
+    frameworkPackageIntegrityQueryMock = {
+      ...frameworkPackageIntegrityQueryMock,
+      data: {
+        data: {
+          status: 'FAIL',
+          summary: { pass: 0, warn: 0, fail: 1 },
+          checks: [
+            {
+              key: 'dependencies.skills',
+              severity: 'FAIL',
+              message: 'Resolved Skills have unresolved issues.',
+              details: { issues: [{ key: 'skill-observe', issues: ['Runtime Skill is not compatible with framework "VMF".'] }] },
+            },
+          ],
+        },
+      },
+    }
+
+    render(<SuperAdminFrameworkPackageEditor />)
+
+    await waitFor(() => {
+      expect(screen.getByDisplayValue('2.3.1')).toBeInTheDocument()
+    })
+
+    await user.click(screen.getByRole('tab', { name: /^dependencies$/i }))
+    await user.click(within(screen.getByRole('group', { name: /dependency view/i })).getByRole('button', { name: /^graph$/i }))
+
+    expect(screen.queryByRole('table', { name: /framework package dependencies/i })).not.toBeInTheDocument()
+    expect(screen.getByRole('img', { name: /framework package dependency graph/i })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: /ODDF Observe\. Skill/ })).toHaveClass('force-directed-graph__node--flagged')
+    expect(within(screen.getByRole('region', { name: /dependency cycles/i })).getByText(
+      'VMF Submit Gate → Reviewer Agent → VMF Submit Gate',
+    )).toBeInTheDocument()
+    const failures = screen.getByRole('region', { name: /integrity failures/i })
+    expect(within(failures).getByText('Runtime Skill is not compatible with framework "VMF".')).toBeInTheDocument()
+
+    await user.click(within(failures).getByRole('button', { name: /open skill oddf observe/i }))
+    expect(navigateMock).toHaveBeenCalledWith('/super-admin/runtime-control/skills/skill-observe')
+    navigateMock.mockClear()
+
+    await user.click(screen.getByRole('button', { name: /^agent: 1$/i }))
+    expect(screen.getByRole('button', { name: /^agent: 1$/i })).toHaveAttribute('aria-pressed', 'false')
+    expect(screen.queryByRole('button', { name: /Reviewer Agent\. Agent/ })).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: /VMF Submit Gate\. Workflow Policy/ }))
+    await user.click(screen.getByRole('button', { name: 'Open VMF Submit Gate' }))
+    expect(navigateMock).toHaveBeenCalledWith('/super-admin/runtime-control/workflow-policies/policy-submit-gate/edit')
+  }, 15000)
+
   it('filters resolved dependencies by summary chip and opens dependency records', async () => {
     const user = userEvent.setup()
     paramsMock = { packageId: 'pkg-live-2' }
@@ -0,0 +1,325 @@
+/**
+ * Framework Package Dependency Graph
+ *
+ * Turns the `getFrameworkPackageDependencyGraph` response into
+ * ForceDirectedGraph nodes and links: entity-type filtering (hidden types
+ * are collapsed so their neighbours stay connected), integrity failures
+ * from `getFrameworkPackageIntegrity` pinned to the nodes they name, and
+ * dependency cycles.
+ */
+
+const EDITOR_ROUTE_PREFIX = '/super-admin/runtime-control'
+
+// Keyed by the graph node `type` the server returns; `integrityGroup` is the
+// `dependencies.<group>` integrity check that reports on that type
+export const FRAMEWORK_PACKAGE_GRAPH_NODE_TYPES = Object.freeze({
+  FrameworkPackage: {
+    label: 'Framework Package',
+    graphType: 'framework-package',
+    filterable: false,
+    getEditorPath: () => '',
+  },
+  ValidationRegistry: {
+    label: 'Validation',
+    graphType: 'validation',
+    integrityGroup: 'validations',
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/validation-registry/${id}`,
+  },
+  WorkflowPolicy: {
+    label: 'Workflow Policy',
+    graphType: 'workflow-policy',
+    integrityGroup: 'workflowPolicies',
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/workflow-policies/${id}/edit`,
+  },
+  UIContract: {
+    label: 'UI Contract',
+    graphType: 'ui-contract',
+    integrityGroup: 'uiContract',
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/ui-contracts/${id}`,
+  },
+  RuntimeAgent: {
+    label: 'Agent',
+    graphType: 'runtime-agent',
+    integrityGroup: 'agents',
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/agents/${id}`,
+  },
+  RuntimeSkill: {
+    label: 'Skill',
+    graphType: 'runtime-skill',
+    integrityGroup: 'skills',
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/skills/${id}`,
+  },
+  RuntimePathRegistry: {
+    label: 'Runtime Path',
+    graphType: 'runtime-path',
+    integrityGroup: 'runtimePaths',
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/runtime-paths/${id}/edit`,
+  },
+})
+
+export const FRAMEWORK_PACKAGE_GRAPH_FILTER_TYPES = Object.freeze(
+  Object.keys(FRAMEWORK_PACKAGE_GRAPH_NODE_TYPES).filter((type) => FRAMEWORK_PACKAGE_GRAPH_NODE_TYPES[type].filterable !== false),
+)
+
+const RELATIONSHIP_LABELS = Object.freeze({
+  validationBindings: 'Binds validation',
+  workflowBindings: 'Binds workflow',
+  uiContractKey: 'Uses UI contract',
+  sections: 'Maps section',
+  routesTo: 'Routes to',
+  requiresSkill: 'Requires skill',
+  requiresValidation: 'Requires validation',
+  condition: 'Tests',
+  effect: 'Writes',
+  producedBy: 'Produced by',
+  defaultAgent: 'Default agent',
+  output: 'Outputs to',
+  runsSkill: 'Runs',
+  reads: 'Reads',
+  writes: 'Writes',
+  section: 'Maps section',
+})
+
+const toRows = (value) => (Array.isArray(value) ? value : [])
+const toText = (value) => String(value ?? '').trim()
+const toKey = (value) => toText(value).toLowerCase()
+
+const getTypeConfig = (type) => FRAMEWORK_PACKAGE_GRAPH_NODE_TYPES[type] ?? {
+  label: toText(type) || 'Dependency',
+  graphType: 'unknown',
+  getEditorPath: () => '',
+}
+
+// Graph node ids are `<type>:<record id>`
+const getNodeEntityId = (node) => toText(node.id).split(':').slice(1).join(':')
+
+const getNodeEditorPath = (node) => {
+  const status = toText(node.status).toUpperCase()
+  const id = getNodeEntityId(node)
+  if (!id || status === 'MISSING') return ''
+  return getTypeConfig(node.type).getEditorPath(encodeURIComponent(id))
+}
+
+/**
+ * Strongly connected components with more than one node (or a self edge),
+ * each returned as node ids in discovery order.
+ *
+ * @param {string[]} nodeIds
+ * @param {{ from: string, to: string }[]} edges
+ * @returns {string[][]}
+ */
+export function findDependencyGraphCycles(nodeIds, edges) {
+  const adjacency = new Map(nodeIds.map((id) => [id, []]))
+  const selfLoops = new Set()
+  for (const edge of edges) {
+    if (!adjacency.has(edge.from) || !adjacency.has(edge.to)) continue
+    if (edge.from === edge.to) selfLoops.add(edge.from)
+    adjacency.get(edge.from).push(edge.to)
+  }
+
+  // Iterative Tarjan so deep registry chains cannot overflow the stack
+  let nextIndex = 0
+  const indexById = new Map()
+  const lowLinkById = new Map()
+  const stack = []
+  const onStack = new Set()
+  const cycles = []
+
+  for (const rootId of nodeIds) {
+    if (indexById.has(rootId)) continue
+    const work = [{ id: rootId, neighbourIndex: 0 }]
+    indexById.set(rootId, nextIndex)
+    lowLinkById.set(rootId, nextIndex)
+    nextIndex += 1
+    stack.push(rootId)
+    onStack.add(rootId)
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1]
+      const neighbours = adjacency.get(frame.id)
+      if (frame.neighbourIndex < neighbours.length) {
+        const neighbourId = neighbours[frame.neighbourIndex]
+        frame.neighbourIndex += 1
+        if (!indexById.has(neighbourId)) {
+          indexById.set(neighbourId, nextIndex)
+          lowLinkById.set(neighbourId, nextIndex)
+          nextIndex += 1
+          stack.push(neighbourId)
+          onStack.add(neighbourId)
+          work.push({ id: neighbourId, neighbourIndex: 0 })
+        } else if (onStack.has(neighbourId)) {
+          lowLinkById.set(frame.id, Math.min(lowLinkById.get(frame.id), indexById.get(neighbourId)))
+        }
+        continue
+      }
+
+      work.pop()
+      if (work.length > 0) {
+        const parentId = work[work.length - 1].id
+        lowLinkById.set(parentId, Math.min(lowLinkById.get(parentId), lowLinkById.get(frame.id)))
+      }
+      if (lowLinkById.get(frame.id) !== indexById.get(frame.id)) continue
+
+      const component = []
+      let memberId
+      do {
+        memberId = stack.pop()
+        onStack.delete(memberId)
+        component.push(memberId)
+      } while (memberId !== frame.id)
+      if (component.length > 1 || selfLoops.has(frame.id)) cycles.push(component.reverse())
+    }
+  }
+
+  return cycles
+}
+
+/**
+ * Integrity FAIL messages by graph node id. Dependency checks name their
+ * failing rows in `details.issues`; every other failing check belongs to the
+ * package itself.
+ *
+ * @param {Object[]} nodes - graph response nodes
+ * @param {Object|null} integrity - `getFrameworkPackageIntegrity` response
+ * @returns {Map<string, string[]>}
+ */
+export function getIntegrityFailuresByNode(nodes, integrity) {
+  const failures = new Map()
+  const add = (nodeId, message) => {
+    if (!nodeId || !message) return
+    failures.set(nodeId, [...(failures.get(nodeId) ?? []), message])
+  }
+  const packageNode = nodes.find((node) => node.type === 'FrameworkPackage')
+  const typeByIntegrityGroup = Object.fromEntries(
+    Object.entries(FRAMEWORK_PACKAGE_GRAPH_NODE_TYPES)
+      .filter(([, config]) => config.integrityGroup)
+      .map(([type, config]) => [config.integrityGroup, type]),
+  )
+
+  for (const check of toRows(integrity?.checks)) {
+    if (toText(check?.severity).toUpperCase() !== 'FAIL') continue
+    const group = toText(check.key).startsWith('dependencies.') ? toText(check.key).slice('dependencies.'.length) : ''
+    const type = typeByIntegrityGroup[group]
+    const issues = toRows(check.details?.issues)
+    if (!type || issues.length === 0) {
+      add(packageNode?.id, toText(check.message))
+      continue
+    }
+    for (const issue of issues) {
+      const issueKey = toKey(issue?.key)
+      const node = nodes.find((candidate) =>
+        candidate.type === type && [candidate.key, getNodeEntityId(candidate)].some((value) => toKey(value) === issueKey))
+      const message = toRows(issue?.issues).map(toText).filter(Boolean).join(' ') || toText(check.message)
+      add(node?.id ?? packageNode?.id, message)
+    }
+  }
+
+  return failures
+}
+
+/**
+ * @param {Object} options
+ * @param {{ nodes: Object[], edges: Object[] }|null} options.graph - dependency graph response
+ * @param {Object|null} [options.integrity] - integrity response
+ * @param {string[]} [options.hiddenTypes] - server node types to leave out
+ * @returns {{ nodes: Object[], links: Object[], cycles: Object[], failures: Object[], typeCounts: Object<string, number> }}
+ *   nodes and links in ForceDirectedGraph shape; `cycles` and `failures` cover
+ *   the whole graph regardless of filters
+ */
+export function buildFrameworkPackageGraphView({ graph, integrity = null, hiddenTypes = [] } = {}) {
+  const sourceNodes = toRows(graph?.nodes).filter((node) => toText(node?.id))
+  const nodeById = new Map(sourceNodes.map((node) => [node.id, node]))
+  const sourceEdges = toRows(graph?.edges)
+    .map((edge) => ({ ...edge, from: toText(edge?.from), to: toText(edge?.to) }))
+    .filter((edge) => nodeById.has(edge.from) && nodeById.has(edge.to))
+
+  const cycles = findDependencyGraphCycles(sourceNodes.map((node) => node.id), sourceEdges)
+  const cycleIdByNodeId = new Map()
+  cycles.forEach((cycle, index) => cycle.forEach((nodeId) => cycleIdByNodeId.set(nodeId, index)))
+  const isCycleEdge = (edge) =>
+    cycleIdByNodeId.has(edge.from) && cycleIdByNodeId.get(edge.from) === cycleIdByNodeId.get(edge.to)
+
+  const integrityFailures = getIntegrityFailuresByNode(sourceNodes, integrity)
+  const typeCounts = {}
+  const viewNodeById = new Map()
+  for (const node of sourceNodes) {
+    const config = getTypeConfig(node.type)
+    const issueCount = Number(node.issueCount) || 0
+    const failureMessages = integrityFailures.get(node.id) ?? []
+    const inCycle = cycleIdByNodeId.has(node.id)
+    const editorPath = getNodeEditorPath(node)
+    typeCounts[node.type] = (typeCounts[node.type] ?? 0) + 1
+    viewNodeById.set(node.id, {
+      id: node.id,
+      label: toText(node.label) || toText(node.key) || node.id,
+      type: config.graphType,
+      typeLabel: config.label,
+      sourceType: node.type,
+      key: toText(node.key),
+      status: toText(node.status),
+      meta: [
+        toText(node.status),
+        issueCount > 0 ? `${issueCount} dependency ${issueCount === 1 ? 'issue' : 'issues'}` : '',
+        failureMessages.length > 0 ? 'Integrity failure' : '',
+        inCycle ? 'In a dependency cycle' : '',
+      ].filter(Boolean).join(' / '),
+      failureMessages,
+      flagged: issueCount > 0 || failureMessages.length > 0 || inCycle,
+      inCycle,
+      editorPath,
+      openable: Boolean(editorPath),
+    })
+  }
+
+  const hidden = new Set(toRows(hiddenTypes).filter((type) => getTypeConfig(type).filterable !== false))
+  const isVisible = (nodeId) => !hidden.has(nodeById.get(nodeId)?.type)
+  const outgoing = new Map()
+  for (const edge of sourceEdges) outgoing.set(edge.from, [...(outgoing.get(edge.from) ?? []), edge])
+
+  // A hidden node is collapsed: its visible ancestors link straight to its visible descendants
+  const links = []
+  const linkIds = new Set()
+  for (const node of sourceNodes) {
+    if (!isVisible(node.id)) continue
+    const visited = new Set([node.id])
+    const queue = (outgoing.get(node.id) ?? []).map((edge) => ({ edge, through: [] }))
+    while (queue.length > 0) {
+      const { edge, through } = queue.shift()
+      if (visited.has(edge.to)) continue
+      visited.add(edge.to)
+      if (!isVisible(edge.to)) {
+        const label = viewNodeById.get(edge.to).label
+        queue.push(...(outgoing.get(edge.to) ?? []).map((next) => ({ edge: next, through: [...through, label] })))
+        continue
+      }
+      const id = `${node.id}->${edge.to}`
+      if (linkIds.has(id)) continue
+      linkIds.add(id)
+      const relationship = RELATIONSHIP_LABELS[edge.relationship] ?? (toText(edge.relationship) || 'Depends on')
+      links.push({
+        id,
+        source: node.id,
+        target: edge.to,
+        label: through.length > 0 ? `${relationship} via ${through.join(', ')}` : relationship,
+        flagged: through.length === 0 && isCycleEdge({ from: node.id, to: edge.to }),
+      })
+    }
+  }
+
+  const nodes = [...viewNodeById.values()].filter((node) => isVisible(node.id))
+  const failures = [...viewNodeById.values()]
+    .filter((node) => node.failureMessages.length > 0)
+    .map((node) => ({ nodeId: node.id, label: node.label, typeLabel: node.typeLabel, editorPath: node.editorPath, messages: node.failureMessages }))
+
+  return {
+    nodes,
+    links,
+    cycles: cycles.map((cycle, index) => ({
+      id: `cycle-${index + 1}`,
+      nodeIds: cycle,
+      labels: cycle.map((nodeId) => viewNodeById.get(nodeId).label),
+    })),
+    failures,
+    typeCounts,
+  }
+}
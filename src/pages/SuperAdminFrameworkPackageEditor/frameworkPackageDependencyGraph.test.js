@@ -0,0 +1,126 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildFrameworkPackageGraphView,
+  findDependencyGraphCycles,
+  getIntegrityFailuresByNode,
+} from './frameworkPackageDependencyGraph.js'
+
+const graph = {
+  nodes: [
+    { id: 'framework-package:pkg-1', type: 'FrameworkPackage', key: 'vmf-core', label: 'VMF Core', status: 'DRAFT', issueCount: 0 },
+    { id: 'ValidationRegistry:validation-1', type: 'ValidationRegistry', key: 'required-sections-check', label: 'Required Sections', status: 'ACTIVE', issueCount: 0 },
+    { id: 'WorkflowPolicy:policy-1', type: 'WorkflowPolicy', key: 'vmf-submit-gate', label: 'Submit Gate', status: 'ACTIVE', issueCount: 0 },
+    { id: 'RuntimeAgent:agent-1', type: 'RuntimeAgent', key: 'drafting_agent', label: 'Drafting Agent', status: 'ACTIVE', issueCount: 0 },
+    { id: 'RuntimeSkill:skill-missing', type: 'RuntimeSkill', key: 'skill-missing', label: 'skill-missing', status: 'MISSING', issueCount: 1 },
+    { id: 'RuntimePathRegistry:path-1', type: 'RuntimePathRegistry', key: 'framework_state.sections.problem', label: 'Problem', status: 'ACTIVE', issueCount: 0 },
+  ],
+  edges: [
+    { from: 'framework-package:pkg-1', to: 'ValidationRegistry:validation-1', relationship: 'validationBindings' },
+    { from: 'framework-package:pkg-1', to: 'WorkflowPolicy:policy-1', relationship: 'workflowBindings' },
+    { from: 'ValidationRegistry:validation-1', to: 'RuntimePathRegistry:path-1', relationship: 'output' },
+    { from: 'WorkflowPolicy:policy-1', to: 'RuntimeAgent:agent-1', relationship: 'routesTo' },
+    { from: 'RuntimeAgent:agent-1', to: 'RuntimeSkill:skill-missing', relationship: 'runsSkill' },
+    { from: 'RuntimeAgent:agent-1', to: 'WorkflowPolicy:policy-1', relationship: 'fallback' },
+  ],
+}
+
+const integrity = {
+  checks: [
+    { key: 'packageKey.required', severity: 'PASS', message: 'Package key is present.' },
+    { key: 'uiContract.required', severity: 'FAIL', message: 'UI Contract is required before validation.' },
+    {
+      key: 'dependencies.skills',
+      severity: 'FAIL',
+      message: 'Resolved Skills have unresolved issues.',
+      details: { issues: [{ key: 'skill-missing', issues: ['Runtime Skill "skill-missing" was not found.'] }] },
+    },
+    { key: 'dependencies.agents', severity: 'WARN', message: 'Agent warning.', details: { issues: [{ key: 'drafting_agent' }] } },
+  ],
+}
+
+describe('frameworkPackageDependencyGraph', () => {
+  it('finds cycles as strongly connected components', () => {
+    expect(findDependencyGraphCycles(['a', 'b', 'c', 'd'], [
+      { from: 'a', to: 'b' },
+      { from: 'b', to: 'c' },
+      { from: 'c', to: 'a' },
+      { from: 'c', to: 'd' },
+      { from: 'd', to: 'd' },
+    ])).toEqual([['d'], ['a', 'b', 'c']])
+    expect(findDependencyGraphCycles(['a', 'b'], [{ from: 'a', to: 'b' }])).toEqual([])
+  })
+
+  it('pins failing integrity checks to the nodes they name and the rest to the package', () => {
+    const failures = getIntegrityFailuresByNode(graph.nodes, integrity)
+
+    expect([...failures.entries()]).toEqual([
+      ['framework-package:pkg-1', ['UI Contract is required before validation.']],
+      ['RuntimeSkill:skill-missing', ['Runtime Skill "skill-missing" was not found.']],
+    ])
+  })
+
+  it('builds graph nodes and links with flags, cycles and editor paths', () => {
+    const view = buildFrameworkPackageGraphView({ graph, integrity })
+    const nodeById = Object.fromEntries(view.nodes.map((node) => [node.id, node]))
+
+    expect(view.nodes).toHaveLength(6)
+    expect(nodeById['RuntimeAgent:agent-1']).toMatchObject({
+      type: 'runtime-agent',
+      typeLabel: 'Agent',
+      flagged: true,
+      inCycle: true,
+      meta: 'ACTIVE / In a dependency cycle',
+      editorPath: '/super-admin/runtime-control/agents/agent-1',
+      openable: true,
+    })
+    expect(nodeById['RuntimeSkill:skill-missing']).toMatchObject({
+      flagged: true,
+      meta: 'MISSING / 1 dependency issue / Integrity failure',
+      editorPath: '',
+      openable: false,
+    })
+    expect(nodeById['framework-package:pkg-1']).toMatchObject({ flagged: true, openable: false })
+    expect(nodeById['RuntimePathRegistry:path-1']).toMatchObject({
+      flagged: false,
+      editorPath: '/super-admin/runtime-control/runtime-paths/path-1/edit',
+    })
+    expect(view.links.filter((link) => link.flagged).map((link) => link.id)).toEqual([
+      'WorkflowPolicy:policy-1->RuntimeAgent:agent-1',
+      'RuntimeAgent:agent-1->WorkflowPolicy:policy-1',
+    ])
+    expect(view.cycles).toEqual([
+      { id: 'cycle-1', nodeIds: ['WorkflowPolicy:policy-1', 'RuntimeAgent:agent-1'], labels: ['Submit Gate', 'Drafting Agent'] },
+    ])
+    expect(view.failures.map((failure) => failure.nodeId)).toEqual(['framework-package:pkg-1', 'RuntimeSkill:skill-missing'])
+    expect(view.typeCounts).toEqual({
+      FrameworkPackage: 1,
+      ValidationRegistry: 1,
+      WorkflowPolicy: 1,
+      RuntimeAgent: 1,
+      RuntimeSkill: 1,
+      RuntimePathRegistry: 1,
+    })
+  })
+
+  it('collapses hidden entity types into links between their visible neighbours', () => {
+    const view = buildFrameworkPackageGraphView({
+      graph,
+      integrity,
+      hiddenTypes: ['ValidationRegistry', 'RuntimeAgent', 'FrameworkPackage'],
+    })
+
+    expect(view.nodes.map((node) => node.id)).toEqual([
+      'framework-package:pkg-1',
+      'WorkflowPolicy:policy-1',
+      'RuntimeSkill:skill-missing',
+      'RuntimePathRegistry:path-1',
+    ])
+    expect(view.links.map((link) => [link.source, link.target, link.label])).toEqual([
+      ['framework-package:pkg-1', 'WorkflowPolicy:policy-1', 'Binds workflow'],
+      ['framework-package:pkg-1', 'RuntimePathRegistry:path-1', 'Outputs to via Required Sections'],
+      ['WorkflowPolicy:policy-1', 'RuntimeSkill:skill-missing', 'Runs via Drafting Agent'],
+    ])
+    // Findings still cover the whole graph
+    expect(view.cycles).toHaveLength(1)
+  })
+})
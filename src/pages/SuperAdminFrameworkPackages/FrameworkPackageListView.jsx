@@ -5,6 +5,7 @@ import { Card } from '../../components/Card'
 import { Fieldset } from '../../components/Fieldset'
 import { HorizontalScroll } from '../../components/HorizontalScroll'
 import { Input } from '../../components/Input'
+import { SavedViewsToolbar } from '../../components/SavedViews'
 import { Select } from '../../components/Select'
 import { Status } from '../../components/Status'
 import { Table } from '../../components/Table'
@@ -130,6 +131,7 @@ export function FrameworkPackageListView({
   onEditPackage,
   onClonePackage,
   activatePackage,
+  listView,
 }) {
   const handleRowAction = useCallback(
     (label, row) => {
@@ -162,17 +164,21 @@ export function FrameworkPackageListView({
         key: 'frameworkName',
         label: 'Framework',
         mobileLabel: 'Framework',
+        sortable: true,
+        hideable: false,
         render: renderFrameworkSummary,
       },
       {
         key: 'version',
         label: 'Version',
         mobileLabel: 'Version',
+        sortable: true,
       },
       {
         key: 'status',
         label: 'Lifecycle',
         mobileLabel: 'Lifecycle',
+        sortable: true,
         render: (value) => (
           <Status size="sm" showIcon variant={getFrameworkPackageStatusVariant(value)}>
             {formatFrameworkPackageStatus(value)}
@@ -212,6 +218,7 @@ export function FrameworkPackageListView({
         label: 'Updated',
         mobileLabel: 'Updated',
         width: '156px',
+        sortable: true,
         render: (value) => <TableDateTime value={value} />,
       },
       {
@@ -220,6 +227,7 @@ export function FrameworkPackageListView({
         mobileLabel: 'Actions',
         align: 'center',
         width: '164px',
+        hideable: false,
         render: (_value, row) => (
           <FrameworkPackageRowActionsMenu row={row} onAction={handleRowAction} />
         ),
@@ -281,6 +289,10 @@ export function FrameworkPackageListView({
             />
           </div>
 
+          {listView ? (
+            <SavedViewsToolbar listView={listView} columns={columns} idPrefix="framework-package-views" />
+          ) : null}
+
           {listAppError ? (
             <p className="super-admin-framework-packages__error" role="alert">
               {listAppError.message}
@@ -312,6 +324,7 @@ export function FrameworkPackageListView({
                 ) : undefined
               }
               ariaLabel="Framework packages"
+              {...listView?.tableProps}
             />
           </HorizontalScroll>
 
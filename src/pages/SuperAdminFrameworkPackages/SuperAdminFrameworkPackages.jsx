@@ -45,6 +45,7 @@ function SuperAdminFrameworkPackages() {
         setFrameworkFilter={mgmt.setFrameworkFilter}
         frameworkOptions={mgmt.frameworkOptions}
         setPage={mgmt.setPage}
+        listView={mgmt.listView}
         rows={mgmt.rows}
         currentPage={mgmt.currentPage}
         totalPages={mgmt.totalPages}
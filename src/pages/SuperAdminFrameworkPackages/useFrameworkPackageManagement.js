@@ -1,6 +1,7 @@
-import { useCallback, useState } from 'react'
+import { useCallback, useMemo, useState } from 'react'
 import { useSearchParams } from 'react-router-dom'
 import { useToaster } from '../../components/Toaster'
+import { useListView } from '../../hooks/useListView.js'
 import {
   useActivateFrameworkPackageMutation,
   useListFrameworkPackagesQuery,
@@ -14,6 +15,8 @@ import {
   FRAMEWORK_PACKAGE_PAGE_SIZE,
 } from './superAdminFrameworkPackages.constants.js'
 
+const FRAMEWORK_PACKAGE_LIST_DEFAULT_FILTERS = { q: '', status: '', frameworkKey: '' }
+
 export function useFrameworkPackageManagement() {
   const { addToast } = useToaster()
   const [searchParams] = useSearchParams()
@@ -27,6 +30,23 @@ export function useFrameworkPackageManagement() {
   const [frameworkFilter, setFrameworkFilter] = useState(initialFramework)
   const [page, setPage] = useState(1)
 
+  const listFilters = useMemo(
+    () => ({ q: search, status: statusFilter, frameworkKey: frameworkFilter }),
+    [frameworkFilter, search, statusFilter],
+  )
+  const handleListViewFiltersChange = useCallback(({ q, status, frameworkKey }) => {
+    setSearch(q)
+    setStatusFilter(status)
+    setFrameworkFilter(frameworkKey)
+    setPage(1)
+  }, [])
+  const listView = useListView({
+    viewKey: 'framework-packages',
+    defaultFilters: FRAMEWORK_PACKAGE_LIST_DEFAULT_FILTERS,
+    filters: listFilters,
+    onFiltersChange: handleListViewFiltersChange,
+  })
+
   const {
     data: listResponse,
     isLoading: isListLoading,
@@ -85,6 +105,7 @@ export function useFrameworkPackageManagement() {
     setFrameworkFilter,
     page,
     setPage,
+    listView,
     rows,
     currentPage,
     totalPages,
@@ -3,6 +3,7 @@ import { Card } from '../../components/Card'
 import { Input } from '../../components/Input'
 import { Button } from '../../components/Button'
 import { Fieldset } from '../../components/Fieldset'
+import { SavedViewsToolbar } from '../../components/SavedViews'
 import { Select } from '../../components/Select'
 import { Status } from '../../components/Status'
 import { Table } from '../../components/Table'
@@ -27,12 +28,14 @@ export function InvitationListView({
   isListFetching,
   normalizedListError,
   handleRowAction,
+  listView,
 }) {
   const columns = useMemo(
     () => [
       {
         key: 'recipient',
         label: 'Recipient',
+        hideable: false,
         render: (_value, row) => (
           <div className="super-admin-invitations__recipient">
             <strong>{row.recipientName ?? '--'}</strong>
@@ -76,6 +79,7 @@ export function InvitationListView({
       {
         key: 'status',
         label: 'Status',
+        sortable: true,
         render: (value) => (
           <Status
             size="sm"
@@ -90,12 +94,14 @@ export function InvitationListView({
         key: 'expiresAt',
         label: 'Expires',
         width: '156px',
+        sortable: true,
         render: (value) => <TableDateTime value={value} />,
       },
       {
         key: 'updatedAt',
         label: 'Updated',
         width: '156px',
+        sortable: true,
         render: (value) => <TableDateTime value={value} />,
       },
     ],
@@ -157,6 +163,10 @@ export function InvitationListView({
               />
             </div>
 
+            {listView ? (
+              <SavedViewsToolbar listView={listView} columns={columns} idPrefix="invitation-views" />
+            ) : null}
+
             {normalizedListError ? (
               <p className="super-admin-invitations__error" role="alert">
                 {normalizedListError.message}
@@ -179,6 +189,7 @@ export function InvitationListView({
                 variant="striped"
                 emptyMessage="No invitations found."
                 ariaLabel="Invitation table"
+                {...listView?.tableProps}
               />
             </HorizontalScroll>
 
@@ -30,7 +30,11 @@ export function SuperAdminInvitationsPanel({
     .filter(Boolean)
     .join(' ')
 
-  const mgmt = useInvitationManagement({ isActive })
+  // Embedded next to the customer list, so keep its URL parameters apart
+  const mgmt = useInvitationManagement({
+    isActive,
+    listViewParamPrefix: embedded ? 'invitations.' : '',
+  })
 
   return (
     <div className={panelClasses}>
@@ -47,6 +51,7 @@ export function SuperAdminInvitationsPanel({
         statusFilter={mgmt.statusFilter}
         setStatusFilter={mgmt.setStatusFilter}
         setPage={mgmt.setPage}
+        listView={mgmt.listView}
         invitations={mgmt.invitations}
         currentPage={mgmt.currentPage}
         totalPages={mgmt.totalPages}
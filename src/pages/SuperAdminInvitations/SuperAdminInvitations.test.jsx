@@ -1,7 +1,11 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { render, screen, waitFor } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
+import { configureStore } from '@reduxjs/toolkit'
+import { Provider } from 'react-redux'
+import { MemoryRouter } from 'react-router-dom'
 import { ToasterProvider } from '../../components/Toaster'
+import authReducer from '../../store/slices/authSlice.js'
 import SuperAdminInvitations from './SuperAdminInvitations'
 
 vi.mock('../../store/api/invitationApi.js', () => ({
@@ -32,10 +36,15 @@ const getExpectedDateTimeParts = (value) => {
 }
 
 function renderPage() {
+  const store = configureStore({ reducer: { auth: authReducer } })
   return render(
-    <ToasterProvider>
-      <SuperAdminInvitations />
-    </ToasterProvider>,
+    <Provider store={store}>
+      <MemoryRouter>
+        <ToasterProvider>
+          <SuperAdminInvitations />
+        </ToasterProvider>
+      </MemoryRouter>
+    </Provider>,
   )
 }
 
@@ -1,4 +1,4 @@
-import { useCallback, useState } from 'react'
+import { useCallback, useMemo, useState } from 'react'
 import {
   useListInvitationsQuery,
   useResendInvitationMutation,
@@ -7,13 +7,16 @@ import {
 import { DEFAULT_TABLE_PAGE_SIZE } from '../../components/Table/tableConstants.js'
 import { useToaster } from '../../components/Toaster'
 import { useDebounce } from '../../hooks/useDebounce.js'
+import { useListView } from '../../hooks/useListView.js'
 import { normalizeError } from '../../utils/errors.js'
 import {
   NON_RESENDABLE_STATUSES,
   NON_REVOCABLE_STATUSES,
 } from './superAdminInvitations.constants.js'
 
-export function useInvitationManagement({ isActive = true } = {}) {
+const INVITATION_LIST_DEFAULT_FILTERS = { q: '', status: '' }
+
+export function useInvitationManagement({ isActive = true, listViewParamPrefix = '' } = {}) {
   const { addToast } = useToaster()
 
   const [search, setSearch] = useState('')
@@ -32,6 +35,23 @@ export function useInvitationManagement({ isActive = true } = {}) {
 
   const debouncedSearch = useDebounce(search, 350)
 
+  const listFilters = useMemo(
+    () => ({ q: search, status: statusFilter }),
+    [search, statusFilter],
+  )
+  const handleListViewFiltersChange = useCallback(({ q, status }) => {
+    setSearch(q)
+    setStatusFilter(status)
+    setPage(1)
+  }, [])
+  const listView = useListView({
+    viewKey: 'invitations',
+    defaultFilters: INVITATION_LIST_DEFAULT_FILTERS,
+    filters: listFilters,
+    onFiltersChange: handleListViewFiltersChange,
+    paramPrefix: listViewParamPrefix,
+  })
+
   const {
     data: listResponse,
     isLoading: isListLoading,
@@ -182,6 +202,7 @@ export function useInvitationManagement({ isActive = true } = {}) {
     setStatusFilter,
     page,
     setPage,
+    listView,
 
     invitations,
     currentPage,
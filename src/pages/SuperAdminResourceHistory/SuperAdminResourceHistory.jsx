@@ -0,0 +1,217 @@
+/**
+ * Super Admin Resource History Page
+ *
+ * Timeline of one entity (user, tenant, customer, role, VMF, runtime
+ * control entity) rebuilt from its audit entries: field-by-field before
+ * and after values, grouped by the request that wrote them. Reached from
+ * the History action of the list views and from Audit Logs tools.
+ */
+
+import { useMemo } from 'react'
+import { useLocation, useNavigate, useParams } from 'react-router-dom'
+import { Badge } from '../../components/Badge'
+import { Button } from '../../components/Button'
+import { Card } from '../../components/Card'
+import { Fieldset } from '../../components/Fieldset'
+import { HorizontalScroll } from '../../components/HorizontalScroll'
+import { Link } from '../../components/Link'
+import { Status } from '../../components/Status'
+import { Table } from '../../components/Table'
+import { formatDateTime } from '../../utils/dateTime.js'
+import { auditSummaryLabel } from '../SuperAdminAuditLogs/superAdminAuditLogs.constants.js'
+import { formatAuditFieldValue } from './resourceTimeline.js'
+import {
+  RESOURCE_HISTORY_TYPES,
+  getResourceHistoryLabel,
+  getResourceHistoryPath,
+} from './superAdminResourceHistory.constants.js'
+import { useResourceHistory } from './useResourceHistory.js'
+import './SuperAdminResourceHistory.css'
+
+const CHANGE_COLUMNS = [
+  { key: 'field', label: 'Field', width: '30%' },
+  { key: 'before', label: 'Before' },
+  { key: 'after', label: 'After' },
+]
+
+const STATE_COLUMNS = [
+  { key: 'field', label: 'Field', width: '30%' },
+  { key: 'value', label: 'Value' },
+]
+
+// Values are formatted up front: `before` may be the UNKNOWN_VALUE symbol
+const toChangeRows = (changes) => changes.map(({ field, before, after }) => ({
+  id: field,
+  field,
+  before: formatAuditFieldValue(before),
+  after: formatAuditFieldValue(after),
+}))
+
+function RelatedRequestEntries({ related }) {
+  if (related.isLoading) return <p className="resource-history__muted">Loading related changes…</p>
+  if (related.appError) return <p className="resource-history__error" role="alert">{related.appError.message}</p>
+  if (related.rows.length === 0) {
+    return <p className="resource-history__muted">No other resources were changed by this request.</p>
+  }
+
+  return (
+    <ul className="resource-history__related">
+      {related.rows.map((row) => (
+        <li key={row.id ?? row._id}>
+          {auditSummaryLabel(row)}
+          {RESOURCE_HISTORY_TYPES[row.resourceType] && row.resourceId ? (
+            <>
+              {' '}
+              <Link to={getResourceHistoryPath(row.resourceType, row.resourceId)} variant="subtle">
+                History
+              </Link>
+            </>
+          ) : null}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function TimelineGroup({ group, related, onLoadRelated }) {
+  const isSingleEntry = group.entries.length === 1
+
+  return (
+    <li className="resource-history__group">
+      <div className="resource-history__group-header">
+        <time dateTime={group.startedAt}>{formatDateTime(group.startedAt)}</time>
+        <span className="resource-history__muted">
+          {group.actors.length ? group.actors.join(', ') : 'System'}
+          {isSingleEntry ? '' : ` · ${group.entries.length} entries`}
+          {` · ${group.changeCount} field ${group.changeCount === 1 ? 'change' : 'changes'}`}
+        </span>
+        {group.requestId ? (
+          <Badge variant="neutral" size="sm" pill outline>Request {group.requestId}</Badge>
+        ) : null}
+      </div>
+
+      {group.entries.map((entry) => (
+        <article key={entry.id} className="resource-history__entry" aria-label={entry.summary}>
+          <div className="resource-history__entry-header">
+            <Status size="sm" variant="info">{entry.action || '--'}</Status>
+            <span>{entry.summary}</span>
+            {isSingleEntry ? null : (
+              <time className="resource-history__muted" dateTime={entry.ts}>{formatDateTime(entry.ts)}</time>
+            )}
+          </div>
+          {entry.changes.length ? (
+            <HorizontalScroll ariaLabel={`Field changes for ${entry.summary}`}>
+              <Table size="compact" columns={CHANGE_COLUMNS} data={toChangeRows(entry.changes)} />
+            </HorizontalScroll>
+          ) : (
+            <p className="resource-history__muted">No field changes recorded.</p>
+          )}
+        </article>
+      ))}
+
+      {group.requestId ? (
+        <div className="resource-history__group-related">
+          {related ? (
+            <RelatedRequestEntries related={related} />
+          ) : (
+            <Button variant="ghost" size="sm" onClick={() => onLoadRelated(group.requestId)}>
+              Show Other Changes in This Request
+            </Button>
+          )}
+        </div>
+      ) : null}
+    </li>
+  )
+}
+
+function SuperAdminResourceHistory() {
+  const { resourceType = '', resourceId = '' } = useParams()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const history = useResourceHistory(resourceType, resourceId)
+  const { groups, state, entryCount } = history.timeline
+  const typeLabel = getResourceHistoryLabel(resourceType)
+
+  const stateRows = useMemo(
+    () => Object.keys(state).sort().map((field) => ({ id: field, field, value: formatAuditFieldValue(state[field]) })),
+    [state],
+  )
+
+  // Opened from a list: go back to it. Opened directly: go to Audit Logs.
+  const handleBackClick = () => {
+    if (location.key === 'default') navigate('/super-admin/audit-logs')
+    else navigate(-1)
+  }
+
+  return (
+    <section className="resource-history container" aria-label="Resource history">
+      <header className="resource-history__header">
+        <div>
+          <h1 className="resource-history__title">{typeLabel} History</h1>
+          <p className="resource-history__subtitle">
+            <code>{resourceId}</code>, rebuilt from {entryCount} audit {entryCount === 1 ? 'entry' : 'entries'}.
+          </p>
+        </div>
+        <div className="resource-history__actions">
+          <Button variant="outline" size="sm" onClick={handleBackClick}>Back</Button>
+          <Button variant="outline" size="sm" onClick={history.reload} disabled={history.isLoading}>Refresh</Button>
+        </div>
+      </header>
+
+      {history.appError ? (
+        <p className="resource-history__error" role="alert">{history.appError.message}</p>
+      ) : null}
+      {history.isTruncated ? (
+        <p className="resource-history__muted" role="status">
+          Showing the latest {entryCount} of {history.totalEntries} entries. Earlier values may show as not recorded.
+        </p>
+      ) : null}
+
+      <Fieldset className="resource-history__fieldset">
+        <Fieldset.Legend className="resource-history__legend">
+          <h2 className="resource-history__section-title">Timeline</h2>
+        </Fieldset.Legend>
+        <Card variant="elevated">
+          <Card.Body>
+            {history.isLoading ? (
+              <Status size="sm" variant="warning" showIcon>Loading audit history</Status>
+            ) : null}
+            {!history.isLoading && groups.length === 0 && !history.appError ? (
+              <p className="resource-history__muted">No audit entries for this {typeLabel.toLowerCase()}.</p>
+            ) : null}
+            <ol className="resource-history__timeline">
+              {groups.map((group) => (
+                <TimelineGroup
+                  key={group.key}
+                  group={group}
+                  related={group.requestId ? history.relatedByRequest[group.requestId] : null}
+                  onLoadRelated={history.loadRelated}
+                />
+              ))}
+            </ol>
+          </Card.Body>
+        </Card>
+      </Fieldset>
+
+      {stateRows.length ? (
+        <Fieldset className="resource-history__fieldset">
+          <Fieldset.Legend className="resource-history__legend">
+            <h2 className="resource-history__section-title">Reconstructed State</h2>
+          </Fieldset.Legend>
+          <Card variant="elevated">
+            <Card.Body>
+              <p className="resource-history__muted">
+                Field values after the latest entry, as far as the audit trail records them.
+              </p>
+              <HorizontalScroll ariaLabel="Reconstructed state">
+                <Table size="compact" columns={STATE_COLUMNS} data={stateRows} />
+              </HorizontalScroll>
+            </Card.Body>
+          </Card>
+        </Fieldset>
+      ) : null}
+    </section>
+  )
+}
+
+export default SuperAdminResourceHistory
@@ -0,0 +1,136 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter, Route, Routes } from 'react-router-dom'
+import SuperAdminResourceHistory from './SuperAdminResourceHistory'
+
+vi.mock('../../store/api/auditLogApi.js', () => ({
+  useLazyGetAuditLogsByResourceQuery: vi.fn(),
+  useLazyGetAuditLogsByRequestQuery: vi.fn(),
+}))
+
+import {
+  useLazyGetAuditLogsByRequestQuery,
+  useLazyGetAuditLogsByResourceQuery,
+} from '../../store/api/auditLogApi.js'
+
+const actor = { id: 'user-1', name: 'Ada Admin', email: 'ada@example.com' }
+
+const resolved = (value) => ({ unwrap: () => Promise.resolve(value), abort: vi.fn() })
+
+function renderPage(path = '/super-admin/audit-logs/resource/Tenant/tenant-1') {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route
+          path="/super-admin/audit-logs/resource/:resourceType/:resourceId"
+          element={<SuperAdminResourceHistory />}
+        />
+      </Routes>
+    </MemoryRouter>,
+  )
+}
+
+describe('SuperAdminResourceHistory page', () => {
+  let fetchResourceLogs
+  let fetchRequestLogs
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    fetchResourceLogs = vi.fn((args) => resolved(args.page === 1
+      ? {
+          data: [
+            {
+              id: 'audit-2',
+              ts: '2026-03-02T09:00:00.000Z',
+              action: 'TENANT_UPDATED',
+              actorUserId: actor,
+              resourceType: 'Tenant',
+              resourceId: 'tenant-1',
+              requestId: 'req-2',
+              diff: { before: { name: 'APAC' }, after: { name: 'APAC North' } },
+            },
+          ],
+          meta: { page: 1, totalPages: 2, total: 2 },
+        }
+      : {
+          data: [
+            {
+              id: 'audit-1',
+              ts: '2026-03-01T09:00:00.000Z',
+              action: 'TENANT_CREATED',
+              actorUserId: actor,
+              resourceType: 'Tenant',
+              resourceId: 'tenant-1',
+              requestId: 'req-1',
+              diff: { after: { name: 'APAC', status: 'ENABLED' } },
+            },
+          ],
+          meta: { page: 2, totalPages: 2, total: 2 },
+        }))
+    fetchRequestLogs = vi.fn(() => resolved({
+      data: [
+        {
+          id: 'audit-2',
+          action: 'TENANT_UPDATED',
+          actorUserId: actor,
+          resourceType: 'Tenant',
+          resourceId: 'tenant-1',
+        },
+        {
+          id: 'audit-3',
+          action: 'USER_ROLE_UPDATED',
+          actorUserId: actor,
+          resourceType: 'User',
+          resourceId: 'user-9',
+          display: { targetLabel: 'Grace' },
+        },
+      ],
+    }))
+    useLazyGetAuditLogsByResourceQuery.mockReturnValue([fetchResourceLogs])
+    useLazyGetAuditLogsByRequestQuery.mockReturnValue([fetchRequestLogs])
+  })
+
+  it('loads every page and shows field-level before and after values', async () => {
+    renderPage()
+
+    expect(screen.getByRole('heading', { name: 'Tenant History' })).toBeInTheDocument()
+    const update = await screen.findByRole('article', { name: /tenant updated/i })
+    expect(fetchResourceLogs).toHaveBeenCalledWith({ resourceType: 'Tenant', resourceId: 'tenant-1', page: 2, pageSize: 200 })
+
+    const updateRow = within(update).getByRole('row', { name: /name/i })
+    expect(within(updateRow).getByText('APAC')).toBeInTheDocument()
+    expect(within(updateRow).getByText('APAC North')).toBeInTheDocument()
+    expect(screen.getByText('Request req-2')).toBeInTheDocument()
+
+    const created = screen.getByRole('article', { name: /tenant created/i })
+    expect(within(created).getAllByText('not recorded')).toHaveLength(2)
+    expect(screen.getByText(/rebuilt from 2 audit entries/i)).toBeInTheDocument()
+  })
+
+  it('lists the other resources changed by the same request', async () => {
+    const user = userEvent.setup()
+    renderPage()
+
+    await screen.findByRole('article', { name: /tenant updated/i })
+    await user.click(screen.getAllByRole('button', { name: /show other changes in this request/i })[0])
+
+    expect(fetchRequestLogs).toHaveBeenCalledWith('req-2')
+    expect(await screen.findByText('Ada Admin updated roles for Grace')).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'History' })).toHaveAttribute(
+      'href',
+      '/super-admin/audit-logs/resource/User/user-9',
+    )
+  })
+
+  it('shows the API error', async () => {
+    useLazyGetAuditLogsByResourceQuery.mockReturnValue([
+      vi.fn(() => ({ unwrap: () => Promise.reject({ status: 500, data: { message: 'Audit store offline' } }) })),
+    ])
+    renderPage()
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent(/audit store offline/i)
+    })
+  })
+})
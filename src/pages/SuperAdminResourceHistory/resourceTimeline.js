@@ -0,0 +1,209 @@
+/**
+ * Resource Timeline
+ *
+ * Rebuilds the history of one entity from its audit entries: what each
+ * entry changed, field by field, with the value before and after, and
+ * which entries were written by the same API call.
+ *
+ * Audit payloads (`diff`) come in three shapes, all accepted:
+ *   - `{ before: {...}, after: {...} }` — either side may be missing
+ *   - `{ field: { from, to } }`
+ *   - `{ field: value }` — the new value only
+ * Nested objects are flattened to dotted paths (`limits.maxUsers`).
+ * When an entry doesn't say what a field was before, the value is taken
+ * from the state reconstructed out of the entries before it; a field
+ * first seen that way has an unknown previous value.
+ *
+ * Entries sharing a `requestId` (the `X-Request-ID` of the call that
+ * wrote them) form one group, so a user update that also rewrote roles
+ * reads as one change.
+ */
+
+import { canonicalizeAuditValue } from '../../utils/auditHashChain.js'
+import { actorLabel, auditSummaryLabel } from '../SuperAdminAuditLogs/superAdminAuditLogs.constants.js'
+
+/** Marks a `before` the audit trail doesn't record. */
+export const UNKNOWN_VALUE = Symbol('unknown audit value')
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const isFromToChange = (value) =>
+  isPlainObject(value)
+  && Object.keys(value).length > 0
+  && Object.keys(value).every((key) => key === 'from' || key === 'to')
+
+const isBeforeAfterDiff = (diff) =>
+  isPlainObject(diff)
+  && Object.keys(diff).length > 0
+  && Object.keys(diff).every((key) => key === 'before' || key === 'after')
+  && Object.values(diff).every((side) => side === undefined || side === null || isPlainObject(side))
+
+/**
+ * `{ a: { b: 1 } }` → `{ 'a.b': 1 }`; arrays and `{ from, to }` pairs stay whole.
+ * @param {Object} value
+ * @param {string} [prefix]
+ * @returns {Object}
+ */
+export const flattenAuditFields = (value, prefix = '') => {
+  const flat = {}
+  if (!isPlainObject(value)) return flat
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    const path = prefix ? `${prefix}.${key}` : key
+    if (isPlainObject(fieldValue) && !isFromToChange(fieldValue) && Object.keys(fieldValue).length > 0) {
+      Object.assign(flat, flattenAuditFields(fieldValue, path))
+    } else {
+      flat[path] = fieldValue
+    }
+  })
+  return flat
+}
+
+const sameValue = (left, right) =>
+  left !== UNKNOWN_VALUE && canonicalizeAuditValue(left) === canonicalizeAuditValue(right)
+
+const knownValue = (state, field) => (Object.hasOwn(state, field) ? state[field] : UNKNOWN_VALUE)
+
+/**
+ * @typedef {Object} AuditFieldChange
+ * @property {string} field - dotted path
+ * @property {*} before - UNKNOWN_VALUE when not recorded
+ * @property {*} after
+ */
+
+/**
+ * Field changes of one audit payload against the state so far.
+ * Fields whose value didn't change are left out.
+ *
+ * @param {*} diff - the entry's audit payload
+ * @param {Object} [state] - flattened fields reconstructed so far
+ * @returns {AuditFieldChange[]}
+ */
+export function getAuditFieldChanges(diff, state = {}) {
+  const changes = []
+  const push = (field, before, after) => {
+    if (!sameValue(before, after)) changes.push({ field, before, after })
+  }
+
+  if (isBeforeAfterDiff(diff)) {
+    const before = flattenAuditFields(diff.before ?? {})
+    const after = flattenAuditFields(diff.after ?? {})
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    fields.forEach((field) => {
+      push(
+        field,
+        Object.hasOwn(before, field) ? before[field] : knownValue(state, field),
+        Object.hasOwn(after, field) ? after[field] : undefined,
+      )
+    })
+    return changes
+  }
+
+  Object.entries(flattenAuditFields(diff)).forEach(([field, value]) => {
+    if (isFromToChange(value)) {
+      push(field, Object.hasOwn(value, 'from') ? value.from : knownValue(state, field), value.to)
+    } else {
+      push(field, knownValue(state, field), value)
+    }
+  })
+  return changes
+}
+
+const getEntryTime = (entry) => Date.parse(entry?.ts ?? entry?.createdAt ?? '') || 0
+
+/** Oldest first: chain sequence when sealed, else timestamp. */
+const compareEntries = (left, right) => {
+  if (Number.isInteger(left?.sequence) && Number.isInteger(right?.sequence)) return left.sequence - right.sequence
+  return getEntryTime(left) - getEntryTime(right)
+}
+
+/**
+ * @typedef {Object} ResourceTimelineEntry
+ * @property {string} id
+ * @property {string} ts
+ * @property {string} action
+ * @property {string} actor
+ * @property {string} summary
+ * @property {string} requestId
+ * @property {AuditFieldChange[]} changes
+ * @property {Object} raw - the audit entry as returned by the API
+ */
+
+/**
+ * @typedef {Object} ResourceTimelineGroup
+ * @property {string} key
+ * @property {string} requestId - '' for entries written outside a tracked request
+ * @property {string} startedAt
+ * @property {string} endedAt
+ * @property {string[]} actors
+ * @property {ResourceTimelineEntry[]} entries - oldest first
+ * @property {number} changeCount
+ */
+
+/**
+ * Reconstruct one resource's history.
+ *
+ * @param {Object[]} entries - audit entries for the resource, any order
+ * @returns {{ groups: ResourceTimelineGroup[], state: Object, entryCount: number }}
+ *   groups newest first; `state` is the reconstructed field values after the last entry
+ */
+export function buildResourceTimeline(entries) {
+  const ordered = (Array.isArray(entries) ? entries : []).slice().sort(compareEntries)
+  const state = {}
+  const groups = []
+  const groupsByRequest = new Map()
+
+  ordered.forEach((entry, index) => {
+    const changes = getAuditFieldChanges(entry?.diff, state)
+    changes.forEach(({ field, after }) => {
+      if (after === undefined) delete state[field]
+      else state[field] = after
+    })
+
+    const requestId = String(entry?.requestId ?? '').trim()
+    const item = {
+      id: String(entry?.id ?? entry?._id ?? index),
+      ts: entry?.ts ?? entry?.createdAt ?? '',
+      action: entry?.action ?? '',
+      actor: actorLabel(entry),
+      summary: auditSummaryLabel(entry),
+      requestId,
+      changes,
+      raw: entry,
+    }
+
+    let group = requestId ? groupsByRequest.get(requestId) : null
+    if (!group) {
+      group = {
+        key: requestId ? `request:${requestId}` : `entry:${item.id}`,
+        requestId,
+        startedAt: item.ts,
+        endedAt: item.ts,
+        actors: [],
+        entries: [],
+        changeCount: 0,
+      }
+      groups.push(group)
+      if (requestId) groupsByRequest.set(requestId, group)
+    }
+    group.entries.push(item)
+    group.endedAt = item.ts
+    group.changeCount += changes.length
+    if (item.actor !== '--' && !group.actors.includes(item.actor)) group.actors.push(item.actor)
+  })
+
+  return { groups: groups.reverse(), state, entryCount: ordered.length }
+}
+
+/**
+ * Display text for a field value.
+ * @param {*} value
+ * @returns {string}
+ */
+export const formatAuditFieldValue = (value) => {
+  if (value === UNKNOWN_VALUE) return 'not recorded'
+  if (value === undefined) return '(removed)'
+  if (value === null || value === '') return '(empty)'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
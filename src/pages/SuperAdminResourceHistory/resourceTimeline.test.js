@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest'
+import {
+  UNKNOWN_VALUE,
+  buildResourceTimeline,
+  flattenAuditFields,
+  formatAuditFieldValue,
+  getAuditFieldChanges,
+} from './resourceTimeline.js'
+
+const actor = { id: 'user-1', name: 'Ada Admin', email: 'ada@example.com' }
+
+describe('resourceTimeline', () => {
+  it('flattens nested payloads but keeps arrays and from/to pairs whole', () => {
+    expect(flattenAuditFields({
+      name: 'Acme',
+      limits: { maxUsers: 10, features: ['sso'] },
+      status: { from: 'ACTIVE', to: 'INACTIVE' },
+    })).toEqual({
+      name: 'Acme',
+      'limits.maxUsers': 10,
+      'limits.features': ['sso'],
+      status: { from: 'ACTIVE', to: 'INACTIVE' },
+    })
+  })
+
+  it('reads before/after, from/to and new-value-only payloads', () => {
+    expect(getAuditFieldChanges({ before: { status: 'ACTIVE' }, after: { status: 'DISABLED' } })).toEqual([
+      { field: 'status', before: 'ACTIVE', after: 'DISABLED' },
+    ])
+    expect(getAuditFieldChanges({ name: { from: 'Old', to: 'New' } })).toEqual([
+      { field: 'name', before: 'Old', after: 'New' },
+    ])
+    expect(getAuditFieldChanges({ name: 'New', title: 'Same' }, { name: 'Old', title: 'Same' })).toEqual([
+      { field: 'name', before: 'Old', after: 'New' },
+    ])
+    expect(getAuditFieldChanges({ name: 'First' })).toEqual([
+      { field: 'name', before: UNKNOWN_VALUE, after: 'First' },
+    ])
+  })
+
+  it('reconstructs state across entries and groups them by request id', () => {
+    const { groups, state, entryCount } = buildResourceTimeline([
+      {
+        id: 'a3',
+        ts: '2026-03-03T10:00:00.000Z',
+        action: 'USER_ROLE_UPDATED',
+        actorUserId: actor,
+        requestId: 'req-2',
+        diff: { roles: ['ADMIN'] },
+      },
+      {
+        id: 'a1',
+        ts: '2026-03-01T10:00:00.000Z',
+        action: 'USER_CREATED',
+        actorUserId: actor,
+        requestId: 'req-1',
+        diff: { after: { name: 'Grace', roles: ['USER'] } },
+      },
+      {
+        id: 'a2',
+        ts: '2026-03-03T10:00:00.000Z',
+        action: 'USER_UPDATED',
+        actorUserId: actor,
+        requestId: 'req-2',
+        diff: { name: 'Grace H.' },
+      },
+      { id: 'a4', ts: '2026-03-04T10:00:00.000Z', action: 'USER_DISABLED', requestId: '' },
+    ])
+
+    expect(entryCount).toBe(4)
+    expect(groups.map((group) => group.key)).toEqual(['entry:a4', 'request:req-2', 'request:req-1'])
+    expect(groups[1].entries.map((entry) => entry.id)).toEqual(['a3', 'a2'])
+    expect(groups[1].actors).toEqual(['Ada Admin'])
+    expect(groups[1].entries[0].changes).toEqual([{ field: 'roles', before: ['USER'], after: ['ADMIN'] }])
+    expect(groups[1].entries[1].changes).toEqual([{ field: 'name', before: 'Grace', after: 'Grace H.' }])
+    expect(groups[0].entries[0].changes).toEqual([])
+    expect(state).toEqual({ name: 'Grace H.', roles: ['ADMIN'] })
+  })
+
+  it('orders sealed entries by chain sequence', () => {
+    const { groups } = buildResourceTimeline([
+      { id: 'b2', sequence: 8, ts: '2026-03-01T10:00:00.000Z', diff: { name: 'Second' } },
+      { id: 'b1', sequence: 7, ts: '2026-03-01T10:00:00.000Z', diff: { name: 'First' } },
+    ])
+
+    expect(groups.map((group) => group.entries[0].id)).toEqual(['b2', 'b1'])
+    expect(groups[0].entries[0].changes).toEqual([{ field: 'name', before: 'First', after: 'Second' }])
+  })
+
+  it('formats field values for display', () => {
+    expect(formatAuditFieldValue(UNKNOWN_VALUE)).toBe('not recorded')
+    expect(formatAuditFieldValue(undefined)).toBe('(removed)')
+    expect(formatAuditFieldValue('')).toBe('(empty)')
+    expect(formatAuditFieldValue(['a', 'b'])).toBe('["a","b"]')
+    expect(formatAuditFieldValue(false)).toBe('false')
+  })
+})
@@ -0,0 +1,37 @@
+/** Audit resource types with a History action, by `resourceType`. */
+export const RESOURCE_HISTORY_TYPES = Object.freeze({
+  User: { label: 'User' },
+  Tenant: { label: 'Tenant' },
+  Customer: { label: 'Customer' },
+  Role: { label: 'Role' },
+  VMF: { label: 'VMF' },
+  RuntimeAgent: { label: 'Runtime agent' },
+  RuntimeSkill: { label: 'Runtime skill' },
+  RuntimePathRegistry: { label: 'Runtime path' },
+  SkillRole: { label: 'Skill role' },
+  ValidationRegistry: { label: 'Validation' },
+  UIContract: { label: 'UI contract' },
+  WorkflowPolicy: { label: 'Workflow policy' },
+  FrameworkRegistry: { label: 'Framework' },
+  FrameworkPackage: { label: 'Framework package' },
+})
+
+export const RESOURCE_HISTORY_PAGE_SIZE = 200
+
+/** Entries loaded per resource; older ones are noted as not shown. */
+export const RESOURCE_HISTORY_MAX_ENTRIES = 2000
+
+export const getResourceHistoryLabel = (resourceType) =>
+  RESOURCE_HISTORY_TYPES[resourceType]?.label ?? resourceType
+
+/**
+ * Route of the timeline page for one entity.
+ * @param {string} resourceType - audit `resourceType`, e.g. `User`
+ * @param {string} resourceId
+ * @returns {string}
+ */
+export const getResourceHistoryPath = (resourceType, resourceId) =>
+  `/super-admin/audit-logs/resource/${encodeURIComponent(resourceType)}/${encodeURIComponent(resourceId)}`
+
+/** Id of a list row, whichever of `id` / `_id` the API returned. */
+export const getResourceRowId = (row) => String(row?.id ?? row?._id ?? '')
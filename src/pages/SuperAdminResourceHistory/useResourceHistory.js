@@ -0,0 +1,96 @@
+import { useEffect, useMemo, useState } from 'react'
+import {
+  useLazyGetAuditLogsByRequestQuery,
+  useLazyGetAuditLogsByResourceQuery,
+} from '../../store/api/auditLogApi.js'
+import { normalizeError } from '../../utils/errors.js'
+import { buildResourceTimeline } from './resourceTimeline.js'
+import {
+  RESOURCE_HISTORY_MAX_ENTRIES,
+  RESOURCE_HISTORY_PAGE_SIZE,
+} from './superAdminResourceHistory.constants.js'
+
+export function useResourceHistory(resourceType, resourceId) {
+  const [triggerResourceLogs] = useLazyGetAuditLogsByResourceQuery()
+  const [triggerRequestLogs] = useLazyGetAuditLogsByRequestQuery()
+  const [entries, setEntries] = useState([])
+  const [totalEntries, setTotalEntries] = useState(0)
+  const [isLoading, setIsLoading] = useState(false)
+  const [appError, setAppError] = useState(null)
+  const [reloadIndex, setReloadIndex] = useState(0)
+  // Other resources written by the same request, by requestId
+  const [relatedByRequest, setRelatedByRequest] = useState({})
+
+  useEffect(() => {
+    if (!resourceType || !resourceId) return
+
+    let cancelled = false
+    ;(async () => {
+      setIsLoading(true)
+      setAppError(null)
+      setRelatedByRequest({})
+
+      try {
+        const collected = []
+        let total = 0
+        for (let page = 1; collected.length < RESOURCE_HISTORY_MAX_ENTRIES; page += 1) {
+          const response = await triggerResourceLogs({
+            resourceType,
+            resourceId,
+            page,
+            pageSize: RESOURCE_HISTORY_PAGE_SIZE,
+          }).unwrap()
+          if (cancelled) return
+
+          const rows = Array.isArray(response?.data) ? response.data : []
+          collected.push(...rows)
+          total = Number(response?.meta?.total) || collected.length
+          const totalPages = Number(response?.meta?.totalPages) || 1
+          if (page >= totalPages || rows.length === 0) break
+        }
+
+        setEntries(collected.slice(0, RESOURCE_HISTORY_MAX_ENTRIES))
+        setTotalEntries(total)
+      } catch (error) {
+        if (cancelled) return
+        setEntries([])
+        setTotalEntries(0)
+        setAppError(normalizeError(error))
+      } finally {
+        if (!cancelled) setIsLoading(false)
+      }
+    })()
+
+    return () => {
+      cancelled = true
+    }
+  }, [reloadIndex, resourceId, resourceType, triggerResourceLogs])
+
+  const timeline = useMemo(() => buildResourceTimeline(entries), [entries])
+
+  const loadRelated = async (requestId) => {
+    setRelatedByRequest((current) => ({ ...current, [requestId]: { isLoading: true, rows: [], appError: null } }))
+    try {
+      const response = await triggerRequestLogs(requestId).unwrap()
+      const rows = (Array.isArray(response?.data) ? response.data : [])
+        .filter((row) => row?.resourceType !== resourceType || String(row?.resourceId) !== String(resourceId))
+      setRelatedByRequest((current) => ({ ...current, [requestId]: { isLoading: false, rows, appError: null } }))
+    } catch (error) {
+      setRelatedByRequest((current) => ({
+        ...current,
+        [requestId]: { isLoading: false, rows: [], appError: normalizeError(error) },
+      }))
+    }
+  }
+
+  return {
+    timeline,
+    totalEntries,
+    isTruncated: totalEntries > entries.length,
+    isLoading,
+    appError,
+    reload: () => setReloadIndex((current) => current + 1),
+    relatedByRequest,
+    loadRelated,
+  }
+}
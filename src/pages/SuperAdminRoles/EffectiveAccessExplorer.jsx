@@ -0,0 +1,275 @@
+import { useMemo, useState } from 'react'
+import { Badge } from '../../components/Badge'
+import { Select } from '../../components/Select'
+import { Table } from '../../components/Table'
+import { Tickbox } from '../../components/Tickbox'
+import { UserSearchSelect } from '../../components/UserSearchSelect'
+import { useListCustomersQuery } from '../../store/api/customerApi.js'
+import { useListTenantsQuery } from '../../store/api/tenantApi.js'
+import { useListUsersQuery } from '../../store/api/userApi.js'
+import { normalizeError } from '../../utils/errors.js'
+import {
+  EFFECTIVE_ACCESS_CHANGE_TYPES,
+  EFFECTIVE_ACCESS_LEVELS,
+  buildEffectiveAccess,
+  diffEffectiveAccess,
+} from './effectiveAccess.js'
+
+const SCOPE_LIST_QUERY = { page: 1, pageSize: 100 }
+const LEVEL_LABELS = {
+  [EFFECTIVE_ACCESS_LEVELS.PLATFORM]: 'Platform',
+  [EFFECTIVE_ACCESS_LEVELS.CUSTOMER]: 'Customer',
+  [EFFECTIVE_ACCESS_LEVELS.TENANT]: 'Tenant',
+}
+
+const getRecordId = (record) => String(record?._id ?? record?.id ?? '').trim()
+
+const toOptions = (rows) =>
+  (Array.isArray(rows) ? rows : [])
+    .map((row) => ({ value: getRecordId(row), label: String(row?.name ?? getRecordId(row)) }))
+    .filter((option) => option.value)
+
+const formatGrantingRoles = (roles) =>
+  roles.map((role) => (role.bypass ? `${role.name} (bypass)` : role.name)).join(', ')
+
+/**
+ * Effective access for one user in a customer / tenant / VMF scope. Each
+ * permission shows whether the runtime checks grant it and which roles do.
+ * With what-if mode on, the matrix's unsaved edits are previewed against the
+ * saved catalogue before they are written with `updateRole`.
+ */
+function EffectiveAccessExplorer({ roles = [], previewRoles = [], permissionGroups = [], isWhatIfMode = false }) {
+  const [customerId, setCustomerId] = useState('')
+  const [selectedUserIds, setSelectedUserIds] = useState([])
+  const [selectedUsers, setSelectedUsers] = useState({})
+  const [tenantId, setTenantId] = useState('')
+  const [vmfId, setVmfId] = useState('')
+  const [showDenied, setShowDenied] = useState(false)
+
+  const selectedUserId = selectedUserIds[0] ?? ''
+  const selectedUserEmail = selectedUsers[selectedUserId]?.email ?? ''
+
+  const { data: customersResponse } = useListCustomersQuery(SCOPE_LIST_QUERY)
+  const { data: tenantsResponse } = useListTenantsQuery(
+    { customerId, ...SCOPE_LIST_QUERY },
+    { skip: !customerId },
+  )
+  // The picker only reports display details, so resolve the full record (memberships and grants) by email.
+  const {
+    data: usersResponse,
+    error: usersError,
+    isFetching: isUserFetching,
+  } = useListUsersQuery(
+    { customerId, q: selectedUserEmail, page: 1, pageSize: 20 },
+    { skip: !customerId || !selectedUserEmail },
+  )
+
+  const customerOptions = useMemo(() => toOptions(customersResponse?.data), [customersResponse])
+  const tenantOptions = useMemo(() => toOptions(tenantsResponse?.data), [tenantsResponse])
+  const user = useMemo(
+    () => (usersResponse?.data?.users ?? []).find((row) => getRecordId(row) === selectedUserId) ?? null,
+    [selectedUserId, usersResponse],
+  )
+  const vmfOptions = useMemo(
+    () => (Array.isArray(user?.vmfGrants) ? user.vmfGrants : [])
+      .filter((grant) => String(grant?.customerId ?? '') === customerId && String(grant?.tenantId ?? '') === tenantId)
+      .map((grant) => ({ value: String(grant.vmfId), label: String(grant.vmfName ?? grant.vmfId) })),
+    [customerId, tenantId, user],
+  )
+
+  const scope = useMemo(() => ({ customerId, tenantId, vmfId }), [customerId, tenantId, vmfId])
+  const currentAccess = useMemo(
+    () => buildEffectiveAccess({ user, roles, permissionGroups, scope }),
+    [permissionGroups, roles, scope, user],
+  )
+  const previewAccess = useMemo(
+    () => (isWhatIfMode ? buildEffectiveAccess({ user, roles: previewRoles, permissionGroups, scope }) : null),
+    [isWhatIfMode, permissionGroups, previewRoles, scope, user],
+  )
+  const changes = useMemo(
+    () => (previewAccess ? diffEffectiveAccess(currentAccess, previewAccess) : []),
+    [currentAccess, previewAccess],
+  )
+  const changeByKey = useMemo(
+    () => new Map(changes.map((change) => [change.key, change])),
+    [changes],
+  )
+  const access = previewAccess ?? currentAccess
+  const rows = useMemo(
+    () => access.rows
+      .filter((row) => showDenied || row.granted || changeByKey.has(row.key))
+      .map((row) => ({ ...row, id: row.key })),
+    [access, changeByKey, showDenied],
+  )
+
+  const columns = useMemo(() => [
+    {
+      key: 'label',
+      label: 'Permission',
+      render: (value, row) => (
+        <span className="super-admin-roles__access-permission">
+          <strong>{value}</strong>
+          <code>{row.key}</code>
+        </span>
+      ),
+    },
+    ...access.levels.map((level) => ({
+      key: `level-${level}`,
+      label: LEVEL_LABELS[level],
+      render: (_value, row) => {
+        const levelAccess = row.levels[level]
+        return levelAccess?.granted ? formatGrantingRoles(levelAccess.roles) : '—'
+      },
+    })),
+    {
+      key: 'granted',
+      label: isWhatIfMode ? 'Effective (what if)' : 'Effective',
+      render: (value, row) => {
+        const change = changeByKey.get(row.key)
+        return (
+          <span className="super-admin-roles__access-effective">
+            <Badge variant={value ? 'success' : 'neutral'} size="sm" pill>
+              {value ? 'Allowed' : 'Denied'}
+            </Badge>
+            {change ? (
+              <Badge
+                variant={change.changeType === EFFECTIVE_ACCESS_CHANGE_TYPES.GAINED ? 'primary' : 'danger'}
+                size="sm"
+                pill
+                outline
+              >
+                {change.changeType === EFFECTIVE_ACCESS_CHANGE_TYPES.GAINED ? 'Gained' : 'Lost'}
+              </Badge>
+            ) : null}
+          </span>
+        )
+      },
+    },
+  ], [access.levels, changeByKey, isWhatIfMode])
+
+  const handleCustomerChange = (event) => {
+    setCustomerId(event.target.value)
+    setSelectedUserIds([])
+    setTenantId('')
+    setVmfId('')
+  }
+
+  const handleUserChange = (ids, users = {}) => {
+    setSelectedUserIds(ids)
+    setSelectedUsers((current) => ({ ...current, ...users }))
+  }
+
+  return (
+    <section className="super-admin-roles__access-explorer" aria-label="Effective access explorer">
+      <div className="super-admin-roles__access-scope">
+        <Select
+          id="effective-access-customer"
+          label="Customer"
+          size="sm"
+          value={customerId}
+          options={customerOptions}
+          placeholder="Select a customer"
+          onChange={handleCustomerChange}
+        />
+        <UserSearchSelect
+          key={customerId}
+          customerId={customerId}
+          selectedIds={selectedUserIds}
+          selectedUsers={selectedUsers}
+          onChange={handleUserChange}
+          label="User"
+          minRequired={0}
+          maxSelections={1}
+          allowTemporaryEmptySelection
+          disabled={!customerId}
+        />
+        <Select
+          id="effective-access-tenant"
+          label="Tenant"
+          size="sm"
+          value={tenantId}
+          options={tenantOptions}
+          placeholder="Customer scope only"
+          onChange={(event) => {
+            setTenantId(event.target.value)
+            setVmfId('')
+          }}
+          disabled={!customerId}
+        />
+        <Select
+          id="effective-access-vmf"
+          label="VMF"
+          size="sm"
+          value={vmfId}
+          options={vmfOptions}
+          placeholder={vmfOptions.length > 0 ? 'Tenant scope only' : 'No VMF grants in this tenant'}
+          onChange={(event) => setVmfId(event.target.value)}
+          disabled={!tenantId || vmfOptions.length === 0}
+        />
+      </div>
+
+      {usersError ? (
+        <p className="super-admin-roles__error" role="alert">
+          {normalizeError(usersError).message}
+        </p>
+      ) : null}
+
+      {!selectedUserId ? (
+        <p className="super-admin-roles__muted">
+          Pick a customer and a user to see what they can do in that scope.
+        </p>
+      ) : null}
+
+      {selectedUserId && !user && isUserFetching ? (
+        <p className="super-admin-roles__muted">Resolving user memberships...</p>
+      ) : null}
+
+      {user ? (
+        <>
+          <div className="super-admin-roles__access-summary">
+            <Badge variant="primary" size="sm" pill outline>
+              {access.grantedCount} of {access.rows.length} permissions allowed
+            </Badge>
+            {access.isSuperAdmin ? (
+              <Badge variant="warning" size="sm" pill outline>Super Admin bypass</Badge>
+            ) : null}
+            {isWhatIfMode ? (
+              <Badge variant="info" size="sm" pill outline>
+                {changes.length === 0 ? 'No access change from pending edits' : `${changes.length} permission${changes.length === 1 ? '' : 's'} changed by pending edits`}
+              </Badge>
+            ) : null}
+            <Tickbox
+              id="effective-access-show-denied"
+              label="Show denied permissions"
+              checked={showDenied}
+              onChange={(event) => setShowDenied(event.target.checked)}
+            />
+          </div>
+
+          <Table
+            className="super-admin-roles__access-table"
+            columns={columns}
+            data={rows}
+            variant="striped"
+            size="compact"
+            emptyMessage="This user has no permissions in the selected scope."
+            ariaLabel="Effective permissions"
+          />
+
+          {access.vmfPermissions.length > 0 ? (
+            <div className="super-admin-roles__access-summary" role="group" aria-label="VMF grant permissions">
+              <span className="super-admin-roles__muted">VMF grant:</span>
+              {access.vmfPermissions.map(({ permission, granted }) => (
+                <Badge key={permission} variant={granted ? 'success' : 'neutral'} size="sm" pill outline>
+                  {permission}: {granted ? 'Allowed' : 'Denied'}
+                </Badge>
+              ))}
+            </div>
+          ) : null}
+        </>
+      ) : null}
+    </section>
+  )
+}
+
+export default EffectiveAccessExplorer
@@ -101,6 +101,7 @@ export const PermissionMatrix = memo(function PermissionMatrix({
   lockedPermissionKeysByRoleKey = {},
   search = '',
   pendingToggles = EMPTY_PENDING_SET,
+  draftToggles = EMPTY_PENDING_SET,
 }) {
   const matrixRef = useRef(null)
   const headerRowRef = useRef(null)
@@ -337,6 +338,9 @@ export const PermissionMatrix = memo(function PermissionMatrix({
                 const isPending = Boolean(
                   pendingToggles?.has?.(getPermissionCellKey(roleId, permission.key)),
                 )
+                const isDraft = Boolean(
+                  draftToggles?.has?.(getPermissionCellKey(roleId, permission.key)),
+                )
                 const isChecked = Array.isArray(role?.permissions)
                   ? role.permissions.includes(permission.key)
                   : false
@@ -348,9 +352,11 @@ export const PermissionMatrix = memo(function PermissionMatrix({
                       'permission-matrix__toggle-cell',
                       isLockedPermission && 'permission-matrix__toggle-cell--locked',
                       isDisabledRole && 'permission-matrix__toggle-cell--disabled',
+                      isDraft && 'permission-matrix__toggle-cell--draft',
                     ]
                       .filter(Boolean)
                       .join(' ')}
+                    data-draft={isDraft ? 'true' : undefined}
                   >
                     <Toggle
                       id={`permission-toggle-${roleId}-${permission.key}`}
@@ -4,6 +4,7 @@
  * Manage role-catalogue permissions from a matrix-first governance surface.
  */
 
+import { useState } from 'react'
 import { Button } from '../../components/Button'
 import { Card } from '../../components/Card'
 import { Fieldset } from '../../components/Fieldset'
@@ -15,6 +16,7 @@ import { PermissionMatrix } from './PermissionMatrix.jsx'
 import { SUPER_ADMIN_LOCKED_PERMISSION_KEYS } from './permissionCatalogue.constants.js'
 import { usePermissionMatrix } from './usePermissionMatrix.js'
 import { useRoleManagement } from './useRoleManagement.js'
+import EffectiveAccessExplorer from './EffectiveAccessExplorer.jsx'
 import './SuperAdminRoles.css'
 
 const LOCKED_PERMISSION_KEYS_BY_ROLE_KEY = {
@@ -22,10 +24,13 @@ const LOCKED_PERMISSION_KEYS_BY_ROLE_KEY = {
 }
 const MATRIX_HELP_TEXT =
   'Use the matrix to compare role-catalogue permissions across system and custom roles. Permission changes update role definitions immediately. Affected users receive new runtime access after their next session refresh, token refresh, or sign-in.'
+const WHAT_IF_HELP_TEXT =
+  'What-if mode: matrix changes are held as pending edits and previewed in the effective access explorer. Nothing is saved until you save the pending edits.'
 
 function SuperAdminRoles() {
   const mgmt = useRoleManagement()
   const matrix = usePermissionMatrix()
+  const [isAccessExplorerOpen, setIsAccessExplorerOpen] = useState(false)
 
   return (
     <section className="super-admin-roles container" aria-label="Super admin roles">
@@ -42,6 +47,39 @@ function SuperAdminRoles() {
           <Card variant="elevated" className="super-admin-roles__card">
             <Card.Body className="super-admin-roles__card-body super-admin-roles__card-body--compact">
               <div className="super-admin-roles__catalogue-actions">
+                {matrix.isWhatIfMode ? (
+                  <>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={matrix.discardWhatIfEdits}
+                      disabled={matrix.isSavingWhatIfEdits}
+                    >
+                      Discard pending edits
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="primary"
+                      size="sm"
+                      onClick={matrix.saveWhatIfEdits}
+                      disabled={matrix.isSavingWhatIfEdits || matrix.whatIfEditCount === 0}
+                    >
+                      {matrix.isSavingWhatIfEdits
+                        ? 'Saving...'
+                        : `Save ${matrix.whatIfEditCount} pending edit${matrix.whatIfEditCount === 1 ? '' : 's'}`}
+                    </Button>
+                  </>
+                ) : (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={matrix.startWhatIfMode}
+                  >
+                    What if...
+                  </Button>
+                )}
                 <Button
                   type="button"
                   variant="primary"
@@ -73,7 +111,9 @@ function SuperAdminRoles() {
                 </p>
               ) : null}
 
-              <p className="super-admin-roles__matrix-note">{MATRIX_HELP_TEXT}</p>
+              <p className="super-admin-roles__matrix-note">
+                {matrix.isWhatIfMode ? WHAT_IF_HELP_TEXT : MATRIX_HELP_TEXT}
+              </p>
 
               {matrix.isLoading ? (
                 <div className="super-admin-roles__matrix-loading">
@@ -87,7 +127,7 @@ function SuperAdminRoles() {
                   gap="sm"
                 >
                   <PermissionMatrix
-                    roles={matrix.roles}
+                    roles={matrix.isWhatIfMode ? matrix.previewRoles : matrix.roles}
                     permissionGroups={matrix.permissionGroups}
                     onToggle={matrix.handleToggle}
                     onEditRole={mgmt.openEditDialog}
@@ -95,6 +135,7 @@ function SuperAdminRoles() {
                     lockedPermissionKeysByRoleKey={LOCKED_PERMISSION_KEYS_BY_ROLE_KEY}
                     search={matrix.search}
                     pendingToggles={matrix.pendingToggles}
+                    draftToggles={matrix.draftToggles}
                   />
                 </HorizontalScroll>
               )}
@@ -104,6 +145,37 @@ function SuperAdminRoles() {
               ) : null}
             </Card.Body>
           </Card>
+
+          <Card variant="elevated" className="super-admin-roles__card">
+            <Card.Body className="super-admin-roles__card-body super-admin-roles__card-body--compact">
+              <div className="super-admin-roles__access-header">
+                <div>
+                  <h2 className="super-admin-roles__access-title">Effective Access</h2>
+                  <p className="super-admin-roles__muted">
+                    Check what a user can actually do in a customer, tenant, or VMF and which role grants it.
+                  </p>
+                </div>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  aria-expanded={isAccessExplorerOpen}
+                  onClick={() => setIsAccessExplorerOpen((current) => !current)}
+                >
+                  {isAccessExplorerOpen ? 'Hide access explorer' : 'Open access explorer'}
+                </Button>
+              </div>
+
+              {isAccessExplorerOpen ? (
+                <EffectiveAccessExplorer
+                  roles={matrix.roles}
+                  previewRoles={matrix.previewRoles}
+                  permissionGroups={matrix.permissionGroups}
+                  isWhatIfMode={matrix.isWhatIfMode}
+                />
+              ) : null}
+            </Card.Body>
+          </Card>
         </Fieldset.Content>
       </Fieldset>
 
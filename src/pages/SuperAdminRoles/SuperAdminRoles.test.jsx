@@ -14,6 +14,59 @@ vi.mock('../../store/api/roleApi.js', () => ({
   useDeleteRoleMutation: vi.fn(),
 }))
 
+vi.mock('../../store/api/customerApi.js', () => ({
+  useListCustomersQuery: vi.fn(() => ({
+    data: { data: [{ id: 'customer-acme', name: 'Acme Corporation' }] },
+  })),
+}))
+
+vi.mock('../../store/api/tenantApi.js', () => ({
+  useListTenantsQuery: vi.fn(() => ({
+    data: { data: [{ id: 'tenant-emea', name: 'EMEA' }] },
+  })),
+}))
+
+vi.mock('../../store/api/userApi.js', () => ({
+  useListUsersQuery: vi.fn((_args, options = {}) => ({
+    data: options?.skip
+      ? null
+      : {
+          data: {
+            users: [
+              {
+                id: 'user-avery',
+                email: 'avery@acme.demo',
+                name: 'Avery Admin',
+                memberships: [{ customerId: 'customer-acme', roles: ['CUSTOMER_ADMIN'] }],
+                tenantMemberships: [],
+                vmfGrants: [],
+              },
+            ],
+          },
+        },
+    error: null,
+    isFetching: false,
+  })),
+}))
+
+vi.mock('../../components/UserSearchSelect', () => {
+  function MockUserSearchSelect({ label, onChange, disabled }) {
+    return (
+      <button
+        type="button"
+        disabled={disabled}
+        onClick={() => onChange(['user-avery'], {
+          'user-avery': { name: 'Avery Admin', email: 'avery@acme.demo' },
+        })}
+      >
+        {label}: pick Avery Admin
+      </button>
+    )
+  }
+
+  return { UserSearchSelect: MockUserSearchSelect, default: MockUserSearchSelect }
+})
+
 import {
   useListRolesQuery,
   useGetPermissionCatalogueQuery,
@@ -431,4 +484,37 @@ describe('SuperAdminRoles page', () => {
     expect(screen.queryByText('View Customers')).not.toBeInTheDocument()
     expect(screen.queryByText('Customer Management')).not.toBeInTheDocument()
   })
+
+  it('previews what-if matrix edits in the effective access explorer before saving them', async () => {
+    const user = userEvent.setup()
+    renderPage()
+
+    await user.click(screen.getByRole('button', { name: /what if/i }))
+    expect(screen.getByText(/matrix changes are held as pending edits/i)).toBeInTheDocument()
+
+    await user.click(screen.getByRole('switch', { name: /view users for customer admin/i }))
+    expect(updateRoleMock).not.toHaveBeenCalled()
+    expect(screen.getByRole('switch', { name: /view users for customer admin/i })).toBeChecked()
+
+    await user.click(screen.getByRole('button', { name: /open access explorer/i }))
+    await user.selectOptions(screen.getByLabelText('Customer'), 'customer-acme')
+    await user.click(screen.getByRole('button', { name: /user: pick avery admin/i }))
+
+    const table = await screen.findByRole('table', { name: /effective permissions/i })
+    const userViewRow = within(table).getByText('View Users').closest('tr')
+    expect(within(userViewRow).getByText('Customer Admin')).toBeInTheDocument()
+    expect(within(userViewRow).getByText('Gained')).toBeInTheDocument()
+    expect(within(table).getByText('View Customers').closest('tr')).toHaveTextContent('Allowed')
+    expect(screen.getByText('1 permission changed by pending edits')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: /save 1 pending edit$/i }))
+
+    await waitFor(() => {
+      expect(updateRoleMock).toHaveBeenCalledWith({
+        roleId: 'role-customer-admin',
+        permissions: ['CUSTOMER_VIEW', 'USER_VIEW'],
+      })
+    })
+    expect(screen.getByRole('button', { name: /what if/i })).toBeInTheDocument()
+  })
 })
@@ -0,0 +1,247 @@
+/**
+ * Effective Access
+ *
+ * Answers "what can this user actually do in this scope?" by rebuilding the
+ * `resolvedPermissions` buckets from the user's memberships and the role
+ * catalogue, then running them through the same `authorization.js` checks
+ * the app uses at runtime. Every granted permission is attributed to the
+ * roles that carry it. Passing a role list with unsaved matrix edits applied
+ * previews the access those edits would produce.
+ */
+
+import {
+  getAccessibleCustomerIds,
+  getUserCustomerRoles,
+  getUserPlatformRoles,
+  getUserTenantRoles,
+  getUserVmfPermissions,
+  hasCustomerPermission,
+  hasPlatformPermission,
+  hasTenantPermission,
+  hasVmfPermission,
+} from '../../utils/authorization.js'
+
+export const EFFECTIVE_ACCESS_LEVELS = Object.freeze({
+  PLATFORM: 'PLATFORM',
+  CUSTOMER: 'CUSTOMER',
+  TENANT: 'TENANT',
+})
+
+export const EFFECTIVE_ACCESS_CHANGE_TYPES = Object.freeze({
+  GAINED: 'GAINED',
+  LOST: 'LOST',
+})
+
+/** Permissions a VMF grant can carry; grants are per user, not per role. */
+export const VMF_GRANT_PERMISSIONS = Object.freeze(['READ', 'WRITE'])
+
+const SUPER_ADMIN_ROLE_KEY = 'SUPER_ADMIN'
+
+const normalizeKey = (value) => String(value ?? '').trim().toUpperCase()
+const normalizeId = (value) => String(value ?? '').trim()
+
+const getRoleName = (role, roleKey) => String(role?.name ?? '').trim() || roleKey
+
+const buildRoleIndex = (roles) => {
+  const index = new Map()
+  for (const role of Array.isArray(roles) ? roles : []) {
+    const roleKey = normalizeKey(role?.key)
+    if (roleKey) index.set(roleKey, role)
+  }
+  return index
+}
+
+const getRolePermissionKeys = (role) =>
+  (Array.isArray(role?.permissions) ? role.permissions : []).map(normalizeKey)
+
+const getBucketPermissions = (roleIndex, roleKeys) =>
+  [...new Set(roleKeys.flatMap((roleKey) => getRolePermissionKeys(roleIndex.get(roleKey))))].sort()
+
+/**
+ * Build a `resolvedPermissions` payload for any user from their memberships
+ * and the given role catalogue, mirroring what the session profile carries
+ * for the signed-in user.
+ *
+ * @param {import('../../store/slices/authSlice.js').AuthUser|null} user
+ * @param {Array<{ key: string, permissions: string[] }>} roles
+ * @returns {import('../../store/slices/authSlice.js').ResolvedPermissions|null}
+ */
+export function buildResolvedPermissionsForUser(user, roles = []) {
+  if (!user) return null
+
+  const roleIndex = buildRoleIndex(roles)
+  const platformRoleKeys = getUserPlatformRoles(user).map(normalizeKey)
+
+  const customers = getAccessibleCustomerIds(user)
+    .map((customerId) => ({
+      customerId,
+      roleKeys: getUserCustomerRoles(user, customerId).map(normalizeKey),
+    }))
+    .filter((bucket) => bucket.roleKeys.length > 0)
+    .map((bucket) => ({ ...bucket, permissions: getBucketPermissions(roleIndex, bucket.roleKeys) }))
+
+  const tenants = (Array.isArray(user.tenantMemberships) ? user.tenantMemberships : [])
+    .map((membership) => {
+      const customerId = normalizeId(membership?.customerId)
+      const tenantId = normalizeId(membership?.tenantId)
+      return {
+        customerId,
+        tenantId,
+        roleKeys: getUserTenantRoles(user, customerId, tenantId).map(normalizeKey),
+      }
+    })
+    .filter((bucket) => bucket.customerId && bucket.tenantId)
+    .map((bucket) => ({ ...bucket, permissions: getBucketPermissions(roleIndex, bucket.roleKeys) }))
+
+  return {
+    platform: {
+      roleKeys: platformRoleKeys,
+      permissions: getBucketPermissions(roleIndex, platformRoleKeys),
+    },
+    customers,
+    tenants,
+  }
+}
+
+const findCustomerBucket = (resolvedPermissions, customerId) =>
+  resolvedPermissions.customers.find((bucket) => bucket.customerId === customerId) ?? null
+
+const findTenantBucket = (resolvedPermissions, customerId, tenantId) =>
+  resolvedPermissions.tenants.find((bucket) =>
+    bucket.customerId === customerId && bucket.tenantId === tenantId) ?? null
+
+const getGrantingRoles = ({ roleIndex, bucket, permissionKey, level, granted, isSuperAdmin }) => {
+  if (!granted) return []
+
+  const grantingRoles = (bucket?.roleKeys ?? [])
+    .filter((roleKey) => getRolePermissionKeys(roleIndex.get(roleKey)).includes(permissionKey))
+    .map((roleKey) => ({
+      key: roleKey,
+      name: getRoleName(roleIndex.get(roleKey), roleKey),
+      level,
+      bypass: false,
+    }))
+
+  // SUPER_ADMIN passes every check without listing the permission.
+  if (grantingRoles.length === 0 && isSuperAdmin) {
+    return [{
+      key: SUPER_ADMIN_ROLE_KEY,
+      name: getRoleName(roleIndex.get(SUPER_ADMIN_ROLE_KEY), SUPER_ADMIN_ROLE_KEY),
+      level: EFFECTIVE_ACCESS_LEVELS.PLATFORM,
+      bypass: true,
+    }]
+  }
+
+  return grantingRoles
+}
+
+/**
+ * Evaluate every catalogue permission for a user in a scope. Platform access
+ * is always checked; customer and tenant access are checked when the scope
+ * names them. VMF grant permissions are listed separately when a VMF is set.
+ *
+ * @param {Object} params
+ * @param {import('../../store/slices/authSlice.js').AuthUser|null} params.user
+ * @param {Array<Object>} params.roles - role catalogue (optionally with pending edits applied)
+ * @param {Array<{ groupLabel: string, permissions: Array<{ key: string, label: string }> }>} params.permissionGroups
+ * @param {{ customerId?: string, tenantId?: string, vmfId?: string }} [params.scope]
+ * @returns {{ levels: string[], isSuperAdmin: boolean, grantedCount: number, rows: Array<Object>, vmfPermissions: Array<{ permission: string, granted: boolean }> }}
+ */
+export function buildEffectiveAccess({ user, roles = [], permissionGroups = [], scope = {} }) {
+  const resolvedPermissions = buildResolvedPermissionsForUser(user, roles)
+  if (!resolvedPermissions) {
+    return { levels: [], isSuperAdmin: false, grantedCount: 0, rows: [], vmfPermissions: [] }
+  }
+
+  const roleIndex = buildRoleIndex(roles)
+  const customerId = normalizeId(scope.customerId)
+  const tenantId = customerId ? normalizeId(scope.tenantId) : ''
+  const vmfId = tenantId ? normalizeId(scope.vmfId) : ''
+  const isSuperAdmin = resolvedPermissions.platform.roleKeys.includes(SUPER_ADMIN_ROLE_KEY)
+
+  const levelChecks = [
+    {
+      level: EFFECTIVE_ACCESS_LEVELS.PLATFORM,
+      bucket: resolvedPermissions.platform,
+      check: (permissionKey) => hasPlatformPermission(resolvedPermissions, permissionKey),
+    },
+    customerId && {
+      level: EFFECTIVE_ACCESS_LEVELS.CUSTOMER,
+      bucket: findCustomerBucket(resolvedPermissions, customerId),
+      check: (permissionKey) => hasCustomerPermission(resolvedPermissions, customerId, permissionKey),
+    },
+    tenantId && {
+      level: EFFECTIVE_ACCESS_LEVELS.TENANT,
+      bucket: findTenantBucket(resolvedPermissions, customerId, tenantId),
+      check: (permissionKey) => hasTenantPermission(resolvedPermissions, customerId, tenantId, permissionKey),
+    },
+  ].filter(Boolean)
+
+  const rows = permissionGroups.flatMap((group) =>
+    (group?.permissions ?? []).map((permission) => {
+      const permissionKey = normalizeKey(permission?.key)
+      const levels = {}
+      const grantedBy = []
+
+      for (const { level, bucket, check } of levelChecks) {
+        const granted = check(permissionKey)
+        const grantingRoles = getGrantingRoles({ roleIndex, bucket, permissionKey, level, granted, isSuperAdmin })
+        levels[level] = { granted, roles: grantingRoles }
+        for (const role of grantingRoles) {
+          if (!grantedBy.some((entry) => entry.key === role.key && entry.level === role.level)) {
+            grantedBy.push(role)
+          }
+        }
+      }
+
+      return {
+        key: permissionKey,
+        label: permission?.label ?? permissionKey,
+        groupLabel: group?.groupLabel ?? '',
+        granted: Object.values(levels).some((entry) => entry.granted),
+        levels,
+        grantedBy,
+      }
+    }))
+
+  const vmfPermissions = vmfId
+    ? [...new Set([...VMF_GRANT_PERMISSIONS, ...getUserVmfPermissions(user, customerId, tenantId, vmfId).map(normalizeKey)])]
+      .map((permission) => ({
+        permission,
+        granted: hasVmfPermission(user, customerId, tenantId, vmfId, permission),
+      }))
+    : []
+
+  return {
+    levels: levelChecks.map(({ level }) => level),
+    isSuperAdmin,
+    grantedCount: rows.filter((row) => row.granted).length,
+    rows,
+    vmfPermissions,
+  }
+}
+
+/**
+ * Permissions whose effective grant differs between the saved catalogue and
+ * the what-if preview.
+ *
+ * @param {ReturnType<typeof buildEffectiveAccess>} current
+ * @param {ReturnType<typeof buildEffectiveAccess>} preview
+ * @returns {Array<{ key: string, label: string, changeType: 'GAINED'|'LOST', before: Array<Object>, after: Array<Object> }>}
+ */
+export function diffEffectiveAccess(current, preview) {
+  const currentRows = new Map((current?.rows ?? []).map((row) => [row.key, row]))
+
+  return (preview?.rows ?? []).flatMap((row) => {
+    const currentRow = currentRows.get(row.key)
+    if (!currentRow || currentRow.granted === row.granted) return []
+
+    return [{
+      key: row.key,
+      label: row.label,
+      changeType: row.granted ? EFFECTIVE_ACCESS_CHANGE_TYPES.GAINED : EFFECTIVE_ACCESS_CHANGE_TYPES.LOST,
+      before: currentRow.grantedBy,
+      after: row.grantedBy,
+    }]
+  })
+}
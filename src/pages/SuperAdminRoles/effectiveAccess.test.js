@@ -0,0 +1,139 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildEffectiveAccess,
+  buildResolvedPermissionsForUser,
+  diffEffectiveAccess,
+} from './effectiveAccess.js'
+
+const roles = [
+  { id: 'role-super-admin', key: 'SUPER_ADMIN', name: 'Super Admin', permissions: ['PLATFORM_MANAGE'] },
+  { id: 'role-customer-admin', key: 'CUSTOMER_ADMIN', name: 'Customer Admin', permissions: ['CUSTOMER_VIEW', 'USER_VIEW'] },
+  { id: 'role-tenant-admin', key: 'TENANT_ADMIN', name: 'Tenant Admin', permissions: ['TENANT_VIEW', 'USER_VIEW'] },
+  { id: 'role-user', key: 'USER', name: 'User', permissions: [] },
+]
+
+const permissionGroups = [
+  {
+    groupLabel: 'Platform Management',
+    permissions: [{ key: 'PLATFORM_MANAGE', label: 'Manage Platform' }],
+  },
+  {
+    groupLabel: 'Customer Management',
+    permissions: [
+      { key: 'CUSTOMER_VIEW', label: 'View Customers' },
+      { key: 'TENANT_VIEW', label: 'View Tenants' },
+      { key: 'USER_VIEW', label: 'View Users' },
+    ],
+  },
+]
+
+const customerAdmin = {
+  id: 'user-customer-admin',
+  memberships: [{ customerId: 'customer-acme', roles: ['CUSTOMER_ADMIN'] }],
+  tenantMemberships: [{ customerId: 'customer-acme', tenantId: 'tenant-emea', roles: ['TENANT_ADMIN'] }],
+  vmfGrants: [{ customerId: 'customer-acme', tenantId: 'tenant-emea', vmfId: 'vmf-1', permissions: ['READ'] }],
+}
+
+describe('effectiveAccess', () => {
+  it('rebuilds resolved permission buckets from memberships and the role catalogue', () => {
+    expect(buildResolvedPermissionsForUser(customerAdmin, roles)).toEqual({
+      platform: { roleKeys: [], permissions: [] },
+      customers: [
+        { customerId: 'customer-acme', roleKeys: ['CUSTOMER_ADMIN'], permissions: ['CUSTOMER_VIEW', 'USER_VIEW'] },
+      ],
+      tenants: [
+        {
+          customerId: 'customer-acme',
+          tenantId: 'tenant-emea',
+          roleKeys: ['TENANT_ADMIN'],
+          permissions: ['TENANT_VIEW', 'USER_VIEW'],
+        },
+      ],
+    })
+    expect(buildResolvedPermissionsForUser(null, roles)).toBeNull()
+  })
+
+  it('evaluates each permission per scope level and attributes it to granting roles', () => {
+    const access = buildEffectiveAccess({
+      user: customerAdmin,
+      roles,
+      permissionGroups,
+      scope: { customerId: 'customer-acme', tenantId: 'tenant-emea', vmfId: 'vmf-1' },
+    })
+    const rowByKey = Object.fromEntries(access.rows.map((row) => [row.key, row]))
+
+    expect(access.levels).toEqual(['PLATFORM', 'CUSTOMER', 'TENANT'])
+    expect(access.grantedCount).toBe(3)
+    expect(rowByKey.PLATFORM_MANAGE.granted).toBe(false)
+    expect(rowByKey.TENANT_VIEW.levels).toEqual({
+      PLATFORM: { granted: false, roles: [] },
+      CUSTOMER: { granted: false, roles: [] },
+      TENANT: {
+        granted: true,
+        roles: [{ key: 'TENANT_ADMIN', name: 'Tenant Admin', level: 'TENANT', bypass: false }],
+      },
+    })
+    expect(rowByKey.USER_VIEW.grantedBy.map((role) => `${role.level}:${role.key}`)).toEqual([
+      'CUSTOMER:CUSTOMER_ADMIN',
+      'TENANT:TENANT_ADMIN',
+    ])
+    expect(access.vmfPermissions).toEqual([
+      { permission: 'READ', granted: true },
+      { permission: 'WRITE', granted: false },
+    ])
+
+    // A tenant the user has no membership in only keeps customer-level access
+    const otherTenant = buildEffectiveAccess({
+      user: customerAdmin,
+      roles,
+      permissionGroups,
+      scope: { customerId: 'customer-acme', tenantId: 'tenant-apac' },
+    })
+    expect(otherTenant.rows.filter((row) => row.granted).map((row) => row.key)).toEqual(['CUSTOMER_VIEW', 'USER_VIEW'])
+    expect(otherTenant.vmfPermissions).toEqual([])
+  })
+
+  it('attributes super admin access to the platform bypass', () => {
+    const access = buildEffectiveAccess({
+      user: { id: 'user-super-admin', memberships: [{ customerId: null, roles: ['SUPER_ADMIN'] }] },
+      roles,
+      permissionGroups,
+      scope: { customerId: 'customer-acme' },
+    })
+    const tenantView = access.rows.find((row) => row.key === 'TENANT_VIEW')
+
+    expect(access.isSuperAdmin).toBe(true)
+    expect(access.grantedCount).toBe(4)
+    expect(tenantView.grantedBy).toEqual([
+      { key: 'SUPER_ADMIN', name: 'Super Admin', level: 'PLATFORM', bypass: true },
+    ])
+    expect(access.rows.find((row) => row.key === 'PLATFORM_MANAGE').grantedBy[0].bypass).toBe(false)
+  })
+
+  it('diffs saved access against a what-if role catalogue', () => {
+    const scope = { customerId: 'customer-acme', tenantId: 'tenant-emea' }
+    const current = buildEffectiveAccess({ user: customerAdmin, roles, permissionGroups, scope })
+    const previewRoles = roles.map((role) => {
+      if (role.key === 'CUSTOMER_ADMIN') return { ...role, permissions: ['USER_VIEW', 'PLATFORM_MANAGE'] }
+      return role
+    })
+    const preview = buildEffectiveAccess({ user: customerAdmin, roles: previewRoles, permissionGroups, scope })
+
+    expect(diffEffectiveAccess(current, preview)).toEqual([
+      {
+        key: 'PLATFORM_MANAGE',
+        label: 'Manage Platform',
+        changeType: 'GAINED',
+        before: [],
+        after: [{ key: 'CUSTOMER_ADMIN', name: 'Customer Admin', level: 'CUSTOMER', bypass: false }],
+      },
+      {
+        key: 'CUSTOMER_VIEW',
+        label: 'View Customers',
+        changeType: 'LOST',
+        before: [{ key: 'CUSTOMER_ADMIN', name: 'Customer Admin', level: 'CUSTOMER', bypass: false }],
+        after: [],
+      },
+    ])
+  })
+})
@@ -53,6 +53,27 @@ const sortRoles = (roles) =>
     return String(left?.name ?? leftKey).localeCompare(String(right?.name ?? rightKey))
   })
 
+const countWhatIfEdits = (whatIfEdits) =>
+  Object.values(whatIfEdits).reduce((total, edits) => total + Object.keys(edits).length, 0)
+
+// Overlay unsaved what-if edits ({ [roleId]: { [permissionKey]: granted } }) on the saved roles.
+const applyWhatIfEdits = (roles, whatIfEdits) =>
+  roles.map((role) => {
+    const edits = whatIfEdits[role.id]
+    if (!edits) return role
+
+    const permissions = new Set(role.permissions)
+    for (const [permissionKey, granted] of Object.entries(edits)) {
+      if (granted) {
+        permissions.add(permissionKey)
+      } else {
+        permissions.delete(permissionKey)
+      }
+    }
+
+    return { ...role, permissions: sortPermissionKeys([...permissions]) }
+  })
+
 const normalizeRoles = (roles) =>
   roles.map((role) => ({
     ...role,
@@ -64,6 +85,9 @@ export function usePermissionMatrix() {
   const { addToast } = useToaster()
   const [search, setSearch] = useState('')
   const [pendingToggles, setPendingToggles] = useState(() => new Set())
+  const [isWhatIfMode, setIsWhatIfMode] = useState(false)
+  const [whatIfEdits, setWhatIfEdits] = useState({})
+  const [isSavingWhatIfEdits, setIsSavingWhatIfEdits] = useState(false)
 
   const {
     data: listResponse,
@@ -94,6 +118,17 @@ export function usePermissionMatrix() {
     rolesRef.current = roles
   }, [roles])
 
+  const previewRoles = useMemo(
+    () => applyWhatIfEdits(roles, whatIfEdits),
+    [roles, whatIfEdits],
+  )
+
+  const draftToggles = useMemo(
+    () => new Set(Object.entries(whatIfEdits).flatMap(([roleId, edits]) =>
+      Object.keys(edits).map((permissionKey) => getPendingToggleKey(roleId, permissionKey)))),
+    [whatIfEdits],
+  )
+
   const permissionGroups = useMemo(() => {
     const remotePermissionGroups = getPermissionGroups(catalogueResponse)
     if (remotePermissionGroups.length > 0) return remotePermissionGroups
@@ -120,6 +155,27 @@ export function usePermissionMatrix() {
     })
   }, [])
 
+  const recordWhatIfEdit = useCallback((roleId, permissionKey, newValue, savedValue) => {
+    setWhatIfEdits((current) => {
+      const roleEdits = { ...(current[roleId] ?? {}) }
+
+      // Toggling back to the saved value drops the edit instead of recording a no-op.
+      if (newValue === savedValue) {
+        delete roleEdits[permissionKey]
+      } else {
+        roleEdits[permissionKey] = newValue
+      }
+
+      const next = { ...current }
+      if (Object.keys(roleEdits).length > 0) {
+        next[roleId] = roleEdits
+      } else {
+        delete next[roleId]
+      }
+      return next
+    })
+  }, [])
+
   const handleToggle = useCallback(
     async (roleId, permissionKey, newValue) => {
       // Read from ref for the latest permissions snapshot, preventing stale-closure
@@ -130,6 +186,11 @@ export function usePermissionMatrix() {
       const currentPermissions = Array.isArray(role.permissions) ? role.permissions : []
       const alreadyHasPermission = currentPermissions.includes(permissionKey)
 
+      if (isWhatIfMode) {
+        recordWhatIfEdit(role.id, permissionKey, newValue, alreadyHasPermission)
+        return
+      }
+
       if (alreadyHasPermission === newValue) return
 
       const nextPermissions = sortPermissionKeys(
@@ -158,16 +219,75 @@ export function usePermissionMatrix() {
         setPendingToggleState(roleId, permissionKey, false)
       }
     },
-    [addToast, setPendingToggleState, updateRole],
+    [addToast, isWhatIfMode, recordWhatIfEdit, setPendingToggleState, updateRole],
   )
 
+  const startWhatIfMode = useCallback(() => {
+    setIsWhatIfMode(true)
+  }, [])
+
+  const discardWhatIfEdits = useCallback(() => {
+    setWhatIfEdits({})
+    setIsWhatIfMode(false)
+  }, [])
+
+  const saveWhatIfEdits = useCallback(async () => {
+    const editedRoles = applyWhatIfEdits(rolesRef.current, whatIfEdits)
+      .filter((role) => Boolean(whatIfEdits[role.id]))
+    if (editedRoles.length === 0) {
+      setIsWhatIfMode(false)
+      return
+    }
+
+    setIsSavingWhatIfEdits(true)
+    const failedRoleIds = []
+
+    try {
+      // One updateRole per edited role so a rejected role keeps its edits for another try.
+      for (const role of editedRoles) {
+        try {
+          await updateRole({
+            roleId: role.id,
+            permissions: role.permissions,
+          }).unwrap()
+        } catch (error) {
+          if (error?.status === 'FETCH_ERROR' && error?.error === 'Aborted') return
+          failedRoleIds.push(role.id)
+          addToast({
+            title: `Failed to update permissions for ${role.name ?? role.key}`,
+            description: normalizeError(error).message,
+            variant: 'error',
+          })
+        }
+      }
+
+      setWhatIfEdits((current) => Object.fromEntries(
+        Object.entries(current).filter(([roleId]) => failedRoleIds.includes(roleId)),
+      ))
+      if (failedRoleIds.length === 0) {
+        setIsWhatIfMode(false)
+      }
+    } finally {
+      // An aborted save leaves the edits in place; Save and Discard must work again
+      setIsSavingWhatIfEdits(false)
+    }
+  }, [addToast, updateRole, whatIfEdits])
+
   return {
     roles,
+    previewRoles,
     permissionGroups,
     search,
     setSearch,
     handleToggle,
     pendingToggles,
+    isWhatIfMode,
+    whatIfEditCount: countWhatIfEdits(whatIfEdits),
+    draftToggles,
+    isSavingWhatIfEdits,
+    startWhatIfMode,
+    discardWhatIfEdits,
+    saveWhatIfEdits,
     isLoading: isRolesLoading && roles.length === 0,
     isFetching: isRolesFetching,
     error: listError ? normalizeError(listError) : null,
@@ -218,4 +218,72 @@ describe('usePermissionMatrix', () => {
       }),
     )
   })
+
+  it('holds what-if toggles as pending edits and saves them per role', async () => {
+    const updateRoleMock = vi.fn().mockReturnValue({
+      unwrap: vi.fn().mockResolvedValue({}),
+    })
+    mockUseUpdateRoleMutation.mockReturnValue([updateRoleMock, { isLoading: false }])
+
+    const { result } = renderHook(() => usePermissionMatrix())
+
+    act(() => {
+      result.current.startWhatIfMode()
+    })
+    await act(async () => {
+      await result.current.handleToggle('role-user', 'USER_VIEW', true)
+    })
+    await act(async () => {
+      await result.current.handleToggle('role-tenant-admin', 'TENANT_VIEW', false)
+    })
+    await act(async () => {
+      await result.current.handleToggle('role-user', 'DEAL_VIEW', false)
+    })
+    // Toggling back to the saved value drops the edit
+    await act(async () => {
+      await result.current.handleToggle('role-user', 'DEAL_VIEW', true)
+    })
+
+    expect(updateRoleMock).not.toHaveBeenCalled()
+    expect(result.current.whatIfEditCount).toBe(2)
+    expect([...result.current.draftToggles]).toEqual(['role-user-USER_VIEW', 'role-tenant-admin-TENANT_VIEW'])
+    expect(result.current.roles.find((role) => role.id === 'role-user').permissions).toEqual(['DEAL_VIEW'])
+    expect(result.current.previewRoles.find((role) => role.id === 'role-user').permissions).toEqual(['USER_VIEW', 'DEAL_VIEW'])
+    expect(result.current.previewRoles.find((role) => role.id === 'role-tenant-admin').permissions).toEqual([])
+
+    await act(async () => {
+      await result.current.saveWhatIfEdits()
+    })
+
+    expect(updateRoleMock).toHaveBeenCalledTimes(2)
+    expect(updateRoleMock).toHaveBeenCalledWith({ roleId: 'role-user', permissions: ['USER_VIEW', 'DEAL_VIEW'] })
+    expect(updateRoleMock).toHaveBeenCalledWith({ roleId: 'role-tenant-admin', permissions: [] })
+    expect(result.current.isWhatIfMode).toBe(false)
+    expect(result.current.whatIfEditCount).toBe(0)
+  })
+
+  it('keeps what-if edits and re-enables saving when a save is aborted', async () => {
+    const updateRoleMock = vi.fn().mockReturnValue({
+      unwrap: vi.fn().mockRejectedValue({ status: 'FETCH_ERROR', error: 'Aborted' }),
+    })
+    mockUseUpdateRoleMutation.mockReturnValue([updateRoleMock, { isLoading: false }])
+
+    const { result } = renderHook(() => usePermissionMatrix())
+
+    act(() => {
+      result.current.startWhatIfMode()
+    })
+    await act(async () => {
+      await result.current.handleToggle('role-user', 'USER_VIEW', true)
+    })
+    await act(async () => {
+      await result.current.saveWhatIfEdits()
+    })
+
+    expect(updateRoleMock).toHaveBeenCalledTimes(1)
+    expect(result.current.isSavingWhatIfEdits).toBe(false)
+    expect(result.current.isWhatIfMode).toBe(true)
+    expect(result.current.whatIfEditCount).toBe(1)
+    expect(addToastMock).not.toHaveBeenCalled()
+  })
 })
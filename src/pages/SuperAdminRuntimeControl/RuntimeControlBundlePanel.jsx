@@ -0,0 +1,295 @@
+/**
+ * Export / import of Runtime Control bundles between environments.
+ *
+ * Export writes a framework package plus its dependency closure into one
+ * signed JSON file. Import rejects bundles whose signature does not verify,
+ * shows a dry-run plan per entity, and only applies it once nothing
+ * conflicts.
+ */
+
+import { useId, useState } from 'react'
+import { Badge } from '../../components/Badge'
+import { Button } from '../../components/Button'
+import { Card } from '../../components/Card'
+import { HorizontalScroll } from '../../components/HorizontalScroll'
+import { Select } from '../../components/Select'
+import { Status } from '../../components/Status'
+import { Table } from '../../components/Table'
+import { useToaster } from '../../components/Toaster'
+import { useRuntimeControlBundles } from '../../hooks/useRuntimeControlBundles.js'
+import { useListFrameworkPackagesQuery } from '../../store/api/runtimeControlApi.js'
+import { normalizeError } from '../../utils/errors.js'
+import {
+  RUNTIME_CONTROL_IMPORT_ACTIONS,
+  getRuntimeControlBundleFilename,
+  parseRuntimeControlBundle,
+  readRuntimeControlBundleFile,
+} from '../../utils/runtimeControlBundle.js'
+
+const PACKAGE_PICKER_PAGE_SIZE = 100
+const DOWNLOAD_CLEANUP_DELAY_MS = 1000
+
+const IMPORT_ACTION_BADGES = Object.freeze({
+  [RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE]: { variant: 'success', label: 'Create' },
+  [RUNTIME_CONTROL_IMPORT_ACTIONS.UPDATE]: { variant: 'info', label: 'Update' },
+  [RUNTIME_CONTROL_IMPORT_ACTIONS.UNCHANGED]: { variant: 'neutral', label: 'Unchanged' },
+  [RUNTIME_CONTROL_IMPORT_ACTIONS.CONFLICT]: { variant: 'danger', label: 'Conflict' },
+})
+
+const downloadBundle = (bundle) => {
+  const filename = getRuntimeControlBundleFilename(bundle)
+  const objectUrl = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], {
+    type: 'application/json',
+  }))
+  const link = document.createElement('a')
+  link.href = objectUrl
+  link.download = filename
+  link.rel = 'noopener'
+  link.hidden = true
+  document.body.appendChild(link)
+  link.click()
+  window.setTimeout(() => {
+    link.remove()
+    URL.revokeObjectURL(objectUrl)
+  }, DOWNLOAD_CLEANUP_DELAY_MS)
+  return filename
+}
+
+const formatPlanSummary = (counts) => [
+  `${counts.CREATE} to create`,
+  `${counts.UPDATE} to update`,
+  `${counts.UNCHANGED} unchanged`,
+  `${counts.CONFLICT} in conflict`,
+].join(' · ')
+
+function RuntimeControlBundlePanel({ exportedBy = '' }) {
+  const fileInputId = useId()
+  const { addToast } = useToaster()
+  const { exportBundle, planImport, applyImport } = useRuntimeControlBundles()
+  const { data: packageResponse, isLoading: isPackagesLoading } = useListFrameworkPackagesQuery({
+    pageSize: PACKAGE_PICKER_PAGE_SIZE,
+  })
+  const [selectedPackageId, setSelectedPackageId] = useState('')
+  const [isExporting, setIsExporting] = useState(false)
+  const [importState, setImportState] = useState({
+    status: 'idle',
+    fileName: '',
+    bundle: null,
+    plan: null,
+    error: '',
+    progress: '',
+  })
+
+  const packages = Array.isArray(packageResponse?.data) ? packageResponse.data : []
+  const packageOptions = packages.map((pkg) => ({
+    value: pkg.id,
+    label: `${pkg.packageName || pkg.frameworkKey} · ${pkg.version} (${pkg.status})`,
+  }))
+  const isImportBusy = importState.status === 'planning' || importState.status === 'applying'
+
+  const handleExport = async () => {
+    if (!selectedPackageId) return
+    setIsExporting(true)
+    try {
+      const bundle = await exportBundle(selectedPackageId, { exportedBy })
+      const filename = downloadBundle(bundle)
+      const entityCount = Object.values(bundle.entities).reduce((total, rows) => total + rows.length, 0)
+      addToast({
+        title: 'Bundle exported',
+        description: `${filename} holds ${entityCount} record${entityCount === 1 ? '' : 's'}.`,
+        variant: 'success',
+      })
+    } catch (err) {
+      addToast({
+        title: 'Failed to export bundle',
+        description: normalizeError(err).message,
+        variant: 'error',
+      })
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    setImportState({ status: 'planning', fileName: file.name, bundle: null, plan: null, error: '', progress: '' })
+    try {
+      const bundle = parseRuntimeControlBundle(await readRuntimeControlBundleFile(file))
+      const { verification, plan } = await planImport(bundle)
+      if (!verification.valid) {
+        setImportState((current) => ({ ...current, status: 'invalid', error: verification.reason }))
+        return
+      }
+      setImportState((current) => ({ ...current, status: 'planned', bundle, plan }))
+    } catch (err) {
+      setImportState((current) => ({ ...current, status: 'invalid', error: normalizeError(err).message }))
+    }
+  }
+
+  const handleApply = async () => {
+    if (!importState.plan?.canApply) return
+    setImportState((current) => ({ ...current, status: 'applying', progress: '' }))
+    const { applied, failed } = await applyImport(importState.plan, {
+      onStep: (step) => setImportState((current) => ({ ...current, progress: `${step.label} ${step.key}` })),
+    })
+
+    if (failed) {
+      setImportState((current) => ({ ...current, status: 'planned', progress: '' }))
+      addToast({
+        title: 'Bundle import stopped',
+        description: `${failed.step.label} "${failed.step.key}" failed: ${failed.message} ${applied.length} earlier change${applied.length === 1 ? ' was' : 's were'} applied.`,
+        variant: 'error',
+      })
+      return
+    }
+
+    setImportState({ status: 'idle', fileName: '', bundle: null, plan: null, error: '', progress: '' })
+    addToast({
+      title: 'Bundle imported',
+      description: `${applied.length} record${applied.length === 1 ? '' : 's'} created or updated.`,
+      variant: 'success',
+    })
+  }
+
+  const handleClearImport = () => {
+    setImportState({ status: 'idle', fileName: '', bundle: null, plan: null, error: '', progress: '' })
+  }
+
+  return (
+    <Card variant="elevated" className="super-admin-runtime-control__bundle-card">
+      <Card.Header className="super-admin-runtime-control__bundle-header">
+        <h2 className="super-admin-runtime-control__section-title">Environment Bundles</h2>
+        <p className="super-admin-runtime-control__section-copy">
+          Move a framework package and everything it depends on between environments as one file.
+          Records are matched by key, so ids never need re-keying by hand.
+        </p>
+      </Card.Header>
+      <Card.Body className="super-admin-runtime-control__bundle-body">
+        <section className="super-admin-runtime-control__bundle-section" aria-label="Export bundle">
+          <h3 className="super-admin-runtime-control__bundle-title">Export</h3>
+          <div className="super-admin-runtime-control__bundle-actions">
+            <Select
+              id="runtime-control-bundle-package"
+              label="Framework package"
+              size="sm"
+              value={selectedPackageId}
+              placeholder={isPackagesLoading ? 'Loading packages...' : 'Select a package'}
+              options={packageOptions}
+              onChange={(event) => setSelectedPackageId(event.target.value)}
+              disabled={isPackagesLoading || isExporting}
+            />
+            <Button
+              type="button"
+              variant="primary"
+              size="sm"
+              onClick={handleExport}
+              loading={isExporting}
+              disabled={!selectedPackageId}
+            >
+              Export bundle
+            </Button>
+          </div>
+        </section>
+
+        <section className="super-admin-runtime-control__bundle-section" aria-label="Import bundle">
+          <h3 className="super-admin-runtime-control__bundle-title">Import</h3>
+          <label className="super-admin-runtime-control__bundle-file-field" htmlFor={fileInputId}>
+            <span>Bundle file</span>
+            <input
+              id={fileInputId}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFileChange}
+              disabled={isImportBusy}
+            />
+          </label>
+
+          {importState.status === 'planning' ? (
+            <p className="super-admin-runtime-control__bundle-helper" role="status">
+              Checking {importState.fileName} against this environment...
+            </p>
+          ) : null}
+
+          {importState.status === 'invalid' ? (
+            <p className="super-admin-runtime-control__bundle-error" role="alert">
+              {importState.fileName}: {importState.error}
+            </p>
+          ) : null}
+
+          {importState.plan ? (
+            <div className="super-admin-runtime-control__bundle-plan">
+              <div className="super-admin-runtime-control__bundle-plan-summary">
+                <Status variant="success" size="sm" showIcon>Signature verified</Status>
+                <span>
+                  {importState.bundle.root.frameworkKey} {importState.bundle.root.version}
+                  {importState.bundle.exportedBy ? ` · exported by ${importState.bundle.exportedBy}` : ''}
+                </span>
+              </div>
+              <p className="super-admin-runtime-control__bundle-helper" role="status">
+                Dry run: {formatPlanSummary(importState.plan.counts)}.
+              </p>
+              <HorizontalScroll ariaLabel="Bundle import plan" gap="sm">
+                <Table
+                  columns={[
+                    { key: 'label', label: 'Entity', width: '18%' },
+                    { key: 'key', label: 'Key', width: '30%', render: (value) => <code>{value}</code> },
+                    {
+                      key: 'action',
+                      label: 'Action',
+                      width: '14%',
+                      render: (value) => (
+                        <Badge variant={IMPORT_ACTION_BADGES[value].variant} size="sm" pill outline>
+                          {IMPORT_ACTION_BADGES[value].label}
+                        </Badge>
+                      ),
+                    },
+                    { key: 'reason', label: 'Detail', width: '38%' },
+                  ]}
+                  data={importState.plan.steps.map((step) => ({ ...step, id: `${step.type}:${step.key}` }))}
+                  variant="striped"
+                  ariaLabel="Bundle import plan"
+                />
+              </HorizontalScroll>
+              {importState.plan.counts.CONFLICT > 0 ? (
+                <p className="super-admin-runtime-control__bundle-error" role="alert">
+                  Resolve the conflicts above in this environment, then load the bundle again.
+                </p>
+              ) : null}
+              {importState.status === 'applying' && importState.progress ? (
+                <p className="super-admin-runtime-control__bundle-helper" role="status">
+                  Applying {importState.progress}...
+                </p>
+              ) : null}
+              <div className="super-admin-runtime-control__bundle-actions">
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={handleClearImport}
+                  disabled={isImportBusy}
+                >
+                  Clear
+                </Button>
+                <Button
+                  type="button"
+                  variant="primary"
+                  size="sm"
+                  onClick={handleApply}
+                  loading={importState.status === 'applying'}
+                  disabled={!importState.plan.canApply}
+                >
+                  Apply import
+                </Button>
+              </div>
+            </div>
+          ) : null}
+        </section>
+      </Card.Body>
+    </Card>
+  )
+}
+
+export default RuntimeControlBundlePanel
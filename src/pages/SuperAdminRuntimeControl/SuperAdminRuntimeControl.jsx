@@ -26,6 +26,7 @@ import {
   getEnabledRuntimeControlModuleRouteKeys,
   getSuperAdminRoute,
 } from '../../constants/superAdminNavigation.js'
+import RuntimeControlBundlePanel from './RuntimeControlBundlePanel.jsx'
 import './SuperAdminRuntimeControl.css'
 
 const SYSTEM_VERSIONING_ROUTE = getSuperAdminRoute('systemVersioning')
@@ -312,6 +313,8 @@ function SuperAdminRuntimeControl() {
           </div>
         </section>
       </div>
+
+      <RuntimeControlBundlePanel exportedBy={user?.name ?? ''} />
     </section>
   )
 }
@@ -1,14 +1,77 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest'
-import { render, screen } from '@testing-library/react'
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
 import { MemoryRouter, Route, Routes } from 'react-router-dom'
 import SuperAdminRuntimeControl from './SuperAdminRuntimeControl'
+import {
+  RUNTIME_CONTROL_BUNDLE_FORMAT,
+  RUNTIME_CONTROL_BUNDLE_FORMAT_VERSION,
+} from '../../utils/runtimeControlBundle.js'
+
+const addToastMock = vi.fn()
+const exportBundleMock = vi.fn()
+const planImportMock = vi.fn()
+const applyImportMock = vi.fn()
 
 vi.mock('../../hooks/useAuthorization.js', () => ({
   useAuthorization: vi.fn(),
 }))
 
+vi.mock('../../components/Toaster', () => ({
+  useToaster: () => ({ addToast: addToastMock }),
+}))
+
+vi.mock('../../hooks/useRuntimeControlBundles.js', () => ({
+  useRuntimeControlBundles: () => ({
+    exportBundle: exportBundleMock,
+    planImport: planImportMock,
+    applyImport: applyImportMock,
+  }),
+}))
+
+vi.mock('../../store/api/runtimeControlApi.js', () => ({
+  useListFrameworkPackagesQuery: () => ({
+    data: {
+      data: [
+        { id: 'pkg-vmf-231', packageName: 'VMF Core', frameworkKey: 'VMF', version: '2.3.1', status: 'ACTIVE' },
+      ],
+    },
+    isLoading: false,
+  }),
+}))
+
 import { useAuthorization } from '../../hooks/useAuthorization.js'
 
+const bundleFixture = {
+  format: RUNTIME_CONTROL_BUNDLE_FORMAT,
+  formatVersion: RUNTIME_CONTROL_BUNDLE_FORMAT_VERSION,
+  exportedAt: '2026-05-01T12:00:00.000Z',
+  exportedBy: 'Dev Admin',
+  root: { frameworkKey: 'VMF', version: '2.3.1', packageKey: 'vmf-core' },
+  entities: {
+    runtimePaths: [{ id: 'path-1', pathKey: 'framework_state.sections.customer_problem' }],
+    frameworkPackages: [{ id: 'pkg-vmf-231', frameworkKey: 'VMF', version: '2.3.1' }],
+  },
+  signature: { algorithm: 'HMAC-SHA256', value: 'a'.repeat(64) },
+}
+
+const buildPlan = (steps) => ({
+  steps,
+  counts: {
+    CREATE: steps.filter((step) => step.action === 'CREATE').length,
+    UPDATE: steps.filter((step) => step.action === 'UPDATE').length,
+    UNCHANGED: steps.filter((step) => step.action === 'UNCHANGED').length,
+    CONFLICT: steps.filter((step) => step.action === 'CONFLICT').length,
+  },
+  canApply: steps.some((step) => step.action === 'CREATE' || step.action === 'UPDATE')
+    && !steps.some((step) => step.action === 'CONFLICT'),
+})
+
+const selectBundleFile = (content = JSON.stringify(bundleFixture)) => {
+  const file = new File([content], 'vmf-bundle.json', { type: 'application/json' })
+  fireEvent.change(screen.getByLabelText(/bundle file/i), { target: { files: [file] } })
+}
+
 function renderRuntimeControl() {
   return render(
     <MemoryRouter initialEntries={['/super-admin/runtime-control']}>
@@ -24,6 +87,9 @@ function renderRuntimeControl() {
 
 beforeEach(() => {
   vi.clearAllMocks()
+  exportBundleMock.mockReset()
+  planImportMock.mockReset()
+  applyImportMock.mockReset()
 
   useAuthorization.mockReturnValue({
     user: { id: 'sa-1', name: 'Super Admin' },
@@ -95,4 +161,128 @@ describe('SuperAdminRuntimeControl page', () => {
       '/super-admin/runtime-control/knowledge-packs',
     )
   })
+
+  it('exports the selected framework package as a bundle download', async () => {
+    // Fake timers so the download's delayed revoke runs while URL is still stubbed
+    vi.useFakeTimers({ shouldAdvanceTime: true })
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime })
+    const { createObjectURL: originalCreateObjectURL, revokeObjectURL: originalRevokeObjectURL } = URL
+    const createObjectURL = vi.fn(() => 'blob:bundle')
+    URL.createObjectURL = createObjectURL
+    URL.revokeObjectURL = vi.fn()
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    exportBundleMock.mockResolvedValue(bundleFixture)
+
+    renderRuntimeControl()
+
+    const exportButton = screen.getByRole('button', { name: /export bundle/i })
+    expect(exportButton).toBeDisabled()
+    await user.selectOptions(screen.getByLabelText(/framework package/i), 'pkg-vmf-231')
+    await user.click(exportButton)
+
+    await waitFor(() => {
+      expect(exportBundleMock).toHaveBeenCalledWith('pkg-vmf-231', { exportedBy: 'Super Admin' })
+    })
+    expect(createObjectURL).toHaveBeenCalledTimes(1)
+    expect(clickSpy).toHaveBeenCalledTimes(1)
+    expect(addToastMock).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Bundle exported',
+      description: expect.stringContaining('runtime-control-vmf-2.3.1-'),
+      variant: 'success',
+    }))
+
+    vi.runOnlyPendingTimers()
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:bundle')
+    vi.useRealTimers()
+    clickSpy.mockRestore()
+    URL.createObjectURL = originalCreateObjectURL
+    URL.revokeObjectURL = originalRevokeObjectURL
+  })
+
+  it('shows the dry-run plan and applies an import without conflicts', async () => {
+    const user = userEvent.setup()
+    const plan = buildPlan([
+      {
+        type: 'runtimePaths',
+        label: 'Runtime Path',
+        key: 'framework_state.sections.customer_problem',
+        action: 'UNCHANGED',
+        reason: 'Matches the existing record.',
+      },
+      {
+        type: 'frameworkPackages',
+        label: 'Framework Package',
+        key: 'VMF@2.3.1',
+        action: 'CREATE',
+        reason: 'Not present in this environment.',
+      },
+    ])
+    planImportMock.mockResolvedValue({ verification: { valid: true, reason: '' }, plan })
+    applyImportMock.mockResolvedValue({ applied: [plan.steps[1]], failed: null })
+
+    renderRuntimeControl()
+    selectBundleFile()
+
+    const planTable = await screen.findByRole('table', { name: /bundle import plan/i })
+    expect(planImportMock).toHaveBeenCalledWith(expect.objectContaining({ root: bundleFixture.root }))
+    expect(screen.getByText(/signature verified/i)).toBeInTheDocument()
+    expect(screen.getByText('Dry run: 1 to create · 0 to update · 1 unchanged · 0 in conflict.')).toBeInTheDocument()
+    expect(within(planTable).getByText('VMF@2.3.1')).toBeInTheDocument()
+    expect(within(planTable).getByText('Create')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: /apply import/i }))
+
+    await waitFor(() => {
+      expect(applyImportMock).toHaveBeenCalledWith(plan, expect.objectContaining({ onStep: expect.any(Function) }))
+    })
+    expect(addToastMock).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Bundle imported',
+      variant: 'success',
+    }))
+    expect(screen.queryByRole('table', { name: /bundle import plan/i })).not.toBeInTheDocument()
+  })
+
+  it('blocks applying a plan with conflicts', async () => {
+    planImportMock.mockResolvedValue({
+      verification: { valid: true, reason: '' },
+      plan: buildPlan([
+        {
+          type: 'frameworkPackages',
+          label: 'Framework Package',
+          key: 'VMF@2.3.1',
+          action: 'CONFLICT',
+          reason: 'The existing record is ACTIVE; only drafts can be updated in place.',
+        },
+      ]),
+    })
+
+    renderRuntimeControl()
+    selectBundleFile()
+
+    expect(await screen.findByText(/only drafts can be updated in place/i)).toBeInTheDocument()
+    expect(screen.getByRole('alert')).toHaveTextContent(/resolve the conflicts/i)
+    expect(screen.getByRole('button', { name: /apply import/i })).toBeDisabled()
+  })
+
+  it('rejects bundles that fail the signature check or are not bundles', async () => {
+    planImportMock.mockResolvedValue({
+      verification: { valid: false, reason: 'The bundle signature does not match. It was changed after export or signed with a different key.' },
+      plan: null,
+    })
+
+    renderRuntimeControl()
+    selectBundleFile()
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'vmf-bundle.json: The bundle signature does not match. It was changed after export or signed with a different key.',
+    )
+
+    selectBundleFile('{"format":"other"}')
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('The file is not a Runtime Control bundle.')
+    })
+    expect(planImportMock).toHaveBeenCalledTimes(1)
+    expect(screen.queryByRole('button', { name: /apply import/i })).not.toBeInTheDocument()
+  })
 })
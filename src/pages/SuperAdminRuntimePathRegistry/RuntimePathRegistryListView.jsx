@@ -233,6 +233,7 @@ function RuntimePathRowActionsMenu({ row, onAction, disabled = false }) {
     ...(status !== 'ACTIVE' ? [{ value: 'Activate', label: 'Activate' }] : []),
     ...(status !== 'INACTIVE' ? [{ value: 'Disable', label: 'Disable' }] : []),
     ...(status !== 'DEPRECATED' ? [{ value: 'Deprecate', label: 'Deprecate' }] : []),
+    { value: 'History', label: 'History' },
   ]
 
   return (
@@ -279,6 +280,7 @@ export function RuntimePathRegistryListView({
   onActivatePath,
   onDisablePath,
   onDeprecatePath,
+  onViewHistory,
   isActionLoading = false,
 }) {
   const handleRowAction = useCallback(
@@ -302,6 +304,10 @@ export function RuntimePathRegistryListView({
       if (label === 'Deprecate') {
         onDeprecatePath(row)
       }
+
+      if (label === 'History') {
+        onViewHistory(row)
+      }
     },
     [
       onActivatePath,
@@ -309,6 +315,7 @@ export function RuntimePathRegistryListView({
       onDisablePath,
       onClonePath,
       onEditPath,
+      onViewHistory,
     ],
   )
 
@@ -477,6 +484,7 @@ export function RuntimePathRegistryListView({
               className="super-admin-runtime-path-registry__table"
               columns={columns}
               data={rows}
+              serverSide
               loading={showInitialSkeleton}
               variant="striped"
               hoverable
@@ -496,55 +504,13 @@ export function RuntimePathRegistryListView({
             <p className="super-admin-runtime-path-registry__muted">Refreshing list...</p>
           ) : null}
 
-          {totalPages > 1 ? (
-            <div
-              className="super-admin-runtime-path-registry__pagination"
-              role="navigation"
-              aria-label="Runtime paths pagination"
-            >
-              <div className="super-admin-runtime-path-registry__pagination-controls">
-                <Button
-                  variant="outline"
-                  size="sm"
-                  disabled={currentPage <= 1 || isListFetching}
-                  onClick={() => setPage(1)}
-                >
-                  First
-                </Button>
-                <Button
-                  variant="outline"
-                  size="sm"
-                  disabled={currentPage <= 1 || isListFetching}
-                  onClick={() => setPage((current) => Math.max(1, current - 1))}
-                >
-                  Previous
-                </Button>
-              </div>
-
-              <p className="super-admin-runtime-path-registry__pagination-info">
-                Page {currentPage} of {totalPages}
-              </p>
-
-              <div className="super-admin-runtime-path-registry__pagination-controls">
-                <Button
-                  variant="outline"
-                  size="sm"
-                  disabled={currentPage >= totalPages || isListFetching}
-                  onClick={() => setPage((current) => Math.min(totalPages, current + 1))}
-                >
-                  Next
-                </Button>
-                <Button
-                  variant="outline"
-                  size="sm"
-                  disabled={currentPage >= totalPages || isListFetching}
-                  onClick={() => setPage(totalPages)}
-                >
-                  Last
-                </Button>
-              </div>
-            </div>
-          ) : null}
+          <Table.Pagination
+            page={currentPage}
+            totalPages={totalPages}
+            onPageChange={setPage}
+            busy={isListFetching}
+            ariaLabel="Runtime paths pagination"
+          />
         </Card.Body>
       </Card>
     </Fieldset>
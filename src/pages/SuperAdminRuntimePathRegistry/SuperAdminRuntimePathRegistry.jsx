@@ -10,6 +10,7 @@ import {
   useDisableRuntimePathMutation,
 } from '../../store/api/runtimeControlApi.js'
 import { normalizeError } from '../../utils/errors.js'
+import { getResourceHistoryPath } from '../SuperAdminResourceHistory/superAdminResourceHistory.constants.js'
 import { RuntimePathRegistryListView } from './RuntimePathRegistryListView.jsx'
 import { useRuntimePathRegistryManagement } from './useRuntimePathRegistryManagement.js'
 import './SuperAdminRuntimePathRegistry.css'
@@ -46,6 +47,11 @@ function SuperAdminRuntimePathRegistry() {
     navigate(`/super-admin/runtime-control/runtime-paths/new?cloneFrom=${encodeURIComponent(row.id)}`)
   }, [navigate])
 
+  const handleViewPathHistory = useCallback((row) => {
+    if (!row?.id) return
+    navigate(getResourceHistoryPath('RuntimePathRegistry', row.id))
+  }, [navigate])
+
   const handleActivatePath = useCallback(async (row) => {
     if (!row?.id) return
     try {
@@ -107,6 +113,13 @@ function SuperAdminRuntimePathRegistry() {
     }
   }, [addToast, closeDisableConfirm, disableConfirm.row, disablePath])
 
+  const handleReviewDisableImpact = useCallback(() => {
+    const row = disableConfirm.row
+    closeDisableConfirm()
+    if (!row?.id) return
+    navigate(`/super-admin/runtime-control/runtime-paths/${row.id}/edit?impact=DISABLE`)
+  }, [closeDisableConfirm, disableConfirm.row, navigate])
+
   const handleDeprecatePath = useCallback(async (row) => {
     if (!row?.id) return
     try {
@@ -157,6 +170,7 @@ function SuperAdminRuntimePathRegistry() {
         onActivatePath={handleActivatePath}
         onDisablePath={handleDisablePath}
         onDeprecatePath={handleDeprecatePath}
+        onViewHistory={handleViewPathHistory}
         isActionLoading={isActivating || isDisabling || isDeprecating}
       />
 
@@ -185,6 +199,9 @@ function SuperAdminRuntimePathRegistry() {
           <Button type="button" variant="outline" size="sm" onClick={closeDisableConfirm} disabled={isDisabling}>
             Cancel
           </Button>
+          <Button type="button" variant="outline" size="sm" onClick={handleReviewDisableImpact} disabled={isDisabling}>
+            Review impact
+          </Button>
           <Button type="button" variant="danger" size="sm" onClick={handleConfirmDisable} loading={isDisabling}>
             Disable anyway
           </Button>
@@ -0,0 +1,195 @@
+import { useCallback, useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Badge } from '../../components/Badge'
+import { Button } from '../../components/Button'
+import { HorizontalScroll } from '../../components/HorizontalScroll'
+import { Select } from '../../components/Select'
+import { Table } from '../../components/Table'
+import { useRuntimeControlRegistries } from '../../hooks/useRuntimeControlRegistries.js'
+import { normalizeError } from '../../utils/errors.js'
+import {
+  RUNTIME_PATH_CHANGE_TYPES,
+  RUNTIME_PATH_CHANGE_TYPE_OPTIONS,
+  RUNTIME_PATH_IMPACT_ENTITY_TYPES,
+  RUNTIME_PATH_IMPACT_LEVELS,
+  buildRuntimePathImpactAnalysis,
+} from './runtimePathImpact.js'
+
+const IMPACT_REGISTRIES = Object.freeze([
+  'skills',
+  'skillRoles',
+  'agents',
+  'validations',
+  'workflowPolicies',
+  'uiContracts',
+  'frameworkPackages',
+])
+
+/**
+ * What-if view for one runtime path: loads every registry, walks the
+ * dependency graph for the selected change and links to each affected
+ * record's editor.
+ */
+function RuntimePathImpactAnalysis({ runtimePath, defaultChangeType = null }) {
+  const navigate = useNavigate()
+  const { loadRegistries } = useRuntimeControlRegistries()
+  // Follows the pending edit until a change is picked here
+  const [selectedChangeType, setSelectedChangeType] = useState(null)
+  const changeType = selectedChangeType ?? defaultChangeType ?? RUNTIME_PATH_CHANGE_TYPES.RENAME
+  const [registryState, setRegistryState] = useState({ isLoading: false, registries: null, error: null })
+
+  const handleAnalyze = useCallback(async () => {
+    setRegistryState((current) => ({ ...current, isLoading: true, error: null }))
+    try {
+      const registries = await loadRegistries(IMPACT_REGISTRIES)
+      setRegistryState({ isLoading: false, registries, error: null })
+    } catch (err) {
+      setRegistryState({ isLoading: false, registries: null, error: normalizeError(err) })
+    }
+  }, [loadRegistries])
+
+  const analysis = useMemo(
+    () => (registryState.registries
+      ? buildRuntimePathImpactAnalysis({
+        pathKey: runtimePath?.pathKey,
+        changeType,
+        registries: registryState.registries,
+      })
+      : null),
+    [changeType, registryState.registries, runtimePath?.pathKey],
+  )
+
+  const columns = useMemo(
+    () => [
+      {
+        key: 'level',
+        label: 'Impact',
+        mobileLabel: 'Impact',
+        render: (value) => (
+          <Badge variant={value === RUNTIME_PATH_IMPACT_LEVELS.BREAKS ? 'danger' : 'warning'} size="sm" pill outline>
+            {value === RUNTIME_PATH_IMPACT_LEVELS.BREAKS ? 'Breaks' : 'Changes behaviour'}
+          </Badge>
+        ),
+      },
+      { key: 'typeLabel', label: 'Type', mobileLabel: 'Type' },
+      {
+        key: 'name',
+        label: 'Dependent',
+        mobileLabel: 'Dependent',
+        render: (value, row) => (
+          <span className="super-admin-runtime-path-registry-editor__impact-dependent">
+            <strong>{value}</strong>
+            {row.key && row.key !== value ? <code>{row.key}</code> : null}
+          </span>
+        ),
+      },
+      {
+        key: 'reasons',
+        label: 'Why',
+        mobileLabel: 'Why',
+        render: (value, row) => (
+          <span className="super-admin-runtime-path-registry-editor__impact-reason">
+            <span>{value.join('; ')}</span>
+            {row.depth === 1 ? <span>{row.consequence}</span> : null}
+          </span>
+        ),
+      },
+      {
+        key: 'via',
+        label: 'Reached Via',
+        mobileLabel: 'Reached Via',
+        render: (value) => (value.length > 0 ? value.join(' → ') : 'Direct reference'),
+      },
+      {
+        key: 'status',
+        label: 'Status',
+        mobileLabel: 'Status',
+        render: (value) => (value ? (
+          <Badge variant={value === 'ACTIVE' ? 'danger' : 'neutral'} size="sm" pill outline>{value}</Badge>
+        ) : '--'),
+      },
+      {
+        key: 'editorPath',
+        label: 'Actions',
+        mobileLabel: 'Actions',
+        render: (value, row) => (
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            disabled={!value}
+            onClick={() => navigate(value)}
+            aria-label={`Open ${row.typeLabel} ${row.name}`}
+          >
+            Open
+          </Button>
+        ),
+      },
+    ],
+    [navigate],
+  )
+
+  const byType = analysis?.summary.byType ?? {}
+
+  return (
+    <div className="super-admin-runtime-path-registry-editor__dependency-panel">
+      <div className="super-admin-runtime-path-registry-editor__impact-controls">
+        <div className="super-admin-runtime-path-registry-editor__field">
+          <label className="super-admin-runtime-path-registry-editor__field-label" htmlFor="runtime-path-impact-change-type">
+            Proposed Change
+          </label>
+          <Select
+            id="runtime-path-impact-change-type"
+            value={changeType}
+            options={RUNTIME_PATH_CHANGE_TYPE_OPTIONS}
+            onChange={(event) => setSelectedChangeType(event.target.value)}
+          />
+        </div>
+        <Button
+          type="button"
+          variant="primary"
+          size="sm"
+          onClick={handleAnalyze}
+          loading={registryState.isLoading}
+          disabled={!runtimePath?.pathKey}
+        >
+          {analysis ? 'Re-run Analysis' : 'Analyze Impact'}
+        </Button>
+      </div>
+
+      {registryState.error ? (
+        <p className="super-admin-runtime-path-registry-editor__error" role="alert">
+          {registryState.error.message}
+        </p>
+      ) : null}
+
+      {analysis ? (
+        <>
+          <div className="super-admin-runtime-path-registry-editor__summary-grid" aria-label="Impact summary">
+            <span><strong>{analysis.summary.breaks}</strong> Would break</span>
+            <span><strong>{analysis.summary.changes}</strong> Change behaviour</span>
+            <span><strong>{byType[RUNTIME_PATH_IMPACT_ENTITY_TYPES.FRAMEWORK_PACKAGE] ?? 0}</strong> Packages</span>
+            <span><strong>{byType[RUNTIME_PATH_IMPACT_ENTITY_TYPES.AGENT] ?? 0}</strong> Agents</span>
+            <span><strong>{byType[RUNTIME_PATH_IMPACT_ENTITY_TYPES.WORKFLOW_POLICY] ?? 0}</strong> Policies</span>
+          </div>
+          <HorizontalScroll ariaLabel="Runtime path impact table">
+            <Table
+              columns={columns}
+              data={analysis.items}
+              emptyMessage="Nothing in the registries is affected by this change."
+              ariaLabel="Runtime path impact"
+              size="compact"
+            />
+          </HorizontalScroll>
+        </>
+      ) : (
+        <p className="super-admin-runtime-path-registry-editor__helper">
+          Walks skills, skill roles, agents, validations, workflow policies, UI contracts and framework packages
+          to find everything the change reaches, including records that only depend on the path indirectly.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default RuntimePathImpactAnalysis
@@ -47,6 +47,8 @@ import {
   parseRuntimePathRegistryListText as parseListText,
   validateRuntimePathRegistryForm as validateForm,
 } from '../SuperAdminRuntimePathRegistry/superAdminRuntimePathRegistry.constants.js'
+import RuntimePathImpactAnalysis from './RuntimePathImpactAnalysis.jsx'
+import { RUNTIME_PATH_CHANGE_TYPES, getRuntimePathPendingChangeType } from './runtimePathImpact.js'
 import '../SuperAdminRuntimePathRegistry/SuperAdminRuntimePathRegistry.css'
 import './SuperAdminRuntimePathRegistryEditor.css'
 
@@ -122,6 +124,8 @@ const parseObjectText = (value) => {
 
 const countErrorsForFields = (errors, fields) => fields.filter((field) => errors[field]).length
 
+const IMPACT_ANALYSIS_TAB_INDEX = 3
+
 const renderTabLabel = (label, count = 0) => (
   <span className="super-admin-runtime-path-registry-editor__tab-label">
     <span>{label}</span>
@@ -293,6 +297,8 @@ function SuperAdminRuntimePathRegistryEditor() {
   const [searchParams] = useSearchParams()
   const { addToast } = useToaster()
   const cloneFrom = String(searchParams.get('cloneFrom') ?? searchParams.get('duplicateFrom') ?? '').trim()
+  // `?impact=DISABLE` (etc.) opens the impact analysis on that change
+  const requestedImpactChange = String(searchParams.get('impact') ?? '').trim().toUpperCase()
   const isEditMode = Boolean(pathId)
   const isCloneMode = !isEditMode && Boolean(cloneFrom)
 
@@ -341,6 +347,8 @@ function SuperAdminRuntimePathRegistryEditor() {
   const isSaving = isCreating || isUpdating || isCloning
   const isLockedRecord = isEditMode && Boolean(loadedRuntimePath?.isLocked)
   const readOnlySourceFields = isCloneMode || isLockedRecord
+  const impactChangeType = RUNTIME_PATH_CHANGE_TYPES[requestedImpactChange]
+    ?? getRuntimePathPendingChangeType(loadedRuntimePath, form)
   const currentRuntimePathJson = useMemo(
     () => (loadedRuntimePath ? formatRecordJson(loadedRuntimePath) : ''),
     [loadedRuntimePath],
@@ -733,6 +741,7 @@ function SuperAdminRuntimePathRegistryEditor() {
                   variant="pills"
                   size="sm"
                   evenTabs
+                  defaultActiveTab={isEditMode && RUNTIME_PATH_CHANGE_TYPES[requestedImpactChange] ? IMPACT_ANALYSIS_TAB_INDEX : 0}
                   className="super-admin-runtime-path-registry-editor__tabs"
                   aria-label="Runtime path editor sections"
                 >
@@ -970,6 +979,29 @@ function SuperAdminRuntimePathRegistryEditor() {
                     </div>
                   </TabView.Tab>
 
+                  <TabView.Tab label={renderTabLabel('Impact Analysis')}>
+                    <div className="super-admin-runtime-path-registry-editor__section">
+                      <div className="super-admin-runtime-path-registry-editor__section-header">
+                        <h2 className="super-admin-runtime-path-registry-editor__section-title">Impact Analysis</h2>
+                        <p className="super-admin-runtime-path-registry-editor__section-copy">
+                          See every package, agent and policy that would break or change behaviour before renaming,
+                          retyping, disabling or deprecating this path.
+                        </p>
+                      </div>
+
+                      {isEditMode ? (
+                        <RuntimePathImpactAnalysis
+                          runtimePath={loadedRuntimePath}
+                          defaultChangeType={impactChangeType}
+                        />
+                      ) : (
+                        <p className="super-admin-runtime-path-registry-editor__helper">
+                          Impact analysis is available after the runtime path has been created.
+                        </p>
+                      )}
+                    </div>
+                  </TabView.Tab>
+
                   <TabView.Tab label={renderTabLabel('JSON & Notes', tabErrorCounts.jsonNotes)}>
                     <div className="super-admin-runtime-path-registry-editor__section">
                       <div className="super-admin-runtime-path-registry-editor__section-header">
@@ -7,6 +7,7 @@ const navigateMock = vi.fn()
 let paramsMock = {}
 let searchParamsMock = new URLSearchParams()
 let runtimePathQueryMock = { data: null, isLoading: false, error: null }
+const loadRegistriesMock = vi.fn()
 
 vi.mock('react-router-dom', async () => {
   const actual = await vi.importActual('react-router-dom')
@@ -34,12 +35,55 @@ vi.mock('../../store/api/runtimeControlApi.js', () => ({
   useUpdateRuntimePathMutation: () => [vi.fn(), { isLoading: false }],
 }))
 
+vi.mock('../../hooks/useRuntimeControlRegistries.js', () => ({
+  useRuntimeControlRegistries: () => ({ loadRegistries: loadRegistriesMock }),
+}))
+
+const TENANT_ID_PATH = {
+  id: 'path-framework-state-metadata-tenant-id-1y5pv6y',
+  pathKey: 'framework_state.metadata.tenant_id',
+  label: 'Tenant ID',
+  status: 'ACTIVE',
+  frameworkKeys: ['VMF'],
+  scope: 'FRAMEWORK_STATE',
+  allowedOperations: ['READ', 'WRITE'],
+  dataType: 'STRING',
+  category: 'METADATA',
+  sourceType: 'RUNTIME_STATE',
+  isProtected: false,
+  isSystem: false,
+}
+
+const IMPACT_REGISTRIES = {
+  skills: [
+    {
+      id: 'skill-tenant-writer',
+      key: 'tenant_writer',
+      name: 'Tenant Writer',
+      status: 'ACTIVE',
+      allowedWritePaths: ['framework_state.metadata.tenant_id'],
+    },
+  ],
+  skillRoles: [],
+  agents: [
+    { id: 'agent-onboarding', key: 'onboarding', name: 'Onboarding Agent', status: 'ACTIVE', defaultSkillIds: ['skill-tenant-writer'] },
+  ],
+  validations: [],
+  workflowPolicies: [
+    { id: 'policy-tenant-gate', key: 'tenant-gate', name: 'Tenant Gate', primaryAgentId: 'agent-onboarding' },
+  ],
+  uiContracts: [],
+  frameworkPackages: [],
+}
+
 describe('SuperAdminRuntimePathRegistryEditor', () => {
   beforeEach(() => {
     navigateMock.mockClear()
     paramsMock = {}
     searchParamsMock = new URLSearchParams()
     runtimePathQueryMock = { data: null, isLoading: false, error: null }
+    loadRegistriesMock.mockReset()
+    loadRegistriesMock.mockResolvedValue(IMPACT_REGISTRIES)
   })
 
   it('renders the create editor shell with governed fields', async () => {
@@ -249,4 +293,42 @@ describe('SuperAdminRuntimePathRegistryEditor', () => {
     expect(screen.getByText(/max length must be greater than or equal to min length/i)).toBeInTheDocument()
     expect(screen.getByRole('tab', { name: /schema & ui .*2 validation errors/i })).toBeInTheDocument()
   })
+
+  it('analyses the impact of a change across the registries and links to affected records', async () => {
+    const user = userEvent.setup()
+    paramsMock = { pathId: TENANT_ID_PATH.id }
+    runtimePathQueryMock = { data: { data: TENANT_ID_PATH }, isLoading: false, error: null }
+
+    render(<SuperAdminRuntimePathRegistryEditor />)
+
+    await waitFor(() => {
+      expect(screen.getByRole('textbox', { name: /path key/i })).toHaveValue('framework_state.metadata.tenant_id')
+    })
+    await user.click(screen.getByRole('tab', { name: /^impact analysis$/i }))
+    expect(screen.getByRole('combobox', { name: /proposed change/i })).toHaveDisplayValue('Rename path key')
+    expect(loadRegistriesMock).not.toHaveBeenCalled()
+
+    await user.selectOptions(screen.getByRole('combobox', { name: /proposed change/i }), 'DISABLE')
+    await user.click(screen.getByRole('button', { name: /analyze impact/i }))
+
+    const table = await screen.findByRole('table', { name: /runtime path impact/i })
+    expect(table).toHaveTextContent('Tenant Writer')
+    expect(table).toHaveTextContent('Allowed write path')
+    expect(table).toHaveTextContent('Tenant Writer → Onboarding Agent')
+    expect(screen.getByLabelText(/impact summary/i)).toHaveTextContent('3 Would break')
+
+    await user.click(screen.getByRole('button', { name: /open workflow policy tenant gate/i }))
+    expect(navigateMock).toHaveBeenCalledWith('/super-admin/runtime-control/workflow-policies/policy-tenant-gate/edit')
+  })
+
+  it('opens the impact analysis for the change requested in the URL', async () => {
+    paramsMock = { pathId: TENANT_ID_PATH.id }
+    searchParamsMock = new URLSearchParams('impact=DISABLE')
+    runtimePathQueryMock = { data: { data: TENANT_ID_PATH }, isLoading: false, error: null }
+
+    render(<SuperAdminRuntimePathRegistryEditor />)
+
+    expect(screen.getByRole('tab', { name: /^impact analysis$/i })).toHaveAttribute('aria-selected', 'true')
+    expect(screen.getByRole('combobox', { name: /proposed change/i })).toHaveDisplayValue('Disable')
+  })
 })
@@ -0,0 +1,445 @@
+/**
+ * Runtime Path Impact Analysis
+ *
+ * Walks the Runtime Control registry graph outward from one runtime path
+ * and reports every record that would break or change behaviour if the
+ * path were renamed, retyped, disabled or deprecated.
+ *
+ * Direct references come from skills (read / write / forbidden paths),
+ * skill roles (read and write scopes), agent execution plans, validation
+ * output fields, UI contract and framework package sections, and workflow
+ * policy conditions and effects. Impact then follows the registry links:
+ * skill → agent / validation / policy, agent → validation / policy,
+ * validation → policy / package, policy → package, UI contract → package.
+ * A dependent inherits the impact of what it depends on.
+ */
+
+export const RUNTIME_PATH_CHANGE_TYPES = Object.freeze({
+  RENAME: 'RENAME',
+  RETYPE: 'RETYPE',
+  DISABLE: 'DISABLE',
+  DEPRECATE: 'DEPRECATE',
+})
+
+export const RUNTIME_PATH_CHANGE_TYPE_OPTIONS = Object.freeze([
+  { value: RUNTIME_PATH_CHANGE_TYPES.RENAME, label: 'Rename path key' },
+  { value: RUNTIME_PATH_CHANGE_TYPES.RETYPE, label: 'Change data type' },
+  { value: RUNTIME_PATH_CHANGE_TYPES.DISABLE, label: 'Disable' },
+  { value: RUNTIME_PATH_CHANGE_TYPES.DEPRECATE, label: 'Deprecate' },
+])
+
+export const RUNTIME_PATH_IMPACT_LEVELS = Object.freeze({
+  BREAKS: 'BREAKS',
+  CHANGES: 'CHANGES',
+})
+
+export const RUNTIME_PATH_IMPACT_ENTITY_TYPES = Object.freeze({
+  SKILL: 'skill',
+  SKILL_ROLE: 'skillRole',
+  AGENT: 'agent',
+  VALIDATION: 'validation',
+  WORKFLOW_POLICY: 'workflowPolicy',
+  UI_CONTRACT: 'uiContract',
+  FRAMEWORK_PACKAGE: 'frameworkPackage',
+})
+
+const { SKILL, SKILL_ROLE, AGENT, VALIDATION, WORKFLOW_POLICY, UI_CONTRACT, FRAMEWORK_PACKAGE } =
+  RUNTIME_PATH_IMPACT_ENTITY_TYPES
+const { BREAKS, CHANGES } = RUNTIME_PATH_IMPACT_LEVELS
+
+const EDITOR_ROUTE_PREFIX = '/super-admin/runtime-control'
+
+// `registry` is the key of the rows passed to `buildRuntimePathImpactAnalysis`
+const ENTITY_TYPE_CONFIG = Object.freeze({
+  [SKILL]: {
+    label: 'Skill',
+    registry: 'skills',
+    getKey: (row) => row.key,
+    getName: (row) => row.name,
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/skills/${id}`,
+  },
+  [SKILL_ROLE]: {
+    label: 'Skill Role',
+    registry: 'skillRoles',
+    getKey: (row) => row.roleKey,
+    getName: (row) => row.label,
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/skill-roles/${id}`,
+  },
+  [AGENT]: {
+    label: 'Agent',
+    registry: 'agents',
+    getKey: (row) => row.key,
+    getName: (row) => row.name,
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/agents/${id}`,
+  },
+  [VALIDATION]: {
+    label: 'Validation',
+    registry: 'validations',
+    getKey: (row) => row.key,
+    getName: (row) => row.label,
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/validation-registry/${id}`,
+  },
+  [WORKFLOW_POLICY]: {
+    label: 'Workflow Policy',
+    registry: 'workflowPolicies',
+    getKey: (row) => row.key,
+    getName: (row) => row.name,
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/workflow-policies/${id}/edit`,
+  },
+  [UI_CONTRACT]: {
+    label: 'UI Contract',
+    registry: 'uiContracts',
+    getKey: (row) => row.uiContractKey,
+    getName: (row) => row.name,
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/ui-contracts/${id}`,
+  },
+  [FRAMEWORK_PACKAGE]: {
+    label: 'Framework Package',
+    registry: 'frameworkPackages',
+    getKey: (row) => row.packageKey,
+    getName: (row) => row.packageName || row.frameworkName,
+    getEditorPath: (id) => `${EDITOR_ROUTE_PREFIX}/framework-packages/${id}/edit`,
+  },
+})
+
+const ENTITY_TYPE_ORDER = Object.keys(ENTITY_TYPE_CONFIG)
+
+const USAGES = Object.freeze({
+  READ: 'READ',
+  WRITE: 'WRITE',
+  FORBIDDEN_WRITE: 'FORBIDDEN_WRITE',
+  SCOPE: 'SCOPE',
+  SCOPE_PATTERN: 'SCOPE_PATTERN',
+  CONDITION: 'CONDITION',
+  EFFECT: 'EFFECT',
+  VALIDATION_FIELD: 'VALIDATION_FIELD',
+  SECTION: 'SECTION',
+})
+
+// Impact of each kind of reference per change; null means unaffected
+const USAGE_IMPACT = Object.freeze({
+  [RUNTIME_PATH_CHANGE_TYPES.RENAME]: {
+    READ: BREAKS,
+    WRITE: BREAKS,
+    FORBIDDEN_WRITE: CHANGES,
+    SCOPE: BREAKS,
+    SCOPE_PATTERN: CHANGES,
+    CONDITION: BREAKS,
+    EFFECT: BREAKS,
+    VALIDATION_FIELD: BREAKS,
+    SECTION: BREAKS,
+  },
+  [RUNTIME_PATH_CHANGE_TYPES.RETYPE]: {
+    READ: CHANGES,
+    WRITE: BREAKS,
+    CONDITION: BREAKS,
+    EFFECT: BREAKS,
+    VALIDATION_FIELD: BREAKS,
+    SECTION: CHANGES,
+  },
+  [RUNTIME_PATH_CHANGE_TYPES.DISABLE]: {
+    READ: BREAKS,
+    WRITE: BREAKS,
+    CONDITION: BREAKS,
+    EFFECT: BREAKS,
+    VALIDATION_FIELD: BREAKS,
+    SECTION: BREAKS,
+  },
+  [RUNTIME_PATH_CHANGE_TYPES.DEPRECATE]: {
+    READ: CHANGES,
+    WRITE: CHANGES,
+    CONDITION: CHANGES,
+    EFFECT: CHANGES,
+    VALIDATION_FIELD: CHANGES,
+    SECTION: CHANGES,
+  },
+})
+
+const CHANGE_CONSEQUENCES = Object.freeze({
+  [RUNTIME_PATH_CHANGE_TYPES.RENAME]: {
+    [BREAKS]: 'Still points at the old path key.',
+    [CHANGES]: 'Coverage of the new path key must be re-checked.',
+  },
+  [RUNTIME_PATH_CHANGE_TYPES.RETYPE]: {
+    [BREAKS]: 'Values no longer match the new data type.',
+    [CHANGES]: 'Receives values of the new data type.',
+  },
+  [RUNTIME_PATH_CHANGE_TYPES.DISABLE]: {
+    [BREAKS]: 'Runtime use requires an ACTIVE path.',
+    [CHANGES]: 'Runtime use requires an ACTIVE path.',
+  },
+  [RUNTIME_PATH_CHANGE_TYPES.DEPRECATE]: {
+    [BREAKS]: 'Keeps working with deprecation warnings until migrated.',
+    [CHANGES]: 'Keeps working with deprecation warnings until migrated.',
+  },
+})
+
+const toRows = (value) => (Array.isArray(value) ? value : [])
+const toText = (value) => String(value ?? '').trim()
+const toKey = (value) => toText(value).toLowerCase()
+const includesText = (values, value) => toRows(values).some((entry) => toText(entry) === value)
+const includesKey = (values, key) => toRows(values).some((entry) => toKey(entry) === key)
+
+// Same scope grammar as the runtime: exact, `prefix.*`, or `*` segments
+const scopeMatches = (scope, pathKey) => {
+  if (scope === pathKey) return true
+  if (scope.endsWith('.*')) {
+    const prefix = scope.slice(0, -2)
+    return pathKey === prefix || pathKey.startsWith(`${prefix}.`)
+  }
+  const scopeSegments = scope.split('.')
+  const pathSegments = pathKey.split('.')
+  return scopeSegments.length === pathSegments.length
+    && scopeSegments.every((segment, index) => segment === '*' || segment === pathSegments[index])
+}
+
+const getPackageValidationKeys = (pkg) => [
+  ...toRows(pkg.validationBindings).map((binding) => binding?.validationKey),
+  ...toRows(pkg.sections).flatMap((section) => toRows(section?.validationKeys)),
+]
+
+const findDirectReferences = (type, row, pathKey) => {
+  const references = []
+  const add = (usage, reason) => references.push({ usage, reason })
+
+  switch (type) {
+    case SKILL:
+      if (includesText(row.allowedReadPaths, pathKey)) add(USAGES.READ, 'Allowed read path')
+      if (includesText(row.allowedWritePaths, pathKey)) add(USAGES.WRITE, 'Allowed write path')
+      if (includesText(row.forbiddenWritePaths, pathKey)) add(USAGES.FORBIDDEN_WRITE, 'Forbidden write path')
+      break
+    case SKILL_ROLE:
+      for (const [field, label] of [['allowedReadScopes', 'Read scope'], ['allowedWriteScopes', 'Write scope']]) {
+        for (const scope of toRows(row[field]).map(toText)) {
+          // A bare `*` covers every path and says nothing about this one
+          if (!scope || scope === '*' || !scopeMatches(scope, pathKey)) continue
+          if (scope === pathKey) add(USAGES.SCOPE, `${label} names the path`)
+          else add(USAGES.SCOPE_PATTERN, `${label} ${scope} covers the path`)
+        }
+      }
+      break
+    case AGENT:
+      toRows(row.executionPlan).forEach((step, index) => {
+        const stepLabel = `Execution step ${index + 1}`
+        if (includesText(step?.readsFrom, pathKey)) add(USAGES.READ, `${stepLabel} reads the path`)
+        if (includesText(step?.writesTo, pathKey)) add(USAGES.WRITE, `${stepLabel} writes the path`)
+      })
+      break
+    case VALIDATION:
+      for (const [field, label] of [
+        ['outputPath', 'Output path'],
+        ['passFieldPath', 'Pass field path'],
+        ['detailsFieldPath', 'Details field path'],
+        ['messageFieldPath', 'Message field path'],
+      ]) {
+        if (toText(row[field]) === pathKey) add(USAGES.VALIDATION_FIELD, label)
+      }
+      break
+    case WORKFLOW_POLICY:
+      toRows(row.conditions).forEach((condition, index) => {
+        if (toText(condition?.path) === pathKey) add(USAGES.CONDITION, `Condition ${index + 1} tests the path`)
+      })
+      for (const [field, label] of [['onPassEffects', 'On-pass effect'], ['onFailEffects', 'On-fail effect']]) {
+        toRows(row[field]).forEach((effect, index) => {
+          if (toText(effect?.targetPath) === pathKey) add(USAGES.EFFECT, `${label} ${index + 1} writes the path`)
+        })
+      }
+      break
+    case UI_CONTRACT:
+    case FRAMEWORK_PACKAGE:
+      toRows(row.sections).forEach((section) => {
+        if (toText(section?.runtimePath) === pathKey) {
+          add(USAGES.SECTION, `Section ${toText(section.sectionKey) || '(unnamed)'} maps the path`)
+        }
+      })
+      break
+    default:
+      break
+  }
+
+  return references
+}
+
+// Records that depend on `node`, each with the reason it depends on it
+const findDependents = (node, registries) => {
+  const { type, row } = node
+  const id = toText(row.id)
+  const key = toKey(ENTITY_TYPE_CONFIG[type].getKey(row))
+  const label = ENTITY_TYPE_CONFIG[type].label.toLowerCase()
+  const dependents = []
+  const add = (dependentType, dependentRow, reason) => dependents.push({ type: dependentType, row: dependentRow, reason })
+
+  switch (type) {
+    case SKILL:
+      for (const agent of toRows(registries.agents)) {
+        const skillIds = [
+          ...toRows(agent.defaultSkillIds),
+          ...toRows(agent.primarySkillIds),
+          ...toRows(agent.optionalSkillIds),
+          ...toRows(agent.executionPlan).map((step) => step?.skillId),
+        ]
+        if (includesText(skillIds, id)) add(AGENT, agent, `Runs ${label} ${node.name}`)
+      }
+      for (const validation of toRows(registries.validations)) {
+        if (toText(validation.producerSkillId) === id) add(VALIDATION, validation, `Produced by ${label} ${node.name}`)
+      }
+      for (const policy of toRows(registries.workflowPolicies)) {
+        if (includesText(policy.requiredSkillIds, id)) add(WORKFLOW_POLICY, policy, `Requires ${label} ${node.name}`)
+      }
+      break
+    case AGENT:
+      for (const validation of toRows(registries.validations)) {
+        if (includesText(validation.defaultAgentIds, id)) add(VALIDATION, validation, `Defaults to ${label} ${node.name}`)
+      }
+      for (const policy of toRows(registries.workflowPolicies)) {
+        const agentIds = [policy.primaryAgentId, policy.fallbackAgentId, ...toRows(policy.requiredAgentIds)]
+        if (includesText(agentIds, id)) add(WORKFLOW_POLICY, policy, `Routes to ${label} ${node.name}`)
+      }
+      break
+    case VALIDATION:
+      for (const policy of toRows(registries.workflowPolicies)) {
+        if (includesKey(policy.requiredValidationKeys, key)) add(WORKFLOW_POLICY, policy, `Requires ${label} ${node.name}`)
+      }
+      for (const pkg of toRows(registries.frameworkPackages)) {
+        if (includesKey(getPackageValidationKeys(pkg), key)) add(FRAMEWORK_PACKAGE, pkg, `Binds ${label} ${node.name}`)
+      }
+      break
+    case WORKFLOW_POLICY:
+      for (const pkg of toRows(registries.frameworkPackages)) {
+        const policyKeys = toRows(pkg.workflowBindings).map((binding) => binding?.policyKey)
+        if (includesKey(policyKeys, key)) add(FRAMEWORK_PACKAGE, pkg, `Binds ${label} ${node.name}`)
+      }
+      break
+    case UI_CONTRACT:
+      for (const pkg of toRows(registries.frameworkPackages)) {
+        if (toKey(pkg.uiContractKey) === key) add(FRAMEWORK_PACKAGE, pkg, `Uses ${label} ${node.name}`)
+      }
+      break
+    default:
+      // Skill roles and packages have no registry dependents that touch the path
+      break
+  }
+
+  return dependents
+}
+
+const getNodeId = (type, row) => `${type}:${toText(row.id) || toKey(ENTITY_TYPE_CONFIG[type].getKey(row))}`
+
+const toNode = (type, row) => {
+  const config = ENTITY_TYPE_CONFIG[type]
+  const key = toText(config.getKey(row))
+  return { id: getNodeId(type, row), type, row, key, name: toText(config.getName(row)) || key || toText(row.id) }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.pathKey - the runtime path being changed
+ * @param {string} options.changeType - one of RUNTIME_PATH_CHANGE_TYPES
+ * @param {Object<string, Object[]>} options.registries - rows by registry:
+ *   skills, skillRoles, agents, validations, workflowPolicies, uiContracts,
+ *   frameworkPackages
+ * @returns {{ items: Object[], summary: Object }} impacted records, breaking
+ *   first then by distance from the path; `via` names the chain of records
+ *   the impact travelled through (empty for direct references)
+ */
+export function buildRuntimePathImpactAnalysis({ pathKey, changeType, registries = {} } = {}) {
+  const normalizedPathKey = toText(pathKey)
+  const impactByUsage = USAGE_IMPACT[changeType] ?? {}
+  const results = new Map()
+
+  const direct = []
+  for (const type of ENTITY_TYPE_ORDER) {
+    for (const row of toRows(registries[ENTITY_TYPE_CONFIG[type].registry])) {
+      if (!row || !normalizedPathKey) continue
+      const references = findDirectReferences(type, row, normalizedPathKey)
+        .map((reference) => ({ ...reference, level: impactByUsage[reference.usage] ?? null }))
+        .filter((reference) => reference.level)
+      if (references.length === 0) continue
+      direct.push({
+        node: toNode(type, row),
+        level: references.some((reference) => reference.level === BREAKS) ? BREAKS : CHANGES,
+        reasons: references.map((reference) => reference.reason),
+        via: [],
+        depth: 1,
+      })
+    }
+  }
+
+  // Breaking impact spreads first so a record reachable both ways is reported as breaking
+  const walk = (seeds) => {
+    const queue = [...seeds]
+    while (queue.length > 0) {
+      const entry = queue.shift()
+      if (results.has(entry.node.id)) continue
+      results.set(entry.node.id, entry)
+      for (const dependent of findDependents(entry.node, registries)) {
+        queue.push({
+          node: toNode(dependent.type, dependent.row),
+          level: entry.level,
+          reasons: [dependent.reason],
+          via: [...entry.via, entry.node.name],
+          depth: entry.depth + 1,
+        })
+      }
+    }
+  }
+  walk(direct.filter((entry) => entry.level === BREAKS))
+  walk(direct.filter((entry) => entry.level === CHANGES))
+
+  const consequences = CHANGE_CONSEQUENCES[changeType] ?? {}
+  const items = [...results.values()]
+    .map(({ node, level, reasons, via, depth }) => {
+      const config = ENTITY_TYPE_CONFIG[node.type]
+      const entityId = toText(node.row.id)
+      return {
+        id: node.id,
+        type: node.type,
+        typeLabel: config.label,
+        entityId,
+        key: node.key,
+        name: node.name,
+        status: toText(node.row.status).toUpperCase(),
+        level,
+        depth,
+        reasons,
+        via,
+        consequence: consequences[level] ?? '',
+        editorPath: entityId ? config.getEditorPath(encodeURIComponent(entityId)) : '',
+      }
+    })
+    .sort((left, right) =>
+      (left.level === right.level ? 0 : left.level === BREAKS ? -1 : 1)
+      || left.depth - right.depth
+      || ENTITY_TYPE_ORDER.indexOf(left.type) - ENTITY_TYPE_ORDER.indexOf(right.type)
+      || left.name.localeCompare(right.name))
+
+  const byType = Object.fromEntries(ENTITY_TYPE_ORDER.map((type) => [type, 0]))
+  items.forEach((item) => { byType[item.type] += 1 })
+
+  return {
+    items,
+    summary: {
+      total: items.length,
+      breaks: items.filter((item) => item.level === BREAKS).length,
+      changes: items.filter((item) => item.level === CHANGES).length,
+      direct: items.filter((item) => item.depth === 1).length,
+      byType,
+    },
+  }
+}
+
+/**
+ * The change a pending edit amounts to, so the analysis opens on it.
+ *
+ * @param {Object|null} runtimePath - the saved record
+ * @param {Object} form - the editor form
+ * @returns {string|null}
+ */
+export function getRuntimePathPendingChangeType(runtimePath, form) {
+  if (!runtimePath || !form) return null
+  if (toText(form.pathKey) && toText(form.pathKey) !== toText(runtimePath.pathKey)) return RUNTIME_PATH_CHANGE_TYPES.RENAME
+  if (toText(form.dataType).toUpperCase() !== toText(runtimePath.dataType).toUpperCase()) {
+    return RUNTIME_PATH_CHANGE_TYPES.RETYPE
+  }
+  return null
+}
@@ -0,0 +1,186 @@
+import { describe, expect, it } from 'vitest'
+import {
+  RUNTIME_PATH_CHANGE_TYPES,
+  RUNTIME_PATH_IMPACT_LEVELS,
+  buildRuntimePathImpactAnalysis,
+  getRuntimePathPendingChangeType,
+} from './runtimePathImpact.js'
+
+const PATH_KEY = 'framework_state.sections.customer_problem'
+
+const registries = {
+  skills: [
+    {
+      id: 'skill-1',
+      key: 'problem_writer',
+      name: 'Problem Writer',
+      status: 'ACTIVE',
+      allowedReadPaths: ['framework_state.lifecycle.stage'],
+      allowedWritePaths: [PATH_KEY],
+    },
+    {
+      id: 'skill-2',
+      key: 'problem_reader',
+      name: 'Problem Reader',
+      status: 'ACTIVE',
+      allowedReadPaths: [PATH_KEY],
+    },
+    {
+      id: 'skill-3',
+      key: 'unrelated',
+      name: 'Unrelated Skill',
+      allowedReadPaths: ['framework_state.sections.value_drivers'],
+    },
+  ],
+  skillRoles: [
+    { id: 'role-1', roleKey: 'SECTION_EDITOR', label: 'Section Editor', allowedWriteScopes: ['framework_state.sections.*'] },
+    { id: 'role-2', roleKey: 'ANY', label: 'Anything', allowedReadScopes: ['*'] },
+  ],
+  agents: [
+    {
+      id: 'agent-1',
+      key: 'drafting_agent',
+      name: 'Drafting Agent',
+      status: 'ACTIVE',
+      defaultSkillIds: ['skill-1'],
+      executionPlan: [{ skillId: 'skill-1' }],
+    },
+    {
+      id: 'agent-2',
+      key: 'review_agent',
+      name: 'Review Agent',
+      executionPlan: [{ skillId: 'skill-3', readsFrom: [PATH_KEY] }],
+    },
+  ],
+  validations: [
+    {
+      id: 'validation-1',
+      key: 'required-sections-check',
+      label: 'Required Sections Check',
+      defaultAgentIds: ['agent-1'],
+    },
+  ],
+  workflowPolicies: [
+    {
+      id: 'policy-1',
+      key: 'vmf-submit-gate',
+      name: 'VMF Submit Gate',
+      requiredValidationKeys: ['REQUIRED-SECTIONS-CHECK'],
+    },
+  ],
+  uiContracts: [
+    { id: 'ui-1', uiContractKey: 'vmf-layout', name: 'VMF Layout', sections: [{ sectionKey: 'problem', runtimePath: PATH_KEY }] },
+  ],
+  frameworkPackages: [
+    {
+      id: 'pkg-1',
+      packageKey: 'vmf-core',
+      packageName: 'VMF Core',
+      uiContractKey: 'vmf-layout',
+      workflowBindings: [{ policyKey: 'vmf-submit-gate' }],
+    },
+  ],
+}
+
+const analyse = (changeType) => buildRuntimePathImpactAnalysis({ pathKey: PATH_KEY, changeType, registries })
+const findItem = (analysis, id) => analysis.items.find((item) => item.id === id)
+
+describe('runtimePathImpact', () => {
+  it('follows a rename from direct references through every dependent registry', () => {
+    const analysis = analyse(RUNTIME_PATH_CHANGE_TYPES.RENAME)
+
+    expect(analysis.items.map((item) => item.id)).toEqual([
+      'skill:skill-2',
+      'skill:skill-1',
+      'agent:agent-2',
+      'uiContract:ui-1',
+      'agent:agent-1',
+      'frameworkPackage:pkg-1',
+      'validation:validation-1',
+      'workflowPolicy:policy-1',
+      'skillRole:role-1',
+    ])
+    expect(findItem(analysis, 'skill:skill-1')).toMatchObject({
+      level: RUNTIME_PATH_IMPACT_LEVELS.BREAKS,
+      depth: 1,
+      reasons: ['Allowed write path'],
+      via: [],
+      consequence: 'Still points at the old path key.',
+      editorPath: '/super-admin/runtime-control/skills/skill-1',
+    })
+    expect(findItem(analysis, 'workflowPolicy:policy-1')).toMatchObject({
+      depth: 4,
+      reasons: ['Requires validation Required Sections Check'],
+      via: ['Problem Writer', 'Drafting Agent', 'Required Sections Check'],
+      editorPath: '/super-admin/runtime-control/workflow-policies/policy-1/edit',
+    })
+    // Reached through the UI contract first, so it is not re-reported via the policy
+    expect(findItem(analysis, 'frameworkPackage:pkg-1')).toMatchObject({
+      depth: 2,
+      via: ['VMF Layout'],
+      editorPath: '/super-admin/runtime-control/framework-packages/pkg-1/edit',
+    })
+    expect(findItem(analysis, 'skillRole:role-1')).toMatchObject({
+      level: RUNTIME_PATH_IMPACT_LEVELS.CHANGES,
+      reasons: ['Write scope framework_state.sections.* covers the path'],
+    })
+    expect(findItem(analysis, 'skillRole:role-2')).toBeUndefined()
+    expect(findItem(analysis, 'skill:skill-3')).toBeUndefined()
+    expect(analysis.summary).toEqual({
+      total: 9,
+      breaks: 8,
+      changes: 1,
+      direct: 5,
+      byType: {
+        skill: 2,
+        skillRole: 1,
+        agent: 2,
+        validation: 1,
+        workflowPolicy: 1,
+        uiContract: 1,
+        frameworkPackage: 1,
+      },
+    })
+  })
+
+  it('grades a retype by how each dependent uses the path', () => {
+    const analysis = analyse(RUNTIME_PATH_CHANGE_TYPES.RETYPE)
+
+    expect(findItem(analysis, 'skill:skill-1').level).toBe(RUNTIME_PATH_IMPACT_LEVELS.BREAKS)
+    expect(findItem(analysis, 'skill:skill-2').level).toBe(RUNTIME_PATH_IMPACT_LEVELS.CHANGES)
+    expect(findItem(analysis, 'agent:agent-2')).toMatchObject({
+      level: RUNTIME_PATH_IMPACT_LEVELS.CHANGES,
+      reasons: ['Execution step 1 reads the path'],
+      consequence: 'Receives values of the new data type.',
+    })
+    // Pattern scopes only matter when the key itself changes
+    expect(findItem(analysis, 'skillRole:role-1')).toBeUndefined()
+    expect(findItem(analysis, 'workflowPolicy:policy-1').level).toBe(RUNTIME_PATH_IMPACT_LEVELS.BREAKS)
+  })
+
+  it('reports deprecation as behaviour changes only', () => {
+    const analysis = analyse(RUNTIME_PATH_CHANGE_TYPES.DEPRECATE)
+
+    expect(analysis.summary.breaks).toBe(0)
+    expect(analysis.summary.changes).toBe(analysis.summary.total)
+    expect(analysis.items.every((item) => item.level === RUNTIME_PATH_IMPACT_LEVELS.CHANGES)).toBe(true)
+  })
+
+  it('returns an empty analysis without a path key or registries', () => {
+    expect(buildRuntimePathImpactAnalysis({ pathKey: '', changeType: RUNTIME_PATH_CHANGE_TYPES.DISABLE, registries }).items)
+      .toEqual([])
+    expect(buildRuntimePathImpactAnalysis({ pathKey: PATH_KEY, changeType: RUNTIME_PATH_CHANGE_TYPES.DISABLE }).summary.total)
+      .toBe(0)
+  })
+
+  it('derives the pending change from the editor form', () => {
+    const runtimePath = { pathKey: PATH_KEY, dataType: 'STRING' }
+
+    expect(getRuntimePathPendingChangeType(runtimePath, { pathKey: `${PATH_KEY}_v2`, dataType: 'OBJECT' }))
+      .toBe(RUNTIME_PATH_CHANGE_TYPES.RENAME)
+    expect(getRuntimePathPendingChangeType(runtimePath, { pathKey: PATH_KEY, dataType: 'OBJECT' }))
+      .toBe(RUNTIME_PATH_CHANGE_TYPES.RETYPE)
+    expect(getRuntimePathPendingChangeType(runtimePath, { pathKey: PATH_KEY, dataType: 'string' })).toBeNull()
+    expect(getRuntimePathPendingChangeType(null, { pathKey: PATH_KEY })).toBeNull()
+  })
+})
@@ -38,6 +38,7 @@ function SkillRoleRowActionsMenu({ row, onAction, disabled = false }) {
     ...(!isLocked && row.status !== SKILL_ROLE_REGISTRY_STATUSES.DEPRECATED
       ? [{ value: 'Set Deprecated', label: 'Set Deprecated' }]
       : []),
+    { value: 'History', label: 'History' },
   ]
 
   return (
@@ -134,6 +135,7 @@ export function SkillRoleRegistryListView({
   onCreateClick,
   onEditClick,
   onCloneClick = () => {},
+  onHistoryClick = () => {},
   setRoleStatus,
   isMutating,
 }) {
@@ -158,8 +160,12 @@ export function SkillRoleRegistryListView({
       if (label === 'Set Deprecated') {
         setRoleStatus(row, SKILL_ROLE_REGISTRY_STATUSES.DEPRECATED)
       }
+
+      if (label === 'History') {
+        onHistoryClick(row)
+      }
     },
-    [onCloneClick, onEditClick, setRoleStatus],
+    [onCloneClick, onEditClick, onHistoryClick, setRoleStatus],
   )
 
   const columns = useMemo(
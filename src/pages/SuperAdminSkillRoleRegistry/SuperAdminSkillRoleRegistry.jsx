@@ -12,6 +12,7 @@ import {
 import { SkillRoleRegistryListView } from './SkillRoleRegistryListView.jsx'
 import { useSkillRoleRegistryManagement } from './useSkillRoleRegistryManagement.js'
 import { normalizeError } from '../../utils/errors.js'
+import { getResourceHistoryPath } from '../SuperAdminResourceHistory/superAdminResourceHistory.constants.js'
 import './SuperAdminSkillRoleRegistry.css'
 
 function SuperAdminSkillRoleRegistry() {
@@ -35,6 +36,10 @@ function SuperAdminSkillRoleRegistry() {
     navigate(`/super-admin/runtime-control/skill-roles/${row.id}`)
   }, [navigate])
 
+  const handleHistoryClick = useCallback((row) => {
+    navigate(getResourceHistoryPath('SkillRole', row.id))
+  }, [navigate])
+
   const handleCloneClick = useCallback((row) => {
     navigate(`/super-admin/runtime-control/skill-roles/new?cloneFrom=${encodeURIComponent(row.id)}`)
   }, [navigate])
@@ -128,6 +133,7 @@ function SuperAdminSkillRoleRegistry() {
         onCreateClick={handleCreateClick}
         onEditClick={handleEditClick}
         onCloneClick={handleCloneClick}
+        onHistoryClick={handleHistoryClick}
         setRoleStatus={setRoleStatus}
         isMutating={isUpdating}
       />
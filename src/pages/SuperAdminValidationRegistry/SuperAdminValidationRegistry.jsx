@@ -9,6 +9,7 @@ import {
   useUpdateValidationRegistryMutation,
 } from '../../store/api/runtimeControlApi.js'
 import { normalizeError } from '../../utils/errors.js'
+import { getResourceHistoryPath } from '../SuperAdminResourceHistory/superAdminResourceHistory.constants.js'
 import { ValidationRegistryListView } from './ValidationRegistryListView.jsx'
 import { useValidationRegistryManagement } from './useValidationRegistryManagement.js'
 import { VALIDATION_REGISTRY_STATUSES } from './superAdminValidationRegistry.constants.js'
@@ -35,6 +36,10 @@ function SuperAdminValidationRegistry() {
     navigate(`/super-admin/runtime-control/validation-registry/${row.id}`)
   }, [navigate])
 
+  const handleHistoryClick = useCallback((row) => {
+    navigate(getResourceHistoryPath('ValidationRegistry', row.id))
+  }, [navigate])
+
   const handleCloneClick = useCallback((row) => {
     navigate(`/super-admin/runtime-control/validation-registry/new?cloneFrom=${encodeURIComponent(row.id)}`)
   }, [navigate])
@@ -116,6 +121,7 @@ function SuperAdminValidationRegistry() {
         severityFilter={mgmt.severityFilter}
         setSeverityFilter={mgmt.setSeverityFilter}
         setPage={mgmt.setPage}
+        listView={mgmt.listView}
         rows={mgmt.rows}
         currentPage={mgmt.currentPage}
         totalPages={mgmt.totalPages}
@@ -128,6 +134,7 @@ function SuperAdminValidationRegistry() {
         onCreateClick={handleCreateClick}
         onEditClick={handleEditClick}
         onCloneClick={handleCloneClick}
+        onHistoryClick={handleHistoryClick}
         setValidationStatus={setValidationStatus}
         isMutating={isUpdating}
       />
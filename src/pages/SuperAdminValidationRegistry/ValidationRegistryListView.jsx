@@ -5,6 +5,7 @@ import { Card } from '../../components/Card'
 import { Fieldset } from '../../components/Fieldset'
 import { HorizontalScroll } from '../../components/HorizontalScroll'
 import { Input } from '../../components/Input'
+import { SavedViewsToolbar } from '../../components/SavedViews'
 import { Select } from '../../components/Select'
 import { Status } from '../../components/Status'
 import { Table } from '../../components/Table'
@@ -56,6 +57,7 @@ function ValidationRowActionsMenu({ row, onAction, disabled = false }) {
     ...(!isLocked && row.status !== VALIDATION_REGISTRY_STATUSES.DEPRECATED
       ? [{ value: 'Set Deprecated', label: 'Set Deprecated' }]
       : []),
+    { value: 'History', label: 'History' },
   ]
 
   return (
@@ -134,8 +136,10 @@ export function ValidationRegistryListView({
   onCreateClick,
   onEditClick,
   onCloneClick,
+  onHistoryClick,
   setValidationStatus,
   isMutating,
+  listView,
 }) {
   const handleRowAction = useCallback((label, row) => {
     if (label === 'Edit') {
@@ -157,13 +161,19 @@ export function ValidationRegistryListView({
     if (label === 'Set Deprecated') {
       setValidationStatus(row, VALIDATION_REGISTRY_STATUSES.DEPRECATED)
     }
-  }, [onCloneClick, onEditClick, setValidationStatus])
+
+    if (label === 'History') {
+      onHistoryClick(row)
+    }
+  }, [onCloneClick, onEditClick, onHistoryClick, setValidationStatus])
 
   const columns = useMemo(() => [
     {
       key: 'key',
       label: 'Validation',
       mobileLabel: 'Validation',
+      sortable: true,
+      hideable: false,
       width: '300px',
       render: renderValidationSummary,
     },
@@ -192,6 +202,7 @@ export function ValidationRegistryListView({
       key: 'category',
       label: 'Category',
       mobileLabel: 'Category',
+      sortable: true,
       width: '160px',
       render: (value) => <TruncatedText value={value || '--'} className="super-admin-validation-registry__table-token" />,
     },
@@ -199,6 +210,7 @@ export function ValidationRegistryListView({
       key: 'severity',
       label: 'Severity',
       mobileLabel: 'Severity',
+      sortable: true,
       width: '160px',
       render: (value) => <TruncatedText value={value || '--'} className="super-admin-validation-registry__table-token" />,
     },
@@ -206,6 +218,7 @@ export function ValidationRegistryListView({
       key: 'status',
       label: 'Status',
       mobileLabel: 'Status',
+      sortable: true,
       align: 'center',
       width: '140px',
       render: (value) => (
@@ -225,6 +238,7 @@ export function ValidationRegistryListView({
       key: 'updatedAt',
       label: 'Updated',
       mobileLabel: 'Updated',
+      sortable: true,
       width: '156px',
       render: (value) => <TableDateTime value={value} />,
     },
@@ -232,6 +246,7 @@ export function ValidationRegistryListView({
       key: 'rowActions',
       label: 'Actions',
       mobileLabel: 'Actions',
+      hideable: false,
       align: 'center',
       width: '164px',
       render: (_value, row) => (
@@ -315,6 +330,10 @@ export function ValidationRegistryListView({
             />
           </div>
 
+          {listView ? (
+            <SavedViewsToolbar listView={listView} columns={columns} idPrefix="validation-views" />
+          ) : null}
+
           {listAppError ? (
             <p className="super-admin-validation-registry__error" role="alert">
               {listAppError.message}
@@ -344,6 +363,7 @@ export function ValidationRegistryListView({
                 ) : undefined
               }
               ariaLabel="Validation Registry"
+              {...listView?.tableProps}
             />
           </HorizontalScroll>
 
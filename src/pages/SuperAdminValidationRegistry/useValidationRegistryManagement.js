@@ -1,8 +1,17 @@
 import { useCallback, useMemo, useState } from 'react'
+import { useListView } from '../../hooks/useListView.js'
 import { useListFrameworkRegistriesQuery, useListValidationRegistryQuery } from '../../store/api/runtimeControlApi.js'
 import { normalizeError } from '../../utils/errors.js'
 import { VALIDATION_REGISTRY_PAGE_SIZE } from './superAdminValidationRegistry.constants.js'
 
+const VALIDATION_LIST_DEFAULT_FILTERS = {
+  q: '',
+  status: '',
+  frameworkKey: '',
+  category: '',
+  severity: '',
+}
+
 export function useValidationRegistryManagement() {
   const [search, setSearch] = useState('')
   const [statusFilter, setStatusFilter] = useState('')
@@ -11,6 +20,31 @@ export function useValidationRegistryManagement() {
   const [severityFilter, setSeverityFilter] = useState('')
   const [page, setPage] = useState(1)
 
+  const listFilters = useMemo(
+    () => ({
+      q: search,
+      status: statusFilter,
+      frameworkKey: frameworkFilter,
+      category: categoryFilter,
+      severity: severityFilter,
+    }),
+    [categoryFilter, frameworkFilter, search, severityFilter, statusFilter],
+  )
+  const handleListViewFiltersChange = useCallback(({ q, status, frameworkKey, category, severity }) => {
+    setSearch(q)
+    setStatusFilter(status)
+    setFrameworkFilter(frameworkKey)
+    setCategoryFilter(category)
+    setSeverityFilter(severity)
+    setPage(1)
+  }, [])
+  const listView = useListView({
+    viewKey: 'validation-registry',
+    defaultFilters: VALIDATION_LIST_DEFAULT_FILTERS,
+    filters: listFilters,
+    onFiltersChange: handleListViewFiltersChange,
+  })
+
   const { data: frameworkResponse } = useListFrameworkRegistriesQuery({
     page: 1,
     pageSize: 100,
@@ -83,6 +117,7 @@ export function useValidationRegistryManagement() {
     isListFetching,
     listAppError,
     setPage,
+    listView,
     frameworkOptions,
   }
 }
@@ -5,6 +5,7 @@ import { Button } from '../../components/Button'
 import { Card } from '../../components/Card'
 import { Dialog } from '../../components/Dialog'
 import { Input } from '../../components/Input'
+import { JSON_CODE_EDITOR_COMPLETION_SOURCES, JsonCodeEditor } from '../../components/JsonCodeEditor'
 import { Select } from '../../components/Select'
 import { Spinner } from '../../components/Spinner'
 import { Textarea } from '../../components/Textarea'
@@ -23,7 +24,10 @@ import {
   useUpdateValidationRegistryMutation,
 } from '../../store/api/runtimeControlApi.js'
 import { normalizeError } from '../../utils/errors.js'
-import { getRuntimeControlFieldErrorMap } from '../../utils/runtimeControlFormErrors.js'
+import {
+  getRuntimeControlFieldErrorMap,
+  getRuntimeControlJsonFieldErrors,
+} from '../../utils/runtimeControlFormErrors.js'
 import { RUNTIME_AGENT_STATUSES } from '../SuperAdminAgents/superAdminAgents.constants.js'
 import {
   VALIDATION_REGISTRY_CATEGORIES,
@@ -72,6 +76,12 @@ const INITIAL_FORM = Object.freeze({
   version: 1,
 })
 
+const VALIDATION_PARAMETER_COMPLETION_SOURCES = Object.freeze([
+  JSON_CODE_EDITOR_COMPLETION_SOURCES.RUNTIME_PATHS,
+  JSON_CODE_EDITOR_COMPLETION_SOURCES.FRAMEWORKS,
+  JSON_CODE_EDITOR_COMPLETION_SOURCES.VALIDATIONS,
+])
+
 const shallowEqualObject = (left, right) => {
   if (left === right) return true
   if (!left || !right) return false
@@ -196,6 +206,8 @@ function SuperAdminValidationRegistryEditor() {
   const [pendingDefaultAgentId, setPendingDefaultAgentId] = useState('')
   const [errors, setErrors] = useState({})
   const [errorsSource, setErrorsSource] = useState(null) // 'client' | 'server' | null
+  // Raw server details, kept for line markers inside the JSON fields
+  const [serverErrorDetails, setServerErrorDetails] = useState(null)
   const [pendingStatusWarning, setPendingStatusWarning] = useState(null) // { nextStatus, summary } | null
   const setForm = useCallback((updater) => {
     dispatchForm({ type: 'apply', updater })
@@ -259,6 +271,16 @@ function SuperAdminValidationRegistryEditor() {
     [form.supportedFrameworkKeys],
   )
 
+  const parameterSchemaFieldErrors = useMemo(
+    () => getRuntimeControlJsonFieldErrors(serverErrorDetails, 'parameterSchema'),
+    [serverErrorDetails],
+  )
+
+  const defaultParametersFieldErrors = useMemo(
+    () => getRuntimeControlJsonFieldErrors(serverErrorDetails, 'defaultParameters'),
+    [serverErrorDetails],
+  )
+
   const availableFrameworkOptions = useMemo(() => {
     const selected = new Set(selectedFrameworkKeys)
     return frameworkOptions.filter((option) => option.value && !selected.has(option.value))
@@ -538,6 +560,7 @@ function SuperAdminValidationRegistryEditor() {
     if (Object.keys(clientErrors).length > 0) {
       setErrors(clientErrors)
       setErrorsSource('client')
+      setServerErrorDetails(null)
       return
     }
 
@@ -644,9 +667,11 @@ function SuperAdminValidationRegistryEditor() {
       setPendingStatusWarning(null)
       setErrors({})
       setErrorsSource(null)
+      setServerErrorDetails(null)
     } catch (err) {
       const appErr = normalizeError(err)
       const details = appErr?.details
+      setServerErrorDetails(details && typeof details === 'object' ? details : null)
       const fieldErrors = getRuntimeControlFieldErrorMap(appErr, VALIDATION_REGISTRY_FORM_ERROR_FIELDS)
       if (Object.keys(fieldErrors).length > 0) {
         setErrors(fieldErrors)
@@ -1291,25 +1316,31 @@ function SuperAdminValidationRegistryEditor() {
               </div>
 
               <div className="super-admin-validation-registry-editor__row">
-                <Textarea
+                <JsonCodeEditor
                   id="validation-registry-editor-parameter-schema"
                   label="Parameter Schema"
                   value={parameterSchemaText}
-                  onChange={(event) => setParameterSchemaText(event.target.value)}
+                  onChange={setParameterSchemaText}
                   error={errors.parameterSchema}
                   helperText="JSON object used to validate package binding parameters."
                   rows={6}
-                  fullWidth
+                  root="object"
+                  completionSources={VALIDATION_PARAMETER_COMPLETION_SOURCES}
+                  frameworkKeys={selectedFrameworkKeys}
+                  fieldErrors={parameterSchemaFieldErrors}
                 />
-                <Textarea
+                <JsonCodeEditor
                   id="validation-registry-editor-default-parameters"
                   label="Default Parameters"
                   value={defaultParametersText}
-                  onChange={(event) => setDefaultParametersText(event.target.value)}
+                  onChange={setDefaultParametersText}
                   error={errors.defaultParameters}
                   helperText="JSON object merged before package binding parameters."
                   rows={6}
-                  fullWidth
+                  root="object"
+                  completionSources={VALIDATION_PARAMETER_COMPLETION_SOURCES}
+                  frameworkKeys={selectedFrameworkKeys}
+                  fieldErrors={defaultParametersFieldErrors}
                 />
               </div>
 
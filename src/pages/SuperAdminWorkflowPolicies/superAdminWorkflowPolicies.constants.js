@@ -346,6 +346,7 @@ export const WORKFLOW_POLICY_EDITOR_TABS = Object.freeze([
   { key: 'audit', label: 'Audit & Versioning' },
   { key: 'json', label: 'JSON / Diff' },
   { key: 'test', label: 'Test Console' },
+  { key: 'flow', label: 'Flow Builder' },
 ])
 
 export const WORKFLOW_POLICIES_HELP_TEXT =
@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { MdInfo } from 'react-icons/md'
 import { useNavigate, useParams, useSearchParams } from 'react-router-dom'
 import { Accordion } from '../../components/Accordion'
@@ -8,6 +8,7 @@ import { Card } from '../../components/Card'
 import { ConfirmationDialog } from '../../components/ConfirmationDialog'
 import { Fieldset } from '../../components/Fieldset'
 import { Input } from '../../components/Input'
+import { JSON_CODE_EDITOR_COMPLETION_SOURCES, JsonCodeEditor } from '../../components/JsonCodeEditor'
 import { Select } from '../../components/Select'
 import { Spinner } from '../../components/Spinner'
 import { Status } from '../../components/Status'
@@ -62,6 +63,15 @@ import {
   WORKFLOW_POLICY_TYPE_OPTIONS,
   WORKFLOW_POLICY_ESCALATION_ROLE_OPTIONS,
 } from '../SuperAdminWorkflowPolicies/superAdminWorkflowPolicies.constants.js'
+import WorkflowPolicyFlowCanvas from './WorkflowPolicyFlowCanvas.jsx'
+import WorkflowPolicySimulationTimeline from './WorkflowPolicySimulationTimeline.jsx'
+import {
+  WORKFLOW_POLICY_FLOW_GROUPS,
+  buildWorkflowPolicyFlowModel,
+  buildWorkflowPolicySimulationTimeline,
+  getWorkflowPolicySimulationNodeStates,
+  moveWorkflowPolicyFlowNode,
+} from './workflowPolicyFlow.js'
 import './SuperAdminWorkflowPolicyEditor.css'
 
 const WORKFLOW_POLICY_ERROR_TAB_LOOKUP = Object.freeze({
@@ -138,6 +148,15 @@ const TEST_CONSOLE_DEFAULT_STATE_TEXT = `{
     }
   }
 }`
+const FLOW_BUILDER_TAB_INDEX = 12
+// Form tab that edits each flow builder node group
+const FLOW_GROUP_TAB_INDEXES = Object.freeze({
+  trigger: 1,
+  [WORKFLOW_POLICY_FLOW_GROUPS.CONDITIONS]: 2,
+  [WORKFLOW_POLICY_FLOW_GROUPS.STEPS]: 5,
+  [WORKFLOW_POLICY_FLOW_GROUPS.ON_PASS_EFFECTS]: 6,
+  [WORKFLOW_POLICY_FLOW_GROUPS.ON_FAIL_EFFECTS]: 6,
+})
 const TEST_CONSOLE_TRIGGER_OPTIONS = Object.freeze([
   { value: '', label: 'Use policy trigger event' },
   ...WORKFLOW_POLICY_TRIGGER_EVENT_OPTIONS,
@@ -146,6 +165,7 @@ const TEST_CONSOLE_ACTOR_SCOPE_OPTIONS = Object.freeze([
   { value: '', label: 'Use policy actor scope' },
   ...WORKFLOW_POLICY_ACTOR_SCOPE_OPTIONS,
 ])
+const TEST_CONSOLE_COMPLETION_SOURCES = Object.freeze([JSON_CODE_EDITOR_COMPLETION_SOURCES.RUNTIME_PATHS])
 const WORKFLOW_POLICY_SERVER_ERROR_FIELDS = Object.freeze([
   'key',
   'name',
@@ -696,6 +716,8 @@ function WorkflowPolicyEditor() {
   })
   const [testConsoleError, setTestConsoleError] = useState('')
   const [testConsoleResult, setTestConsoleResult] = useState(null)
+  // The draft a test run evaluated and the replayed timeline step
+  const [simulation, setSimulation] = useState({ form: null, step: 0 })
   const [selectedRuntimePathRows, setSelectedRuntimePathRows] = useState({})
   const [discardConfirmOpen, setDiscardConfirmOpen] = useState(false)
   const skipUnsavedPromptRef = useRef(false)
@@ -998,6 +1020,20 @@ function WorkflowPolicyEditor() {
   const testConditionSummary = matchedTestConditions.length > 0
     ? `${matchedTestConditionCount} of ${matchedTestConditions.length} governed condition${matchedTestConditions.length === 1 ? '' : 's'} matched.`
     : 'No governed conditions were configured for this policy.'
+  const flowModel = useMemo(() => buildWorkflowPolicyFlowModel(form), [form])
+  const simulationFrames = useMemo(
+    () => buildWorkflowPolicySimulationTimeline(testConsoleResult, simulation.form ?? form),
+    [form, simulation.form, testConsoleResult],
+  )
+  const isSimulationCurrent = simulationFrames.length > 0 && simulation.form === form
+  const simulationNodeStates = isSimulationCurrent
+    ? getWorkflowPolicySimulationNodeStates(simulationFrames, simulation.step)
+    : {}
+  const activeSimulationNodeId = isSimulationCurrent ? simulationFrames[simulation.step]?.nodeId ?? null : null
+  const handleSimulationStepChange = useCallback(
+    (step) => setSimulation((current) => ({ ...current, step })),
+    [],
+  )
   const isSaving = isCreating || isUpdating || isCloning
   const isLockedPolicy = Boolean(isEditMode && loadedPolicy?.isLocked)
   const currentJsonPreview = useMemo(() => buildWorkflowPolicyJsonPreview(form), [form])
@@ -1286,6 +1322,7 @@ function WorkflowPolicyEditor() {
       }).unwrap()
 
       setTestConsoleResult(response?.data ?? null)
+      setSimulation({ form, step: 0 })
     } catch (error) {
       const appError = normalizeError(error)
       const fieldErrors = getRuntimeControlFieldErrorMap(appError, WORKFLOW_POLICY_SERVER_ERROR_FIELDS)
@@ -2700,19 +2737,21 @@ function WorkflowPolicyEditor() {
             }
           />
         </div>
-        <Textarea
+        <JsonCodeEditor
           id="workflow-policy-editor-test-framework-state"
           label="Sample FRAMEWORK_STATE Object JSON"
           value={testConsoleForm.frameworkStateText}
-          onChange={(event) =>
+          onChange={(frameworkStateText) =>
             setTestConsoleForm((current) => ({
               ...current,
-              frameworkStateText: event.target.value,
+              frameworkStateText,
             }))
           }
           helperText='Paste the FRAMEWORK_STATE object itself. Full sample payloads that already include top-level "framework_state" are also accepted.'
           rows={12}
-          fullWidth
+          root="object"
+          completionSources={TEST_CONSOLE_COMPLETION_SOURCES}
+          frameworkKeys={runtimePathLookupFrameworkKeys}
         />
         <div className="super-admin-workflow-policy-editor__top-actions">
           <Button
@@ -3032,6 +3071,66 @@ function WorkflowPolicyEditor() {
     </div>
   )
 
+  const renderFlowBuilderTab = () => (
+    <div className="super-admin-workflow-policy-editor__tab-panel">
+      <div className="super-admin-workflow-policy-editor__section-body">
+        <p className="super-admin-workflow-policy-editor__helper">
+          Drag nodes to reorder conditions and steps, or to move an effect between the pass and fail lists. Changes land in the same draft as the form tabs; select a node title to edit it there.
+        </p>
+        <WorkflowPolicyFlowCanvas
+          model={flowModel}
+          nodeStates={simulationNodeStates}
+          activeNodeId={activeSimulationNodeId}
+          disabled={isLockedPolicy}
+          onMove={(move) => setForm((current) => moveWorkflowPolicyFlowNode(current, move))}
+          onOpenGroup={(group) => setActiveTab(FLOW_GROUP_TAB_INDEXES[group])}
+        />
+        <div className="super-admin-workflow-policy-editor__effect-section-header">
+          <div>
+            <p className="super-admin-workflow-policy-editor__section-title">Simulation Timeline</p>
+            <p className="super-admin-workflow-policy-editor__helper">
+              Replays a test run against the Test Console sample FRAMEWORK_STATE, one evaluation step at a time.
+            </p>
+          </div>
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            loading={isTestRunning}
+            disabled={isTestRunning}
+            onClick={handleRunTestConsole}
+          >
+            Run Simulation
+          </Button>
+        </div>
+        {/* Every tab panel stays mounted; only announce the error where the run started */}
+        {testConsoleError && activeTab === FLOW_BUILDER_TAB_INDEX ? (
+          <p className="super-admin-workflow-policy-editor__error" role="alert">
+            {testConsoleError}
+          </p>
+        ) : null}
+        {simulationFrames.length > 0 ? (
+          <>
+            {!isSimulationCurrent ? (
+              <p className="super-admin-workflow-policy-editor__helper">
+                The draft changed after this run. Run the simulation again to highlight the current flow.
+              </p>
+            ) : null}
+            <WorkflowPolicySimulationTimeline
+              frames={simulationFrames}
+              activeIndex={simulation.step}
+              onActiveIndexChange={handleSimulationStepChange}
+            />
+          </>
+        ) : (
+          <p className="super-admin-workflow-policy-editor__helper">
+            No simulation has run for this draft yet.
+          </p>
+        )}
+      </div>
+    </div>
+  )
+
   return (
     <section
       className="super-admin-workflow-policy-editor container"
@@ -3396,6 +3495,10 @@ function WorkflowPolicyEditor() {
                   <TabView.Tab label={renderTabLabel(WORKFLOW_POLICY_EDITOR_TABS[11].label)}>
                     {renderTestConsoleTab()}
                   </TabView.Tab>
+
+                  <TabView.Tab label={renderTabLabel(WORKFLOW_POLICY_EDITOR_TABS[FLOW_BUILDER_TAB_INDEX].label)}>
+                    {renderFlowBuilderTab()}
+                  </TabView.Tab>
                 </TabView>
                 </fieldset>
 
@@ -85,6 +85,7 @@ describe('SuperAdminWorkflowPolicyEditor page', () => {
       'Audit & Versioning',
       'JSON / Diff',
       'Test Console',
+      'Flow Builder',
     ])
   })
 
@@ -203,6 +204,71 @@ describe('SuperAdminWorkflowPolicyEditor page', () => {
     testWorkflowPolicySpy.mockRestore()
   })
 
+  it('edits the policy flow on the canvas and replays a simulation against its nodes', async () => {
+    const user = userEvent.setup()
+    const testWorkflowPolicySpy = vi
+      .spyOn(runtimeControlApiModule, 'useTestWorkflowPolicyMutation')
+      .mockReturnValue([
+        () => ({
+          unwrap: async () => ({
+            data: {
+              outcome: 'FAIL',
+              triggerMatched: true,
+              actorMatched: true,
+              conditionsMatched: false,
+              matchedConditions: [],
+              chosenAgent: null,
+              stateEffectsPreview: {
+                outcome: 'FAIL',
+                effects: [{ type: 'BLOCK_ACTION', targetPath: '', value: 'Validation must pass before publish can continue.' }],
+              },
+              executionTrace: [],
+              warnings: [],
+            },
+          }),
+        }),
+        { isLoading: false },
+      ])
+
+    const { container } = renderWorkflowPolicyEditorRoutes([
+      '/super-admin/runtime-control/workflow-policies/policy-vmf-publish/edit',
+    ])
+
+    await user.click(await screen.findByRole('tab', { name: /flow builder/i }))
+    const steps = screen.getByRole('list', { name: 'Steps' })
+    expect(within(steps).getAllByRole('listitem').map((item) => item.textContent)).toEqual([
+      expect.stringContaining('validate'),
+      expect.stringContaining('lock'),
+      expect.stringContaining('publish'),
+    ])
+
+    await user.click(screen.getByRole('button', { name: 'Move step 3 up' }))
+    expect(within(steps).getAllByRole('listitem')[1]).toHaveTextContent('publish')
+
+    await user.click(screen.getByRole('tab', { name: /json \/ diff/i }))
+    const currentJson = container.querySelector('.super-admin-workflow-policy-editor__json-code')?.textContent ?? ''
+    expect(currentJson.indexOf('"stepKey": "publish"')).toBeLessThan(currentJson.indexOf('"stepKey": "lock"'))
+
+    await user.click(screen.getByRole('tab', { name: /flow builder/i }))
+    await user.click(screen.getByRole('button', { name: /run simulation/i }))
+
+    const timeline = await screen.findByRole('list', { name: /simulation timeline/i })
+    expect(within(timeline).getAllByRole('listitem')).toHaveLength(3)
+    expect(screen.getByText('Step 1 of 3')).toBeInTheDocument()
+    expect(container.querySelector('[data-node-id="trigger"]')).toHaveClass(
+      'super-admin-workflow-policy-editor__flow-node--active',
+    )
+
+    await user.click(screen.getByRole('button', { name: /next step/i }))
+    expect(screen.getByText('Block Action ran')).toBeInTheDocument()
+    expect(container.querySelector('[data-node-id="onFailEffects:0"]')).toHaveClass(
+      'super-admin-workflow-policy-editor__flow-node--active',
+      'super-admin-workflow-policy-editor__flow-node--info',
+    )
+
+    testWorkflowPolicySpy.mockRestore()
+  }, 15000)
+
   it('surfaces backend field details when the test console returns a workflow policy validation error', async () => {
     const user = userEvent.setup()
     const testWorkflowPolicySpy = vi
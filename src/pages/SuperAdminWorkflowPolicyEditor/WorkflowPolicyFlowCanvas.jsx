@@ -0,0 +1,286 @@
+/**
+ * Node view of a workflow policy: trigger → conditions → effects → steps.
+ *
+ * Nodes are dragged to reorder conditions and steps, or to move an effect
+ * between the pass and fail lists. Every move goes through `onMove` and
+ * lands in the editor form, so the form tabs and this canvas never drift.
+ * The arrow buttons on each node make the same moves from the keyboard.
+ */
+
+import { useState } from 'react'
+import { Badge } from '../../components/Badge'
+import {
+  WORKFLOW_POLICY_FLOW_GROUPS,
+  WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES,
+  canMoveWorkflowPolicyFlowNode,
+} from './workflowPolicyFlow.js'
+
+const NODE_STATE_BADGES = Object.freeze({
+  [WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES.PASS]: { variant: 'success', label: 'Matched' },
+  [WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES.FAIL]: { variant: 'warning', label: 'Missed' },
+  [WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES.WRITE]: { variant: 'info', label: 'Wrote' },
+  [WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES.INFO]: { variant: 'neutral', label: 'Ran' },
+})
+
+const GROUP_LABELS = Object.freeze({
+  [WORKFLOW_POLICY_FLOW_GROUPS.CONDITIONS]: 'condition',
+  [WORKFLOW_POLICY_FLOW_GROUPS.ON_PASS_EFFECTS]: 'pass effect',
+  [WORKFLOW_POLICY_FLOW_GROUPS.ON_FAIL_EFFECTS]: 'fail effect',
+  [WORKFLOW_POLICY_FLOW_GROUPS.STEPS]: 'step',
+})
+
+const OTHER_EFFECT_GROUP = Object.freeze({
+  [WORKFLOW_POLICY_FLOW_GROUPS.ON_PASS_EFFECTS]: WORKFLOW_POLICY_FLOW_GROUPS.ON_FAIL_EFFECTS,
+  [WORKFLOW_POLICY_FLOW_GROUPS.ON_FAIL_EFFECTS]: WORKFLOW_POLICY_FLOW_GROUPS.ON_PASS_EFFECTS,
+})
+
+function WorkflowPolicyFlowNode({
+  node,
+  count,
+  nodeState,
+  isActive,
+  disabled,
+  dragSource,
+  onDragStart,
+  onDragEnd,
+  onDrop,
+  onMove,
+  onOpen,
+}) {
+  const [isDropTarget, setIsDropTarget] = useState(false)
+  const groupLabel = GROUP_LABELS[node.group]
+  const nodeLabel = `${groupLabel} ${node.position + 1}`
+  const stateBadge = nodeState ? NODE_STATE_BADGES[nodeState] : null
+  const acceptsDrop = Boolean(dragSource) && canMoveWorkflowPolicyFlowNode(dragSource.group, node.group)
+  const className = [
+    'super-admin-workflow-policy-editor__flow-node',
+    nodeState ? `super-admin-workflow-policy-editor__flow-node--${nodeState.toLowerCase()}` : '',
+    isActive ? 'super-admin-workflow-policy-editor__flow-node--active' : '',
+    isDropTarget ? 'super-admin-workflow-policy-editor__flow-node--drop-target' : '',
+  ].filter(Boolean).join(' ')
+
+  return (
+    <li
+      className={className}
+      data-node-id={node.id}
+      aria-current={isActive ? 'step' : undefined}
+      draggable={!disabled}
+      onDragStart={(event) => {
+        event.dataTransfer?.setData('text/plain', node.id)
+        onDragStart(node)
+      }}
+      onDragEnd={onDragEnd}
+      onDragOver={(event) => {
+        if (!acceptsDrop) return
+        event.preventDefault()
+        setIsDropTarget(true)
+      }}
+      onDragLeave={() => setIsDropTarget(false)}
+      onDrop={(event) => {
+        event.preventDefault()
+        event.stopPropagation()
+        setIsDropTarget(false)
+        onDrop(node.group, node.position)
+      }}
+    >
+      <div className="super-admin-workflow-policy-editor__flow-node-header">
+        <button
+          type="button"
+          className="super-admin-workflow-policy-editor__flow-node-title"
+          onClick={() => onOpen(node.group)}
+          title={node.title}
+        >
+          {node.title}
+        </button>
+        {stateBadge ? (
+          <Badge variant={stateBadge.variant} size="sm" pill outline>
+            {stateBadge.label}
+          </Badge>
+        ) : null}
+      </div>
+      <p className="super-admin-workflow-policy-editor__flow-node-detail">{node.detail}</p>
+      {node.value ? (
+        <code className="super-admin-workflow-policy-editor__flow-node-value">{node.value}</code>
+      ) : null}
+      {!disabled ? (
+        <div className="super-admin-workflow-policy-editor__flow-node-actions">
+          <button
+            type="button"
+            aria-label={`Move ${nodeLabel} up`}
+            disabled={node.position === 0}
+            onClick={() => onMove({ fromGroup: node.group, fromPosition: node.position, toPosition: node.position - 1 })}
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            aria-label={`Move ${nodeLabel} down`}
+            disabled={node.position === count - 1}
+            onClick={() => onMove({ fromGroup: node.group, fromPosition: node.position, toPosition: node.position + 1 })}
+          >
+            ↓
+          </button>
+          {OTHER_EFFECT_GROUP[node.group] ? (
+            <button
+              type="button"
+              aria-label={`Move ${nodeLabel} to ${GROUP_LABELS[OTHER_EFFECT_GROUP[node.group]]}s`}
+              onClick={() => onMove({
+                fromGroup: node.group,
+                fromPosition: node.position,
+                toGroup: OTHER_EFFECT_GROUP[node.group],
+                toPosition: Number.MAX_SAFE_INTEGER,
+              })}
+            >
+              ⇄
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+      {node.logic ? (
+        <span className="super-admin-workflow-policy-editor__flow-node-logic">{node.logic}</span>
+      ) : null}
+    </li>
+  )
+}
+
+function WorkflowPolicyFlowLane({ group, title, emptyText, nodes, dragSource, onDrop, children }) {
+  const acceptsDrop = Boolean(dragSource) && canMoveWorkflowPolicyFlowNode(dragSource.group, group)
+
+  return (
+    <div
+      className="super-admin-workflow-policy-editor__flow-lane"
+      onDragOver={(event) => {
+        if (acceptsDrop) event.preventDefault()
+      }}
+      onDrop={(event) => {
+        event.preventDefault()
+        if (acceptsDrop) onDrop(group, nodes.length)
+      }}
+    >
+      <p className="super-admin-workflow-policy-editor__summary-label">{title}</p>
+      {nodes.length > 0 ? (
+        <ol className="super-admin-workflow-policy-editor__flow-node-list" aria-label={title}>
+          {children}
+        </ol>
+      ) : (
+        <p className="super-admin-workflow-policy-editor__flow-empty">{emptyText}</p>
+      )}
+    </div>
+  )
+}
+
+function WorkflowPolicyFlowCanvas({ model, nodeStates = {}, activeNodeId = null, disabled = false, onMove, onOpenGroup }) {
+  const [dragSource, setDragSource] = useState(null)
+
+  const handleDrop = (toGroup, toPosition) => {
+    if (!dragSource) return
+    const move = {
+      fromGroup: dragSource.group,
+      fromPosition: dragSource.position,
+      toGroup,
+      // Dropping further down the same list lands after the target
+      toPosition,
+    }
+    setDragSource(null)
+    onMove(move)
+  }
+
+  const renderNodes = (nodes) => nodes.map((node) => (
+    <WorkflowPolicyFlowNode
+      key={node.id}
+      node={node}
+      count={nodes.length}
+      nodeState={nodeStates[node.id]}
+      isActive={activeNodeId === node.id}
+      disabled={disabled}
+      dragSource={dragSource}
+      onDragStart={setDragSource}
+      onDragEnd={() => setDragSource(null)}
+      onDrop={handleDrop}
+      onMove={onMove}
+      onOpen={onOpenGroup}
+    />
+  ))
+
+  const triggerState = nodeStates[model.trigger.id]
+  const triggerBadge = triggerState ? NODE_STATE_BADGES[triggerState] : null
+
+  return (
+    <div className="super-admin-workflow-policy-editor__flow-canvas" role="group" aria-label="Workflow policy flow">
+      <div className="super-admin-workflow-policy-editor__flow-lane">
+        <p className="super-admin-workflow-policy-editor__summary-label">Trigger</p>
+        <div
+          className={[
+            'super-admin-workflow-policy-editor__flow-node',
+            triggerState ? `super-admin-workflow-policy-editor__flow-node--${triggerState.toLowerCase()}` : '',
+            activeNodeId === model.trigger.id ? 'super-admin-workflow-policy-editor__flow-node--active' : '',
+          ].filter(Boolean).join(' ')}
+          data-node-id={model.trigger.id}
+        >
+          <div className="super-admin-workflow-policy-editor__flow-node-header">
+            <button
+              type="button"
+              className="super-admin-workflow-policy-editor__flow-node-title"
+              onClick={() => onOpenGroup('trigger')}
+            >
+              {model.trigger.title}
+            </button>
+            {triggerBadge ? (
+              <Badge variant={triggerBadge.variant} size="sm" pill outline>
+                {triggerBadge.label}
+              </Badge>
+            ) : null}
+          </div>
+          <p className="super-admin-workflow-policy-editor__flow-node-detail">{model.trigger.detail || '--'}</p>
+        </div>
+      </div>
+
+      <WorkflowPolicyFlowLane
+        group={WORKFLOW_POLICY_FLOW_GROUPS.CONDITIONS}
+        title="Conditions"
+        emptyText="No conditions; the policy always evaluates."
+        nodes={model.conditions}
+        dragSource={dragSource}
+        onDrop={handleDrop}
+      >
+        {renderNodes(model.conditions)}
+      </WorkflowPolicyFlowLane>
+
+      <div className="super-admin-workflow-policy-editor__flow-lane-stack">
+        <WorkflowPolicyFlowLane
+          group={WORKFLOW_POLICY_FLOW_GROUPS.ON_PASS_EFFECTS}
+          title="On Pass Effects"
+          emptyText="Drop an effect here to run it on pass."
+          nodes={model.onPassEffects}
+          dragSource={dragSource}
+          onDrop={handleDrop}
+        >
+          {renderNodes(model.onPassEffects)}
+        </WorkflowPolicyFlowLane>
+        <WorkflowPolicyFlowLane
+          group={WORKFLOW_POLICY_FLOW_GROUPS.ON_FAIL_EFFECTS}
+          title="On Fail Effects"
+          emptyText="Drop an effect here to run it on fail."
+          nodes={model.onFailEffects}
+          dragSource={dragSource}
+          onDrop={handleDrop}
+        >
+          {renderNodes(model.onFailEffects)}
+        </WorkflowPolicyFlowLane>
+      </div>
+
+      <WorkflowPolicyFlowLane
+        group={WORKFLOW_POLICY_FLOW_GROUPS.STEPS}
+        title="Steps"
+        emptyText="Single-step policy; no governed steps."
+        nodes={model.steps}
+        dragSource={dragSource}
+        onDrop={handleDrop}
+      >
+        {renderNodes(model.steps)}
+      </WorkflowPolicyFlowLane>
+    </div>
+  )
+}
+
+export default WorkflowPolicyFlowCanvas
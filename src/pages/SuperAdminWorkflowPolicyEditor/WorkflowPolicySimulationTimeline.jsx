@@ -0,0 +1,110 @@
+/**
+ * Step-by-step replay of a workflow policy test run. The parent owns the
+ * active frame so the flow canvas can highlight the node it points at.
+ */
+
+import { useEffect, useState } from 'react'
+import { Badge } from '../../components/Badge'
+import { Button } from '../../components/Button'
+import { WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES } from './workflowPolicyFlow.js'
+
+const REPLAY_INTERVAL_MS = 900
+
+const FRAME_STATUS_BADGES = Object.freeze({
+  [WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES.PASS]: { variant: 'success', label: 'Pass' },
+  [WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES.FAIL]: { variant: 'warning', label: 'Fail' },
+  [WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES.WRITE]: { variant: 'info', label: 'Write' },
+  [WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES.INFO]: { variant: 'neutral', label: 'Info' },
+})
+
+function WorkflowPolicySimulationTimeline({ frames, activeIndex, onActiveIndexChange }) {
+  const [isPlaying, setIsPlaying] = useState(false)
+  const lastIndex = frames.length - 1
+  const isReplaying = isPlaying && activeIndex < lastIndex
+
+  useEffect(() => {
+    if (!isReplaying) return undefined
+    const timer = window.setTimeout(() => onActiveIndexChange(activeIndex + 1), REPLAY_INTERVAL_MS)
+    return () => window.clearTimeout(timer)
+  }, [activeIndex, isReplaying, onActiveIndexChange])
+
+  const handleReplay = () => {
+    if (isReplaying) {
+      setIsPlaying(false)
+      return
+    }
+    if (activeIndex >= lastIndex) onActiveIndexChange(0)
+    setIsPlaying(true)
+  }
+
+  return (
+    <div className="super-admin-workflow-policy-editor__simulation">
+      <div className="super-admin-workflow-policy-editor__simulation-controls">
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => {
+            setIsPlaying(false)
+            onActiveIndexChange(Math.max(0, activeIndex - 1))
+          }}
+          disabled={activeIndex <= 0}
+        >
+          Previous Step
+        </Button>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => {
+            setIsPlaying(false)
+            onActiveIndexChange(Math.min(lastIndex, activeIndex + 1))
+          }}
+          disabled={activeIndex >= lastIndex}
+        >
+          Next Step
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={handleReplay}>
+          {isReplaying ? 'Pause' : 'Replay'}
+        </Button>
+        <span className="super-admin-workflow-policy-editor__helper" role="status">
+          Step {activeIndex + 1} of {frames.length}
+        </span>
+      </div>
+      <ol className="super-admin-workflow-policy-editor__simulation-list" aria-label="Simulation timeline">
+        {frames.map((frame, index) => {
+          const badge = FRAME_STATUS_BADGES[frame.status]
+          const className = [
+            'super-admin-workflow-policy-editor__simulation-frame',
+            index === activeIndex ? 'super-admin-workflow-policy-editor__simulation-frame--active' : '',
+            index > activeIndex ? 'super-admin-workflow-policy-editor__simulation-frame--pending' : '',
+          ].filter(Boolean).join(' ')
+
+          return (
+            <li key={frame.id} className={className} aria-current={index === activeIndex ? 'step' : undefined}>
+              <button
+                type="button"
+                className="super-admin-workflow-policy-editor__simulation-frame-button"
+                onClick={() => {
+                  setIsPlaying(false)
+                  onActiveIndexChange(index)
+                }}
+              >
+                <Badge variant={badge.variant} size="sm" pill outline>
+                  {badge.label}
+                </Badge>
+                <span className="super-admin-workflow-policy-editor__simulation-frame-title">{frame.title}</span>
+              </button>
+              <p className="super-admin-workflow-policy-editor__simulation-frame-detail">
+                {frame.detail}
+                {frame.logic ? ` · then ${frame.logic}` : ''}
+              </p>
+            </li>
+          )
+        })}
+      </ol>
+    </div>
+  )
+}
+
+export default WorkflowPolicySimulationTimeline
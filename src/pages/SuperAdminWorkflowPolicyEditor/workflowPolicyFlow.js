@@ -0,0 +1,260 @@
+/**
+ * Workflow Policy Flow Model
+ *
+ * Shapes the editor form into the trigger → conditions → effects → steps
+ * flow drawn by the visual builder, applies drag-and-drop moves back onto
+ * the same form rows, and turns a test console result into an ordered
+ * simulation timeline whose frames point at flow nodes.
+ */
+
+import {
+  WORKFLOW_POLICY_CONDITION_LOGIC,
+  formatWorkflowPolicyEnumLabel,
+} from '../SuperAdminWorkflowPolicies/superAdminWorkflowPolicies.constants.js'
+
+export const WORKFLOW_POLICY_FLOW_GROUPS = Object.freeze({
+  CONDITIONS: 'conditions',
+  ON_PASS_EFFECTS: 'onPassEffects',
+  ON_FAIL_EFFECTS: 'onFailEffects',
+  STEPS: 'steps',
+})
+
+export const WORKFLOW_POLICY_FLOW_TRIGGER_NODE_ID = 'trigger'
+
+export const WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES = Object.freeze({
+  PASS: 'PASS',
+  FAIL: 'FAIL',
+  WRITE: 'WRITE',
+  INFO: 'INFO',
+})
+
+const EFFECT_GROUPS = new Set([
+  WORKFLOW_POLICY_FLOW_GROUPS.ON_PASS_EFFECTS,
+  WORKFLOW_POLICY_FLOW_GROUPS.ON_FAIL_EFFECTS,
+])
+
+const toRows = (value) => (Array.isArray(value) ? value : [])
+const toText = (value) => String(value ?? '').trim()
+
+export const getWorkflowPolicyFlowNodeId = (group, index) => `${group}:${index}`
+
+const formatFlowValue = (value) => {
+  if (value === undefined || value === null || value === '') return '--'
+  if (typeof value === 'string') return value
+  return JSON.stringify(value)
+}
+
+// Steps run by their `order` field, not by row position
+const getOrderedStepIndexes = (steps) => steps
+  .map((step, index) => ({ index, order: Number(step?.order) }))
+  .sort((left, right) => {
+    const leftOrder = Number.isFinite(left.order) ? left.order : Number.MAX_SAFE_INTEGER
+    const rightOrder = Number.isFinite(right.order) ? right.order : Number.MAX_SAFE_INTEGER
+    return leftOrder - rightOrder || left.index - right.index
+  })
+  .map(({ index }) => index)
+
+const buildEffectNodes = (group, effects) => effects.map((effect, index) => ({
+  id: getWorkflowPolicyFlowNodeId(group, index),
+  group,
+  index,
+  position: index,
+  title: effect?.type ? formatWorkflowPolicyEnumLabel(effect.type) : 'Unset action',
+  detail: toText(effect?.targetPath) || 'No runtime path',
+  value: toText(effect?.value),
+}))
+
+/**
+ * @param {Object} form - workflow policy editor form
+ * @returns {{
+ *   trigger: Object,
+ *   conditions: Object[],
+ *   onPassEffects: Object[],
+ *   onFailEffects: Object[],
+ *   steps: Object[],
+ * }} nodes per flow group; `index` is the form row, `position` the drawn slot
+ */
+export function buildWorkflowPolicyFlowModel(form = {}) {
+  const conditions = toRows(form.conditions)
+  const steps = toRows(form.steps)
+
+  return {
+    trigger: {
+      id: WORKFLOW_POLICY_FLOW_TRIGGER_NODE_ID,
+      title: form.triggerEvent ? formatWorkflowPolicyEnumLabel(form.triggerEvent) : 'No trigger event',
+      detail: [form.triggerMode, form.actorScope]
+        .filter(Boolean)
+        .map((value) => formatWorkflowPolicyEnumLabel(value))
+        .join(' · '),
+    },
+    conditions: conditions.map((condition, index) => ({
+      id: getWorkflowPolicyFlowNodeId(WORKFLOW_POLICY_FLOW_GROUPS.CONDITIONS, index),
+      group: WORKFLOW_POLICY_FLOW_GROUPS.CONDITIONS,
+      index,
+      position: index,
+      title: toText(condition?.path) || 'No path selected',
+      detail: [toText(condition?.operator) || '?', formatFlowValue(condition?.value)].join(' '),
+      logic: index < conditions.length - 1
+        ? (toText(condition?.logic).toUpperCase() || WORKFLOW_POLICY_CONDITION_LOGIC.AND)
+        : '',
+    })),
+    onPassEffects: buildEffectNodes(WORKFLOW_POLICY_FLOW_GROUPS.ON_PASS_EFFECTS, toRows(form.onPassEffects)),
+    onFailEffects: buildEffectNodes(WORKFLOW_POLICY_FLOW_GROUPS.ON_FAIL_EFFECTS, toRows(form.onFailEffects)),
+    steps: getOrderedStepIndexes(steps).map((index, position) => ({
+      id: getWorkflowPolicyFlowNodeId(WORKFLOW_POLICY_FLOW_GROUPS.STEPS, index),
+      group: WORKFLOW_POLICY_FLOW_GROUPS.STEPS,
+      index,
+      position,
+      title: toText(steps[index]?.stepKey) || `Step ${position + 1}`,
+      detail: steps[index]?.type ? formatWorkflowPolicyEnumLabel(steps[index].type) : 'Unset step type',
+    })),
+  }
+}
+
+export function canMoveWorkflowPolicyFlowNode(fromGroup, toGroup) {
+  return fromGroup === toGroup || (EFFECT_GROUPS.has(fromGroup) && EFFECT_GROUPS.has(toGroup))
+}
+
+/**
+ * Applies a drag-and-drop move to the form rows. Positions are drawn slots
+ * (for steps, the run order). Effects may move between the pass and fail
+ * lists; every other group only reorders within itself.
+ *
+ * @param {Object} form
+ * @param {{ fromGroup: string, fromPosition: number, toGroup: string, toPosition: number }} move
+ * @returns {Object} the next form, or `form` itself when the move changes nothing
+ */
+export function moveWorkflowPolicyFlowNode(form, { fromGroup, fromPosition, toGroup = fromGroup, toPosition }) {
+  if (!canMoveWorkflowPolicyFlowNode(fromGroup, toGroup)) return form
+
+  if (fromGroup === WORKFLOW_POLICY_FLOW_GROUPS.STEPS) {
+    const steps = toRows(form.steps)
+    const sequence = getOrderedStepIndexes(steps).map((index) => steps[index])
+    if (!sequence[fromPosition]) return form
+
+    const targetPosition = Math.max(0, Math.min(toPosition, sequence.length - 1))
+    if (targetPosition === fromPosition) return form
+
+    const [moved] = sequence.splice(fromPosition, 1)
+    sequence.splice(targetPosition, 0, moved)
+    return {
+      ...form,
+      steps: sequence.map((step, position) => ({ ...step, order: String(position + 1) })),
+    }
+  }
+
+  const sourceRows = [...toRows(form[fromGroup])]
+  if (!sourceRows[fromPosition]) return form
+
+  const [moved] = sourceRows.splice(fromPosition, 1)
+  const targetRows = fromGroup === toGroup ? sourceRows : [...toRows(form[toGroup])]
+  const targetPosition = Math.max(0, Math.min(toPosition, targetRows.length))
+  if (fromGroup === toGroup && targetPosition === fromPosition) return form
+
+  targetRows.splice(targetPosition, 0, moved)
+
+  if (fromGroup === WORKFLOW_POLICY_FLOW_GROUPS.CONDITIONS) {
+    // A row that stops being last needs a connector, as when adding a row
+    return {
+      ...form,
+      conditions: targetRows.map((condition, index) =>
+        index < targetRows.length - 1
+          ? { ...condition, logic: condition.logic || WORKFLOW_POLICY_CONDITION_LOGIC.AND }
+          : condition,
+      ),
+    }
+  }
+
+  return { ...form, [fromGroup]: sourceRows, [toGroup]: targetRows }
+}
+
+/**
+ * Orders a test console result into replayable frames: trigger, each
+ * condition row, routing, each effect the outcome selected, then the
+ * outcome. `nodeId` points at the flow node the frame highlights.
+ *
+ * @param {Object|null} result - `testWorkflowPolicy` response data
+ * @param {Object} form - the draft that was tested
+ * @returns {Object[]}
+ */
+export function buildWorkflowPolicySimulationTimeline(result, form = {}) {
+  if (!result) return []
+
+  const { PASS, FAIL, WRITE, INFO } = WORKFLOW_POLICY_SIMULATION_FRAME_STATUSES
+  const outcome = toText(result.outcome).toUpperCase() === 'PASS' ? 'PASS' : 'FAIL'
+  const triggerMatched = Boolean(result.triggerMatched)
+  const actorMatched = Boolean(result.actorMatched)
+  const conditions = toRows(result.matchedConditions)
+  const effectGroup = outcome === 'PASS'
+    ? WORKFLOW_POLICY_FLOW_GROUPS.ON_PASS_EFFECTS
+    : WORKFLOW_POLICY_FLOW_GROUPS.ON_FAIL_EFFECTS
+  const frames = [{
+    id: 'trigger',
+    nodeId: WORKFLOW_POLICY_FLOW_TRIGGER_NODE_ID,
+    status: triggerMatched && actorMatched ? PASS : FAIL,
+    title: triggerMatched ? 'Trigger matched' : 'Trigger missed',
+    detail: `Trigger ${triggerMatched ? 'matched' : 'did not match'} the policy event; actor scope ${actorMatched ? 'matched' : 'did not match'}.`,
+  }]
+
+  conditions.forEach((condition, index) => {
+    const logic = toText(condition?.logic).toUpperCase()
+    frames.push({
+      id: `condition-${index}`,
+      nodeId: getWorkflowPolicyFlowNodeId(WORKFLOW_POLICY_FLOW_GROUPS.CONDITIONS, index),
+      status: condition?.matched ? PASS : FAIL,
+      title: `Condition ${index + 1} ${condition?.matched ? 'matched' : 'missed'}`,
+      detail: `${toText(condition?.path) || '--'} ${toText(condition?.operator) || '?'} ${formatFlowValue(condition?.expectedValue)} (actual ${formatFlowValue(condition?.actualValue)})`,
+      ...(logic && index < conditions.length - 1 ? { logic } : {}),
+    })
+  })
+
+  if (result.chosenAgent) {
+    frames.push({
+      id: 'routing',
+      nodeId: null,
+      status: INFO,
+      title: 'Agent routed',
+      detail: `Routed to ${result.chosenAgent.name || result.chosenAgent.key}.`,
+    })
+  }
+
+  toRows(result.stateEffectsPreview?.effects).forEach((effect, index) => {
+    const targetPath = toText(effect?.targetPath)
+    const action = effect?.type ? formatWorkflowPolicyEnumLabel(effect.type) : 'Effect'
+    frames.push({
+      id: `effect-${index}`,
+      nodeId: getWorkflowPolicyFlowNodeId(effectGroup, index),
+      status: targetPath ? WRITE : INFO,
+      title: targetPath ? `${action} wrote ${targetPath}` : `${action} ran`,
+      detail: targetPath
+        ? `Value ${formatFlowValue(effect?.value)}`
+        : `No runtime path written${effect?.value ? ` · ${formatFlowValue(effect.value)}` : ''}`,
+      targetPath,
+    })
+  })
+
+  const stepCount = toRows(form.steps).length
+  frames.push({
+    id: 'outcome',
+    nodeId: null,
+    status: outcome === 'PASS' ? PASS : FAIL,
+    title: `Policy ${outcome === 'PASS' ? 'passed' : 'failed'}`,
+    detail: outcome === 'PASS' && stepCount > 0
+      ? `${stepCount} governed step${stepCount === 1 ? '' : 's'} would run next; the test console does not execute steps.`
+      : `Conditions ${result.conditionsMatched ? 'passed' : 'failed'}.`,
+  })
+
+  return frames
+}
+
+/**
+ * Status per flow node for the frames replayed so far (up to and
+ * including `activeIndex`). Later frames win for the same node.
+ */
+export function getWorkflowPolicySimulationNodeStates(frames, activeIndex) {
+  const states = {}
+  toRows(frames).slice(0, activeIndex + 1).forEach((frame) => {
+    if (frame.nodeId) states[frame.nodeId] = frame.status
+  })
+  return states
+}
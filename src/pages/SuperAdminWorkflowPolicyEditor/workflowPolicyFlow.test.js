@@ -0,0 +1,146 @@
+/**
+ * Workflow Policy Flow Model Tests
+ *
+ * Covers the flow nodes built from the editor form, drag-and-drop moves
+ * applied back onto form rows, and the simulation timeline frames.
+ */
+
+import { describe, expect, it } from 'vitest'
+import {
+  WORKFLOW_POLICY_FLOW_GROUPS,
+  buildWorkflowPolicyFlowModel,
+  buildWorkflowPolicySimulationTimeline,
+  getWorkflowPolicySimulationNodeStates,
+  moveWorkflowPolicyFlowNode,
+} from './workflowPolicyFlow.js'
+
+const form = {
+  triggerEvent: 'ON_SUBMIT',
+  triggerMode: 'PRE_ACTION',
+  actorScope: 'ANY',
+  conditions: [
+    { path: 'framework_state.lifecycle.stage', operator: '=', value: 'DRAFT', logic: 'OR' },
+    { path: 'framework_state.sections.customerProblem', operator: 'exists', value: '', logic: '' },
+  ],
+  onPassEffects: [
+    { type: 'SET_VALUE', targetPath: 'framework_state.policy.last_result', value: 'PASS' },
+  ],
+  onFailEffects: [
+    { type: 'BLOCK_ACTION', targetPath: '', value: 'Blocked' },
+  ],
+  steps: [
+    { stepKey: 'publish', type: 'EVENT_EMIT', order: '3' },
+    { stepKey: 'validate', type: 'AGENT_EXECUTION', order: '1' },
+    { stepKey: 'lock', type: 'EVENT_EMIT', order: '2' },
+  ],
+}
+
+describe('workflowPolicyFlow', () => {
+  it('builds flow nodes in run order with connectors between conditions', () => {
+    const model = buildWorkflowPolicyFlowModel(form)
+
+    expect(model.trigger).toMatchObject({ id: 'trigger', title: 'On Submit' })
+    expect(model.conditions.map((node) => [node.id, node.logic])).toEqual([
+      ['conditions:0', 'OR'],
+      ['conditions:1', ''],
+    ])
+    expect(model.onPassEffects[0]).toMatchObject({
+      id: 'onPassEffects:0',
+      detail: 'framework_state.policy.last_result',
+    })
+    expect(model.onFailEffects[0].detail).toBe('No runtime path')
+    expect(model.steps.map((node) => [node.title, node.index, node.position])).toEqual([
+      ['validate', 1, 0],
+      ['lock', 2, 1],
+      ['publish', 0, 2],
+    ])
+  })
+
+  it('reorders conditions and gives a row that stops being last a connector', () => {
+    const next = moveWorkflowPolicyFlowNode(form, {
+      fromGroup: WORKFLOW_POLICY_FLOW_GROUPS.CONDITIONS,
+      fromPosition: 1,
+      toPosition: 0,
+    })
+
+    expect(next.conditions.map((condition) => [condition.path, condition.logic])).toEqual([
+      ['framework_state.sections.customerProblem', 'AND'],
+      ['framework_state.lifecycle.stage', 'OR'],
+    ])
+    expect(next.onPassEffects).toBe(form.onPassEffects)
+  })
+
+  it('reorders steps by run order and renumbers them', () => {
+    const next = moveWorkflowPolicyFlowNode(form, {
+      fromGroup: WORKFLOW_POLICY_FLOW_GROUPS.STEPS,
+      fromPosition: 2,
+      toPosition: 0,
+    })
+
+    expect(next.steps.map((step) => [step.stepKey, step.order])).toEqual([
+      ['publish', '1'],
+      ['validate', '2'],
+      ['lock', '3'],
+    ])
+  })
+
+  it('moves effects between the pass and fail lists but nothing else across groups', () => {
+    const next = moveWorkflowPolicyFlowNode(form, {
+      fromGroup: WORKFLOW_POLICY_FLOW_GROUPS.ON_FAIL_EFFECTS,
+      fromPosition: 0,
+      toGroup: WORKFLOW_POLICY_FLOW_GROUPS.ON_PASS_EFFECTS,
+      toPosition: Number.MAX_SAFE_INTEGER,
+    })
+
+    expect(next.onFailEffects).toEqual([])
+    expect(next.onPassEffects.map((effect) => effect.type)).toEqual(['SET_VALUE', 'BLOCK_ACTION'])
+
+    expect(moveWorkflowPolicyFlowNode(form, {
+      fromGroup: WORKFLOW_POLICY_FLOW_GROUPS.CONDITIONS,
+      fromPosition: 0,
+      toGroup: WORKFLOW_POLICY_FLOW_GROUPS.STEPS,
+      toPosition: 0,
+    })).toBe(form)
+    expect(moveWorkflowPolicyFlowNode(form, {
+      fromGroup: WORKFLOW_POLICY_FLOW_GROUPS.STEPS,
+      fromPosition: 1,
+      toPosition: 1,
+    })).toBe(form)
+  })
+
+  it('replays a test result as frames that point at the matched conditions and written paths', () => {
+    const frames = buildWorkflowPolicySimulationTimeline({
+      outcome: 'PASS',
+      triggerMatched: true,
+      actorMatched: true,
+      conditionsMatched: true,
+      matchedConditions: [
+        { path: 'framework_state.lifecycle.stage', operator: '=', expectedValue: 'DRAFT', actualValue: 'REVIEW', matched: false, logic: 'OR' },
+        { path: 'framework_state.sections.customerProblem', operator: 'exists', expectedValue: '', actualValue: 'Slow', matched: true },
+      ],
+      chosenAgent: { key: 'validator', name: 'Validator' },
+      stateEffectsPreview: {
+        outcome: 'PASS',
+        effects: [{ type: 'SET_VALUE', targetPath: 'framework_state.policy.last_result', value: 'PASS' }],
+      },
+    }, form)
+
+    expect(frames.map((frame) => [frame.id, frame.nodeId, frame.status])).toEqual([
+      ['trigger', 'trigger', 'PASS'],
+      ['condition-0', 'conditions:0', 'FAIL'],
+      ['condition-1', 'conditions:1', 'PASS'],
+      ['routing', null, 'INFO'],
+      ['effect-0', 'onPassEffects:0', 'WRITE'],
+      ['outcome', null, 'PASS'],
+    ])
+    expect(frames[1]).toMatchObject({ logic: 'OR', detail: expect.stringContaining('(actual REVIEW)') })
+    expect(frames[4].title).toBe('Set Value wrote framework_state.policy.last_result')
+    expect(frames[5].detail).toMatch(/3 governed steps would run next/)
+
+    expect(getWorkflowPolicySimulationNodeStates(frames, 1)).toEqual({
+      trigger: 'PASS',
+      'conditions:0': 'FAIL',
+    })
+    expect(buildWorkflowPolicySimulationTimeline(null, form)).toEqual([])
+  })
+})
@@ -0,0 +1,228 @@
+import { useState } from 'react'
+import { Badge } from '../../components/Badge'
+import { Button } from '../../components/Button'
+import { Card } from '../../components/Card'
+import { ConfirmationDialog } from '../../components/ConfirmationDialog'
+import { Fieldset } from '../../components/Fieldset'
+import { Input } from '../../components/Input'
+import { Select } from '../../components/Select'
+import { Toggle } from '../../components/Toggle'
+import { normalizeError } from '../../utils/errors.js'
+import {
+  ALERT_RULE_METRICS,
+  ALERT_RULE_OPERATORS,
+  ALERT_RULE_SEVERITIES,
+  INITIAL_ALERT_RULE_FORM,
+  formatAlertRuleCondition,
+  mapAlertRuleToForm,
+  validateAlertRuleForm,
+} from './monitoringAlertRules.js'
+import './MonitoringAlertRulesView.css'
+
+const SEVERITY_BADGE_VARIANTS = {
+  critical: 'danger',
+  warning: 'warning',
+  info: 'info',
+}
+
+const getRuleId = (rule) => String(rule?.id ?? rule?._id ?? '')
+
+/**
+ * Threshold rules on the normalised metrics. Rules are evaluated by the
+ * backend; a breached rule shows up under Active Alerts.
+ */
+export function MonitoringAlertRulesView({ alertRules, onSaveAlertRule, onDeleteAlertRule }) {
+  const [form, setForm] = useState(INITIAL_ALERT_RULE_FORM)
+  const [editingRuleId, setEditingRuleId] = useState('')
+  const [errors, setErrors] = useState({})
+  const [submitError, setSubmitError] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+  const [pendingDeleteRule, setPendingDeleteRule] = useState(null)
+  const [isDeleting, setIsDeleting] = useState(false)
+
+  const selectedMetric = ALERT_RULE_METRICS.find((metric) => metric.value === form.metric)
+
+  const resetForm = () => {
+    setForm(INITIAL_ALERT_RULE_FORM)
+    setEditingRuleId('')
+    setErrors({})
+    setSubmitError('')
+  }
+
+  const updateField = (field) => (event) => {
+    const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value
+    setForm((current) => ({ ...current, [field]: value }))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const { errors: nextErrors, payload } = validateAlertRuleForm(form)
+    setErrors(nextErrors)
+    if (!payload) return
+
+    setIsSaving(true)
+    setSubmitError('')
+    try {
+      await onSaveAlertRule(payload, editingRuleId || undefined)
+      resetForm()
+    } catch (saveError) {
+      setSubmitError(normalizeError(saveError).message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleToggleRule = async (rule, enabled) => {
+    setSubmitError('')
+    try {
+      await onSaveAlertRule({ enabled }, getRuleId(rule))
+    } catch (toggleError) {
+      setSubmitError(normalizeError(toggleError).message)
+    }
+  }
+
+  const handleConfirmDelete = async () => {
+    setIsDeleting(true)
+    try {
+      await onDeleteAlertRule(getRuleId(pendingDeleteRule))
+      if (editingRuleId === getRuleId(pendingDeleteRule)) resetForm()
+      setPendingDeleteRule(null)
+    } catch (deleteError) {
+      setSubmitError(normalizeError(deleteError).message)
+      setPendingDeleteRule(null)
+    } finally {
+      setIsDeleting(false)
+    }
+  }
+
+  return (
+    <Fieldset className="system-monitoring__fieldset">
+      <Fieldset.Legend className="system-monitoring__legend">
+        <h2 className="system-monitoring__section-title">Alert Rules</h2>
+      </Fieldset.Legend>
+      <Card variant="elevated" className="system-monitoring__card">
+        <Card.Body>
+          {alertRules.length === 0 ? (
+            <p className="system-monitoring__empty">No alert rules defined.</p>
+          ) : (
+            <ul className="system-monitoring__alert-list" aria-label="Alert rules">
+              {alertRules.map((rule) => (
+                <li key={getRuleId(rule)} className="system-monitoring__rule-row">
+                  <span className="system-monitoring__rule-name">{rule.name}</span>
+                  <span>{formatAlertRuleCondition(rule)}</span>
+                  <Badge variant={SEVERITY_BADGE_VARIANTS[rule.severity] ?? 'neutral'} size="sm" pill outline>
+                    {rule.severity}
+                  </Badge>
+                  <span className="system-monitoring__alert-actions">
+                    <Toggle
+                      id={`monitoring-alert-rule-enabled-${getRuleId(rule)}`}
+                      size="sm"
+                      label={rule.enabled === false ? 'Disabled' : 'Enabled'}
+                      checked={rule.enabled !== false}
+                      onChange={(event) => handleToggleRule(rule, event.target.checked)}
+                    />
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => {
+                        setEditingRuleId(getRuleId(rule))
+                        setForm(mapAlertRuleToForm(rule))
+                        setErrors({})
+                        setSubmitError('')
+                      }}
+                    >
+                      Edit
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => setPendingDeleteRule(rule)}>
+                      Delete
+                    </Button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form className="system-monitoring__form" onSubmit={handleSubmit} noValidate aria-label="Alert rule">
+            <h3 className="system-monitoring__form-title">
+              {editingRuleId ? 'Edit rule' : 'New rule'}
+            </h3>
+            <div className="system-monitoring__form-grid">
+              <Input
+                id="monitoring-alert-rule-name"
+                label="Rule name"
+                value={form.name}
+                onChange={updateField('name')}
+                error={errors.name}
+              />
+              <Select
+                id="monitoring-alert-rule-metric"
+                label="Metric"
+                value={form.metric}
+                options={ALERT_RULE_METRICS}
+                onChange={updateField('metric')}
+                error={errors.metric}
+              />
+              <Select
+                id="monitoring-alert-rule-operator"
+                label="Condition"
+                value={form.operator}
+                options={ALERT_RULE_OPERATORS}
+                onChange={updateField('operator')}
+                error={errors.operator}
+              />
+              <Input
+                id="monitoring-alert-rule-threshold"
+                label={`Threshold (${selectedMetric?.unit ?? ''})`}
+                type="number"
+                min="0"
+                value={form.threshold}
+                onChange={updateField('threshold')}
+                error={errors.threshold}
+              />
+              <Select
+                id="monitoring-alert-rule-severity"
+                label="Severity"
+                value={form.severity}
+                options={ALERT_RULE_SEVERITIES}
+                onChange={updateField('severity')}
+                error={errors.severity}
+                helperText="Critical alerts also raise a browser notification."
+              />
+              <Toggle
+                id="monitoring-alert-rule-enabled"
+                label="Enabled"
+                checked={form.enabled}
+                onChange={updateField('enabled')}
+              />
+            </div>
+            {submitError ? (
+              <p className="system-monitoring__error" role="alert">{submitError}</p>
+            ) : null}
+            <div className="system-monitoring__alert-actions">
+              {editingRuleId ? (
+                <Button variant="outline" size="sm" onClick={resetForm} disabled={isSaving}>
+                  Cancel
+                </Button>
+              ) : null}
+              <Button type="submit" variant="primary" size="sm" loading={isSaving}>
+                {editingRuleId ? 'Save rule' : 'Add rule'}
+              </Button>
+            </div>
+          </form>
+        </Card.Body>
+      </Card>
+
+      <ConfirmationDialog
+        open={Boolean(pendingDeleteRule)}
+        title="Delete Alert Rule"
+        message={`Delete "${pendingDeleteRule?.name ?? ''}"?`}
+        detail="Any alert raised by this rule is resolved."
+        confirmLabel="Delete Rule"
+        variant="danger"
+        loading={isDeleting}
+        onCancel={() => setPendingDeleteRule(null)}
+        onConfirm={handleConfirmDelete}
+      />
+    </Fieldset>
+  )
+}
@@ -0,0 +1,47 @@
+import { Badge } from '../../components/Badge'
+import { Card } from '../../components/Card'
+import { Fieldset } from '../../components/Fieldset'
+import { ALERT_TIMELINE_EVENT_LABELS } from './monitoringAlertRules.js'
+import { formatTimestamp } from './systemMonitoring.constants.js'
+import './MonitoringAlertTimelineView.css'
+
+const EVENT_BADGE_VARIANTS = {
+  TRIGGERED: 'danger',
+  RESOLVED: 'success',
+  ACKNOWLEDGED: 'primary',
+  SNOOZED: 'neutral',
+}
+
+export function MonitoringAlertTimelineView({ alertTimeline }) {
+  return (
+    <Fieldset className="system-monitoring__fieldset">
+      <Fieldset.Legend className="system-monitoring__legend">
+        <h2 className="system-monitoring__section-title">Alert Timeline</h2>
+      </Fieldset.Legend>
+      <Card variant="elevated" className="system-monitoring__card">
+        <Card.Body>
+          {alertTimeline.length === 0 ? (
+            <p className="system-monitoring__empty">No alert activity yet.</p>
+          ) : (
+            <ol className="system-monitoring__alert-list" aria-label="Alert timeline">
+              {alertTimeline.map((event) => (
+                <li key={event.id} className="system-monitoring__timeline-row">
+                  <span className="system-monitoring__alert-meta">{formatTimestamp(event.at)}</span>
+                  <Badge variant={EVENT_BADGE_VARIANTS[event.type] ?? 'neutral'} size="sm" pill>
+                    {ALERT_TIMELINE_EVENT_LABELS[event.type] ?? event.type}
+                  </Badge>
+                  <span className="system-monitoring__timeline-detail">
+                    <strong>{event.title}</strong>
+                    {event.actor?.name ? ` by ${event.actor.name}` : ''}
+                    {event.snoozedUntil ? ` until ${formatTimestamp(event.snoozedUntil)}` : ''}
+                    {event.comment ? <q className="system-monitoring__timeline-comment">{event.comment}</q> : null}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </Card.Body>
+      </Card>
+    </Fieldset>
+  )
+}
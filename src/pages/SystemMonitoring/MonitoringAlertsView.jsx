@@ -1,15 +1,102 @@
+import { useState } from 'react'
+import { Badge } from '../../components/Badge'
+import { Button } from '../../components/Button'
 import { Card } from '../../components/Card'
+import { Dialog } from '../../components/Dialog'
 import { Fieldset } from '../../components/Fieldset'
+import { Select } from '../../components/Select'
 import { Status } from '../../components/Status'
+import { Textarea } from '../../components/Textarea'
+import { normalizeError } from '../../utils/errors.js'
+import { ALERT_SNOOZE_OPTIONS, isAlertSnoozed } from './monitoringAlertRules.js'
 import { formatTimestamp } from './systemMonitoring.constants.js'
 import './MonitoringAlertsView.css'
 
+const INITIAL_ACTION_FORM = { comment: '', durationMinutes: ALERT_SNOOZE_OPTIONS[1].value }
+
+// Remounted per alert (see `key` below) so the form starts empty each time.
+function AlertActionDialog({ action, onClose, onAcknowledge, onSnooze }) {
+  const [form, setForm] = useState(INITIAL_ACTION_FORM)
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const isSnooze = action?.type === 'snooze'
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const comment = form.comment.trim()
+    if (!comment) {
+      setError('A comment is required.')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      if (isSnooze) {
+        await onSnooze(action.alert.alertId, comment, Number(form.durationMinutes))
+      } else {
+        await onAcknowledge(action.alert.alertId, comment)
+      }
+      onClose()
+    } catch (submitError) {
+      setError(normalizeError(submitError).message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={Boolean(action)} onClose={onClose} size="sm">
+      <Dialog.Header>
+        <h2 className="system-monitoring__section-title">
+          {isSnooze ? 'Snooze alert' : 'Acknowledge alert'}
+        </h2>
+      </Dialog.Header>
+      <Dialog.Body>
+        <form id="monitoring-alert-action-form" className="system-monitoring__form" onSubmit={handleSubmit} noValidate>
+          <p className="system-monitoring__summary">{action?.alert.title}</p>
+          {isSnooze ? (
+            <Select
+              id="monitoring-alert-snooze-duration"
+              label="Snooze for"
+              value={form.durationMinutes}
+              options={ALERT_SNOOZE_OPTIONS}
+              onChange={(event) => setForm((current) => ({ ...current, durationMinutes: event.target.value }))}
+            />
+          ) : null}
+          <Textarea
+            id="monitoring-alert-action-comment"
+            label="Comment"
+            value={form.comment}
+            onChange={(event) => setForm((current) => ({ ...current, comment: event.target.value }))}
+            error={error}
+            rows={3}
+            fullWidth
+          />
+        </form>
+      </Dialog.Body>
+      <Dialog.Footer>
+        <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button type="submit" form="monitoring-alert-action-form" variant="primary" loading={isSubmitting}>
+          {isSnooze ? 'Snooze' : 'Acknowledge'}
+        </Button>
+      </Dialog.Footer>
+    </Dialog>
+  )
+}
+
 export function MonitoringAlertsView({
   isSuperAdmin,
   activeAlerts,
   resolvedAlerts,
   alertSummary,
+  onAcknowledgeAlert,
+  onSnoozeAlert,
 }) {
+  const [pendingAction, setPendingAction] = useState(null)
+  const canManageAlerts = Boolean(onAcknowledgeAlert && onSnoozeAlert)
+
   return (
     <>
       <Fieldset className="system-monitoring__fieldset">
@@ -47,6 +134,39 @@ export function MonitoringAlertsView({
                       {alert.title}
                     </Status>
                     <span>{alert.description}</span>
+                    {alert.acknowledgement || isAlertSnoozed(alert) ? (
+                      <span className="system-monitoring__alert-badges">
+                        {alert.acknowledgement ? (
+                          <Badge variant="success" size="sm" pill outline>
+                            Acknowledged by {alert.acknowledgement.by?.name ?? 'unknown'}
+                          </Badge>
+                        ) : null}
+                        {isAlertSnoozed(alert) ? (
+                          <Badge variant="neutral" size="sm" pill outline>
+                            Snoozed until {formatTimestamp(alert.snoozedUntil)}
+                          </Badge>
+                        ) : null}
+                      </span>
+                    ) : null}
+                    {canManageAlerts && alert.alertId ? (
+                      <span className="system-monitoring__alert-actions">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setPendingAction({ type: 'acknowledge', alert })}
+                          disabled={Boolean(alert.acknowledgement)}
+                        >
+                          Acknowledge
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setPendingAction({ type: 'snooze', alert })}
+                        >
+                          Snooze
+                        </Button>
+                      </span>
+                    ) : null}
                   </li>
                 ))}
               </ul>
@@ -85,6 +205,16 @@ export function MonitoringAlertsView({
           </Card.Body>
         </Card>
       </Fieldset>
+
+      {canManageAlerts ? (
+        <AlertActionDialog
+          key={pendingAction ? `${pendingAction.type}-${pendingAction.alert.id}` : 'closed'}
+          action={pendingAction}
+          onClose={() => setPendingAction(null)}
+          onAcknowledge={onAcknowledgeAlert}
+          onSnooze={onSnoozeAlert}
+        />
+      ) : null}
     </>
   )
 }
@@ -0,0 +1,93 @@
+import { formatMetricValue } from './metricsExplorer.js'
+import { formatTimestamp } from './systemMonitoring.constants.js'
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 160
+const SERIES_COLOR_COUNT = 6
+const MAX_SERIES = 8
+
+const toPolylinePoints = (points, { start, end, max }) =>
+  points
+    .map(({ at, value }) => {
+      const x = end > start ? ((at - start) / (end - start)) * CHART_WIDTH : CHART_WIDTH
+      const y = CHART_HEIGHT - (max > 0 ? (value / max) * CHART_HEIGHT : 0)
+      return `${x.toFixed(1)},${y.toFixed(1)}`
+    })
+    .join(' ')
+
+/**
+ * Line chart for one metrics explorer query, one line per label set,
+ * spanning the monitoring trend window.
+ */
+export function MonitoringMetricChart({
+  title,
+  series,
+  unit = '',
+  windowStart,
+  windowEnd,
+  emptyMessage = 'Collecting samples. Rates and percentiles need two scrapes.',
+  actions = null,
+}) {
+  const visibleSeries = series.slice(0, MAX_SERIES)
+  const max = Math.max(0, ...visibleSeries.flatMap((entry) => entry.points.map((point) => point.value)))
+  const hasPoints = visibleSeries.some((entry) => entry.points.length > 0)
+
+  return (
+    <figure className="system-monitoring__chart">
+      <figcaption className="system-monitoring__chart-header">
+        <code className="system-monitoring__chart-title">{title}</code>
+        {actions}
+      </figcaption>
+
+      {!hasPoints ? (
+        <p className="system-monitoring__empty">{emptyMessage}</p>
+      ) : (
+        <>
+          <div className="system-monitoring__chart-plot">
+            <span className="system-monitoring__chart-axis system-monitoring__chart-axis--max">
+              {formatMetricValue(max, unit)}
+            </span>
+            <svg
+              viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+              preserveAspectRatio="none"
+              role="img"
+              aria-label={`${title} over the trend window`}
+            >
+              {visibleSeries.map((entry, index) => (
+                <polyline
+                  key={entry.key}
+                  className={`system-monitoring__chart-line system-monitoring__chart-line--${index % SERIES_COLOR_COUNT}`}
+                  points={toPolylinePoints(entry.points, { start: windowStart, end: windowEnd, max })}
+                />
+              ))}
+            </svg>
+            <span className="system-monitoring__chart-axis system-monitoring__chart-axis--start">
+              {formatTimestamp(windowStart)}
+            </span>
+            <span className="system-monitoring__chart-axis system-monitoring__chart-axis--end">
+              {formatTimestamp(windowEnd)}
+            </span>
+          </div>
+
+          <ul className="system-monitoring__chart-legend" aria-label={`${title} series`}>
+            {visibleSeries.map((entry, index) => (
+              <li key={entry.key}>
+                <span
+                  className={`system-monitoring__chart-swatch system-monitoring__chart-line--${index % SERIES_COLOR_COUNT}`}
+                  aria-hidden="true"
+                />
+                <span>{entry.key}</span>
+                <strong>{formatMetricValue(entry.points.at(-1)?.value, unit)}</strong>
+              </li>
+            ))}
+          </ul>
+          {series.length > MAX_SERIES ? (
+            <p className="system-monitoring__note">
+              Showing {MAX_SERIES} of {series.length} series. Add a label filter to narrow the chart.
+            </p>
+          ) : null}
+        </>
+      )}
+    </figure>
+  )
+}
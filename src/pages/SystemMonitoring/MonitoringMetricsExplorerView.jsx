@@ -0,0 +1,185 @@
+import { useMemo, useState } from 'react'
+import { Button } from '../../components/Button'
+import { Card } from '../../components/Card'
+import { Fieldset } from '../../components/Fieldset'
+import { Input } from '../../components/Input'
+import { Select } from '../../components/Select'
+import { PROMETHEUS_METRIC_TYPES } from '../../utils/prometheusText.js'
+import { MonitoringMetricChart } from './MonitoringMetricChart.jsx'
+import {
+  DEFAULT_METRIC_CHART_QUANTILE,
+  METRIC_CHART_QUANTILES,
+  buildMetricChartSeries,
+  filterMetricFamilies,
+  getMetricChartId,
+  getMetricChartTitle,
+  getMetricLabelValues,
+} from './metricsExplorer.js'
+import './MonitoringMetricsExplorerView.css'
+
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000
+const QUANTILE_TYPES = new Set([PROMETHEUS_METRIC_TYPES.HISTOGRAM, PROMETHEUS_METRIC_TYPES.SUMMARY])
+
+/**
+ * Prometheus metrics explorer: search the latest `/metrics` scrape, narrow
+ * by label, chart it over the trend window and pin charts to the dashboard.
+ */
+export function MonitoringMetricsExplorerView({
+  metricScrapes,
+  trendWindowMs,
+  pinnedCharts,
+  onPinChart,
+  onUnpinChart,
+}) {
+  const [search, setSearch] = useState('')
+  const [selectedMetric, setSelectedMetric] = useState('')
+  const [labelFilters, setLabelFilters] = useState({})
+  const [quantile, setQuantile] = useState(DEFAULT_METRIC_CHART_QUANTILE)
+
+  const latestScrape = metricScrapes.at(-1) ?? null
+  const latestFamilies = useMemo(() => latestScrape?.families ?? [], [latestScrape])
+  const windowEnd = latestScrape?.at ?? 0
+  const windowStart = windowEnd - (trendWindowMs || DEFAULT_WINDOW_MS)
+
+  const matchingFamilies = useMemo(
+    () => filterMetricFamilies(latestFamilies, search),
+    [latestFamilies, search],
+  )
+  const family = matchingFamilies.find((entry) => entry.name === selectedMetric) ?? matchingFamilies[0] ?? null
+  const labelValues = useMemo(() => getMetricLabelValues(family), [family])
+  const usesQuantile = QUANTILE_TYPES.has(family?.type)
+
+  const metricName = family?.name ?? ''
+  const spec = useMemo(
+    () => (metricName ? { metric: metricName, labelFilters, quantile: usesQuantile ? quantile : '' } : null),
+    [labelFilters, metricName, quantile, usesQuantile],
+  )
+  const chart = useMemo(
+    () => (spec ? buildMetricChartSeries(metricScrapes, spec) : null),
+    [metricScrapes, spec],
+  )
+  const chartId = spec ? getMetricChartId(spec) : ''
+  const isPinned = pinnedCharts.some((pinned) => pinned.id === chartId)
+
+  const handleMetricChange = (event) => {
+    setSelectedMetric(event.target.value)
+    setLabelFilters({})
+  }
+
+  return (
+    <>
+      <Fieldset className="system-monitoring__fieldset">
+        <Fieldset.Legend className="system-monitoring__legend">
+          <h2 className="system-monitoring__section-title">Metrics Explorer</h2>
+        </Fieldset.Legend>
+        <Card variant="elevated" className="system-monitoring__card">
+          <Card.Body>
+            {latestFamilies.length === 0 ? (
+              <p className="system-monitoring__empty">No Prometheus metrics scraped yet.</p>
+            ) : (
+              <>
+                <div className="system-monitoring__form-grid">
+                  <Input
+                    id="monitoring-metrics-search"
+                    label="Search metrics"
+                    value={search}
+                    onChange={(event) => setSearch(event.target.value)}
+                  />
+                  <Select
+                    id="monitoring-metrics-metric"
+                    label="Metric"
+                    value={family?.name ?? ''}
+                    options={matchingFamilies.map((entry) => ({
+                      value: entry.name,
+                      label: `${entry.name} (${entry.type})`,
+                    }))}
+                    placeholder={matchingFamilies.length === 0 ? 'No matching metrics' : undefined}
+                    onChange={handleMetricChange}
+                    disabled={matchingFamilies.length === 0}
+                  />
+                  {usesQuantile ? (
+                    <Select
+                      id="monitoring-metrics-quantile"
+                      label="Percentile"
+                      value={quantile}
+                      options={METRIC_CHART_QUANTILES}
+                      onChange={(event) => setQuantile(event.target.value)}
+                    />
+                  ) : null}
+                  {Object.entries(labelValues).map(([labelKey, values]) => (
+                    <Select
+                      key={labelKey}
+                      id={`monitoring-metrics-label-${labelKey}`}
+                      label={labelKey}
+                      value={labelFilters[labelKey] ?? ''}
+                      options={values.map((value) => ({ value, label: value }))}
+                      placeholder={`Any ${labelKey}`}
+                      onChange={(event) => setLabelFilters((current) => ({ ...current, [labelKey]: event.target.value }))}
+                    />
+                  ))}
+                </div>
+                {family?.help ? <p className="system-monitoring__note">{family.help}</p> : null}
+
+                {spec && chart ? (
+                  <MonitoringMetricChart
+                    title={getMetricChartTitle(spec, chart.type)}
+                    series={chart.series}
+                    unit={chart.unit}
+                    windowStart={windowStart}
+                    windowEnd={windowEnd}
+                    actions={(
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => onPinChart({ id: chartId, ...spec })}
+                        disabled={isPinned}
+                      >
+                        {isPinned ? 'Pinned' : 'Pin to dashboard'}
+                      </Button>
+                    )}
+                  />
+                ) : null}
+              </>
+            )}
+          </Card.Body>
+        </Card>
+      </Fieldset>
+
+      <Fieldset className="system-monitoring__fieldset">
+        <Fieldset.Legend className="system-monitoring__legend">
+          <h2 className="system-monitoring__section-title">Pinned Metrics</h2>
+        </Fieldset.Legend>
+        <Card variant="elevated" className="system-monitoring__card">
+          <Card.Body>
+            {pinnedCharts.length === 0 ? (
+              <p className="system-monitoring__empty">
+                Pin a chart from the metrics explorer to keep it on this dashboard.
+              </p>
+            ) : (
+              <div className="system-monitoring__chart-grid">
+                {pinnedCharts.map((pinned) => {
+                  const pinnedChart = buildMetricChartSeries(metricScrapes, pinned)
+                  return (
+                    <MonitoringMetricChart
+                      key={pinned.id}
+                      title={getMetricChartTitle(pinned, pinnedChart.type)}
+                      series={pinnedChart.series}
+                      unit={pinnedChart.unit}
+                      windowStart={windowStart}
+                      windowEnd={windowEnd}
+                      actions={(
+                        <Button variant="ghost" size="sm" onClick={() => onUnpinChart(pinned.id)}>
+                          Unpin
+                        </Button>
+                      )}
+                    />
+                  )
+                })}
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+      </Fieldset>
+    </>
+  )
+}
@@ -8,21 +8,42 @@
  *   - Overall system health status badge
  *   - Dependency status list (Database, Redis, Identity Plus)
  *   - Performance metrics (avg/p95 response, error rate, RPM, runtime)
- *   - Active/resolved alert lifecycle
+ *   - Active/resolved alert lifecycle with acknowledge / snooze
+ *   - Threshold alert rules and the alert timeline (super admin)
  *   - Health trends (windowed request buckets)
+ *   - Prometheus metrics explorer with charts pinned per user (super admin)
  *
  * Non-admin users see a guard message. Data is polled every 30 s
- * via `useSystemMonitoring` with a manual Refresh button.
+ * via `useSystemMonitoring` with a manual Refresh button. Critical alerts
+ * raise a browser notification once the user grants permission, so they
+ * are seen even while this page sits in a background tab.
  */
 
+import { useState } from 'react'
 import { Button } from '../../components/Button'
+import { usePinnedMetricCharts } from '../../hooks/usePinnedMetricCharts.js'
 import { useSystemMonitoring } from '../../hooks/useSystemMonitoring.js'
+import {
+  BROWSER_NOTIFICATION_PERMISSIONS,
+  getBrowserNotificationPermission,
+  requestBrowserNotificationPermission,
+} from '../../utils/browserNotifications.js'
 import { MonitoringStatusView } from './MonitoringStatusView.jsx'
 import { MonitoringAlertsView } from './MonitoringAlertsView.jsx'
+import { MonitoringAlertRulesView } from './MonitoringAlertRulesView.jsx'
+import { MonitoringAlertTimelineView } from './MonitoringAlertTimelineView.jsx'
+import { MonitoringMetricsExplorerView } from './MonitoringMetricsExplorerView.jsx'
 import { MonitoringTrendsView } from './MonitoringTrendsView.jsx'
 import './SystemMonitoring.css'
 
+const NOTIFICATION_BUTTON_LABELS = {
+  [BROWSER_NOTIFICATION_PERMISSIONS.DEFAULT]: 'Enable browser notifications',
+  [BROWSER_NOTIFICATION_PERMISSIONS.GRANTED]: 'Browser notifications on',
+  [BROWSER_NOTIFICATION_PERMISSIONS.DENIED]: 'Browser notifications blocked',
+}
+
 function SystemMonitoring() {
+  const [notificationPermission, setNotificationPermission] = useState(getBrowserNotificationPermission)
   const {
     isAdmin,
     isSuperAdmin = false,
@@ -32,15 +53,30 @@ function SystemMonitoring() {
     activeAlerts = [],
     resolvedAlerts = [],
     alertSummary = { activeCount: 0, resolvedCount: 0, total: 0 },
+    alertRules = [],
+    alertTimeline = [],
+    saveAlertRule,
+    deleteAlertRule,
+    acknowledgeAlert,
+    snoozeAlert,
     trendPoints = [],
     trendWindowMs = 0,
     trendBucketMs = 0,
     trendGeneratedAt = '',
+    metricScrapes = [],
     isLoading,
     isFetching,
     error,
     refetchAll,
-  } = useSystemMonitoring({ enableAlerts: false, pollingInterval: 30000 })
+  } = useSystemMonitoring({
+    enableAlerts: false,
+    enableBrowserNotifications: true,
+    includeAlertManagement: true,
+    collectMetricScrapes: true,
+    pollingInterval: 30000,
+  })
+
+  const { pinnedCharts, pinChart, unpinChart } = usePinnedMetricCharts()
 
   const metricSnapshot = {
     avgResponseMs: 0,
@@ -70,13 +106,24 @@ function SystemMonitoring() {
     <section className="system-monitoring container" aria-label="System Monitoring">
       <header className="system-monitoring__header">
         <h1 className="system-monitoring__title">System Monitoring</h1>
-        <Button
-          variant="outline"
-          onClick={refetchAll}
-          disabled={isFetching}
-        >
-          Refresh
-        </Button>
+        <div className="system-monitoring__header-actions">
+          {isSuperAdmin && notificationPermission !== BROWSER_NOTIFICATION_PERMISSIONS.UNSUPPORTED ? (
+            <Button
+              variant="ghost"
+              onClick={async () => setNotificationPermission(await requestBrowserNotificationPermission())}
+              disabled={notificationPermission !== BROWSER_NOTIFICATION_PERMISSIONS.DEFAULT}
+            >
+              {NOTIFICATION_BUTTON_LABELS[notificationPermission]}
+            </Button>
+          ) : null}
+          <Button
+            variant="outline"
+            onClick={refetchAll}
+            disabled={isFetching}
+          >
+            Refresh
+          </Button>
+        </div>
       </header>
 
       {error && (
@@ -101,8 +148,20 @@ function SystemMonitoring() {
             activeAlerts={activeAlerts}
             resolvedAlerts={resolvedAlerts}
             alertSummary={alertSummary}
+            onAcknowledgeAlert={acknowledgeAlert}
+            onSnoozeAlert={snoozeAlert}
           />
 
+          {saveAlertRule && deleteAlertRule ? (
+            <MonitoringAlertRulesView
+              alertRules={alertRules}
+              onSaveAlertRule={saveAlertRule}
+              onDeleteAlertRule={deleteAlertRule}
+            />
+          ) : null}
+
+          <MonitoringAlertTimelineView alertTimeline={alertTimeline} />
+
           <MonitoringTrendsView
             isSuperAdmin={isSuperAdmin}
             recentTrendPoints={recentTrendPoints}
@@ -110,6 +169,14 @@ function SystemMonitoring() {
             trendBucketMs={trendBucketMs}
             trendGeneratedAt={trendGeneratedAt}
           />
+
+          <MonitoringMetricsExplorerView
+            metricScrapes={metricScrapes}
+            trendWindowMs={trendWindowMs}
+            pinnedCharts={pinnedCharts}
+            onPinChart={pinChart}
+            onUnpinChart={unpinChart}
+          />
         </>
       ) : null}
     </section>
@@ -1,5 +1,5 @@
 import { describe, expect, it, vi } from 'vitest'
-import { render, screen } from '@testing-library/react'
+import { render, screen, within } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import SystemMonitoring from './SystemMonitoring'
 
@@ -7,7 +7,13 @@ vi.mock('../../hooks/useSystemMonitoring.js', () => ({
   useSystemMonitoring: vi.fn(),
 }))
 
+vi.mock('../../hooks/usePinnedMetricCharts.js', () => ({
+  usePinnedMetricCharts: vi.fn(() => ({ pinnedCharts: [], pinChart: vi.fn(), unpinChart: vi.fn() })),
+}))
+
 import { useSystemMonitoring } from '../../hooks/useSystemMonitoring.js'
+import { usePinnedMetricCharts } from '../../hooks/usePinnedMetricCharts.js'
+import { parsePrometheusText } from '../../utils/prometheusText.js'
 
 const makeAdminState = (overrides = {}) => ({
   isAdmin: true,
@@ -180,6 +186,129 @@ describe('SystemMonitoring page', () => {
     expect(screen.getByRole('button', { name: /refresh/i })).toBeDisabled()
   })
 
+  it('creates alert rules from the rule form', async () => {
+    const saveAlertRule = vi.fn().mockResolvedValue({})
+    useSystemMonitoring.mockReturnValue(makeAdminState({
+      saveAlertRule,
+      deleteAlertRule: vi.fn(),
+      alertRules: [{
+        id: 'rule-1',
+        name: 'Heap pressure',
+        metric: 'heapUsagePercent',
+        operator: 'ABOVE',
+        threshold: 90,
+        severity: 'warning',
+        enabled: true,
+      }],
+    }))
+
+    render(<SystemMonitoring />)
+    expect(screen.getByText('Heap usage is above 90%')).toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole('button', { name: /add rule/i }))
+    expect(screen.getByText('Rule name is required.')).toBeInTheDocument()
+    expect(saveAlertRule).not.toHaveBeenCalled()
+
+    await userEvent.type(screen.getByLabelText('Rule name'), 'Error spike')
+    await userEvent.selectOptions(screen.getByLabelText('Metric'), 'errorRate')
+    await userEvent.type(screen.getByLabelText(/^threshold/i), '5')
+    await userEvent.selectOptions(screen.getByLabelText('Severity'), 'critical')
+    await userEvent.click(screen.getByRole('button', { name: /add rule/i }))
+
+    expect(saveAlertRule).toHaveBeenCalledWith({
+      name: 'Error spike',
+      metric: 'errorRate',
+      operator: 'ABOVE',
+      threshold: 0.05,
+      severity: 'critical',
+      enabled: true,
+    }, undefined)
+  })
+
+  it('acknowledges alerts with a comment and shows the alert timeline', async () => {
+    const acknowledgeAlert = vi.fn().mockResolvedValue({})
+    useSystemMonitoring.mockReturnValue(makeAdminState({
+      acknowledgeAlert,
+      snoozeAlert: vi.fn(),
+      activeAlerts: [{
+        id: 'active-rule-1',
+        alertId: 'rule-1',
+        level: 'error',
+        title: 'Slow p95',
+        description: 'Value 168, threshold 100.',
+        acknowledgement: null,
+        snoozedUntil: null,
+      }],
+      alertTimeline: [{
+        id: 'event-1',
+        alertId: 'rule-1',
+        type: 'SNOOZED',
+        at: '2026-02-20T12:00:00.000Z',
+        title: 'Slow p95',
+        actor: { name: 'Sam Operator' },
+        comment: 'Deploy in progress',
+      }],
+    }))
+
+    render(<SystemMonitoring />)
+    expect(screen.getByText('Snoozed')).toBeInTheDocument()
+    expect(screen.getByText('Deploy in progress')).toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole('button', { name: 'Acknowledge' }))
+    await userEvent.click(screen.getAllByRole('button', { name: 'Acknowledge' }).at(-1))
+    expect(screen.getByText('A comment is required.')).toBeInTheDocument()
+
+    await userEvent.type(screen.getByLabelText('Comment'), 'Investigating')
+    await userEvent.click(screen.getAllByRole('button', { name: 'Acknowledge' }).at(-1))
+    expect(acknowledgeAlert).toHaveBeenCalledWith('rule-1', 'Investigating')
+  })
+
+  it('charts scraped Prometheus metrics and pins them to the dashboard', async () => {
+    const pinChart = vi.fn()
+    usePinnedMetricCharts.mockReturnValue({
+      pinnedCharts: [{ id: 'heap_bytes||', metric: 'heap_bytes', labelFilters: {}, quantile: '' }],
+      pinChart,
+      unpinChart: vi.fn(),
+    })
+    const scrape = (at, count) => ({
+      at,
+      families: parsePrometheusText([
+        '# TYPE http_requests_total counter',
+        `http_requests_total{route="/a"} ${count}`,
+        `http_requests_total{route="/b"} ${count * 2}`,
+        '# TYPE heap_bytes gauge',
+        'heap_bytes 2048',
+      ].join('\n')),
+    })
+    useSystemMonitoring.mockReturnValue(makeAdminState({
+      metricScrapes: [scrape(Date.parse('2026-02-20T12:00:00Z'), 10), scrape(Date.parse('2026-02-20T12:00:30Z'), 40)],
+    }))
+
+    render(<SystemMonitoring />)
+    expect(screen.getByRole('img', { name: /rate\(http_requests_total\) over/i })).toBeInTheDocument()
+    const legend = screen.getByRole('list', { name: 'rate(http_requests_total) series' })
+    expect(within(legend).getAllByRole('listitem').map((item) => item.textContent)).toEqual([
+      'route="/a"1/s',
+      'route="/b"2/s',
+    ])
+    expect(screen.getByText('heap_bytes')).toBeInTheDocument()
+
+    await userEvent.selectOptions(screen.getByLabelText('route'), '/b')
+    expect(within(screen.getByRole('list', { name: 'rate(http_requests_total) {route="/b"} series' }))
+      .getAllByRole('listitem')).toHaveLength(1)
+
+    await userEvent.click(screen.getByRole('button', { name: /pin to dashboard/i }))
+    expect(pinChart).toHaveBeenCalledWith({
+      id: 'http_requests_total|route=/b|',
+      metric: 'http_requests_total',
+      labelFilters: { route: '/b' },
+      quantile: '',
+    })
+
+    await userEvent.type(screen.getByLabelText('Search metrics'), 'heap')
+    expect(screen.getByLabelText('Metric')).toHaveValue('heap_bytes')
+  })
+
   it('renders section label for accessibility', () => {
     useSystemMonitoring.mockReturnValue(makeAdminState())
 
@@ -0,0 +1,220 @@
+/**
+ * Metrics Explorer
+ *
+ * Turns the parsed `/metrics` scrapes collected by `useSystemMonitoring`
+ * into chart series. The backend only exposes the current value of each
+ * metric, so history is the list of scrapes taken while the page is open,
+ * trimmed to the `/health/trends` window:
+ *   - counters   -> per-second rate between consecutive scrapes
+ *   - histograms -> chosen percentile of the observations made between
+ *                   consecutive scrapes (bucket deltas)
+ *   - summaries  -> the exported quantile as-is
+ *   - gauges     -> the value as-is
+ */
+
+import {
+  PROMETHEUS_METRIC_TYPES,
+  computeCounterRate,
+  histogramQuantile,
+  parsePrometheusValue,
+} from '../../utils/prometheusText.js'
+
+export const METRIC_CHART_QUANTILES = Object.freeze([
+  { value: '0.5', label: 'p50' },
+  { value: '0.9', label: 'p90' },
+  { value: '0.95', label: 'p95' },
+  { value: '0.99', label: 'p99' },
+])
+
+export const DEFAULT_METRIC_CHART_QUANTILE = '0.95'
+
+/** Labels that split a histogram or summary into buckets, not series. */
+const STRUCTURAL_LABELS = new Set(['le', 'quantile'])
+
+/**
+ * @typedef {Object} MetricChartSpec
+ * @property {string} metric - family name
+ * @property {Object<string, string>} labelFilters - exact label matches
+ * @property {string} [quantile] - histogram / summary percentile, e.g. `0.95`
+ */
+
+const getSeriesLabels = (labels) =>
+  Object.fromEntries(Object.entries(labels).filter(([key]) => !STRUCTURAL_LABELS.has(key)))
+
+const formatSeriesLabel = (labels) => {
+  const entries = Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))
+  return entries.length > 0 ? entries.map(([key, value]) => `${key}="${value}"`).join(', ') : 'all'
+}
+
+const matchesFilters = (labels, labelFilters = {}) =>
+  Object.entries(labelFilters).every(([key, value]) => !value || labels[key] === value)
+
+export const getMetricChartId = ({ metric, labelFilters = {}, quantile = '' }) => {
+  const filters = Object.entries(labelFilters)
+    .filter(([, value]) => value)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join(',')
+  return [metric, filters, quantile].join('|')
+}
+
+export const getMetricChartTitle = (spec, type) => {
+  const quantileLabel = METRIC_CHART_QUANTILES.find((entry) => entry.value === spec.quantile)?.label
+  const filters = Object.entries(spec.labelFilters ?? {}).filter(([, value]) => value)
+  const scope = filters.length > 0 ? ` {${filters.map(([key, value]) => `${key}="${value}"`).join(', ')}}` : ''
+
+  if (type === PROMETHEUS_METRIC_TYPES.COUNTER) return `rate(${spec.metric})${scope}`
+  if (type === PROMETHEUS_METRIC_TYPES.HISTOGRAM || type === PROMETHEUS_METRIC_TYPES.SUMMARY) {
+    return `${quantileLabel ?? spec.quantile} ${spec.metric}${scope}`
+  }
+  return `${spec.metric}${scope}`
+}
+
+/**
+ * Families in the latest scrape whose name or help text matches `search`.
+ * @param {import('../../utils/prometheusText.js').PrometheusMetricFamily[]} families
+ * @param {string} search
+ */
+export const filterMetricFamilies = (families, search) => {
+  const term = String(search ?? '').trim().toLowerCase()
+  return term
+    ? families.filter((family) => family.name.toLowerCase().includes(term) || family.help.toLowerCase().includes(term))
+    : families
+}
+
+/**
+ * Distinct values of every series label in a family, for the filter pickers.
+ * @returns {Object<string, string[]>}
+ */
+export const getMetricLabelValues = (family) => {
+  const values = {}
+  ;(family?.samples ?? []).forEach((sample) => {
+    Object.entries(getSeriesLabels(sample.labels)).forEach(([key, value]) => {
+      if (!values[key]) values[key] = new Set()
+      values[key].add(value)
+    })
+  })
+  return Object.fromEntries(
+    Object.entries(values)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, set]) => [key, [...set].sort()]),
+  )
+}
+
+// OpenMetrics counters may also export `<name>_created`; only the value sample is rated
+const getCounterSampleName = (family) =>
+  family.samples.find((sample) => !sample.name.endsWith('_created'))?.name
+
+const findFamily = (scrape, metric) => scrape.families.find((family) => family.name === metric) ?? null
+
+// { seriesKey: value } for the plain samples of a family
+const collectPlainSeries = (family, labelFilters, sampleName, quantile) => {
+  const series = new Map()
+  ;(family?.samples ?? []).forEach((sample) => {
+    if (sample.name !== sampleName || !matchesFilters(sample.labels, labelFilters)) return
+    if (quantile !== undefined && parsePrometheusValue(sample.labels.quantile) !== Number(quantile)) return
+    const labels = getSeriesLabels(sample.labels)
+    series.set(formatSeriesLabel(labels), sample.value)
+  })
+  return series
+}
+
+// { seriesKey: [{ le, count }] } for the buckets of a histogram family
+const collectHistogramSeries = (family, labelFilters) => {
+  const series = new Map()
+  ;(family?.samples ?? []).forEach((sample) => {
+    if (!sample.name.endsWith('_bucket') || !matchesFilters(sample.labels, labelFilters)) return
+    const le = parsePrometheusValue(sample.labels.le)
+    if (le === null) return
+    const key = formatSeriesLabel(getSeriesLabels(sample.labels))
+    if (!series.has(key)) series.set(key, [])
+    series.get(key).push({ le, count: sample.value })
+  })
+  return series
+}
+
+const subtractBuckets = (previous, current) => {
+  const previousByLe = new Map((previous ?? []).map((bucket) => [bucket.le, bucket.count]))
+  const hasReset = current.some((bucket) => bucket.count < (previousByLe.get(bucket.le) ?? 0))
+  return current.map((bucket) => ({
+    le: bucket.le,
+    count: hasReset ? bucket.count : bucket.count - (previousByLe.get(bucket.le) ?? 0),
+  }))
+}
+
+/**
+ * Build one line per matching series for a chart.
+ *
+ * @param {Array<{ at: number, families: Object[] }>} scrapes - oldest first
+ * @param {MetricChartSpec} spec
+ * @returns {{
+ *   type: string,
+ *   unit: string,
+ *   series: Array<{ key: string, points: Array<{ at: number, value: number }> }>
+ * }}
+ */
+export function buildMetricChartSeries(scrapes, spec) {
+  const latestFamily = [...(scrapes ?? [])].reverse().map((scrape) => findFamily(scrape, spec.metric)).find(Boolean)
+  const type = latestFamily?.type ?? PROMETHEUS_METRIC_TYPES.UNTYPED
+  const seriesPoints = new Map()
+  const addPoint = (key, at, value) => {
+    if (value === null || !Number.isFinite(value)) return
+    if (!seriesPoints.has(key)) seriesPoints.set(key, [])
+    seriesPoints.get(key).push({ at, value })
+  }
+
+  ;(scrapes ?? []).forEach((scrape, index) => {
+    const family = findFamily(scrape, spec.metric)
+    if (!family) return
+
+    if (type === PROMETHEUS_METRIC_TYPES.COUNTER || type === PROMETHEUS_METRIC_TYPES.HISTOGRAM) {
+      const previousScrape = scrapes[index - 1]
+      const previousFamily = previousScrape ? findFamily(previousScrape, spec.metric) : null
+      if (!previousFamily) return
+      const elapsedSeconds = (scrape.at - previousScrape.at) / 1000
+
+      if (type === PROMETHEUS_METRIC_TYPES.COUNTER) {
+        const previous = collectPlainSeries(previousFamily, spec.labelFilters, getCounterSampleName(previousFamily))
+        collectPlainSeries(family, spec.labelFilters, getCounterSampleName(family)).forEach((value, key) => {
+          if (previous.has(key)) addPoint(key, scrape.at, computeCounterRate(previous.get(key), value, elapsedSeconds))
+        })
+        return
+      }
+
+      const previous = collectHistogramSeries(previousFamily, spec.labelFilters)
+      collectHistogramSeries(family, spec.labelFilters).forEach((buckets, key) => {
+        if (!previous.has(key)) return
+        addPoint(key, scrape.at, histogramQuantile(Number(spec.quantile), subtractBuckets(previous.get(key), buckets)))
+      })
+      return
+    }
+
+    const quantile = type === PROMETHEUS_METRIC_TYPES.SUMMARY ? spec.quantile : undefined
+    collectPlainSeries(family, spec.labelFilters, family.name, quantile).forEach((value, key) => {
+      addPoint(key, scrape.at, value)
+    })
+  })
+
+  return {
+    type,
+    unit: type === PROMETHEUS_METRIC_TYPES.COUNTER ? '/s' : '',
+    series: [...seriesPoints.entries()]
+      .map(([key, points]) => ({ key, points }))
+      .sort((a, b) => a.key.localeCompare(b.key)),
+  }
+}
+
+export const formatMetricValue = (value, unit = '') => {
+  if (!Number.isFinite(value)) return '--'
+  const abs = Math.abs(value)
+  const formatted = abs >= 1e9
+    ? `${(value / 1e9).toFixed(2)}G`
+    : abs >= 1e6
+      ? `${(value / 1e6).toFixed(2)}M`
+      : abs >= 1e3
+        ? `${(value / 1e3).toFixed(2)}k`
+        : abs >= 1 || abs === 0
+          ? String(Number(value.toFixed(2)))
+          : String(Number(value.toPrecision(3)))
+  return `${formatted}${unit}`
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest'
+import { parsePrometheusText } from '../../utils/prometheusText.js'
+import {
+  buildMetricChartSeries,
+  filterMetricFamilies,
+  getMetricChartId,
+  getMetricChartTitle,
+  getMetricLabelValues,
+} from './metricsExplorer.js'
+
+const scrape = (at, { getA, postA, fast, slow, total, heap }) => ({
+  at,
+  families: parsePrometheusText([
+    '# HELP http_requests_total Total requests.',
+    '# TYPE http_requests_total counter',
+    `http_requests_total{method="GET",route="/a"} ${getA}`,
+    `http_requests_total{method="POST",route="/a"} ${postA}`,
+    '# TYPE http_duration_seconds histogram',
+    `http_duration_seconds_bucket{route="/a",le="0.1"} ${fast}`,
+    `http_duration_seconds_bucket{route="/a",le="0.5"} ${slow}`,
+    `http_duration_seconds_bucket{route="/a",le="+Inf"} ${total}`,
+    '# HELP heap_bytes Heap in use.',
+    '# TYPE heap_bytes gauge',
+    `heap_bytes ${heap}`,
+  ].join('\n')),
+})
+
+const SCRAPES = [
+  scrape(0, { getA: 100, postA: 10, fast: 10, slow: 20, total: 20, heap: 5 }),
+  scrape(30_000, { getA: 160, postA: 10, fast: 20, slow: 30, total: 30, heap: 6 }),
+  scrape(60_000, { getA: 30, postA: 13, fast: 20, slow: 30, total: 40, heap: 7 }),
+]
+
+describe('metricsExplorer', () => {
+  it('charts counters as per-second rates per series, honouring label filters and resets', () => {
+    const chart = buildMetricChartSeries(SCRAPES, { metric: 'http_requests_total', labelFilters: {} })
+
+    expect(chart.type).toBe('counter')
+    expect(chart.unit).toBe('/s')
+    expect(chart.series).toEqual([
+      { key: 'method="GET", route="/a"', points: [{ at: 30_000, value: 2 }, { at: 60_000, value: 1 }] },
+      { key: 'method="POST", route="/a"', points: [{ at: 30_000, value: 0 }, { at: 60_000, value: 0.1 }] },
+    ])
+
+    const filtered = buildMetricChartSeries(SCRAPES, { metric: 'http_requests_total', labelFilters: { method: 'POST' } })
+    expect(filtered.series.map((series) => series.key)).toEqual(['method="POST", route="/a"'])
+  })
+
+  it('charts histograms as percentiles of the observations between scrapes', () => {
+    const chart = buildMetricChartSeries(SCRAPES, {
+      metric: 'http_duration_seconds',
+      labelFilters: {},
+      quantile: '0.5',
+    })
+
+    // First interval: 10 new observations, all <= 0.1s. Second: 10 above 0.5s.
+    expect(chart.series).toEqual([
+      { key: 'route="/a"', points: [{ at: 30_000, value: 0.05 }, { at: 60_000, value: 0.5 }] },
+    ])
+  })
+
+  it('charts gauges as-is and describes charts for pinning', () => {
+    expect(buildMetricChartSeries(SCRAPES, { metric: 'heap_bytes', labelFilters: {} }).series[0].points)
+      .toEqual([{ at: 0, value: 5 }, { at: 30_000, value: 6 }, { at: 60_000, value: 7 }])
+
+    const families = SCRAPES[0].families
+    expect(filterMetricFamilies(families, 'heap in').map((family) => family.name)).toEqual(['heap_bytes'])
+    expect(getMetricLabelValues(families[0])).toEqual({ method: ['GET', 'POST'], route: ['/a'] })
+    expect(getMetricLabelValues(families[1])).toEqual({ route: ['/a'] })
+
+    const spec = { metric: 'http_duration_seconds', labelFilters: { route: '/a', method: '' }, quantile: '0.95' }
+    expect(getMetricChartId(spec)).toBe('http_duration_seconds|route=/a|0.95')
+    expect(getMetricChartTitle(spec, 'histogram')).toBe('p95 http_duration_seconds {route="/a"}')
+    expect(getMetricChartTitle({ metric: 'http_requests_total', labelFilters: {} }, 'counter'))
+      .toBe('rate(http_requests_total)')
+  })
+})
@@ -0,0 +1,142 @@
+/**
+ * Monitoring Alert Rules
+ *
+ * Form handling and display helpers for the threshold rules super admins
+ * define on the normalised monitoring metrics. Rules are evaluated by the
+ * backend on every `/health/alerts` poll; a breached rule shows up as an
+ * active alert that can be acknowledged or snoozed with a comment.
+ */
+
+export const ALERT_RULE_METRICS = Object.freeze([
+  { value: 'p95ResponseMs', label: 'P95 latency', unit: 'ms' },
+  { value: 'errorRate', label: 'Error rate', unit: '%' },
+  { value: 'eventLoopLagMs', label: 'Event-loop lag', unit: 'ms' },
+  { value: 'heapUsagePercent', label: 'Heap usage', unit: '%' },
+])
+
+export const ALERT_RULE_OPERATORS = Object.freeze([
+  { value: 'ABOVE', label: 'is above' },
+  { value: 'BELOW', label: 'is below' },
+])
+
+export const ALERT_RULE_SEVERITIES = Object.freeze([
+  { value: 'critical', label: 'Critical' },
+  { value: 'warning', label: 'Warning' },
+  { value: 'info', label: 'Info' },
+])
+
+export const ALERT_SNOOZE_OPTIONS = Object.freeze([
+  { value: '15', label: '15 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '240', label: '4 hours' },
+  { value: '1440', label: '24 hours' },
+])
+
+export const ALERT_TIMELINE_EVENT_LABELS = Object.freeze({
+  TRIGGERED: 'Triggered',
+  RESOLVED: 'Resolved',
+  ACKNOWLEDGED: 'Acknowledged',
+  SNOOZED: 'Snoozed',
+})
+
+export const INITIAL_ALERT_RULE_FORM = Object.freeze({
+  name: '',
+  metric: 'p95ResponseMs',
+  operator: 'ABOVE',
+  threshold: '',
+  severity: 'warning',
+  enabled: true,
+})
+
+const getMetricDefinition = (metric) =>
+  ALERT_RULE_METRICS.find((definition) => definition.value === metric) ?? null
+
+/**
+ * Error rate is stored as a fraction (0.05) but entered and shown as a
+ * percentage (5), matching how the status view formats it.
+ */
+const isFractionMetric = (metric) => metric === 'errorRate'
+
+export const formatAlertRuleThreshold = (metric, threshold) => {
+  const value = Number(threshold)
+  if (!Number.isFinite(value)) return '--'
+  const definition = getMetricDefinition(metric)
+  if (isFractionMetric(metric)) return `${Number((value * 100).toFixed(2))}%`
+  if (definition?.unit === '%') return `${value}%`
+  return definition?.unit ? `${value} ${definition.unit}` : String(value)
+}
+
+export const formatAlertRuleCondition = (rule) => {
+  const metricLabel = getMetricDefinition(rule?.metric)?.label ?? rule?.metric ?? 'Metric'
+  const operatorLabel = ALERT_RULE_OPERATORS.find((operator) => operator.value === rule?.operator)?.label ?? 'is above'
+  return `${metricLabel} ${operatorLabel} ${formatAlertRuleThreshold(rule?.metric, rule?.threshold)}`
+}
+
+export function mapAlertRuleToForm(rule) {
+  if (!rule) return { ...INITIAL_ALERT_RULE_FORM }
+
+  const threshold = Number(rule.threshold)
+  return {
+    name: String(rule.name ?? ''),
+    metric: String(rule.metric ?? INITIAL_ALERT_RULE_FORM.metric),
+    operator: String(rule.operator ?? INITIAL_ALERT_RULE_FORM.operator),
+    threshold: Number.isFinite(threshold)
+      ? String(isFractionMetric(rule.metric) ? Number((threshold * 100).toFixed(4)) : threshold)
+      : '',
+    severity: String(rule.severity ?? INITIAL_ALERT_RULE_FORM.severity),
+    enabled: rule.enabled !== false,
+  }
+}
+
+/**
+ * @param {typeof INITIAL_ALERT_RULE_FORM} form
+ * @returns {{ errors: Record<string, string>, payload: Object|null }}
+ */
+export function validateAlertRuleForm(form) {
+  const errors = {}
+  const name = String(form?.name ?? '').trim()
+  const metric = String(form?.metric ?? '')
+  const operator = String(form?.operator ?? '')
+  const severity = String(form?.severity ?? '')
+  const rawThreshold = String(form?.threshold ?? '').trim()
+  const threshold = Number(rawThreshold)
+
+  if (!name) errors.name = 'Rule name is required.'
+  if (!getMetricDefinition(metric)) errors.metric = 'Select a metric.'
+  if (!ALERT_RULE_OPERATORS.some((entry) => entry.value === operator)) errors.operator = 'Select a condition.'
+  if (!ALERT_RULE_SEVERITIES.some((entry) => entry.value === severity)) errors.severity = 'Select a severity.'
+
+  if (!rawThreshold || !Number.isFinite(threshold)) {
+    errors.threshold = 'Threshold must be a number.'
+  } else if (threshold < 0) {
+    errors.threshold = 'Threshold cannot be negative.'
+  } else if (getMetricDefinition(metric)?.unit === '%' && threshold > 100) {
+    errors.threshold = 'Percentage thresholds cannot exceed 100.'
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors, payload: null }
+  }
+
+  return {
+    errors,
+    payload: {
+      name,
+      metric,
+      operator,
+      threshold: isFractionMetric(metric) ? threshold / 100 : threshold,
+      severity,
+      enabled: form.enabled !== false,
+    },
+  }
+}
+
+/**
+ * @param {{ snoozedUntil?: string|null }} alert
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export const isAlertSnoozed = (alert, now = Date.now()) => {
+  const snoozedUntil = Date.parse(alert?.snoozedUntil ?? '')
+  return Number.isFinite(snoozedUntil) && snoozedUntil > now
+}
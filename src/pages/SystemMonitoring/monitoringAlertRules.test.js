@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest'
+import {
+  INITIAL_ALERT_RULE_FORM,
+  formatAlertRuleCondition,
+  isAlertSnoozed,
+  mapAlertRuleToForm,
+  validateAlertRuleForm,
+} from './monitoringAlertRules.js'
+
+describe('monitoringAlertRules', () => {
+  it('validates rule forms and stores error-rate thresholds as fractions', () => {
+    expect(validateAlertRuleForm({
+      ...INITIAL_ALERT_RULE_FORM,
+      name: ' Error spike ',
+      metric: 'errorRate',
+      threshold: '5',
+      severity: 'critical',
+    })).toEqual({
+      errors: {},
+      payload: {
+        name: 'Error spike',
+        metric: 'errorRate',
+        operator: 'ABOVE',
+        threshold: 0.05,
+        severity: 'critical',
+        enabled: true,
+      },
+    })
+
+    expect(validateAlertRuleForm({
+      ...INITIAL_ALERT_RULE_FORM,
+      metric: 'heapUsagePercent',
+      threshold: '120',
+      severity: 'urgent',
+    }).errors).toEqual({
+      name: 'Rule name is required.',
+      severity: 'Select a severity.',
+      threshold: 'Percentage thresholds cannot exceed 100.',
+    })
+    expect(validateAlertRuleForm({ ...INITIAL_ALERT_RULE_FORM, name: 'Lag', threshold: 'abc' }).errors)
+      .toEqual({ threshold: 'Threshold must be a number.' })
+  })
+
+  it('maps saved rules back into the form and formats their condition', () => {
+    const rule = {
+      name: 'Error spike',
+      metric: 'errorRate',
+      operator: 'ABOVE',
+      threshold: 0.05,
+      severity: 'critical',
+      enabled: false,
+    }
+
+    expect(mapAlertRuleToForm(rule)).toEqual({
+      name: 'Error spike',
+      metric: 'errorRate',
+      operator: 'ABOVE',
+      threshold: '5',
+      severity: 'critical',
+      enabled: false,
+    })
+    expect(formatAlertRuleCondition(rule)).toBe('Error rate is above 5%')
+    expect(formatAlertRuleCondition({ metric: 'p95ResponseMs', operator: 'BELOW', threshold: 200 }))
+      .toBe('P95 latency is below 200 ms')
+    expect(mapAlertRuleToForm(null)).toEqual(INITIAL_ALERT_RULE_FORM)
+  })
+
+  it('treats only future snooze deadlines as snoozed', () => {
+    const now = Date.parse('2026-05-01T10:00:00.000Z')
+
+    expect(isAlertSnoozed({ snoozedUntil: '2026-05-01T10:15:00.000Z' }, now)).toBe(true)
+    expect(isAlertSnoozed({ snoozedUntil: '2026-05-01T09:59:00.000Z' }, now)).toBe(false)
+    expect(isAlertSnoozed({ snoozedUntil: null }, now)).toBe(false)
+  })
+})
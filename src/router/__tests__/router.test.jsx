@@ -910,6 +910,7 @@ describe('Router', () => {
         'customers',
         'system-versioning',
         'audit-logs',
+        'audit-logs/resource/:resourceType/:resourceId',
         'denied-access-logs',
         'system-monitoring',
       ])
@@ -103,6 +103,9 @@ const SuperAdminSystemVersioning = lazy(
 const SuperAdminAuditLogs = lazy(
   () => import('../pages/SuperAdminAuditLogs'),
 )
+const SuperAdminResourceHistory = lazy(
+  () => import('../pages/SuperAdminResourceHistory'),
+)
 const SuperAdminDeniedAccessLogs = lazy(
   () => import('../pages/SuperAdminDeniedAccessLogs'),
 )
@@ -410,6 +413,10 @@ export const router = createBrowserRouter([
             path: 'audit-logs',
             element: <SuperAdminAuditLogs />,
           },
+          {
+            path: 'audit-logs/resource/:resourceType/:resourceId',
+            element: <SuperAdminResourceHistory />,
+          },
           {
             path: 'denied-access-logs',
             element: <SuperAdminDeniedAccessLogs />,
@@ -108,6 +108,7 @@ export const auditLogApi = baseApi.injectEndpoints({
 
 export const {
   useQueryAuditLogsQuery,
+  useLazyQueryAuditLogsQuery,
   useGetAuditStatsQuery,
   useLazyGetAuditLogsByRequestQuery,
   useLazyGetAuditLogsByResourceQuery,
@@ -9,7 +9,9 @@
  */
 
 import { baseApi } from './baseApi.js'
-import { setTokens, clearTokens } from '../../utils/tokenStorage.js'
+import { setTokens, clearTokens, getRefreshToken } from '../../utils/tokenStorage.js'
+import { broadcastLogout } from '../../utils/sessionSync.js'
+import { clearRuntimeOutboxEntries } from '../../utils/runtimeOutboxStorage.js'
 
 export const authApi = baseApi.injectEndpoints({
   endpoints: (build) => ({
@@ -72,14 +74,19 @@ export const authApi = baseApi.injectEndpoints({
     /**
      * POST /auth/logout
      * Blacklist current access token + revoke refresh.
+     * Other open tabs are told to end their session as well, and queued
+     * offline runtime edits are dropped so they never replay as another user.
      */
     logout: build.mutation({
       query: () => ({
         url: '/auth/logout',
         method: 'POST',
       }),
-      async onQueryStarted(_arg, { dispatch, queryFulfilled }) {
+      async onQueryStarted(_arg, { dispatch, getState, queryFulfilled }) {
+        const previousRefreshToken = getRefreshToken()
         clearTokens()
+        broadcastLogout({ previousRefreshToken, userId: getState().auth?.user?.id })
+        clearRuntimeOutboxEntries().catch(() => {})
         dispatch({ type: 'auth/clearCredentials' })
         try {
           await queryFulfilled
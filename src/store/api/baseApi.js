@@ -9,17 +9,28 @@
  * - Versioned base URL (`/api/v1`)
  * - Automatic JWT header injection
  * - Request-ID correlation via `X-Request-ID`
- * - Automatic token refresh on 401 responses
+ * - Automatic token refresh on 401 responses (single-flight, shared
+ *   across concurrent requests and relayed to other tabs)
+ * - Pluggable transport: the network by default, the in-browser mock
+ *   backend (`mockTransport.js`) when `VITE_API_MOCK` is enabled, or a
+ *   session recording (`replayTransport.js`) when `VITE_API_REPLAY_FILE`
+ *   is set
+ * - Capture session mode: every request/response pair is recorded
+ *   (redacted) for bug reports while `utils/apiCapture.js` is active
  */
 
 import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react'
 import {
   getAccessToken,
   getRefreshToken,
+  setRefreshToken,
   setTokens,
   clearTokens,
   isTokenExpired,
 } from '../../utils/tokenStorage.js'
+import { broadcastLogout, broadcastTokensRefreshed } from '../../utils/sessionSync.js'
+import { isApiCaptureActive, recordApiExchange } from '../../utils/apiCapture.js'
+import { REPLAY_REFRESH_TOKEN, createReplayBaseQuery } from './replayTransport.js'
 
 /* ------------------------------------------------------------------ */
 /*  Helpers                                                           */
@@ -40,25 +51,121 @@ const BASE_RETRY_DELAY_MS = 400
 /*  Base query with JWT + request-id headers                          */
 /* ------------------------------------------------------------------ */
 
-const rawBaseQuery = fetchBaseQuery({
-  baseUrl: import.meta.env.VITE_API_URL ?? '/api/v1',
-  prepareHeaders: (headers) => {
-    // Attach JWT access token if available
-    const token = getAccessToken()
-    if (token) {
-      headers.set('Authorization', `Bearer ${token}`)
-    }
+/** Versioned API root shared by RTK Query and streaming transports */
+export const API_BASE_URL = import.meta.env.VITE_API_URL ?? '/api/v1'
 
-    // Attach a correlation ID for every request
-    headers.set('X-Request-ID', generateRequestId())
+/**
+ * Apply the standard request headers (JWT, correlation ID, API version).
+ * Exported so non-RTK transports such as event streams authenticate the
+ * same way as every query.
+ * @param {Headers} headers
+ * @returns {Headers}
+ */
+export const applyApiRequestHeaders = (headers) => {
+  // Attach JWT access token if available
+  const token = getAccessToken()
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`)
+  }
 
-    // Request versioned responses
-    headers.set('API-Version', '1')
+  // Attach a correlation ID for every request
+  headers.set('X-Request-ID', generateRequestId())
+
+  // Request versioned responses
+  headers.set('API-Version', '1')
+
+  return headers
+}
 
-    return headers
-  },
+const ENABLED_FLAG_VALUES = new Set(['1', 'true', 'yes', 'on'])
+
+/**
+ * True when requests are answered by the in-browser mock backend instead
+ * of the network (demo / QA builds without a server).
+ * @returns {boolean}
+ */
+export const isApiMockMode = () =>
+  ENABLED_FLAG_VALUES.has(String(import.meta.env.VITE_API_MOCK ?? '').trim().toLowerCase())
+
+/**
+ * URL of a session recording to answer requests from, when replaying a
+ * captured bug report locally.
+ * @returns {string}
+ */
+export const getApiReplayFile = () => String(import.meta.env.VITE_API_REPLAY_FILE ?? '').trim()
+
+const networkBaseQuery = fetchBaseQuery({
+  baseUrl: API_BASE_URL,
+  prepareHeaders: applyApiRequestHeaders,
 })
 
+/**
+ * Mock transport loaded on first use so the seed data and router stay
+ * out of network-backed bundles.
+ */
+const createLazyMockBaseQuery = () => {
+  let transportPromise = null
+  return async (args, api, extraOptions) => {
+    if (!transportPromise) {
+      transportPromise = import('./mockTransport.js').then(({ createMockBaseQuery }) =>
+        createMockBaseQuery({
+          prepareHeaders: applyApiRequestHeaders,
+          latencyMs: Number(import.meta.env.VITE_API_MOCK_LATENCY_MS) || 0,
+        }))
+    }
+    const transport = await transportPromise
+    return transport(args, api, extraOptions)
+  }
+}
+
+/** Replay transport; the recording is fetched on first use. */
+const createLazyReplayBaseQuery = (recordingUrl) => {
+  let transportPromise = null
+  return async (args, api, extraOptions) => {
+    if (!transportPromise) {
+      transportPromise = fetch(recordingUrl)
+        .then((response) => response.json())
+        .then(createReplayBaseQuery)
+    }
+    const transport = await transportPromise
+    return transport(args, api, extraOptions)
+  }
+}
+
+const createInitialTransport = () => {
+  const replayFile = getApiReplayFile()
+  if (replayFile) {
+    // A refresh token lets AppInit restore the recorded session on load;
+    // the replay transport answers the refresh itself.
+    if (!getRefreshToken()) setRefreshToken(REPLAY_REFRESH_TOKEN)
+    return createLazyReplayBaseQuery(replayFile)
+  }
+  return isApiMockMode() ? createLazyMockBaseQuery() : networkBaseQuery
+}
+
+let apiTransport = createInitialTransport()
+
+/**
+ * Swap the transport behind every RTK Query request. Any function with
+ * the `fetchBaseQuery` signature works; pass `null` to go back to the
+ * network.
+ * @param {Function|null} transport
+ */
+export const setApiTransport = (transport) => {
+  apiTransport = transport ?? networkBaseQuery
+}
+
+const isNetworkTransport = () => apiTransport === networkBaseQuery
+
+const rawBaseQuery = async (args, api, extraOptions) => {
+  const startedAt = Date.now()
+  const result = await apiTransport(args, api, extraOptions)
+  if (isApiCaptureActive()) {
+    recordApiExchange({ args, result, endpoint: api?.endpoint, startedAt })
+  }
+  return result
+}
+
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
 
 const getRequestMethod = (args) => {
@@ -154,8 +261,9 @@ const executeWithBackoffRetry = async ({ args, api, extraOptions, maxRetries })
  * silent token refresh before retrying the original request once.
  */
 const baseQueryWithReauth = async (args, api, extraOptions) => {
-  // Offline guard: fail fast with a normalized shape.
-  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+  // Offline guard: fail fast with a normalized shape. In-browser
+  // transports keep working without a connection.
+  if (isNetworkTransport() && typeof navigator !== 'undefined' && navigator.onLine === false) {
     return {
       error: {
         status: 'CUSTOM_ERROR',
@@ -174,6 +282,7 @@ const baseQueryWithReauth = async (args, api, extraOptions) => {
     await attemptRefresh(api)
   }
 
+  const tokenUsed = getAccessToken()
   let result = await executeWithBackoffRetry({
     args,
     api,
@@ -182,7 +291,11 @@ const baseQueryWithReauth = async (args, api, extraOptions) => {
   })
 
   if (result.error && result.error.status === 401) {
-    const refreshed = await attemptRefresh(api)
+    // A refresh that finished while this request was in flight already
+    // rotated the token — retry with it instead of refreshing again.
+    const latestToken = getAccessToken()
+    const refreshed =
+      latestToken && latestToken !== tokenUsed ? true : await attemptRefresh(api)
     if (refreshed) {
       // Retry the original request with the new token
       result = await executeWithBackoffRetry({
@@ -198,19 +311,43 @@ const baseQueryWithReauth = async (args, api, extraOptions) => {
 }
 
 /**
- * Attempt to exchange the refresh token for a new token pair.
- * On failure, clear credentials and force logout.
- * @returns {boolean} true if refresh succeeded
+ * In-flight refresh shared by every request that needs a new token.
+ * Rotating refresh tokens are single-use, so parallel `/auth/refresh`
+ * calls would revoke each other and log the user out.
+ * @type {Promise<boolean>|null}
  */
-async function attemptRefresh(api) {
+let pendingRefresh = null
+
+/**
+ * Queue behind the in-flight refresh, or start one if none is running.
+ * @returns {Promise<boolean>} true if refresh succeeded
+ */
+function attemptRefresh(api) {
+  if (!pendingRefresh) {
+    pendingRefresh = performRefresh(api).finally(() => {
+      pendingRefresh = null
+    })
+  }
+  return pendingRefresh
+}
+
+/**
+ * Exchange the refresh token for a new token pair.
+ * Only a 401 from `/auth/refresh` ends the session, and only when no
+ * other tab rotated the token meanwhile. A network or server failure
+ * keeps the session so the next request can try again.
+ * @returns {Promise<boolean>} true if refresh succeeded
+ */
+async function performRefresh(api) {
   const refreshToken = getRefreshToken()
   if (!refreshToken) {
     api.dispatch({ type: 'auth/clearCredentials' })
     return false
   }
 
+  let refreshResult
   try {
-    const refreshResult = await rawBaseQuery(
+    refreshResult = await rawBaseQuery(
       {
         url: '/auth/refresh',
         method: 'POST',
@@ -225,6 +362,12 @@ async function attemptRefresh(api) {
       const tokens = refreshResult.data.data ?? refreshResult.data
       const { accessToken, refreshToken: newRefresh } = tokens
       setTokens({ accessToken, refreshToken: newRefresh })
+      broadcastTokensRefreshed({
+        accessToken,
+        refreshToken: newRefresh,
+        previousRefreshToken: refreshToken,
+        userId: api.getState().auth?.user?.id,
+      })
       api.dispatch({
         type: 'auth/tokenRefreshed',
         payload: { accessToken },
@@ -253,12 +396,28 @@ async function attemptRefresh(api) {
       return true
     }
   } catch {
-    // refresh failed
+    // Transport failure — nothing says the token is dead
+    return false
+  }
+
+  if (refreshResult.error?.status !== 401) return false
+
+  // Another tab (or a duplicate of this one) won the rotation race: its
+  // new pair reached tokenStorage through sessionSync, so use it
+  const storedRefreshToken = getRefreshToken()
+  if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+    api.dispatch({
+      type: 'auth/tokenRefreshed',
+      payload: { accessToken: getAccessToken() },
+    })
+    return true
   }
 
-  // Refresh failed — clear everything
+  // The token was rejected — clear everything, here and in the other tabs
+  // still holding the same dead token
   clearTokens()
   api.dispatch({ type: 'auth/clearCredentials' })
+  broadcastLogout({ previousRefreshToken: refreshToken })
   return false
 }
 
@@ -297,6 +456,7 @@ export const baseApi = createApi({
     'RuntimeFrameworkRegistry',
     'RuntimeAgent',
     'RuntimeAgentDependencies',
+    'RuntimeAgentTestCase',
     'RuntimeSkill',
     'RuntimePath',
     'RuntimeWorkflowPolicy',
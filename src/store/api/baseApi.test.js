@@ -0,0 +1,318 @@
+/**
+ * baseApi Tests
+ *
+ * Covers:
+ * - Concurrent 401s share a single /auth/refresh call
+ * - Every queued request is retried with the rotated token
+ * - A new refresh starts once the previous one has settled
+ * - A rejected refresh clears the session once
+ * - A refresh that cannot reach the server keeps the session
+ * - A refresh that loses the rotation race to another tab adopts its token
+ * - A successful refresh is relayed to other tabs
+ * - A plugged-in transport answers requests, even while offline
+ * - Capture mode records every exchange with its X-Request-ID
+ */
+
+import { configureStore } from '@reduxjs/toolkit'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { baseApi, setApiTransport } from './baseApi.js'
+import authReducer from '../slices/authSlice.js'
+import { clearTokens, getRefreshToken, setTokens } from '../../utils/tokenStorage.js'
+
+vi.mock('../../utils/sessionSync.js', () => ({
+  broadcastTokensRefreshed: vi.fn(),
+  broadcastLogout: vi.fn(),
+}))
+
+import { broadcastLogout, broadcastTokensRefreshed } from '../../utils/sessionSync.js'
+import { getApiCaptureEntries, startApiCapture, stopApiCapture } from '../../utils/apiCapture.js'
+
+const probeApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    probeBaseQuery: build.query({
+      query: (id) => `/probe/${id}`,
+    }),
+  }),
+  overrideExisting: false,
+})
+
+/* ------------------------------------------------------------------ */
+/*  Helpers                                                           */
+/* ------------------------------------------------------------------ */
+
+class TestRequest {
+  constructor(input, init = {}) {
+    this.url = new URL(typeof input === 'string' ? input : input.url, 'http://localhost').toString()
+    this.method = init.method || input?.method || 'GET'
+    this.headers = new Headers(init.headers || input?.headers || {})
+    this.body = init.body || input?.body || null
+    this.signal = init.signal || input?.signal
+  }
+
+  clone() {
+    return new TestRequest(this.url, this)
+  }
+}
+
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  })
+
+const createTestStore = () =>
+  configureStore({
+    reducer: {
+      auth: authReducer,
+      [baseApi.reducerPath]: baseApi.reducer,
+    },
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(baseApi.middleware),
+  })
+
+/* ------------------------------------------------------------------ */
+/*  Tests                                                             */
+/* ------------------------------------------------------------------ */
+
+describe('baseApi token refresh', () => {
+  const NativeRequest = globalThis.Request
+  let fetchSpy
+
+  beforeEach(() => {
+    vi.stubGlobal('Request', TestRequest)
+    clearTokens()
+    sessionStorage.clear()
+    setTokens({ accessToken: 'at-stale', refreshToken: 'rt-1' })
+  })
+
+  afterEach(() => {
+    fetchSpy?.mockRestore()
+    vi.stubGlobal('Request', NativeRequest)
+    vi.mocked(broadcastTokensRefreshed).mockClear()
+    vi.mocked(broadcastLogout).mockClear()
+  })
+
+  it('queues concurrent 401s behind one refresh and retries each with the new token', async () => {
+    const refreshBodies = []
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (request) => {
+      const { pathname } = new URL(request.url)
+
+      if (pathname.endsWith('/auth/refresh')) {
+        refreshBodies.push(request.body)
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        return jsonResponse(200, { data: { accessToken: 'at-fresh', refreshToken: 'rt-2' } })
+      }
+      if (pathname.endsWith('/auth/me')) {
+        return jsonResponse(200, { data: { user: { id: 'u-1' }, customerScopes: [] } })
+      }
+      if (request.headers.get('Authorization') !== 'Bearer at-fresh') {
+        return jsonResponse(401, { error: { code: 'TOKEN_EXPIRED' } })
+      }
+      return jsonResponse(200, { data: { id: pathname.split('/').pop() } })
+    })
+
+    const store = createTestStore()
+    const subscriptions = ['a', 'b', 'c', 'd', 'e'].map((id) =>
+      store.dispatch(probeApi.endpoints.probeBaseQuery.initiate(id)),
+    )
+
+    try {
+      const results = await Promise.all(subscriptions.map((sub) => sub.unwrap()))
+
+      expect(refreshBodies).toHaveLength(1)
+      expect(results.map((result) => result.data.id)).toEqual(['a', 'b', 'c', 'd', 'e'])
+      expect(getRefreshToken()).toBe('rt-2')
+      expect(broadcastTokensRefreshed).toHaveBeenCalledTimes(1)
+      expect(broadcastTokensRefreshed).toHaveBeenCalledWith(expect.objectContaining({
+        accessToken: 'at-fresh',
+        refreshToken: 'rt-2',
+        previousRefreshToken: 'rt-1',
+      }))
+      expect(broadcastLogout).not.toHaveBeenCalled()
+      expect(store.getState().auth.status).toBe('authenticated')
+    } finally {
+      subscriptions.forEach((sub) => sub.unsubscribe())
+    }
+  })
+
+  it('starts a new refresh once the previous one has settled', async () => {
+    let refreshCount = 0
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (request) => {
+      const { pathname } = new URL(request.url)
+
+      if (pathname.endsWith('/auth/refresh')) {
+        refreshCount += 1
+        return jsonResponse(200, {
+          data: { accessToken: `at-${refreshCount}`, refreshToken: `rt-${refreshCount + 1}` },
+        })
+      }
+      if (pathname.endsWith('/auth/me')) {
+        return jsonResponse(500, {})
+      }
+      if (request.headers.get('Authorization') === `Bearer at-${refreshCount}`) {
+        return jsonResponse(200, { data: { ok: true } })
+      }
+      return jsonResponse(401, {})
+    })
+
+    const store = createTestStore()
+    const first = store.dispatch(probeApi.endpoints.probeBaseQuery.initiate('first'))
+    await first.unwrap()
+
+    setTokens({ accessToken: 'at-expired-again', refreshToken: getRefreshToken() })
+    const second = store.dispatch(probeApi.endpoints.probeBaseQuery.initiate('second'))
+    await second.unwrap()
+
+    expect(refreshCount).toBe(2)
+    first.unsubscribe()
+    second.unsubscribe()
+  })
+
+  it('clears the session once when the shared refresh is rejected', async () => {
+    let refreshCount = 0
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (request) => {
+      const { pathname } = new URL(request.url)
+      if (pathname.endsWith('/auth/refresh')) {
+        refreshCount += 1
+        return jsonResponse(401, { error: { code: 'REFRESH_REVOKED' } })
+      }
+      return jsonResponse(401, {})
+    })
+
+    const store = createTestStore()
+    const subscriptions = ['x', 'y', 'z'].map((id) =>
+      store.dispatch(probeApi.endpoints.probeBaseQuery.initiate(id)),
+    )
+    const results = await Promise.all(subscriptions)
+
+    expect(refreshCount).toBe(1)
+    results.forEach((result) => expect(result.error?.status).toBe(401))
+    expect(getRefreshToken()).toBeNull()
+    expect(store.getState().auth.status).toBe('unauthenticated')
+    expect(broadcastTokensRefreshed).not.toHaveBeenCalled()
+    expect(broadcastLogout).toHaveBeenCalledTimes(1)
+    expect(broadcastLogout).toHaveBeenCalledWith({ previousRefreshToken: 'rt-1' })
+    subscriptions.forEach((sub) => sub.unsubscribe())
+  })
+
+  it('keeps the session when the refresh request fails without a response', async () => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (request) => {
+      const { pathname } = new URL(request.url)
+      if (pathname.endsWith('/auth/refresh')) {
+        throw new TypeError('Failed to fetch')
+      }
+      return jsonResponse(401, {})
+    })
+
+    const store = createTestStore()
+    const subscription = store.dispatch(probeApi.endpoints.probeBaseQuery.initiate('offline'))
+    const result = await subscription
+
+    expect(result.error?.status).toBe(401)
+    expect(getRefreshToken()).toBe('rt-1')
+    expect(store.getState().auth.status).not.toBe('unauthenticated')
+    expect(broadcastLogout).not.toHaveBeenCalled()
+    subscription.unsubscribe()
+  })
+
+  it('keeps the session when the refresh endpoint answers with a server error', async () => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (request) => {
+      const { pathname } = new URL(request.url)
+      if (pathname.endsWith('/auth/refresh')) {
+        return jsonResponse(503, { error: { code: 'SERVICE_UNAVAILABLE' } })
+      }
+      return jsonResponse(401, {})
+    })
+
+    const store = createTestStore()
+    const subscription = store.dispatch(probeApi.endpoints.probeBaseQuery.initiate('unavailable'))
+    await subscription
+
+    expect(getRefreshToken()).toBe('rt-1')
+    expect(broadcastLogout).not.toHaveBeenCalled()
+    subscription.unsubscribe()
+  })
+
+  it('uses the pair another tab rotated in while its own refresh was rejected', async () => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (request) => {
+      const { pathname } = new URL(request.url)
+      if (pathname.endsWith('/auth/refresh')) {
+        // The duplicated tab spent the shared token first and relayed its pair
+        setTokens({ accessToken: 'at-sibling', refreshToken: 'rt-sibling' })
+        return jsonResponse(401, { error: { code: 'REFRESH_TOKEN_INVALID' } })
+      }
+      if (request.headers.get('Authorization') === 'Bearer at-sibling') {
+        return jsonResponse(200, { data: { ok: true } })
+      }
+      return jsonResponse(401, {})
+    })
+
+    const store = createTestStore()
+    const subscription = store.dispatch(probeApi.endpoints.probeBaseQuery.initiate('race'))
+
+    try {
+      await expect(subscription.unwrap()).resolves.toEqual({ data: { ok: true } })
+      expect(getRefreshToken()).toBe('rt-sibling')
+      expect(store.getState().auth.status).not.toBe('unauthenticated')
+      expect(broadcastLogout).not.toHaveBeenCalled()
+    } finally {
+      subscription.unsubscribe()
+    }
+  })
+})
+
+describe('baseApi transport', () => {
+  afterEach(() => {
+    setApiTransport(null)
+    vi.restoreAllMocks()
+  })
+
+  it('routes requests through a plugged-in transport without the offline guard', async () => {
+    clearTokens()
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    const fetchSpy = vi.spyOn(globalThis, 'fetch')
+    const transport = vi.fn(async (args) => ({ data: { data: { url: args } } }))
+    setApiTransport(transport)
+
+    const store = createTestStore()
+    const subscription = store.dispatch(probeApi.endpoints.probeBaseQuery.initiate('offline'))
+
+    try {
+      const result = await subscription.unwrap()
+      expect(result).toEqual({ data: { url: '/probe/offline' } })
+      expect(transport).toHaveBeenCalledTimes(1)
+      expect(fetchSpy).not.toHaveBeenCalled()
+    } finally {
+      subscription.unsubscribe()
+    }
+  })
+
+  it('records each exchange while capture mode is on', async () => {
+    clearTokens()
+    startApiCapture()
+    setApiTransport(async (args) => ({
+      data: { data: { id: 'a', ownerEmail: 'owner@acme.test' } },
+      meta: {
+        request: { url: args, headers: new Headers({ 'X-Request-ID': 'req-capture' }) },
+        response: { status: 200, headers: new Headers() },
+      },
+    }))
+
+    const store = createTestStore()
+    const subscription = store.dispatch(probeApi.endpoints.probeBaseQuery.initiate('captured'))
+
+    try {
+      await subscription.unwrap()
+      const [entry] = getApiCaptureEntries()
+      expect(entry).toMatchObject({
+        _requestId: 'req-capture',
+        _requestKey: 'GET /probe/captured',
+        _endpoint: 'probeBaseQuery',
+        response: { status: 200 },
+      })
+      expect(entry.response.content.text).not.toContain('owner@acme.test')
+    } finally {
+      subscription.unsubscribe()
+      stopApiCapture()
+    }
+  })
+})
@@ -0,0 +1,1524 @@
+/**
+ * Mock Transport
+ *
+ * In-browser stand-in for the VMF backend, plugged in under `baseApi`
+ * when `VITE_API_MOCK` is enabled. It answers every injected endpoint
+ * from a seeded store (`mocks/mockBackend.fixtures.js`) persisted to
+ * IndexedDB, so demo and QA environments can be clicked through with no
+ * server at all.
+ *
+ * Routing:
+ *   1. Explicit routes — auth, step-up, health, audit tooling and runtime
+ *      state writes, which need real behaviour (token rotation,
+ *      optimistic concurrency, aggregate responses).
+ *   2. Generic REST resolver — everything else. Path segments that match
+ *      a stored record id become parent scopes (`/customers/:id/tenants`
+ *      lists tenants with `customerId === id`); a trailing segment after
+ *      an id is either a nested collection or a lifecycle action
+ *      (`/enable`, `/disable`, `/revoke`, …).
+ *
+ * Responses use the backend envelope (`{ data, meta }` on success,
+ * `{ error: { code, message, details } }` on failure) and the
+ * `fetchBaseQuery` result shape, so the retry, refresh and error
+ * normalisation paths in `baseApi` behave exactly as against the network.
+ *
+ * @module store/api/mockTransport
+ */
+
+import {
+  MOCK_BACKEND_PASSWORD,
+  buildInitialMockBackendState,
+} from '../../mocks/mockBackend.fixtures.js'
+import {
+  clearMockBackendSnapshot,
+  loadMockBackendSnapshot,
+  saveMockBackendSnapshot,
+} from '../../utils/mockBackendStorage.js'
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60
+const STEP_UP_TOKEN_TTL_SECONDS = 5 * 60
+const MAX_AUDIT_LOGS = 500
+const DEFAULT_PAGE_SIZE = 20
+const MOCK_ACTOR_FALLBACK = Object.freeze({ id: 'system', name: 'System' })
+
+/** Namespaces that scope routes without naming a collection. */
+const NAMESPACE_SEGMENTS = new Set(['super-admin'])
+
+/** Query params that control paging/search rather than filter fields. */
+const NON_FILTER_PARAMS = new Set([
+  'page',
+  'pageSize',
+  'limit',
+  'q',
+  'sortBy',
+  'sortOrder',
+  'includeDeleted',
+  'startDate',
+  'endDate',
+])
+
+const LIFECYCLE_ACTIONS = Object.freeze({
+  enable: 'ACTIVE',
+  disable: 'DISABLED',
+  activate: 'ACTIVE',
+  deactivate: 'INACTIVE',
+  revoke: 'REVOKED',
+  resend: 'PENDING',
+  'resend-invitation': 'PENDING',
+  approve: 'APPROVED',
+  publish: 'PUBLISHED',
+  archive: 'ARCHIVED',
+  supersede: 'SUPERSEDED',
+  complete: 'ACCEPTED',
+})
+
+/** Collections whose enabled state is spelled differently. */
+const ENABLED_STATUS_BY_COLLECTION = Object.freeze({ tenants: 'ENABLED' })
+
+const MOCK_SERVICES = Object.freeze({
+  database: { status: 'HEALTHY', latencyMs: 4 },
+  redis: { status: 'HEALTHY', latencyMs: 2 },
+  identityPlus: { status: 'HEALTHY', latencyMs: 38 },
+})
+
+/* ------------------------------------------------------------------ */
+/*  Errors and envelopes                                              */
+/* ------------------------------------------------------------------ */
+
+class MockHttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+const fail = (status, code, message, details) => {
+  throw new MockHttpError(status, code, message, details)
+}
+
+const ok = (data, meta) => ({ status: 200, body: meta ? { data, meta } : { data } })
+const created = (data) => ({ status: 201, body: { data } })
+
+const paginate = (rows, query) => {
+  const page = Math.max(1, Number.parseInt(query.get('page') ?? '', 10) || 1)
+  const pageSize = Math.max(
+    1,
+    Number.parseInt(query.get('pageSize') ?? query.get('limit') ?? '', 10) || DEFAULT_PAGE_SIZE,
+  )
+  const total = rows.length
+  return ok(rows.slice((page - 1) * pageSize, page * pageSize), {
+    page,
+    pageSize,
+    total,
+    totalPages: Math.max(1, Math.ceil(total / pageSize)),
+  })
+}
+
+/* ------------------------------------------------------------------ */
+/*  State                                                             */
+/* ------------------------------------------------------------------ */
+
+/** @type {Promise<Object>|null} */
+let statePromise = null
+let persistQueue = Promise.resolve()
+let auditSealQueue = Promise.resolve()
+let idCounter = 0
+
+const getState = () => {
+  if (!statePromise) {
+    statePromise = loadMockBackendSnapshot()
+      .catch(() => null)
+      .then((snapshot) => snapshot ?? buildInitialMockBackendState())
+  }
+  return statePromise
+}
+
+const persistState = (state) => {
+  const snapshot = structuredClone(state)
+  persistQueue = persistQueue
+    .then(() => saveMockBackendSnapshot(snapshot))
+    .catch(() => {})
+  return persistQueue
+}
+
+/**
+ * Drop all mock edits and start again from the seed.
+ * @returns {Promise<void>}
+ */
+export const resetMockBackend = async () => {
+  statePromise = null
+  await persistQueue
+  await clearMockBackendSnapshot()
+}
+
+const nowIso = () => new Date().toISOString()
+
+const nextId = (prefix) => {
+  idCounter += 1
+  return `${prefix}-${Date.now().toString(36)}${idCounter.toString(36)}`
+}
+
+const randomToken = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`
+
+const getCollection = (state, key) => {
+  if (!Array.isArray(state.collections[key])) state.collections[key] = []
+  return state.collections[key]
+}
+
+const matchesRecordId = (record, id) =>
+  record?.id === id || record?._id === id || (record?.key !== undefined && record.key === id)
+
+const findRecord = (state, key, id) =>
+  Array.isArray(state.collections[key])
+    ? state.collections[key].find((record) => matchesRecordId(record, id)) ?? null
+    : null
+
+const singularize = (segment) => {
+  if (segment.endsWith('ies')) return `${segment.slice(0, -3)}y`
+  if (segment.endsWith('s')) return segment.slice(0, -1)
+  return segment
+}
+
+const toCamelCase = (segment) =>
+  segment.replace(/-([a-z])/g, (_match, letter) => letter.toUpperCase())
+
+/** `runtime-instances` → `runtimeInstanceId` */
+const toParentField = (collectionKey) =>
+  `${toCamelCase(singularize(collectionKey.split('/').pop()))}Id`
+
+/** Audit `resourceType`s the backend spells differently from the collection. */
+const AUDIT_RESOURCE_TYPES = {
+  vmfs: 'VMF',
+  agents: 'RuntimeAgent',
+  skills: 'RuntimeSkill',
+  'runtime-paths': 'RuntimePathRegistry',
+  'validation-registry': 'ValidationRegistry',
+  'ui-contracts': 'UIContract',
+  'framework-registry': 'FrameworkRegistry',
+}
+
+/** `licence-levels` → `LICENCE_LEVEL` / `LicenceLevel` */
+const toResourceNames = (collectionKey) => {
+  const segment = collectionKey.split('/').pop()
+  const words = singularize(segment).split('-')
+  return {
+    actionPrefix: words.join('_').toUpperCase(),
+    resourceType: AUDIT_RESOURCE_TYPES[segment]
+      ?? words.map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(''),
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Sessions                                                          */
+/* ------------------------------------------------------------------ */
+
+const encodeTokenPart = (value) => btoa(JSON.stringify(value))
+
+/** Unsigned JWT-shaped token so `tokenStorage.isTokenExpired` can read `exp`. */
+const issueAccessToken = (userId) => {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  return [
+    encodeTokenPart({ alg: 'none', typ: 'JWT' }),
+    encodeTokenPart({ sub: userId, iat: issuedAt, exp: issuedAt + ACCESS_TOKEN_TTL_SECONDS, jti: randomToken() }),
+    'mock',
+  ].join('.')
+}
+
+const readAccessToken = (headers) => {
+  const authorization = headers.get('Authorization') ?? ''
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : ''
+  try {
+    return JSON.parse(atob(token.split('.')[1]))
+  } catch {
+    return null
+  }
+}
+
+const hasPlatformRole = (user, role) =>
+  (user?.memberships ?? []).some((membership) =>
+    membership.customerId === null && membership.roles?.includes(role))
+
+const getRolePermissions = (state, roleKeys) => [
+  ...new Set(
+    getCollection(state, 'roles')
+      .filter((role) => roleKeys.includes(role.key))
+      .flatMap((role) => role.permissions ?? []),
+  ),
+]
+
+const buildSessionProfile = (state, user) => {
+  const customerMemberships = (user.memberships ?? []).filter((membership) => membership.customerId)
+
+  return {
+    user,
+    customerScopes: customerMemberships.map(({ customerId }) => {
+      const customer = findRecord(state, 'customers', customerId)
+      const licenceLevel = findRecord(state, 'licence-levels', customer?.licenseLevelId)
+      return {
+        customerId,
+        featureEntitlements: licenceLevel?.featureEntitlements ?? [],
+        entitlementSource: 'LICENSE_LEVEL',
+        licenseLevelId: customer?.licenseLevelId ?? null,
+        topology: customer?.topology ?? null,
+        branding: customer?.branding ?? null,
+        defaultTenantId: getCollection(state, 'tenants')
+          .find((tenant) => tenant.customerId === customerId)?.id ?? null,
+      }
+    }),
+    resolvedPermissions: {
+      platform: {
+        roleKeys: (user.memberships ?? [])
+          .filter((membership) => membership.customerId === null)
+          .flatMap((membership) => membership.roles ?? []),
+        permissions: [],
+      },
+      customers: customerMemberships.map(({ customerId, roles = [] }) => ({
+        customerId,
+        roleKeys: roles,
+        permissions: getRolePermissions(state, roles),
+      })),
+      tenants: (user.tenantMemberships ?? []).map(({ customerId, tenantId, roles = [] }) => ({
+        customerId,
+        tenantId,
+        roleKeys: roles,
+        permissions: getRolePermissions(state, roles),
+      })),
+    },
+  }
+}
+
+const issueSession = (state, user) => {
+  const refreshToken = `mock-refresh-${randomToken()}`
+  state.sessions.refreshTokens[refreshToken] = user.id
+  return {
+    ...buildSessionProfile(state, user),
+    accessToken: issueAccessToken(user.id),
+    refreshToken,
+  }
+}
+
+const requireUser = (state, headers) => {
+  const claims = readAccessToken(headers)
+  if (!claims || claims.exp * 1000 <= Date.now()) {
+    fail(401, 'UNAUTHORIZED', 'Authentication required.')
+  }
+  const user = findRecord(state, 'users', claims.sub)
+  if (!user || user.isActive === false) fail(401, 'UNAUTHORIZED', 'Authentication required.')
+  return user
+}
+
+const requireStepUp = (state, headers) => {
+  const stepUpToken = headers.get('X-Step-Up-Token')
+  if (!stepUpToken) {
+    fail(403, 'STEP_UP_REQUIRED', 'Step-up verification is required for this action.')
+  }
+  const expiresAt = state.sessions.stepUpTokens[stepUpToken]
+  if (!expiresAt || expiresAt <= Date.now()) {
+    fail(403, 'STEP_UP_INVALID', 'Step-up token is invalid or expired.')
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Audit trail                                                       */
+/* ------------------------------------------------------------------ */
+
+const recordAudit = (context, { action, resourceType, resourceId, customerId, tenantId, diff }) => {
+  const auditLogs = getCollection(context.state, 'audit-logs')
+  const actor = context.user ?? MOCK_ACTOR_FALLBACK
+  const id = nextId('audit')
+  auditLogs.unshift({
+    id,
+    _id: id,
+    ts: nowIso(),
+    action,
+    actorUserId: { id: actor.id, name: actor.name, email: actor.email },
+    resourceType,
+    resourceId,
+    ...(customerId ? { customerId } : {}),
+    ...(tenantId ? { tenantId } : {}),
+    ...(diff ? { diff } : {}),
+    requestId: context.headers.get('X-Request-ID') ?? '',
+    isSystemEvent: !context.user,
+  })
+  auditLogs.length = Math.min(auditLogs.length, MAX_AUDIT_LOGS)
+}
+
+/**
+ * The mock backend's audit sealing contract, reported by
+ * `/audit-logs/verify`. Deliberately implemented here rather than with
+ * `utils/auditHashChain.js`, so the browser verifier is checked against
+ * a separate sealer. `_id` is a display alias and is not sealed.
+ */
+const AUDIT_CHAIN_CONTRACT = Object.freeze({
+  version: 1,
+  algorithm: 'SHA-256',
+  fields: Object.freeze([
+    'sequence',
+    'previousHash',
+    'id',
+    'ts',
+    'action',
+    'actorUserId',
+    'resourceType',
+    'resourceId',
+    'customerId',
+    'tenantId',
+    'diff',
+    'requestId',
+    'isSystemEvent',
+  ]),
+})
+const AUDIT_CHAIN_GENESIS_HASH = '0'.repeat(64)
+
+const isSealedAuditLog = (row) => typeof row.hash === 'string'
+
+const toSortedJson = (value) => JSON.stringify(value, (_key, nested) => (
+  nested && typeof nested === 'object' && !Array.isArray(nested)
+    ? Object.fromEntries(Object.keys(nested).sort().map((key) => [key, nested[key]]))
+    : nested
+))
+
+const hashAuditLog = async (row) => {
+  const sealedContent = Object.fromEntries(AUDIT_CHAIN_CONTRACT.fields
+    .filter((field) => row[field] !== undefined)
+    .map((field) => [field, row[field]]))
+  const digest = await globalThis.crypto.subtle.digest(
+    AUDIT_CHAIN_CONTRACT.algorithm,
+    new TextEncoder().encode(`${row.previousHash}\n${toSortedJson(sealedContent)}`),
+  )
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Chain new audit rows onto the newest sealed one, like the backend does
+ * on write. `recordAudit` stays synchronous, so the transport seals after
+ * each handler; rows are sealed in place so the response being built
+ * already carries the hashes. Runs are queued so concurrent requests
+ * never hand out the same sequence number. Skipped outside secure
+ * contexts, where SubtleCrypto is unavailable.
+ */
+const sealAuditLogs = (state) => {
+  auditSealQueue = auditSealQueue.then(async () => {
+    if (!globalThis.crypto?.subtle) return
+    const auditLogs = getCollection(state, 'audit-logs')
+    const unsealed = auditLogs.filter((row) => !isSealedAuditLog(row)).reverse()
+    let head = auditLogs.find(isSealedAuditLog) ?? { sequence: 0, hash: AUDIT_CHAIN_GENESIS_HASH }
+    for (const row of unsealed) {
+      Object.assign(row, { sequence: head.sequence + 1, previousHash: head.hash })
+      row.hash = await hashAuditLog(row)
+      head = row
+    }
+  }).catch(() => {})
+  return auditSealQueue
+}
+
+/**
+ * Server-side check for `/audit-logs/verify`: each row against its hash,
+ * and against the row before it where that row is in the range.
+ */
+const verifyAuditLogs = async (rows) => {
+  const bySequence = new Map(rows.filter(isSealedAuditLog).map((row) => [row.sequence, row]))
+  const results = []
+  for (const row of rows) {
+    const previous = bySequence.get(row.sequence - 1)
+    const reason = !isSealedAuditLog(row)
+      ? 'UNSEALED'
+      : (await hashAuditLog(row)) !== row.hash
+        ? 'HASH_MISMATCH'
+        : previous && previous.hash !== row.previousHash ? 'LINK_MISMATCH' : null
+    if (reason) results.push({ id: row.id, sequence: row.sequence ?? null, valid: false, reason })
+  }
+  return results
+}
+
+const countBy = (rows, field) =>
+  Object.entries(
+    rows.reduce((acc, row) => {
+      const key = row[field] ?? 'Unknown'
+      acc[key] = (acc[key] ?? 0) + 1
+      return acc
+    }, {}),
+  )
+    .map(([_id, count]) => ({ _id, count }))
+    .sort((left, right) => right.count - left.count)
+
+/* ------------------------------------------------------------------ */
+/*  Runtime instances                                                 */
+/* ------------------------------------------------------------------ */
+
+const buildRuntimeProjection = (runtimeInstance) => {
+  const { sections = [], ...instance } = runtimeInstance
+  return {
+    runtimeInstance: instance,
+    package: {
+      packageKey: instance.packageKey,
+      frameworkVersion: instance.packageVersion,
+    },
+    lifecycle: { stage: instance.lifecycleStage ?? 'DRAFT' },
+    validation: { state: 'UNKNOWN', messages: [] },
+    readiness: { state: 'DRAFT', ready: false, submittedForReview: false },
+    publish: { state: 'UNPUBLISHED', published: false, outputEligible: false },
+    lock: { state: 'UNLOCKED', locked: false },
+    sections,
+    actions: [],
+  }
+}
+
+const requireRuntimeInstance = (state, runtimeInstanceId) =>
+  findRecord(state, 'runtime-instances', runtimeInstanceId)
+    ?? fail(404, 'NOT_FOUND', 'Runtime instance not found.')
+
+/** Reject writes based on an older projection (see `utils/runtimeMerge.js`). */
+const assertRuntimeWriteIsCurrent = (runtimeInstance, body) => {
+  const staleUpdatedAt = body?.expectedUpdatedAt && body.expectedUpdatedAt !== runtimeInstance.updatedAt
+  const staleRevision = body?.expectedStateRevision !== undefined
+    && body.expectedStateRevision !== null
+    && String(body.expectedStateRevision) !== String(runtimeInstance.stateRevision)
+
+  if (staleUpdatedAt || staleRevision) {
+    fail(409, 'CONFLICT', 'This runtime instance was changed by someone else. Review the latest values and try again.', {
+      reason: 'RUNTIME_MUTATION_STALE',
+      updatedAt: runtimeInstance.updatedAt,
+      stateRevision: runtimeInstance.stateRevision,
+    })
+  }
+}
+
+const touchRuntimeInstance = (runtimeInstance) => {
+  runtimeInstance.updatedAt = nowIso()
+  runtimeInstance.stateRevision = Number(runtimeInstance.stateRevision ?? 0) + 1
+}
+
+const applyRuntimeWrite = (context) => {
+  const { state, params, body } = context
+  const runtimeInstance = requireRuntimeInstance(state, params.runtimeInstanceId)
+  assertRuntimeWriteIsCurrent(runtimeInstance, body)
+
+  const section = (runtimeInstance.sections ?? []).find((entry) => entry.runtimePath === body?.runtimePath)
+  if (section) {
+    const operation = String(body.operation ?? 'WRITE').toUpperCase()
+    section.value = operation === 'CLEAR' ? null : body.value
+    section.state = {
+      ...section.state,
+      status: operation === 'CLEAR' ? 'EMPTY' : 'DRAFT',
+      revisionCount: Number(section.state?.revisionCount ?? 0) + 1,
+    }
+  }
+  touchRuntimeInstance(runtimeInstance)
+  recordAudit(context, {
+    action: 'RUNTIME_STATE_UPDATED',
+    resourceType: 'RuntimeInstance',
+    resourceId: runtimeInstance.id,
+    customerId: runtimeInstance.customerId,
+    tenantId: runtimeInstance.tenantId,
+    diff: body?.runtimePath ? { runtimePath: body.runtimePath } : undefined,
+  })
+
+  return ok({ ...buildRuntimeProjection(runtimeInstance), section: section ?? null })
+}
+
+/** Any other runtime sub-resource mutation: honour concurrency, bump revision. */
+const applyRuntimeSubMutation = (context) => {
+  const { state, params, body } = context
+  const runtimeInstance = requireRuntimeInstance(state, params.runtimeInstanceId)
+  assertRuntimeWriteIsCurrent(runtimeInstance, body)
+  touchRuntimeInstance(runtimeInstance)
+  recordAudit(context, {
+    action: `RUNTIME_${params.rest.split('/')[0].replace(/-/g, '_').toUpperCase()}_UPDATED`,
+    resourceType: 'RuntimeInstance',
+    resourceId: runtimeInstance.id,
+    customerId: runtimeInstance.customerId,
+    tenantId: runtimeInstance.tenantId,
+  })
+  return ok(buildRuntimeProjection(runtimeInstance))
+}
+
+/*
+ * Chunked document uploads only track which chunks arrived; chunk content
+ * is dropped so the persisted mock store stays small.
+ */
+const requireDocumentUpload = (state, params) => {
+  requireRuntimeInstance(state, params.runtimeInstanceId)
+  return state.documentUploads?.[params.uploadId]
+    ?? fail(404, 'NOT_FOUND', 'Document upload not found.')
+}
+
+const createDocumentUpload = ({ state, params, body }) => {
+  requireRuntimeInstance(state, params.runtimeInstanceId)
+  const uploadId = nextId('upload')
+  if (!state.documentUploads) state.documentUploads = {}
+  state.documentUploads[uploadId] = {
+    uploadId,
+    runtimeInstanceId: params.runtimeInstanceId,
+    fileName: body?.fileName ?? '',
+    mimeType: body?.mimeType ?? '',
+    assetType: body?.assetType ?? '',
+    sizeBytes: Number(body?.sizeBytes) || 0,
+    chunkCount: Number(body?.chunkCount) || 1,
+    receivedChunks: [],
+    status: 'UPLOADING',
+    createdAt: nowIso(),
+  }
+  return created(state.documentUploads[uploadId])
+}
+
+const receiveDocumentUploadChunk = ({ state, params }) => {
+  const upload = requireDocumentUpload(state, params)
+  const index = Number(params.index)
+  if (!Number.isInteger(index) || index < 0 || index >= upload.chunkCount) {
+    fail(400, 'VALIDATION_FAILED', 'Chunk index is out of range.')
+  }
+  if (!upload.receivedChunks.includes(index)) upload.receivedChunks.push(index)
+  return ok({ uploadId: upload.uploadId, receivedChunks: upload.receivedChunks })
+}
+
+const completeDocumentUpload = ({ state, params }) => {
+  const upload = requireDocumentUpload(state, params)
+  if (upload.receivedChunks.length < upload.chunkCount) {
+    fail(409, 'UPLOAD_INCOMPLETE', 'Some chunks of this document have not been uploaded yet.')
+  }
+  upload.status = 'COMPLETE'
+  return ok(upload)
+}
+
+/* ------------------------------------------------------------------ */
+/*  Health                                                            */
+/* ------------------------------------------------------------------ */
+
+const startedAt = Date.now()
+
+const buildTrendPoints = () => {
+  const bucketMs = 60 * 1000
+  const end = Math.floor(Date.now() / bucketMs) * bucketMs
+  return Array.from({ length: 12 }, (_unused, index) => ({
+    timestamp: new Date(end - (11 - index) * bucketMs).toISOString(),
+    requestCount: 40 + ((index * 7) % 13),
+    errorRate: index === 8 ? 0.02 : 0,
+    avgResponseTimeMs: 60 + ((index * 11) % 25),
+    p95ResponseTimeMs: 140 + ((index * 17) % 60),
+  }))
+}
+
+/** Metric snapshot served by `/health/detailed` and checked by alert rules. */
+const MOCK_HEALTH_METRICS = Object.freeze({
+  avgResponseTimeMs: 72,
+  p95ResponseTimeMs: 168,
+  errorRate: 0.004,
+  requestsPerMinute: 46,
+  eventLoopLagMs: 5,
+  heapUsagePercent: 48.2,
+})
+
+/** Alert rules are keyed by the client's normalised metric names. */
+const ALERT_RULE_METRIC_VALUES = Object.freeze({
+  p95ResponseMs: MOCK_HEALTH_METRICS.p95ResponseTimeMs,
+  errorRate: MOCK_HEALTH_METRICS.errorRate,
+  eventLoopLagMs: MOCK_HEALTH_METRICS.eventLoopLagMs,
+  heapUsagePercent: MOCK_HEALTH_METRICS.heapUsagePercent,
+})
+const ALERT_RULE_OPERATORS = new Set(['ABOVE', 'BELOW'])
+const ALERT_RULE_SEVERITIES = new Set(['critical', 'warning', 'info'])
+const MAX_ALERT_TIMELINE_EVENTS = 200
+
+const validateAlertRule = (body, existing = {}) => {
+  const rule = { ...existing, ...body }
+  const details = {}
+  if (!String(rule.name ?? '').trim()) details.name = 'Rule name is required.'
+  if (!Object.hasOwn(ALERT_RULE_METRIC_VALUES, rule.metric)) details.metric = 'Unknown metric.'
+  if (!ALERT_RULE_OPERATORS.has(rule.operator)) details.operator = 'Operator must be ABOVE or BELOW.'
+  if (!ALERT_RULE_SEVERITIES.has(rule.severity)) details.severity = 'Severity must be critical, warning or info.'
+  if (!Number.isFinite(Number(rule.threshold))) details.threshold = 'Threshold must be a number.'
+  if (Object.keys(details).length > 0) fail(422, 'VALIDATION_FAILED', 'Alert rule is invalid.', details)
+
+  return {
+    name: String(rule.name).trim(),
+    metric: rule.metric,
+    operator: rule.operator,
+    threshold: Number(rule.threshold),
+    severity: rule.severity,
+    enabled: rule.enabled !== false,
+  }
+}
+
+const getMonitoringState = (state) => {
+  if (!state.monitoring) state.monitoring = { alerts: {}, timeline: [] }
+  return state.monitoring
+}
+
+const recordAlertEvent = (monitoring, alert, type, extra = {}) => {
+  monitoring.timeline.unshift({
+    id: nextId('alert-event'),
+    alertId: alert.id,
+    type,
+    at: nowIso(),
+    title: alert.title,
+    severity: alert.severity,
+    ...extra,
+  })
+  monitoring.timeline.length = Math.min(monitoring.timeline.length, MAX_ALERT_TIMELINE_EVENTS)
+}
+
+/**
+ * Re-evaluate every rule against the metric snapshot, opening an alert
+ * when a rule starts breaching and resolving it once it stops (or the
+ * rule is disabled or deleted).
+ */
+const syncRuleAlerts = (state) => {
+  const monitoring = getMonitoringState(state)
+  const rules = getCollection(state, 'health/alert-rules')
+  const breachedIds = new Set()
+
+  for (const rule of rules) {
+    const value = ALERT_RULE_METRIC_VALUES[rule.metric]
+    const breached = rule.enabled !== false
+      && (rule.operator === 'BELOW' ? value < rule.threshold : value > rule.threshold)
+    if (!breached) continue
+
+    const alertId = `rule-${rule.id}`
+    breachedIds.add(alertId)
+    const existing = monitoring.alerts[alertId]
+    if (existing?.status === 'active') {
+      Object.assign(existing, { title: rule.name, severity: rule.severity, threshold: rule.threshold, value, lastSeenAt: nowIso() })
+      continue
+    }
+
+    const alert = {
+      id: alertId,
+      code: 'ALERT_RULE_BREACHED',
+      ruleId: rule.id,
+      status: 'active',
+      title: rule.name,
+      severity: rule.severity,
+      metric: rule.metric,
+      message: `${rule.name}: ${rule.metric} is ${rule.operator === 'BELOW' ? 'below' : 'above'} ${rule.threshold}.`,
+      value,
+      threshold: rule.threshold,
+      firstSeenAt: nowIso(),
+      lastSeenAt: nowIso(),
+      resolvedAt: null,
+      timesTriggered: (existing?.timesTriggered ?? 0) + 1,
+      acknowledgement: null,
+      snoozedUntil: null,
+    }
+    monitoring.alerts[alertId] = alert
+    recordAlertEvent(monitoring, alert, 'TRIGGERED', { value })
+  }
+
+  Object.values(monitoring.alerts).forEach((alert) => {
+    if (alert.status !== 'active' || breachedIds.has(alert.id)) return
+    Object.assign(alert, { status: 'resolved', resolvedAt: nowIso(), snoozedUntil: null })
+    recordAlertEvent(monitoring, alert, 'RESOLVED')
+  })
+
+  return monitoring
+}
+
+const requireActiveAlert = (state, alertId) => {
+  const alert = syncRuleAlerts(state).alerts[alertId]
+  if (!alert || alert.status !== 'active') fail(404, 'NOT_FOUND', 'Active alert not found.')
+  return alert
+}
+
+const requireAlertComment = (body) => {
+  const comment = String(body?.comment ?? '').trim()
+  if (!comment) fail(422, 'VALIDATION_FAILED', 'A comment is required.', { comment: 'A comment is required.' })
+  return comment
+}
+
+const toActor = (user) => ({ id: user.id, name: user.name })
+
+const requireAlertManager = (user) => {
+  if (!hasPlatformRole(user, 'SUPER_ADMIN')) fail(403, 'FORBIDDEN', 'Super Admin access is required.')
+}
+
+/** Per-route request mix for the Prometheus scrape: requests per second and latency spread. */
+const MOCK_METRIC_ROUTES = [
+  { method: 'GET', route: '/api/v1/customers', rps: 0.4, errorShare: 0.002, latencyShare: [0.55, 0.3, 0.1, 0.04, 0.01] },
+  { method: 'GET', route: '/api/v1/runtime-instances', rps: 0.25, errorShare: 0.004, latencyShare: [0.3, 0.35, 0.2, 0.1, 0.05] },
+  { method: 'POST', route: '/api/v1/runtime-instances', rps: 0.08, errorShare: 0.02, latencyShare: [0.1, 0.25, 0.35, 0.2, 0.1] },
+]
+const MOCK_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1]
+
+const formatLabels = (labels) =>
+  `{${Object.entries(labels).map(([key, value]) => `${key}="${value}"`).join(',')}}`
+
+/**
+ * Counters grow with the time since the mock backend started, so
+ * successive scrapes yield steady rates and histogram percentiles.
+ */
+const buildPrometheusText = (state) => {
+  const elapsedSeconds = Math.max(1, (Date.now() - startedAt) / 1000)
+  const lines = [
+    '# HELP vmf_http_requests_total Total HTTP requests.',
+    '# TYPE vmf_http_requests_total counter',
+  ]
+  MOCK_METRIC_ROUTES.forEach(({ method, route, rps, errorShare }) => {
+    const total = Math.floor(rps * elapsedSeconds) + getCollection(state, 'audit-logs').length
+    const errors = Math.floor(total * errorShare)
+    lines.push(`vmf_http_requests_total${formatLabels({ method, route, status: '2xx' })} ${total - errors}`)
+    lines.push(`vmf_http_requests_total${formatLabels({ method, route, status: '5xx' })} ${errors}`)
+  })
+
+  lines.push(
+    '# HELP vmf_http_request_duration_seconds HTTP request latency.',
+    '# TYPE vmf_http_request_duration_seconds histogram',
+  )
+  MOCK_METRIC_ROUTES.forEach(({ method, route, rps, latencyShare }) => {
+    const total = Math.floor(rps * elapsedSeconds)
+    let cumulative = 0
+    MOCK_LATENCY_BUCKETS.forEach((le, index) => {
+      cumulative += latencyShare[index]
+      lines.push(`vmf_http_request_duration_seconds_bucket${formatLabels({ method, route, le: String(le) })} ${Math.floor(total * Math.min(1, cumulative))}`)
+    })
+    lines.push(`vmf_http_request_duration_seconds_bucket${formatLabels({ method, route, le: '+Inf' })} ${total}`)
+    lines.push(`vmf_http_request_duration_seconds_sum${formatLabels({ method, route })} ${(total * 0.14).toFixed(3)}`)
+    lines.push(`vmf_http_request_duration_seconds_count${formatLabels({ method, route })} ${total}`)
+  })
+
+  lines.push(
+    '# HELP vmf_nodejs_heap_used_bytes Process heap used.',
+    '# TYPE vmf_nodejs_heap_used_bytes gauge',
+    `vmf_nodejs_heap_used_bytes ${Math.round(96e6 + Math.sin(elapsedSeconds / 90) * 8e6)}`,
+    '# HELP vmf_nodejs_eventloop_lag_seconds Event loop lag.',
+    '# TYPE vmf_nodejs_eventloop_lag_seconds gauge',
+    `vmf_nodejs_eventloop_lag_seconds ${(MOCK_HEALTH_METRICS.eventLoopLagMs / 1000).toFixed(4)}`,
+    '# HELP vmf_health_active_alerts Active health alerts.',
+    '# TYPE vmf_health_active_alerts gauge',
+    `vmf_health_active_alerts ${Object.values(syncRuleAlerts(state).alerts).filter((alert) => alert.status === 'active').length}`,
+    '',
+  )
+  return lines.join('\n')
+}
+
+/* ------------------------------------------------------------------ */
+/*  Explicit routes                                                   */
+/* ------------------------------------------------------------------ */
+
+const login = ({ requireSuperAdmin }) => (context) => {
+  const { state, body } = context
+  const email = String(body?.email ?? '').trim().toLowerCase()
+  const user = getCollection(state, 'users').find((entry) => entry.email.toLowerCase() === email)
+
+  if (!user || body?.password !== MOCK_BACKEND_PASSWORD) {
+    fail(401, 'INVALID_CREDENTIALS', 'Invalid email or password.')
+  }
+  if (user.isActive === false) fail(403, 'USER_DISABLED', 'This account is disabled.')
+  if (requireSuperAdmin && !hasPlatformRole(user, 'SUPER_ADMIN')) {
+    fail(403, 'FORBIDDEN', 'Super Admin access is required.')
+  }
+
+  context.user = user
+  recordAudit(context, { action: 'USER_LOGIN', resourceType: 'User', resourceId: user.id })
+  return ok(issueSession(state, user))
+}
+
+/**
+ * Route table. `public` routes skip the bearer-token check; `*` captures
+ * the remainder of the path as `params.rest`.
+ */
+const ROUTES = [
+  { method: 'POST', path: '/auth/login', public: true, handle: login({ requireSuperAdmin: false }) },
+  { method: 'POST', path: '/auth/super-admin/login', public: true, handle: login({ requireSuperAdmin: true }) },
+  {
+    method: 'POST',
+    path: '/auth/refresh',
+    public: true,
+    handle: ({ state, body }) => {
+      const userId = state.sessions.refreshTokens[body?.refreshToken]
+      const user = userId ? findRecord(state, 'users', userId) : null
+      if (!user || user.isActive === false) {
+        fail(401, 'REFRESH_TOKEN_INVALID', 'Session expired. Please sign in again.')
+      }
+      // Refresh tokens rotate and are single-use, like the real backend.
+      delete state.sessions.refreshTokens[body.refreshToken]
+      const { accessToken, refreshToken } = issueSession(state, user)
+      return ok({ accessToken, refreshToken })
+    },
+  },
+  {
+    method: 'POST',
+    path: '/auth/logout',
+    handle: ({ state, user }) => {
+      Object.entries(state.sessions.refreshTokens).forEach(([token, userId]) => {
+        if (userId === user.id) delete state.sessions.refreshTokens[token]
+      })
+      return ok({ loggedOut: true })
+    },
+  },
+  {
+    method: 'GET',
+    path: '/auth/me',
+    handle: ({ state, user }) => ok(buildSessionProfile(state, user)),
+  },
+  {
+    method: 'POST',
+    path: '/auth/step-up',
+    handle: ({ state, body }) => {
+      if (body?.password !== MOCK_BACKEND_PASSWORD) {
+        fail(403, 'STEP_UP_INVALID', 'Password verification failed.')
+      }
+      const stepUpToken = `mock-step-up-${randomToken()}`
+      state.sessions.stepUpTokens[stepUpToken] = Date.now() + STEP_UP_TOKEN_TTL_SECONDS * 1000
+      return ok({ stepUpToken, expiresIn: STEP_UP_TOKEN_TTL_SECONDS })
+    },
+  },
+  {
+    method: 'GET',
+    path: '/fake-auth/invitations/:invitationId/public',
+    public: true,
+    handle: ({ state, params }) =>
+      ok(findRecord(state, 'invitations', params.invitationId)
+        ?? fail(404, 'NOT_FOUND', 'Invitation not found.')),
+  },
+  {
+    method: 'POST',
+    path: '/fake-auth/invitations/:invitationId/complete',
+    public: true,
+    handle: (context) => {
+      const invitation = findRecord(context.state, 'invitations', context.params.invitationId)
+        ?? fail(404, 'NOT_FOUND', 'Invitation not found.')
+      invitation.status = 'ACCEPTED'
+      invitation.updatedAt = nowIso()
+      recordAudit(context, { action: 'INVITATION_ACCEPTED', resourceType: 'Invitation', resourceId: invitation.id })
+      return ok(invitation)
+    },
+  },
+
+  { method: 'GET', path: '/health', public: true, handle: () => ok({ status: 'HEALTHY', timestamp: nowIso() }) },
+  {
+    method: 'GET',
+    path: '/health/detailed',
+    handle: () => ok({
+      status: 'HEALTHY',
+      timestamp: nowIso(),
+      uptime: Math.floor((Date.now() - startedAt) / 1000),
+      uptimePercent: 99.98,
+      services: MOCK_SERVICES,
+      metrics: MOCK_HEALTH_METRICS,
+      thresholds: { errorRate: 0.05, p95ResponseTimeMs: 1000 },
+      alertSummary: { activeCount: 0, resolvedCount: 1, total: 1 },
+    }),
+  },
+  { method: 'GET', path: '/metrics', handle: ({ state }) => ({ status: 200, body: buildPrometheusText(state), text: true }) },
+  {
+    method: 'GET',
+    path: '/health/trends',
+    handle: () => ok({ generatedAt: nowIso(), windowMs: 60 * 60 * 1000, bucketMs: 60 * 1000, points: buildTrendPoints() }),
+  },
+  {
+    method: 'GET',
+    path: '/health/alerts',
+    handle: ({ state, query }) => {
+      const status = query.get('status') === 'resolved' ? 'resolved' : 'active'
+      const ruleAlerts = Object.values(syncRuleAlerts(state).alerts)
+        .filter((alert) => alert.status === status)
+      return ok({
+        items: status === 'resolved'
+          ? [...ruleAlerts, {
+              code: 'HIGH_ERROR_RATE',
+              status: 'resolved',
+              severity: 'warning',
+              message: 'Error rate exceeded threshold.',
+              value: 0.06,
+              threshold: 0.05,
+              resolvedAt: new Date(startedAt).toISOString(),
+            }]
+          : ruleAlerts,
+      })
+    },
+  },
+  {
+    method: 'GET',
+    path: '/health/alerts/timeline',
+    handle: ({ state, query }) => {
+      const limit = Number.parseInt(query.get('limit') ?? '', 10) || 50
+      return ok({ items: syncRuleAlerts(state).timeline.slice(0, limit) })
+    },
+  },
+  {
+    method: 'POST',
+    path: '/health/alerts/:alertId/acknowledge',
+    handle: (context) => {
+      const { state, params, body, user } = context
+      requireAlertManager(user)
+      const comment = requireAlertComment(body)
+      const alert = requireActiveAlert(state, params.alertId)
+      alert.acknowledgement = { by: toActor(user), at: nowIso(), comment }
+      recordAlertEvent(getMonitoringState(state), alert, 'ACKNOWLEDGED', { actor: toActor(user), comment })
+      recordAudit(context, { action: 'ALERT_ACKNOWLEDGED', resourceType: 'Alert', resourceId: alert.id })
+      return ok(alert)
+    },
+  },
+  {
+    method: 'POST',
+    path: '/health/alerts/:alertId/snooze',
+    handle: (context) => {
+      const { state, params, body, user } = context
+      requireAlertManager(user)
+      const comment = requireAlertComment(body)
+      const durationMinutes = Number(body?.durationMinutes)
+      if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > 24 * 60) {
+        fail(422, 'VALIDATION_FAILED', 'Snooze duration is invalid.', {
+          durationMinutes: 'Snooze for between 1 minute and 24 hours.',
+        })
+      }
+      const alert = requireActiveAlert(state, params.alertId)
+      alert.snoozedUntil = new Date(Date.now() + durationMinutes * 60 * 1000).toISOString()
+      recordAlertEvent(getMonitoringState(state), alert, 'SNOOZED', {
+        actor: toActor(user),
+        comment,
+        snoozedUntil: alert.snoozedUntil,
+      })
+      recordAudit(context, { action: 'ALERT_SNOOZED', resourceType: 'Alert', resourceId: alert.id })
+      return ok(alert)
+    },
+  },
+  {
+    method: 'GET',
+    path: '/health/alert-rules',
+    handle: ({ state }) => ok(getCollection(state, 'health/alert-rules')),
+  },
+  {
+    method: 'POST',
+    path: '/health/alert-rules',
+    handle: (context) => {
+      requireAlertManager(context.user)
+      const rule = createRecord(context, 'health/alert-rules', {}, validateAlertRule(context.body ?? {}))
+      syncRuleAlerts(context.state)
+      return created(rule)
+    },
+  },
+  {
+    method: 'PATCH',
+    path: '/health/alert-rules/:ruleId',
+    handle: (context) => {
+      requireAlertManager(context.user)
+      const existing = findRecord(context.state, 'health/alert-rules', context.params.ruleId)
+        ?? fail(404, 'NOT_FOUND', 'Alert rule not found.')
+      const rule = updateRecord(context, 'health/alert-rules', existing.id, validateAlertRule(context.body ?? {}, existing))
+      syncRuleAlerts(context.state)
+      return ok(rule)
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/health/alert-rules/:ruleId',
+    handle: (context) => {
+      requireAlertManager(context.user)
+      const rules = getCollection(context.state, 'health/alert-rules')
+      const existing = findRecord(context.state, 'health/alert-rules', context.params.ruleId)
+        ?? fail(404, 'NOT_FOUND', 'Alert rule not found.')
+      rules.splice(rules.indexOf(existing), 1)
+      syncRuleAlerts(context.state)
+      recordAudit(context, { action: 'ALERT_RULE_DELETED', resourceType: 'AlertRule', resourceId: existing.id })
+      return ok({ id: existing.id, deleted: true })
+    },
+  },
+
+  {
+    method: 'GET',
+    path: '/audit-logs/stats',
+    handle: ({ state, query }) => {
+      const customerId = query.get('customerId')
+      const rows = getCollection(state, 'audit-logs')
+        .filter((row) => !customerId || row.customerId === customerId)
+      return ok({ total: rows.length, byAction: countBy(rows, 'action'), byResourceType: countBy(rows, 'resourceType') })
+    },
+  },
+  {
+    method: 'GET',
+    path: '/audit-logs/request/:requestId',
+    handle: ({ state, params }) =>
+      ok(getCollection(state, 'audit-logs').filter((row) => row.requestId === params.requestId)),
+  },
+  {
+    method: 'GET',
+    path: '/audit-logs/resource/:resourceType/:resourceId',
+    handle: ({ state, params, query }) => paginate(
+      getCollection(state, 'audit-logs').filter((row) =>
+        row.resourceType === params.resourceType && row.resourceId === params.resourceId),
+      query,
+    ),
+  },
+  {
+    method: 'POST',
+    path: '/audit-logs/verify',
+    handle: async ({ state, body }) => {
+      const ids = Array.isArray(body?.ids) ? body.ids : null
+      const rows = getCollection(state, 'audit-logs')
+        .filter((row) =>
+          (!ids || ids.includes(row.id))
+          && (!body?.customerId || row.customerId === body.customerId)
+          && (!body?.startDate || row.ts >= body.startDate)
+          && (!body?.endDate || row.ts <= body.endDate))
+        .slice(0, Number(body?.limit) || MAX_AUDIT_LOGS)
+      const results = await verifyAuditLogs(rows)
+      return ok({
+        total: rows.length,
+        valid: rows.length - results.length,
+        invalid: results.length,
+        results,
+        chain: AUDIT_CHAIN_CONTRACT,
+      })
+    },
+  },
+
+  {
+    method: 'GET',
+    path: '/roles/permissions/catalogue',
+    handle: ({ state }) => ok(state.permissionsCatalogue),
+  },
+  {
+    method: 'GET',
+    path: '/customers/:customerId/users/assignable-roles',
+    handle: ({ state }) => ok(getCollection(state, 'roles').filter((role) => role.scope !== 'PLATFORM')),
+  },
+  {
+    method: 'POST',
+    path: '/customers/:customerId/users/bulk',
+    handle: (context) => {
+      const users = (context.body?.users ?? []).map((user) =>
+        createRecord(context, 'users', { customerId: context.params.customerId }, user))
+      return created({ created: users, failed: [] })
+    },
+  },
+  {
+    method: 'PATCH',
+    path: '/customers/:customerId/users/bulk',
+    handle: (context) => {
+      const updated = (context.body?.users ?? [])
+        .map(({ id, userId, ...changes }) => updateRecord(context, 'users', id ?? userId, changes))
+      return ok({ updated, failed: [] })
+    },
+  },
+  {
+    method: 'POST',
+    path: '/customers/:customerId/users/bulk-disable',
+    handle: (context) => {
+      const updated = (context.body?.userIds ?? [])
+        .map((userId) => applyLifecycleAction(context, 'users', userId, 'disable'))
+      return ok({ updated, failed: [] })
+    },
+  },
+  {
+    method: 'POST',
+    path: '/customers/onboard',
+    handle: (context) => created(createRecord(context, 'customers', {}, context.body?.customer ?? context.body)),
+  },
+  {
+    method: 'POST',
+    path: '/customers/:customerId/admins',
+    handle: (context) => ok(updateRecord(context, 'customers', context.params.customerId, {
+      governance: { customerAdminUserId: context.body?.userId },
+    })),
+  },
+  {
+    method: 'POST',
+    path: '/customers/:customerId/admins/replace',
+    handle: (context) => ok(updateRecord(context, 'customers', context.params.customerId, {
+      governance: { customerAdminUserId: context.body?.newUserId },
+    })),
+  },
+  {
+    method: 'POST',
+    path: '/customers/:customerId/admin-invitations',
+    handle: (context) => created(createRecord(
+      context,
+      'invitations',
+      { customerId: context.params.customerId },
+      { ...context.body, status: 'PENDING' },
+    )),
+  },
+  {
+    method: 'GET',
+    path: '/customers/:customerId/tenants/:tenantId/vmfs/framework-packages',
+    handle: ({ query }) => paginate([], query),
+  },
+  {
+    method: 'GET',
+    path: '/system-versioning-policy',
+    handle: ({ state }) =>
+      ok(getCollection(state, 'system-versioning-policy').find((policy) => policy.status === 'ACTIVE') ?? null),
+  },
+  {
+    method: 'GET',
+    path: '/system-versioning-policy/history',
+    handle: ({ state, query }) => paginate(getCollection(state, 'system-versioning-policy'), query),
+  },
+  {
+    method: 'POST',
+    path: '/system-versioning-policy',
+    handle: (context) => {
+      getCollection(context.state, 'system-versioning-policy').forEach((policy) => {
+        if (policy.status === 'ACTIVE') policy.status = 'SUPERSEDED'
+      })
+      return created(createRecord(context, 'system-versioning-policy', {}, { ...context.body, status: 'ACTIVE' }))
+    },
+  },
+
+  {
+    method: 'GET',
+    path: '/runtime-instances/:runtimeInstanceId/renderer',
+    handle: ({ state, params }) => ok(buildRuntimeProjection(requireRuntimeInstance(state, params.runtimeInstanceId))),
+  },
+  { method: 'PATCH', path: '/runtime-instances/:runtimeInstanceId/data', handle: applyRuntimeWrite },
+  { method: 'POST', path: '/runtime-instances/:runtimeInstanceId/document-uploads', handle: createDocumentUpload },
+  {
+    method: 'GET',
+    path: '/runtime-instances/:runtimeInstanceId/document-uploads/:uploadId',
+    handle: ({ state, params }) => ok(requireDocumentUpload(state, params)),
+  },
+  {
+    method: 'PUT',
+    path: '/runtime-instances/:runtimeInstanceId/document-uploads/:uploadId/chunks/:index',
+    handle: receiveDocumentUploadChunk,
+  },
+  {
+    method: 'POST',
+    path: '/runtime-instances/:runtimeInstanceId/document-uploads/:uploadId/complete',
+    handle: completeDocumentUpload,
+  },
+  {
+    method: 'DELETE',
+    path: '/runtime-instances/:runtimeInstanceId/document-uploads/:uploadId',
+    handle: ({ state, params }) => {
+      requireDocumentUpload(state, params)
+      delete state.documentUploads[params.uploadId]
+      return ok({ uploadId: params.uploadId, deleted: true })
+    },
+  },
+  {
+    method: 'GET',
+    path: '/runtime-instances/:runtimeInstanceId/*',
+    handle: ({ state, params }) => {
+      const runtimeInstance = requireRuntimeInstance(state, params.runtimeInstanceId)
+      return ok({ ...buildRuntimeProjection(runtimeInstance), items: [] })
+    },
+  },
+  { method: 'POST', path: '/runtime-instances/:runtimeInstanceId/*', handle: applyRuntimeSubMutation },
+  { method: 'PATCH', path: '/runtime-instances/:runtimeInstanceId/*', handle: applyRuntimeSubMutation },
+]
+
+const compileRoute = (route) => {
+  const pattern = route.path
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') return '(?<rest>.+)'
+      if (segment.startsWith(':')) return `(?<${segment.slice(1)}>[^/]+)`
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('/')
+  return { ...route, pattern: new RegExp(`^${pattern}$`) }
+}
+
+const COMPILED_ROUTES = ROUTES.map(compileRoute)
+
+/** Exact paths win over namespace-stripped ones (`/auth/super-admin/login`). */
+const matchRoute = (method, paths) => {
+  for (const path of paths) {
+    const route = COMPILED_ROUTES.find((entry) => entry.method === method && entry.pattern.test(path))
+    if (route) return { route, params: path.match(route.pattern).groups ?? {} }
+  }
+  return { route: null, params: {} }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Generic REST resolver                                             */
+/* ------------------------------------------------------------------ */
+
+function createRecord(context, collectionKey, scope, fields = {}) {
+  const id = nextId(singularize(collectionKey.split('/').pop()))
+  const timestamp = nowIso()
+  const record = {
+    status: 'ACTIVE',
+    ...fields,
+    ...scope,
+    id,
+    _id: id,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  }
+  if (collectionKey === 'users') record.isActive = record.status === 'ACTIVE'
+  getCollection(context.state, collectionKey).unshift(record)
+
+  const { actionPrefix, resourceType } = toResourceNames(collectionKey)
+  recordAudit(context, {
+    action: `${actionPrefix}_CREATED`,
+    resourceType,
+    resourceId: id,
+    ...scope,
+    diff: { after: fields },
+  })
+  return record
+}
+
+function updateRecord(context, collectionKey, id, changes = {}) {
+  const record = findRecord(context.state, collectionKey, id)
+    ?? fail(404, 'NOT_FOUND', `${toResourceNames(collectionKey).resourceType} not found.`)
+  const before = Object.fromEntries(Object.keys(changes).map((key) => [key, record[key] ?? null]))
+  Object.assign(record, changes, { updatedAt: nowIso() })
+
+  const { actionPrefix, resourceType } = toResourceNames(collectionKey)
+  recordAudit(context, {
+    action: `${actionPrefix}_UPDATED`,
+    resourceType,
+    resourceId: record.id,
+    customerId: record.customerId,
+    tenantId: record.tenantId,
+    diff: { before, after: changes },
+  })
+  return record
+}
+
+function applyLifecycleAction(context, collectionKey, id, action) {
+  const record = findRecord(context.state, collectionKey, id)
+    ?? fail(404, 'NOT_FOUND', `${toResourceNames(collectionKey).resourceType} not found.`)
+  const status = action === 'status'
+    ? String(context.body?.status ?? record.status).toUpperCase()
+    : action === 'enable'
+      ? ENABLED_STATUS_BY_COLLECTION[collectionKey] ?? LIFECYCLE_ACTIONS.enable
+      : LIFECYCLE_ACTIONS[action]
+  const previousStatus = record.status ?? null
+
+  record.status = status
+  record.updatedAt = nowIso()
+  if (collectionKey === 'users') record.isActive = status === 'ACTIVE'
+
+  const { actionPrefix, resourceType } = toResourceNames(collectionKey)
+  recordAudit(context, {
+    action: `${actionPrefix}_${status}`,
+    resourceType,
+    resourceId: record.id,
+    customerId: record.customerId,
+    tenantId: record.tenantId,
+    diff: { before: { status: previousStatus }, after: { status } },
+  })
+  return record
+}
+
+const getSearchText = (record) =>
+  [record.name, record.email, record.title, record.key, record.label, record.id]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+
+const getFilterValues = (record, field) => {
+  if (field === 'role') {
+    return [
+      record.role,
+      ...(record.memberships ?? []).flatMap((membership) => membership.roles ?? []),
+      ...(record.tenantMemberships ?? []).flatMap((membership) => membership.roles ?? []),
+    ].filter(Boolean)
+  }
+  const value = record[field]
+  if (value === undefined) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+const listRecords = (state, collectionKey, scope, query) => {
+  const q = String(query.get('q') ?? '').trim().toLowerCase()
+  const startDate = query.get('startDate')
+  const endDate = query.get('endDate')
+  const filters = [...query.entries()].filter(([key, value]) => value !== '' && !NON_FILTER_PARAMS.has(key))
+
+  const rows = getCollection(state, collectionKey).filter((record) =>
+    Object.entries(scope).every(([field, value]) => record[field] === value)
+    && (query.get('includeDeleted') === 'true' || record.status !== 'DELETED')
+    && (!q || getSearchText(record).includes(q))
+    && (!startDate || String(record.ts ?? record.createdAt) >= startDate)
+    && (!endDate || String(record.ts ?? record.createdAt) <= endDate)
+    // Fields a record does not carry are not filtered on, so unmodelled
+    // query params never empty a list.
+    && filters.every(([field, value]) => {
+      const candidates = getFilterValues(record, field)
+      return candidates.length === 0 || candidates.some((candidate) => String(candidate) === value)
+    }))
+
+  return paginate(rows, query)
+}
+
+/**
+ * Walk the path, treating segments that match a stored record id as
+ * parent scopes for the segments that follow.
+ */
+const resolveResource = (state, segments) => {
+  const scope = {}
+  let collectionSegments = []
+  let record = null
+  let collectionKey = null
+
+  for (const segment of segments) {
+    const candidateKey = [...collectionSegments, segment].join('/')
+    if (collectionSegments.length > 0 && !state.collections[candidateKey]) {
+      const key = collectionSegments.join('/')
+      const match = findRecord(state, key, segment)
+      if (match) {
+        if (record) scope[toParentField(collectionKey)] = record.id
+        record = match
+        collectionKey = key
+        collectionSegments = []
+        continue
+      }
+    }
+    collectionSegments.push(segment)
+  }
+
+  return { scope, record, collectionKey, trailing: collectionSegments }
+}
+
+const handleGenericRequest = (context, segments) => {
+  const { state, method, query, body } = context
+  const { scope, record, collectionKey, trailing } = resolveResource(state, segments)
+
+  if (record && trailing.length === 0) {
+    if (method === 'GET') return ok(record)
+    if (method === 'PATCH' || method === 'PUT') return ok(updateRecord(context, collectionKey, record.id, body ?? {}))
+    if (method === 'DELETE') {
+      const collection = getCollection(state, collectionKey)
+      collection.splice(collection.indexOf(record), 1)
+      const { actionPrefix, resourceType } = toResourceNames(collectionKey)
+      recordAudit(context, {
+        action: `${actionPrefix}_DELETED`,
+        resourceType,
+        resourceId: record.id,
+        customerId: record.customerId,
+        tenantId: record.tenantId,
+      })
+      return ok({ id: record.id, deleted: true })
+    }
+  }
+
+  const trailingKey = trailing.join('/')
+  if (record && method !== 'GET' && (LIFECYCLE_ACTIONS[trailingKey] || trailingKey === 'status')) {
+    return ok(applyLifecycleAction(context, collectionKey, record.id, trailingKey))
+  }
+
+  const parentScope = record ? { ...scope, [toParentField(collectionKey)]: record.id } : scope
+  const documentKey = [collectionKey, record?.id, trailingKey].filter(Boolean).join('/')
+  if (!state.documents) state.documents = {}
+
+  // Singleton documents (settings, readiness checks) are written with
+  // PUT/PATCH and read back whole.
+  if (method === 'PUT' || method === 'PATCH') {
+    state.documents[documentKey] = { ...state.documents[documentKey], ...body, updatedAt: nowIso() }
+    return ok(state.documents[documentKey])
+  }
+  if (method === 'GET' && state.documents[documentKey] && !state.collections[trailingKey]) {
+    return ok(state.documents[documentKey])
+  }
+
+  if (method === 'GET') {
+    // An unknown id under a populated collection is a missing record,
+    // not an empty nested collection.
+    const parentKey = trailing.slice(0, -1).join('/')
+    if (trailing.length > 1 && state.collections[parentKey]?.length && !state.collections[trailingKey]) {
+      fail(404, 'NOT_FOUND', `${toResourceNames(parentKey).resourceType} not found.`)
+    }
+    return listRecords(state, trailingKey, parentScope, query)
+  }
+  if (method === 'POST' && trailingKey) {
+    return created(createRecord(context, trailingKey, parentScope, body ?? {}))
+  }
+
+  return fail(404, 'NOT_FOUND', 'No mock route for this request.')
+}
+
+/* ------------------------------------------------------------------ */
+/*  Transport                                                         */
+/* ------------------------------------------------------------------ */
+
+const stripUndefined = (headers = {}) =>
+  Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== undefined))
+
+const parseRequest = (args) => {
+  const request = typeof args === 'string' ? { url: args } : { ...args }
+  const [rawPath, rawQuery = ''] = String(request.url ?? '').split('?')
+  const query = new URLSearchParams(rawQuery)
+  Object.entries(request.params ?? {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query.set(key, String(value))
+  })
+
+  // `../../health` breaks out of the versioned base URL.
+  const segments = rawPath
+    .split('/')
+    .filter((segment) => segment && segment !== '..' && segment !== '.')
+    .map((segment) => decodeURIComponent(segment))
+
+  return {
+    method: String(request.method ?? 'GET').toUpperCase(),
+    segments,
+    query,
+    body: request.body instanceof FormData ? Object.fromEntries(request.body.entries()) : request.body,
+    rawHeaders: request.headers ?? {},
+  }
+}
+
+const toResult = ({ status, body, text }, meta) =>
+  status >= 400
+    ? { error: { status, data: body }, meta }
+    : { data: text ? body : structuredClone(body), meta }
+
+/**
+ * Build a `fetchBaseQuery`-compatible transport backed by the mock store.
+ *
+ * @param {Object} [options]
+ * @param {(headers: Headers, api: Object) => Headers} [options.prepareHeaders]
+ *   Same hook `fetchBaseQuery` takes — used to attach the bearer token and
+ *   correlation id so the mock sees exactly what the server would.
+ * @param {number} [options.latencyMs=0] - artificial delay per request
+ * @returns {(args: string|Object, api: Object) => Promise<Object>}
+ */
+export const createMockBaseQuery = ({ prepareHeaders, latencyMs = 0 } = {}) =>
+  async (args, api) => {
+    const { method, segments, query, body, rawHeaders } = parseRequest(args)
+    const headers = new Headers(stripUndefined(rawHeaders))
+    if (prepareHeaders) await prepareHeaders(headers, api ?? {})
+    if (latencyMs > 0) await new Promise((resolve) => setTimeout(resolve, latencyMs))
+
+    const state = await getState()
+    const namespacedPath = `/${segments.join('/')}`
+    const resourceSegments = segments.filter((segment) => !NAMESPACE_SEGMENTS.has(segment))
+    const path = `/${resourceSegments.join('/')}`
+    const { route, params } = matchRoute(method, [namespacedPath, path])
+    const context = { state, method, query, body, headers, params, user: null }
+
+    let response
+    try {
+      if (!route?.public) {
+        context.user = requireUser(state, headers)
+        if (segments[0] === 'super-admin' && !hasPlatformRole(context.user, 'SUPER_ADMIN')) {
+          fail(403, 'FORBIDDEN', 'Super Admin access is required.')
+        }
+      }
+      // Endpoints that send the step-up header are the step-up protected ones.
+      if (Object.hasOwn(rawHeaders, 'X-Step-Up-Token')) requireStepUp(state, headers)
+
+      if (route) {
+        response = await route.handle(context)
+      } else {
+        response = handleGenericRequest(context, resourceSegments)
+      }
+      await sealAuditLogs(state)
+      if (method !== 'GET') await persistState(state)
+    } catch (error) {
+      if (!(error instanceof MockHttpError)) throw error
+      response = {
+        status: error.status,
+        body: {
+          error: {
+            code: error.code,
+            message: error.message,
+            ...(error.details ? { details: error.details } : {}),
+          },
+        },
+      }
+    }
+
+    const responseHeaders = new Headers({ 'x-request-id': headers.get('X-Request-ID') ?? '' })
+    return toResult(response, {
+      request: { url: namespacedPath, method, headers },
+      response: { status: response.status, headers: responseHeaders },
+    })
+  }
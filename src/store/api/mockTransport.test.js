@@ -0,0 +1,288 @@
+/**
+ * mockTransport Tests
+ *
+ * Covers:
+ * - Login, /auth/me and bearer-token enforcement
+ * - Single-use refresh-token rotation
+ * - Step-up protected endpoints
+ * - Generic scoped collections, lifecycle actions and audit trail
+ * - Optimistic concurrency on runtime state writes
+ * - Chunked document upload sessions
+ * - Persistence and reset of the mock store
+ * - Health alert rules, acknowledgements, snoozes and timeline
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest'
+import { createMockBaseQuery, resetMockBackend } from './mockTransport.js'
+import { MOCK_BACKEND_PASSWORD } from '../../mocks/mockBackend.fixtures.js'
+import { loadMockBackendSnapshot } from '../../utils/mockBackendStorage.js'
+import { resolveAuditChainScheme, verifyAuditHashChain } from '../../utils/auditHashChain.js'
+
+let accessToken = null
+let requestCounter = 0
+
+const mockBaseQuery = createMockBaseQuery({
+  prepareHeaders: (headers) => {
+    if (accessToken) headers.set('Authorization', `Bearer ${accessToken}`)
+    requestCounter += 1
+    headers.set('X-Request-ID', `test-request-${requestCounter}`)
+    return headers
+  },
+})
+
+const request = (args) => mockBaseQuery(args, {})
+
+const signIn = async (email = 'superadmin@vmf.demo') => {
+  const result = await request({
+    url: '/auth/login',
+    method: 'POST',
+    body: { email, password: MOCK_BACKEND_PASSWORD },
+  })
+  accessToken = result.data.data.accessToken
+  return result.data.data
+}
+
+describe('mockTransport', () => {
+  beforeEach(async () => {
+    accessToken = null
+    await resetMockBackend()
+  })
+
+  it('signs in and rejects requests without a bearer token', async () => {
+    const anonymous = await request('/auth/me')
+    expect(anonymous.error.status).toBe(401)
+
+    const session = await signIn('admin@acme.demo')
+    expect(session.refreshToken).toEqual(expect.any(String))
+    expect(session.resolvedPermissions.customers[0]).toMatchObject({
+      customerId: 'customer-acme',
+      roleKeys: ['CUSTOMER_ADMIN'],
+    })
+
+    const me = await request('/auth/me')
+    expect(me.data.data.user.email).toBe('admin@acme.demo')
+
+    const wrongPassword = await request({
+      url: '/auth/login',
+      method: 'POST',
+      body: { email: 'admin@acme.demo', password: 'nope' },
+    })
+    expect(wrongPassword.error).toMatchObject({
+      status: 401,
+      data: { error: { code: 'INVALID_CREDENTIALS' } },
+    })
+  })
+
+  it('rotates refresh tokens and refuses a reused one', async () => {
+    const { refreshToken } = await signIn()
+
+    const refreshed = await request({ url: '/auth/refresh', method: 'POST', body: { refreshToken } })
+    expect(refreshed.data.data.refreshToken).not.toBe(refreshToken)
+
+    const reused = await request({ url: '/auth/refresh', method: 'POST', body: { refreshToken } })
+    expect(reused.error.status).toBe(401)
+  })
+
+  it('requires a step-up token on step-up protected endpoints', async () => {
+    await signIn()
+    const replaceAdmin = (stepUpToken) => request({
+      url: '/customers/customer-acme/admins/replace',
+      method: 'POST',
+      body: { newUserId: 'user-acme-editor', reason: 'Handover' },
+      headers: { 'X-Step-Up-Token': stepUpToken },
+    })
+
+    const withoutStepUp = await replaceAdmin(undefined)
+    expect(withoutStepUp.error.data.error.code).toBe('STEP_UP_REQUIRED')
+
+    const stepUp = await request({ url: '/auth/step-up', method: 'POST', body: { password: MOCK_BACKEND_PASSWORD } })
+    const withStepUp = await replaceAdmin(stepUp.data.data.stepUpToken)
+    expect(withStepUp.data.data.governance.customerAdminUserId).toBe('user-acme-editor')
+  })
+
+  it('serves scoped collections, lifecycle actions and the audit trail', async () => {
+    await signIn()
+
+    const tenants = await request('/customers/customer-acme/tenants?page=1&pageSize=1')
+    expect(tenants.data.data).toHaveLength(1)
+    expect(tenants.data.meta).toMatchObject({ page: 1, pageSize: 1, total: 2, totalPages: 2 })
+
+    const disabled = await request({ url: '/customers/customer-acme/tenants/tenant-acme-apac/disable', method: 'POST' })
+    expect(disabled.data.data.status).toBe('DISABLED')
+    const enabled = await request({ url: '/tenants/tenant-acme-apac/enable', method: 'POST' })
+    expect(enabled.data.data.status).toBe('ENABLED')
+
+    const createdVmf = await request({
+      url: '/customers/customer-acme/tenants/tenant-acme-apac/vmfs',
+      method: 'POST',
+      body: { name: 'APAC Narrative' },
+    })
+    expect(createdVmf.data.data).toMatchObject({ customerId: 'customer-acme', tenantId: 'tenant-acme-apac' })
+
+    const missing = await request('/vmfs/vmf-unknown')
+    expect(missing.error.status).toBe(404)
+
+    const auditLogs = await request({ url: '/audit-logs', params: { resourceType: 'VMF' } })
+    expect(auditLogs.data.data[0]).toMatchObject({
+      action: 'VMF_CREATED',
+      resourceId: createdVmf.data.data.id,
+      requestId: expect.stringMatching(/^test-request-/),
+    })
+  })
+
+  it('rejects runtime writes made against a stale projection', async () => {
+    await signIn('editor@acme.demo')
+    const renderer = await request('/runtime-instances/runtime-acme-value/renderer')
+    const { updatedAt } = renderer.data.data.runtimeInstance
+    const write = (expectedUpdatedAt, value) => request({
+      url: '/runtime-instances/runtime-acme-value/data',
+      method: 'PATCH',
+      body: {
+        runtimePath: 'framework_state.sections.value_outcome',
+        operation: 'WRITE',
+        value,
+        expectedUpdatedAt,
+      },
+    })
+
+    const saved = await write(updatedAt, 'Halve proposal time.')
+    expect(saved.data.data.section.value).toBe('Halve proposal time.')
+    expect(saved.data.data.runtimeInstance.stateRevision).toBe(2)
+
+    const stale = await write(updatedAt, 'Something else')
+    expect(stale.error).toMatchObject({
+      status: 409,
+      data: { error: { code: 'CONFLICT', details: { reason: 'RUNTIME_MUTATION_STALE' } } },
+    })
+  })
+
+  it('tracks chunked document uploads until every chunk arrives', async () => {
+    await signIn('editor@acme.demo')
+    const base = '/runtime-instances/runtime-acme-value/document-uploads'
+    const session = await request({
+      url: base,
+      method: 'POST',
+      body: { fileName: 'deck.pptx', sizeBytes: 3000000, chunkCount: 2, assetType: 'CUSTOMER_DOCUMENT' },
+    })
+    const { uploadId } = session.data.data
+    const chunk = (index) => request({ url: `${base}/${uploadId}/chunks/${index}`, method: 'PUT', body: { contentBase64: 'AA==' } })
+
+    await chunk(0)
+    const early = await request({ url: `${base}/${uploadId}/complete`, method: 'POST' })
+    expect(early.error).toMatchObject({ status: 409, data: { error: { code: 'UPLOAD_INCOMPLETE' } } })
+
+    const status = await request(`${base}/${uploadId}`)
+    expect(status.data.data.receivedChunks).toEqual([0])
+
+    await chunk(1)
+    const completed = await request({ url: `${base}/${uploadId}/complete`, method: 'POST' })
+    expect(completed.data.data.status).toBe('COMPLETE')
+
+    await request({ url: `${base}/${uploadId}`, method: 'DELETE' })
+    expect((await request(`${base}/${uploadId}`)).error.status).toBe(404)
+  })
+
+  it('persists edits and restores the seed on reset', async () => {
+    await signIn()
+    await request({ url: '/customers/customer-globex', method: 'PATCH', body: { name: 'Globex Renamed' } })
+
+    const snapshot = await loadMockBackendSnapshot()
+    expect(snapshot.collections.customers.find(({ id }) => id === 'customer-globex').name).toBe('Globex Renamed')
+
+    await resetMockBackend()
+    await signIn()
+    const customer = await request('/customers/customer-globex')
+    expect(customer.data.data.name).toBe('Globex')
+  })
+
+  it('answers health endpoints outside the versioned root', async () => {
+    await signIn()
+    const health = await request('../../health')
+    expect(health.data.data.status).toBe('HEALTHY')
+
+    const metrics = await request({ url: '../../metrics', responseHandler: 'text' })
+    expect(metrics.data).toContain('vmf_health_active_alerts 0')
+  })
+
+  it('raises alerts from threshold rules and records acknowledgements and snoozes', async () => {
+    await signIn()
+    const invalid = await request({
+      url: '../../health/alert-rules',
+      method: 'POST',
+      body: { name: '', metric: 'cpu', operator: 'ABOVE', threshold: 'x', severity: 'critical' },
+    })
+    expect(invalid.error.status).toBe(422)
+    expect(Object.keys(invalid.error.data.error.details)).toEqual(['name', 'metric', 'threshold'])
+
+    const rule = await request({
+      url: '../../health/alert-rules',
+      method: 'POST',
+      body: { name: 'Slow p95', metric: 'p95ResponseMs', operator: 'ABOVE', threshold: 100, severity: 'critical' },
+    })
+    expect(rule.data.data).toMatchObject({ name: 'Slow p95', enabled: true })
+
+    const active = await request('../../health/alerts?status=active')
+    const [alert] = active.data.data.items
+    expect(alert).toMatchObject({ id: `rule-${rule.data.data.id}`, title: 'Slow p95', severity: 'critical', value: 168 })
+
+    const uncommented = await request({ url: `../../health/alerts/${alert.id}/acknowledge`, method: 'POST', body: {} })
+    expect(uncommented.error.status).toBe(422)
+
+    await request({ url: `../../health/alerts/${alert.id}/acknowledge`, method: 'POST', body: { comment: 'Looking into it' } })
+    const snoozed = await request({
+      url: `../../health/alerts/${alert.id}/snooze`,
+      method: 'POST',
+      body: { comment: 'Deploy in progress', durationMinutes: 60 },
+    })
+    expect(snoozed.data.data.acknowledgement.comment).toBe('Looking into it')
+    expect(Date.parse(snoozed.data.data.snoozedUntil)).toBeGreaterThan(Date.now())
+
+    await request({
+      url: `../../health/alert-rules/${rule.data.data.id}`,
+      method: 'PATCH',
+      body: { enabled: false },
+    })
+    const resolved = await request('../../health/alerts?status=resolved')
+    expect(resolved.data.data.items.map((item) => item.id)).toContain(alert.id)
+
+    const timeline = await request('../../health/alerts/timeline')
+    expect(timeline.data.data.items.map((event) => event.type))
+      .toEqual(['RESOLVED', 'SNOOZED', 'ACKNOWLEDGED', 'TRIGGERED'])
+    expect(timeline.data.data.items[1]).toMatchObject({ comment: 'Deploy in progress', actor: { name: expect.any(String) } })
+  })
+
+  it('limits alert management to super admins', async () => {
+    await signIn('admin@acme.demo')
+    const result = await request({
+      url: '../../health/alert-rules',
+      method: 'POST',
+      body: { name: 'Heap', metric: 'heapUsagePercent', operator: 'ABOVE', threshold: 90, severity: 'warning' },
+    })
+    expect(result.error.status).toBe(403)
+  })
+
+  it('seals the audit trail into a hash chain the server and client both verify', async () => {
+    await signIn()
+    await request({ url: '/tenants/tenant-acme-apac/disable', method: 'POST' })
+    await request({ url: '/tenants/tenant-acme-apac/enable', method: 'POST' })
+
+    const auditLogs = await request({ url: '/audit-logs', params: { pageSize: 100 } })
+    const rows = auditLogs.data.data
+    expect(rows.map((row) => row.sequence)).toEqual(rows.map((_row, index) => rows.length - index))
+    expect(rows.at(-1)).toMatchObject({ id: expect.stringMatching(/^audit-seed-/), previousHash: '0'.repeat(64) })
+    expect(rows[0].previousHash).toBe(rows[1].hash)
+
+    const serverResult = await request({ url: '/audit-logs/verify', method: 'POST', body: {} })
+    expect(serverResult.data.data).toMatchObject({
+      total: rows.length,
+      valid: rows.length,
+      invalid: 0,
+      results: [],
+      chain: { version: 1, algorithm: 'SHA-256' },
+    })
+
+    const scheme = resolveAuditChainScheme(serverResult.data.data.chain)
+    const verification = await verifyAuditHashChain(rows, { scheme, expectContiguous: true })
+    expect(verification).toMatchObject({ intact: true, linksChecked: rows.length - 1, headHash: rows[0].hash })
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * Replay Transport
+ *
+ * Answers RTK Query from a session recording exported by the capture
+ * mode (`utils/apiCapture.js`), so an engineer can open the exact screen
+ * state a customer saw. Enabled by pointing `VITE_API_REPLAY_FILE` at the
+ * recording (e.g. drop it in `public/` and use `/recording.har.json`).
+ *
+ * Matching:
+ *   - Requests match recorded entries by method, path and query string.
+ *   - Repeated requests walk the recorded responses in order, then keep
+ *     returning the last one, so refetches land on the final state.
+ *   - Unrecorded requests fail with `REPLAY_NOT_RECORDED` (404).
+ *
+ * Tokens were redacted at capture time, so login and refresh are answered
+ * with a synthetic session instead of the recorded (redacted) tokens.
+ *
+ * @module store/api/replayTransport
+ */
+
+import { getApiRequestKey } from '../../utils/apiCapture.js'
+
+/** Seeded as the refresh token so `AppInit` restores the replayed session. */
+export const REPLAY_REFRESH_TOKEN = 'replay-session'
+
+const SESSION_ROUTE_KEYS = new Set([
+  'POST /auth/login',
+  'POST /auth/super-admin/login',
+  'POST /auth/refresh',
+])
+const REPLAY_TOKEN_TTL_SECONDS = 24 * 60 * 60
+
+const buildReplayAccessToken = () => {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  return [
+    btoa(JSON.stringify({ alg: 'none', typ: 'JWT' })),
+    btoa(JSON.stringify({ sub: 'replay', iat: issuedAt, exp: issuedAt + REPLAY_TOKEN_TTL_SECONDS })),
+    'replay',
+  ].join('.')
+}
+
+const parseContent = (content) => {
+  if (!content || typeof content.text !== 'string') return null
+  if (content.mimeType !== 'application/json') return content.text
+  try {
+    return JSON.parse(content.text)
+  } catch {
+    return content.text
+  }
+}
+
+const toHeaders = (harHeaders) =>
+  new Headers((Array.isArray(harHeaders) ? harHeaders : []).map(({ name, value }) => [name, value]))
+
+/**
+ * Entries of a HAR-style recording grouped by request key, in recorded order.
+ * @param {{ log?: { entries?: Object[] } }} recording
+ * @returns {Map<string, Object[]>}
+ */
+export const indexReplayEntries = (recording) => {
+  const entries = Array.isArray(recording?.log?.entries) ? recording.log.entries : []
+  return entries.reduce((index, entry) => {
+    const key = entry._requestKey ?? `${entry.request?.method ?? 'GET'} ${entry.request?.url ?? ''}`
+    index.set(key, [...(index.get(key) ?? []), entry])
+    return index
+  }, new Map())
+}
+
+/**
+ * Build a `fetchBaseQuery`-compatible transport that serves a recording.
+ * @param {{ log: Object }} recording - parsed HAR-style capture file
+ * @returns {(args: string|Object) => Promise<Object>}
+ */
+export const createReplayBaseQuery = (recording) => {
+  const entriesByKey = indexReplayEntries(recording)
+  const cursors = new Map()
+
+  return async (args) => {
+    const key = getApiRequestKey(args)
+    const method = key.split(' ')[0]
+    const url = typeof args === 'string' ? args : args?.url
+    const recorded = entriesByKey.get(key) ?? []
+    const cursor = cursors.get(key) ?? 0
+    const entry = recorded[Math.min(cursor, recorded.length - 1)]
+    cursors.set(key, cursor + 1)
+
+    if (SESSION_ROUTE_KEYS.has(key)) {
+      const recordedSession = parseContent(entry?.response?.content)?.data ?? {}
+      return {
+        data: {
+          data: {
+            ...recordedSession,
+            accessToken: buildReplayAccessToken(),
+            refreshToken: REPLAY_REFRESH_TOKEN,
+          },
+        },
+        meta: { request: { url, method }, response: { status: 200, headers: new Headers() } },
+      }
+    }
+
+    if (!entry) {
+      return {
+        error: {
+          status: 404,
+          data: { error: { code: 'REPLAY_NOT_RECORDED', message: `No recorded response for ${key}.` } },
+        },
+        meta: { request: { url, method }, response: { status: 404, headers: new Headers() } },
+      }
+    }
+
+    const { status } = entry.response
+    const body = parseContent(entry.response.content)
+    const meta = {
+      request: { url, method, headers: new Headers({ 'X-Request-ID': entry._requestId ?? '' }) },
+      response: { status, headers: toHeaders(entry.response.headers) },
+    }
+
+    if (status >= 200 && status < 300) return { data: body, meta }
+    // Network-level failures were recorded with their RTK Query status name.
+    return { error: { status: status || entry.response.statusText || 'FETCH_ERROR', data: body }, meta }
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * replayTransport Tests
+ *
+ * Covers:
+ * - Ordered replay of repeated requests
+ * - Recorded error responses
+ * - Synthetic session tokens
+ * - Unrecorded requests
+ */
+
+import { describe, expect, it } from 'vitest'
+import { REPLAY_REFRESH_TOKEN, createReplayBaseQuery } from './replayTransport.js'
+
+const harEntry = (requestKey, status, body) => ({
+  _requestKey: requestKey,
+  _requestId: `req-${requestKey}`,
+  request: { method: requestKey.split(' ')[0], url: requestKey.split(' ')[1], headers: [] },
+  response: {
+    status,
+    headers: [{ name: 'x-request-id', value: 'req-recorded' }],
+    content: { mimeType: 'application/json', text: JSON.stringify(body) },
+  },
+})
+
+const recording = {
+  log: {
+    entries: [
+      harEntry('GET /customers?page=1&pageSize=20', 200, { data: [{ id: 'c-1' }] }),
+      harEntry('GET /customers?page=1&pageSize=20', 200, { data: [{ id: 'c-1' }, { id: 'c-2' }] }),
+      harEntry('PATCH /vmfs/v-1', 409, { error: { code: 'CONFLICT' } }),
+      harEntry('POST /auth/refresh', 200, { data: { accessToken: '[REDACTED]', refreshToken: '[REDACTED]' } }),
+    ],
+  },
+}
+
+describe('replayTransport', () => {
+  it('replays recorded responses in order and then holds the last one', async () => {
+    const replay = createReplayBaseQuery(recording)
+    const request = { url: '/customers', params: { pageSize: 20, page: 1 } }
+
+    expect((await replay(request)).data.data).toHaveLength(1)
+    expect((await replay(request)).data.data).toHaveLength(2)
+    expect((await replay(request)).data.data).toHaveLength(2)
+  })
+
+  it('replays recorded errors with their response headers', async () => {
+    const result = await createReplayBaseQuery(recording)({ url: '/vmfs/v-1', method: 'PATCH' })
+
+    expect(result.error).toEqual({ status: 409, data: { error: { code: 'CONFLICT' } } })
+    expect(result.meta.response.headers.get('x-request-id')).toBe('req-recorded')
+  })
+
+  it('answers session routes with a synthetic, unexpired token pair', async () => {
+    const result = await createReplayBaseQuery(recording)({
+      url: '/auth/refresh',
+      method: 'POST',
+      body: { refreshToken: REPLAY_REFRESH_TOKEN },
+    })
+    const { accessToken, refreshToken } = result.data.data
+    const claims = JSON.parse(atob(accessToken.split('.')[1]))
+
+    expect(refreshToken).toBe(REPLAY_REFRESH_TOKEN)
+    expect(claims.exp * 1000).toBeGreaterThan(Date.now())
+  })
+
+  it('fails unrecorded requests with REPLAY_NOT_RECORDED', async () => {
+    const result = await createReplayBaseQuery(recording)('/tenants/t-1')
+
+    expect(result.error).toMatchObject({
+      status: 404,
+      data: { error: { code: 'REPLAY_NOT_RECORDED' } },
+    })
+  })
+})
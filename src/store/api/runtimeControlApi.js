@@ -1,4 +1,4 @@
-import { baseApi } from './baseApi.js'
+import { baseApi, isApiMockMode } from './baseApi.js'
 import {
   cloneFrameworkPackage,
   DEPRECATED_FRAMEWORK_PACKAGE_FIELD_MESSAGES,
@@ -45,6 +45,7 @@ import {
   INITIAL_RUNTIME_PATH_REGISTRY,
   INITIAL_RUNTIME_PATH_REGISTRY_STAGED,
 } from '../../mocks/runtimePathRegistry.fixtures.js'
+import { buildFrameworkPackageDiff } from '../../mocks/frameworkPackageDiff.js'
 import {
   buildSkillRoleRegistryStableId,
   cloneSkillRoleRegistryEntry,
@@ -127,6 +128,9 @@ const RUNTIME_SKILL_GOVERNED_METADATA_FIELDS = WORKFLOW_POLICY_GOVERNED_METADATA
 const SKILL_ROLE_GOVERNED_METADATA_FIELDS = WORKFLOW_POLICY_GOVERNED_METADATA_FIELDS
 
 const isRuntimeControlMockMode = () => {
+  // The full in-browser mock backend also covers runtime control.
+  if (isApiMockMode()) return true
+
   const mockModeAllowed = import.meta.env.MODE === 'test'
     || import.meta.env.VITE_RUNTIME_CONTROL_ALLOW_MOCK === 'true'
 
@@ -600,12 +604,17 @@ const buildUIContractResolutionFields = (timestamp = new Date().toISOString()) =
 const buildInitialRuntimeControlState = () => ({
   frameworkRegistries: INITIAL_FRAMEWORK_REGISTRIES.map((entry) => cloneFrameworkRegistryEntry(entry)),
   frameworkPackages: INITIAL_FRAMEWORK_PACKAGES.map((pkg) => cloneFrameworkPackage(pkg)),
+  frameworkPackageAudit: [],
   runtimePaths: [...INITIAL_RUNTIME_PATH_REGISTRY, ...INITIAL_RUNTIME_PATH_REGISTRY_STAGED]
     .map((entry) => cloneRuntimePathRegistryEntry(entry)),
   skillRoles: INITIAL_SKILL_ROLE_REGISTRY.map((entry) => cloneSkillRoleRegistryEntry(entry)),
   validationRegistry: INITIAL_VALIDATION_REGISTRY.map((entry) => cloneValidationRegistryEntry(entry)),
   uiContracts: INITIAL_UI_CONTRACTS.map((entry) => cloneUIContract(entry)),
   agents: INITIAL_RUNTIME_AGENTS.map((agent) => cloneRuntimeAgent(agent)),
+  runtimeAgentActivations: INITIAL_RUNTIME_AGENTS
+    .filter((agent) => agent.status === 'ACTIVE')
+    .map((agent) => ({ agentId: agent.id, activatedAt: agent.updatedAt, agent: cloneRuntimeAgent(agent) })),
+  runtimeAgentTestCases: [],
   skills: INITIAL_RUNTIME_SKILLS.map((skill) => cloneRuntimeSkill(skill)),
   workflowPolicies: INITIAL_WORKFLOW_POLICIES.map((policy) => cloneWorkflowPolicy(policy)),
   runtimeValidationAudits: [],
@@ -1890,6 +1899,29 @@ const generateMockObjectId = (seed = '') => {
 const findFrameworkPackageById = (packageId) =>
   runtimeControlState.frameworkPackages.find((pkg) => pkg.id === packageId)
 
+// Every stored change to a package adds an audit-log row, newest first
+const recordMockFrameworkPackageAudit = (pkg, action, summary, ts = pkg?.updatedAt) => {
+  if (!pkg) return
+  const id = `${pkg.id}-audit-${(runtimeControlState.frameworkPackageAudit ?? []).length + 1}`
+  const entry = {
+    id,
+    _id: id,
+    ts: ts || new Date().toISOString(),
+    action,
+    actorUserId: { ...(pkg.updatedBy ?? RUNTIME_CONTROL_UPDATED_BY) },
+    resourceType: 'FrameworkPackage',
+    resourceId: pkg.id,
+    frameworkKey: pkg.frameworkKey,
+    frameworkVersion: pkg.version ?? '',
+    packageKey: pkg.packageKey ?? '',
+    summary,
+  }
+  runtimeControlState = {
+    ...runtimeControlState,
+    frameworkPackageAudit: [entry, ...(runtimeControlState.frameworkPackageAudit ?? [])],
+  }
+}
+
 const getLatestRuntimeValidationVerdictForPackage = (packageId) => {
   return findFrameworkPackageById(packageId)?.runtimeVerdict || null
 }
@@ -2448,6 +2480,76 @@ const buildMockFrameworkPackageDependencyLock = (pkg, dependencies = buildMockFr
   }
 }
 
+const MOCK_DEPENDENCY_GRAPH_GROUPS = Object.freeze([
+  ['agents', 'RuntimeAgent'],
+  ['skills', 'RuntimeSkill'],
+  ['runtimePaths', 'RuntimePathRegistry'],
+  ['validations', 'ValidationRegistry'],
+  ['workflowPolicies', 'WorkflowPolicy'],
+  ['uiContract', 'UIContract'],
+])
+
+const toMockGraphValues = (value) => (Array.isArray(value) ? value : [value])
+  .map((entry) => String(entry ?? '').trim())
+  .filter(Boolean)
+
+// Registry-to-registry references of one resolved dependency, as [type, reference, relationship]
+const getMockDependencyGraphReferences = (type, row) => {
+  switch (type) {
+    case 'WorkflowPolicy': {
+      const policy = (runtimeControlState.workflowPolicies || []).find((entry) => entry.id === row.id || entry.key === row.key)
+      if (!policy) return []
+      return [
+        ...toMockGraphValues([policy.primaryAgentId, policy.fallbackAgentId, ...(policy.requiredAgentIds || [])])
+          .map((agentId) => ['RuntimeAgent', agentId, 'routesTo']),
+        ...toMockGraphValues(policy.requiredSkillIds || []).map((skillId) => ['RuntimeSkill', skillId, 'requiresSkill']),
+        ...toMockGraphValues(policy.requiredValidationKeys || [])
+          .map((validationKey) => ['ValidationRegistry', validationKey, 'requiresValidation']),
+        ...toMockGraphValues((policy.conditions || []).map((condition) => condition?.path))
+          .map((pathKey) => ['RuntimePathRegistry', pathKey, 'condition']),
+        ...toMockGraphValues([...(policy.onPassEffects || []), ...(policy.onFailEffects || [])].map((effect) => effect?.targetPath))
+          .map((pathKey) => ['RuntimePathRegistry', pathKey, 'effect']),
+      ]
+    }
+    case 'ValidationRegistry': {
+      const validation = (runtimeControlState.validationRegistry || []).find((entry) => entry.id === row.id || entry.key === row.key)
+      if (!validation) return []
+      return [
+        ...toMockGraphValues(validation.producerSkillId).map((skillId) => ['RuntimeSkill', skillId, 'producedBy']),
+        ...toMockGraphValues(validation.defaultAgentIds || []).map((agentId) => ['RuntimeAgent', agentId, 'defaultAgent']),
+        ...toMockGraphValues([validation.outputPath, validation.passFieldPath, validation.detailsFieldPath])
+          .map((pathKey) => ['RuntimePathRegistry', pathKey, 'output']),
+      ]
+    }
+    case 'RuntimeAgent': {
+      const agent = findRuntimeAgentById(row.id)
+      if (!agent) return []
+      return toMockGraphValues([
+        ...(agent.defaultSkillIds || []),
+        ...(agent.primarySkillIds || []),
+        ...(agent.optionalSkillIds || []),
+        ...(Array.isArray(agent.executionPlan) ? agent.executionPlan.map((step) => step?.skillId) : []),
+      ]).map((skillId) => ['RuntimeSkill', skillId, 'runsSkill'])
+    }
+    case 'RuntimeSkill': {
+      const skill = findRuntimeSkillById(row.id)
+      if (!skill) return []
+      return [
+        ...toMockGraphValues(skill.allowedReadPaths || []).map((pathKey) => ['RuntimePathRegistry', pathKey, 'reads']),
+        ...toMockGraphValues(skill.allowedWritePaths || []).map((pathKey) => ['RuntimePathRegistry', pathKey, 'writes']),
+      ]
+    }
+    case 'UIContract': {
+      const uiContract = findUIContractById(row.key)
+      if (!uiContract) return []
+      return toMockGraphValues((uiContract.sections || []).map((section) => section?.runtimePath))
+        .map((pathKey) => ['RuntimePathRegistry', pathKey, 'section'])
+    }
+    default:
+      return []
+  }
+}
+
 const buildMockFrameworkPackageDependencyGraph = (pkg, dependencies = buildMockFrameworkPackageDependencies(pkg)) => {
   const packageNodeId = `framework-package:${pkg.id || pkg.packageKey || 'package'}`
   const nodes = [
@@ -2461,16 +2563,18 @@ const buildMockFrameworkPackageDependencyGraph = (pkg, dependencies = buildMockF
     },
   ]
   const edges = []
-  const groups = [
-    ['agents', 'RuntimeAgent'],
-    ['skills', 'RuntimeSkill'],
-    ['runtimePaths', 'RuntimePathRegistry'],
-    ['validations', 'ValidationRegistry'],
-    ['workflowPolicies', 'WorkflowPolicy'],
-    ['uiContract', 'UIContract'],
-  ]
+  const edgeIds = new Set()
+  const addEdge = (from, to, relationship) => {
+    const id = `${from}->${to}`
+    if (from === to || edgeIds.has(id)) return
+    edgeIds.add(id)
+    edges.push({ id, from, to, relationship })
+  }
+  // Node id by `${type}:${id or key}` so references by either resolve to the same node
+  const nodeIdByReference = new Map()
+  const dependencyNodes = []
 
-  for (const [groupKey, type] of groups) {
+  for (const [groupKey, type] of MOCK_DEPENDENCY_GRAPH_GROUPS) {
     const rows = groupKey === 'uiContract'
       ? (dependencies.uiContract ? [dependencies.uiContract] : [])
       : (dependencies[groupKey] ?? [])
@@ -2484,15 +2588,47 @@ const buildMockFrameworkPackageDependencyGraph = (pkg, dependencies = buildMockF
         status: row.status || '',
         issueCount: Array.isArray(row.issues) ? row.issues.length : 0,
       })
-      edges.push({
-        id: `${packageNodeId}->${nodeId}`,
-        from: packageNodeId,
-        to: nodeId,
-        relationship: row.source || groupKey,
-      })
+      for (const reference of [row.id, row.key]) {
+        const normalizedReference = String(reference ?? '').trim().toLowerCase()
+        if (normalizedReference) nodeIdByReference.set(`${type}:${normalizedReference}`, nodeId)
+      }
+      dependencyNodes.push({ nodeId, type, row })
     }
   }
 
+  const findNodeId = (type, reference) => nodeIdByReference.get(`${type}:${String(reference ?? '').trim().toLowerCase()}`)
+
+  // Direct package bindings
+  getPackageValidationKeys(pkg).forEach((key) => {
+    const nodeId = findNodeId('ValidationRegistry', key)
+    if (nodeId) addEdge(packageNodeId, nodeId, 'validationBindings')
+  })
+  getPackageWorkflowPolicyKeys(pkg).forEach((key) => {
+    const nodeId = findNodeId('WorkflowPolicy', key)
+    if (nodeId) addEdge(packageNodeId, nodeId, 'workflowBindings')
+  })
+  if (pkg.uiContractKey) {
+    const nodeId = findNodeId('UIContract', pkg.uiContractKey)
+    if (nodeId) addEdge(packageNodeId, nodeId, 'uiContractKey')
+  }
+  for (const section of Array.isArray(pkg.sections) ? pkg.sections : []) {
+    const nodeId = findNodeId('RuntimePathRegistry', section?.runtimePath)
+    if (nodeId) addEdge(packageNodeId, nodeId, 'sections')
+  }
+
+  for (const { nodeId, type, row } of dependencyNodes) {
+    for (const [referenceType, reference, relationship] of getMockDependencyGraphReferences(type, row)) {
+      const referenceNodeId = findNodeId(referenceType, reference)
+      if (referenceNodeId) addEdge(nodeId, referenceNodeId, relationship)
+    }
+  }
+
+  // Anything only reachable through an unresolved reference still hangs off the package
+  const reachedNodeIds = new Set(edges.map((edge) => edge.to))
+  for (const { nodeId, row } of dependencyNodes) {
+    if (!reachedNodeIds.has(nodeId)) addEdge(packageNodeId, nodeId, row.source || 'dependency')
+  }
+
   return {
     nodes,
     edges,
@@ -3361,6 +3497,112 @@ const validateMockRuntimeAgent = (agent) => {
   }
 }
 
+const findMockRuntimeAgentTestCase = (agentId, testCaseId) =>
+  (runtimeControlState.runtimeAgentTestCases ?? []).find(
+    (testCase) => testCase.agentId === agentId && testCase.id === testCaseId,
+  )
+
+const getMockRuntimeAgentTestCases = (agentId) =>
+  (runtimeControlState.runtimeAgentTestCases ?? []).filter((testCase) => testCase.agentId === agentId)
+
+const cloneRuntimeAgentTestCase = (testCase) => JSON.parse(JSON.stringify(testCase))
+
+// Newest activation first; the baseline covers agents seeded as ACTIVE
+const getMockRuntimeAgentLastActivation = (agentId) =>
+  (runtimeControlState.runtimeAgentActivations ?? []).find((activation) => activation.agentId === agentId) ?? null
+
+const isPlainJsonObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const validateMockRuntimeAgentTestCasePayload = (agentId, payload = {}, existingTestCaseId = '') => {
+  const errors = {}
+  const name = String(payload.name ?? '').trim()
+
+  if (!name) {
+    errors.name = 'Test case name is required.'
+  } else if (getMockRuntimeAgentTestCases(agentId).some((testCase) =>
+    testCase.id !== existingTestCaseId && testCase.name.toLowerCase() === name.toLowerCase())) {
+    errors.name = `A test case named "${name}" already exists for this agent.`
+  }
+
+  if (!isPlainJsonObject(payload.runtimeState)) {
+    errors.runtimeState = 'Input runtime state must be a JSON object.'
+  }
+
+  if (!isPlainJsonObject(payload.expectedOutputContract)) {
+    errors.expectedOutputContract = 'Expected output contract must be a JSON object.'
+  }
+
+  return errors
+}
+
+/**
+ * Deterministic stand-in for an agent run: every execution-plan step
+ * writes the values it read from the input runtime state, and the
+ * compiled prompt is hashed so prompt edits show up in the diff.
+ */
+const runMockRuntimeAgentTestCase = (agent, testCase) => {
+  const compiledPromptPreview = compilePromptPreview(agent?.promptConfig ?? {})
+  const output = {}
+
+  for (const step of Array.isArray(agent?.executionPlan) ? agent.executionPlan : []) {
+    const inputs = Object.fromEntries(
+      normalizePathSelectionList(step?.readsFrom).map((pathKey) => [
+        pathKey,
+        getMockValueAtPath(testCase.runtimeState, pathKey) ?? null,
+      ]),
+    )
+
+    for (const pathKey of normalizePathSelectionList(step?.writesTo)) {
+      output[pathKey] = {
+        skillId: String(step?.skillId ?? '').trim(),
+        stepKey: String(step?.stepKey ?? '').trim(),
+        inputs,
+      }
+    }
+  }
+
+  const contractIssues = validateMockRuntimeOutputContract({
+    outputContract: testCase.expectedOutputContract,
+    payload: output,
+  }).map((issue) => issue.message)
+
+  return {
+    promptHash: generateMockObjectId(`prompt:${compiledPromptPreview}`).slice(0, 16),
+    compiledPromptPreview,
+    output,
+    contractIssues,
+    passed: contractIssues.length === 0,
+  }
+}
+
+const runMockRuntimeAgentTestCases = (agent, testCases) => {
+  const lastActivation = getMockRuntimeAgentLastActivation(agent.id)
+
+  return testCases.map((testCase) => {
+    const draft = runMockRuntimeAgentTestCase(agent, testCase)
+    const activated = lastActivation ? runMockRuntimeAgentTestCase(lastActivation.agent, testCase) : null
+
+    return {
+      testCaseId: testCase.id,
+      name: testCase.name,
+      regression: testCase.regression !== false,
+      status: draft.passed ? 'PASS' : 'FAIL',
+      changed: activated
+        ? activated.promptHash !== draft.promptHash
+          || JSON.stringify(activated.output) !== JSON.stringify(draft.output)
+        : false,
+      draft,
+      activated,
+    }
+  })
+}
+
+const getMockRuntimeAgentRegressionFailures = (agent) =>
+  runMockRuntimeAgentTestCases(
+    agent,
+    getMockRuntimeAgentTestCases(agent.id).filter((testCase) => testCase.regression !== false),
+  ).filter((result) => result.status === 'FAIL')
+
 const findRuntimeSkillById = (skillId) => {
   const normalized = normalizeMockRegistryId(skillId).toLowerCase()
   return runtimeControlState.skills.find((skill) =>
@@ -3849,6 +4091,7 @@ export const runtimeControlApi = baseApi.injectEndpoints({
           ...runtimeControlState,
           frameworkPackages: [createdPackage, ...runtimeControlState.frameworkPackages],
         }
+        recordMockFrameworkPackageAudit(createdPackage, 'FRAMEWORK_PACKAGE_CREATED', `Created version ${createdPackage.version}.`)
 
         return { data: buildEntityResponse(cloneFrameworkPackage(createdPackage)) }
       },
@@ -3960,6 +4203,11 @@ export const runtimeControlApi = baseApi.injectEndpoints({
           ...runtimeControlState,
           frameworkPackages: [clonedPackage, ...runtimeControlState.frameworkPackages],
         }
+        recordMockFrameworkPackageAudit(
+          clonedPackage,
+          'FRAMEWORK_PACKAGE_CLONED',
+          `Cloned from version ${sourcePackage.version} as version ${clonedPackage.version}.`,
+        )
 
         return { data: buildEntityResponse(cloneFrameworkPackage(clonedPackage)) }
       },
@@ -4223,14 +4471,19 @@ export const runtimeControlApi = baseApi.injectEndpoints({
           return buildNotFoundError('Framework package was not found.')
         }
 
+        const normalizedPage = normalizePositiveInteger(page, 1)
+        const normalizedPageSize = normalizePositiveInteger(pageSize, 20)
+        const rows = (runtimeControlState.frameworkPackageAudit ?? []).filter((entry) => entry.resourceId === packageId)
+        const start = (normalizedPage - 1) * normalizedPageSize
+
         return {
           data: {
-            data: [],
+            data: rows.slice(start, start + normalizedPageSize).map((entry) => ({ ...entry, actorUserId: { ...entry.actorUserId } })),
             meta: {
-              page: normalizePositiveInteger(page, 1),
-              pageSize: normalizePositiveInteger(pageSize, 20),
-              totalCount: 0,
-              totalPages: 0,
+              page: normalizedPage,
+              pageSize: normalizedPageSize,
+              totalCount: rows.length,
+              totalPages: Math.ceil(rows.length / normalizedPageSize),
             },
           },
         }
@@ -4255,19 +4508,31 @@ export const runtimeControlApi = baseApi.injectEndpoints({
           return buildNotFoundError('Framework package was not found.')
         }
 
+        const requestedVersion = String(version ?? '').trim()
+        const comparedPackage = runtimeControlState.frameworkPackages.find(
+          (candidate) =>
+            normalizeFrameworkKey(candidate.frameworkKey) === normalizeFrameworkKey(pkg.frameworkKey)
+            && String(candidate.version ?? '').trim() === requestedVersion,
+        )
+        if (!comparedPackage) {
+          return buildNotFoundError('Framework package version was not found.')
+        }
+
+        // Changes from the requested version to this package
         return {
-          error: {
-            status: 501,
-            data: {
-              error: {
-                code: 'FRAMEWORK_PACKAGE_DIFF_NOT_AVAILABLE',
-                message: 'Framework package version diff is not available until package snapshot history is implemented.',
-                details: { packageId, requestedVersion: version },
-              },
-            },
-          },
+          data: buildEntityResponse({
+            packageId,
+            version: pkg.version ?? '',
+            comparedPackageId: comparedPackage.id,
+            comparedVersion: comparedPackage.version ?? '',
+            ...buildFrameworkPackageDiff(comparedPackage, pkg),
+          }),
         }
       },
+      providesTags: (_result, _error, args = {}) => [
+        FRAMEWORK_PACKAGE_LIST_TAG,
+        { type: 'RuntimeFrameworkPackage', id: args.packageId },
+      ],
     }),
 
     updateFrameworkPackage: build.mutation({
@@ -4327,6 +4592,7 @@ export const runtimeControlApi = baseApi.injectEndpoints({
             pkg.id === packageId ? nextPackage : pkg,
           ),
         }
+        recordMockFrameworkPackageAudit(nextPackage, 'FRAMEWORK_PACKAGE_UPDATED', 'Package updated.')
 
         return { data: buildEntityResponse(cloneFrameworkPackage(nextPackage)) }
       },
@@ -4437,6 +4703,7 @@ export const runtimeControlApi = baseApi.injectEndpoints({
             pkg.id === packageId ? nextPackage : pkg,
           ),
         }
+        recordMockFrameworkPackageAudit(nextPackage, 'FRAMEWORK_PACKAGE_UPDATED', 'Safe metadata updated.')
 
         return { data: buildEntityResponse(cloneFrameworkPackage(nextPackage)) }
       },
@@ -4502,6 +4769,7 @@ export const runtimeControlApi = baseApi.injectEndpoints({
             pkg.id === packageId ? validatedPackage : pkg,
           ),
         }
+        recordMockFrameworkPackageAudit(validatedPackage, 'FRAMEWORK_PACKAGE_VALIDATED', 'Package validated.')
 
         return {
           data: buildEntityResponse({
@@ -4666,6 +4934,7 @@ export const runtimeControlApi = baseApi.injectEndpoints({
             ),
           ],
         }
+        recordMockFrameworkPackageAudit(activatedPackage, 'FRAMEWORK_PACKAGE_ACTIVATED', 'Package activated.', activationTime)
 
         return {
           data: {
@@ -5491,6 +5760,208 @@ export const runtimeControlApi = baseApi.injectEndpoints({
       },
     }),
 
+    listRuntimeAgentTestCases: build.query({
+      queryFn: async (agentId, api, extraOptions, baseQuery) => {
+        if (!isRuntimeControlMockMode()) {
+          return baseQuery(
+            buildRuntimeControlDetailRequest('agents', `${agentId}/test-cases`),
+            api,
+            extraOptions,
+          )
+        }
+
+        if (!findRuntimeAgentById(agentId)) {
+          return buildNotFoundError('Agent was not found.')
+        }
+
+        return {
+          data: buildEntityResponse(getMockRuntimeAgentTestCases(agentId).map(cloneRuntimeAgentTestCase)),
+        }
+      },
+      providesTags: (_result, _error, agentId) => [{ type: 'RuntimeAgentTestCase', id: agentId }],
+    }),
+
+    createRuntimeAgentTestCase: build.mutation({
+      queryFn: async ({ agentId, ...payload } = {}, api, extraOptions, baseQuery) => {
+        if (!isRuntimeControlMockMode()) {
+          return baseQuery(
+            buildRuntimeControlMutationRequest({
+              resourcePath: 'agents',
+              entityId: `${agentId}/test-cases`,
+              method: 'POST',
+              body: payload,
+            }),
+            api,
+            extraOptions,
+          )
+        }
+
+        if (!findRuntimeAgentById(agentId)) {
+          return buildNotFoundError('Agent was not found.')
+        }
+
+        const errors = validateMockRuntimeAgentTestCasePayload(agentId, payload)
+        if (Object.keys(errors).length > 0) {
+          return buildValidationFailedError('Please check the form for errors.', errors)
+        }
+
+        const testCase = {
+          id: generateRuntimeId('agent-test-case', payload.name),
+          agentId,
+          name: String(payload.name).trim(),
+          runtimeState: payload.runtimeState,
+          expectedOutputContract: payload.expectedOutputContract,
+          regression: payload.regression !== false,
+          lastRun: null,
+          ...buildAuditFields(),
+        }
+
+        runtimeControlState = {
+          ...runtimeControlState,
+          runtimeAgentTestCases: [...(runtimeControlState.runtimeAgentTestCases ?? []), cloneRuntimeAgentTestCase(testCase)],
+        }
+
+        return { data: buildEntityResponse(cloneRuntimeAgentTestCase(testCase)) }
+      },
+      invalidatesTags: (_result, _error, { agentId }) => [{ type: 'RuntimeAgentTestCase', id: agentId }],
+    }),
+
+    updateRuntimeAgentTestCase: build.mutation({
+      queryFn: async ({ agentId, testCaseId, ...payload } = {}, api, extraOptions, baseQuery) => {
+        if (!isRuntimeControlMockMode()) {
+          return baseQuery(
+            buildRuntimeControlMutationRequest({
+              resourcePath: 'agents',
+              entityId: `${agentId}/test-cases/${testCaseId}`,
+              method: 'PATCH',
+              body: payload,
+            }),
+            api,
+            extraOptions,
+          )
+        }
+
+        const existingTestCase = findMockRuntimeAgentTestCase(agentId, testCaseId)
+        if (!existingTestCase) {
+          return buildNotFoundError('Agent test case was not found.')
+        }
+
+        const nextValues = { ...existingTestCase, ...payload }
+        const errors = validateMockRuntimeAgentTestCasePayload(agentId, nextValues, testCaseId)
+        if (Object.keys(errors).length > 0) {
+          return buildValidationFailedError('Please check the form for errors.', errors)
+        }
+
+        const nextTestCase = {
+          ...existingTestCase,
+          name: String(nextValues.name).trim(),
+          runtimeState: nextValues.runtimeState,
+          expectedOutputContract: nextValues.expectedOutputContract,
+          regression: nextValues.regression !== false,
+          // The stored result no longer describes this case
+          lastRun: null,
+          ...buildAuditFields(),
+        }
+
+        runtimeControlState = {
+          ...runtimeControlState,
+          runtimeAgentTestCases: runtimeControlState.runtimeAgentTestCases.map((testCase) =>
+            testCase.id === testCaseId ? cloneRuntimeAgentTestCase(nextTestCase) : testCase,
+          ),
+        }
+
+        return { data: buildEntityResponse(cloneRuntimeAgentTestCase(nextTestCase)) }
+      },
+      invalidatesTags: (_result, _error, { agentId }) => [{ type: 'RuntimeAgentTestCase', id: agentId }],
+    }),
+
+    deleteRuntimeAgentTestCase: build.mutation({
+      queryFn: async ({ agentId, testCaseId } = {}, api, extraOptions, baseQuery) => {
+        if (!isRuntimeControlMockMode()) {
+          return baseQuery(
+            buildRuntimeControlMutationRequest({
+              resourcePath: 'agents',
+              entityId: `${agentId}/test-cases/${testCaseId}`,
+              method: 'DELETE',
+            }),
+            api,
+            extraOptions,
+          )
+        }
+
+        if (!findMockRuntimeAgentTestCase(agentId, testCaseId)) {
+          return buildNotFoundError('Agent test case was not found.')
+        }
+
+        runtimeControlState = {
+          ...runtimeControlState,
+          runtimeAgentTestCases: runtimeControlState.runtimeAgentTestCases.filter(
+            (testCase) => testCase.id !== testCaseId,
+          ),
+        }
+
+        return { data: buildEntityResponse({ id: testCaseId, deleted: true }) }
+      },
+      invalidatesTags: (_result, _error, { agentId }) => [{ type: 'RuntimeAgentTestCase', id: agentId }],
+    }),
+
+    runRuntimeAgentTestCases: build.mutation({
+      queryFn: async ({ agentId, testCaseIds } = {}, api, extraOptions, baseQuery) => {
+        if (!isRuntimeControlMockMode()) {
+          return baseQuery(
+            buildRuntimeControlMutationRequest({
+              resourcePath: 'agents',
+              entityId: `${agentId}/test-cases/run`,
+              method: 'POST',
+              body: Array.isArray(testCaseIds) ? { testCaseIds } : {},
+            }),
+            api,
+            extraOptions,
+          )
+        }
+
+        const agent = findRuntimeAgentById(agentId)
+        if (!agent) {
+          return buildNotFoundError('Agent was not found.')
+        }
+
+        const requestedIds = Array.isArray(testCaseIds) ? new Set(testCaseIds) : null
+        const testCases = getMockRuntimeAgentTestCases(agentId)
+          .filter((testCase) => !requestedIds || requestedIds.has(testCase.id))
+        const results = runMockRuntimeAgentTestCases(agent, testCases)
+        const ranAt = new Date().toISOString()
+        const resultById = new Map(results.map((result) => [result.testCaseId, result]))
+        const lastActivation = getMockRuntimeAgentLastActivation(agentId)
+
+        runtimeControlState = {
+          ...runtimeControlState,
+          runtimeAgentTestCases: runtimeControlState.runtimeAgentTestCases.map((testCase) => {
+            const result = resultById.get(testCase.id)
+            return result
+              ? { ...testCase, lastRun: { ranAt, status: result.status, changed: result.changed } }
+              : testCase
+          }),
+        }
+
+        return {
+          data: buildEntityResponse({
+            agentId,
+            ranAt,
+            activatedAt: lastActivation?.activatedAt ?? null,
+            summary: {
+              total: results.length,
+              passed: results.filter((result) => result.status === 'PASS').length,
+              failed: results.filter((result) => result.status === 'FAIL').length,
+              changed: results.filter((result) => result.changed).length,
+              regressionFailures: results.filter((result) => result.regression && result.status === 'FAIL').length,
+            },
+            results,
+          }),
+        }
+      },
+      invalidatesTags: (_result, _error, { agentId }) => [{ type: 'RuntimeAgentTestCase', id: agentId }],
+    }),
+
     activateRuntimeAgent: build.mutation({
       queryFn: async ({ agentId } = {}, api, extraOptions, baseQuery) => {
         if (!isRuntimeControlMockMode()) {
@@ -5523,6 +5994,18 @@ export const runtimeControlApi = baseApi.injectEndpoints({
           return buildValidationFailedError('Agent must pass validation before activation.', errors)
         }
 
+        const regressionFailures = getMockRuntimeAgentRegressionFailures(existingAgent)
+        if (regressionFailures.length > 0) {
+          return buildConflictError(
+            `${regressionFailures.length} regression test case${regressionFailures.length === 1 ? '' : 's'} must pass before activation: ${regressionFailures.map((result) => result.name).join(', ')}.`,
+            {
+              field: 'status',
+              reason: 'RUNTIME_AGENT_REGRESSION_CASES_FAILING',
+              failingTestCaseIds: regressionFailures.map((result) => result.testCaseId),
+            },
+          )
+        }
+
         const nextAgent = cloneRuntimeAgent({
           ...existingAgent,
           status: 'ACTIVE',
@@ -5534,6 +6017,10 @@ export const runtimeControlApi = baseApi.injectEndpoints({
           agents: runtimeControlState.agents.map((agent) =>
             agent.id === agentId ? nextAgent : agent,
           ),
+          runtimeAgentActivations: [
+            { agentId, activatedAt: nextAgent.updatedAt, agent: cloneRuntimeAgent(nextAgent) },
+            ...(runtimeControlState.runtimeAgentActivations ?? []),
+          ],
         }
 
         return { data: buildEntityResponse(cloneRuntimeAgent(nextAgent)) }
@@ -7887,6 +8374,11 @@ export const {
   useUpdateRuntimeAgentMutation,
   useValidateRuntimeAgentMutation,
   useTestRuntimeAgentMutation,
+  useListRuntimeAgentTestCasesQuery,
+  useCreateRuntimeAgentTestCaseMutation,
+  useUpdateRuntimeAgentTestCaseMutation,
+  useDeleteRuntimeAgentTestCaseMutation,
+  useRunRuntimeAgentTestCasesMutation,
   useActivateRuntimeAgentMutation,
   useDisableRuntimeAgentMutation,
   useDeprecateRuntimeAgentMutation,
@@ -987,6 +987,125 @@ describe('runtimeControlApi', () => {
     }
   })
 
+  it('diffs mock framework packages against another version and records their audit history', async () => {
+    const store = createTestStore()
+
+    const diffResult = await store.dispatch(
+      runtimeControlApi.endpoints.getFrameworkPackageDiff.initiate({ packageId: 'pkg-vmf-231', version: '2.3.0' }),
+    )
+    expect(diffResult.error).toBeUndefined()
+    expect(diffResult.data?.data).toEqual(expect.objectContaining({
+      packageId: 'pkg-vmf-231',
+      version: '2.3.1',
+      comparedPackageId: 'pkg-vmf-230',
+      comparedVersion: '2.3.0',
+    }))
+    expect(diffResult.data?.data?.groups.map((group) => group.key)).toEqual([
+      'sections',
+      'runtimePaths',
+      'validationKeys',
+      'workflowPolicyKeys',
+      'settings',
+    ])
+
+    const missingVersionResult = await store.dispatch(
+      runtimeControlApi.endpoints.getFrameworkPackageDiff.initiate({ packageId: 'pkg-vmf-231', version: '9.9.9' }),
+    )
+    expect(missingVersionResult.error?.status).toBe(404)
+
+    const cloneResult = await store.dispatch(
+      runtimeControlApi.endpoints.cloneFrameworkPackage.initiate({
+        packageId: 'pkg-vmf-230',
+        version: '2.6.0',
+        packageKey: 'vmf-history-clone-260',
+      }),
+    )
+    const clonedPackageId = cloneResult.data?.data?.id
+    expect(clonedPackageId).toBeTruthy()
+
+    const auditResult = await store.dispatch(
+      runtimeControlApi.endpoints.getFrameworkPackageAudit.initiate({ packageId: clonedPackageId }),
+    )
+    expect(auditResult.data?.data).toEqual([
+      expect.objectContaining({
+        action: 'FRAMEWORK_PACKAGE_CLONED',
+        resourceType: 'FrameworkPackage',
+        resourceId: clonedPackageId,
+        frameworkVersion: '2.6.0',
+        summary: 'Cloned from version 2.3.0 as version 2.6.0.',
+      }),
+    ])
+    expect(auditResult.data?.meta).toEqual(expect.objectContaining({ totalCount: 1, totalPages: 1 }))
+  })
+
+  it('runs saved mock agent test cases against the draft and last activation and gates activation on regressions', async () => {
+    const store = createTestStore()
+    const agentId = 'agent-validator'
+    const createCase = (payload) => store.dispatch(
+      runtimeControlApi.endpoints.createRuntimeAgentTestCase.initiate({ agentId, ...payload }),
+    )
+
+    const passingCase = await createCase({
+      name: 'ICP captured',
+      runtimeState: { vmf: { sections: { icp: 'Mid-market CFOs' } } },
+      expectedOutputContract: { required: ['runtime.validationResult'] },
+    })
+    const failingCase = await createCase({
+      name: 'Summary written',
+      runtimeState: {},
+      expectedOutputContract: { required: ['artifacts.summary'] },
+      regression: true,
+    })
+    expect(passingCase.data?.data).toEqual(expect.objectContaining({ agentId, regression: true, lastRun: null }))
+
+    const duplicateResult = await createCase({ name: 'icp captured', runtimeState: {}, expectedOutputContract: {} })
+    expect(duplicateResult.error?.status).toBe(422)
+    expect(duplicateResult.error?.data?.error?.details?.name).toMatch(/already exists/)
+
+    const runResult = await store.dispatch(runtimeControlApi.endpoints.runRuntimeAgentTestCases.initiate({ agentId }))
+    const run = runResult.data?.data
+
+    expect(run.summary).toEqual({ total: 2, passed: 1, failed: 1, changed: 0, regressionFailures: 1 })
+    expect(run.results[0].draft.output['runtime.validationResult'].inputs).toEqual({
+      'vmf.sections.icp': 'Mid-market CFOs',
+    })
+    expect(run.results[0].activated.promptHash).toBe(run.results[0].draft.promptHash)
+    expect(run.results[1].draft.contractIssues).toEqual([
+      'Runtime output / must have required property "artifacts.summary".',
+    ])
+
+    const blockedResult = await store.dispatch(runtimeControlApi.endpoints.activateRuntimeAgent.initiate({ agentId }))
+    expect(blockedResult.error?.status).toBe(409)
+    expect(blockedResult.error?.data?.error?.details).toEqual({
+      field: 'status',
+      reason: 'RUNTIME_AGENT_REGRESSION_CASES_FAILING',
+      failingTestCaseIds: [failingCase.data?.data?.id],
+    })
+
+    await store.dispatch(runtimeControlApi.endpoints.updateRuntimeAgentTestCase.initiate({
+      agentId,
+      testCaseId: failingCase.data?.data?.id,
+      regression: false,
+    }))
+    const activateResult = await store.dispatch(runtimeControlApi.endpoints.activateRuntimeAgent.initiate({ agentId }))
+    expect(activateResult.error).toBeUndefined()
+
+    await store.dispatch(runtimeControlApi.endpoints.updateRuntimeAgent.initiate({
+      agentId,
+      promptConfig: { baseSystemPrompt: 'You are a stricter validator.' },
+    }))
+    const changedRun = await store.dispatch(runtimeControlApi.endpoints.runRuntimeAgentTestCases.initiate({
+      agentId,
+      testCaseIds: [passingCase.data?.data?.id],
+    }))
+    expect(changedRun.data?.data?.results.map((result) => [result.name, result.status, result.changed])).toEqual([
+      ['ICP captured', 'PASS', true],
+    ])
+
+    const listResult = await store.dispatch(runtimeControlApi.endpoints.listRuntimeAgentTestCases.initiate(agentId))
+    expect(listResult.data?.data.map((testCase) => testCase.lastRun?.status ?? null)).toEqual(['PASS', null])
+  })
+
   it('keeps mock framework package integrity aligned with dependency issues', async () => {
     const store = createTestStore()
 
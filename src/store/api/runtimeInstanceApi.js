@@ -2,9 +2,16 @@
  * Runtime Instance API Slice
  *
  * RTK Query endpoints for customer runtime work objects.
+ *
+ * `watchRuntimeInstanceEvents` optionally follows the per-instance event
+ * stream (see `runtimeInstanceEvents.js`).
  */
 
 import { baseApi } from './baseApi.js'
+import {
+  buildInitialRuntimeEventStreamState,
+  followRuntimeInstanceEvents,
+} from './runtimeInstanceEvents.js'
 
 export const DEFAULT_RUNTIME_INSTANCE_TYPE = 'VALUE_NARRATIVE'
 
@@ -318,6 +325,41 @@ export const buildUpdateRuntimeSectionEvidenceQuery = ({ runtimeInstanceId, body
   body,
 })
 
+const runtimeDocumentUploadUrl = (runtimeInstanceId, uploadId) => {
+  const base = `/runtime-instances/${encodeURIComponent(String(runtimeInstanceId ?? '').trim())}/document-uploads`
+  return uploadId === undefined ? base : `${base}/${encodeURIComponent(String(uploadId ?? '').trim())}`
+}
+
+/*
+ * Chunked document upload sessions (see `utils/chunkedUpload.js`). A
+ * completed session is referenced by `uploadId` in `documentSources` of the
+ * discovery-inputs and section-evidence mutations.
+ */
+export const buildCreateRuntimeDocumentUploadQuery = ({ runtimeInstanceId, body }) => ({
+  url: runtimeDocumentUploadUrl(runtimeInstanceId),
+  method: 'POST',
+  body,
+})
+
+export const buildRuntimeDocumentUploadQuery = ({ runtimeInstanceId, uploadId }) =>
+  runtimeDocumentUploadUrl(runtimeInstanceId, uploadId)
+
+export const buildUploadRuntimeDocumentChunkQuery = ({ runtimeInstanceId, uploadId, index, body }) => ({
+  url: `${runtimeDocumentUploadUrl(runtimeInstanceId, uploadId)}/chunks/${encodeURIComponent(String(index))}`,
+  method: 'PUT',
+  body,
+})
+
+export const buildCompleteRuntimeDocumentUploadQuery = ({ runtimeInstanceId, uploadId }) => ({
+  url: `${runtimeDocumentUploadUrl(runtimeInstanceId, uploadId)}/complete`,
+  method: 'POST',
+})
+
+export const buildCancelRuntimeDocumentUploadQuery = ({ runtimeInstanceId, uploadId }) => ({
+  url: runtimeDocumentUploadUrl(runtimeInstanceId, uploadId),
+  method: 'DELETE',
+})
+
 export const buildClearRuntimeSectionEvidenceQuery = ({ runtimeInstanceId, body }) => ({
   url: `/runtime-instances/${encodeURIComponent(String(runtimeInstanceId ?? '').trim())}/section-evidence/clear`,
   method: 'PATCH',
@@ -645,6 +687,27 @@ export const runtimeInstanceApi = baseApi.injectEndpoints({
       invalidatesTags: getUpdateRuntimeSectionEvidenceInvalidationTags,
     }),
 
+    createRuntimeDocumentUpload: build.mutation({
+      query: buildCreateRuntimeDocumentUploadQuery,
+    }),
+
+    getRuntimeDocumentUpload: build.query({
+      query: buildRuntimeDocumentUploadQuery,
+      keepUnusedDataFor: 0,
+    }),
+
+    uploadRuntimeDocumentChunk: build.mutation({
+      query: buildUploadRuntimeDocumentChunkQuery,
+    }),
+
+    completeRuntimeDocumentUpload: build.mutation({
+      query: buildCompleteRuntimeDocumentUploadQuery,
+    }),
+
+    cancelRuntimeDocumentUpload: build.mutation({
+      query: buildCancelRuntimeDocumentUploadQuery,
+    }),
+
     clearRuntimeSectionEvidence: build.mutation({
       query: buildClearRuntimeSectionEvidenceQuery,
       invalidatesTags: getClearRuntimeSectionEvidenceInvalidationTags,
@@ -669,6 +732,12 @@ export const runtimeInstanceApi = baseApi.injectEndpoints({
       query: buildExecuteRuntimeActionQuery,
       invalidatesTags: getExecuteRuntimeActionInvalidationTags,
     }),
+
+    watchRuntimeInstanceEvents: build.query({
+      queryFn: () => ({ data: buildInitialRuntimeEventStreamState() }),
+      keepUnusedDataFor: 0,
+      onCacheEntryAdded: followRuntimeInstanceEvents,
+    }),
   }),
   overrideExisting: false,
 })
@@ -723,5 +792,11 @@ export const {
   useReviewAllRuntimeSectionEvidenceMutation,
   useUpdateRuntimeSectionEvidenceMutation,
   useUpdateRuntimeDiscoveryInputsMutation,
+  useCreateRuntimeDocumentUploadMutation,
+  useLazyGetRuntimeDocumentUploadQuery,
+  useUploadRuntimeDocumentChunkMutation,
+  useCompleteRuntimeDocumentUploadMutation,
+  useCancelRuntimeDocumentUploadMutation,
   useExecuteRuntimeActionMutation,
+  useWatchRuntimeInstanceEventsQuery,
 } = runtimeInstanceApi
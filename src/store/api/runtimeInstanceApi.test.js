@@ -48,6 +48,11 @@ import {
   buildUpdateRuntimeOutcomeSessionFromLatestTruthQuery,
   buildUpdateRuntimeDiscoveryInputsQuery,
   buildUpdateRuntimeSectionEvidenceQuery,
+  buildCreateRuntimeDocumentUploadQuery,
+  buildRuntimeDocumentUploadQuery,
+  buildUploadRuntimeDocumentChunkQuery,
+  buildCompleteRuntimeDocumentUploadQuery,
+  buildCancelRuntimeDocumentUploadQuery,
   DEFAULT_RUNTIME_INSTANCE_TYPE,
   getAcceptRuntimeDiscoveryInvalidationTags,
   getAcceptRuntimeSectionInvalidationTags,
@@ -129,6 +134,7 @@ import {
   useUpdateRuntimeOutcomeSessionFromLatestTruthMutation,
   useUpdateRuntimeSectionEvidenceMutation,
   useUpdateRuntimeDiscoveryInputsMutation,
+  useWatchRuntimeInstanceEventsQuery,
 } from './runtimeInstanceApi.js'
 
 describe('runtimeInstanceApi', () => {
@@ -173,9 +179,15 @@ describe('runtimeInstanceApi', () => {
     expect(runtimeInstanceApi.endpoints).toHaveProperty('rebuildRuntimeIntelligenceGraph')
     expect(runtimeInstanceApi.endpoints).toHaveProperty('updateRuntimeDiscoveryInputs')
     expect(runtimeInstanceApi.endpoints).toHaveProperty('acceptRuntimeDiscovery')
+    expect(runtimeInstanceApi.endpoints).toHaveProperty('watchRuntimeInstanceEvents')
     expect(runtimeInstanceApi.endpoints).toHaveProperty('resetRuntimeDiscovery')
     expect(runtimeInstanceApi.endpoints).toHaveProperty('reviewRuntimeDiscoveryEvidence')
     expect(runtimeInstanceApi.endpoints).toHaveProperty('updateRuntimeSectionEvidence')
+    expect(runtimeInstanceApi.endpoints).toHaveProperty('createRuntimeDocumentUpload')
+    expect(runtimeInstanceApi.endpoints).toHaveProperty('getRuntimeDocumentUpload')
+    expect(runtimeInstanceApi.endpoints).toHaveProperty('uploadRuntimeDocumentChunk')
+    expect(runtimeInstanceApi.endpoints).toHaveProperty('completeRuntimeDocumentUpload')
+    expect(runtimeInstanceApi.endpoints).toHaveProperty('cancelRuntimeDocumentUpload')
     expect(runtimeInstanceApi.endpoints).toHaveProperty('clearRuntimeSectionEvidence')
     expect(runtimeInstanceApi.endpoints).toHaveProperty('reviewRuntimeSectionEvidence')
     expect(runtimeInstanceApi.endpoints).toHaveProperty('reviewAllRuntimeSectionEvidence')
@@ -233,6 +245,7 @@ describe('runtimeInstanceApi', () => {
     expect(typeof useReviewAllRuntimeSectionEvidenceMutation).toBe('function')
     expect(typeof useAcceptRuntimeSectionMutation).toBe('function')
     expect(typeof useExecuteRuntimeActionMutation).toBe('function')
+    expect(typeof useWatchRuntimeInstanceEventsQuery).toBe('function')
   })
 
   it('exposes endpoint initiate functions', () => {
@@ -713,6 +726,34 @@ describe('runtimeInstanceApi', () => {
     })
   })
 
+  it('builds chunked document upload session requests', () => {
+    const target = { runtimeInstanceId: 'value narrative/001', uploadId: 'upload/7' }
+
+    expect(buildCreateRuntimeDocumentUploadQuery({
+      runtimeInstanceId: target.runtimeInstanceId,
+      body: { fileName: 'deck.pptx', sizeBytes: 3145728, chunkBytes: 1048576, chunkCount: 3 },
+    })).toEqual({
+      url: '/runtime-instances/value%20narrative%2F001/document-uploads',
+      method: 'POST',
+      body: { fileName: 'deck.pptx', sizeBytes: 3145728, chunkBytes: 1048576, chunkCount: 3 },
+    })
+    expect(buildRuntimeDocumentUploadQuery(target))
+      .toBe('/runtime-instances/value%20narrative%2F001/document-uploads/upload%2F7')
+    expect(buildUploadRuntimeDocumentChunkQuery({ ...target, index: 2, body: { contentBase64: 'AA==' } })).toEqual({
+      url: '/runtime-instances/value%20narrative%2F001/document-uploads/upload%2F7/chunks/2',
+      method: 'PUT',
+      body: { contentBase64: 'AA==' },
+    })
+    expect(buildCompleteRuntimeDocumentUploadQuery(target)).toEqual({
+      url: '/runtime-instances/value%20narrative%2F001/document-uploads/upload%2F7/complete',
+      method: 'POST',
+    })
+    expect(buildCancelRuntimeDocumentUploadQuery(target)).toEqual({
+      url: '/runtime-instances/value%20narrative%2F001/document-uploads/upload%2F7',
+      method: 'DELETE',
+    })
+  })
+
   it('provides and invalidates runtime instance cache tags by runtime type and id', () => {
     const listTags = getRuntimeInstanceListTags({
       data: [
@@ -0,0 +1,234 @@
+/**
+ * Runtime Instance Event Stream
+ *
+ * Cache lifecycle behind `runtimeInstanceApi.watchRuntimeInstanceEvents`.
+ * Follows `/runtime-instances/:id/events` and patches cached renderer,
+ * evidence, graph and Outcome session entries in place so long-running
+ * work (document extraction, graph rebuilds, response generation) shows
+ * up without a manual refetch. When the stream drops the instance tags
+ * are invalidated on an interval until it reconnects.
+ *
+ * Opt-in via `VITE_RUNTIME_EVENT_STREAM`.
+ */
+
+import { API_BASE_URL, applyApiRequestHeaders, baseApi } from './baseApi.js'
+import { readEventStream } from '../../utils/eventStream.js'
+
+const ENABLED_FLAG_VALUES = new Set(['1', 'true', 'yes', 'on'])
+
+export const isRuntimeEventStreamEnabled = () =>
+  ENABLED_FLAG_VALUES.has(String(import.meta.env.VITE_RUNTIME_EVENT_STREAM ?? '').trim().toLowerCase())
+
+export const RUNTIME_EVENT_STREAM_CONNECTIONS = Object.freeze({
+  CONNECTING: 'CONNECTING',
+  LIVE: 'LIVE',
+  POLLING: 'POLLING',
+  DISABLED: 'DISABLED',
+})
+
+export const RUNTIME_EVENT_POLL_INTERVAL_MS = 15_000
+const RUNTIME_EVENT_RECONNECT_BASE_DELAY_MS = 2_000
+const RUNTIME_EVENT_RECONNECT_MAX_DELAY_MS = 60_000
+
+export const RUNTIME_JOB_TERMINAL_STATUSES = new Set(['COMPLETED', 'FAILED', 'CANCELLED'])
+
+/**
+ * Stream events that carry a fresh projection for a cached query.
+ * Events without the payload key only invalidate the instance tags.
+ */
+const RUNTIME_EVENT_CACHE_TARGETS = Object.freeze({
+  'renderer.updated': { endpointName: 'getRuntimeRenderer', payloadKey: 'renderer' },
+  'evidence.updated': { endpointName: 'getRuntimeEvidence', payloadKey: 'evidence' },
+  'graph.updated': { endpointName: 'getRuntimeIntelligenceGraph', payloadKey: 'graph' },
+  'outcome-session.updated': {
+    endpointName: 'getRuntimeOutcomeSession',
+    payloadKey: 'session',
+    scopeKey: 'sessionId',
+  },
+})
+
+const RUNTIME_EVENT_INVALIDATING_TYPES = new Set(['runtime.invalidated', 'outcome-studio.updated'])
+
+export const buildRuntimeInstanceEventsUrl = ({ runtimeInstanceId }) =>
+  `${API_BASE_URL}/runtime-instances/${encodeURIComponent(String(runtimeInstanceId ?? '').trim())}/events`
+
+export const buildInitialRuntimeEventStreamState = () => ({
+  connection: RUNTIME_EVENT_STREAM_CONNECTIONS.CONNECTING,
+  lastEventAt: null,
+  lastEventId: null,
+  jobs: {},
+})
+
+export const getRuntimeEventReconnectDelayMs = (attempt) =>
+  Math.min(RUNTIME_EVENT_RECONNECT_BASE_DELAY_MS * 2 ** Math.max(0, attempt), RUNTIME_EVENT_RECONNECT_MAX_DELAY_MS)
+
+/**
+ * Merge a `job.progress` event (document extraction, graph rebuild,
+ * Outcome response generation, ...) into the stream cache entry.
+ */
+export const applyRuntimeJobProgress = (streamState, job = {}) => {
+  const jobId = String(job.jobId ?? job.id ?? '').trim()
+  if (!jobId) return
+
+  const previous = streamState.jobs[jobId] ?? {}
+  const progress = Number(job.progress)
+  streamState.jobs[jobId] = {
+    jobId,
+    kind: String(job.kind ?? previous.kind ?? '').trim().toUpperCase(),
+    label: String(job.label ?? previous.label ?? '').trim(),
+    status: String(job.status ?? previous.status ?? 'RUNNING').trim().toUpperCase(),
+    progress: Number.isFinite(progress) ? Math.min(Math.max(progress, 0), 100) : previous.progress ?? null,
+    updatedAt: job.updatedAt ?? new Date().toISOString(),
+  }
+}
+
+export const selectActiveRuntimeJobs = (streamState) =>
+  Object.values(streamState?.jobs ?? {}).filter((job) => !RUNTIME_JOB_TERMINAL_STATUSES.has(job.status))
+
+const parseRuntimeEventData = (data) => {
+  try {
+    const parsed = JSON.parse(data)
+    return parsed && typeof parsed === 'object' ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Apply one stream event to the RTK Query cache.
+ * Cached entries are matched by `runtimeInstanceId` (and `sessionId` for
+ * Outcome sessions) so every subscriber sees the update without a refetch.
+ */
+export const applyRuntimeInstanceEvent = ({
+  message,
+  runtimeInstanceId,
+  dispatch,
+  getState,
+  updateCachedData,
+}) => {
+  const payload = parseRuntimeEventData(message?.data)
+  if (!payload) return
+
+  const normalizedRuntimeInstanceId = String(runtimeInstanceId ?? '').trim()
+  updateCachedData((draft) => {
+    draft.lastEventAt = new Date().toISOString()
+    draft.lastEventId = message.id ?? draft.lastEventId
+  })
+
+  if (message.event === 'job.progress') {
+    updateCachedData((draft) => applyRuntimeJobProgress(draft, payload))
+    return
+  }
+
+  if (RUNTIME_EVENT_INVALIDATING_TYPES.has(message.event)) {
+    dispatch(baseApi.util.invalidateTags([{ type: 'RuntimeInstance', id: normalizedRuntimeInstanceId }]))
+    return
+  }
+
+  const target = RUNTIME_EVENT_CACHE_TARGETS[message.event]
+  if (!target) return
+
+  const nextProjection = payload[target.payloadKey]
+  if (!nextProjection) {
+    dispatch(baseApi.util.invalidateTags([{ type: 'RuntimeInstance', id: normalizedRuntimeInstanceId }]))
+    return
+  }
+
+  const scopeValue = target.scopeKey ? String(payload[target.scopeKey] ?? '').trim() : ''
+  baseApi.util.selectCachedArgsForQuery(getState(), target.endpointName)
+    .filter((args) => String(args?.runtimeInstanceId ?? '').trim() === normalizedRuntimeInstanceId)
+    .filter((args) => !target.scopeKey || String(args?.[target.scopeKey] ?? '').trim() === scopeValue)
+    .forEach((args) => {
+      dispatch(baseApi.util.updateQueryData(target.endpointName, args, (draft) => {
+        if (draft && typeof draft === 'object' && 'data' in draft) {
+          draft.data = nextProjection
+          return undefined
+        }
+        return { data: nextProjection }
+      }))
+    })
+}
+
+/**
+ * `onCacheEntryAdded` lifecycle for `watchRuntimeInstanceEvents`.
+ * Streams while the cache entry has subscribers; on a drop it polls by
+ * invalidating the instance tags and reconnects with backoff.
+ */
+export async function followRuntimeInstanceEvents(
+  { runtimeInstanceId },
+  { dispatch, getState, updateCachedData, cacheDataLoaded, cacheEntryRemoved },
+) {
+  try {
+    await cacheDataLoaded
+  } catch {
+    return
+  }
+
+  const setConnection = (connection) =>
+    updateCachedData((draft) => {
+      draft.connection = connection
+    })
+
+  if (!isRuntimeEventStreamEnabled()) {
+    setConnection(RUNTIME_EVENT_STREAM_CONNECTIONS.DISABLED)
+    return
+  }
+
+  const controller = new AbortController()
+  const instanceTags = [{ type: 'RuntimeInstance', id: String(runtimeInstanceId ?? '').trim() }]
+  let pollTimer = null
+  let reconnectTimer = null
+  let reconnectAttempt = 0
+  let closed = false
+
+  const refetchInstance = () => dispatch(baseApi.util.invalidateTags(instanceTags))
+
+  const startPolling = () => {
+    setConnection(RUNTIME_EVENT_STREAM_CONNECTIONS.POLLING)
+    if (pollTimer) return
+    pollTimer = setInterval(refetchInstance, RUNTIME_EVENT_POLL_INTERVAL_MS)
+  }
+
+  const stopPolling = () => {
+    if (!pollTimer) return false
+    clearInterval(pollTimer)
+    pollTimer = null
+    return true
+  }
+
+  const connect = async () => {
+    reconnectTimer = null
+    try {
+      await readEventStream({
+        url: buildRuntimeInstanceEventsUrl({ runtimeInstanceId }),
+        headers: applyApiRequestHeaders(new Headers()),
+        signal: controller.signal,
+        onOpen: () => {
+          reconnectAttempt = 0
+          setConnection(RUNTIME_EVENT_STREAM_CONNECTIONS.LIVE)
+          // Catch up on anything that changed while we were polling.
+          if (stopPolling()) refetchInstance()
+        },
+        onEvent: (message) =>
+          applyRuntimeInstanceEvent({ message, runtimeInstanceId, dispatch, getState, updateCachedData }),
+      })
+    } catch (error) {
+      if (closed) return
+      startPolling()
+      if (error?.unsupported) return
+    }
+
+    if (closed) return
+    startPolling()
+    reconnectTimer = setTimeout(connect, getRuntimeEventReconnectDelayMs(reconnectAttempt))
+    reconnectAttempt += 1
+  }
+
+  connect()
+
+  await cacheEntryRemoved
+  closed = true
+  controller.abort()
+  stopPolling()
+  if (reconnectTimer) clearTimeout(reconnectTimer)
+}
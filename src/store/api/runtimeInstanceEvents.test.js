@@ -0,0 +1,173 @@
+/**
+ * Runtime Instance Event Stream Tests
+ *
+ * Covers:
+ * - job.progress events are merged and clamped per job
+ * - Projection events patch matching cached queries in place
+ * - Invalidating events refetch the instance
+ * - Reconnect backoff is capped
+ */
+
+import { configureStore } from '@reduxjs/toolkit'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { baseApi } from './baseApi.js'
+import { runtimeInstanceApi } from './runtimeInstanceApi.js'
+import {
+  applyRuntimeInstanceEvent,
+  applyRuntimeJobProgress,
+  buildInitialRuntimeEventStreamState,
+  buildRuntimeInstanceEventsUrl,
+  getRuntimeEventReconnectDelayMs,
+  selectActiveRuntimeJobs,
+} from './runtimeInstanceEvents.js'
+import authReducer from '../slices/authSlice.js'
+
+/* ------------------------------------------------------------------ */
+/*  Helpers                                                           */
+/* ------------------------------------------------------------------ */
+
+class TestRequest {
+  constructor(input, init = {}) {
+    this.url = new URL(typeof input === 'string' ? input : input.url, 'http://localhost').toString()
+    this.method = init.method || input?.method || 'GET'
+    this.headers = new Headers(init.headers || input?.headers || {})
+    this.body = init.body || input?.body || null
+    this.signal = init.signal || input?.signal
+  }
+
+  clone() {
+    return new TestRequest(this.url, this)
+  }
+}
+
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  })
+
+const createTestStore = () =>
+  configureStore({
+    reducer: {
+      auth: authReducer,
+      [baseApi.reducerPath]: baseApi.reducer,
+    },
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(baseApi.middleware),
+  })
+
+const sseMessage = (event, payload, id = null) => ({ event, data: JSON.stringify(payload), id })
+
+/* ------------------------------------------------------------------ */
+/*  Tests                                                             */
+/* ------------------------------------------------------------------ */
+
+describe('runtimeInstanceEvents', () => {
+  it('builds the per-instance stream URL', () => {
+    expect(buildRuntimeInstanceEventsUrl({ runtimeInstanceId: ' ri 1 ' })).toMatch(
+      /\/runtime-instances\/ri%201\/events$/,
+    )
+  })
+
+  it('merges job progress and drops terminal jobs from the active list', () => {
+    const state = buildInitialRuntimeEventStreamState()
+
+    applyRuntimeJobProgress(state, { jobId: 'j-1', kind: 'graph_rebuild', progress: 140 })
+    applyRuntimeJobProgress(state, { jobId: 'j-2', kind: 'DOCUMENT_EXTRACTION', progress: 30 })
+    applyRuntimeJobProgress(state, { jobId: 'j-2', status: 'completed' })
+    applyRuntimeJobProgress(state, { progress: 50 })
+
+    expect(state.jobs['j-1']).toMatchObject({ kind: 'GRAPH_REBUILD', status: 'RUNNING', progress: 100 })
+    expect(state.jobs['j-2']).toMatchObject({ kind: 'DOCUMENT_EXTRACTION', status: 'COMPLETED', progress: 30 })
+    expect(selectActiveRuntimeJobs(state).map((job) => job.jobId)).toEqual(['j-1'])
+  })
+
+  it('caps the reconnect delay', () => {
+    expect(getRuntimeEventReconnectDelayMs(0)).toBe(2_000)
+    expect(getRuntimeEventReconnectDelayMs(2)).toBe(8_000)
+    expect(getRuntimeEventReconnectDelayMs(20)).toBe(60_000)
+  })
+
+  describe('applyRuntimeInstanceEvent', () => {
+    const NativeRequest = globalThis.Request
+    let fetchSpy
+
+    beforeEach(() => {
+      vi.stubGlobal('Request', TestRequest)
+    })
+
+    afterEach(() => {
+      fetchSpy?.mockRestore()
+      vi.stubGlobal('Request', NativeRequest)
+    })
+
+    it('patches the cached renderer for the same instance only', async () => {
+      fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (request) => {
+        const { pathname } = new URL(request.url)
+        return jsonResponse(200, { data: { pathname, version: 1 } })
+      })
+
+      const store = createTestStore()
+      const own = store.dispatch(runtimeInstanceApi.endpoints.getRuntimeRenderer.initiate({ runtimeInstanceId: 'ri-1' }))
+      const other = store.dispatch(runtimeInstanceApi.endpoints.getRuntimeRenderer.initiate({ runtimeInstanceId: 'ri-2' }))
+      await Promise.all([own, other])
+
+      const streamState = buildInitialRuntimeEventStreamState()
+      applyRuntimeInstanceEvent({
+        message: sseMessage('renderer.updated', { renderer: { version: 2 } }, 'evt-9'),
+        runtimeInstanceId: 'ri-1',
+        dispatch: store.dispatch,
+        getState: store.getState,
+        updateCachedData: (recipe) => recipe(streamState),
+      })
+
+      const selectRenderer = (runtimeInstanceId) =>
+        runtimeInstanceApi.endpoints.getRuntimeRenderer.select({ runtimeInstanceId })(store.getState()).data
+      expect(selectRenderer('ri-1')).toEqual({ data: { version: 2 } })
+      expect(selectRenderer('ri-2').data.version).toBe(1)
+      expect(streamState.lastEventId).toBe('evt-9')
+      expect(fetchSpy).toHaveBeenCalledTimes(2)
+
+      own.unsubscribe()
+      other.unsubscribe()
+    })
+
+    it('refetches the instance for invalidating events', async () => {
+      fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () =>
+        jsonResponse(200, { data: { version: 1 } }),
+      )
+
+      const store = createTestStore()
+      const subscription = store.dispatch(
+        runtimeInstanceApi.endpoints.getRuntimeRenderer.initiate({ runtimeInstanceId: 'ri-1' }),
+      )
+      await subscription
+
+      applyRuntimeInstanceEvent({
+        message: sseMessage('runtime.invalidated', { reason: 'REVISION_CREATED' }),
+        runtimeInstanceId: 'ri-1',
+        dispatch: store.dispatch,
+        getState: store.getState,
+        updateCachedData: (recipe) => recipe(buildInitialRuntimeEventStreamState()),
+      })
+
+      await vi.waitFor(() => expect(fetchSpy).toHaveBeenCalledTimes(2))
+      subscription.unsubscribe()
+    })
+
+    it('ignores events whose data is not JSON', () => {
+      const dispatch = vi.fn()
+      const updateCachedData = vi.fn()
+
+      applyRuntimeInstanceEvent({
+        message: { event: 'renderer.updated', data: 'not-json', id: null },
+        runtimeInstanceId: 'ri-1',
+        dispatch,
+        getState: vi.fn(),
+        updateCachedData,
+      })
+
+      expect(dispatch).not.toHaveBeenCalled()
+      expect(updateCachedData).not.toHaveBeenCalled()
+    })
+  })
+})
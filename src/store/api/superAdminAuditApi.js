@@ -33,4 +33,4 @@ export const superAdminAuditApi = baseApi.injectEndpoints({
   overrideExisting: false,
 })
 
-export const { useListDeniedAccessLogsQuery } = superAdminAuditApi
+export const { useListDeniedAccessLogsQuery, useLazyListDeniedAccessLogsQuery } = superAdminAuditApi
@@ -7,10 +7,18 @@
  * - Performance metrics
  * - Health trends
  * - Alert lifecycle
+ * - Alert rules, acknowledgement / snooze and timeline
  */
 
 import { baseApi } from './baseApi.js'
 
+const ALERT_LIFECYCLE_TAGS = [
+  { type: 'System', id: 'ALERTS-ACTIVE' },
+  { type: 'System', id: 'ALERTS-RESOLVED' },
+  { type: 'System', id: 'ALERT-TIMELINE' },
+  { type: 'System', id: 'METRICS' },
+]
+
 export const systemApi = baseApi.injectEndpoints({
   endpoints: (build) => ({
     /**
@@ -69,6 +77,88 @@ export const systemApi = baseApi.injectEndpoints({
         { type: 'System', id: `ALERTS-${String(status).toUpperCase()}` },
       ],
     }),
+
+    /**
+     * GET /health/alerts/timeline
+     * Trigger / resolve / acknowledge / snooze events, newest first.
+     */
+    getHealthAlertTimeline: build.query({
+      query: ({ limit = 50 } = {}) => ({
+        url: '../../health/alerts/timeline',
+        params: { limit },
+      }),
+      providesTags: [{ type: 'System', id: 'ALERT-TIMELINE' }],
+    }),
+
+    /**
+     * POST /health/alerts/:alertId/acknowledge
+     * Body: { comment }
+     */
+    acknowledgeHealthAlert: build.mutation({
+      query: ({ alertId, comment }) => ({
+        url: `../../health/alerts/${encodeURIComponent(alertId)}/acknowledge`,
+        method: 'POST',
+        body: { comment },
+      }),
+      invalidatesTags: ALERT_LIFECYCLE_TAGS,
+    }),
+
+    /**
+     * POST /health/alerts/:alertId/snooze
+     * Body: { comment, durationMinutes }
+     */
+    snoozeHealthAlert: build.mutation({
+      query: ({ alertId, comment, durationMinutes }) => ({
+        url: `../../health/alerts/${encodeURIComponent(alertId)}/snooze`,
+        method: 'POST',
+        body: { comment, durationMinutes },
+      }),
+      invalidatesTags: ALERT_LIFECYCLE_TAGS,
+    }),
+
+    /**
+     * GET /health/alert-rules
+     * Threshold rules evaluated against the normalised metrics (SUPER_ADMIN only).
+     */
+    listHealthAlertRules: build.query({
+      query: () => '../../health/alert-rules',
+      providesTags: [{ type: 'System', id: 'ALERT-RULES' }],
+    }),
+
+    /**
+     * POST /health/alert-rules
+     */
+    createHealthAlertRule: build.mutation({
+      query: (rule) => ({
+        url: '../../health/alert-rules',
+        method: 'POST',
+        body: rule,
+      }),
+      invalidatesTags: [{ type: 'System', id: 'ALERT-RULES' }, ...ALERT_LIFECYCLE_TAGS],
+    }),
+
+    /**
+     * PATCH /health/alert-rules/:ruleId
+     */
+    updateHealthAlertRule: build.mutation({
+      query: ({ ruleId, ...changes }) => ({
+        url: `../../health/alert-rules/${encodeURIComponent(ruleId)}`,
+        method: 'PATCH',
+        body: changes,
+      }),
+      invalidatesTags: [{ type: 'System', id: 'ALERT-RULES' }, ...ALERT_LIFECYCLE_TAGS],
+    }),
+
+    /**
+     * DELETE /health/alert-rules/:ruleId
+     */
+    deleteHealthAlertRule: build.mutation({
+      query: (ruleId) => ({
+        url: `../../health/alert-rules/${encodeURIComponent(ruleId)}`,
+        method: 'DELETE',
+      }),
+      invalidatesTags: [{ type: 'System', id: 'ALERT-RULES' }, ...ALERT_LIFECYCLE_TAGS],
+    }),
   }),
   overrideExisting: false,
 })
@@ -79,4 +169,11 @@ export const {
   useGetSystemMetricsQuery,
   useGetHealthTrendsQuery,
   useGetHealthAlertsQuery,
+  useGetHealthAlertTimelineQuery,
+  useAcknowledgeHealthAlertMutation,
+  useSnoozeHealthAlertMutation,
+  useListHealthAlertRulesQuery,
+  useCreateHealthAlertRuleMutation,
+  useUpdateHealthAlertRuleMutation,
+  useDeleteHealthAlertRuleMutation,
 } = systemApi
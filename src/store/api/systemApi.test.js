@@ -6,6 +6,9 @@ import {
   useGetSystemMetricsQuery,
   useGetHealthTrendsQuery,
   useGetHealthAlertsQuery,
+  useListHealthAlertRulesQuery,
+  useAcknowledgeHealthAlertMutation,
+  useSnoozeHealthAlertMutation,
 } from './systemApi.js'
 
 describe('systemApi', () => {
@@ -50,6 +53,17 @@ describe('systemApi', () => {
     expect(typeof systemApi.endpoints.getHealthAlerts.initiate).toBe('function')
   })
 
+  it('exposes alert rule and alert lifecycle endpoints', () => {
+    expect(systemApi.endpoints).toHaveProperty('getHealthAlertTimeline')
+    expect(systemApi.endpoints).toHaveProperty('listHealthAlertRules')
+    expect(systemApi.endpoints).toHaveProperty('createHealthAlertRule')
+    expect(systemApi.endpoints).toHaveProperty('updateHealthAlertRule')
+    expect(systemApi.endpoints).toHaveProperty('deleteHealthAlertRule')
+    expect(typeof useListHealthAlertRulesQuery).toBe('function')
+    expect(typeof useAcknowledgeHealthAlertMutation).toBe('function')
+    expect(typeof useSnoozeHealthAlertMutation).toBe('function')
+  })
+
   it('endpoints are defined as expected count', () => {
     const keys = Object.keys(systemApi.endpoints).filter(
       (k) =>
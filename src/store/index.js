@@ -14,6 +14,7 @@ import { configureStore } from '@reduxjs/toolkit'
 import { baseApi } from './api/baseApi.js'
 import authReducer from './slices/authSlice.js'
 import tenantContextReducer from './slices/tenantContextSlice.js'
+import runtimeOutboxReducer from './slices/runtimeOutboxSlice.js'
 
 export const store = configureStore({
   reducer: {
@@ -23,6 +24,7 @@ export const store = configureStore({
     // Feature slices
     auth: authReducer,
     tenantContext: tenantContextReducer,
+    runtimeOutbox: runtimeOutboxReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware().concat(baseApi.middleware),
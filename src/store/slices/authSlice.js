@@ -54,6 +54,7 @@ import { createSlice } from '@reduxjs/toolkit'
  * @property {string|null} [licenseLevelId]
  * @property {'SINGLE_TENANT'|'MULTI_TENANT'|string|null} [topology]
  * @property {string|null} [defaultTenantId]
+ * @property {import('../../utils/brandPalette.js').CustomerBranding|null} [branding]
  */
 
 /**
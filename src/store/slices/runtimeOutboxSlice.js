@@ -0,0 +1,394 @@
+/**
+ * Runtime Outbox Slice
+ *
+ * Queues runtime section edits (`mutateRuntimeState`,
+ * `updateRuntimeSectionEvidence`) made while the browser is offline and
+ * replays them in order once the connection returns.
+ *
+ * State shape:
+ *   {
+ *     hydrated:  boolean,              // persisted entries loaded
+ *     userId:    string|null,          // whose entries were loaded
+ *     replaying: boolean,              // a replay pass is running
+ *     entries:   RuntimeOutboxEntry[], // ordered by queuedAt
+ *   }
+ *
+ * Entries are persisted through `utils/runtimeOutboxStorage.js` so a
+ * reload while offline keeps them. Each entry records the user (and
+ * tenant) that queued it, and only the signed-in user's entries are
+ * hydrated and replayed: a forced logout that skips the storage cleanup
+ * never sends one user's edits as the next. Before an entry is sent the
+ * latest renderer projection is fetched: if the runtime moved on (another
+ * editor, a new revision, a lock) the entry is parked as CONFLICT
+ * instead of overwriting newer truth.
+ *
+ * @module store/slices/runtimeOutboxSlice
+ */
+
+import { createSlice } from '@reduxjs/toolkit'
+import { runtimeInstanceApi } from '../api/runtimeInstanceApi.js'
+import {
+  deleteRuntimeOutboxEntry,
+  loadRuntimeOutboxEntries,
+  saveRuntimeOutboxEntry,
+} from '../../utils/runtimeOutboxStorage.js'
+import { normalizeError } from '../../utils/errors.js'
+import { getRuntimeConcurrencyMarker, isRuntimeStaleWriteError } from '../../utils/runtimeMerge.js'
+
+/**
+ * @typedef {Object} RuntimeOutboxEntry
+ * @property {string} id
+ * @property {'mutateRuntimeState'|'updateRuntimeSectionEvidence'} endpointName
+ * @property {string} runtimeInstanceId
+ * @property {string} runtimePath
+ * @property {string} userId          - user who queued the edit
+ * @property {string|null} tenantId   - tenant in context when it was queued
+ * @property {Object} body            - request body, incl. `expectedUpdatedAt`
+ * @property {'PENDING'|'REPLAYING'|'CONFLICT'|'FAILED'} status
+ * @property {string} queuedAt
+ * @property {string|null} message    - conflict / failure detail
+ */
+
+export const RUNTIME_OUTBOX_STATUSES = Object.freeze({
+  PENDING: 'PENDING',
+  REPLAYING: 'REPLAYING',
+  CONFLICT: 'CONFLICT',
+  FAILED: 'FAILED',
+})
+
+export const RUNTIME_OUTBOX_ENDPOINTS = Object.freeze([
+  'mutateRuntimeState',
+  'updateRuntimeSectionEvidence',
+])
+
+export const RUNTIME_OUTBOX_CONFLICT_MESSAGE =
+  'This runtime changed while you were offline. Review the section and save again.'
+export const RUNTIME_OUTBOX_LOCKED_MESSAGE =
+  'This runtime was locked or revised while you were offline. Your edit was not applied.'
+
+const OFFLINE_ERROR_CODES = new Set(['CLIENT_OFFLINE', 'NETWORK_ERROR'])
+const OFFLINE_ERROR_STATUSES = new Set(['FETCH_ERROR', 'TIMEOUT_ERROR'])
+
+const initialState = {
+  hydrated: false,
+  userId: null,
+  replaying: false,
+  entries: [],
+}
+
+const byQueuedAt = (left, right) =>
+  String(left.queuedAt).localeCompare(String(right.queuedAt))
+
+const normalizeId = (value) => String(value ?? '').trim()
+
+const selectOutboxUserId = (state) => normalizeId(state.auth?.user?.id)
+
+const runtimeOutboxSlice = createSlice({
+  name: 'runtimeOutbox',
+  initialState,
+  reducers: {
+    runtimeOutboxHydrated(state, action) {
+      const { userId, entries: persisted = [] } = action.payload ?? {}
+      const ownEntries = state.entries.filter((entry) => entry.userId === userId)
+      const knownIds = new Set(ownEntries.map((entry) => entry.id))
+      state.entries = [
+        ...ownEntries,
+        ...persisted
+          .filter((entry) => entry.userId === userId && !knownIds.has(entry.id))
+          // A tab closed mid-replay leaves REPLAYING behind; retry it.
+          .map((entry) => entry.status === RUNTIME_OUTBOX_STATUSES.REPLAYING
+            ? { ...entry, status: RUNTIME_OUTBOX_STATUSES.PENDING }
+            : entry),
+      ].sort(byQueuedAt)
+      state.hydrated = true
+      state.userId = userId
+    },
+
+    runtimeOutboxEntryUpserted(state, action) {
+      const index = state.entries.findIndex((entry) => entry.id === action.payload.id)
+      if (index === -1) {
+        state.entries.push(action.payload)
+        state.entries.sort(byQueuedAt)
+        return
+      }
+      state.entries[index] = action.payload
+    },
+
+    runtimeOutboxEntryRemoved(state, action) {
+      state.entries = state.entries.filter((entry) => entry.id !== action.payload)
+    },
+
+    runtimeOutboxReplayStarted(state) {
+      state.replaying = true
+    },
+
+    runtimeOutboxReplayFinished(state) {
+      state.replaying = false
+    },
+  },
+  extraReducers: (builder) => {
+    // Persisted entries are cleared by the logout mutation itself; a
+    // failed session restore while offline must not drop them.
+    builder.addCase('auth/clearCredentials', (state) => {
+      state.entries = []
+      state.hydrated = false
+      state.userId = null
+    })
+  },
+})
+
+export const {
+  runtimeOutboxHydrated,
+  runtimeOutboxEntryUpserted,
+  runtimeOutboxEntryRemoved,
+  runtimeOutboxReplayStarted,
+  runtimeOutboxReplayFinished,
+} = runtimeOutboxSlice.actions
+
+export default runtimeOutboxSlice.reducer
+
+/* ------------------------------------------------------------------ */
+/*  Selectors                                                         */
+/* ------------------------------------------------------------------ */
+
+export const selectRuntimeOutboxEntries = (state) => state.runtimeOutbox?.entries ?? []
+
+export const selectIsRuntimeOutboxReplaying = (state) => Boolean(state.runtimeOutbox?.replaying)
+
+/**
+ * Most significant outbox status per runtime path for one instance —
+ * CONFLICT and FAILED outrank PENDING so problems are never hidden.
+ * @returns {Record<string, { status: string, message: string|null, count: number }>}
+ */
+export const getRuntimeOutboxStatusByPath = (entries, runtimeInstanceId) => {
+  const normalizedRuntimeInstanceId = normalizeId(runtimeInstanceId)
+  const rank = {
+    [RUNTIME_OUTBOX_STATUSES.CONFLICT]: 3,
+    [RUNTIME_OUTBOX_STATUSES.FAILED]: 2,
+    [RUNTIME_OUTBOX_STATUSES.REPLAYING]: 1,
+    [RUNTIME_OUTBOX_STATUSES.PENDING]: 0,
+  }
+
+  return entries
+    .filter((entry) => entry.runtimeInstanceId === normalizedRuntimeInstanceId)
+    .reduce((acc, entry) => {
+      const current = acc[entry.runtimePath]
+      const count = (current?.count ?? 0) + 1
+      acc[entry.runtimePath] = !current || rank[entry.status] > rank[current.status]
+        ? { status: entry.status, message: entry.message ?? null, count }
+        : { ...current, count }
+      return acc
+    }, {})
+}
+
+/* ------------------------------------------------------------------ */
+/*  Thunks                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * True when a failed request never reached the server — the edit should
+ * stay queued rather than be reported as an error.
+ */
+export const isOfflineMutationError = (error) =>
+  OFFLINE_ERROR_STATUSES.has(error?.status)
+  || OFFLINE_ERROR_CODES.has(normalizeError(error).code)
+
+const isRuntimeLocked = (renderer) => Boolean(
+  renderer?.lock?.locked
+  || renderer?.runtimeInstance?.lockedAt
+  || String(renderer?.runtimeInstance?.status ?? '').toUpperCase() === 'LOCKED',
+)
+
+const createEntryId = () =>
+  globalThis.crypto?.randomUUID?.() ?? `outbox-${Date.now()}-${Math.random().toString(36).slice(2)}`
+
+const persistEntry = (entry) => async (dispatch) => {
+  dispatch(runtimeOutboxEntryUpserted(entry))
+  await saveRuntimeOutboxEntry(entry)
+}
+
+const removeEntry = (id) => async (dispatch) => {
+  dispatch(runtimeOutboxEntryRemoved(id))
+  await deleteRuntimeOutboxEntry(id)
+}
+
+/**
+ * Load the signed-in user's persisted entries into the store (once per
+ * user). Other users' entries stay on disk for their next sign-in.
+ */
+export const hydrateRuntimeOutbox = () => async (dispatch, getState) => {
+  const userId = selectOutboxUserId(getState())
+  const { hydrated, userId: hydratedUserId } = getState().runtimeOutbox ?? {}
+  if (!userId || (hydrated && hydratedUserId === userId)) return
+  const entries = await loadRuntimeOutboxEntries()
+  // The session may have changed while storage was read
+  if (selectOutboxUserId(getState()) !== userId) return
+  dispatch(runtimeOutboxHydrated({ userId, entries }))
+}
+
+/**
+ * Queue an edit that could not be sent. Repeated value writes to the same
+ * runtime path collapse into one entry so only the latest typing replays;
+ * the original `expectedUpdatedAt` is kept as the conflict base.
+ *
+ * @param {{ endpointName: string, runtimeInstanceId: string, body: Object }} mutation
+ * @returns {Function} thunk resolving to the stored entry
+ */
+export const queueRuntimeMutation = ({ endpointName, runtimeInstanceId, body }) =>
+  async (dispatch, getState) => {
+    if (!RUNTIME_OUTBOX_ENDPOINTS.includes(endpointName)) {
+      throw new Error(`Runtime outbox cannot queue "${endpointName}"`)
+    }
+
+    const userId = selectOutboxUserId(getState())
+    if (!userId) {
+      throw new Error('Sign in again before queueing offline edits.')
+    }
+
+    const normalizedRuntimeInstanceId = normalizeId(runtimeInstanceId)
+    const runtimePath = normalizeId(body?.runtimePath)
+    const existing = endpointName === 'mutateRuntimeState'
+      ? selectRuntimeOutboxEntries(getState()).find((entry) =>
+        entry.userId === userId
+        && entry.endpointName === endpointName
+        && entry.runtimeInstanceId === normalizedRuntimeInstanceId
+        && entry.runtimePath === runtimePath
+        && entry.status === RUNTIME_OUTBOX_STATUSES.PENDING)
+      : null
+
+    const entry = existing
+      ? {
+          ...existing,
+          body: { ...body, expectedUpdatedAt: existing.body.expectedUpdatedAt },
+        }
+      : {
+          id: createEntryId(),
+          endpointName,
+          runtimeInstanceId: normalizedRuntimeInstanceId,
+          runtimePath,
+          userId,
+          tenantId: getState().tenantContext?.tenantId ?? null,
+          body,
+          status: RUNTIME_OUTBOX_STATUSES.PENDING,
+          queuedAt: new Date().toISOString(),
+          message: null,
+        }
+
+    await dispatch(persistEntry(entry))
+    return entry
+  }
+
+/**
+ * Drop queued entries for a path — after a successful online save, or
+ * when the user discards a conflicted edit.
+ */
+export const discardRuntimeOutboxPath = ({ runtimeInstanceId, runtimePath }) =>
+  async (dispatch, getState) => {
+    const normalizedRuntimeInstanceId = normalizeId(runtimeInstanceId)
+    const matches = selectRuntimeOutboxEntries(getState()).filter((entry) =>
+      entry.runtimeInstanceId === normalizedRuntimeInstanceId
+      && entry.runtimePath === runtimePath
+      && entry.status !== RUNTIME_OUTBOX_STATUSES.REPLAYING)
+    await Promise.all(matches.map((entry) => dispatch(removeEntry(entry.id))))
+  }
+
+/**
+ * Replay the signed-in user's PENDING entries oldest-first. Stops at the
+ * first network failure (the rest stay queued for the next `online`
+ * event). Each instance's concurrency marker is carried forward between
+ * our own replayed edits, so a queue of offline edits does not conflict
+ * with itself.
+ *
+ * @returns {Function} thunk resolving to `{ replayed, conflicts, failed }`
+ */
+export const replayRuntimeOutbox = () => async (dispatch, getState) => {
+  const summary = { replayed: 0, conflicts: 0, failed: 0 }
+  if (selectIsRuntimeOutboxReplaying(getState())) return summary
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return summary
+
+  dispatch(runtimeOutboxReplayStarted())
+  /** @type {Record<string, { from: string, to: Object }>} */
+  const rebasedMarkers = {}
+
+  try {
+    const userId = selectOutboxUserId(getState())
+    const pending = selectRuntimeOutboxEntries(getState())
+      .filter((entry) => entry.status === RUNTIME_OUTBOX_STATUSES.PENDING && entry.userId === userId)
+
+    for (const queuedEntry of pending) {
+      const rebase = rebasedMarkers[queuedEntry.runtimeInstanceId]
+      const body = rebase && rebase.from === queuedEntry.body.expectedUpdatedAt
+        ? { ...queuedEntry.body, ...rebase.to }
+        : queuedEntry.body
+      const baseUpdatedAt = body.expectedUpdatedAt
+      const entry = {
+        ...queuedEntry,
+        status: RUNTIME_OUTBOX_STATUSES.REPLAYING,
+        body,
+      }
+      await dispatch(persistEntry(entry))
+
+      const latest = await dispatch(runtimeInstanceApi.endpoints.getRuntimeRenderer.initiate(
+        { runtimeInstanceId: entry.runtimeInstanceId },
+        { forceRefetch: true, subscribe: false },
+      ))
+      if (latest.error) {
+        if (isOfflineMutationError(latest.error)) {
+          await dispatch(persistEntry({ ...queuedEntry, status: RUNTIME_OUTBOX_STATUSES.PENDING }))
+          break
+        }
+      } else {
+        const renderer = latest.data?.data ?? latest.data
+        const currentUpdatedAt = renderer?.runtimeInstance?.updatedAt
+        const conflictMessage = isRuntimeLocked(renderer)
+          ? RUNTIME_OUTBOX_LOCKED_MESSAGE
+          : currentUpdatedAt && currentUpdatedAt !== baseUpdatedAt
+            ? RUNTIME_OUTBOX_CONFLICT_MESSAGE
+            : ''
+        if (conflictMessage) {
+          await dispatch(persistEntry({
+            ...queuedEntry,
+            status: RUNTIME_OUTBOX_STATUSES.CONFLICT,
+            message: conflictMessage,
+          }))
+          summary.conflicts += 1
+          continue
+        }
+      }
+
+      const result = await dispatch(runtimeInstanceApi.endpoints[entry.endpointName].initiate({
+        runtimeInstanceId: entry.runtimeInstanceId,
+        body: entry.body,
+      }))
+
+      if (!result.error) {
+        const nextMarker = getRuntimeConcurrencyMarker(
+          result.data?.data?.runtimeInstance ?? result.data?.runtimeInstance,
+        )
+        if (nextMarker.expectedUpdatedAt) {
+          rebasedMarkers[entry.runtimeInstanceId] = { from: queuedEntry.body.expectedUpdatedAt, to: nextMarker }
+        }
+        await dispatch(removeEntry(entry.id))
+        summary.replayed += 1
+        continue
+      }
+
+      if (isOfflineMutationError(result.error)) {
+        await dispatch(persistEntry({ ...queuedEntry, status: RUNTIME_OUTBOX_STATUSES.PENDING }))
+        break
+      }
+
+      const conflict = isRuntimeStaleWriteError(result.error)
+      await dispatch(persistEntry({
+        ...queuedEntry,
+        status: conflict ? RUNTIME_OUTBOX_STATUSES.CONFLICT : RUNTIME_OUTBOX_STATUSES.FAILED,
+        message: conflict ? RUNTIME_OUTBOX_CONFLICT_MESSAGE : normalizeError(result.error).message,
+      }))
+      summary[conflict ? 'conflicts' : 'failed'] += 1
+    }
+  } finally {
+    dispatch(runtimeOutboxReplayFinished())
+  }
+
+  return summary
+}
@@ -0,0 +1,306 @@
+/**
+ * Runtime Outbox Slice Tests
+ *
+ * Covers:
+ * - Repeated offline writes to one runtime path collapse into one entry
+ * - Replay sends queued edits in order and chains the concurrency marker
+ * - Runtimes that moved on while offline park the edit as CONFLICT
+ * - Stale-write rejections from the backend become CONFLICT
+ * - Network failures leave the edit queued
+ * - Only the signed-in user's entries are hydrated and replayed
+ * - Status by path ranks conflicts above pending edits
+ */
+
+import { configureStore } from '@reduxjs/toolkit'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { baseApi } from '../api/baseApi.js'
+import authReducer, { setCredentials } from './authSlice.js'
+import runtimeOutboxReducer, {
+  RUNTIME_OUTBOX_LOCKED_MESSAGE,
+  RUNTIME_OUTBOX_STATUSES,
+  getRuntimeOutboxStatusByPath,
+  hydrateRuntimeOutbox,
+  queueRuntimeMutation,
+  replayRuntimeOutbox,
+  selectRuntimeOutboxEntries,
+} from './runtimeOutboxSlice.js'
+import {
+  clearRuntimeOutboxEntries,
+  loadRuntimeOutboxEntries,
+  saveRuntimeOutboxEntry,
+} from '../../utils/runtimeOutboxStorage.js'
+
+/* ------------------------------------------------------------------ */
+/*  Helpers                                                           */
+/* ------------------------------------------------------------------ */
+
+class TestRequest {
+  constructor(input, init = {}) {
+    this.url = new URL(typeof input === 'string' ? input : input.url, 'http://localhost').toString()
+    this.method = init.method || input?.method || 'GET'
+    this.headers = new Headers(init.headers || input?.headers || {})
+    this.body = init.body || input?.body || null
+    this.signal = init.signal || input?.signal
+  }
+
+  clone() {
+    return new TestRequest(this.url, this)
+  }
+}
+
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  })
+
+const createTestStore = ({ userId = 'user-1' } = {}) => {
+  const store = configureStore({
+    reducer: {
+      auth: authReducer,
+      runtimeOutbox: runtimeOutboxReducer,
+      [baseApi.reducerPath]: baseApi.reducer,
+    },
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(baseApi.middleware),
+  })
+  if (userId) store.dispatch(setCredentials({ user: { id: userId } }))
+  return store
+}
+
+const BASE_UPDATED_AT = '2026-05-19T08:00:00.000Z'
+
+const writeBody = (runtimePath, value) => ({
+  runtimePath,
+  operation: 'WRITE',
+  value,
+  expectedUpdatedAt: BASE_UPDATED_AT,
+})
+
+/**
+ * Fake runtime backend: renderer reads report the current marker,
+ * PATCH /data enforces it and bumps it on every accepted write.
+ */
+const mockRuntimeBackend = ({ runtime = {}, patchStatus = null } = {}) => {
+  const state = { updatedAt: BASE_UPDATED_AT, writes: [], version: 0 }
+  const spy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (request) => {
+    const { pathname } = new URL(request.url)
+
+    if (pathname.endsWith('/renderer')) {
+      return jsonResponse(200, { data: { runtimeInstance: { ...runtime, updatedAt: state.updatedAt } } })
+    }
+
+    if (pathname.endsWith('/data')) {
+      const body = JSON.parse(await new Response(request.body).text())
+      if (patchStatus) return jsonResponse(patchStatus, { error: { code: 'RUNTIME_STALE_WRITE' } })
+      if (body.expectedUpdatedAt !== state.updatedAt) {
+        return jsonResponse(409, { error: { code: 'RUNTIME_STALE_WRITE' } })
+      }
+      state.version += 1
+      state.updatedAt = `2026-05-19T09:00:0${state.version}.000Z`
+      state.writes.push(body)
+      return jsonResponse(200, { data: { runtimeInstance: { updatedAt: state.updatedAt } } })
+    }
+
+    return jsonResponse(404, {})
+  })
+  return { state, spy }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Tests                                                             */
+/* ------------------------------------------------------------------ */
+
+describe('runtimeOutboxSlice', () => {
+  const NativeRequest = globalThis.Request
+  let backend
+
+  beforeEach(async () => {
+    vi.stubGlobal('Request', TestRequest)
+    await clearRuntimeOutboxEntries()
+  })
+
+  afterEach(() => {
+    backend?.spy.mockRestore()
+    backend = null
+    vi.stubGlobal('Request', NativeRequest)
+    vi.restoreAllMocks()
+  })
+
+  it('collapses repeated writes to one path and keeps the original base marker', async () => {
+    const store = createTestStore()
+
+    await store.dispatch(queueRuntimeMutation({
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      body: writeBody('framework_state.sections.problem', 'first'),
+    }))
+    await store.dispatch(queueRuntimeMutation({
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      body: { ...writeBody('framework_state.sections.problem', 'second'), expectedUpdatedAt: 'ignored' },
+    }))
+
+    const entries = selectRuntimeOutboxEntries(store.getState())
+    expect(entries).toHaveLength(1)
+    expect(entries[0]).toMatchObject({ userId: 'user-1', tenantId: null })
+    expect(entries[0].body).toMatchObject({ value: 'second', expectedUpdatedAt: BASE_UPDATED_AT })
+    expect(await loadRuntimeOutboxEntries()).toEqual(entries)
+  })
+
+  it('rejects endpoints the outbox does not support', async () => {
+    const store = createTestStore()
+
+    await expect(store.dispatch(queueRuntimeMutation({
+      endpointName: 'acceptRuntimeSection',
+      runtimeInstanceId: 'ri-1',
+      body: {},
+    }))).rejects.toThrow(/cannot queue/)
+  })
+
+  it('replays queued edits in order, chaining the concurrency marker between them', async () => {
+    backend = mockRuntimeBackend()
+    const store = createTestStore()
+
+    await store.dispatch(queueRuntimeMutation({
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      body: writeBody('framework_state.sections.problem', 'A'),
+    }))
+    await store.dispatch(queueRuntimeMutation({
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      body: writeBody('framework_state.sections.outcome', 'B'),
+    }))
+
+    const summary = await store.dispatch(replayRuntimeOutbox())
+
+    expect(summary).toEqual({ replayed: 2, conflicts: 0, failed: 0 })
+    expect(backend.state.writes.map((write) => write.value)).toEqual(['A', 'B'])
+    expect(backend.state.writes[1].expectedUpdatedAt).toBe('2026-05-19T09:00:01.000Z')
+    expect(selectRuntimeOutboxEntries(store.getState())).toEqual([])
+    expect(await loadRuntimeOutboxEntries()).toEqual([])
+  })
+
+  it('parks an edit as CONFLICT when the runtime changed while offline', async () => {
+    backend = mockRuntimeBackend()
+    backend.state.updatedAt = '2026-05-19T10:30:00.000Z'
+    const store = createTestStore()
+
+    await store.dispatch(queueRuntimeMutation({
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      body: writeBody('framework_state.sections.problem', 'A'),
+    }))
+    const summary = await store.dispatch(replayRuntimeOutbox())
+
+    expect(summary.conflicts).toBe(1)
+    expect(backend.state.writes).toEqual([])
+    expect(selectRuntimeOutboxEntries(store.getState())[0]).toMatchObject({
+      status: RUNTIME_OUTBOX_STATUSES.CONFLICT,
+      body: { expectedUpdatedAt: BASE_UPDATED_AT },
+    })
+  })
+
+  it('parks an edit as CONFLICT when the runtime was locked for a revision', async () => {
+    backend = mockRuntimeBackend({ runtime: { lockedAt: '2026-05-19T08:30:00.000Z' } })
+    const store = createTestStore()
+
+    await store.dispatch(queueRuntimeMutation({
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      body: writeBody('framework_state.sections.problem', 'A'),
+    }))
+    await store.dispatch(replayRuntimeOutbox())
+
+    expect(selectRuntimeOutboxEntries(store.getState())[0]).toMatchObject({
+      status: RUNTIME_OUTBOX_STATUSES.CONFLICT,
+      message: RUNTIME_OUTBOX_LOCKED_MESSAGE,
+    })
+  })
+
+  it('treats a stale-write rejection from the backend as a conflict', async () => {
+    backend = mockRuntimeBackend({ patchStatus: 409 })
+    const store = createTestStore()
+
+    await store.dispatch(queueRuntimeMutation({
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      body: writeBody('framework_state.sections.problem', 'A'),
+    }))
+    const summary = await store.dispatch(replayRuntimeOutbox())
+
+    expect(summary).toEqual({ replayed: 0, conflicts: 1, failed: 0 })
+    expect(selectRuntimeOutboxEntries(store.getState())[0].status).toBe(RUNTIME_OUTBOX_STATUSES.CONFLICT)
+  })
+
+  it('keeps edits queued while the browser is still offline', async () => {
+    backend = mockRuntimeBackend()
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    const store = createTestStore()
+
+    await store.dispatch(queueRuntimeMutation({
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      body: writeBody('framework_state.sections.problem', 'A'),
+    }))
+    await store.dispatch(replayRuntimeOutbox())
+
+    expect(backend.spy).not.toHaveBeenCalled()
+    expect(selectRuntimeOutboxEntries(store.getState())[0].status).toBe(RUNTIME_OUTBOX_STATUSES.PENDING)
+  })
+
+  it('refuses to queue without a signed-in user', async () => {
+    const store = createTestStore({ userId: null })
+
+    await expect(store.dispatch(queueRuntimeMutation({
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      body: writeBody('framework_state.sections.problem', 'A'),
+    }))).rejects.toThrow(/sign in/i)
+    expect(await loadRuntimeOutboxEntries()).toEqual([])
+  })
+
+  it('hydrates and replays only the signed-in user\'s entries', async () => {
+    backend = mockRuntimeBackend()
+    await saveRuntimeOutboxEntry({
+      id: 'left-behind',
+      endpointName: 'mutateRuntimeState',
+      runtimeInstanceId: 'ri-1',
+      runtimePath: 'framework_state.sections.problem',
+      userId: 'user-1',
+      tenantId: 'tenant-1',
+      body: writeBody('framework_state.sections.problem', 'from user 1'),
+      status: RUNTIME_OUTBOX_STATUSES.PENDING,
+      queuedAt: '2026-05-19T08:05:00.000Z',
+      message: null,
+    })
+    const store = createTestStore({ userId: 'user-2' })
+
+    await store.dispatch(hydrateRuntimeOutbox())
+    const summary = await store.dispatch(replayRuntimeOutbox())
+
+    expect(selectRuntimeOutboxEntries(store.getState())).toEqual([])
+    expect(summary).toEqual({ replayed: 0, conflicts: 0, failed: 0 })
+    expect(backend.spy).not.toHaveBeenCalled()
+    expect(await loadRuntimeOutboxEntries()).toHaveLength(1)
+
+    store.dispatch(setCredentials({ user: { id: 'user-1' } }))
+    await store.dispatch(hydrateRuntimeOutbox())
+
+    expect(selectRuntimeOutboxEntries(store.getState()).map((entry) => entry.id)).toEqual(['left-behind'])
+  })
+
+  it('ranks conflicts above pending edits per runtime path', () => {
+    const entries = [
+      { runtimeInstanceId: 'ri-1', runtimePath: 'a', status: 'PENDING', message: null },
+      { runtimeInstanceId: 'ri-1', runtimePath: 'a', status: 'CONFLICT', message: 'Changed.' },
+      { runtimeInstanceId: 'ri-1', runtimePath: 'b', status: 'PENDING', message: null },
+      { runtimeInstanceId: 'ri-2', runtimePath: 'c', status: 'FAILED', message: 'Nope.' },
+    ]
+
+    expect(getRuntimeOutboxStatusByPath(entries, 'ri-1')).toEqual({
+      a: { status: 'CONFLICT', message: 'Changed.', count: 2 },
+      b: { status: 'PENDING', message: null, count: 1 },
+    })
+  })
+})
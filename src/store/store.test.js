@@ -17,6 +17,7 @@ describe('Redux store', () => {
     const state = store.getState()
     expect(state).toHaveProperty('auth')
     expect(state).toHaveProperty('tenantContext')
+    expect(state).toHaveProperty('runtimeOutbox')
     expect(state).toHaveProperty(baseApi.reducerPath)
   })
 
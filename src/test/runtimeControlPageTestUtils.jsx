@@ -6,6 +6,7 @@ import { vi } from 'vitest'
 import { ToasterProvider } from '../components/Toaster'
 import { baseApi } from '../store/api/baseApi.js'
 import { __resetRuntimeControlApiStateForTests } from '../store/api/runtimeControlApi.js'
+import authReducer from '../store/slices/authSlice.js'
 
 export function setupRuntimeControlTestEnvironment() {
   vi.restoreAllMocks()
@@ -22,6 +23,7 @@ export function setupRuntimeControlTestEnvironment() {
 export function createRuntimeControlTestStore() {
   return configureStore({
     reducer: {
+      auth: authReducer,
       [baseApi.reducerPath]: baseApi.reducer,
     },
     middleware: (getDefaultMiddleware) =>
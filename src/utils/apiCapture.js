@@ -0,0 +1,264 @@
+/**
+ * API Capture
+ *
+ * "Capture session" recorder for reproducible bug reports. While capture
+ * is on, `baseApi` hands every request/response pair to
+ * `recordApiExchange()`; support exports the result as a HAR-style JSON
+ * file from `ErrorSupportPanel`, and an engineer replays it locally with
+ * `VITE_API_REPLAY_FILE` (see `store/api/replayTransport.js`).
+ *
+ * Secrets and personal data are redacted as they are recorded, so the
+ * buffer never holds them:
+ *   - auth headers (Authorization, step-up token, cookies)
+ *   - token / password / secret fields anywhere in a payload
+ *   - contact fields (email, phone, address, …) and email-like strings
+ *   - person names, on objects that also carry an email
+ *
+ * Only the on/off switch is kept in sessionStorage, so recording resumes
+ * after a reload of the same tab. The captured exchanges themselves are
+ * held in memory, bounded to the most recent `MAX_CAPTURED_EXCHANGES`,
+ * and are lost on reload: export the recording before reloading.
+ */
+
+export const API_CAPTURE_STORAGE_KEY = 'vmf_api_capture'
+export const REDACTED_VALUE = '[REDACTED]'
+export const REDACTED_EMAIL = 'redacted@example.invalid'
+const MAX_CAPTURED_EXCHANGES = 500
+const ENABLED_FLAG_VALUES = new Set(['1', 'true', 'yes', 'on'])
+
+const SECRET_KEY_PATTERN = /token|password|secret|authorization|api[-_]?key|cookie/i
+const PII_KEYS = new Set([
+  'email',
+  'phone',
+  'phonenumber',
+  'mobile',
+  'firstname',
+  'lastname',
+  'fullname',
+  'address',
+  'ipaddress',
+  'useragent',
+  'dateofbirth',
+])
+const PERSON_NAME_KEYS = new Set(['name', 'displayname'])
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+const REDACTED_HEADERS = new Set(['authorization', 'x-step-up-token', 'cookie', 'set-cookie'])
+
+/** @type {Object[]} */
+let capturedExchanges = []
+
+const readCaptureFlag = () => {
+  try {
+    return sessionStorage.getItem(API_CAPTURE_STORAGE_KEY) === '1'
+  } catch {
+    return false
+  }
+}
+
+/**
+ * True while request/response pairs are being recorded.
+ * @returns {boolean}
+ */
+export const isApiCaptureActive = () =>
+  ENABLED_FLAG_VALUES.has(String(import.meta.env.VITE_API_CAPTURE ?? '').trim().toLowerCase())
+  || readCaptureFlag()
+
+/** Start recording (persists for this tab). */
+export const startApiCapture = () => {
+  try {
+    sessionStorage.setItem(API_CAPTURE_STORAGE_KEY, '1')
+  } catch {
+    // Private/incognito mode may throw — capture still runs until reload
+  }
+}
+
+/** Stop recording and drop anything captured so far. */
+export const stopApiCapture = () => {
+  try {
+    sessionStorage.removeItem(API_CAPTURE_STORAGE_KEY)
+  } catch {
+    // ignore
+  }
+  capturedExchanges = []
+}
+
+/** @returns {Object[]} captured HAR entries, oldest first */
+export const getApiCaptureEntries = () => capturedExchanges
+
+/* ------------------------------------------------------------------ */
+/*  Redaction                                                         */
+/* ------------------------------------------------------------------ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const redactString = (value) => value.replace(EMAIL_PATTERN, REDACTED_EMAIL)
+
+/**
+ * Deep copy of a payload with secrets and personal data replaced.
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+export const redactCapturedValue = (value) => {
+  if (typeof value === 'string') return redactString(value)
+  if (Array.isArray(value)) return value.map(redactCapturedValue)
+  if (!isPlainObject(value)) return value
+
+  const describesPerson = Object.keys(value).some((key) => key.toLowerCase() === 'email')
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => {
+      const normalizedKey = key.toLowerCase()
+      if (entry === null || entry === undefined || entry === '') return [key, entry]
+      if (SECRET_KEY_PATTERN.test(key) || PII_KEYS.has(normalizedKey)) return [key, REDACTED_VALUE]
+      if (describesPerson && PERSON_NAME_KEYS.has(normalizedKey)) return [key, REDACTED_VALUE]
+      return [key, redactCapturedValue(entry)]
+    }),
+  )
+}
+
+const toHarHeaders = (headers) => {
+  if (!headers || typeof headers.forEach !== 'function') return []
+  const entries = []
+  headers.forEach((value, name) => {
+    entries.push({
+      name,
+      value: REDACTED_HEADERS.has(name.toLowerCase()) ? REDACTED_VALUE : value,
+    })
+  })
+  return entries
+}
+
+/* ------------------------------------------------------------------ */
+/*  Request keys                                                      */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Stable key for matching a replayed request to its recording:
+ * method, path and sorted query string (values redacted like the
+ * recording so captured and replayed keys agree).
+ * @param {string|Object} args - RTK Query `query()` result
+ * @returns {string} e.g. `GET /customers?page=1&pageSize=20`
+ */
+export const getApiRequestKey = (args) => {
+  const request = typeof args === 'string' ? { url: args } : args ?? {}
+  const method = String(request.method ?? 'GET').toUpperCase()
+  const [path, rawQuery = ''] = String(request.url ?? '').split('?')
+  const query = new URLSearchParams(rawQuery)
+  Object.entries(request.params ?? {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query.set(key, String(value))
+  })
+
+  const sortedQuery = [...query.entries()]
+    .map(([key, value]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) || PII_KEYS.has(key.toLowerCase()) ? REDACTED_VALUE : redactString(value),
+    ])
+    .sort(([left], [right]) => left.localeCompare(right))
+  const search = new URLSearchParams(sortedQuery).toString()
+  return `${method} ${path}${search ? `?${search}` : ''}`
+}
+
+/* ------------------------------------------------------------------ */
+/*  Recording                                                         */
+/* ------------------------------------------------------------------ */
+
+const toContent = (payload) =>
+  typeof payload === 'string'
+    ? { mimeType: 'text/plain', text: redactString(payload) }
+    : { mimeType: 'application/json', text: JSON.stringify(redactCapturedValue(payload ?? null)) }
+
+const readRequestBody = (body) => {
+  if (body === undefined || body === null) return undefined
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return {
+      mimeType: 'multipart/form-data',
+      params: [...body.keys()].map((name) => ({ name })),
+    }
+  }
+  return toContent(body)
+}
+
+/**
+ * Append one request/response pair to the capture buffer.
+ *
+ * @param {Object} exchange
+ * @param {string|Object} exchange.args   - RTK Query request args
+ * @param {Object} exchange.result        - base query result (`data` or `error`, plus `meta`)
+ * @param {string} [exchange.endpoint]    - RTK Query endpoint name
+ * @param {number} exchange.startedAt     - epoch ms when the request started
+ */
+export const recordApiExchange = ({ args, result, endpoint, startedAt }) => {
+  const request = typeof args === 'string' ? { url: args } : args ?? {}
+  const requestMeta = result?.meta?.request
+  const responseMeta = result?.meta?.response
+  const requestHeaders = requestMeta?.headers
+  const postData = readRequestBody(request.body)
+  const status = typeof result?.error?.status === 'number'
+    ? result.error.status
+    : responseMeta?.status ?? (result?.error ? 0 : 200)
+
+  capturedExchanges = [
+    ...capturedExchanges,
+    {
+      startedDateTime: new Date(startedAt).toISOString(),
+      time: Math.max(0, Date.now() - startedAt),
+      request: {
+        method: String(request.method ?? 'GET').toUpperCase(),
+        url: redactString(String(requestMeta?.url ?? request.url ?? '')),
+        headers: toHarHeaders(requestHeaders),
+        ...(postData ? { postData } : {}),
+      },
+      response: {
+        status,
+        statusText: result?.error && typeof result.error.status === 'string' ? result.error.status : '',
+        headers: toHarHeaders(responseMeta?.headers),
+        content: toContent(result?.error ? result.error.data : result?.data),
+      },
+      _requestId: requestHeaders?.get?.('X-Request-ID') ?? '',
+      _requestKey: getApiRequestKey(request),
+      ...(endpoint ? { _endpoint: endpoint } : {}),
+    },
+  ].slice(-MAX_CAPTURED_EXCHANGES)
+}
+
+/**
+ * HAR 1.2-shaped document for the captured exchanges.
+ * @returns {{ log: Object }}
+ */
+export const buildApiCaptureFile = () => ({
+  log: {
+    version: '1.2',
+    creator: { name: 'vmf-client', version: '1.0' },
+    pages: [{
+      id: 'capture',
+      title: typeof window !== 'undefined' ? window.location.pathname : '',
+      startedDateTime: capturedExchanges[0]?.startedDateTime ?? new Date().toISOString(),
+    }],
+    entries: capturedExchanges,
+  },
+})
+
+const DOWNLOAD_CLEANUP_DELAY_MS = 1000
+
+/**
+ * Save the capture as `vmf-session-<timestamp>.har.json`.
+ * @returns {string} the downloaded file name
+ */
+export const downloadApiCapture = () => {
+  const filename = `vmf-session-${new Date().toISOString().replace(/[:.]/g, '-')}.har.json`
+  const objectUrl = URL.createObjectURL(new Blob([JSON.stringify(buildApiCaptureFile(), null, 2)], {
+    type: 'application/json',
+  }))
+  const link = document.createElement('a')
+  link.href = objectUrl
+  link.download = filename
+  link.rel = 'noopener'
+  link.hidden = true
+  document.body.appendChild(link)
+  link.click()
+  window.setTimeout(() => {
+    link.remove()
+    URL.revokeObjectURL(objectUrl)
+  }, DOWNLOAD_CLEANUP_DELAY_MS)
+  return filename
+}
@@ -0,0 +1,84 @@
+/**
+ * apiCapture Tests
+ *
+ * Covers:
+ * - Redaction of tokens, contact fields and person names
+ * - Stable request keys
+ * - HAR entries carrying the X-Request-ID
+ */
+
+import { afterEach, describe, expect, it } from 'vitest'
+import {
+  REDACTED_EMAIL,
+  REDACTED_VALUE,
+  buildApiCaptureFile,
+  getApiCaptureEntries,
+  getApiRequestKey,
+  recordApiExchange,
+  redactCapturedValue,
+  stopApiCapture,
+} from './apiCapture.js'
+
+describe('apiCapture', () => {
+  afterEach(() => stopApiCapture())
+
+  it('redacts tokens, contact fields and person names', () => {
+    expect(redactCapturedValue({
+      data: {
+        accessToken: 'at-1',
+        refreshToken: 'rt-1',
+        user: { id: 'u-1', name: 'Avery Admin', email: 'avery@acme.test' },
+        customer: { id: 'c-1', name: 'Acme Corporation' },
+        note: 'Contact avery@acme.test for access',
+      },
+    })).toEqual({
+      data: {
+        accessToken: REDACTED_VALUE,
+        refreshToken: REDACTED_VALUE,
+        user: { id: 'u-1', name: REDACTED_VALUE, email: REDACTED_VALUE },
+        customer: { id: 'c-1', name: 'Acme Corporation' },
+        note: `Contact ${REDACTED_EMAIL} for access`,
+      },
+    })
+  })
+
+  it('builds order-independent request keys from url and params', () => {
+    expect(getApiRequestKey({ url: '/audit-logs?pageSize=50', params: { page: 1, q: undefined } }))
+      .toBe('GET /audit-logs?page=1&pageSize=50')
+    expect(getApiRequestKey('/audit-logs?page=1&pageSize=50'))
+      .toBe('GET /audit-logs?page=1&pageSize=50')
+    expect(getApiRequestKey({ url: '/users', method: 'post' })).toBe('POST /users')
+  })
+
+  it('records redacted exchanges with their request id into a HAR log', () => {
+    recordApiExchange({
+      args: { url: '/auth/step-up', method: 'POST', body: { password: 'hunter2' } },
+      result: {
+        error: { status: 403, data: { error: { code: 'STEP_UP_INVALID' } } },
+        meta: {
+          request: {
+            url: 'http://localhost/api/v1/auth/step-up',
+            headers: new Headers({ Authorization: 'Bearer at-1', 'X-Request-ID': 'req-1' }),
+          },
+          response: { status: 403, headers: new Headers({ 'x-request-id': 'req-1' }) },
+        },
+      },
+      endpoint: 'requestStepUp',
+      startedAt: Date.now(),
+    })
+
+    const [entry] = getApiCaptureEntries()
+    expect(entry).toMatchObject({
+      _requestId: 'req-1',
+      _requestKey: 'POST /auth/step-up',
+      _endpoint: 'requestStepUp',
+      request: {
+        method: 'POST',
+        headers: expect.arrayContaining([{ name: 'authorization', value: REDACTED_VALUE }]),
+        postData: { mimeType: 'application/json', text: JSON.stringify({ password: REDACTED_VALUE }) },
+      },
+      response: { status: 403 },
+    })
+    expect(buildApiCaptureFile().log).toMatchObject({ version: '1.2', entries: [entry] })
+  })
+})
@@ -0,0 +1,261 @@
+/**
+ * Audit Hash Chain
+ *
+ * The backend seals audit entries into a hash chain as they are written:
+ * each entry carries a gap-free `sequence`, the `previousHash` of the
+ * entry before it and its own `hash`. How the hash is computed is the
+ * backend's sealing contract, which `/audit-logs/verify` reports as
+ *
+ *   chain: { version, algorithm, fields }
+ *
+ * This module implements the contract versions in AUDIT_CHAIN_VERSIONS.
+ * Version 1 is
+ *
+ *   hash = SHA-256(`${previousHash}\n${canonical JSON of the sealed fields}`)
+ *
+ * where the sealed fields are the `fields` the server lists (anything
+ * else on a row, such as display fields, is not hashed) and the
+ * canonical JSON has keys sorted at every level.
+ *
+ * `/audit-logs/verify` checks the chain server side; this module lets the
+ * browser recompute it independently from downloaded entries
+ * (`workers/auditHashChain.worker.js`), so an auditor does not have to
+ * take the server's word for it. A contract version it doesn't implement
+ * is reported as such rather than as broken hashes. Only platform APIs
+ * are used (`crypto.subtle`, `TextEncoder`).
+ */
+
+export const AUDIT_CHAIN_ALGORITHM = 'SHA-256'
+
+/** Sealing contract versions the browser can recompute, by `chain.version`. */
+export const AUDIT_CHAIN_VERSIONS = Object.freeze({
+  1: Object.freeze({ algorithm: AUDIT_CHAIN_ALGORITHM }),
+})
+
+export const AUDIT_CHAIN_ISSUES = Object.freeze({
+  /** The entry has no `sequence` / `hash`, so it was never sealed. */
+  UNSEALED: 'UNSEALED',
+  /** The entry's content no longer matches its `hash`. */
+  HASH_MISMATCH: 'HASH_MISMATCH',
+  /** `previousHash` does not match the `hash` of the entry before it. */
+  LINK_MISMATCH: 'LINK_MISMATCH',
+  /** Sequence numbers are missing from a range that should be contiguous. */
+  SEQUENCE_GAP: 'SEQUENCE_GAP',
+  /** Two entries claim the same sequence number. */
+  DUPLICATE_SEQUENCE: 'DUPLICATE_SEQUENCE',
+})
+
+/** Issues kept in a result; the counts still cover every entry. */
+export const MAX_AUDIT_CHAIN_ISSUES = 100
+
+const PROGRESS_INTERVAL = 100
+const HASH_FIELD = 'hash'
+
+/**
+ * @typedef {Object} AuditChainScheme
+ * @property {number} version
+ * @property {string} algorithm
+ * @property {string[]} fields - sealed fields, in the server's order
+ */
+
+/**
+ * Stable JSON: object keys sorted at every level, `undefined` dropped.
+ * @param {*} value
+ * @returns {string}
+ */
+export const canonicalizeAuditValue = (value) => {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? 'null'
+  if (Array.isArray(value)) return `[${value.map(canonicalizeAuditValue).join(',')}]`
+  const entries = Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalizeAuditValue(value[key])}`)
+  return `{${entries.join(',')}}`
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('')
+
+/**
+ * SHA-256 hex digest of a string.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+export const sha256Hex = async (text) => {
+  if (!globalThis.crypto?.subtle) throw new Error('SubtleCrypto is unavailable in this context.')
+  return toHex(await globalThis.crypto.subtle.digest(AUDIT_CHAIN_ALGORITHM, new TextEncoder().encode(text)))
+}
+
+/**
+ * The scheme to recompute with, from the `chain` descriptor of a
+ * `/audit-logs/verify` response. Null when the server reported no
+ * descriptor, or a version, algorithm or field list this module can't use.
+ * @param {{ version: number, algorithm: string, fields: string[] }} [descriptor]
+ * @returns {AuditChainScheme|null}
+ */
+export const resolveAuditChainScheme = (descriptor) => {
+  const supported = AUDIT_CHAIN_VERSIONS[descriptor?.version]
+  if (!supported || descriptor.algorithm !== supported.algorithm) return null
+  const fields = Array.isArray(descriptor.fields) ? descriptor.fields.filter((field) => typeof field === 'string') : []
+  if (fields.length === 0) return null
+  return { version: Number(descriptor.version), algorithm: supported.algorithm, fields }
+}
+
+/**
+ * Hash an entry the way the backend seals it. Only the scheme's sealed
+ * fields are hashed; `entry.previousHash` is always part of the hashed
+ * content, so re-linking an entry also changes its hash.
+ * @param {Object} entry
+ * @param {AuditChainScheme} scheme
+ * @returns {Promise<string>}
+ */
+export const computeAuditEntryHash = (entry, scheme) => {
+  const content = Object.fromEntries(scheme.fields
+    .filter((field) => field !== HASH_FIELD && entry?.[field] !== undefined)
+    .map((field) => [field, entry[field]]))
+  return sha256Hex(`${entry?.previousHash ?? ''}\n${canonicalizeAuditValue(content)}`)
+}
+
+/**
+ * @typedef {Object} AuditChainIssue
+ * @property {string} kind - one of AUDIT_CHAIN_ISSUES
+ * @property {number|null} sequence
+ * @property {string} entryId
+ * @property {string} [expected]
+ * @property {string} [actual]
+ */
+
+/**
+ * @typedef {Object} AuditChainVerification
+ * @property {string} algorithm
+ * @property {number} chainVersion - sealing contract version the hashes were recomputed with
+ * @property {number} total - entries checked
+ * @property {number} validHashes - entries whose content matches their hash
+ * @property {number} linksChecked - adjacent pairs whose link was compared
+ * @property {number} linksSkipped - pairs across a sequence gap that could not be compared
+ * @property {number|null} firstSequence
+ * @property {number|null} lastSequence
+ * @property {string|null} anchorHash - `previousHash` of the first entry, to compare with the previous range
+ * @property {string|null} headHash - `hash` of the last entry
+ * @property {boolean} intact
+ * @property {AuditChainIssue|null} firstBreak - earliest issue in sequence order
+ * @property {AuditChainIssue[]} issues - up to MAX_AUDIT_CHAIN_ISSUES
+ * @property {number} issueCount
+ */
+
+const getEntryId = (entry) => String(entry?.id ?? entry?._id ?? '')
+const isSealed = (entry) => Number.isInteger(entry?.sequence) && typeof entry?.[HASH_FIELD] === 'string'
+
+/**
+ * Recompute every hash and link in a downloaded range.
+ *
+ * Filtered ranges (one customer, a list of ids) legitimately skip
+ * sequence numbers; the links across those gaps can't be checked and
+ * are counted in `linksSkipped`. Pass `expectContiguous` for unfiltered
+ * ranges, where a gap means entries were removed.
+ *
+ * @param {Object[]} entries - any order
+ * @param {Object} options
+ * @param {AuditChainScheme} options.scheme - from resolveAuditChainScheme
+ * @param {boolean} [options.expectContiguous=false]
+ * @param {(progress: { processed: number, total: number }) => void} [options.onProgress]
+ * @returns {Promise<AuditChainVerification>}
+ */
+export async function verifyAuditHashChain(entries, { scheme, expectContiguous = false, onProgress } = {}) {
+  if (!scheme) throw new Error('The server did not report a hash chain format this browser can recompute.')
+  const rows = Array.isArray(entries) ? entries : []
+  const sealed = rows.filter(isSealed).sort((a, b) => a.sequence - b.sequence)
+  const issues = []
+  let issueCount = 0
+  const addIssue = (issue) => {
+    issueCount += 1
+    if (issues.length < MAX_AUDIT_CHAIN_ISSUES) issues.push(issue)
+  }
+
+  rows.filter((entry) => !isSealed(entry)).forEach((entry) => {
+    addIssue({ kind: AUDIT_CHAIN_ISSUES.UNSEALED, sequence: null, entryId: getEntryId(entry) })
+  })
+
+  let validHashes = 0
+  let linksChecked = 0
+  let linksSkipped = 0
+  for (const [index, entry] of sealed.entries()) {
+    const entryId = getEntryId(entry)
+    const previous = sealed[index - 1]
+
+    if (previous && entry.sequence === previous.sequence) {
+      addIssue({ kind: AUDIT_CHAIN_ISSUES.DUPLICATE_SEQUENCE, sequence: entry.sequence, entryId })
+    } else if (previous && entry.sequence === previous.sequence + 1) {
+      linksChecked += 1
+      if (entry.previousHash !== previous[HASH_FIELD]) {
+        addIssue({
+          kind: AUDIT_CHAIN_ISSUES.LINK_MISMATCH,
+          sequence: entry.sequence,
+          entryId,
+          expected: previous[HASH_FIELD],
+          actual: entry.previousHash ?? '',
+        })
+      }
+    } else if (previous) {
+      linksSkipped += 1
+      if (expectContiguous) {
+        addIssue({
+          kind: AUDIT_CHAIN_ISSUES.SEQUENCE_GAP,
+          sequence: entry.sequence,
+          entryId,
+          expected: String(previous.sequence + 1),
+          actual: String(entry.sequence),
+        })
+      }
+    }
+
+    const hash = await computeAuditEntryHash(entry, scheme)
+    if (hash === entry[HASH_FIELD]) {
+      validHashes += 1
+    } else {
+      addIssue({ kind: AUDIT_CHAIN_ISSUES.HASH_MISMATCH, sequence: entry.sequence, entryId, expected: hash, actual: entry[HASH_FIELD] })
+    }
+
+    if ((index + 1) % PROGRESS_INTERVAL === 0) onProgress?.({ processed: index + 1, total: sealed.length })
+  }
+  onProgress?.({ processed: sealed.length, total: sealed.length })
+
+  // Unsealed entries have no position, so they sort ahead of chain breaks
+  const ordered = [...issues].sort((a, b) => (a.sequence ?? -Infinity) - (b.sequence ?? -Infinity))
+
+  return {
+    algorithm: scheme.algorithm,
+    chainVersion: scheme.version,
+    total: rows.length,
+    validHashes,
+    linksChecked,
+    linksSkipped,
+    firstSequence: sealed[0]?.sequence ?? null,
+    lastSequence: sealed.at(-1)?.sequence ?? null,
+    anchorHash: sealed[0]?.previousHash ?? null,
+    headHash: sealed.at(-1)?.[HASH_FIELD] ?? null,
+    intact: issueCount === 0,
+    firstBreak: ordered[0] ?? null,
+    issues: ordered,
+    issueCount,
+  }
+}
+
+/**
+ * Worker entry point. Posts `progress` messages while hashing, then one
+ * `result` (or `error`) message, each tagged with the `requestId`.
+ *
+ * @param {{ requestId: number, entries: Object[], scheme: AuditChainScheme, expectContiguous?: boolean }} job
+ * @param {(message: Object) => void} post
+ */
+export const runAuditHashChainJob = async ({ requestId, entries, scheme, expectContiguous }, post) => {
+  try {
+    const result = await verifyAuditHashChain(entries, {
+      scheme,
+      expectContiguous,
+      onProgress: (progress) => post({ type: 'progress', requestId, ...progress }),
+    })
+    post({ type: 'result', requestId, result })
+  } catch (error) {
+    post({ type: 'error', requestId, message: error?.message || 'Hash chain verification failed.' })
+  }
+}
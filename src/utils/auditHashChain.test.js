@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest'
+import {
+  AUDIT_CHAIN_ISSUES,
+  canonicalizeAuditValue,
+  computeAuditEntryHash,
+  resolveAuditChainScheme,
+  runAuditHashChainJob,
+  verifyAuditHashChain,
+} from './auditHashChain.js'
+import {
+  AUDIT_CHAIN_V1_DESCRIPTOR,
+  AUDIT_CHAIN_V1_ENTRIES,
+  AUDIT_CHAIN_V1_GENESIS_HASH,
+} from '../mocks/auditHashChain.fixtures.js'
+
+const scheme = resolveAuditChainScheme(AUDIT_CHAIN_V1_DESCRIPTOR)
+const buildChain = () => AUDIT_CHAIN_V1_ENTRIES.map((entry) => ({ ...entry }))
+
+describe('auditHashChain', () => {
+  it('canonicalizes objects independent of key order', () => {
+    expect(canonicalizeAuditValue({ b: 1, a: { d: [1, { z: true, y: null }], c: undefined } }))
+      .toBe('{"a":{"d":[1,{"y":null,"z":true}]},"b":1}')
+    expect(canonicalizeAuditValue({ a: 1, b: 2 })).toBe(canonicalizeAuditValue({ b: 2, a: 1 }))
+  })
+
+  it('takes the scheme from the server descriptor and rejects unknown contracts', () => {
+    expect(scheme).toEqual({ version: 1, algorithm: 'SHA-256', fields: [...AUDIT_CHAIN_V1_DESCRIPTOR.fields] })
+    expect(resolveAuditChainScheme(undefined)).toBeNull()
+    expect(resolveAuditChainScheme({ ...AUDIT_CHAIN_V1_DESCRIPTOR, version: 2 })).toBeNull()
+    expect(resolveAuditChainScheme({ ...AUDIT_CHAIN_V1_DESCRIPTOR, algorithm: 'SHA-512' })).toBeNull()
+    expect(resolveAuditChainScheme({ version: 1, algorithm: 'SHA-256', fields: [] })).toBeNull()
+  })
+
+  it('matches the fixed contract vectors and verifies them in any order', async () => {
+    const chain = buildChain()
+
+    await expect(computeAuditEntryHash(chain[0], scheme))
+      .resolves.toBe('d960c04af6c0dcf826ff6536a25851c975dc489c60e944aad62bcd5b85324b8e')
+    await expect(computeAuditEntryHash(chain[2], scheme))
+      .resolves.toBe('841727c8a3718f6ce7148a7174bf5092092d64535226da4963f1f80da542f17c')
+
+    const result = await verifyAuditHashChain([...chain].reverse(), { scheme, expectContiguous: true })
+    expect(result).toMatchObject({
+      algorithm: 'SHA-256',
+      chainVersion: 1,
+      total: 3,
+      validHashes: 3,
+      linksChecked: 2,
+      linksSkipped: 0,
+      firstSequence: 1,
+      lastSequence: 3,
+      anchorHash: AUDIT_CHAIN_V1_GENESIS_HASH,
+      headHash: chain[2].hash,
+      intact: true,
+      firstBreak: null,
+    })
+  })
+
+  it('ignores fields the contract does not seal', async () => {
+    const chain = buildChain().map((entry) => ({ ...entry, _id: `display-${entry.id}`, actorLabel: 'Shown in the UI' }))
+
+    const result = await verifyAuditHashChain(chain, { scheme })
+
+    expect(result).toMatchObject({ intact: true, validHashes: 3 })
+  })
+
+  it('refuses to recompute without a scheme', async () => {
+    await expect(verifyAuditHashChain(buildChain())).rejects.toThrow(/hash chain format/i)
+  })
+
+  it('pinpoints the first broken link after tampering', async () => {
+    const chain = buildChain()
+    chain[0] = { ...chain[0], action: 'TENANT_DELETED' }
+    // Re-hashing the edited entry hides the edit but breaks the next link
+    chain[1] = { ...chain[1], customerId: 'customer-globex' }
+    chain[1] = { ...chain[1], hash: await computeAuditEntryHash(chain[1], scheme) }
+
+    const result = await verifyAuditHashChain(chain, { scheme })
+
+    expect(result.intact).toBe(false)
+    expect(result.validHashes).toBe(2)
+    expect(result.firstBreak).toMatchObject({ kind: AUDIT_CHAIN_ISSUES.HASH_MISMATCH, sequence: 1, entryId: 'audit-1' })
+    expect(result.issues.map((issue) => [issue.kind, issue.sequence])).toEqual([
+      [AUDIT_CHAIN_ISSUES.HASH_MISMATCH, 1],
+      [AUDIT_CHAIN_ISSUES.LINK_MISMATCH, 3],
+    ])
+  })
+
+  it('treats gaps as skipped links for filtered ranges and as breaks otherwise', async () => {
+    const chain = buildChain()
+    const filteredRange = chain.filter((entry) => entry.resourceType !== 'Tenant' || entry.tenantId === 'tenant-acme-emea')
+
+    const filtered = await verifyAuditHashChain(filteredRange, { scheme })
+    expect(filtered).toMatchObject({ intact: true, linksChecked: 0, linksSkipped: 1 })
+
+    const contiguous = await verifyAuditHashChain(filteredRange, { scheme, expectContiguous: true })
+    expect(contiguous.firstBreak).toMatchObject({ kind: AUDIT_CHAIN_ISSUES.SEQUENCE_GAP, sequence: 3, expected: '2' })
+
+    const unsealed = await verifyAuditHashChain([...chain, { id: 'legacy', action: 'IMPORTED' }], { scheme })
+    expect(unsealed.firstBreak).toMatchObject({ kind: AUDIT_CHAIN_ISSUES.UNSEALED, entryId: 'legacy' })
+  })
+
+  it('reports progress and the result through the job protocol', async () => {
+    const messages = []
+
+    await runAuditHashChainJob({ requestId: 7, entries: buildChain(), scheme }, (message) => messages.push(message))
+
+    expect(messages.at(-2)).toEqual({ type: 'progress', requestId: 7, processed: 3, total: 3 })
+    expect(messages.at(-1)).toMatchObject({ type: 'result', requestId: 7, result: { intact: true, total: 3 } })
+  })
+})
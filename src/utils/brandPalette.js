@@ -0,0 +1,234 @@
+/**
+ * Brand Palette
+ *
+ * Customer white-label themes. A customer either picks one of the brand
+ * stylesheets in `styles/brands/` (applied as `data-theme="brand-*"`) or
+ * a custom primary colour, from which the `--color-primary-50..900` scale
+ * is generated here and set inline on `<html>` under `brand-custom`.
+ *
+ * Contrast follows WCAG 2.1: the action colour must reach
+ * `MIN_CONTRAST_RATIO` against the page background of the active colour
+ * scheme. When the chosen colour does not, the nearest shade that does is
+ * used instead and the report says so.
+ */
+
+export const CUSTOM_BRAND_THEME = 'brand-custom'
+
+/** Brand stylesheets shipped in `styles/brands/`, by `data-theme` value. */
+export const BRAND_THEMES = Object.freeze([
+  { value: 'brand-corporate', label: 'Corporate Blue', primaryColor: '#2563eb' },
+  { value: 'brand-vibrant', label: 'Vibrant Coral', primaryColor: '#e11d48' },
+  { value: 'brand-emerald', label: 'Emerald Green', primaryColor: '#059669' },
+  { value: 'brand-royal', label: 'Royal Purple', primaryColor: '#9333ea' },
+  { value: 'brand-warm', label: 'Warm Amber', primaryColor: '#d97706' },
+])
+
+export const MIN_CONTRAST_RATIO = 4.5
+
+export const PALETTE_SHADES = Object.freeze(['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'])
+
+const SCHEME_BACKGROUNDS = { dark: '#000000', light: '#ffffff' }
+
+// Action colour candidates per scheme, from the usual brand mapping outwards
+const ACTION_SHADE_ORDER = {
+  dark: ['500', '400', '300', '200', '100', '50'],
+  light: ['600', '700', '800', '900'],
+}
+
+// Share of white (negative: black) mixed into the base colour per shade
+const SHADE_MIX = {
+  50: 0.92,
+  100: 0.84,
+  200: 0.68,
+  300: 0.5,
+  400: 0.26,
+  500: 0,
+  600: -0.16,
+  700: -0.34,
+  800: -0.5,
+  900: -0.64,
+}
+
+const HEX_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i
+
+/**
+ * @param {string} value - `#rgb` or `#rrggbb`, with or without `#`
+ * @returns {string|null} lower-case `#rrggbb`, or null when not a colour
+ */
+export const normalizeHexColor = (value) => {
+  const match = HEX_PATTERN.exec(String(value ?? '').trim())
+  if (!match) return null
+  const digits = match[1].length === 3
+    ? match[1].split('').map((digit) => digit + digit).join('')
+    : match[1]
+  return `#${digits.toLowerCase()}`
+}
+
+const toRgb = (hex) => {
+  const value = Number.parseInt(hex.slice(1), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+const toHex = (rgb) => `#${rgb.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`
+
+const mix = (hex, target, weight) => {
+  const from = toRgb(hex)
+  const to = toRgb(target)
+  return toHex(from.map((channel, index) => channel + (to[index] - channel) * weight))
+}
+
+/**
+ * WCAG relative luminance.
+ * @param {string} hex
+ * @returns {number} 0 (black) to 1 (white)
+ */
+export const getRelativeLuminance = (hex) => {
+  const [red, green, blue] = toRgb(normalizeHexColor(hex) ?? '#000000').map((channel) => {
+    const srgb = channel / 255
+    return srgb <= 0.03928 ? srgb / 12.92 : ((srgb + 0.055) / 1.055) ** 2.4
+  })
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue
+}
+
+/**
+ * WCAG contrast ratio between two colours, rounded to two decimals.
+ * @param {string} first
+ * @param {string} second
+ * @returns {number} 1 to 21
+ */
+export const getContrastRatio = (first, second) => {
+  const [lighter, darker] = [getRelativeLuminance(first), getRelativeLuminance(second)].sort((a, b) => b - a)
+  return Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100
+}
+
+/**
+ * Ten-step primary scale around one colour, which becomes shade 500.
+ * @param {string} primaryColor
+ * @returns {Record<string, string>|null} `{ 50: '#…', …, 900: '#…' }`
+ */
+export const generateBrandPalette = (primaryColor) => {
+  const base = normalizeHexColor(primaryColor)
+  if (!base) return null
+
+  return Object.fromEntries(PALETTE_SHADES.map((shade) => {
+    const weight = SHADE_MIX[shade]
+    if (weight === 0) return [shade, base]
+    return [shade, weight > 0 ? mix(base, '#ffffff', weight) : mix(base, '#000000', -weight)]
+  }))
+}
+
+/** Black or white, whichever reads better on `background`. */
+const getTextColorOn = (background) => (
+  getContrastRatio(background, '#000000') >= getContrastRatio(background, '#ffffff') ? '#000000' : '#ffffff'
+)
+
+/**
+ * @typedef {Object} SchemeContrast
+ * @property {string}  shade      - palette shade used as the action colour
+ * @property {string}  color
+ * @property {number}  ratio      - action colour against the page background
+ * @property {boolean} passes
+ * @property {boolean} adjusted   - the usual shade failed and a nearer one is used
+ * @property {string}  textColor  - button label colour on the action colour
+ * @property {number}  textRatio
+ */
+
+const getSchemeContrast = (palette, scheme) => {
+  const background = SCHEME_BACKGROUNDS[scheme]
+  const order = ACTION_SHADE_ORDER[scheme]
+  const shade = order.find((candidate) => getContrastRatio(palette[candidate], background) >= MIN_CONTRAST_RATIO)
+    ?? order[order.length - 1]
+  const color = palette[shade]
+  const ratio = getContrastRatio(color, background)
+  const textColor = getTextColorOn(color)
+
+  return {
+    shade,
+    color,
+    ratio,
+    passes: ratio >= MIN_CONTRAST_RATIO,
+    adjusted: shade !== order[0],
+    textColor,
+    textRatio: getContrastRatio(color, textColor),
+  }
+}
+
+/**
+ * Contrast of a custom primary colour in both colour schemes.
+ * @param {string} primaryColor
+ * @returns {{ palette: Record<string, string>, dark: SchemeContrast, light: SchemeContrast }|null}
+ */
+export const getBrandContrastReport = (primaryColor) => {
+  const palette = generateBrandPalette(primaryColor)
+  if (!palette) return null
+  return {
+    palette,
+    dark: getSchemeContrast(palette, 'dark'),
+    light: getSchemeContrast(palette, 'light'),
+  }
+}
+
+const neighbourShade = (shade, step) => {
+  const index = PALETTE_SHADES.indexOf(shade) + step
+  return PALETTE_SHADES[Math.min(Math.max(index, 0), PALETTE_SHADES.length - 1)]
+}
+
+/**
+ * CSS custom properties for `brand-custom` in one colour scheme: the
+ * generated scale plus action, focus and button-label colours.
+ * @param {string} primaryColor
+ * @param {'dark'|'light'} colorScheme
+ * @returns {Record<string, string>} empty when the colour is invalid
+ */
+export const getCustomBrandVariables = (primaryColor, colorScheme) => {
+  const report = getBrandContrastReport(primaryColor)
+  if (!report) return {}
+
+  const { palette } = report
+  const contrast = colorScheme === 'light' ? report.light : report.dark
+  // Hover steps away from the background and active steps back, as the brand stylesheets do
+  const towardsContrast = colorScheme === 'light' ? 1 : -1
+  const variables = Object.fromEntries(
+    PALETTE_SHADES.map((shade) => [`--color-primary-${shade}`, palette[shade]]),
+  )
+
+  return {
+    ...variables,
+    '--color-action-primary': contrast.color,
+    '--color-action-primary-hover': palette[neighbourShade(contrast.shade, towardsContrast)],
+    '--color-action-primary-active': palette[neighbourShade(contrast.shade, -towardsContrast)],
+    '--color-border-focus': contrast.color,
+    '--color-info': contrast.color,
+    '--slos-btn-text': contrast.textColor,
+    '--slos-btn-hover-text': getTextColorOn(palette[neighbourShade(contrast.shade, towardsContrast)]),
+  }
+}
+
+/** Every property `getCustomBrandVariables` may set, for clean-up. */
+export const CUSTOM_BRAND_VARIABLE_NAMES = Object.freeze(Object.keys(getCustomBrandVariables('#808080', 'dark')))
+
+/**
+ * @typedef {Object} CustomerBranding
+ * @property {string|null} theme         - a `BRAND_THEMES` value or `brand-custom`
+ * @property {string|null} primaryColor  - `#rrggbb`, used by `brand-custom`
+ * @property {string|null} logoUrl
+ */
+
+/**
+ * Branding from a customer record or scope, with unknown themes and
+ * malformed colours dropped.
+ * @param {Object|null|undefined} source - anything with a `branding` field
+ * @returns {CustomerBranding|null} null when nothing is customised
+ */
+export const normalizeCustomerBranding = (source) => {
+  const branding = source?.branding
+  if (!branding || typeof branding !== 'object') return null
+
+  const primaryColor = normalizeHexColor(branding.primaryColor)
+  const isKnownTheme = BRAND_THEMES.some((theme) => theme.value === branding.theme)
+  const theme = isKnownTheme || (branding.theme === CUSTOM_BRAND_THEME && primaryColor) ? branding.theme : null
+  const logoUrl = typeof branding.logoUrl === 'string' && branding.logoUrl.trim() ? branding.logoUrl.trim() : null
+
+  if (!theme && !logoUrl) return null
+  return { theme, primaryColor, logoUrl }
+}
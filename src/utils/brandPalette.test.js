@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest'
+import {
+  CUSTOM_BRAND_VARIABLE_NAMES,
+  generateBrandPalette,
+  getBrandContrastReport,
+  getContrastRatio,
+  getCustomBrandVariables,
+  normalizeCustomerBranding,
+  normalizeHexColor,
+} from './brandPalette.js'
+
+describe('brandPalette', () => {
+  it('normalises hex colours and rejects anything else', () => {
+    expect(normalizeHexColor('#0F766E')).toBe('#0f766e')
+    expect(normalizeHexColor('abc')).toBe('#aabbcc')
+    expect(normalizeHexColor('teal')).toBeNull()
+    expect(normalizeHexColor('')).toBeNull()
+  })
+
+  it('computes WCAG contrast ratios', () => {
+    expect(getContrastRatio('#000000', '#ffffff')).toBe(21)
+    expect(getContrastRatio('#ffffff', '#000000')).toBe(21)
+    expect(getContrastRatio('#777777', '#777777')).toBe(1)
+  })
+
+  it('builds a ten-shade scale with the chosen colour at 500', () => {
+    const palette = generateBrandPalette('#0f766e')
+
+    expect(Object.keys(palette)).toEqual(['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'])
+    expect(palette['500']).toBe('#0f766e')
+    expect(getContrastRatio(palette['50'], '#ffffff')).toBeLessThan(1.2)
+    expect(getContrastRatio(palette['900'], '#000000')).toBeLessThan(2)
+    expect(generateBrandPalette('not a colour')).toBeNull()
+  })
+
+  it('moves the action colour to a shade that meets contrast in each scheme', () => {
+    const darkTeal = getBrandContrastReport('#0f766e')
+    expect(darkTeal.dark).toMatchObject({ shade: '400', adjusted: true, passes: true })
+    expect(darkTeal.light).toMatchObject({ shade: '600', adjusted: false, passes: true })
+
+    const lightYellow = getBrandContrastReport('#facc15')
+    expect(lightYellow.dark).toMatchObject({ shade: '500', adjusted: false, passes: true, textColor: '#000000' })
+    expect(lightYellow.light.shade).not.toBe('600')
+    expect(lightYellow.light.ratio).toBeGreaterThanOrEqual(4.5)
+  })
+
+  it('returns the CSS variables for the active scheme', () => {
+    const variables = getCustomBrandVariables('#0f766e', 'light')
+    const report = getBrandContrastReport('#0f766e')
+
+    expect(variables['--color-primary-500']).toBe('#0f766e')
+    expect(variables['--color-action-primary']).toBe(report.light.color)
+    expect(variables['--color-action-primary-hover']).toBe(report.palette['700'])
+    expect(variables['--slos-btn-text']).toBe('#ffffff')
+    expect(Object.keys(variables)).toEqual([...CUSTOM_BRAND_VARIABLE_NAMES])
+    expect(getCustomBrandVariables('nope', 'dark')).toEqual({})
+  })
+
+  it('keeps only known themes and valid custom colours', () => {
+    expect(normalizeCustomerBranding({ branding: { theme: 'brand-royal', logoUrl: ' https://cdn/logo.png ' } }))
+      .toEqual({ theme: 'brand-royal', primaryColor: null, logoUrl: 'https://cdn/logo.png' })
+    expect(normalizeCustomerBranding({ branding: { theme: 'brand-custom', primaryColor: '#0F766E' } }))
+      .toEqual({ theme: 'brand-custom', primaryColor: '#0f766e', logoUrl: null })
+    expect(normalizeCustomerBranding({ branding: { theme: 'brand-custom', primaryColor: 'teal' } })).toBeNull()
+    expect(normalizeCustomerBranding({ branding: { theme: 'ocean' } })).toBeNull()
+    expect(normalizeCustomerBranding({})).toBeNull()
+  })
+})
@@ -0,0 +1,64 @@
+/**
+ * Browser Notifications
+ *
+ * Thin wrapper over the Notification API for alerts that must reach the
+ * user while the app sits in a background tab. Every call degrades to a
+ * no-op when the API is missing (older browsers, jsdom) or permission has
+ * not been granted, so callers never need to feature-detect themselves.
+ */
+
+export const BROWSER_NOTIFICATION_PERMISSIONS = Object.freeze({
+  DEFAULT: 'default',
+  GRANTED: 'granted',
+  DENIED: 'denied',
+  UNSUPPORTED: 'unsupported',
+})
+
+const supportsNotifications = () =>
+  typeof window !== 'undefined' && typeof window.Notification === 'function'
+
+/**
+ * @returns {'default'|'granted'|'denied'|'unsupported'}
+ */
+export const getBrowserNotificationPermission = () =>
+  supportsNotifications()
+    ? window.Notification.permission
+    : BROWSER_NOTIFICATION_PERMISSIONS.UNSUPPORTED
+
+/**
+ * Ask for permission. Must be called from a user gesture in most browsers.
+ *
+ * @returns {Promise<'default'|'granted'|'denied'|'unsupported'>}
+ */
+export const requestBrowserNotificationPermission = async () => {
+  if (!supportsNotifications()) return BROWSER_NOTIFICATION_PERMISSIONS.UNSUPPORTED
+  if (window.Notification.permission !== BROWSER_NOTIFICATION_PERMISSIONS.DEFAULT) {
+    return window.Notification.permission
+  }
+
+  try {
+    return await window.Notification.requestPermission()
+  } catch {
+    return window.Notification.permission
+  }
+}
+
+/**
+ * Show a notification. The `tag` collapses repeats of the same alert into
+ * one OS notification instead of stacking them.
+ *
+ * @param {{ title: string, body?: string, tag?: string }} notification
+ * @returns {boolean} whether a notification was shown
+ */
+export const showBrowserNotification = ({ title, body = '', tag } = {}) => {
+  if (getBrowserNotificationPermission() !== BROWSER_NOTIFICATION_PERMISSIONS.GRANTED) return false
+  if (!title) return false
+
+  try {
+    new window.Notification(title, { body, tag, requireInteraction: true })
+    return true
+  } catch {
+    // Some browsers only allow notifications from a service worker
+    return false
+  }
+}
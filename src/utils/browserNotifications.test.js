@@ -0,0 +1,52 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  getBrowserNotificationPermission,
+  requestBrowserNotificationPermission,
+  showBrowserNotification,
+} from './browserNotifications.js'
+
+const installNotification = (permission, requestResult = permission) => {
+  const NotificationMock = vi.fn()
+  NotificationMock.permission = permission
+  NotificationMock.requestPermission = vi.fn().mockResolvedValue(requestResult)
+  vi.stubGlobal('Notification', NotificationMock)
+  return NotificationMock
+}
+
+describe('browserNotifications', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('reports unsupported browsers and never throws', async () => {
+    vi.stubGlobal('Notification', undefined)
+
+    expect(getBrowserNotificationPermission()).toBe('unsupported')
+    await expect(requestBrowserNotificationPermission()).resolves.toBe('unsupported')
+    expect(showBrowserNotification({ title: 'Heap usage high' })).toBe(false)
+  })
+
+  it('only prompts while permission is undecided', async () => {
+    const undecided = installNotification('default', 'granted')
+    await expect(requestBrowserNotificationPermission()).resolves.toBe('granted')
+    expect(undecided.requestPermission).toHaveBeenCalledTimes(1)
+
+    const denied = installNotification('denied')
+    await expect(requestBrowserNotificationPermission()).resolves.toBe('denied')
+    expect(denied.requestPermission).not.toHaveBeenCalled()
+  })
+
+  it('shows tagged notifications once permission is granted', () => {
+    const blocked = installNotification('default')
+    expect(showBrowserNotification({ title: 'Heap usage high' })).toBe(false)
+    expect(blocked).not.toHaveBeenCalled()
+
+    const granted = installNotification('granted')
+    expect(showBrowserNotification({ title: 'Heap usage high', body: 'Value 92', tag: 'rule-1' })).toBe(true)
+    expect(granted).toHaveBeenCalledWith('Heap usage high', {
+      body: 'Value 92',
+      tag: 'rule-1',
+      requireInteraction: true,
+    })
+  })
+})
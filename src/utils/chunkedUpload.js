@@ -0,0 +1,222 @@
+/**
+ * Chunked Upload Utilities
+ *
+ * Resumable, chunk-by-chunk upload of one document to a server-side upload
+ * session. Large discovery and section documents go up this way instead of
+ * as one base64 JSON body, so progress is visible, a failed chunk is
+ * retried on its own, and a paused or failed upload resumes from the
+ * chunks the server already has. The finished upload is referenced by
+ * `uploadId` in the runtime evidence mutations.
+ *
+ * The transport is injected (see `useChunkedDocumentUploads`) so this
+ * module stays free of RTK Query:
+ *   - create({ fileName, mimeType, assetType, sizeBytes, chunkBytes, chunkCount }) → { uploadId, receivedChunks? }
+ *   - getStatus(uploadId) → { receivedChunks }
+ *   - uploadChunk(uploadId, { index, offset, sizeBytes, contentBase64 })
+ *   - complete(uploadId)
+ *   - cancel(uploadId)
+ */
+
+import { normalizeError } from './errors.js'
+
+/** Chunk size; files at or below it are still sent inline */
+export const DOCUMENT_UPLOAD_CHUNK_BYTES = 1024 * 1024
+
+export const MAX_CHUNK_ATTEMPTS = 3
+const BASE_CHUNK_RETRY_DELAY_MS = 500
+
+export const CHUNKED_UPLOAD_STATUS = Object.freeze({
+  UPLOADING: 'uploading',
+  PAUSED: 'paused',
+  FAILED: 'failed',
+  COMPLETE: 'complete',
+  CANCELLED: 'cancelled',
+})
+
+/**
+ * @typedef {Object} ChunkedUploadState
+ * @property {string} status - one of CHUNKED_UPLOAD_STATUS
+ * @property {string} uploadId - empty until the session is created
+ * @property {number} uploadedBytes
+ * @property {number} totalBytes
+ * @property {string} error
+ */
+
+/**
+ * @param {{ size: number }} file
+ * @param {number} [chunkBytes]
+ * @returns {boolean}
+ */
+export const shouldUploadInChunks = (file, chunkBytes = DOCUMENT_UPLOAD_CHUNK_BYTES) =>
+  Number(file?.size) > chunkBytes
+
+export const getChunkCount = (sizeBytes, chunkBytes = DOCUMENT_UPLOAD_CHUNK_BYTES) =>
+  Math.max(1, Math.ceil((Number(sizeBytes) || 0) / chunkBytes))
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const readChunkBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(String(reader.result || '').replace(/^data:[^,]*,/, ''))
+  reader.onerror = () => reject(new Error('Could not read part of the document.'))
+  reader.readAsDataURL(blob)
+})
+
+const getErrorMessage = (error) =>
+  (error && typeof error === 'object' && 'status' in error ? normalizeError(error).message : error?.message)
+  || 'Upload failed.'
+
+/**
+ * Create a controller for one file's chunked upload. Nothing is sent until
+ * `start()`; each state change is reported through `onChange`.
+ *
+ * @param {Object} options
+ * @param {File} options.file
+ * @param {{ assetType: string }} options.metadata - extra fields for the upload session
+ * @param {Object} options.transport - see module docs
+ * @param {(state: ChunkedUploadState) => void} [options.onChange]
+ * @param {number} [options.chunkBytes]
+ * @param {number} [options.retryDelayMs] - first retry delay; doubles per attempt
+ * @returns {{
+ *   start: () => Promise<ChunkedUploadState>,
+ *   pause: () => void,
+ *   resume: () => Promise<ChunkedUploadState>,
+ *   cancel: () => Promise<void>,
+ *   getState: () => ChunkedUploadState,
+ * }}
+ */
+export function createChunkedUpload({
+  file,
+  metadata = {},
+  transport,
+  onChange,
+  chunkBytes = DOCUMENT_UPLOAD_CHUNK_BYTES,
+  retryDelayMs = BASE_CHUNK_RETRY_DELAY_MS,
+}) {
+  const chunkCount = getChunkCount(file.size, chunkBytes)
+  let state = {
+    status: CHUNKED_UPLOAD_STATUS.UPLOADING,
+    uploadId: '',
+    uploadedBytes: 0,
+    totalBytes: file.size,
+    error: '',
+  }
+  let receivedChunks = new Set()
+  let pauseRequested = false
+  let cancelled = false
+  let running = null
+
+  const getChunkRange = (index) => {
+    const offset = index * chunkBytes
+    return { offset, end: Math.min(file.size, offset + chunkBytes) }
+  }
+
+  const update = (patch) => {
+    state = { ...state, ...patch }
+    onChange?.(state)
+  }
+
+  const countUploadedBytes = () => [...receivedChunks].reduce((total, index) => {
+    const { offset, end } = getChunkRange(index)
+    return total + (end - offset)
+  }, 0)
+
+  const uploadChunk = async (index) => {
+    const { offset, end } = getChunkRange(index)
+    const contentBase64 = await readChunkBase64(file.slice(offset, end))
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        await transport.uploadChunk(state.uploadId, { index, offset, sizeBytes: end - offset, contentBase64 })
+        return
+      } catch (error) {
+        if (attempt >= MAX_CHUNK_ATTEMPTS || cancelled) throw error
+        await sleep(retryDelayMs * 2 ** (attempt - 1))
+      }
+    }
+  }
+
+  const run = async () => {
+    update({ status: CHUNKED_UPLOAD_STATUS.UPLOADING, error: '' })
+
+    try {
+      if (!state.uploadId) {
+        const session = await transport.create({
+          fileName: file.name,
+          mimeType: file.type || '',
+          sizeBytes: file.size,
+          chunkBytes,
+          chunkCount,
+          ...metadata,
+        })
+        if (cancelled) {
+          Promise.resolve(transport.cancel(session.uploadId)).catch(() => {})
+          return state
+        }
+        receivedChunks = new Set(session?.receivedChunks ?? [])
+        update({ uploadId: session.uploadId })
+      } else {
+        // Resuming: trust the server's record of what arrived
+        const status = await transport.getStatus(state.uploadId)
+        receivedChunks = new Set(status?.receivedChunks ?? receivedChunks)
+      }
+      update({ uploadedBytes: countUploadedBytes() })
+
+      for (let index = 0; index < chunkCount; index += 1) {
+        if (cancelled) return state
+        if (pauseRequested) {
+          update({ status: CHUNKED_UPLOAD_STATUS.PAUSED })
+          return state
+        }
+        if (receivedChunks.has(index)) continue
+
+        await uploadChunk(index)
+        receivedChunks.add(index)
+        update({ uploadedBytes: countUploadedBytes() })
+      }
+
+      if (cancelled) return state
+      await transport.complete(state.uploadId)
+      if (!cancelled) update({ status: CHUNKED_UPLOAD_STATUS.COMPLETE, uploadedBytes: file.size })
+    } catch (error) {
+      if (!cancelled) update({ status: CHUNKED_UPLOAD_STATUS.FAILED, error: getErrorMessage(error) })
+    }
+    return state
+  }
+
+  const start = () => {
+    if (cancelled || state.status === CHUNKED_UPLOAD_STATUS.COMPLETE) return Promise.resolve(state)
+    // Resuming before the in-flight chunk lands just keeps the loop going
+    pauseRequested = false
+    if (running) return running
+
+    running = run().finally(() => {
+      running = null
+    })
+    return running
+  }
+
+  const pause = () => {
+    if (running) pauseRequested = true
+  }
+
+  const cancel = async () => {
+    if (cancelled) return
+    cancelled = true
+    update({ status: CHUNKED_UPLOAD_STATUS.CANCELLED })
+    if (!state.uploadId) return
+    try {
+      await transport.cancel(state.uploadId)
+    } catch {
+      // The server expires abandoned sessions on its own
+    }
+  }
+
+  return {
+    start,
+    pause,
+    resume: start,
+    cancel,
+    getState: () => state,
+  }
+}
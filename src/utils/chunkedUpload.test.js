@@ -0,0 +1,169 @@
+/**
+ * Chunked Upload Tests
+ *
+ * Covers chunk sizing, the happy path, per-chunk retries, pause/resume from
+ * the server's received chunks, failure then retry, and cancellation.
+ */
+
+import { describe, expect, it, vi } from 'vitest'
+import {
+  CHUNKED_UPLOAD_STATUS,
+  DOCUMENT_UPLOAD_CHUNK_BYTES,
+  MAX_CHUNK_ATTEMPTS,
+  createChunkedUpload,
+  getChunkCount,
+  shouldUploadInChunks,
+} from './chunkedUpload.js'
+
+const decodeBase64 = (value) => atob(value)
+
+// In-memory upload session store shaped like the runtime document upload API
+const createTransport = () => {
+  const received = new Map()
+  const transport = {
+    received,
+    create: vi.fn(async () => ({ uploadId: 'upload-1', receivedChunks: [] })),
+    getStatus: vi.fn(async () => ({ receivedChunks: [...received.keys()] })),
+    uploadChunk: vi.fn(async (uploadId, { index, contentBase64 }) => {
+      received.set(index, decodeBase64(contentBase64))
+    }),
+    complete: vi.fn(async () => ({ status: 'COMPLETE' })),
+    cancel: vi.fn(async () => ({})),
+  }
+  return transport
+}
+
+const assembled = (transport) => [...transport.received.entries()]
+  .sort(([left], [right]) => left - right)
+  .map(([, content]) => content)
+  .join('')
+
+describe('chunkedUpload', () => {
+  it('only chunks files larger than one chunk', () => {
+    expect(shouldUploadInChunks({ size: DOCUMENT_UPLOAD_CHUNK_BYTES })).toBe(false)
+    expect(shouldUploadInChunks({ size: DOCUMENT_UPLOAD_CHUNK_BYTES + 1 })).toBe(true)
+    expect(getChunkCount(10, 4)).toBe(3)
+    expect(getChunkCount(0, 4)).toBe(1)
+  })
+
+  it('uploads every chunk, then completes the session', async () => {
+    const transport = createTransport()
+    const onChange = vi.fn()
+    const upload = createChunkedUpload({
+      file: new File(['abcdefghij'], 'notes.txt', { type: 'text/plain' }),
+      metadata: { assetType: 'CUSTOMER_DOCUMENT' },
+      transport,
+      onChange,
+      chunkBytes: 4,
+    })
+
+    const state = await upload.start()
+
+    expect(state).toMatchObject({ status: CHUNKED_UPLOAD_STATUS.COMPLETE, uploadId: 'upload-1', uploadedBytes: 10 })
+    expect(transport.create).toHaveBeenCalledWith({
+      fileName: 'notes.txt',
+      mimeType: 'text/plain',
+      sizeBytes: 10,
+      chunkBytes: 4,
+      chunkCount: 3,
+      assetType: 'CUSTOMER_DOCUMENT',
+    })
+    expect(transport.uploadChunk.mock.calls.map(([, chunk]) => [chunk.index, chunk.offset, chunk.sizeBytes]))
+      .toEqual([[0, 0, 4], [1, 4, 4], [2, 8, 2]])
+    expect(assembled(transport)).toBe('abcdefghij')
+    expect(transport.complete).toHaveBeenCalledWith('upload-1')
+    expect(onChange.mock.calls.map(([change]) => change.uploadedBytes)).toContain(8)
+  })
+
+  it('retries a failed chunk on its own', async () => {
+    const transport = createTransport()
+    const uploadChunk = transport.uploadChunk.getMockImplementation()
+    transport.uploadChunk
+      .mockImplementationOnce(uploadChunk)
+      .mockRejectedValueOnce({ status: 503, data: { error: { message: 'Busy' } } })
+    const upload = createChunkedUpload({
+      file: new File(['abcdefgh'], 'notes.txt'),
+      transport,
+      chunkBytes: 4,
+      retryDelayMs: 0,
+    })
+
+    const state = await upload.start()
+
+    expect(state.status).toBe(CHUNKED_UPLOAD_STATUS.COMPLETE)
+    expect(transport.uploadChunk.mock.calls.map(([, chunk]) => chunk.index)).toEqual([0, 1, 1])
+    expect(assembled(transport)).toBe('abcdefgh')
+  })
+
+  it('fails after the last attempt and resumes from the chunks the server holds', async () => {
+    const transport = createTransport()
+    const uploadChunk = transport.uploadChunk.getMockImplementation()
+    transport.uploadChunk.mockImplementationOnce(uploadChunk)
+    for (let attempt = 0; attempt < MAX_CHUNK_ATTEMPTS; attempt += 1) {
+      transport.uploadChunk.mockRejectedValueOnce(new Error('Network down'))
+    }
+    const upload = createChunkedUpload({
+      file: new File(['abcdefgh'], 'notes.txt'),
+      transport,
+      chunkBytes: 4,
+      retryDelayMs: 0,
+    })
+
+    const failed = await upload.start()
+    expect(failed).toMatchObject({ status: CHUNKED_UPLOAD_STATUS.FAILED, error: 'Network down', uploadedBytes: 4 })
+    expect(transport.complete).not.toHaveBeenCalled()
+
+    const retried = await upload.resume()
+
+    expect(retried.status).toBe(CHUNKED_UPLOAD_STATUS.COMPLETE)
+    expect(transport.create).toHaveBeenCalledTimes(1)
+    expect(transport.getStatus).toHaveBeenCalledWith('upload-1')
+    expect(transport.uploadChunk.mock.calls.map(([, chunk]) => chunk.index)).toEqual([0, 1, 1, 1, 1])
+  })
+
+  it('pauses between chunks and resumes where it stopped', async () => {
+    const transport = createTransport()
+    let pausedOnce = false
+    const upload = createChunkedUpload({
+      file: new File(['abcdefghijkl'], 'notes.txt'),
+      transport,
+      chunkBytes: 4,
+      onChange: (state) => {
+        if (state.uploadedBytes === 4 && !pausedOnce) {
+          pausedOnce = true
+          upload.pause()
+        }
+      },
+    })
+
+    const paused = await upload.start()
+    expect(paused).toMatchObject({ status: CHUNKED_UPLOAD_STATUS.PAUSED, uploadedBytes: 4 })
+    expect(transport.uploadChunk).toHaveBeenCalledTimes(1)
+
+    const resumed = await upload.resume()
+
+    expect(resumed.status).toBe(CHUNKED_UPLOAD_STATUS.COMPLETE)
+    expect(transport.uploadChunk.mock.calls.map(([, chunk]) => chunk.index)).toEqual([0, 1, 2])
+    expect(assembled(transport)).toBe('abcdefghijkl')
+  })
+
+  it('cancels the server session and stops sending chunks', async () => {
+    const transport = createTransport()
+    const upload = createChunkedUpload({
+      file: new File(['abcdefgh'], 'notes.txt'),
+      transport,
+      chunkBytes: 4,
+      onChange: (state) => {
+        if (state.uploadedBytes === 4) upload.cancel()
+      },
+    })
+
+    const state = await upload.start()
+
+    expect(state.status).toBe(CHUNKED_UPLOAD_STATUS.CANCELLED)
+    expect(transport.cancel).toHaveBeenCalledWith('upload-1')
+    expect(transport.uploadChunk).toHaveBeenCalledTimes(1)
+    expect(transport.complete).not.toHaveBeenCalled()
+    await expect(upload.start()).resolves.toMatchObject({ status: CHUNKED_UPLOAD_STATUS.CANCELLED })
+  })
+})
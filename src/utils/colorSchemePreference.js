@@ -0,0 +1,40 @@
+/**
+ * Colour Scheme Preference
+ *
+ * The signed-in user's light / dark / system choice.
+ *
+ * Storage: `localStorage`, one entry per user
+ * (`vmf_color_scheme:<userId>`), holding one of `COLOR_SCHEME_PREFERENCES`.
+ */
+
+export const COLOR_SCHEME_STORAGE_KEY = 'vmf_color_scheme'
+
+export const COLOR_SCHEME_PREFERENCES = Object.freeze(['system', 'light', 'dark'])
+
+const storageKeyFor = (userId) => `${COLOR_SCHEME_STORAGE_KEY}:${userId || 'anonymous'}`
+
+/**
+ * @param {string} userId
+ * @returns {'system'|'light'|'dark'} `system` when nothing valid is stored
+ */
+export const loadColorSchemePreference = (userId) => {
+  try {
+    const stored = localStorage.getItem(storageKeyFor(userId))
+    return COLOR_SCHEME_PREFERENCES.includes(stored) ? stored : 'system'
+  } catch {
+    return 'system'
+  }
+}
+
+/**
+ * @param {string} userId
+ * @param {'system'|'light'|'dark'} preference
+ */
+export const saveColorSchemePreference = (userId, preference) => {
+  if (!COLOR_SCHEME_PREFERENCES.includes(preference)) return
+  try {
+    localStorage.setItem(storageKeyFor(userId), preference)
+  } catch {
+    // Private/incognito mode or a full quota — the choice lasts until reload
+  }
+}
@@ -1,14 +1,29 @@
 /**
  * Date/Time formatting helpers.
  *
- * Standard app format:
+ * Standard app format (English):
  * - Date: YYYY-MM-DD
  * - Time: HH:mm
  * - DateTime: YYYY-MM-DD HH:mm
+ *
+ * Other locales keep the same fields (two-digit day and month, full year,
+ * 24-hour HH:mm) in the locale's own order and separators — `05/03/2026`
+ * in French, `05.03.2026` in German. The locale defaults to the active one
+ * (see `i18n/`).
  */
 
+import { DEFAULT_LOCALE, getActiveLocale } from '../i18n'
+
 const padTwoDigits = (value) => String(value).padStart(2, '0')
 
+const dateFormatters = new Map()
+const timeFormatters = new Map()
+
+const getFormatter = (cache, locale, options) => {
+  if (!cache.has(locale)) cache.set(locale, new Intl.DateTimeFormat(locale, options))
+  return cache.get(locale)
+}
+
 const toValidDate = (value) => {
   if (value === null || value === undefined || value === '') return null
   const parsed = new Date(value)
@@ -16,14 +31,7 @@ const toValidDate = (value) => {
   return parsed
 }
 
-/**
- * @param {string|number|Date|null|undefined} value
- * @returns {{ iso: string, dateLabel: string, timeLabel: string } | null}
- */
-export const formatDateTimeParts = (value) => {
-  const parsed = toValidDate(value)
-  if (!parsed) return null
-
+const formatStandardParts = (parsed) => {
   const year = parsed.getFullYear()
   const month = padTwoDigits(parsed.getMonth() + 1)
   const day = padTwoDigits(parsed.getDate())
@@ -31,19 +39,41 @@ export const formatDateTimeParts = (value) => {
   const minutes = padTwoDigits(parsed.getMinutes())
 
   return {
-    iso: parsed.toISOString(),
     dateLabel: `${year}-${month}-${day}`,
     timeLabel: `${hours}:${minutes}`,
   }
 }
 
+const formatLocaleParts = (parsed, locale) => ({
+  dateLabel: getFormatter(dateFormatters, locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(parsed),
+  timeLabel: getFormatter(timeFormatters, locale, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .format(parsed),
+})
+
+/**
+ * @param {string|number|Date|null|undefined} value
+ * @param {string} [locale] - Defaults to the active locale
+ * @returns {{ iso: string, dateLabel: string, timeLabel: string } | null}
+ */
+export const formatDateTimeParts = (value, locale = getActiveLocale()) => {
+  const parsed = toValidDate(value)
+  if (!parsed) return null
+
+  return {
+    iso: parsed.toISOString(),
+    ...(locale === DEFAULT_LOCALE ? formatStandardParts(parsed) : formatLocaleParts(parsed, locale)),
+  }
+}
+
 /**
  * @param {string|number|Date|null|undefined} value
  * @param {string} [fallback='--']
+ * @param {string} [locale] - Defaults to the active locale
  * @returns {string}
  */
-export const formatDateTime = (value, fallback = '--') => {
-  const parts = formatDateTimeParts(value)
+export const formatDateTime = (value, fallback = '--', locale = getActiveLocale()) => {
+  const parts = formatDateTimeParts(value, locale)
   if (!parts) return fallback
   return `${parts.dateLabel} ${parts.timeLabel}`
 }
@@ -51,10 +81,11 @@ export const formatDateTime = (value, fallback = '--') => {
 /**
  * @param {string|number|Date|null|undefined} value
  * @param {string} [fallback='--']
+ * @param {string} [locale] - Defaults to the active locale
  * @returns {string}
  */
-export const formatDateOnly = (value, fallback = '--') => {
-  const parts = formatDateTimeParts(value)
+export const formatDateOnly = (value, fallback = '--', locale = getActiveLocale()) => {
+  const parts = formatDateTimeParts(value, locale)
   if (!parts) return fallback
   return parts.dateLabel
 }
@@ -48,4 +48,12 @@ describe('dateTime utils', () => {
     const expected = toExpectedDateTime(iso)
     expect(formatDateOnly(iso)).toBe(expected.date)
   })
+
+  it('formats in the locale\'s own order for French and German', () => {
+    const value = new Date(2026, 2, 5, 14, 30)
+
+    expect(formatDateTime(value, '--', 'fr')).toBe('05/03/2026 14:30')
+    expect(formatDateOnly(value, '--', 'de')).toBe('05.03.2026')
+    expect(formatDateTimeParts(value, 'en')).toMatchObject({ dateLabel: '2026-03-05', timeLabel: '14:30' })
+  })
 })
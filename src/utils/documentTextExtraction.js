@@ -0,0 +1,497 @@
+/**
+ * Document Text Extraction
+ *
+ * Browser-side pre-flight for Intelligence Hub and section evidence
+ * documents: pulls the text layer out of PDF, PPTX, DOCX, CSV and plain
+ * text files so the workspace can preview it and warn about unreadable
+ * files before they are uploaded. The server still performs the
+ * authoritative extraction; this is a fast check, not a replacement.
+ *
+ * Runs inside `workers/documentTextExtraction.worker.js` — PPTX decks can
+ * be tens of MB, so parsing stays off the main thread. Everything here
+ * uses platform APIs only (`DecompressionStream`, `TextDecoder`):
+ *   - PPTX / DOCX: a minimal ZIP reader, then `<a:t>` / `<w:t>` runs
+ *   - PDF: text-showing operators in (Flate) content streams. Fonts with
+ *     custom encodings can't be previewed without their CMaps, so a PDF
+ *     only counts as unreadable when it has no text operators at all
+ *     (the scanned-image case the server rejects). Encrypted PDFs and
+ *     streams in filters other than Flate can't be read here at all; they
+ *     are reported as not inspected rather than as having no text.
+ */
+
+export const DOCUMENT_TEXT_KINDS = Object.freeze({
+  PDF: 'pdf',
+  PPTX: 'pptx',
+  DOCX: 'docx',
+  CSV: 'csv',
+  TEXT: 'text',
+})
+
+export const DOCUMENT_TEXT_ISSUES = Object.freeze({
+  PDF_NO_TEXT: 'PDF_NO_TEXT',
+  PDF_NOT_INSPECTED: 'PDF_NOT_INSPECTED',
+  PPTX_NO_TEXT: 'PPTX_NO_TEXT',
+  PPTX_MALFORMED: 'PPTX_MALFORMED',
+  DOCX_MALFORMED: 'DOCX_MALFORMED',
+  NO_TEXT: 'NO_TEXT',
+})
+
+export const DOCUMENT_TEXT_PREVIEW_LENGTH = 600
+
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50
+const ZIP_METHOD_STORED = 0
+const ZIP_METHOD_DEFLATE = 8
+
+const READABLE_CHARACTER_PATTERN = /[\p{L}\p{N}]/u
+
+/**
+ * Which extractor handles a file, from its extension or MIME type.
+ * @param {{ name?: string, type?: string }} file
+ * @returns {string|null} one of DOCUMENT_TEXT_KINDS, or null when unsupported
+ */
+export const getDocumentTextKind = (file) => {
+  const name = String(file?.name || '').trim().toLowerCase()
+  const mimeType = String(file?.type || '').trim().toLowerCase()
+
+  if (name.endsWith('.pdf') || mimeType === 'application/pdf') return DOCUMENT_TEXT_KINDS.PDF
+  if (name.endsWith('.pptx') || mimeType === PPTX_MIME_TYPE) return DOCUMENT_TEXT_KINDS.PPTX
+  if (name.endsWith('.docx') || mimeType === DOCX_MIME_TYPE) return DOCUMENT_TEXT_KINDS.DOCX
+  if (name.endsWith('.csv') || mimeType === 'text/csv') return DOCUMENT_TEXT_KINDS.CSV
+  if (/\.(txt|md)$/.test(name) || mimeType === 'text/plain' || mimeType === 'text/markdown') {
+    return DOCUMENT_TEXT_KINDS.TEXT
+  }
+  return null
+}
+
+/* ------------------------------------------------------------------ */
+/*  Binary helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+const readUint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8)
+const readUint32 = (bytes, offset) =>
+  (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0
+
+const decodeUtf8 = (bytes) => new TextDecoder('utf-8').decode(bytes)
+const decodeLatin1 = (bytes) => new TextDecoder('latin1').decode(bytes)
+
+const inflate = async (bytes, format) => {
+  const stream = new Response(bytes).body.pipeThrough(new DecompressionStream(format))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+const readBlobBytes = async (blob) => {
+  if (typeof blob?.arrayBuffer === 'function') return new Uint8Array(await blob.arrayBuffer())
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(new Uint8Array(reader.result))
+    reader.onerror = () => reject(new Error(`Could not read ${blob?.name || 'document'}.`))
+    reader.readAsArrayBuffer(blob)
+  })
+}
+
+const hasReadableText = (text) => READABLE_CHARACTER_PATTERN.test(text)
+
+const normalizeExtractedText = (text) =>
+  String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+
+/* ------------------------------------------------------------------ */
+/*  ZIP (PPTX / DOCX packages)                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Central-directory listing of a ZIP archive (no ZIP64 support; Office
+ * packages under 4 GB never need it).
+ * @param {Uint8Array} bytes
+ * @returns {Map<string, { method: number, compressedSize: number, localHeaderOffset: number }>}
+ */
+export const readZipDirectory = (bytes) => {
+  const searchStart = Math.max(0, bytes.length - 65557)
+  let endOffset = -1
+  for (let offset = bytes.length - 22; offset >= searchStart; offset -= 1) {
+    if (readUint32(bytes, offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset
+      break
+    }
+  }
+  if (endOffset < 0) throw new Error('Not a ZIP archive.')
+
+  const entryCount = readUint16(bytes, endOffset + 10)
+  let offset = readUint32(bytes, endOffset + 16)
+  const entries = new Map()
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (readUint32(bytes, offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) throw new Error('Corrupt ZIP directory.')
+    const nameLength = readUint16(bytes, offset + 28)
+    const extraLength = readUint16(bytes, offset + 30)
+    const commentLength = readUint16(bytes, offset + 32)
+    const name = decodeUtf8(bytes.subarray(offset + 46, offset + 46 + nameLength))
+
+    entries.set(name, {
+      method: readUint16(bytes, offset + 10),
+      compressedSize: readUint32(bytes, offset + 20),
+      localHeaderOffset: readUint32(bytes, offset + 42),
+    })
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+const readZipEntryText = async (bytes, entry) => {
+  const headerOffset = entry.localHeaderOffset
+  if (readUint32(bytes, headerOffset) !== ZIP_LOCAL_FILE_HEADER) throw new Error('Corrupt ZIP entry.')
+  const dataOffset = headerOffset + 30 + readUint16(bytes, headerOffset + 26) + readUint16(bytes, headerOffset + 28)
+  const data = bytes.subarray(dataOffset, dataOffset + entry.compressedSize)
+
+  if (entry.method === ZIP_METHOD_STORED) return decodeUtf8(data)
+  if (entry.method === ZIP_METHOD_DEFLATE) return decodeUtf8(await inflate(data, 'deflate-raw'))
+  throw new Error(`Unsupported ZIP compression method ${entry.method}.`)
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+const decodeXmlEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? Number.parseInt(entity.slice(2), 16)
+        : Number.parseInt(entity.slice(1), 10)
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match
+    }
+    return XML_ENTITIES[entity] ?? match
+  })
+
+/**
+ * Text runs of an Office XML part, one line per paragraph.
+ * @param {string} xml
+ * @param {'a'|'w'} namespace - `a` for DrawingML (slides), `w` for WordprocessingML
+ * @returns {string}
+ */
+export const extractOfficeXmlText = (xml, namespace) => {
+  const runPattern = new RegExp(`<${namespace}:t(?:\\s[^>]*)?>([^<]*)</${namespace}:t>|</${namespace}:p>`, 'g')
+  let text = ''
+  for (const match of xml.matchAll(runPattern)) {
+    text += match[1] === undefined ? '\n' : decodeXmlEntities(match[1])
+  }
+  return normalizeExtractedText(text)
+}
+
+const getPartNumber = (name) => Number(/(\d+)\.xml$/.exec(name)?.[1] ?? 0)
+
+const extractPptxText = async (bytes, onProgress) => {
+  let entries
+  try {
+    entries = readZipDirectory(bytes)
+  } catch {
+    return { issue: DOCUMENT_TEXT_ISSUES.PPTX_MALFORMED, text: '', slideCount: 0 }
+  }
+
+  const slideNames = [...entries.keys()]
+    .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((left, right) => getPartNumber(left) - getPartNumber(right))
+  if (slideNames.length === 0 && !entries.has('ppt/presentation.xml')) {
+    return { issue: DOCUMENT_TEXT_ISSUES.PPTX_MALFORMED, text: '', slideCount: 0 }
+  }
+
+  const slideTexts = []
+  for (const [index, slideName] of slideNames.entries()) {
+    const slideText = extractOfficeXmlText(await readZipEntryText(bytes, entries.get(slideName)), 'a')
+    const notesEntry = entries.get(`ppt/notesSlides/notesSlide${getPartNumber(slideName)}.xml`)
+    const notesText = notesEntry ? extractOfficeXmlText(await readZipEntryText(bytes, notesEntry), 'a') : ''
+    slideTexts.push([slideText, notesText].filter(Boolean).join('\n'))
+    onProgress?.({ processed: index + 1, total: slideNames.length, unit: 'slides' })
+  }
+
+  const text = slideTexts.filter(Boolean).join('\n\n')
+  return {
+    issue: hasReadableText(text) ? null : DOCUMENT_TEXT_ISSUES.PPTX_NO_TEXT,
+    text,
+    slideCount: slideNames.length,
+  }
+}
+
+const extractDocxText = async (bytes) => {
+  let entries
+  try {
+    entries = readZipDirectory(bytes)
+  } catch {
+    return { issue: DOCUMENT_TEXT_ISSUES.DOCX_MALFORMED, text: '' }
+  }
+
+  const documentEntry = entries.get('word/document.xml')
+  if (!documentEntry) return { issue: DOCUMENT_TEXT_ISSUES.DOCX_MALFORMED, text: '' }
+
+  const text = extractOfficeXmlText(await readZipEntryText(bytes, documentEntry), 'w')
+  return { issue: hasReadableText(text) ? null : DOCUMENT_TEXT_ISSUES.NO_TEXT, text }
+}
+
+/* ------------------------------------------------------------------ */
+/*  PDF                                                               */
+/* ------------------------------------------------------------------ */
+
+const PDF_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }
+const NUMBER_PATTERN = /[-+]?\d*\.?\d+/y
+const OPERATOR_PATTERN = /[A-Za-z'"*]+/y
+
+// Reads a `( … )` literal string starting at `start` (the opening paren)
+const readPdfLiteralString = (content, start) => {
+  let depth = 1
+  let value = ''
+  let index = start + 1
+
+  while (index < content.length && depth > 0) {
+    const char = content[index]
+    if (char === '\\') {
+      const next = content[index + 1]
+      if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(content.slice(index + 1, index + 4))[0]
+        value += String.fromCharCode(Number.parseInt(octal, 8))
+        index += 1 + octal.length
+        continue
+      }
+      if (next === '\r' || next === '\n') {
+        index += content[index + 2] === '\n' && next === '\r' ? 3 : 2
+        continue
+      }
+      value += PDF_ESCAPES[next] ?? next ?? ''
+      index += 2
+      continue
+    }
+    if (char === '(') depth += 1
+    if (char === ')') depth -= 1
+    if (depth > 0) value += char
+    index += 1
+  }
+
+  return { value, end: index }
+}
+
+/**
+ * Text shown by one PDF content stream (`Tj`, `TJ`, `'`, `"` inside
+ * `BT … ET`). Hex-string runs are counted but not decoded: their glyph
+ * codes depend on the font's CMap.
+ * @param {string} content - content stream, latin1-decoded
+ * @returns {{ text: string, textOperatorCount: number, encodedRunCount: number }}
+ */
+export const extractPdfContentText = (content) => {
+  let text = ''
+  let textOperatorCount = 0
+  let encodedRunCount = 0
+  let inTextObject = false
+  let pending = ''
+  let index = 0
+
+  while (index < content.length) {
+    const char = content[index]
+
+    if (char === '%') {
+      while (index < content.length && content[index] !== '\n' && content[index] !== '\r') index += 1
+      continue
+    }
+    if (inTextObject && char === '(') {
+      const { value, end } = readPdfLiteralString(content, index)
+      pending += value
+      index = end
+      continue
+    }
+    if (inTextObject && char === '<' && content[index + 1] !== '<') {
+      const end = content.indexOf('>', index)
+      encodedRunCount += 1
+      index = end < 0 ? content.length : end + 1
+      continue
+    }
+    if (inTextObject && /[-+.\d]/.test(char)) {
+      NUMBER_PATTERN.lastIndex = index
+      const number = NUMBER_PATTERN.exec(content)?.[0]
+      if (number) {
+        // Large negative TJ adjustments are word gaps
+        if (pending && Number(number) <= -200) pending += ' '
+        index += number.length
+        continue
+      }
+    }
+    if (/[A-Za-z'"*]/.test(char)) {
+      OPERATOR_PATTERN.lastIndex = index
+      const operator = OPERATOR_PATTERN.exec(content)[0]
+      if (operator === 'BT') inTextObject = true
+      if (operator === 'ET') {
+        inTextObject = false
+        text += '\n'
+      }
+      if (['Tj', 'TJ', "'", '"'].includes(operator)) {
+        textOperatorCount += 1
+        text += operator === "'" || operator === '"' ? `\n${pending}` : pending
+        pending = ''
+      }
+      if (['Td', 'TD', 'T*', 'Tm'].includes(operator)) text += ' '
+      index += operator.length
+      continue
+    }
+    index += 1
+  }
+
+  return { text, textOperatorCount, encodedRunCount }
+}
+
+// Filter names of a stream dictionary: `/Filter /X` or `/Filter [/X /Y]`
+const readPdfStreamFilters = (dictionary) => {
+  const filter = dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/[A-Za-z0-9]+)/)?.[1] ?? ''
+  return [...filter.matchAll(/\/([A-Za-z0-9]+)/g)].map(([, name]) => name)
+}
+
+const extractPdfText = async (bytes, onProgress) => {
+  const source = decodeLatin1(bytes)
+  const pageCount = (source.match(/\/Type\s*\/Page(?![A-Za-z])/g) ?? []).length
+  // Encrypted streams decode to noise; only the server holds the key
+  if (/\/Encrypt(?![A-Za-z])/.test(source)) {
+    return { issue: DOCUMENT_TEXT_ISSUES.PDF_NOT_INSPECTED, text: '', pageCount, textOperatorCount: 0, hasEncodedText: false }
+  }
+
+  // `endstream` ends in `stream` too, so it must not open a stream
+  const streamPattern = /(?<!end)stream\r?\n/g
+  const streams = []
+
+  for (const match of source.matchAll(streamPattern)) {
+    const dataStart = match.index + match[0].length
+    const dataEnd = source.indexOf('endstream', dataStart)
+    if (dataEnd < 0) break
+    const dictionary = source.slice(source.lastIndexOf('<<', match.index), match.index)
+    // Form XObjects carry text of their own; only images are skipped
+    if (/\/Subtype\s*\/Image/.test(dictionary)) continue
+    streams.push({ dataStart, dataEnd, filters: readPdfStreamFilters(dictionary) })
+  }
+
+  let text = ''
+  let textOperatorCount = 0
+  let encodedRunCount = 0
+  let uninspectedStreamCount = 0
+  for (const [index, stream] of streams.entries()) {
+    let content = ''
+    const data = bytes.subarray(stream.dataStart, stream.dataEnd)
+    if (stream.filters.length === 0) {
+      content = decodeLatin1(data)
+    } else if (stream.filters.length === 1 && stream.filters[0] === 'FlateDecode') {
+      try {
+        content = decodeLatin1(await inflate(data, 'deflate'))
+      } catch {
+        uninspectedStreamCount += 1
+      }
+    } else {
+      // LZW, ASCII85 and other filter chains are left to the server
+      uninspectedStreamCount += 1
+    }
+    const result = extractPdfContentText(content)
+    text += result.text
+    textOperatorCount += result.textOperatorCount
+    encodedRunCount += result.encodedRunCount
+    onProgress?.({ processed: index + 1, total: streams.length, unit: 'streams' })
+  }
+
+  const normalizedText = normalizeExtractedText(text)
+  const readable = hasReadableText(normalizedText) || encodedRunCount > 0
+  const unreadableIssue = uninspectedStreamCount > 0
+    ? DOCUMENT_TEXT_ISSUES.PDF_NOT_INSPECTED
+    : DOCUMENT_TEXT_ISSUES.PDF_NO_TEXT
+  return {
+    issue: readable ? null : unreadableIssue,
+    text: normalizedText,
+    pageCount,
+    textOperatorCount,
+    hasEncodedText: encodedRunCount > 0,
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Public API                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @typedef {Object} DocumentTextExtraction
+ * @property {string} kind - one of DOCUMENT_TEXT_KINDS
+ * @property {string} text - extracted text (may be empty)
+ * @property {string} previewText - first DOCUMENT_TEXT_PREVIEW_LENGTH characters
+ * @property {number} characterCount
+ * @property {number} [slideCount] - PPTX
+ * @property {number} [pageCount] - PDF
+ * @property {number} [rowCount] - CSV (data rows, header excluded)
+ * @property {boolean} [hasEncodedText] - PDF text in fonts that can't be previewed
+ * @property {string|null} issue - one of DOCUMENT_TEXT_ISSUES when the file will likely be rejected
+ */
+
+/**
+ * Extract the text layer from one document.
+ * @param {File|Blob} file
+ * @param {Object} [options]
+ * @param {(progress: { processed: number, total: number, unit: string }) => void} [options.onProgress]
+ * @returns {Promise<DocumentTextExtraction>}
+ */
+export const extractDocumentText = async (file, { onProgress } = {}) => {
+  const kind = getDocumentTextKind(file)
+  if (!kind) throw new Error(`${file?.name || 'Document'} is not a supported document type.`)
+
+  const bytes = await readBlobBytes(file)
+  let result
+
+  if (kind === DOCUMENT_TEXT_KINDS.PDF) {
+    result = await extractPdfText(bytes, onProgress)
+  } else if (kind === DOCUMENT_TEXT_KINDS.PPTX) {
+    result = await extractPptxText(bytes, onProgress)
+  } else if (kind === DOCUMENT_TEXT_KINDS.DOCX) {
+    result = await extractDocxText(bytes)
+  } else {
+    const text = normalizeExtractedText(decodeUtf8(bytes).replace(/^\uFEFF/, ''))
+    result = {
+      issue: hasReadableText(text) ? null : DOCUMENT_TEXT_ISSUES.NO_TEXT,
+      text,
+      ...(kind === DOCUMENT_TEXT_KINDS.CSV
+        ? { rowCount: Math.max(0, text.split('\n').filter((line) => line.trim()).length - 1) }
+        : {}),
+    }
+  }
+
+  return {
+    kind,
+    ...result,
+    previewText: result.text.slice(0, DOCUMENT_TEXT_PREVIEW_LENGTH),
+    characterCount: result.text.length,
+  }
+}
+
+/**
+ * Worker job: extract every file in order, reporting progress and each
+ * result as soon as it is ready so the UI can fill in incrementally.
+ *
+ * Messages posted (all carry `requestId`):
+ *   - `{ type: 'progress', index, processed, total, unit }`
+ *   - `{ type: 'result', index, result }`
+ *   - `{ type: 'error', index, message }`
+ *   - `{ type: 'done' }`
+ *
+ * @param {{ requestId: number, files: File[] }} job
+ * @param {(message: Object) => void} post
+ * @returns {Promise<void>}
+ */
+export const runDocumentTextExtractionJob = async ({ requestId, files }, post) => {
+  for (const [index, file] of (files ?? []).entries()) {
+    try {
+      const result = await extractDocumentText(file, {
+        onProgress: (progress) => post({ type: 'progress', requestId, index, ...progress }),
+      })
+      post({ type: 'result', requestId, index, result })
+    } catch (error) {
+      post({ type: 'error', requestId, index, message: error?.message || 'Text extraction failed.' })
+    }
+  }
+  post({ type: 'done', requestId })
+}
@@ -0,0 +1,257 @@
+/**
+ * Document Text Extraction Tests
+ *
+ * Covers:
+ * - File kind detection
+ * - PPTX slides + speaker notes (stored and deflated ZIP entries)
+ * - DOCX paragraphs and XML entities
+ * - PDF content streams (literal, TJ arrays, Flate, hex-only fonts, scans)
+ * - CSV row counts and the worker job message sequence
+ */
+
+import { describe, expect, it, vi } from 'vitest'
+import {
+  DOCUMENT_TEXT_ISSUES,
+  DOCUMENT_TEXT_KINDS,
+  extractDocumentText,
+  extractOfficeXmlText,
+  extractPdfContentText,
+  getDocumentTextKind,
+  readZipDirectory,
+  runDocumentTextExtractionJob,
+} from './documentTextExtraction.js'
+
+const PPTX_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+const encoder = new TextEncoder()
+
+const compress = async (bytes, format) =>
+  new Uint8Array(await new Response(new Response(bytes).body.pipeThrough(new CompressionStream(format))).arrayBuffer())
+
+const concatBytes = (parts) => {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    output.set(part, offset)
+    offset += part.length
+  }
+  return output
+}
+
+const littleEndian = (values) => {
+  const bytes = []
+  for (const [value, size] of values) {
+    for (let index = 0; index < size; index += 1) bytes.push((value >>> (8 * index)) & 0xff)
+  }
+  return Uint8Array.from(bytes)
+}
+
+// Minimal ZIP writer (CRCs left at zero — the reader never checks them)
+const buildZip = async (files, { deflate = false } = {}) => {
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name)
+    const raw = encoder.encode(content)
+    const data = deflate ? await compress(raw, 'deflate-raw') : raw
+    const method = deflate ? 8 : 0
+    const local = concatBytes([
+      littleEndian([[0x04034b50, 4], [20, 2], [0, 2], [method, 2], [0, 4], [0, 4], [data.length, 4], [raw.length, 4], [nameBytes.length, 2], [0, 2]]),
+      nameBytes,
+      data,
+    ])
+    centralParts.push(concatBytes([
+      littleEndian([
+        [0x02014b50, 4], [20, 2], [20, 2], [0, 2], [method, 2], [0, 4], [0, 4],
+        [data.length, 4], [raw.length, 4], [nameBytes.length, 2], [0, 2], [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4],
+      ]),
+      nameBytes,
+    ]))
+    localParts.push(local)
+    offset += local.length
+  }
+
+  const central = concatBytes(centralParts)
+  const entryCount = centralParts.length
+  return concatBytes([
+    ...localParts,
+    central,
+    littleEndian([[0x06054b50, 4], [0, 2], [0, 2], [entryCount, 2], [entryCount, 2], [central.length, 4], [offset, 4], [0, 2]]),
+  ])
+}
+
+const slideXml = (...paragraphs) =>
+  `<p:sld><p:txBody>${paragraphs.map((text) => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sld>`
+
+const buildPdf = (streams) => {
+  const parts = ['%PDF-1.4\n', '1 0 obj << /Type /Page >> endobj\n']
+  streams.forEach(({ dictionary, data }, index) => {
+    parts.push(`${index + 2} 0 obj << ${dictionary} /Length ${data.length} >>\nstream\n`, data, '\nendstream\nendobj\n')
+  })
+  parts.push('%%EOF')
+  return concatBytes(parts.map((part) => (typeof part === 'string' ? encoder.encode(part) : part)))
+}
+
+describe('documentTextExtraction', () => {
+  describe('getDocumentTextKind', () => {
+    it('maps extensions and MIME types to extractors', () => {
+      expect(getDocumentTextKind({ name: 'Deck.PPTX' })).toBe(DOCUMENT_TEXT_KINDS.PPTX)
+      expect(getDocumentTextKind({ name: 'upload', type: 'application/pdf' })).toBe(DOCUMENT_TEXT_KINDS.PDF)
+      expect(getDocumentTextKind({ name: 'brief.docx' })).toBe(DOCUMENT_TEXT_KINDS.DOCX)
+      expect(getDocumentTextKind({ name: 'notes.md' })).toBe(DOCUMENT_TEXT_KINDS.TEXT)
+      expect(getDocumentTextKind({ name: 'photo.png', type: 'image/png' })).toBeNull()
+    })
+  })
+
+  describe('Office XML', () => {
+    it('joins text runs per paragraph and decodes entities', () => {
+      const xml = '<w:p><w:r><w:t>R&amp;D</w:t></w:r><w:r><w:t xml:space="preserve"> plan</w:t></w:r></w:p><w:p><w:r><w:t>&#x2713; done</w:t></w:r></w:p>'
+      expect(extractOfficeXmlText(xml, 'w')).toBe('R&D plan\n✓ done')
+    })
+
+    it('lists ZIP entries from the central directory', async () => {
+      const zip = await buildZip({ 'a.xml': '<a/>', 'dir/b.xml': '<b/>' })
+      expect([...readZipDirectory(zip).keys()]).toEqual(['a.xml', 'dir/b.xml'])
+      expect(() => readZipDirectory(encoder.encode('not a zip'))).toThrow('Not a ZIP archive.')
+    })
+
+    it('extracts slides in order with speaker notes and reports progress', async () => {
+      const zip = await buildZip({
+        'ppt/presentation.xml': '<p:presentation/>',
+        'ppt/slides/slide10.xml': slideXml('Roadmap'),
+        'ppt/slides/slide2.xml': slideXml('Problem', 'Churn is rising'),
+        'ppt/slides/slide1.xml': slideXml('Acme pitch'),
+        'ppt/notesSlides/notesSlide2.xml': slideXml('Mention Q3 numbers'),
+      }, { deflate: true })
+      const onProgress = vi.fn()
+
+      const result = await extractDocumentText(new File([zip], 'pitch.pptx', { type: PPTX_TYPE }), { onProgress })
+
+      expect(result).toMatchObject({ kind: DOCUMENT_TEXT_KINDS.PPTX, slideCount: 3, issue: null })
+      expect(result.text).toBe('Acme pitch\n\nProblem\nChurn is rising\nMention Q3 numbers\n\nRoadmap')
+      expect(result.characterCount).toBe(result.text.length)
+      expect(onProgress).toHaveBeenLastCalledWith({ processed: 3, total: 3, unit: 'slides' })
+    })
+
+    it('flags decks without slide text and files that are not PPTX packages', async () => {
+      const imageOnly = await buildZip({
+        'ppt/presentation.xml': '<p:presentation/>',
+        'ppt/slides/slide1.xml': '<p:sld><p:pic/></p:sld>',
+      })
+
+      const empty = await extractDocumentText(new File([imageOnly], 'scan.pptx'))
+      const broken = await extractDocumentText(new File(['plain text'], 'renamed.pptx'))
+
+      expect(empty).toMatchObject({ issue: DOCUMENT_TEXT_ISSUES.PPTX_NO_TEXT, slideCount: 1, characterCount: 0 })
+      expect(broken.issue).toBe(DOCUMENT_TEXT_ISSUES.PPTX_MALFORMED)
+    })
+
+    it('extracts DOCX body text', async () => {
+      const zip = await buildZip({
+        'word/document.xml': '<w:document><w:body><w:p><w:r><w:t>Scope</w:t></w:r></w:p><w:p><w:r><w:t>Phase one</w:t></w:r></w:p></w:body></w:document>',
+      })
+
+      const result = await extractDocumentText(new File([zip], 'brief.docx', { type: DOCX_TYPE }))
+
+      expect(result).toMatchObject({ kind: DOCUMENT_TEXT_KINDS.DOCX, text: 'Scope\nPhase one', issue: null })
+    })
+  })
+
+  describe('PDF', () => {
+    it('reads literal strings, TJ arrays and escapes from a content stream', () => {
+      const content = 'BT /F1 12 Tf 72 712 Td (Hello \\(world\\)) Tj 0 -14 Td [(Gro) 20 (wth) -250 (plan)] TJ ET'
+      const result = extractPdfContentText(content)
+
+      expect(result.text.trim()).toBe('Hello (world) Growth plan')
+      expect(result.textOperatorCount).toBe(2)
+      expect(result.encodedRunCount).toBe(0)
+    })
+
+    it('counts hex strings without decoding them', () => {
+      expect(extractPdfContentText('BT <0048006900> Tj ET')).toMatchObject({ textOperatorCount: 1, encodedRunCount: 1 })
+    })
+
+    it('extracts text from Flate content streams and skips images', async () => {
+      const content = await compress(encoder.encode('BT (Quarterly review) Tj ET'), 'deflate')
+      const pdf = buildPdf([
+        { dictionary: '/Filter /FlateDecode', data: content },
+        { dictionary: '/Type /XObject /Subtype /Image', data: encoder.encode('BT (not text) Tj ET') },
+      ])
+
+      const result = await extractDocumentText(new File([pdf], 'review.pdf', { type: 'application/pdf' }))
+
+      expect(result).toMatchObject({ kind: DOCUMENT_TEXT_KINDS.PDF, text: 'Quarterly review', pageCount: 1, issue: null })
+    })
+
+    it('reads form XObjects and never opens a stream at endstream', async () => {
+      const pdf = buildPdf([
+        { dictionary: '/Type /XObject /Subtype /Form', data: encoder.encode('BT (Footer notes) Tj ET') },
+        { dictionary: '', data: encoder.encode('q /Fm0 Do Q') },
+      ])
+
+      const result = await extractDocumentText(new File([pdf], 'form.pdf'))
+
+      expect(result).toMatchObject({ text: 'Footer notes', textOperatorCount: 1, issue: null })
+    })
+
+    it('reports encrypted, LZW and undecodable PDFs as not inspected', async () => {
+      const encrypted = concatBytes([
+        buildPdf([{ dictionary: '', data: encoder.encode('\x8f\x11\x02') }]),
+        encoder.encode('\ntrailer << /Encrypt 9 0 R >>'),
+      ])
+      const lzw = buildPdf([{ dictionary: '/Filter /LZWDecode', data: encoder.encode('\x80\x0b\x60') }])
+      const damaged = buildPdf([{ dictionary: '/Filter [/FlateDecode]', data: encoder.encode('not deflate') }])
+
+      for (const [name, bytes] of [['encrypted.pdf', encrypted], ['lzw.pdf', lzw], ['damaged.pdf', damaged]]) {
+        await expect(extractDocumentText(new File([bytes], name))).resolves.toMatchObject({
+          issue: DOCUMENT_TEXT_ISSUES.PDF_NOT_INSPECTED,
+        })
+      }
+    })
+
+    it('lets font-encoded PDFs through and blocks scans', async () => {
+      const encoded = buildPdf([{ dictionary: '', data: encoder.encode('BT <00410042> Tj ET') }])
+      const scanned = buildPdf([{ dictionary: '', data: encoder.encode('q 612 0 0 792 0 0 cm /Im0 Do Q') }])
+
+      const encodedResult = await extractDocumentText(new File([encoded], 'encoded.pdf'))
+      const scannedResult = await extractDocumentText(new File([scanned], 'scan.pdf'))
+
+      expect(encodedResult).toMatchObject({ issue: null, hasEncodedText: true })
+      expect(scannedResult).toMatchObject({ issue: DOCUMENT_TEXT_ISSUES.PDF_NO_TEXT, characterCount: 0 })
+    })
+  })
+
+  describe('plain text', () => {
+    it('counts CSV data rows and blocks blank files', async () => {
+      const csv = await extractDocumentText(new File(['\uFEFFname,region\nAcme,EU\nGlobex,US\n'], 'accounts.csv'))
+      const blank = await extractDocumentText(new File(['  \n\n'], 'notes.txt'))
+
+      expect(csv).toMatchObject({ kind: DOCUMENT_TEXT_KINDS.CSV, rowCount: 2, text: 'name,region\nAcme,EU\nGlobex,US' })
+      expect(blank.issue).toBe(DOCUMENT_TEXT_ISSUES.NO_TEXT)
+    })
+
+    it('truncates the preview text', async () => {
+      const result = await extractDocumentText(new File(['x'.repeat(2000)], 'long.txt'))
+      expect(result.previewText).toHaveLength(600)
+      expect(result.characterCount).toBe(2000)
+    })
+  })
+
+  describe('runDocumentTextExtractionJob', () => {
+    it('posts a result or error per file, then done', async () => {
+      const post = vi.fn()
+
+      await runDocumentTextExtractionJob({
+        requestId: 7,
+        files: [new File(['hello'], 'a.txt'), new File(['x'], 'image.png', { type: 'image/png' })],
+      }, post)
+
+      expect(post.mock.calls.map(([message]) => message.type)).toEqual(['result', 'error', 'done'])
+      expect(post.mock.calls[0][0]).toMatchObject({ requestId: 7, index: 0, result: { text: 'hello' } })
+      expect(post.mock.calls[1][0]).toMatchObject({ index: 1, message: 'image.png is not a supported document type.' })
+    })
+  })
+})
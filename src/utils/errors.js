@@ -3,70 +3,19 @@
  *
  * Standardized error objects, API error code mapping, and request
  * correlation helpers for the frontend.
+ *
+ * Messages for error codes, retry hints, licence and role-in-use guidance
+ * are translated into the active locale (`errors.*` keys in `i18n/locales/`).
  */
 
+import { hasTranslation, translate } from '../i18n'
+
 /* ------------------------------------------------------------------ */
 /*  Error code → human-readable messages                              */
 /* ------------------------------------------------------------------ */
 
-/** @type {Record<string, string>} */
-const ERROR_MESSAGES = {
-  // Authentication
-  AUTH_INVALID_CREDENTIALS: 'Invalid email or password.',
-  AUTH_TOKEN_EXPIRED: 'Your session has expired. Please sign in again.',
-  AUTH_TOKEN_INVALID: 'Your session is invalid. Please sign in again.',
-  AUTH_REFRESH_FAILED: 'Unable to refresh session. Please sign in again.',
-  AUTH_ACCOUNT_DISABLED: 'Your account has been disabled. Contact your administrator.',
-  AUTH_CUSTOMER_INACTIVE:
-    'Your customer is inactive. Contact your Super Admin to restore access.',
-  STEP_UP_REQUIRED: 'Please re-authenticate to continue with this sensitive action.',
-  STEP_UP_INVALID: 'Step-up token expired or invalid. Re-authenticate and try again.',
-  STEP_UP_UNAVAILABLE: 'Step-up verification is unavailable right now. Try again shortly.',
-
-  // Authorization
-  AUTHZ_FORBIDDEN: 'You do not have permission to perform this action.',
-  AUTHZ_ROLE_REQUIRED: 'This action requires a higher role.',
-  AUTHZ_TENANT_DISABLED: 'This tenant has been disabled.',
-  LICENSE_FEATURE_NOT_ENABLED: 'Your current licence does not include this feature.',
-  CUSTOMER_CONTEXT_REQUIRED:
-    'No customer context is available for this action. Refresh and try again.',
-  CUSTOMER_INACTIVE:
-    'This customer is inactive. Reactivate the customer to continue.',
-
-  // Validation
-  VALIDATION_FAILED: 'Please check the form for errors.',
-  VALIDATION_EMAIL_EXISTS: 'A user with this email already exists.',
-  VALIDATION_REQUIRED_FIELD: 'This field is required.',
-  INVITATION_ALREADY_ACTIVE: 'An active invitation already exists for this email address.',
-  INVITATION_NOT_RESENDABLE: 'This invitation can no longer be resent.',
-  INVITATION_ALREADY_TERMINAL: 'This invitation can no longer be changed.',
-  RULES_UPDATE_NOT_ALLOWED:
-    'Policy rules cannot be edited in place. Create a new policy version instead.',
-
-  // Rate limiting
-  RATE_LIMIT_EXCEEDED: 'Too many requests. Please wait a moment and try again.',
-  AUTH_RATE_LIMITED: 'Too many authentication attempts. Please wait before trying again.',
-
-  // Server / generic
-  SERVER_ERROR: 'Something went wrong. Please try again later.',
-  NETWORK_ERROR: 'Unable to reach the server. Check your connection.',
-  CLIENT_OFFLINE: 'You appear to be offline. Reconnect and try again.',
-  SERVICE_UNAVAILABLE: 'The service is temporarily unavailable. Please try again shortly.',
-  NOT_FOUND: 'The requested resource was not found.',
-  TIMEOUT: 'The request timed out. Please try again.',
-  HTTP_400: 'The request is invalid. Please check your input.',
-  HTTP_401: 'Your session has expired. Please sign in again.',
-  HTTP_403: 'You do not have permission to perform this action.',
-  HTTP_404: 'The requested resource was not found.',
-  HTTP_409: 'This action conflicts with the current state of the resource.',
-  HTTP_422: 'Please check the form for errors.',
-  HTTP_423: 'This tenant is currently disabled.',
-  HTTP_429: 'Too many requests. Please wait a moment and try again.',
-  HTTP_500: 'Something went wrong. Please try again later.',
-  HTTP_502: 'The service gateway returned an invalid response. Please try again.',
-  HTTP_503: 'The service is temporarily unavailable. Please try again shortly.',
-  HTTP_504: 'The service timed out. Please try again.',
-}
+// Messages for API error codes live in the i18n catalogues as `errors.<CODE>`
+const translateErrorCode = (code) => translate(`errors.${code}`)
 
 const RATE_LIMIT_CODES = new Set([
   'RATE_LIMIT_EXCEEDED',
@@ -122,6 +71,11 @@ const CANONICAL_ADMIN_CONFLICT_REASON_MESSAGES = {
 const GENERIC_CONFLICT_MESSAGE_PATTERN =
   /conflicts with the current state of the resource/i
 
+// The server's English wording, or our HTTP_409 fallback in the active locale
+const isGenericConflictMessage = (message) =>
+  GENERIC_CONFLICT_MESSAGE_PATTERN.test(message) ||
+  message.includes(translateErrorCode('HTTP_409'))
+
 const GOVERNANCE_LIMIT_REASONS = new Set([
   'TENANT_LIMIT_REACHED',
   'VMF_LIMIT_REACHED',
@@ -171,13 +125,13 @@ const USER_LIFECYCLE_REASON_MESSAGES = {
  */
 export const formatRetryAfter = (seconds) => {
   const safeSeconds = Math.max(0, Math.floor(Number(seconds) || 0))
-  if (safeSeconds <= 0) return 'a moment'
+  if (safeSeconds <= 0) return translate('errors.retryAfter.moment')
 
   const minutes = Math.floor(safeSeconds / 60)
   const remaining = safeSeconds % 60
-  if (minutes === 0) return `${remaining}s`
-  if (remaining === 0) return `${minutes}m`
-  return `${minutes}m ${remaining}s`
+  if (minutes === 0) return translate('errors.retryAfter.seconds', { seconds: remaining })
+  if (remaining === 0) return translate('errors.retryAfter.minutes', { minutes })
+  return translate('errors.retryAfter.minutesSeconds', { minutes, seconds: remaining })
 }
 
 /**
@@ -186,8 +140,10 @@ export const formatRetryAfter = (seconds) => {
  * @param {string} code
  * @returns {string}
  */
-export const getErrorMessage = (code) =>
-  ERROR_MESSAGES[code] ?? code ?? ERROR_MESSAGES.SERVER_ERROR
+export const getErrorMessage = (code) => {
+  if (code && hasTranslation(`errors.${code}`)) return translateErrorCode(code)
+  return code ?? translateErrorCode('SERVER_ERROR')
+}
 
 /**
  * Append request reference to a message when available.
@@ -289,7 +245,7 @@ const getFirstDetailMessage = (details) => {
 const resolveLicenseFeatureMessage = (details) => {
   const feature = String(details?.feature ?? '').trim().toUpperCase()
   if (!feature) return getErrorMessage('LICENSE_FEATURE_NOT_ENABLED')
-  return `Your current licence does not include ${feature}.`
+  return translate('errors.licenseFeature', { feature })
 }
 
 /* ------------------------------------------------------------------ */
@@ -339,12 +295,12 @@ export const normalizeError = (error) => {
     const details = nested.details ?? data.details ?? undefined
 
     let message =
-      nested.message ?? data.message ?? getErrorMessage(code) ?? ERROR_MESSAGES.SERVER_ERROR
+      nested.message ?? data.message ?? getErrorMessage(code) ?? translateErrorCode('SERVER_ERROR')
     if (normalizedCode === 'LICENSE_FEATURE_NOT_ENABLED') {
       message = resolveLicenseFeatureMessage(details)
     }
     if (RATE_LIMIT_CODES.has(code) && retryAfterSeconds) {
-      message = `${message} Try again in ${formatRetryAfter(retryAfterSeconds)}.`
+      message = translate('errors.retryIn', { message, wait: formatRetryAfter(retryAfterSeconds) })
     }
     if (requestId) {
       message = `${message} (Ref: ${requestId})`
@@ -365,7 +321,7 @@ export const normalizeError = (error) => {
     const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false
     return {
       code: isOffline ? 'CLIENT_OFFLINE' : 'NETWORK_ERROR',
-      message: isOffline ? ERROR_MESSAGES.CLIENT_OFFLINE : ERROR_MESSAGES.NETWORK_ERROR,
+      message: translateErrorCode(isOffline ? 'CLIENT_OFFLINE' : 'NETWORK_ERROR'),
       status: undefined,
       requestId: undefined,
       retryAfterSeconds: undefined,
@@ -387,7 +343,7 @@ export const normalizeError = (error) => {
 
   return {
     code: 'UNKNOWN_ERROR',
-    message: ERROR_MESSAGES.SERVER_ERROR,
+    message: translateErrorCode('SERVER_ERROR'),
     status: undefined,
     requestId: undefined,
     retryAfterSeconds: undefined,
@@ -470,7 +426,7 @@ export const getLicenseFeatureNotEnabledMessage = (
 ) => {
   const feature = String(err?.details?.feature ?? '').trim().toUpperCase()
   const message = feature
-    ? `Your current licence does not include ${feature}.`
+    ? translate('errors.licenseFeature', { feature })
     : fallbackMessage
 
   return appendRequestReference(message, err?.requestId)
@@ -606,7 +562,7 @@ export const getGovernanceLimitConflictMessage = (err) => {
     GOVERNANCE_LIMIT_FALLBACKS[reason] ?? GOVERNANCE_LIMIT_FALLBACKS.default
 
   const baseMessage = String(err?.message ?? '').trim()
-  if (baseMessage && !GENERIC_CONFLICT_MESSAGE_PATTERN.test(baseMessage)) {
+  if (baseMessage && !isGenericConflictMessage(baseMessage)) {
     return baseMessage
   }
 
@@ -642,10 +598,12 @@ export const getRoleInUseConflictMessage = (err) => {
 
   const base =
     Number.isFinite(assignedUserCount) && assignedUserCount > 0
-      ? `Role cannot be deleted while assigned to ${assignedUserCount} user${assignedUserCount === 1 ? '' : 's'}.`
-      : 'Role cannot be deleted while assigned to users.'
+      ? translate('errors.roleInUse.assigned', { count: assignedUserCount })
+      : translate('errors.roleInUse.generic')
 
-  const withRoleKey = roleKey ? `${base} Remove role ${roleKey} assignments and retry.` : base
+  const withRoleKey = roleKey
+    ? translate('errors.roleInUse.removeAssignments', { message: base, roleKey })
+    : base
   return appendRequestReference(withRoleKey, err?.requestId)
 }
 
@@ -8,9 +8,11 @@
  * - isAuthzError detection
  * - isTenantDisabledError detection
  * - isRateLimitError detection
+ * - messages in the active locale
  */
 
-import { describe, it, expect } from 'vitest'
+import { describe, it, expect, afterEach } from 'vitest'
+import { setActiveLocale } from '../i18n'
 import {
   getErrorMessage,
   formatRetryAfter,
@@ -691,6 +693,41 @@ describe('errors', () => {
     })
   })
 
+  describe('messages in the active locale', () => {
+    afterEach(() => {
+      setActiveLocale('en')
+    })
+
+    it('translates mapped codes, retry hints and plural guidance', () => {
+      setActiveLocale('fr')
+
+      expect(getErrorMessage('NOT_FOUND')).toBe('La ressource demandée est introuvable.')
+      expect(getErrorMessage('UNMAPPED_CODE')).toBe('UNMAPPED_CODE')
+      expect(
+        normalizeError({ status: 429, data: { code: 'RATE_LIMIT_EXCEEDED', retryAfterSeconds: 90 } }).message,
+      ).toBe('Trop de requêtes. Patientez un instant puis réessayez. Réessayez dans 1 min 30 s.')
+      expect(
+        getRoleInUseConflictMessage({ status: 409, code: 'CONFLICT', details: { reason: 'ROLE_IN_USE', assignedUserCount: 1 } }),
+      ).toBe('Impossible de supprimer ce rôle tant qu’il est attribué à 1 utilisateur.')
+
+      setActiveLocale('de')
+      expect(normalizeError({ error: 'TypeError: Failed to fetch' }).message)
+        .toBe('Der Server ist nicht erreichbar. Prüfen Sie Ihre Verbindung.')
+    })
+
+    it('still falls back to governance guidance over the translated generic conflict', () => {
+      setActiveLocale('de')
+      const message = getGovernanceLimitConflictMessage({
+        status: 409,
+        code: 'CONFLICT',
+        message: getErrorMessage('HTTP_409'),
+        details: { reason: 'TENANT_LIMIT_REACHED' },
+      })
+
+      expect(message).toContain('Tenant limit reached for this customer.')
+    })
+  })
+
   describe('isTenantAdminAssignmentsValidationError', () => {
     it('detects stable tenant-admin assignment validation failures', () => {
       expect(
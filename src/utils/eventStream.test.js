@@ -0,0 +1,87 @@
+/**
+ * Event Stream Tests
+ *
+ * Covers:
+ * - SSE block parsing (event, id, multi-line data, comments)
+ * - Streaming reads split across chunk boundaries
+ * - Non-2xx responses raise EventStreamError with `unsupported`
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { EventStreamError, parseEventStreamBlock, readEventStream } from './eventStream.js'
+
+const streamResponse = (chunks, init = {}) => {
+  const encoder = new TextEncoder()
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)))
+      controller.close()
+    },
+  })
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' }, ...init })
+}
+
+describe('parseEventStreamBlock', () => {
+  it('reads the event name, id and data', () => {
+    expect(parseEventStreamBlock('event: renderer.updated\nid: 7\ndata: {"a":1}')).toEqual({
+      event: 'renderer.updated',
+      id: '7',
+      data: '{"a":1}',
+    })
+  })
+
+  it('joins multi-line data and defaults the event name', () => {
+    expect(parseEventStreamBlock('data: first\ndata: second')).toEqual({
+      event: 'message',
+      id: null,
+      data: 'first\nsecond',
+    })
+  })
+
+  it('ignores comment-only blocks', () => {
+    expect(parseEventStreamBlock(': keep-alive')).toBeNull()
+  })
+})
+
+describe('readEventStream', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('delivers events split across chunks and sends the event-stream accept header', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(streamResponse([
+      'event: job.progress\ndata: {"jobId":"j-1",',
+      '"progress":10}\n\n: ping\n\nevent: renderer.updated\n',
+      'data: {}\n\n',
+    ]))
+    const onOpen = vi.fn()
+    const onEvent = vi.fn()
+
+    await readEventStream({ url: '/events', headers: new Headers({ 'X-Test': '1' }), onOpen, onEvent })
+
+    const [, init] = fetchSpy.mock.calls[0]
+    expect(init.headers.get('Accept')).toBe('text/event-stream')
+    expect(init.headers.get('X-Test')).toBe('1')
+    expect(onOpen).toHaveBeenCalledTimes(1)
+    expect(onEvent.mock.calls.map(([event]) => event.event)).toEqual(['job.progress', 'renderer.updated'])
+    expect(JSON.parse(onEvent.mock.calls[0][0].data)).toEqual({ jobId: 'j-1', progress: 10 })
+  })
+
+  it('rejects with an unsupported EventStreamError when the backend has no stream', async () => {
+    vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('', { status: 404 }))
+
+    const error = await readEventStream({ url: '/events', onEvent: vi.fn() }).catch((caught) => caught)
+
+    expect(error).toBeInstanceOf(EventStreamError)
+    expect(error.status).toBe(404)
+    expect(error.unsupported).toBe(true)
+  })
+
+  it('treats server errors as retryable', async () => {
+    vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('', { status: 503 }))
+
+    const error = await readEventStream({ url: '/events', onEvent: vi.fn() }).catch((caught) => caught)
+
+    expect(error.unsupported).toBe(false)
+  })
+})
@@ -0,0 +1,485 @@
+/**
+ * JSON Code Editor
+ *
+ * Text analysis behind `components/JsonCodeEditor`:
+ *   - tokenizeJson: highlight tokens, each annotated with the JSON path it
+ *     sits at, and tolerant of half-typed input
+ *   - lintJson: a strict parse that reports the first syntax error with its
+ *     line and column (plus duplicate-key warnings), independent of the
+ *     browser's `JSON.parse` message format
+ *   - findMatchingBracket: the bracket paired with the one at the caret
+ *   - getJsonCompletionContext / buildJsonCompletions: what the caret is
+ *     typing (an object key or a string value) and the registry keys that fit
+ *   - getJsonFieldErrorMarkers: server field errors placed on the line of
+ *     the key they point at
+ *
+ * Paths are arrays of object keys and array indexes, e.g.
+ * `['properties', 'limit']` or `['items', 0, 'key']`.
+ */
+
+export const JSON_TOKEN_TYPES = Object.freeze({
+  KEY: 'key',
+  STRING: 'string',
+  NUMBER: 'number',
+  LITERAL: 'literal',
+  PUNCTUATION: 'punctuation',
+  WHITESPACE: 'whitespace',
+  INVALID: 'invalid',
+})
+
+export const JSON_DIAGNOSTIC_SEVERITIES = Object.freeze({
+  ERROR: 'error',
+  WARNING: 'warning',
+})
+
+export const JSON_COMPLETION_KINDS = Object.freeze({
+  RUNTIME_PATH: 'Runtime path',
+  RUNTIME_PATH_SEGMENT: 'Runtime path key',
+  FRAMEWORK: 'Framework',
+  VALIDATION: 'Validation',
+})
+
+const DEFAULT_COMPLETION_LIMIT = 8
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y
+const LITERAL_PATTERN = /true|false|null/y
+const WORD_PATTERN = /[^\s{}[\]:,"]+/y
+const BRACKET_PAIRS = Object.freeze({ '{': '}', '[': ']', '}': '{', ']': '[' })
+const ROOT_TYPE_MESSAGES = Object.freeze({
+  object: 'Must be a JSON object.',
+  array: 'Must be a JSON array.',
+})
+
+const matchAt = (pattern, text, offset) => {
+  pattern.lastIndex = offset
+  const match = pattern.exec(text)
+  return match ? match[0] : ''
+}
+
+// End of a string token that starts at `start`; unterminated strings stop at the line end
+const scanString = (text, start) => {
+  let index = start + 1
+  while (index < text.length) {
+    const char = text[index]
+    if (char === '\\') {
+      index += 2
+      continue
+    }
+    if (char === '"') return { end: index + 1, terminated: true }
+    if (char === '\n') break
+    index += 1
+  }
+  return { end: Math.min(index, text.length), terminated: false }
+}
+
+const decodeStringToken = (raw) => {
+  const body = raw.endsWith('"') && raw.length > 1 ? raw.slice(1, -1) : raw.slice(1)
+  try {
+    return JSON.parse(`"${body}"`)
+  } catch {
+    return body
+  }
+}
+
+export const getJsonLineAt = (text, offset) => {
+  let line = 1
+  for (let index = 0; index < offset && index < text.length; index += 1) {
+    if (text[index] === '\n') line += 1
+  }
+  return line
+}
+
+const getJsonLineColumnAt = (text, offset) => {
+  const before = text.slice(0, offset)
+  const lastBreak = before.lastIndexOf('\n')
+  return { line: getJsonLineAt(text, offset), column: offset - lastBreak }
+}
+
+/**
+ * @param {string} text
+ * @returns {{ type: string, start: number, end: number, text: string, path?: (string|number)[], terminated?: boolean }[]}
+ */
+export function tokenizeJson(text = '') {
+  const source = String(text ?? '')
+  const tokens = []
+  // Containers the scanner is inside; `key` is null while an object expects one
+  const stack = []
+  const valuePath = () => {
+    const frame = stack.at(-1)
+    if (!frame) return []
+    return frame.type === 'object' ? [...frame.path, frame.key ?? ''] : [...frame.path, frame.index]
+  }
+
+  let offset = 0
+  while (offset < source.length) {
+    const char = source[offset]
+    const frame = stack.at(-1)
+
+    if (/\s/.test(char)) {
+      let end = offset + 1
+      while (end < source.length && /\s/.test(source[end])) end += 1
+      tokens.push({ type: JSON_TOKEN_TYPES.WHITESPACE, start: offset, end, text: source.slice(offset, end) })
+      offset = end
+      continue
+    }
+
+    if (char === '"') {
+      const { end, terminated } = scanString(source, offset)
+      const raw = source.slice(offset, end)
+      const isKey = frame?.type === 'object' && frame.key === null
+      const path = isKey ? [...frame.path, decodeStringToken(raw)] : valuePath()
+      if (isKey) frame.key = path.at(-1)
+      tokens.push({
+        type: isKey ? JSON_TOKEN_TYPES.KEY : JSON_TOKEN_TYPES.STRING,
+        start: offset,
+        end,
+        text: raw,
+        path,
+        terminated,
+      })
+      offset = end
+      continue
+    }
+
+    if ('{}[]:,'.includes(char)) {
+      tokens.push({ type: JSON_TOKEN_TYPES.PUNCTUATION, start: offset, end: offset + 1, text: char })
+      if (char === '{' || char === '[') {
+        stack.push({ type: char === '{' ? 'object' : 'array', path: valuePath(), key: null, index: 0 })
+      } else if (char === '}' || char === ']') {
+        stack.pop()
+      } else if (char === ',' && frame) {
+        if (frame.type === 'array') frame.index += 1
+        else frame.key = null
+      }
+      offset += 1
+      continue
+    }
+
+    const number = matchAt(NUMBER_PATTERN, source, offset)
+    const literal = number ? '' : matchAt(LITERAL_PATTERN, source, offset)
+    const word = matchAt(WORD_PATTERN, source, offset) || char
+    const isValid = Boolean(number || literal) && word === (number || literal)
+    tokens.push({
+      type: !isValid ? JSON_TOKEN_TYPES.INVALID : number ? JSON_TOKEN_TYPES.NUMBER : JSON_TOKEN_TYPES.LITERAL,
+      start: offset,
+      end: offset + word.length,
+      text: word,
+      path: valuePath(),
+    })
+    offset += word.length
+  }
+
+  return tokens
+}
+
+class JsonLintError extends Error {
+  constructor(message, offset) {
+    super(message)
+    this.name = 'JsonLintError'
+    this.offset = offset
+  }
+}
+
+const describeCharacter = (char) => (char === undefined ? 'end of input' : `"${char}"`)
+
+/**
+ * Strict JSON parse that reports where it failed.
+ *
+ * @param {string} text
+ * @param {{ root?: 'any'|'object'|'array' }} [options]
+ * @returns {{ line: number, column: number, offset: number, severity: string, message: string }[]}
+ */
+export function lintJson(text = '', { root = 'any' } = {}) {
+  const source = String(text ?? '')
+  if (!source.trim()) return []
+
+  const diagnostics = []
+  let offset = 0
+
+  const skipWhitespace = () => {
+    while (offset < source.length && /\s/.test(source[offset])) offset += 1
+  }
+  const fail = (message, at = offset) => {
+    throw new JsonLintError(message, at)
+  }
+
+  const parseString = () => {
+    const start = offset
+    offset += 1
+    while (offset < source.length) {
+      const char = source[offset]
+      if (char === '"') {
+        offset += 1
+        return JSON.parse(source.slice(start, offset))
+      }
+      if (char === '\\') {
+        const escape = source[offset + 1]
+        if (escape === 'u') {
+          if (!/^[0-9a-fA-F]{4}$/.test(source.slice(offset + 2, offset + 6))) {
+            fail('Invalid unicode escape in string.')
+          }
+          offset += 6
+          continue
+        }
+        if (!'"\\/bfnrt'.includes(escape ?? '')) fail(`Invalid escape ${describeCharacter(`\\${escape ?? ''}`)} in string.`)
+        offset += 2
+        continue
+      }
+      if (char === '\n' || char < ' ') fail('Unterminated string.', start)
+      offset += 1
+    }
+    return fail('Unterminated string.', start)
+  }
+
+  const parseValue = () => {
+    skipWhitespace()
+    const char = source[offset]
+
+    if (char === '{') {
+      offset += 1
+      const seenKeys = new Set()
+      skipWhitespace()
+      if (source[offset] === '}') {
+        offset += 1
+        return
+      }
+      for (;;) {
+        skipWhitespace()
+        if (source[offset] !== '"') {
+          fail(source[offset] === '}' ? 'Trailing comma before "}".' : 'Expected a property name in double quotes.')
+        }
+        const keyOffset = offset
+        const key = parseString()
+        if (seenKeys.has(key)) {
+          diagnostics.push({
+            ...getJsonLineColumnAt(source, keyOffset),
+            offset: keyOffset,
+            severity: JSON_DIAGNOSTIC_SEVERITIES.WARNING,
+            message: `Duplicate key "${key}"; only the last value is kept.`,
+          })
+        }
+        seenKeys.add(key)
+        skipWhitespace()
+        if (source[offset] !== ':') fail(`Expected ":" after property name "${key}".`)
+        offset += 1
+        parseValue()
+        skipWhitespace()
+        if (source[offset] === ',') {
+          offset += 1
+          continue
+        }
+        if (source[offset] === '}') {
+          offset += 1
+          return
+        }
+        fail(`Expected "," or "}" but found ${describeCharacter(source[offset])}.`)
+      }
+    }
+
+    if (char === '[') {
+      offset += 1
+      skipWhitespace()
+      if (source[offset] === ']') {
+        offset += 1
+        return
+      }
+      for (;;) {
+        skipWhitespace()
+        if (source[offset] === ']') fail('Trailing comma before "]".')
+        parseValue()
+        skipWhitespace()
+        if (source[offset] === ',') {
+          offset += 1
+          continue
+        }
+        if (source[offset] === ']') {
+          offset += 1
+          return
+        }
+        fail(`Expected "," or "]" but found ${describeCharacter(source[offset])}.`)
+      }
+    }
+
+    if (char === '"') {
+      parseString()
+      return
+    }
+
+    const number = matchAt(NUMBER_PATTERN, source, offset)
+    const literal = number ? '' : matchAt(LITERAL_PATTERN, source, offset)
+    const word = matchAt(WORD_PATTERN, source, offset)
+    if ((number || literal) && word === (number || literal)) {
+      offset += word.length
+      return
+    }
+    if (char === "'") fail('Strings must use double quotes.')
+    fail(word ? `Unexpected value "${word}".` : `Unexpected ${describeCharacter(char)}.`)
+  }
+
+  try {
+    skipWhitespace()
+    const rootChar = source[offset]
+    const expectedRoot = root === 'object' ? '{' : root === 'array' ? '[' : ''
+    if (expectedRoot && rootChar !== expectedRoot) fail(ROOT_TYPE_MESSAGES[root])
+    parseValue()
+    skipWhitespace()
+    if (offset < source.length) fail('Unexpected content after the JSON value.')
+  } catch (error) {
+    if (!(error instanceof JsonLintError)) throw error
+    diagnostics.push({
+      ...getJsonLineColumnAt(source, error.offset),
+      offset: error.offset,
+      severity: JSON_DIAGNOSTIC_SEVERITIES.ERROR,
+      message: error.message,
+    })
+  }
+
+  return diagnostics.sort((left, right) => left.offset - right.offset)
+}
+
+/**
+ * Bracket pair around the caret: the bracket just after it, else just before.
+ *
+ * @returns {{ open: number, close: number }|null} offsets of both brackets
+ */
+export function findMatchingBracket(tokens, caret) {
+  const isBracket = (token) => token?.type === JSON_TOKEN_TYPES.PUNCTUATION && BRACKET_PAIRS[token.text]
+  const tokenIndex = [caret, caret - 1]
+    .map((offset) => tokens.findIndex((token) => token.start === offset && isBracket(token)))
+    .find((index) => index >= 0)
+  if (tokenIndex === undefined) return null
+
+  const token = tokens[tokenIndex]
+  const isOpen = token.text === '{' || token.text === '['
+  const step = isOpen ? 1 : -1
+  let depth = 0
+  for (let index = tokenIndex; index >= 0 && index < tokens.length; index += step) {
+    const candidate = tokens[index]
+    if (!isBracket(candidate)) continue
+    const opensHere = candidate.text === '{' || candidate.text === '['
+    depth += opensHere === isOpen ? 1 : -1
+    if (depth === 0) {
+      if (candidate.text !== BRACKET_PAIRS[token.text]) return null
+      return isOpen
+        ? { open: token.start, close: candidate.start }
+        : { open: candidate.start, close: token.start }
+    }
+  }
+  return null
+}
+
+/**
+ * What the caret is typing, when it is inside a string.
+ *
+ * @returns {{ isKey: boolean, prefix: string, replaceStart: number, replaceEnd: number, terminated: boolean, path: (string|number)[] }|null}
+ *   `path` is the containing object for keys and the value's own path for values
+ */
+export function getJsonCompletionContext(text, caret) {
+  const token = tokenizeJson(text).find((candidate) =>
+    (candidate.type === JSON_TOKEN_TYPES.KEY || candidate.type === JSON_TOKEN_TYPES.STRING)
+    && caret > candidate.start
+    && caret <= (candidate.terminated ? candidate.end - 1 : candidate.end))
+  if (!token) return null
+
+  const isKey = token.type === JSON_TOKEN_TYPES.KEY
+  return {
+    isKey,
+    prefix: text.slice(token.start + 1, caret),
+    replaceStart: token.start + 1,
+    replaceEnd: token.terminated ? token.end - 1 : token.end,
+    terminated: token.terminated,
+    path: isKey ? token.path.slice(0, -1) : token.path,
+  }
+}
+
+const rankMatches = (candidates, prefix, limit) => {
+  const needle = prefix.toLowerCase()
+  const seen = new Set()
+  const startsWith = []
+  const contains = []
+  for (const candidate of candidates) {
+    const haystack = candidate.value.toLowerCase()
+    if (!candidate.value || candidate.value === prefix || seen.has(candidate.value)) continue
+    if (haystack.startsWith(needle)) startsWith.push(candidate)
+    else if (needle && haystack.includes(needle)) contains.push(candidate)
+    else continue
+    seen.add(candidate.value)
+  }
+  return [...startsWith, ...contains].slice(0, limit)
+}
+
+/**
+ * Completions for a context from `getJsonCompletionContext`. Keys complete
+ * the next segment of runtime paths below the object being edited (so
+ * `framework_state.sections.*` keys inside `"framework_state": { "sections": {` );
+ * string values complete whole runtime path, framework and validation keys.
+ *
+ * @returns {{ value: string, kind: string, detail: string }[]}
+ */
+export function buildJsonCompletions(
+  context,
+  { runtimePathKeys = [], frameworkKeys = [], validationKeys = [] } = {},
+  { limit = DEFAULT_COMPLETION_LIMIT } = {},
+) {
+  if (!context) return []
+
+  if (context.isKey) {
+    const objectPath = context.path.filter((segment) => typeof segment === 'string')
+    const segments = runtimePathKeys.flatMap((pathKey) => {
+      const parts = String(pathKey).split('.')
+      const isBelow = parts.length > objectPath.length
+        && objectPath.every((segment, index) => parts[index] === segment)
+      return isBelow
+        ? [{ value: parts[objectPath.length], kind: JSON_COMPLETION_KINDS.RUNTIME_PATH_SEGMENT, detail: pathKey }]
+        : []
+    })
+    return rankMatches(segments, context.prefix, limit)
+  }
+
+  return rankMatches([
+    ...runtimePathKeys.map((value) => ({ value, kind: JSON_COMPLETION_KINDS.RUNTIME_PATH, detail: '' })),
+    ...frameworkKeys.map((value) => ({ value, kind: JSON_COMPLETION_KINDS.FRAMEWORK, detail: '' })),
+    ...validationKeys.map((value) => ({ value, kind: JSON_COMPLETION_KINDS.VALIDATION, detail: '' })),
+  ], context.prefix, limit)
+}
+
+const parseFieldPath = (fieldPath) => String(fieldPath ?? '')
+  .split(/\.|\[(\d+)\]/)
+  .filter((segment) => segment !== undefined && segment !== '')
+  .map((segment) => (/^\d+$/.test(segment) ? Number(segment) : segment))
+
+const pathStartsWith = (path, prefix) =>
+  prefix.length <= path.length && prefix.every((segment, index) => path[index] === segment)
+
+/**
+ * Line markers for server errors keyed by path inside the edited JSON
+ * (`''` for the field as a whole). A path that no longer exists falls back
+ * to its closest existing parent, then to line 1.
+ *
+ * @param {string} text
+ * @param {Object<string, string>} fieldErrors
+ * @returns {{ line: number, path: string, message: string }[]}
+ */
+export function getJsonFieldErrorMarkers(text, fieldErrors = {}) {
+  const entries = Object.entries(fieldErrors ?? {}).filter(([, message]) => message)
+  if (entries.length === 0) return []
+
+  const tokens = tokenizeJson(text)
+  const located = tokens.filter((token) =>
+    token.type === JSON_TOKEN_TYPES.KEY
+    || ((token.path?.length ?? 0) > 0 && typeof token.path.at(-1) === 'number'))
+
+  return entries.map(([fieldPath, message]) => {
+    const path = parseFieldPath(fieldPath)
+    let best = null
+    for (const token of located) {
+      if (!pathStartsWith(path, token.path)) continue
+      if (!best || token.path.length > best.path.length) best = token
+      if (best.path.length === path.length) break
+    }
+    return {
+      line: best ? getJsonLineAt(text, best.start) : 1,
+      path: fieldPath,
+      message: String(message),
+    }
+  })
+}
@@ -0,0 +1,115 @@
+/**
+ * JSON Code Editor Utility Tests
+ */
+
+import { describe, expect, it } from 'vitest'
+import {
+  JSON_COMPLETION_KINDS,
+  JSON_DIAGNOSTIC_SEVERITIES,
+  JSON_TOKEN_TYPES,
+  buildJsonCompletions,
+  findMatchingBracket,
+  getJsonCompletionContext,
+  getJsonFieldErrorMarkers,
+  lintJson,
+  tokenizeJson,
+} from './jsonCodeEditor.js'
+
+describe('jsonCodeEditor', () => {
+  it('tokenizes keys, values and punctuation with their paths', () => {
+    const tokens = tokenizeJson('{"a": [1, true], "b": "x"}')
+      .filter((token) => token.type !== JSON_TOKEN_TYPES.WHITESPACE)
+
+    expect(tokens.map((token) => [token.type, token.text])).toEqual([
+      ['punctuation', '{'],
+      ['key', '"a"'],
+      ['punctuation', ':'],
+      ['punctuation', '['],
+      ['number', '1'],
+      ['punctuation', ','],
+      ['literal', 'true'],
+      ['punctuation', ']'],
+      ['punctuation', ','],
+      ['key', '"b"'],
+      ['punctuation', ':'],
+      ['string', '"x"'],
+      ['punctuation', '}'],
+    ])
+    expect(tokens[6].path).toEqual(['a', 1])
+    expect(tokens[11].path).toEqual(['b'])
+    expect(tokenizeJson('truex').map((token) => token.type)).toEqual([JSON_TOKEN_TYPES.INVALID])
+  })
+
+  it('lints the first syntax error with its line and column', () => {
+    expect(lintJson('{\n  "a": 1,\n}')).toEqual([
+      expect.objectContaining({
+        line: 3,
+        column: 1,
+        severity: JSON_DIAGNOSTIC_SEVERITIES.ERROR,
+        message: 'Trailing comma before "}".',
+      }),
+    ])
+    expect(lintJson("{'a': 1}")[0].message).toBe('Expected a property name in double quotes.')
+    expect(lintJson('{"a": \'b\'}')[0].message).toBe('Strings must use double quotes.')
+    expect(lintJson('{"a" 1}')[0].message).toBe('Expected ":" after property name "a".')
+    expect(lintJson('[]', { root: 'object' })[0].message).toBe('Must be a JSON object.')
+    expect(lintJson('')).toEqual([])
+    expect(lintJson('{"a": 1, "a": 2}')).toEqual([
+      expect.objectContaining({ severity: JSON_DIAGNOSTIC_SEVERITIES.WARNING, line: 1 }),
+    ])
+  })
+
+  it('finds the bracket matching the one at the caret', () => {
+    const text = '{"a": [1]}'
+    const tokens = tokenizeJson(text)
+
+    expect(findMatchingBracket(tokens, 0)).toEqual({ open: 0, close: 9 })
+    expect(findMatchingBracket(tokens, text.length)).toEqual({ open: 0, close: 9 })
+    expect(findMatchingBracket(tokens, 7)).toEqual({ open: 6, close: 8 })
+    expect(findMatchingBracket(tokens, 3)).toBeNull()
+  })
+
+  it('completes runtime path segments for keys and registry keys for values', () => {
+    const registries = {
+      runtimePathKeys: ['framework_state.sections.problem', 'framework_state.sections.solution', 'framework_state.lifecycle.stage'],
+      frameworkKeys: ['VMF'],
+      validationKeys: ['required-sections-check'],
+    }
+    const keyText = '{"framework_state": {"sections": {"so'
+    const keyContext = getJsonCompletionContext(keyText, keyText.length)
+
+    expect(keyContext).toMatchObject({ isKey: true, prefix: 'so', terminated: false, path: ['framework_state', 'sections'] })
+    expect(buildJsonCompletions(keyContext, registries)).toEqual([
+      { value: 'solution', kind: JSON_COMPLETION_KINDS.RUNTIME_PATH_SEGMENT, detail: 'framework_state.sections.solution' },
+    ])
+
+    const valueText = '{"targets": ["framework_state.l"]}'
+    const valueContext = getJsonCompletionContext(valueText, valueText.indexOf('l"') + 1)
+
+    expect(valueContext).toMatchObject({ isKey: false, prefix: 'framework_state.l', terminated: true, path: ['targets', 0] })
+    expect(buildJsonCompletions(valueContext, registries).map((completion) => completion.value)).toEqual([
+      'framework_state.lifecycle.stage',
+    ])
+    expect(buildJsonCompletions({ ...valueContext, prefix: 'sections' }, registries).map((completion) => completion.kind)).toEqual([
+      JSON_COMPLETION_KINDS.RUNTIME_PATH,
+      JSON_COMPLETION_KINDS.RUNTIME_PATH,
+      JSON_COMPLETION_KINDS.VALIDATION,
+    ])
+    expect(getJsonCompletionContext(valueText, 1)).toBeNull()
+  })
+
+  it('maps server field errors to the line of the path, its parent, or line 1', () => {
+    const text = '{\n  "required": [\n    "a",\n    "b"\n  ],\n  "type": "object"\n}'
+
+    expect(getJsonFieldErrorMarkers(text, {
+      'required[1]': 'Unknown section.',
+      'type.items': 'Not allowed.',
+      '': 'Invalid schema.',
+    })).toEqual([
+      { line: 4, path: 'required[1]', message: 'Unknown section.' },
+      { line: 6, path: 'type.items', message: 'Not allowed.' },
+      { line: 1, path: '', message: 'Invalid schema.' },
+    ])
+    expect(getJsonFieldErrorMarkers(text, {})).toEqual([])
+  })
+})
@@ -0,0 +1,55 @@
+/**
+ * Locale Preference
+ *
+ * The signed-in user's display language. Without a saved choice the
+ * browser's preferred languages decide, then English.
+ *
+ * Storage: `localStorage`, one entry per user (`vmf_locale:<userId>`),
+ * holding one of the `SUPPORTED_LOCALES` values.
+ */
+
+import { DEFAULT_LOCALE, resolveSupportedLocale } from '../i18n'
+
+export const LOCALE_STORAGE_KEY = 'vmf_locale'
+
+const storageKeyFor = (userId) => `${LOCALE_STORAGE_KEY}:${userId || 'anonymous'}`
+
+/**
+ * @returns {string} the first supported entry of `navigator.languages`
+ */
+export const detectBrowserLocale = () => {
+  const candidates = typeof navigator === 'undefined'
+    ? []
+    : [...(navigator.languages ?? []), navigator.language]
+  for (const candidate of candidates) {
+    const locale = resolveSupportedLocale(candidate)
+    if (locale) return locale
+  }
+  return DEFAULT_LOCALE
+}
+
+/**
+ * @param {string} userId
+ * @returns {string} the saved locale, else the browser's
+ */
+export const loadLocalePreference = (userId) => {
+  try {
+    return resolveSupportedLocale(localStorage.getItem(storageKeyFor(userId))) ?? detectBrowserLocale()
+  } catch {
+    return detectBrowserLocale()
+  }
+}
+
+/**
+ * @param {string} userId
+ * @param {string} locale
+ */
+export const saveLocalePreference = (userId, locale) => {
+  const supportedLocale = resolveSupportedLocale(locale)
+  if (!supportedLocale) return
+  try {
+    localStorage.setItem(storageKeyFor(userId), supportedLocale)
+  } catch {
+    // Private/incognito mode or a full quota — the choice lasts until reload
+  }
+}
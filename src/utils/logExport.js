@@ -0,0 +1,288 @@
+/**
+ * Log Export
+ *
+ * Streams a paginated log endpoint (audit logs, denied-access logs) into
+ * a CSV or NDJSON file one page at a time, so "every action on customer X
+ * in Q3" can be exported with exactly the filters on screen.
+ *
+ * The export never holds the whole result set. Each page is serialised
+ * and handed to a sink straight away:
+ *   - `file` sink: the File System Access API (`showSaveFilePicker`)
+ *     writes each page to disk as it arrives, so exports of any size work.
+ *   - `download` sink: browsers without it get a Blob per page, and once
+ *     a file reaches `partSizeBytes` it is downloaded as its own part
+ *     (`-part-2.csv`, …) instead of growing one giant Blob.
+ *
+ * Lists are sorted newest first, so rows written during a long export
+ * push older rows onto the next page and they come back a second time.
+ * Only the ids of written rows are kept, to drop those repeats.
+ *
+ * Driven by `useLogExport`; see `components/LogExport` for the controls.
+ */
+
+export const LOG_EXPORT_FORMATS = Object.freeze({
+  CSV: 'csv',
+  NDJSON: 'ndjson',
+})
+
+export const LOG_EXPORT_FORMAT_OPTIONS = Object.freeze([
+  { value: LOG_EXPORT_FORMATS.CSV, label: 'CSV' },
+  { value: LOG_EXPORT_FORMATS.NDJSON, label: 'NDJSON' },
+])
+
+export const LOG_EXPORT_PAGE_SIZE = 200
+
+/** Largest single download part when the file can't be streamed to disk. */
+export const LOG_EXPORT_PART_SIZE_BYTES = 64 * 1024 * 1024
+
+// Guards against a server that never reports the last page
+export const LOG_EXPORT_MAX_PAGES = 10000
+
+const MIME_TYPES = {
+  [LOG_EXPORT_FORMATS.CSV]: 'text/csv',
+  [LOG_EXPORT_FORMATS.NDJSON]: 'application/x-ndjson',
+}
+
+const DOWNLOAD_CLEANUP_DELAY_MS = 1000
+
+/**
+ * @typedef {Object} LogExportColumn
+ * @property {string} key - dotted path into the row, e.g. `actorUserId.email`
+ * @property {string} label - CSV header
+ * @property {(row: Object) => *} [value] - overrides the path lookup
+ */
+
+const readPath = (row, path) => path.split('.').reduce((value, key) => value?.[key], row)
+
+const getLogRowId = (row) => row?.id ?? row?._id
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+/**
+ * One CSV field: objects as JSON, quotes doubled, formula-like text
+ * prefixed with `'` so opening the export can't execute anything.
+ * @param {*} value
+ * @returns {string}
+ */
+export const toCsvField = (value) => {
+  if (value === null || value === undefined) return ''
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`
+  return /[",\n\r]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const formatCsvHeader = (columns) => `${columns.map((column) => toCsvField(column.label)).join(',')}\r\n`
+
+/**
+ * @param {Object[]} rows
+ * @param {LogExportColumn[]} columns
+ * @returns {string}
+ */
+export const formatCsvRows = (rows, columns) =>
+  rows
+    .map((row) => `${columns.map((column) => toCsvField(column.value ? column.value(row) : readPath(row, column.key))).join(',')}\r\n`)
+    .join('')
+
+export const formatNdjsonRows = (rows) => rows.map((row) => `${JSON.stringify(row)}\n`).join('')
+
+export const getLogExportFilename = (baseName, format, part = 1) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+  return `${baseName}-${stamp}${part > 1 ? `-part-${part}` : ''}.${format}`
+}
+
+const triggerDownload = (blob, filename) => {
+  const objectUrl = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = objectUrl
+  link.download = filename
+  link.rel = 'noopener'
+  link.hidden = true
+  document.body.appendChild(link)
+  link.click()
+  window.setTimeout(() => {
+    link.remove()
+    URL.revokeObjectURL(objectUrl)
+  }, DOWNLOAD_CLEANUP_DELAY_MS)
+}
+
+export const canStreamLogExportToDisk = () => typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function'
+
+/**
+ * @typedef {Object} LogExportSink
+ * @property {'file'|'download'} kind
+ * @property {(chunk: string) => Promise<void>} write
+ * @property {() => Promise<string[]>} close - resolves with the written file names
+ * @property {() => Promise<void>} abort
+ */
+
+const createFileSink = async (filename, format) => {
+  const handle = await window.showSaveFilePicker({
+    suggestedName: filename,
+    types: [{ description: format.toUpperCase(), accept: { [MIME_TYPES[format]]: [`.${format}`] } }],
+  })
+  const writable = await handle.createWritable()
+  return {
+    kind: 'file',
+    write: (chunk) => writable.write(chunk),
+    close: async () => {
+      await writable.close()
+      return [handle.name ?? filename]
+    },
+    abort: () => writable.abort(),
+  }
+}
+
+const createDownloadSink = (baseName, format, { header, partSizeBytes }) => {
+  const filenames = []
+  let parts = []
+  let partBytes = 0
+
+  const flush = () => {
+    if (parts.length === 0) return
+    const filename = getLogExportFilename(baseName, format, filenames.length + 1)
+    triggerDownload(new Blob(parts, { type: MIME_TYPES[format] }), filename)
+    filenames.push(filename)
+    parts = []
+    partBytes = 0
+  }
+
+  const headerBytes = new Blob([header]).size
+
+  return {
+    kind: 'download',
+    write: async (chunk) => {
+      const blob = new Blob([chunk])
+      // A part holding only the header is never split off on its own
+      if (partBytes > headerBytes && partBytes + blob.size > partSizeBytes) {
+        flush()
+        if (header) {
+          parts.push(new Blob([header]))
+          partBytes += headerBytes
+        }
+      }
+      parts.push(blob)
+      partBytes += blob.size
+    },
+    close: async () => {
+      flush()
+      return filenames
+    },
+    abort: async () => {
+      parts = []
+      partBytes = 0
+    },
+  }
+}
+
+/**
+ * Pick where an export goes. Must be called from the click handler —
+ * the save picker needs the user gesture. Resolves `null` when the user
+ * dismisses the picker.
+ *
+ * @param {Object} options
+ * @param {string} options.baseName - file name without timestamp / extension
+ * @param {string} options.format - one of LOG_EXPORT_FORMATS
+ * @param {LogExportColumn[]} [options.columns] - CSV columns (repeated per part)
+ * @param {number} [options.partSizeBytes]
+ * @returns {Promise<LogExportSink|null>}
+ */
+export async function createLogExportSink({ baseName, format, columns = [], partSizeBytes = LOG_EXPORT_PART_SIZE_BYTES }) {
+  if (canStreamLogExportToDisk()) {
+    try {
+      return await createFileSink(getLogExportFilename(baseName, format), format)
+    } catch (error) {
+      if (error?.name === 'AbortError') return null
+      // Picker blocked (iframe, policy): fall back to downloads
+    }
+  }
+  const header = format === LOG_EXPORT_FORMATS.CSV ? formatCsvHeader(columns) : ''
+  return createDownloadSink(baseName, format, { header, partSizeBytes })
+}
+
+/**
+ * @typedef {Object} LogExportProgress
+ * @property {number} rows - rows written so far, without repeats
+ * @property {number} total - rows the server reported for the filters
+ * @property {number} page
+ * @property {number} totalPages
+ * @property {number} bytes - characters written
+ */
+
+/**
+ * Walk every page of a list endpoint into a sink.
+ *
+ * @param {Object} options
+ * @param {(page: number, pageSize: number, signal?: AbortSignal) => Promise<{ data: Object[], meta?: Object }>} options.fetchPage
+ * @param {string} options.format - one of LOG_EXPORT_FORMATS
+ * @param {LogExportColumn[]} [options.columns] - required for CSV
+ * @param {LogExportSink} options.sink
+ * @param {AbortSignal} [options.signal] - cancels the export; the sink is discarded
+ * @param {(progress: LogExportProgress) => void} [options.onProgress]
+ * @param {number} [options.pageSize]
+ * @param {number} [options.maxPages] - stop after this many pages; the
+ *   result is then `truncated` unless the last page was reached
+ * @returns {Promise<{ rows: number, bytes: number, files: string[], truncated: boolean }>}
+ */
+export async function runLogExport({
+  fetchPage,
+  format,
+  columns = [],
+  sink,
+  signal,
+  onProgress,
+  pageSize = LOG_EXPORT_PAGE_SIZE,
+  maxPages = LOG_EXPORT_MAX_PAGES,
+}) {
+  const progress = { rows: 0, total: 0, page: 0, totalPages: 0, bytes: 0 }
+  let truncated = true
+  const writtenIds = new Set()
+  const write = async (chunk) => {
+    if (!chunk) return
+    await sink.write(chunk)
+    progress.bytes += chunk.length
+  }
+  const throwIfAborted = () => {
+    if (signal?.aborted) throw new DOMException('Export cancelled.', 'AbortError')
+  }
+
+  try {
+    if (format === LOG_EXPORT_FORMATS.CSV) await write(formatCsvHeader(columns))
+
+    for (let page = 1; page <= maxPages; page += 1) {
+      throwIfAborted()
+      const response = await fetchPage(page, pageSize, signal)
+      throwIfAborted()
+
+      const pageRows = Array.isArray(response?.data) ? response.data : []
+      // New rows arriving mid-export shift pages; keep the first copy
+      const rows = pageRows.filter((row) => {
+        const id = getLogRowId(row)
+        if (id === undefined || id === null) return true
+        if (writtenIds.has(id)) return false
+        writtenIds.add(id)
+        return true
+      })
+      await write(format === LOG_EXPORT_FORMATS.CSV ? formatCsvRows(rows, columns) : formatNdjsonRows(rows))
+
+      // Servers may cap pageSize, so a short page only ends the walk when
+      // there is no totalPages to go by
+      const reportedPages = Number(response?.meta?.totalPages) || 0
+      const isLastPage = reportedPages > 0 ? page >= reportedPages : pageRows.length < pageSize
+      progress.rows += rows.length
+      progress.page = page
+      progress.totalPages = reportedPages || page
+      progress.total = Number(response?.meta?.total) || progress.rows
+      onProgress?.({ ...progress })
+      if (isLastPage || pageRows.length === 0) {
+        truncated = false
+        break
+      }
+    }
+  } catch (error) {
+    await sink.abort().catch(() => {})
+    throw error
+  }
+
+  return { rows: progress.rows, bytes: progress.bytes, files: await sink.close(), truncated }
+}
@@ -0,0 +1,174 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  LOG_EXPORT_FORMATS,
+  createLogExportSink,
+  formatCsvRows,
+  formatNdjsonRows,
+  runLogExport,
+  toCsvField,
+} from './logExport.js'
+
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.readAsText(blob)
+})
+
+const createMemorySink = () => {
+  const sink = {
+    kind: 'memory',
+    chunks: [],
+    aborted: false,
+    write: vi.fn(async (chunk) => { sink.chunks.push(chunk) }),
+    close: vi.fn(async () => ['memory.csv']),
+    abort: vi.fn(async () => { sink.aborted = true }),
+  }
+  return sink
+}
+
+const pages = [
+  { data: [{ id: 'a1', action: 'LOGIN' }, { id: 'a2', action: 'LOGOUT' }], meta: { page: 1, totalPages: 2, total: 3 } },
+  { data: [{ id: 'a3', action: 'LOGIN' }], meta: { page: 2, totalPages: 2, total: 3 } },
+]
+
+const COLUMNS = [{ key: 'id', label: 'ID' }, { key: 'action', label: 'Action' }]
+
+describe('logExport', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('escapes CSV fields and neutralises spreadsheet formulas', () => {
+    expect(toCsvField('plain')).toBe('plain')
+    expect(toCsvField('a,"b"')).toBe('"a,""b"""')
+    expect(toCsvField('=HYPERLINK("x")')).toBe(`"'=HYPERLINK(""x"")"`)
+    expect(toCsvField(-5)).toBe('-5')
+    expect(toCsvField({ before: 1 })).toBe('"{""before"":1}"')
+    expect(toCsvField(null)).toBe('')
+    expect(formatCsvRows([{ actor: { email: 'a@b.c' } }], [{ key: 'actor.email', label: 'Email' }])).toBe('a@b.c\r\n')
+    expect(formatNdjsonRows([{ id: 1 }, { id: 2 }])).toBe('{"id":1}\n{"id":2}\n')
+  })
+
+  it('walks every page into the sink with progress', async () => {
+    const sink = createMemorySink()
+    const fetchPage = vi.fn(async (page) => pages[page - 1])
+    const onProgress = vi.fn()
+
+    const result = await runLogExport({ fetchPage, format: LOG_EXPORT_FORMATS.CSV, columns: COLUMNS, sink, onProgress, pageSize: 2 })
+
+    expect(fetchPage).toHaveBeenCalledTimes(2)
+    expect(sink.chunks.join('')).toBe('ID,Action\r\na1,LOGIN\r\na2,LOGOUT\r\na3,LOGIN\r\n')
+    expect(onProgress).toHaveBeenLastCalledWith({ rows: 3, total: 3, page: 2, totalPages: 2, bytes: sink.chunks.join('').length })
+    expect(result).toEqual({ rows: 3, bytes: sink.chunks.join('').length, files: ['memory.csv'], truncated: false })
+  })
+
+  it('flags an export that hits the page limit before the last page', async () => {
+    const sink = createMemorySink()
+    const fetchPage = vi.fn(async (page) => ({
+      data: [{ id: `p${page}-1`, action: 'LOGIN' }, { id: `p${page}-2`, action: 'LOGOUT' }],
+      meta: { totalPages: 5, total: 10 },
+    }))
+
+    const result = await runLogExport({ fetchPage, format: LOG_EXPORT_FORMATS.NDJSON, sink, pageSize: 2, maxPages: 3 })
+
+    expect(fetchPage).toHaveBeenCalledTimes(3)
+    expect(result).toMatchObject({ rows: 6, truncated: true })
+
+    const complete = await runLogExport({ fetchPage, format: LOG_EXPORT_FORMATS.NDJSON, sink: createMemorySink(), pageSize: 2, maxPages: 5 })
+    expect(complete).toMatchObject({ rows: 10, truncated: false })
+  })
+
+  it('writes rows pushed onto the next page by new entries only once', async () => {
+    const sink = createMemorySink()
+    // a0 arrives after page 1 was read, pushing a2 onto page 2
+    const shiftedPages = [
+      { data: [{ id: 'a1', action: 'LOGIN' }, { id: 'a2', action: 'LOGOUT' }], meta: { totalPages: 2, total: 3 } },
+      { data: [{ id: 'a2', action: 'LOGOUT' }, { id: 'a3', action: 'LOGIN' }], meta: { totalPages: 2, total: 4 } },
+    ]
+    const onProgress = vi.fn()
+
+    const result = await runLogExport({
+      fetchPage: async (page) => shiftedPages[page - 1],
+      format: LOG_EXPORT_FORMATS.CSV,
+      columns: COLUMNS,
+      sink,
+      onProgress,
+      pageSize: 2,
+    })
+
+    expect(sink.chunks.join('')).toBe('ID,Action\r\na1,LOGIN\r\na2,LOGOUT\r\na3,LOGIN\r\n')
+    expect(result.rows).toBe(3)
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ rows: 3, page: 2 }))
+  })
+
+  it('discards the sink when cancelled between pages', async () => {
+    const sink = createMemorySink()
+    const controller = new AbortController()
+    const fetchPage = vi.fn(async (page) => {
+      if (page === 1) controller.abort()
+      return pages[page - 1]
+    })
+
+    await expect(runLogExport({
+      fetchPage,
+      format: LOG_EXPORT_FORMATS.NDJSON,
+      sink,
+      signal: controller.signal,
+      pageSize: 2,
+    })).rejects.toMatchObject({ name: 'AbortError' })
+    expect(fetchPage).toHaveBeenCalledTimes(1)
+    expect(sink.aborted).toBe(true)
+    expect(sink.close).not.toHaveBeenCalled()
+  })
+
+  it('downloads oversized exports in parts, repeating the CSV header', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+    const createObjectURL = vi.fn(() => 'blob:export')
+    const revokeObjectURL = vi.fn()
+    const { createObjectURL: originalCreateObjectURL, revokeObjectURL: originalRevokeObjectURL } = URL
+    URL.createObjectURL = createObjectURL
+    URL.revokeObjectURL = revokeObjectURL
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+    const sink = await createLogExportSink({ baseName: 'audit-logs', format: LOG_EXPORT_FORMATS.CSV, columns: COLUMNS, partSizeBytes: 30 })
+    const result = await runLogExport({
+      fetchPage: async (page) => pages[page - 1],
+      format: LOG_EXPORT_FORMATS.CSV,
+      columns: COLUMNS,
+      sink,
+      pageSize: 2,
+    })
+
+    expect(sink.kind).toBe('download')
+    expect(result.files).toHaveLength(2)
+    expect(result.files[1]).toMatch(/^audit-logs-.*-part-2\.csv$/)
+    const contents = await Promise.all(createObjectURL.mock.calls.map(([blob]) => readBlob(blob)))
+    expect(contents).toEqual(['ID,Action\r\na1,LOGIN\r\na2,LOGOUT\r\n', 'ID,Action\r\na3,LOGIN\r\n'])
+
+    // Object URLs are revoked after a delay, while the stubs are still installed
+    expect(revokeObjectURL).not.toHaveBeenCalled()
+    vi.runOnlyPendingTimers()
+    expect(revokeObjectURL).toHaveBeenCalledTimes(2)
+
+    URL.createObjectURL = originalCreateObjectURL
+    URL.revokeObjectURL = originalRevokeObjectURL
+  })
+
+  it('streams to disk when the save picker is available', async () => {
+    const writable = { write: vi.fn(async () => {}), close: vi.fn(async () => {}), abort: vi.fn(async () => {}) }
+    const showSaveFilePicker = vi.fn(async () => ({ name: 'q3.ndjson', createWritable: async () => writable }))
+    vi.stubGlobal('showSaveFilePicker', showSaveFilePicker)
+
+    const sink = await createLogExportSink({ baseName: 'audit-logs', format: LOG_EXPORT_FORMATS.NDJSON })
+    const result = await runLogExport({ fetchPage: async (page) => pages[page - 1], format: LOG_EXPORT_FORMATS.NDJSON, sink, pageSize: 2 })
+
+    expect(showSaveFilePicker).toHaveBeenCalledWith(expect.objectContaining({ suggestedName: expect.stringMatching(/\.ndjson$/) }))
+    expect(writable.write).toHaveBeenCalledTimes(2)
+    expect(result.files).toEqual(['q3.ndjson'])
+
+    showSaveFilePicker.mockRejectedValueOnce(new DOMException('Dismissed', 'AbortError'))
+    await expect(createLogExportSink({ baseName: 'audit-logs', format: LOG_EXPORT_FORMATS.NDJSON })).resolves.toBeNull()
+    vi.unstubAllGlobals()
+  })
+})
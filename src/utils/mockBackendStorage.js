@@ -0,0 +1,92 @@
+/**
+ * Mock Backend Storage
+ *
+ * Persists the in-browser mock backend state in IndexedDB so demo and QA
+ * sessions keep their edits across reloads. Falls back to an in-memory
+ * snapshot when IndexedDB is unavailable (private mode, jsdom).
+ *
+ * The whole backend is one snapshot record — it is small, and writing it
+ * in one transaction keeps collections consistent with each other.
+ */
+
+export const MOCK_BACKEND_DB_NAME = 'vmf_mock_backend'
+export const MOCK_BACKEND_STORE_NAME = 'snapshots'
+const MOCK_BACKEND_DB_VERSION = 1
+const SNAPSHOT_KEY = 'current'
+
+/** @type {Object|null} */
+let memorySnapshot = null
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let databasePromise = null
+
+const hasIndexedDb = () => typeof indexedDB !== 'undefined' && indexedDB !== null
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const openDatabase = () => {
+  if (!hasIndexedDb()) return Promise.resolve(null)
+  if (databasePromise) return databasePromise
+
+  databasePromise = new Promise((resolve) => {
+    const request = indexedDB.open(MOCK_BACKEND_DB_NAME, MOCK_BACKEND_DB_VERSION)
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(MOCK_BACKEND_STORE_NAME)) {
+        request.result.createObjectStore(MOCK_BACKEND_STORE_NAME)
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    // Blocked or denied storage degrades to the in-memory snapshot.
+    request.onerror = () => resolve(null)
+  })
+
+  return databasePromise
+}
+
+const withStore = async (mode, run) => {
+  const database = await openDatabase()
+  if (!database) return run(null)
+
+  const transaction = database.transaction(MOCK_BACKEND_STORE_NAME, mode)
+  return promisifyRequest(run(transaction.objectStore(MOCK_BACKEND_STORE_NAME)))
+}
+
+/**
+ * Read the persisted backend state.
+ * @returns {Promise<Object|null>} null when nothing has been saved yet
+ */
+export const loadMockBackendSnapshot = async () => {
+  const snapshot = await withStore('readonly', (store) =>
+    store ? store.get(SNAPSHOT_KEY) : memorySnapshot,
+  )
+  return snapshot && typeof snapshot === 'object' ? snapshot : null
+}
+
+/**
+ * Replace the persisted backend state.
+ * @param {Object} snapshot
+ * @returns {Promise<void>}
+ */
+export const saveMockBackendSnapshot = async (snapshot) => {
+  await withStore('readwrite', (store) => {
+    if (store) return store.put(snapshot, SNAPSHOT_KEY)
+    memorySnapshot = snapshot
+    return null
+  })
+}
+
+/**
+ * Forget the persisted state so the next load starts from the seed.
+ * @returns {Promise<void>}
+ */
+export const clearMockBackendSnapshot = async () => {
+  await withStore('readwrite', (store) => {
+    if (store) return store.delete(SNAPSHOT_KEY)
+    memorySnapshot = null
+    return null
+  })
+}
@@ -0,0 +1,84 @@
+/**
+ * Pinned Metric Charts
+ *
+ * Charts a user pinned from the System Monitoring metrics explorer.
+ *
+ * Storage: `localStorage`, one entry per signed-in user
+ * (`vmf_pinned_metric_charts:<userId>`), holding a
+ * `PinnedMetricChart[]` in pin order.
+ */
+
+export const PINNED_METRIC_CHARTS_STORAGE_KEY = 'vmf_pinned_metric_charts'
+const MAX_PINNED_METRIC_CHARTS = 12
+
+/**
+ * @typedef {import('../pages/SystemMonitoring/metricsExplorer.js').MetricChartSpec & {
+ *   id: string,
+ *   pinnedAt: string
+ * }} PinnedMetricChart
+ */
+
+const storageKeyFor = (userId) => `${PINNED_METRIC_CHARTS_STORAGE_KEY}:${userId || 'anonymous'}`
+
+const isPinnedChart = (chart) =>
+  Boolean(chart) &&
+  typeof chart.id === 'string' &&
+  typeof chart.metric === 'string' &&
+  chart.labelFilters !== null &&
+  typeof chart.labelFilters === 'object'
+
+/**
+ * @param {string} userId
+ * @returns {PinnedMetricChart[]}
+ */
+export const loadPinnedMetricCharts = (userId) => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(storageKeyFor(userId)) ?? '[]')
+    return Array.isArray(parsed) ? parsed.filter(isPinnedChart) : []
+  } catch {
+    return []
+  }
+}
+
+const writePinnedMetricCharts = (userId, charts) => {
+  try {
+    localStorage.setItem(storageKeyFor(userId), JSON.stringify(charts))
+  } catch {
+    // Private/incognito mode or a full quota — pins last until reload
+  }
+}
+
+/**
+ * Pin a chart; pinning the same chart again keeps its place.
+ * @param {string} userId
+ * @param {Omit<PinnedMetricChart, 'pinnedAt'>} chart
+ * @returns {PinnedMetricChart[]} the user's pins after saving
+ */
+export const pinMetricChart = (userId, chart) => {
+  const existing = loadPinnedMetricCharts(userId)
+  if (existing.some((candidate) => candidate.id === chart.id)) return existing
+
+  const next = [
+    ...existing,
+    {
+      id: chart.id,
+      metric: chart.metric,
+      labelFilters: { ...chart.labelFilters },
+      quantile: chart.quantile ?? '',
+      pinnedAt: new Date().toISOString(),
+    },
+  ].slice(-MAX_PINNED_METRIC_CHARTS)
+  writePinnedMetricCharts(userId, next)
+  return next
+}
+
+/**
+ * @param {string} userId
+ * @param {string} chartId
+ * @returns {PinnedMetricChart[]} the user's pins after removing
+ */
+export const unpinMetricChart = (userId, chartId) => {
+  const next = loadPinnedMetricCharts(userId).filter((chart) => chart.id !== chartId)
+  writePinnedMetricCharts(userId, next)
+  return next
+}
@@ -0,0 +1,41 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import {
+  PINNED_METRIC_CHARTS_STORAGE_KEY,
+  loadPinnedMetricCharts,
+  pinMetricChart,
+  unpinMetricChart,
+} from './pinnedMetricCharts.js'
+
+const chart = {
+  id: 'vmf_http_requests_total|route=/a|',
+  metric: 'vmf_http_requests_total',
+  labelFilters: { route: '/a' },
+  quantile: '',
+}
+
+describe('pinnedMetricCharts', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('pins charts per user without duplicates and survives a reload', () => {
+    pinMetricChart('user-1', chart)
+    pinMetricChart('user-1', chart)
+
+    expect(loadPinnedMetricCharts('user-1')).toEqual([
+      expect.objectContaining({ ...chart, pinnedAt: expect.any(String) }),
+    ])
+    expect(loadPinnedMetricCharts('user-2')).toEqual([])
+    expect(JSON.parse(localStorage.getItem(`${PINNED_METRIC_CHARTS_STORAGE_KEY}:user-1`))).toHaveLength(1)
+  })
+
+  it('unpins charts and ignores corrupt storage', () => {
+    pinMetricChart('user-1', chart)
+    expect(unpinMetricChart('user-1', chart.id)).toEqual([])
+
+    localStorage.setItem(`${PINNED_METRIC_CHARTS_STORAGE_KEY}:user-1`, '{not json')
+    expect(loadPinnedMetricCharts('user-1')).toEqual([])
+    localStorage.setItem(`${PINNED_METRIC_CHARTS_STORAGE_KEY}:user-1`, JSON.stringify([{ id: 1 }, chart]))
+    expect(loadPinnedMetricCharts('user-1')).toEqual([chart])
+  })
+})
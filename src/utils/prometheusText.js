@@ -0,0 +1,216 @@
+/**
+ * Prometheus Text Exposition Format
+ *
+ * Parser for the text format served by `/metrics` (version 0.0.4), plus
+ * the two calculations the metrics explorer needs on top of raw scrapes:
+ * per-second counter rates and `histogram_quantile` over bucket counts.
+ *
+ * Parsing is lenient: malformed lines are skipped rather than failing the
+ * whole scrape, matching how the monitoring page treats partial data.
+ *
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+export const PROMETHEUS_METRIC_TYPES = Object.freeze({
+  COUNTER: 'counter',
+  GAUGE: 'gauge',
+  HISTOGRAM: 'histogram',
+  SUMMARY: 'summary',
+  UNTYPED: 'untyped',
+})
+
+const KNOWN_TYPES = new Set(Object.values(PROMETHEUS_METRIC_TYPES))
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*/
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*/
+
+/** Suffixes that attach a sample to its histogram / summary family. */
+const FAMILY_SUFFIXES = {
+  [PROMETHEUS_METRIC_TYPES.HISTOGRAM]: ['_bucket', '_sum', '_count', '_created'],
+  [PROMETHEUS_METRIC_TYPES.SUMMARY]: ['_sum', '_count', '_created'],
+  [PROMETHEUS_METRIC_TYPES.COUNTER]: ['_total', '_created'],
+}
+
+/**
+ * @typedef {Object} PrometheusSample
+ * @property {string} name - full sample name, e.g. `http_duration_seconds_bucket`
+ * @property {Object<string, string>} labels
+ * @property {number} value - may be `Infinity`, `-Infinity` or `NaN`
+ * @property {number|null} timestampMs
+ */
+
+/**
+ * @typedef {Object} PrometheusMetricFamily
+ * @property {string} name
+ * @property {'counter'|'gauge'|'histogram'|'summary'|'untyped'} type
+ * @property {string} help
+ * @property {PrometheusSample[]} samples
+ */
+
+const unescapeHelp = (value) => value.replace(/\\(\\|n)/g, (_match, escaped) => (escaped === 'n' ? '\n' : '\\'))
+
+export const parsePrometheusValue = (raw) => {
+  const value = String(raw ?? '').trim()
+  if (value === '+Inf' || value === 'Inf') return Infinity
+  if (value === '-Inf') return -Infinity
+  if (value === 'NaN') return NaN
+  if (!/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/.test(value)) return null
+  return Number(value)
+}
+
+// `{a="1",b="x\"y"}` -> [{ a: '1', b: 'x"y' }, restOfLine], or null when malformed
+const readLabels = (line) => {
+  const labels = {}
+  let index = 1
+
+  while (index < line.length) {
+    while (line[index] === ' ' || line[index] === ',') index += 1
+    if (line[index] === '}') return [labels, line.slice(index + 1)]
+
+    const nameMatch = line.slice(index).match(LABEL_NAME_PATTERN)
+    if (!nameMatch) return null
+    index += nameMatch[0].length
+    while (line[index] === ' ') index += 1
+    if (line[index] !== '=' || line[index + 1] !== '"') return null
+    index += 2
+
+    let value = ''
+    while (index < line.length && line[index] !== '"') {
+      if (line[index] === '\\') {
+        const escaped = line[index + 1]
+        value += escaped === 'n' ? '\n' : escaped ?? ''
+        index += 2
+      } else {
+        value += line[index]
+        index += 1
+      }
+    }
+    if (line[index] !== '"') return null
+    labels[nameMatch[0]] = value
+    index += 1
+  }
+
+  return null
+}
+
+const parseSampleLine = (line) => {
+  const nameMatch = line.match(METRIC_NAME_PATTERN)
+  if (!nameMatch) return null
+
+  let labels = {}
+  let rest = line.slice(nameMatch[0].length)
+  if (rest.startsWith('{')) {
+    const parsed = readLabels(rest)
+    if (!parsed) return null
+    ;[labels, rest] = parsed
+  }
+
+  const [valueRaw, timestampRaw, ...extra] = rest.trim().split(/\s+/)
+  const value = parsePrometheusValue(valueRaw)
+  if (value === null || extra.length > 0) return null
+  const timestampMs = timestampRaw === undefined ? null : Number(timestampRaw)
+  if (timestampMs !== null && !Number.isFinite(timestampMs)) return null
+
+  return { name: nameMatch[0], labels, value, timestampMs }
+}
+
+/**
+ * Parse a scrape into metric families, in exposition order. Samples that
+ * appear without a `# TYPE` line become their own `untyped` family.
+ *
+ * @param {string} text
+ * @returns {PrometheusMetricFamily[]}
+ */
+export function parsePrometheusText(text) {
+  if (typeof text !== 'string' || !text.trim()) return []
+
+  const families = new Map()
+  const getFamily = (name) => {
+    if (!families.has(name)) {
+      families.set(name, { name, type: PROMETHEUS_METRIC_TYPES.UNTYPED, help: '', samples: [] })
+    }
+    return families.get(name)
+  }
+
+  const findFamilyForSample = (sampleName) => {
+    if (families.has(sampleName)) return families.get(sampleName)
+    for (const [type, suffixes] of Object.entries(FAMILY_SUFFIXES)) {
+      const suffix = suffixes.find((entry) => sampleName.endsWith(entry))
+      const family = suffix ? families.get(sampleName.slice(0, -suffix.length)) : null
+      if (family?.type === type) return family
+    }
+    return getFamily(sampleName)
+  }
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim()
+    if (!line) continue
+
+    if (line.startsWith('#')) {
+      const comment = line.match(/^#\s*(HELP|TYPE)\s+([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\s+(.*))?$/)
+      if (!comment) continue
+      const [, keyword, name, detail = ''] = comment
+      const family = getFamily(name)
+      if (keyword === 'HELP') {
+        family.help = unescapeHelp(detail)
+      } else if (KNOWN_TYPES.has(detail.trim())) {
+        family.type = detail.trim()
+      }
+      continue
+    }
+
+    const sample = parseSampleLine(line)
+    if (sample) findFamilyForSample(sample.name).samples.push(sample)
+  }
+
+  return [...families.values()].filter((family) => family.samples.length > 0)
+}
+
+/**
+ * Per-second rate between two counter readings. A drop means the counter
+ * reset (process restart), so the new reading is all increase since then.
+ *
+ * @param {number} previous
+ * @param {number} current
+ * @param {number} elapsedSeconds
+ * @returns {number|null}
+ */
+export function computeCounterRate(previous, current, elapsedSeconds) {
+  if (!Number.isFinite(previous) || !Number.isFinite(current)) return null
+  if (!(elapsedSeconds > 0)) return null
+  const increase = current >= previous ? current - previous : current
+  return increase / elapsedSeconds
+}
+
+/**
+ * Prometheus `histogram_quantile`: find the bucket holding the requested
+ * rank and interpolate linearly inside it. Returns `null` when there are
+ * no observations or no `+Inf` bucket.
+ *
+ * @param {number} quantile - 0..1
+ * @param {Array<{ le: number, count: number }>} buckets - cumulative counts
+ * @returns {number|null}
+ */
+export function histogramQuantile(quantile, buckets) {
+  if (!(quantile >= 0 && quantile <= 1) || !Array.isArray(buckets)) return null
+
+  const sorted = buckets
+    .filter((bucket) => Number.isFinite(bucket.count) && !Number.isNaN(bucket.le))
+    .sort((a, b) => a.le - b.le)
+  if (sorted.length < 2 || sorted.at(-1).le !== Infinity) return null
+
+  const total = sorted.at(-1).count
+  if (!(total > 0)) return null
+
+  const rank = quantile * total
+  const index = sorted.findIndex((bucket) => bucket.count >= rank)
+  const bucket = sorted[index]
+
+  // Rank falls in the open-ended bucket: the best answer is its lower bound
+  if (bucket.le === Infinity) return sorted[index - 1].le
+
+  const lowerBound = index === 0 ? 0 : sorted[index - 1].le
+  const countBelow = index === 0 ? 0 : sorted[index - 1].count
+  const countInBucket = bucket.count - countBelow
+  if (countInBucket <= 0) return bucket.le
+  return lowerBound + (bucket.le - lowerBound) * ((rank - countBelow) / countInBucket)
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest'
+import {
+  computeCounterRate,
+  histogramQuantile,
+  parsePrometheusText,
+  parsePrometheusValue,
+} from './prometheusText.js'
+
+const SCRAPE = [
+  '# HELP http_requests_total Total requests.\\nPer route.',
+  '# TYPE http_requests_total counter',
+  'http_requests_total{method="GET",route="/a"} 10',
+  'http_requests_total{method="POST",route="/b\\"quoted\\""} 3 1700000000000',
+  '# TYPE http_duration_seconds histogram',
+  'http_duration_seconds_bucket{le="0.1"} 4',
+  'http_duration_seconds_bucket{le="0.5"} 8',
+  'http_duration_seconds_bucket{le="+Inf"} 10',
+  'http_duration_seconds_sum 2.5',
+  'http_duration_seconds_count 10',
+  'process_up 1',
+  'not a valid { line',
+  '',
+].join('\n')
+
+describe('prometheusText', () => {
+  it('groups samples into typed families with escaped labels and help text', () => {
+    const families = parsePrometheusText(SCRAPE)
+
+    expect(families.map(({ name, type }) => [name, type])).toEqual([
+      ['http_requests_total', 'counter'],
+      ['http_duration_seconds', 'histogram'],
+      ['process_up', 'untyped'],
+    ])
+    expect(families[0].help).toBe('Total requests.\nPer route.')
+    expect(families[0].samples[1]).toEqual({
+      name: 'http_requests_total',
+      labels: { method: 'POST', route: '/b"quoted"' },
+      value: 3,
+      timestampMs: 1700000000000,
+    })
+    expect(families[1].samples.map((sample) => sample.name)).toEqual([
+      'http_duration_seconds_bucket',
+      'http_duration_seconds_bucket',
+      'http_duration_seconds_bucket',
+      'http_duration_seconds_sum',
+      'http_duration_seconds_count',
+    ])
+    expect(families[1].samples[2]).toMatchObject({ labels: { le: '+Inf' }, value: 10 })
+    expect(parsePrometheusText('')).toEqual([])
+  })
+
+  it('parses special float values and rejects garbage', () => {
+    expect(parsePrometheusValue('+Inf')).toBe(Infinity)
+    expect(parsePrometheusValue('-Inf')).toBe(-Infinity)
+    expect(parsePrometheusValue('NaN')).toBeNaN()
+    expect(parsePrometheusValue('1.5e3')).toBe(1500)
+    expect(parsePrometheusValue('abc')).toBeNull()
+  })
+
+  it('computes counter rates across resets', () => {
+    expect(computeCounterRate(100, 160, 30)).toBe(2)
+    expect(computeCounterRate(100, 15, 30)).toBe(0.5)
+    expect(computeCounterRate(100, 160, 0)).toBeNull()
+  })
+
+  it('interpolates histogram quantiles like histogram_quantile', () => {
+    const buckets = [
+      { le: 0.1, count: 4 },
+      { le: 0.5, count: 8 },
+      { le: Infinity, count: 10 },
+    ]
+
+    expect(histogramQuantile(0.5, buckets)).toBeCloseTo(0.2)
+    expect(histogramQuantile(0.2, buckets)).toBeCloseTo(0.05)
+    expect(histogramQuantile(0.95, buckets)).toBe(0.5)
+    expect(histogramQuantile(0.5, [{ le: 0.1, count: 0 }, { le: Infinity, count: 0 }])).toBeNull()
+    expect(histogramQuantile(0.5, [{ le: 0.1, count: 3 }])).toBeNull()
+  })
+})
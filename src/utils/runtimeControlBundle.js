@@ -0,0 +1,465 @@
+/**
+ * Runtime Control Bundles
+ *
+ * Moves a framework package and its resolved dependency closure between
+ * environments as one JSON archive. Entity ids differ per environment, so
+ * a bundle matches records by their natural keys (runtime path key, skill
+ * role key, skill / agent / validation / policy key, UI contract key,
+ * package key) and rewrites id references while it is applied.
+ *
+ * The archive is signed with HMAC-SHA256 over its canonical JSON, keyed by
+ * the secret the exchanging environments share
+ * (`VITE_RUNTIME_CONTROL_BUNDLE_SIGNING_KEY`). Without that key a changed
+ * bundle cannot be re-signed, so import rejects anything that was edited
+ * after export or signed elsewhere.
+ *
+ * Flow:
+ *   export  buildRuntimeControlBundle() → signRuntimeControlBundle() → download
+ *   import  parseRuntimeControlBundle() → verifyRuntimeControlBundleSignature()
+ *           → buildRuntimeControlImportPlan() → apply each step in order
+ */
+
+export const RUNTIME_CONTROL_BUNDLE_FORMAT = 'vmf.runtime-control.bundle'
+export const RUNTIME_CONTROL_BUNDLE_FORMAT_VERSION = 1
+export const RUNTIME_CONTROL_BUNDLE_SIGNATURE_ALGORITHM = 'HMAC-SHA256'
+
+// Imported records start as drafts; validation and activation happen here
+export const RUNTIME_CONTROL_BUNDLE_CREATE_STATUS = 'DRAFT'
+
+export const RUNTIME_CONTROL_IMPORT_ACTIONS = Object.freeze({
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  UNCHANGED: 'UNCHANGED',
+  CONFLICT: 'CONFLICT',
+})
+
+/**
+ * Entity types in apply order: everything an entity references is
+ * imported before it. `idReferences` lists the fields holding ids of other
+ * bundle entities, by the entity type they point at.
+ */
+export const RUNTIME_CONTROL_BUNDLE_ENTITY_TYPES = Object.freeze([
+  Object.freeze({
+    type: 'runtimePaths',
+    collectionKey: 'RuntimePathRegistry',
+    label: 'Runtime Path',
+    keyField: 'pathKey',
+    idReferences: {},
+  }),
+  Object.freeze({
+    type: 'skillRoles',
+    collectionKey: 'SkillRole',
+    label: 'Skill Role',
+    keyField: 'roleKey',
+    idReferences: {},
+  }),
+  Object.freeze({
+    type: 'skills',
+    collectionKey: 'RuntimeSkill',
+    label: 'Runtime Skill',
+    keyField: 'key',
+    idReferences: {},
+  }),
+  Object.freeze({
+    type: 'agents',
+    collectionKey: 'RuntimeAgent',
+    label: 'Runtime Agent',
+    keyField: 'key',
+    idReferences: {
+      defaultSkillIds: 'skills',
+      primarySkillIds: 'skills',
+      optionalSkillIds: 'skills',
+      'executionPlan[].skillId': 'skills',
+    },
+  }),
+  Object.freeze({
+    type: 'validations',
+    collectionKey: 'ValidationRegistry',
+    label: 'Validation',
+    keyField: 'key',
+    idReferences: {
+      producerSkillId: 'skills',
+      defaultAgentIds: 'agents',
+    },
+  }),
+  Object.freeze({
+    type: 'workflowPolicies',
+    collectionKey: 'WorkflowPolicy',
+    label: 'Workflow Policy',
+    keyField: 'key',
+    idReferences: {
+      primaryAgentId: 'agents',
+      fallbackAgentId: 'agents',
+      requiredAgentIds: 'agents',
+      requiredSkillIds: 'skills',
+    },
+  }),
+  Object.freeze({
+    type: 'uiContracts',
+    collectionKey: 'UIContract',
+    label: 'UI Contract',
+    keyField: 'uiContractKey',
+    idReferences: {},
+  }),
+  Object.freeze({
+    type: 'frameworkPackages',
+    collectionKey: 'FrameworkPackage',
+    label: 'Framework Package',
+    keyField: 'packageKey',
+    idReferences: {},
+  }),
+])
+
+const ENTITY_TYPE_BY_NAME = new Map(RUNTIME_CONTROL_BUNDLE_ENTITY_TYPES.map((entityType) => [entityType.type, entityType]))
+
+// Server-owned identity, lifecycle, lock and audit fields never travel in a payload
+const SERVER_MANAGED_FIELDS = new Set([
+  'id',
+  '_id',
+  'stableId',
+  'status',
+  'versionStatus',
+  'isLocked',
+  'lockedAt',
+  'lockedBy',
+  'lockedReason',
+  'lockedByPackageKeys',
+  'activatedAt',
+  'activatedBy',
+  'createdAt',
+  'createdBy',
+  'updatedAt',
+  'updatedBy',
+  'lineageId',
+  'componentVersion',
+  'dependencyLock',
+  'lastCheckpointStatus',
+  'lastCheckpointAt',
+  'lastCheckpointResult',
+  'derivedFromPackageId',
+  'restoredFromSnapshotId',
+])
+
+// Only drafts can be updated in place; anything else has to be cloned first
+const EDITABLE_STATUSES = new Set(['', 'DRAFT'])
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('')
+
+const fromHex = (hex) => Uint8Array.from(hex.match(/../g) ?? [], (pair) => Number.parseInt(pair, 16))
+
+const HMAC_SHA256_HEX = /^[a-f0-9]{64}$/
+
+const importSigningKey = (secret, usage) => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('Bundle signatures require Web Crypto, which this browser does not provide.')
+  }
+  return globalThis.crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    [usage],
+  )
+}
+
+const encodeCanonicalJson = (value) => new TextEncoder().encode(stableStringify(value))
+
+/** Shared signing secret of the environments that exchange bundles */
+export const getRuntimeControlBundleSigningKey = () =>
+  String(import.meta.env.VITE_RUNTIME_CONTROL_BUNDLE_SIGNING_KEY ?? '').trim()
+
+const normalizeKey = (value) => String(value ?? '').trim()
+
+/**
+ * Natural key for an entity. Framework packages are unique per framework
+ * and version, so both are part of their key.
+ */
+export const getRuntimeControlBundleEntityKey = (type, record) => {
+  const entityType = ENTITY_TYPE_BY_NAME.get(type)
+  if (!entityType || !record) return ''
+  if (type === 'frameworkPackages') {
+    return [record.frameworkKey, record.version].map(normalizeKey).join('@')
+  }
+  if (type === 'skillRoles') return normalizeKey(record.roleKey).toUpperCase()
+  return normalizeKey(record[entityType.keyField])
+}
+
+/** Strips server-managed fields so a record can be sent to create/update. */
+export const toRuntimeControlBundlePayload = (record) => Object.fromEntries(
+  Object.entries(record ?? {}).filter(([field]) => !SERVER_MANAGED_FIELDS.has(field)),
+)
+
+const mapId = (value, idMap) => {
+  const id = normalizeKey(value)
+  return id && idMap?.has(id) ? idMap.get(id) : value
+}
+
+/**
+ * Rewrites id references in a bundle record to the ids of the matching
+ * records in the target environment.
+ *
+ * @param {string} type - entity type name
+ * @param {Object} record
+ * @param {Map<string, string>} idMap - source id → target id
+ */
+export const remapRuntimeControlBundleReferences = (type, record, idMap) => {
+  const { idReferences = {} } = ENTITY_TYPE_BY_NAME.get(type) ?? {}
+  const remapped = { ...record }
+
+  Object.keys(idReferences).forEach((fieldPath) => {
+    const [field, nestedField] = fieldPath.split('[].')
+    const value = remapped[field]
+    if (nestedField) {
+      if (Array.isArray(value)) {
+        remapped[field] = value.map((item) =>
+          isPlainObject(item) ? { ...item, [nestedField]: mapId(item[nestedField], idMap) } : item)
+      }
+    } else if (Array.isArray(value)) {
+      remapped[field] = value.map((item) => mapId(item, idMap))
+    } else if (value !== undefined && value !== null) {
+      remapped[field] = mapId(value, idMap)
+    }
+  })
+
+  return remapped
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.frameworkPackage - the root package record
+ * @param {Object} options.entities - records by entity type name (without frameworkPackages)
+ * @param {Object|null} [options.dependencyLock] - the package's resolved dependency lock
+ * @param {string} [options.exportedAt]
+ * @param {string} [options.exportedBy]
+ * @returns {Object} bundle without a signature
+ */
+export const buildRuntimeControlBundle = ({
+  frameworkPackage,
+  entities = {},
+  dependencyLock = null,
+  exportedAt = new Date().toISOString(),
+  exportedBy = '',
+}) => {
+  const bundleEntities = Object.fromEntries(RUNTIME_CONTROL_BUNDLE_ENTITY_TYPES.map(({ type }) => {
+    const records = type === 'frameworkPackages' ? [frameworkPackage] : entities[type]
+    const seen = new Set()
+    return [type, (Array.isArray(records) ? records : []).filter((record) => {
+      const key = getRuntimeControlBundleEntityKey(type, record)
+      if (!key || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })]
+  }))
+
+  return {
+    format: RUNTIME_CONTROL_BUNDLE_FORMAT,
+    formatVersion: RUNTIME_CONTROL_BUNDLE_FORMAT_VERSION,
+    exportedAt,
+    exportedBy,
+    root: {
+      frameworkKey: frameworkPackage?.frameworkKey ?? '',
+      version: frameworkPackage?.version ?? '',
+      packageKey: frameworkPackage?.packageKey ?? '',
+    },
+    dependencyLock,
+    entities: bundleEntities,
+  }
+}
+
+const getSignedContent = (bundle) => {
+  const { signature: _signature, ...content } = bundle ?? {}
+  return content
+}
+
+/**
+ * Signs a bundle for download. Throws when no signing key is configured.
+ * @param {Object} bundle
+ * @param {string} [secret] - defaults to the configured signing key
+ * @returns {Promise<Object>} bundle with a `signature`
+ */
+export const signRuntimeControlBundle = async (bundle, secret = getRuntimeControlBundleSigningKey()) => {
+  if (!secret) {
+    throw new Error('Bundle signing is not configured. Set VITE_RUNTIME_CONTROL_BUNDLE_SIGNING_KEY to the key shared by the environments that exchange bundles.')
+  }
+  const content = getSignedContent(bundle)
+  const key = await importSigningKey(secret, 'sign')
+  return {
+    ...content,
+    signature: {
+      algorithm: RUNTIME_CONTROL_BUNDLE_SIGNATURE_ALGORITHM,
+      value: toHex(await globalThis.crypto.subtle.sign('HMAC', key, encodeCanonicalJson(content))),
+    },
+  }
+}
+
+/**
+ * @param {Object} bundle
+ * @param {string} [secret] - defaults to the configured signing key
+ * @returns {Promise<{ valid: boolean, reason: string }>}
+ */
+export const verifyRuntimeControlBundleSignature = async (bundle, secret = getRuntimeControlBundleSigningKey()) => {
+  if (!secret) {
+    return { valid: false, reason: 'Bundle signing is not configured here, so the bundle cannot be verified.' }
+  }
+  const signature = bundle?.signature
+  if (!signature?.value) {
+    return { valid: false, reason: 'The bundle is not signed.' }
+  }
+  if (signature.algorithm !== RUNTIME_CONTROL_BUNDLE_SIGNATURE_ALGORITHM) {
+    return { valid: false, reason: `Unsupported signature algorithm "${signature.algorithm}".` }
+  }
+  const value = String(signature.value).toLowerCase()
+  if (!HMAC_SHA256_HEX.test(value)) {
+    return { valid: false, reason: 'The bundle signature is malformed.' }
+  }
+  const key = await importSigningKey(secret, 'verify')
+  const valid = await globalThis.crypto.subtle.verify(
+    'HMAC',
+    key,
+    fromHex(value),
+    encodeCanonicalJson(getSignedContent(bundle)),
+  )
+  return valid
+    ? { valid: true, reason: '' }
+    : { valid: false, reason: 'The bundle signature does not match. It was changed after export or signed with a different key.' }
+}
+
+/**
+ * Parses bundle JSON and checks its envelope. Throws with a readable
+ * message when the text is not a supported bundle.
+ */
+export const parseRuntimeControlBundle = (text) => {
+  let bundle
+  try {
+    bundle = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON.')
+  }
+  if (bundle?.format !== RUNTIME_CONTROL_BUNDLE_FORMAT) {
+    throw new Error('The file is not a Runtime Control bundle.')
+  }
+  if (bundle.formatVersion !== RUNTIME_CONTROL_BUNDLE_FORMAT_VERSION) {
+    throw new Error(`Bundle format version ${bundle.formatVersion} is not supported.`)
+  }
+  if (!isPlainObject(bundle.entities) || !Array.isArray(bundle.entities.frameworkPackages)
+    || bundle.entities.frameworkPackages.length !== 1) {
+    throw new Error('The bundle must contain exactly one framework package.')
+  }
+  return bundle
+}
+
+export const readRuntimeControlBundleFile = (file) => {
+  if (typeof file?.text === 'function') return file.text()
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(String(reader.result ?? ''))
+    reader.onerror = () => reject(new Error(`Could not read ${file?.name || 'bundle'}.`))
+    reader.readAsText(file)
+  })
+}
+
+export const getRuntimeControlBundleFilename = (bundle) => {
+  const { frameworkKey, version } = bundle?.root ?? {}
+  const stamp = String(bundle?.exportedAt ?? new Date().toISOString()).replace(/[:.]/g, '-')
+  return `runtime-control-${String(frameworkKey || 'package').toLowerCase()}-${version || 'draft'}-${stamp}.json`
+}
+
+/**
+ * @typedef {Object} RuntimeControlImportStep
+ * @property {string} type - entity type name
+ * @property {string} label - entity type label
+ * @property {string} key - natural key
+ * @property {string} name - display name
+ * @property {string} action - one of RUNTIME_CONTROL_IMPORT_ACTIONS
+ * @property {string} reason
+ * @property {string} sourceId - id in the exporting environment
+ * @property {string|null} targetId - id of the matching record here, if any
+ * @property {Object} record - the bundle record
+ */
+
+/**
+ * Dry-run plan: what importing the bundle would do to each entity, given
+ * the matching records that already exist here.
+ *
+ * @param {Object} bundle - a parsed bundle
+ * @param {Object<string, Object[]>} existingByType - target records by entity type name
+ * @returns {{ steps: RuntimeControlImportStep[], counts: Object<string, number>, canApply: boolean }}
+ */
+export const buildRuntimeControlImportPlan = (bundle, existingByType = {}) => {
+  // Ids of records that already exist here; created ones are mapped while applying
+  const idMap = new Map()
+  const matches = RUNTIME_CONTROL_BUNDLE_ENTITY_TYPES.flatMap(({ type, label }) => {
+    const existingByKey = new Map(
+      (existingByType[type] ?? []).map((record) => [getRuntimeControlBundleEntityKey(type, record), record]),
+    )
+    return (bundle?.entities?.[type] ?? []).map((record) => {
+      const key = getRuntimeControlBundleEntityKey(type, record)
+      const existing = existingByKey.get(key) ?? null
+      if (existing?.id && record.id) idMap.set(normalizeKey(record.id), existing.id)
+      return { type, label, key, record, existing }
+    })
+  })
+
+  const steps = matches.map(({ type, label, key, record, existing }) => {
+    const step = {
+      type,
+      label,
+      key,
+      name: record.name || record.label || record.packageName || key,
+      sourceId: record.id ?? '',
+      targetId: existing?.id ?? null,
+      record,
+    }
+
+    if (!existing) {
+      return { ...step, action: RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE, reason: 'Not present in this environment.' }
+    }
+
+    const incoming = toRuntimeControlBundlePayload(remapRuntimeControlBundleReferences(type, record, idMap))
+    if (stableStringify(incoming) === stableStringify(toRuntimeControlBundlePayload(existing))) {
+      return { ...step, action: RUNTIME_CONTROL_IMPORT_ACTIONS.UNCHANGED, reason: 'Matches the existing record.' }
+    }
+
+    const status = normalizeKey(existing.status).toUpperCase()
+    if (existing.isLocked || !EDITABLE_STATUSES.has(status)) {
+      return {
+        ...step,
+        action: RUNTIME_CONTROL_IMPORT_ACTIONS.CONFLICT,
+        reason: existing.isLocked
+          ? 'The existing record is locked; clone it to a new version first.'
+          : `The existing record is ${status}; only drafts can be updated in place.`,
+      }
+    }
+
+    return { ...step, action: RUNTIME_CONTROL_IMPORT_ACTIONS.UPDATE, reason: 'Updates the existing draft.' }
+  })
+
+  const counts = Object.fromEntries(
+    Object.values(RUNTIME_CONTROL_IMPORT_ACTIONS).map((action) => [
+      action,
+      steps.filter((step) => step.action === action).length,
+    ]),
+  )
+
+  return {
+    steps,
+    counts,
+    canApply: counts[RUNTIME_CONTROL_IMPORT_ACTIONS.CONFLICT] === 0
+      && counts[RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE] + counts[RUNTIME_CONTROL_IMPORT_ACTIONS.UPDATE] > 0,
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Runtime Control Bundle Tests
+ *
+ * Covers the bundle envelope, signing and tamper detection, id reference
+ * remapping, and the dry-run import plan.
+ */
+
+import { describe, expect, it } from 'vitest'
+import {
+  RUNTIME_CONTROL_IMPORT_ACTIONS,
+  buildRuntimeControlBundle,
+  buildRuntimeControlImportPlan,
+  getRuntimeControlBundleEntityKey,
+  parseRuntimeControlBundle,
+  remapRuntimeControlBundleReferences,
+  signRuntimeControlBundle,
+  toRuntimeControlBundlePayload,
+  verifyRuntimeControlBundleSignature,
+} from './runtimeControlBundle.js'
+
+const frameworkPackage = {
+  id: 'pkg-dev-1',
+  frameworkKey: 'VMF',
+  version: '2.4.0',
+  packageKey: 'vmf-core',
+  status: 'ACTIVE',
+  uiContractKey: 'vmf-ui',
+  sections: [{ sectionKey: 'customer_problem', runtimePath: 'framework_state.sections.customer_problem' }],
+}
+
+const entities = {
+  runtimePaths: [{ id: 'path-dev-1', pathKey: 'framework_state.sections.customer_problem', status: 'ACTIVE' }],
+  skills: [{ id: 'skill-dev-1', key: 'summarise', name: 'Summarise', skillRoleKey: 'WRITER', status: 'ACTIVE' }],
+  agents: [{
+    id: 'agent-dev-1',
+    key: 'writer',
+    name: 'Writer',
+    status: 'DRAFT',
+    defaultSkillIds: ['skill-dev-1'],
+    executionPlan: [{ step: 1, skillId: 'skill-dev-1' }],
+  }],
+  workflowPolicies: [{ id: 'policy-dev-1', key: 'submit-gate', primaryAgentId: 'agent-dev-1', status: 'ACTIVE' }],
+  uiContracts: [{ id: 'ui-dev-1', uiContractKey: 'vmf-ui', status: 'ACTIVE' }],
+}
+
+const buildBundle = () => buildRuntimeControlBundle({
+  frameworkPackage,
+  entities,
+  dependencyLock: { status: 'PASS', references: [] },
+  exportedAt: '2026-05-01T12:00:00.000Z',
+  exportedBy: 'Dev Admin',
+})
+
+describe('runtimeControlBundle', () => {
+  it('builds a bundle with every entity type and de-duplicated records', () => {
+    const bundle = buildRuntimeControlBundle({
+      frameworkPackage,
+      entities: { ...entities, runtimePaths: [...entities.runtimePaths, { ...entities.runtimePaths[0] }] },
+    })
+
+    expect(bundle).toMatchObject({
+      format: 'vmf.runtime-control.bundle',
+      formatVersion: 1,
+      root: { frameworkKey: 'VMF', version: '2.4.0', packageKey: 'vmf-core' },
+    })
+    expect(Object.keys(bundle.entities)).toEqual([
+      'runtimePaths',
+      'skillRoles',
+      'skills',
+      'agents',
+      'validations',
+      'workflowPolicies',
+      'uiContracts',
+      'frameworkPackages',
+    ])
+    expect(bundle.entities.runtimePaths).toHaveLength(1)
+    expect(bundle.entities.frameworkPackages).toEqual([frameworkPackage])
+    expect(getRuntimeControlBundleEntityKey('frameworkPackages', frameworkPackage)).toBe('VMF@2.4.0')
+    expect(getRuntimeControlBundleEntityKey('skillRoles', { roleKey: 'writer' })).toBe('WRITER')
+  })
+
+  it('signs bundles with the shared key and rejects changes after export', async () => {
+    const signed = await signRuntimeControlBundle(buildBundle(), 'shared-secret')
+
+    expect(signed.signature).toEqual({ algorithm: 'HMAC-SHA256', value: expect.stringMatching(/^[a-f0-9]{64}$/) })
+    await expect(verifyRuntimeControlBundleSignature(signed, 'shared-secret')).resolves.toEqual({ valid: true, reason: '' })
+
+    // Key order does not matter, content does
+    const reordered = JSON.parse(JSON.stringify({ signature: signed.signature, ...buildBundle() }))
+    await expect(verifyRuntimeControlBundleSignature(reordered, 'shared-secret')).resolves.toMatchObject({ valid: true })
+
+    const tampered = { ...signed, entities: { ...signed.entities, runtimePaths: [] } }
+    await expect(verifyRuntimeControlBundleSignature(tampered, 'shared-secret')).resolves.toEqual({
+      valid: false,
+      reason: 'The bundle signature does not match. It was changed after export or signed with a different key.',
+    })
+  })
+
+  it('rejects bundles that are unsigned, signed with another key or cannot be verified here', async () => {
+    const signed = await signRuntimeControlBundle(buildBundle(), 'shared-secret')
+
+    await expect(verifyRuntimeControlBundleSignature(signed, 'other-secret')).resolves.toMatchObject({ valid: false })
+    await expect(verifyRuntimeControlBundleSignature(buildBundle(), 'shared-secret')).resolves.toEqual({
+      valid: false,
+      reason: 'The bundle is not signed.',
+    })
+    await expect(verifyRuntimeControlBundleSignature(
+      { ...signed, signature: { algorithm: 'SHA-256', value: signed.signature.value } },
+      'shared-secret',
+    )).resolves.toEqual({ valid: false, reason: 'Unsupported signature algorithm "SHA-256".' })
+    await expect(verifyRuntimeControlBundleSignature(
+      { ...signed, signature: { ...signed.signature, value: 'not-hex' } },
+      'shared-secret',
+    )).resolves.toEqual({ valid: false, reason: 'The bundle signature is malformed.' })
+    await expect(verifyRuntimeControlBundleSignature(signed, '')).resolves.toEqual({
+      valid: false,
+      reason: 'Bundle signing is not configured here, so the bundle cannot be verified.',
+    })
+    await expect(signRuntimeControlBundle(buildBundle(), '')).rejects.toThrow(/Bundle signing is not configured/)
+  })
+
+  it('rejects files that are not supported bundles', () => {
+    expect(() => parseRuntimeControlBundle('{nope')).toThrow('not valid JSON')
+    expect(() => parseRuntimeControlBundle('{"format":"other"}')).toThrow('not a Runtime Control bundle')
+    expect(() => parseRuntimeControlBundle(JSON.stringify({ ...buildBundle(), formatVersion: 9 })))
+      .toThrow('version 9 is not supported')
+    expect(() => parseRuntimeControlBundle(JSON.stringify({
+      ...buildBundle(),
+      entities: { frameworkPackages: [] },
+    }))).toThrow('exactly one framework package')
+    expect(parseRuntimeControlBundle(JSON.stringify(buildBundle())).root.packageKey).toBe('vmf-core')
+  })
+
+  it('remaps id references and strips server-managed fields', () => {
+    const idMap = new Map([['skill-dev-1', 'skill-prod-9']])
+    const agent = remapRuntimeControlBundleReferences('agents', entities.agents[0], idMap)
+
+    expect(agent.defaultSkillIds).toEqual(['skill-prod-9'])
+    expect(agent.executionPlan).toEqual([{ step: 1, skillId: 'skill-prod-9' }])
+    expect(toRuntimeControlBundlePayload(agent)).toEqual({
+      key: 'writer',
+      name: 'Writer',
+      defaultSkillIds: ['skill-prod-9'],
+      executionPlan: [{ step: 1, skillId: 'skill-prod-9' }],
+    })
+  })
+
+  it('plans create, update, unchanged and conflict per entity', () => {
+    const plan = buildRuntimeControlImportPlan(buildBundle(), {
+      // Same content under a different id, so the agent reference still matches
+      skills: [{ ...entities.skills[0], id: 'skill-prod-9' }],
+      agents: [{ ...entities.agents[0], id: 'agent-prod-3', name: 'Old Writer', defaultSkillIds: ['skill-prod-9'] }],
+      workflowPolicies: [{ id: 'policy-prod-4', key: 'submit-gate', primaryAgentId: 'agent-prod-1', status: 'ACTIVE' }],
+    })
+
+    expect(plan.steps.map((step) => [step.type, step.key, step.action])).toEqual([
+      ['runtimePaths', 'framework_state.sections.customer_problem', RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE],
+      ['skills', 'summarise', RUNTIME_CONTROL_IMPORT_ACTIONS.UNCHANGED],
+      ['agents', 'writer', RUNTIME_CONTROL_IMPORT_ACTIONS.UPDATE],
+      ['workflowPolicies', 'submit-gate', RUNTIME_CONTROL_IMPORT_ACTIONS.CONFLICT],
+      ['uiContracts', 'vmf-ui', RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE],
+      ['frameworkPackages', 'VMF@2.4.0', RUNTIME_CONTROL_IMPORT_ACTIONS.CREATE],
+    ])
+    expect(plan.steps[2]).toMatchObject({ sourceId: 'agent-dev-1', targetId: 'agent-prod-3' })
+    expect(plan.steps[3].reason).toContain('only drafts can be updated')
+    expect(plan.counts).toEqual({ CREATE: 3, UPDATE: 1, UNCHANGED: 1, CONFLICT: 1 })
+    expect(plan.canApply).toBe(false)
+  })
+
+  it('allows applying once nothing conflicts', () => {
+    const plan = buildRuntimeControlImportPlan(buildBundle(), {})
+
+    expect(plan.counts.CREATE).toBe(6)
+    expect(plan.canApply).toBe(true)
+  })
+})
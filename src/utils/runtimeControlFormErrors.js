@@ -53,3 +53,45 @@ export const getRuntimeControlFieldErrorMap = (
 
   return fieldErrors
 }
+
+const collectNestedFieldErrors = (value, path, fieldErrors) => {
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const message = getDetailMessage(value)
+    if (message) fieldErrors[path] = message
+    return
+  }
+
+  if (!value || typeof value !== 'object') return
+
+  if (typeof value.message === 'string' && value.message.trim()) {
+    fieldErrors[path] = value.message.trim()
+    return
+  }
+
+  for (const [key, nestedValue] of Object.entries(value)) {
+    collectNestedFieldErrors(nestedValue, path ? `${path}.${key}` : key, fieldErrors)
+  }
+}
+
+/**
+ * Errors inside a JSON-valued field, keyed by path relative to that field
+ * (`''` for the field itself). Accepts dotted detail keys
+ * (`{ 'parameterSchema.properties.limit': '...' }`) and nested details
+ * (`{ parameterSchema: { properties: { limit: '...' } } }`).
+ */
+export const getRuntimeControlJsonFieldErrors = (details, fieldName) => {
+  if (!details || typeof details !== 'object') {
+    return {}
+  }
+
+  const fieldErrors = {}
+  collectNestedFieldErrors(details[fieldName], '', fieldErrors)
+
+  for (const [key, value] of Object.entries(details)) {
+    if (!key.startsWith(`${fieldName}.`) && !key.startsWith(`${fieldName}[`)) continue
+    const message = getDetailMessage(value)
+    if (message) fieldErrors[key.slice(fieldName.length).replace(/^\./, '')] = message
+  }
+
+  return fieldErrors
+}
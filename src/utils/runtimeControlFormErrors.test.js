@@ -1,6 +1,9 @@
 import { describe, expect, it } from 'vitest'
 import { normalizeError } from './errors.js'
-import { getRuntimeControlFieldErrorMap } from './runtimeControlFormErrors.js'
+import {
+  getRuntimeControlFieldErrorMap,
+  getRuntimeControlJsonFieldErrors,
+} from './runtimeControlFormErrors.js'
 
 describe('getRuntimeControlFieldErrorMap', () => {
   it('maps explicit field pointers from normalized app errors', () => {
@@ -50,3 +53,25 @@ describe('getRuntimeControlFieldErrorMap', () => {
     })
   })
 })
+
+describe('getRuntimeControlJsonFieldErrors', () => {
+  it('keys nested and dotted JSON field errors relative to the field', () => {
+    expect(getRuntimeControlJsonFieldErrors({
+      parameterSchema: { properties: { limit: 'Limit must declare a type.' } },
+      'defaultParameters.threshold': 'Threshold must be a number.',
+      'defaultParameters[0]': ['Unexpected array entry.'],
+      description: 'Ignored.',
+    }, 'parameterSchema')).toEqual({ 'properties.limit': 'Limit must declare a type.' })
+
+    expect(getRuntimeControlJsonFieldErrors({
+      defaultParameters: 'Default parameters must be an object.',
+      'defaultParameters.threshold': 'Threshold must be a number.',
+      'defaultParameters[0]': ['Unexpected array entry.'],
+    }, 'defaultParameters')).toEqual({
+      '': 'Default parameters must be an object.',
+      threshold: 'Threshold must be a number.',
+      '[0]': 'Unexpected array entry.',
+    })
+    expect(getRuntimeControlJsonFieldErrors(null, 'parameterSchema')).toEqual({})
+  })
+})
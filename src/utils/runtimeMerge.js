@@ -0,0 +1,132 @@
+/**
+ * Runtime Merge Utilities
+ *
+ * Optimistic-concurrency helpers for runtime state writes. A write carries
+ * the concurrency marker it was based on (`expectedUpdatedAt`, plus
+ * `expectedStateRevision` when the renderer projects one). When the
+ * backend rejects it as stale, the workspace compares three snapshots of
+ * each runtime path:
+ *   - base:   the value the editor started from
+ *   - theirs: the value now stored on the server
+ *   - mine:   the value the editor tried to save
+ */
+
+import { normalizeError } from './errors.js'
+
+export const RUNTIME_MERGE_RESOLUTIONS = Object.freeze({
+  MINE: 'MINE',
+  THEIRS: 'THEIRS',
+})
+
+/**
+ * True when a runtime write was rejected because its concurrency marker
+ * is stale (HTTP 409/412 or a CONFLICT/STALE error code).
+ * @param {unknown} error - raw RTK Query error
+ * @returns {boolean}
+ */
+export const isRuntimeStaleWriteError = (error) => {
+  const { code, status } = normalizeError(error)
+  const normalizedCode = String(code ?? '').toUpperCase()
+  return status === 409
+    || status === 412
+    || normalizedCode.includes('CONFLICT')
+    || normalizedCode.includes('STALE')
+}
+
+/**
+ * Concurrency fields for a runtime write body, taken from the runtime
+ * instance projection the edit was made against.
+ * @param {Object} runtimeInstance
+ * @returns {{ expectedUpdatedAt?: string, expectedStateRevision?: number|string }}
+ */
+export const getRuntimeConcurrencyMarker = (runtimeInstance) => {
+  const stateRevision = runtimeInstance?.stateRevision
+  return {
+    ...(runtimeInstance?.updatedAt ? { expectedUpdatedAt: runtimeInstance.updatedAt } : {}),
+    ...(stateRevision !== undefined && stateRevision !== null ? { expectedStateRevision: stateRevision } : {}),
+  }
+}
+
+const toComparable = (value) => JSON.stringify(value ?? null)
+
+export const areRuntimeValuesEqual = (left, right) => toComparable(left) === toComparable(right)
+
+const indexSectionsByPath = (sections) =>
+  (Array.isArray(sections) ? sections : []).reduce((acc, section) => {
+    if (section?.runtimePath) acc[section.runtimePath] = section
+    return acc
+  }, {})
+
+/**
+ * Build one merge row per runtime path changed on either side.
+ *
+ * Rows where only one side changed resolve automatically; rows where both
+ * sides changed to different values start unresolved and need a choice.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.baseSections  - sections the edit was based on
+ * @param {Object[]} params.theirSections - sections as now stored
+ * @param {{ runtimePath: string, value: unknown }} params.mine - rejected write
+ * @returns {Array<{
+ *   runtimePath: string,
+ *   section: Object,
+ *   base: unknown,
+ *   theirs: unknown,
+ *   mine: unknown,
+ *   mineChanged: boolean,
+ *   theirsChanged: boolean,
+ *   conflicting: boolean,
+ *   resolution: 'MINE'|'THEIRS'|null,
+ * }>}
+ */
+export const buildRuntimeMergeRows = ({ baseSections, theirSections, mine }) => {
+  const baseByPath = indexSectionsByPath(baseSections)
+  const theirsByPath = indexSectionsByPath(theirSections)
+  const runtimePaths = [
+    mine.runtimePath,
+    ...Object.keys(theirsByPath).filter((runtimePath) => runtimePath !== mine.runtimePath),
+  ]
+
+  return runtimePaths
+    .map((runtimePath) => {
+      const baseSection = baseByPath[runtimePath]
+      const theirSection = theirsByPath[runtimePath]
+      const base = baseSection?.value ?? null
+      const theirs = theirSection?.value ?? null
+      const mineValue = runtimePath === mine.runtimePath ? mine.value : base
+      const mineChanged = !areRuntimeValuesEqual(mineValue, base)
+      const theirsChanged = !areRuntimeValuesEqual(theirs, base)
+      const conflicting = mineChanged && theirsChanged && !areRuntimeValuesEqual(mineValue, theirs)
+
+      return {
+        runtimePath,
+        section: theirSection ?? baseSection ?? { runtimePath },
+        base,
+        theirs,
+        mine: mineValue,
+        mineChanged,
+        theirsChanged,
+        conflicting,
+        resolution: conflicting
+          ? null
+          : mineChanged ? RUNTIME_MERGE_RESOLUTIONS.MINE : RUNTIME_MERGE_RESOLUTIONS.THEIRS,
+      }
+    })
+    .filter((row) => row.mineChanged || row.theirsChanged)
+}
+
+export const isRuntimeMergeResolved = (rows) =>
+  Array.isArray(rows) && rows.every((row) => Boolean(row.resolution))
+
+/**
+ * Writes needed to apply the chosen resolutions: only paths where "mine"
+ * wins and differs from what is stored.
+ * @returns {Array<{ runtimePath: string, value: unknown }>}
+ */
+export const getRuntimeMergeWrites = (rows) =>
+  (Array.isArray(rows) ? rows : [])
+    .filter((row) =>
+      row.resolution === RUNTIME_MERGE_RESOLUTIONS.MINE
+      && row.mineChanged
+      && !areRuntimeValuesEqual(row.mine, row.theirs))
+    .map((row) => ({ runtimePath: row.runtimePath, value: row.mine }))
@@ -0,0 +1,94 @@
+/**
+ * Runtime Merge Tests
+ *
+ * Covers:
+ * - Stale-write detection from RTK Query errors
+ * - Concurrency marker fields for write bodies
+ * - Base / theirs / mine rows and automatic resolution
+ * - Writes produced from chosen resolutions
+ */
+
+import { describe, expect, it } from 'vitest'
+import {
+  buildRuntimeMergeRows,
+  getRuntimeConcurrencyMarker,
+  getRuntimeMergeWrites,
+  isRuntimeMergeResolved,
+  isRuntimeStaleWriteError,
+  RUNTIME_MERGE_RESOLUTIONS,
+} from './runtimeMerge.js'
+
+const section = (runtimePath, value) => ({ runtimePath, label: runtimePath, value })
+
+describe('runtimeMerge', () => {
+  describe('isRuntimeStaleWriteError', () => {
+    it('recognises conflict statuses and codes', () => {
+      expect(isRuntimeStaleWriteError({ status: 409, data: {} })).toBe(true)
+      expect(isRuntimeStaleWriteError({ status: 412, data: {} })).toBe(true)
+      expect(isRuntimeStaleWriteError({ status: 422, data: { error: { code: 'RUNTIME_STATE_STALE' } } })).toBe(true)
+      expect(isRuntimeStaleWriteError({ status: 400, data: { error: { code: 'VALIDATION_ERROR' } } })).toBe(false)
+    })
+  })
+
+  describe('getRuntimeConcurrencyMarker', () => {
+    it('includes the state revision only when projected', () => {
+      expect(getRuntimeConcurrencyMarker({ updatedAt: 't1' })).toEqual({ expectedUpdatedAt: 't1' })
+      expect(getRuntimeConcurrencyMarker({ updatedAt: 't1', stateRevision: 0 })).toEqual({
+        expectedUpdatedAt: 't1',
+        expectedStateRevision: 0,
+      })
+      expect(getRuntimeConcurrencyMarker(null)).toEqual({})
+    })
+  })
+
+  describe('buildRuntimeMergeRows', () => {
+    it('leaves rows unresolved only where both sides changed differently', () => {
+      const rows = buildRuntimeMergeRows({
+        baseSections: [section('a', 'base'), section('b', 'base'), section('c', 'same')],
+        theirSections: [section('a', 'theirs'), section('b', 'their b'), section('c', 'same')],
+        mine: { runtimePath: 'a', value: 'mine' },
+      })
+
+      expect(rows.map((row) => [row.runtimePath, row.conflicting, row.resolution])).toEqual([
+        ['a', true, null],
+        ['b', false, RUNTIME_MERGE_RESOLUTIONS.THEIRS],
+      ])
+      expect(rows[0]).toMatchObject({ base: 'base', theirs: 'theirs', mine: 'mine' })
+      expect(isRuntimeMergeResolved(rows)).toBe(false)
+    })
+
+    it('auto-resolves to mine when only my path changed and compares structured values', () => {
+      const rows = buildRuntimeMergeRows({
+        baseSections: [section('a', { items: [1] }), section('b', 'x')],
+        theirSections: [section('a', { items: [1] }), section('b', 'y')],
+        mine: { runtimePath: 'a', value: { items: [1, 2] } },
+      })
+
+      expect(rows[0]).toMatchObject({ runtimePath: 'a', conflicting: false, resolution: RUNTIME_MERGE_RESOLUTIONS.MINE })
+      expect(isRuntimeMergeResolved(rows)).toBe(true)
+    })
+
+    it('treats identical edits on both sides as agreement', () => {
+      const rows = buildRuntimeMergeRows({
+        baseSections: [section('a', 'base')],
+        theirSections: [section('a', 'same edit')],
+        mine: { runtimePath: 'a', value: 'same edit' },
+      })
+
+      expect(rows[0].conflicting).toBe(false)
+      expect(getRuntimeMergeWrites(rows)).toEqual([])
+    })
+  })
+
+  describe('getRuntimeMergeWrites', () => {
+    it('writes only paths resolved to mine', () => {
+      const rows = [
+        { runtimePath: 'a', mine: 'mine', theirs: 'theirs', mineChanged: true, resolution: 'MINE' },
+        { runtimePath: 'b', mine: 'base', theirs: 'their b', mineChanged: false, resolution: 'THEIRS' },
+        { runtimePath: 'c', mine: 'mine c', theirs: 'their c', mineChanged: true, resolution: 'THEIRS' },
+      ]
+
+      expect(getRuntimeMergeWrites(rows)).toEqual([{ runtimePath: 'a', value: 'mine' }])
+    })
+  })
+})
@@ -0,0 +1,104 @@
+/**
+ * Runtime Outbox Storage
+ *
+ * Persists queued runtime section edits in IndexedDB so typing done
+ * while offline survives a reload or a closed tab. Falls back to an
+ * in-memory map when IndexedDB is unavailable (private mode, jsdom).
+ *
+ * Entries are plain objects keyed by `id`; ordering is the caller's job
+ * (see `queuedAt` in `runtimeOutboxSlice`).
+ */
+
+export const RUNTIME_OUTBOX_DB_NAME = 'vmf_runtime_outbox'
+export const RUNTIME_OUTBOX_STORE_NAME = 'entries'
+const RUNTIME_OUTBOX_DB_VERSION = 1
+
+/** @type {Map<string, Object>} */
+const memoryEntries = new Map()
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let databasePromise = null
+
+const hasIndexedDb = () => typeof indexedDB !== 'undefined' && indexedDB !== null
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const openDatabase = () => {
+  if (!hasIndexedDb()) return Promise.resolve(null)
+  if (databasePromise) return databasePromise
+
+  databasePromise = new Promise((resolve) => {
+    const request = indexedDB.open(RUNTIME_OUTBOX_DB_NAME, RUNTIME_OUTBOX_DB_VERSION)
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(RUNTIME_OUTBOX_STORE_NAME)) {
+        request.result.createObjectStore(RUNTIME_OUTBOX_STORE_NAME, { keyPath: 'id' })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    // Blocked or denied storage degrades to the in-memory map.
+    request.onerror = () => resolve(null)
+  })
+
+  return databasePromise
+}
+
+const withStore = async (mode, run) => {
+  const database = await openDatabase()
+  if (!database) return run(null)
+
+  const transaction = database.transaction(RUNTIME_OUTBOX_STORE_NAME, mode)
+  return promisifyRequest(run(transaction.objectStore(RUNTIME_OUTBOX_STORE_NAME)))
+}
+
+/**
+ * Read every persisted entry.
+ * @returns {Promise<Object[]>}
+ */
+export const loadRuntimeOutboxEntries = async () => {
+  const entries = await withStore('readonly', (store) =>
+    store ? store.getAll() : null,
+  )
+  return Array.isArray(entries) ? entries : [...memoryEntries.values()]
+}
+
+/**
+ * Insert or replace an entry.
+ * @param {Object} entry
+ * @returns {Promise<void>}
+ */
+export const saveRuntimeOutboxEntry = async (entry) => {
+  await withStore('readwrite', (store) => {
+    if (store) return store.put(entry)
+    memoryEntries.set(entry.id, entry)
+    return null
+  })
+}
+
+/**
+ * Remove an entry once it has replayed or been discarded.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deleteRuntimeOutboxEntry = async (id) => {
+  await withStore('readwrite', (store) => {
+    if (store) return store.delete(id)
+    memoryEntries.delete(id)
+    return null
+  })
+}
+
+/**
+ * Drop all entries — used on logout so edits never leak across users.
+ * @returns {Promise<void>}
+ */
+export const clearRuntimeOutboxEntries = async () => {
+  await withStore('readwrite', (store) => {
+    if (store) return store.clear()
+    memoryEntries.clear()
+    return null
+  })
+}
@@ -0,0 +1,201 @@
+/**
+ * Saved List Views
+ *
+ * Named filter + sort + column presets for admin list screens, and the
+ * URL encoding that makes a view shareable as a link.
+ *
+ * Storage: `localStorage`, one entry per signed-in user
+ * (`vmf_saved_list_views:<userId>`), holding `{ [viewKey]: SavedListView[] }`.
+ *
+ * URL parameters (only non-default values are written):
+ *   - `f.<filterKey>=<value>` — one per filter
+ *   - `sort=<column>:<asc|desc>`
+ *   - `cols=<key>,<key>`      — column order
+ *   - `hide=<key>,<key>`      — hidden columns
+ *   - `widths=<key>:<px>,…`   — resized columns
+ *
+ * Screens that share a URL with another list (e.g. tabs) pass a
+ * `paramPrefix` such as `invitations.` so their parameters don't collide.
+ */
+
+export const SAVED_LIST_VIEWS_STORAGE_KEY = 'vmf_saved_list_views'
+const FILTER_PARAM_PREFIX = 'f.'
+const LIST_VIEW_PARAM_KEYS = ['sort', 'cols', 'hide', 'widths']
+const SORT_DIRECTIONS = new Set(['asc', 'desc'])
+
+/**
+ * @typedef {Object} ListViewState
+ * @property {Object<string, string>} filters
+ * @property {{ column: string, direction: 'asc'|'desc' }|null} sort
+ * @property {import('../components/Table/tableColumns.js').TableColumnConfig} columnConfig
+ */
+
+/**
+ * @typedef {ListViewState & { id: string, name: string, savedAt: string }} SavedListView
+ */
+
+const storageKeyFor = (userId) => `${SAVED_LIST_VIEWS_STORAGE_KEY}:${userId || 'anonymous'}`
+
+const readUserViews = (userId) => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(storageKeyFor(userId)) ?? '{}')
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+const writeUserViews = (userId, views) => {
+  try {
+    localStorage.setItem(storageKeyFor(userId), JSON.stringify(views))
+  } catch {
+    // Private/incognito mode or a full quota — views last until reload
+  }
+}
+
+/**
+ * Saved views for one list screen, in save order.
+ * @param {string} userId
+ * @param {string} viewKey - list screen identifier, e.g. `tenants`
+ * @returns {SavedListView[]}
+ */
+export const loadSavedListViews = (userId, viewKey) => {
+  const views = readUserViews(userId)[viewKey]
+  return Array.isArray(views) ? views : []
+}
+
+/**
+ * Save (or overwrite by name) a view for one list screen.
+ * @param {string} userId
+ * @param {string} viewKey
+ * @param {string} name
+ * @param {ListViewState} state
+ * @returns {SavedListView[]} the screen's views after saving
+ */
+export const saveListView = (userId, viewKey, name, state) => {
+  const allViews = readUserViews(userId)
+  const existing = Array.isArray(allViews[viewKey]) ? allViews[viewKey] : []
+  const trimmedName = String(name ?? '').trim()
+  const previous = existing.find((view) => view.name === trimmedName)
+  const view = {
+    id: previous?.id ?? `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: trimmedName,
+    filters: state.filters,
+    sort: state.sort,
+    columnConfig: state.columnConfig,
+    savedAt: new Date().toISOString(),
+  }
+  const nextViews = previous
+    ? existing.map((candidate) => (candidate.id === previous.id ? view : candidate))
+    : [...existing, view]
+
+  writeUserViews(userId, { ...allViews, [viewKey]: nextViews })
+  return nextViews
+}
+
+/**
+ * Remove a saved view.
+ * @param {string} userId
+ * @param {string} viewKey
+ * @param {string} viewId
+ * @returns {SavedListView[]} the screen's views after deleting
+ */
+export const deleteSavedListView = (userId, viewKey, viewId) => {
+  const allViews = readUserViews(userId)
+  const nextViews = loadSavedListViews(userId, viewKey).filter((view) => view.id !== viewId)
+  writeUserViews(userId, { ...allViews, [viewKey]: nextViews })
+  return nextViews
+}
+
+/* ------------------------------------------------------------------ */
+/*  URL encoding                                                      */
+/* ------------------------------------------------------------------ */
+
+const splitList = (value) => String(value ?? '').split(',').map((item) => item.trim()).filter(Boolean)
+
+/**
+ * List view state carried by a URL, or null when the URL has none.
+ * @param {URLSearchParams} searchParams
+ * @param {string[]} filterKeys - filters this screen understands
+ * @param {string} [paramPrefix='']
+ * @returns {ListViewState|null}
+ */
+export const readListViewParams = (searchParams, filterKeys, paramPrefix = '') => {
+  const param = (key) => `${paramPrefix}${key}`
+  const filters = {}
+  filterKeys.forEach((key) => {
+    const value = searchParams.get(param(`${FILTER_PARAM_PREFIX}${key}`))
+    if (value !== null) filters[key] = value
+  })
+
+  const [sortColumn, sortDirection] = String(searchParams.get(param('sort')) ?? '').split(':')
+  const sort = sortColumn && SORT_DIRECTIONS.has(sortDirection)
+    ? { column: sortColumn, direction: sortDirection }
+    : null
+
+  const columnConfig = {}
+  if (searchParams.has(param('cols'))) columnConfig.order = splitList(searchParams.get(param('cols')))
+  if (searchParams.has(param('hide'))) columnConfig.hidden = splitList(searchParams.get(param('hide')))
+  if (searchParams.has(param('widths'))) {
+    columnConfig.widths = Object.fromEntries(
+      splitList(searchParams.get(param('widths')))
+        .map((entry) => entry.split(':'))
+        .filter(([key, width]) => key && Number(width) > 0)
+        .map(([key, width]) => [key, Number(width)]),
+    )
+  }
+
+  const hasState = Object.keys(filters).length > 0 || sort || Object.keys(columnConfig).length > 0
+  return hasState ? { filters, sort, columnConfig } : null
+}
+
+/**
+ * Copy of `searchParams` with the list view state written in; unrelated
+ * parameters are kept, defaults and empty values are left out.
+ * @param {URLSearchParams} searchParams
+ * @param {ListViewState} state
+ * @param {Object<string, string>} defaultFilters
+ * @param {string} [paramPrefix='']
+ * @returns {URLSearchParams}
+ */
+export const writeListViewParams = (searchParams, state, defaultFilters, paramPrefix = '') => {
+  const param = (key) => `${paramPrefix}${key}`
+  const next = new URLSearchParams(searchParams)
+  ;[...next.keys()]
+    .filter((key) => (
+      key.startsWith(param(FILTER_PARAM_PREFIX))
+      || LIST_VIEW_PARAM_KEYS.some((listViewKey) => key === param(listViewKey))
+    ))
+    .forEach((key) => next.delete(key))
+
+  Object.entries(state.filters ?? {}).forEach(([key, value]) => {
+    const normalized = String(value ?? '')
+    if (normalized && normalized !== String(defaultFilters?.[key] ?? '')) {
+      next.set(param(`${FILTER_PARAM_PREFIX}${key}`), normalized)
+    }
+  })
+
+  if (state.sort?.column && SORT_DIRECTIONS.has(state.sort.direction)) {
+    next.set(param('sort'), `${state.sort.column}:${state.sort.direction}`)
+  }
+
+  const { order, hidden, widths } = state.columnConfig ?? {}
+  if (order?.length) next.set(param('cols'), order.join(','))
+  if (hidden?.length) next.set(param('hide'), hidden.join(','))
+  const widthEntries = Object.entries(widths ?? {}).filter(([, width]) => Number(width) > 0)
+  if (widthEntries.length) next.set(param('widths'), widthEntries.map(([key, width]) => `${key}:${width}`).join(','))
+
+  return next
+}
+
+/**
+ * Stable string form of a view state, for "is this the saved view?" checks.
+ * @param {ListViewState} state
+ * @param {Object<string, string>} defaultFilters
+ * @returns {string}
+ */
+export const getListViewSignature = (state, defaultFilters) => {
+  const params = writeListViewParams(new URLSearchParams(), state, defaultFilters)
+  params.sort()
+  return params.toString()
+}
@@ -0,0 +1,128 @@
+/**
+ * Saved List Views Tests
+ *
+ * Covers:
+ * - Per-user, per-screen storage with overwrite-by-name and delete
+ * - Reading list view state from URL parameters
+ * - Writing URL parameters (defaults omitted, unrelated params kept, prefixes)
+ * - View signatures for "is this the saved view?" matching
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest'
+import {
+  deleteSavedListView,
+  getListViewSignature,
+  loadSavedListViews,
+  readListViewParams,
+  SAVED_LIST_VIEWS_STORAGE_KEY,
+  saveListView,
+  writeListViewParams,
+} from './savedListViews.js'
+
+const DEFAULT_FILTERS = { q: '', status: '' }
+
+const disabledUsersView = {
+  filters: { q: '', status: 'disabled' },
+  sort: { column: 'name', direction: 'desc' },
+  columnConfig: { order: ['status', 'name'], hidden: ['roles'], widths: { name: 240 } },
+}
+
+describe('savedListViews', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  describe('storage', () => {
+    it('keeps views per user and per screen', () => {
+      saveListView('user-1', 'users', 'Disabled', disabledUsersView)
+      saveListView('user-2', 'users', 'Other user', disabledUsersView)
+      saveListView('user-1', 'tenants', 'Tenants', disabledUsersView)
+
+      expect(loadSavedListViews('user-1', 'users').map((view) => view.name)).toEqual(['Disabled'])
+      expect(loadSavedListViews('user-2', 'users').map((view) => view.name)).toEqual(['Other user'])
+      expect(loadSavedListViews('user-1', 'tenants').map((view) => view.name)).toEqual(['Tenants'])
+      expect(localStorage.getItem(`${SAVED_LIST_VIEWS_STORAGE_KEY}:user-1`)).toContain('"users"')
+    })
+
+    it('overwrites a view saved under the same name', () => {
+      const [first] = saveListView('user-1', 'users', ' Disabled ', disabledUsersView)
+      const views = saveListView('user-1', 'users', 'Disabled', { ...disabledUsersView, sort: null })
+
+      expect(views).toHaveLength(1)
+      expect(views[0]).toMatchObject({ id: first.id, name: 'Disabled', sort: null })
+    })
+
+    it('deletes a view by id', () => {
+      const [view] = saveListView('user-1', 'users', 'Disabled', disabledUsersView)
+      saveListView('user-1', 'users', 'Active', { ...disabledUsersView, filters: { status: 'active' } })
+
+      expect(deleteSavedListView('user-1', 'users', view.id).map((item) => item.name)).toEqual(['Active'])
+      expect(loadSavedListViews('user-1', 'users')).toHaveLength(1)
+    })
+
+    it('ignores unreadable storage', () => {
+      localStorage.setItem(`${SAVED_LIST_VIEWS_STORAGE_KEY}:user-1`, '{not json')
+      expect(loadSavedListViews('user-1', 'users')).toEqual([])
+    })
+  })
+
+  describe('URL parameters', () => {
+    it('round-trips filters, sort and column preferences', () => {
+      const params = writeListViewParams(new URLSearchParams('view=customers'), disabledUsersView, DEFAULT_FILTERS)
+
+      expect(params.get('view')).toBe('customers')
+      expect(params.get('f.status')).toBe('disabled')
+      expect(params.has('f.q')).toBe(false)
+      expect(params.get('sort')).toBe('name:desc')
+      expect(params.get('cols')).toBe('status,name')
+      expect(params.get('hide')).toBe('roles')
+      expect(params.get('widths')).toBe('name:240')
+
+      expect(readListViewParams(params, ['q', 'status'])).toEqual({
+        filters: { status: 'disabled' },
+        sort: { column: 'name', direction: 'desc' },
+        columnConfig: { order: ['status', 'name'], hidden: ['roles'], widths: { name: 240 } },
+      })
+    })
+
+    it('returns null when the URL carries no list view state', () => {
+      expect(readListViewParams(new URLSearchParams('view=customers&sort=name:sideways'), ['q'])).toBeNull()
+    })
+
+    it('clears stale list view parameters when the view returns to defaults', () => {
+      const params = writeListViewParams(
+        new URLSearchParams('f.status=disabled&sort=name:asc&hide=roles&page=2'),
+        { filters: DEFAULT_FILTERS, sort: null, columnConfig: {} },
+        DEFAULT_FILTERS,
+      )
+
+      expect(params.toString()).toBe('page=2')
+    })
+
+    it('keeps prefixed lists apart', () => {
+      const shared = writeListViewParams(
+        new URLSearchParams('f.status=ACTIVE'),
+        { filters: { status: 'pending' }, sort: null, columnConfig: {} },
+        DEFAULT_FILTERS,
+        'invitations.',
+      )
+
+      expect(shared.get('f.status')).toBe('ACTIVE')
+      expect(shared.get('invitations.f.status')).toBe('pending')
+      expect(readListViewParams(shared, ['status'], 'invitations.')?.filters).toEqual({ status: 'pending' })
+      expect(readListViewParams(shared, ['status'])?.filters).toEqual({ status: 'ACTIVE' })
+    })
+  })
+
+  describe('getListViewSignature', () => {
+    it('matches equivalent states regardless of default filters', () => {
+      const withDefaults = { ...disabledUsersView, filters: { q: '', status: 'disabled' } }
+      const withoutDefaults = { ...disabledUsersView, filters: { status: 'disabled' } }
+
+      expect(getListViewSignature(withDefaults, DEFAULT_FILTERS))
+        .toBe(getListViewSignature(withoutDefaults, DEFAULT_FILTERS))
+      expect(getListViewSignature({ ...withDefaults, sort: null }, DEFAULT_FILTERS))
+        .not.toBe(getListViewSignature(withDefaults, DEFAULT_FILTERS))
+    })
+  })
+})
@@ -0,0 +1,191 @@
+/**
+ * Cross-Tab Session Sync
+ *
+ * Keeps every open tab on the same session by relaying token refreshes
+ * and logouts on top of `tokenStorage.js`:
+ * - **BroadcastChannel** carries the full event, including the rotated
+ *   token pair, so sibling tabs adopt the new refresh token instead of
+ *   replaying a revoked one
+ * - **storage events** are the fallback for browsers without
+ *   BroadcastChannel — only the event type and user id are written (never
+ *   a token), and the key is removed straight away
+ *
+ * Messages are never delivered back to the tab that sent them. A tab only
+ * acts on an event for its own session: the event must name the same
+ * user, or the refresh token this tab still holds. Anything else (another
+ * account signed in elsewhere, or a logout for a token this tab has
+ * already rotated away from) is ignored.
+ */
+
+import { setTokens, clearTokens, getRefreshToken } from './tokenStorage.js'
+
+const SESSION_CHANNEL_NAME = 'vmf_session'
+const SESSION_STORAGE_EVENT_KEY = 'vmf_session_event'
+
+export const SESSION_EVENT_TYPES = Object.freeze({
+  TOKENS_REFRESHED: 'TOKENS_REFRESHED',
+  LOGOUT: 'LOGOUT',
+})
+
+/** Shared channel — posting and listening must use the same instance */
+let channel = null
+const listeners = new Set()
+/** Signed-in user of this tab, as reported by the subscriber */
+let getSessionUserId = () => null
+
+/* ------------------------------------------------------------------ */
+/*  Transport                                                         */
+/* ------------------------------------------------------------------ */
+
+const supportsBroadcastChannel = () => typeof BroadcastChannel === 'function'
+
+const isSameSession = (event) => {
+  const currentRefreshToken = getRefreshToken()
+  if (event.previousRefreshToken && event.previousRefreshToken === currentRefreshToken) return true
+  const userId = getSessionUserId()
+  return Boolean(event.userId && userId && event.userId === userId)
+}
+
+const handleIncomingEvent = (event) => {
+  if (!event || !Object.values(SESSION_EVENT_TYPES).includes(event.type)) return
+
+  if (event.type === SESSION_EVENT_TYPES.TOKENS_REFRESHED) {
+    if (!event.accessToken || !event.refreshToken || !isSameSession(event)) return
+    setTokens({ accessToken: event.accessToken, refreshToken: event.refreshToken })
+  }
+
+  if (event.type === SESSION_EVENT_TYPES.LOGOUT) {
+    if (!isSameSession(event)) return
+    clearTokens()
+  }
+
+  listeners.forEach((listener) => listener(event))
+}
+
+const handleChannelMessage = (message) => {
+  handleIncomingEvent(message?.data)
+}
+
+const handleStorageEvent = (event) => {
+  if (event.key !== SESSION_STORAGE_EVENT_KEY || !event.newValue) return
+  try {
+    handleIncomingEvent(JSON.parse(event.newValue))
+  } catch {
+    // Malformed payload from another tab — ignore
+  }
+}
+
+const openTransport = () => {
+  if (supportsBroadcastChannel()) {
+    channel = new BroadcastChannel(SESSION_CHANNEL_NAME)
+    channel.addEventListener('message', handleChannelMessage)
+    return
+  }
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', handleStorageEvent)
+  }
+}
+
+const closeTransport = () => {
+  if (channel) {
+    channel.removeEventListener('message', handleChannelMessage)
+    channel.close()
+    channel = null
+    return
+  }
+  if (typeof window !== 'undefined') {
+    window.removeEventListener('storage', handleStorageEvent)
+  }
+}
+
+const postSessionEvent = (event) => {
+  if (supportsBroadcastChannel()) {
+    // Posting without a subscriber still needs an instance of our own
+    const target = channel ?? new BroadcastChannel(SESSION_CHANNEL_NAME)
+    try {
+      target.postMessage(event)
+    } catch {
+      // Channel closed mid-flight — nothing to relay
+    } finally {
+      if (target !== channel) target.close()
+    }
+    return
+  }
+
+  try {
+    const signal = JSON.stringify({
+      type: event.type,
+      ...(event.type === SESSION_EVENT_TYPES.LOGOUT && event.userId ? { userId: event.userId } : {}),
+      sentAt: Date.now(),
+    })
+    localStorage.setItem(SESSION_STORAGE_EVENT_KEY, signal)
+    localStorage.removeItem(SESSION_STORAGE_EVENT_KEY)
+  } catch {
+    // Private/incognito mode may throw — other tabs keep their session
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Public API                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Tell other tabs that this tab rotated the token pair.
+ * @param {Object} tokens
+ * @param {string} tokens.accessToken
+ * @param {string} tokens.refreshToken
+ * @param {string} [tokens.previousRefreshToken] - the token that was rotated
+ * @param {string} [tokens.userId] - whose session it is
+ */
+export const broadcastTokensRefreshed = ({ accessToken, refreshToken, previousRefreshToken, userId }) => {
+  postSessionEvent({
+    type: SESSION_EVENT_TYPES.TOKENS_REFRESHED,
+    accessToken,
+    refreshToken,
+    ...(previousRefreshToken ? { previousRefreshToken } : {}),
+    ...(userId ? { userId } : {}),
+  })
+}
+
+/**
+ * Tell other tabs that the session ended so they end it too. Only tabs on
+ * the same session act on it; pass `userId` to end every tab of the user
+ * (an explicit logout), or only `previousRefreshToken` to end just the
+ * tabs still holding that token (a refresh the server rejected).
+ * @param {Object} [session]
+ * @param {string} [session.previousRefreshToken] - the token the session held
+ * @param {string} [session.userId] - whose session it is
+ */
+export const broadcastLogout = ({ previousRefreshToken, userId } = {}) => {
+  postSessionEvent({
+    type: SESSION_EVENT_TYPES.LOGOUT,
+    ...(previousRefreshToken ? { previousRefreshToken } : {}),
+    ...(userId ? { userId } : {}),
+  })
+}
+
+/**
+ * Listen for session events from other tabs. Token storage is already
+ * updated by the time the listener runs; the listener only needs to
+ * sync application state (e.g. the auth slice).
+ *
+ * @param {(event: { type: string }) => void} listener
+ * @param {Object} [options]
+ * @param {() => string|null|undefined} [options.getUserId] - this tab's
+ *   signed-in user, checked before a refreshed token pair is adopted or a
+ *   logout is applied
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToSessionEvents = (listener, { getUserId } = {}) => {
+  if (listeners.size === 0) openTransport()
+  listeners.add(listener)
+  if (getUserId) getSessionUserId = getUserId
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) {
+      closeTransport()
+      getSessionUserId = () => null
+    }
+  }
+}
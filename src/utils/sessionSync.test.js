@@ -0,0 +1,285 @@
+/**
+ * Session Sync Tests
+ *
+ * Covers:
+ * - Refreshed token pairs from another tab are adopted into tokenStorage
+ *   only when they belong to this tab's session
+ * - Logout from another tab clears tokens and notifies listeners, but
+ *   only for this tab's session
+ * - Events are not echoed back to the sending tab
+ * - storage-event fallback never carries tokens
+ * - Unsubscribing closes the shared channel
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  SESSION_EVENT_TYPES,
+  broadcastLogout,
+  broadcastTokensRefreshed,
+  subscribeToSessionEvents,
+} from './sessionSync.js'
+import { clearTokens, getAccessToken, getRefreshToken, setTokens } from './tokenStorage.js'
+
+/* ------------------------------------------------------------------ */
+/*  Helpers                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Minimal in-process BroadcastChannel — delivers to every other open
+ * instance with the same name, mirroring the browser semantics.
+ */
+const openChannels = new Set()
+
+class FakeBroadcastChannel extends EventTarget {
+  constructor(name) {
+    super()
+    this.name = name
+    this.closed = false
+    openChannels.add(this)
+  }
+
+  postMessage(data) {
+    openChannels.forEach((peer) => {
+      if (peer === this || peer.name !== this.name || peer.closed) return
+      peer.dispatchEvent(new MessageEvent('message', { data }))
+    })
+  }
+
+  close() {
+    this.closed = true
+    openChannels.delete(this)
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Tests                                                             */
+/* ------------------------------------------------------------------ */
+
+describe('sessionSync', () => {
+  beforeEach(() => {
+    openChannels.clear()
+    clearTokens()
+    sessionStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  describe('with BroadcastChannel', () => {
+    beforeEach(() => {
+      vi.stubGlobal('BroadcastChannel', FakeBroadcastChannel)
+    })
+
+    it('adopts a refreshed token pair from another tab', () => {
+      setTokens({ accessToken: 'at-old', refreshToken: 'rt-old' })
+      const listener = vi.fn()
+      const unsubscribe = subscribeToSessionEvents(listener)
+      const otherTab = new FakeBroadcastChannel('vmf_session')
+
+      otherTab.postMessage({
+        type: SESSION_EVENT_TYPES.TOKENS_REFRESHED,
+        accessToken: 'at-new',
+        refreshToken: 'rt-new',
+        previousRefreshToken: 'rt-old',
+      })
+
+      expect(getAccessToken()).toBe('at-new')
+      expect(getRefreshToken()).toBe('rt-new')
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ type: SESSION_EVENT_TYPES.TOKENS_REFRESHED }),
+      )
+      unsubscribe()
+    })
+
+    it('adopts a refresh for the same signed-in user after its own token rotated', () => {
+      setTokens({ accessToken: 'at-old', refreshToken: 'rt-other' })
+      const listener = vi.fn()
+      const unsubscribe = subscribeToSessionEvents(listener, { getUserId: () => 'user-1' })
+      const otherTab = new FakeBroadcastChannel('vmf_session')
+
+      otherTab.postMessage({
+        type: SESSION_EVENT_TYPES.TOKENS_REFRESHED,
+        accessToken: 'at-new',
+        refreshToken: 'rt-new',
+        previousRefreshToken: 'rt-old',
+        userId: 'user-1',
+      })
+
+      expect(getAccessToken()).toBe('at-new')
+      expect(listener).toHaveBeenCalledTimes(1)
+      unsubscribe()
+    })
+
+    it('ignores refreshes from a different session', () => {
+      setTokens({ accessToken: 'at-1', refreshToken: 'rt-1' })
+      const listener = vi.fn()
+      const unsubscribe = subscribeToSessionEvents(listener, { getUserId: () => 'user-1' })
+      const otherTab = new FakeBroadcastChannel('vmf_session')
+
+      otherTab.postMessage({
+        type: SESSION_EVENT_TYPES.TOKENS_REFRESHED,
+        accessToken: 'at-2',
+        refreshToken: 'rt-2',
+        previousRefreshToken: 'rt-someone-else',
+        userId: 'user-2',
+      })
+      otherTab.postMessage({
+        type: SESSION_EVENT_TYPES.TOKENS_REFRESHED,
+        accessToken: 'at-3',
+        refreshToken: 'rt-3',
+      })
+
+      expect(getAccessToken()).toBe('at-1')
+      expect(getRefreshToken()).toBe('rt-1')
+      expect(listener).not.toHaveBeenCalled()
+      unsubscribe()
+    })
+
+    it('clears tokens when another tab of the same user logs out', () => {
+      setTokens({ accessToken: 'at-1', refreshToken: 'rt-1' })
+      const listener = vi.fn()
+      const unsubscribe = subscribeToSessionEvents(listener, { getUserId: () => 'user-1' })
+      const otherTab = new FakeBroadcastChannel('vmf_session')
+
+      otherTab.postMessage({ type: SESSION_EVENT_TYPES.LOGOUT, userId: 'user-1' })
+
+      expect(getAccessToken()).toBeNull()
+      expect(getRefreshToken()).toBeNull()
+      expect(listener).toHaveBeenCalledWith({ type: SESSION_EVENT_TYPES.LOGOUT, userId: 'user-1' })
+      unsubscribe()
+    })
+
+    it('ends the session when another tab had the same refresh token rejected', () => {
+      setTokens({ accessToken: 'at-1', refreshToken: 'rt-1' })
+      const listener = vi.fn()
+      const unsubscribe = subscribeToSessionEvents(listener)
+      const otherTab = new FakeBroadcastChannel('vmf_session')
+
+      otherTab.postMessage({ type: SESSION_EVENT_TYPES.LOGOUT, previousRefreshToken: 'rt-1' })
+
+      expect(getRefreshToken()).toBeNull()
+      expect(listener).toHaveBeenCalledTimes(1)
+      unsubscribe()
+    })
+
+    it('ignores a logout for another session or a token this tab already rotated away from', () => {
+      setTokens({ accessToken: 'at-2', refreshToken: 'rt-2' })
+      const listener = vi.fn()
+      const unsubscribe = subscribeToSessionEvents(listener, { getUserId: () => 'user-1' })
+      const otherTab = new FakeBroadcastChannel('vmf_session')
+
+      otherTab.postMessage({ type: SESSION_EVENT_TYPES.LOGOUT })
+      otherTab.postMessage({ type: SESSION_EVENT_TYPES.LOGOUT, userId: 'user-2' })
+      otherTab.postMessage({ type: SESSION_EVENT_TYPES.LOGOUT, previousRefreshToken: 'rt-1' })
+
+      expect(getAccessToken()).toBe('at-2')
+      expect(getRefreshToken()).toBe('rt-2')
+      expect(listener).not.toHaveBeenCalled()
+      unsubscribe()
+    })
+
+    it('relays local events to other tabs without echoing them back', () => {
+      const listener = vi.fn()
+      const unsubscribe = subscribeToSessionEvents(listener)
+      const otherTab = new FakeBroadcastChannel('vmf_session')
+      const received = vi.fn()
+      otherTab.addEventListener('message', (event) => received(event.data))
+
+      broadcastTokensRefreshed({
+        accessToken: 'at-2',
+        refreshToken: 'rt-2',
+        previousRefreshToken: 'rt-1',
+        userId: 'user-1',
+      })
+      broadcastLogout({ previousRefreshToken: 'rt-2', userId: 'user-1' })
+
+      expect(received).toHaveBeenNthCalledWith(1, {
+        type: SESSION_EVENT_TYPES.TOKENS_REFRESHED,
+        accessToken: 'at-2',
+        refreshToken: 'rt-2',
+        previousRefreshToken: 'rt-1',
+        userId: 'user-1',
+      })
+      expect(received).toHaveBeenNthCalledWith(2, {
+        type: SESSION_EVENT_TYPES.LOGOUT,
+        previousRefreshToken: 'rt-2',
+        userId: 'user-1',
+      })
+      expect(listener).not.toHaveBeenCalled()
+      unsubscribe()
+    })
+
+    it('ignores unknown or incomplete messages', () => {
+      setTokens({ accessToken: 'at-1', refreshToken: 'rt-1' })
+      const listener = vi.fn()
+      const unsubscribe = subscribeToSessionEvents(listener)
+      const otherTab = new FakeBroadcastChannel('vmf_session')
+
+      otherTab.postMessage({ type: 'SOMETHING_ELSE' })
+      otherTab.postMessage({ type: SESSION_EVENT_TYPES.TOKENS_REFRESHED, accessToken: 'at-x' })
+
+      expect(getAccessToken()).toBe('at-1')
+      expect(listener).not.toHaveBeenCalled()
+      unsubscribe()
+    })
+
+    it('closes the shared channel once the last listener unsubscribes', () => {
+      const unsubscribeA = subscribeToSessionEvents(vi.fn())
+      const unsubscribeB = subscribeToSessionEvents(vi.fn())
+      expect(openChannels.size).toBe(1)
+
+      unsubscribeA()
+      expect(openChannels.size).toBe(1)
+      unsubscribeB()
+      expect(openChannels.size).toBe(0)
+    })
+  })
+
+  describe('storage-event fallback', () => {
+    beforeEach(() => {
+      vi.stubGlobal('BroadcastChannel', undefined)
+      localStorage.clear()
+    })
+
+    it('writes only the event type, never tokens', () => {
+      const setItem = vi.spyOn(Storage.prototype, 'setItem')
+
+      broadcastTokensRefreshed({ accessToken: 'at-secret', refreshToken: 'rt-secret' })
+
+      const written = setItem.mock.calls.find(([key]) => key === 'vmf_session_event')
+      expect(written).toBeDefined()
+      expect(written[1]).not.toContain('secret')
+      expect(localStorage.getItem('vmf_session_event')).toBeNull()
+      setItem.mockRestore()
+    })
+
+    it('ends the session when another tab of the same user signals logout', () => {
+      setTokens({ accessToken: 'at-1', refreshToken: 'rt-1' })
+      const setItem = vi.spyOn(Storage.prototype, 'setItem')
+      broadcastLogout({ previousRefreshToken: 'rt-1', userId: 'user-1' })
+      const [, signal] = setItem.mock.calls.find(([key]) => key === 'vmf_session_event')
+      setItem.mockRestore()
+      expect(signal).not.toContain('rt-1')
+
+      const listener = vi.fn()
+      const unsubscribe = subscribeToSessionEvents(listener, { getUserId: () => 'user-1' })
+
+      window.dispatchEvent(
+        new StorageEvent('storage', {
+          key: 'vmf_session_event',
+          newValue: JSON.stringify({ type: SESSION_EVENT_TYPES.LOGOUT, userId: 'user-2' }),
+        }),
+      )
+      expect(getAccessToken()).toBe('at-1')
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'vmf_session_event', newValue: signal }))
+
+      expect(getAccessToken()).toBeNull()
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ type: SESSION_EVENT_TYPES.LOGOUT }),
+      )
+      unsubscribe()
+    })
+  })
+})
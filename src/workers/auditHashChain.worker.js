@@ -0,0 +1,13 @@
+/**
+ * Audit Hash Chain Worker
+ *
+ * Runs `runAuditHashChainJob` off the main thread. Started by
+ * `useAuditChainVerification`; see `utils/auditHashChain.js` for the
+ * message protocol.
+ */
+
+import { runAuditHashChainJob } from '../utils/auditHashChain.js'
+
+self.onmessage = (event) => {
+  runAuditHashChainJob(event.data, (message) => self.postMessage(message))
+}
@@ -0,0 +1,13 @@
+/**
+ * Document Text Extraction Worker
+ *
+ * Runs `runDocumentTextExtractionJob` off the main thread. Started by
+ * `useDocumentPreflight`; see `utils/documentTextExtraction.js` for the
+ * message protocol.
+ */
+
+import { runDocumentTextExtractionJob } from '../utils/documentTextExtraction.js'
+
+self.onmessage = (event) => {
+  runDocumentTextExtractionJob(event.data, (message) => self.postMessage(message))
+}